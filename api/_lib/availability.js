@@ -0,0 +1,44 @@
+/**
+ * availability.js — Server-side available-to-promise.
+ *
+ * Loads batches, upcoming orders, the catalog and the farm's yield and stage
+ * settings, and applies src/data/availability.js (shared, not copied). Needs
+ * every customer's orders, which chefs can't read — so the chef catalog asks
+ * /api/availability, and /api/orders checks it before placing an order.
+ */
+
+import { resolveStageMachines } from '../../src/data/stageMachine.js';
+import { availableToPromise } from '../../src/data/availability.js';
+import { loadProductMappingIndex } from './productMappings.js';
+import { loadYieldResolver } from './yieldResolver.js';
+
+/**
+ * @param {FirebaseFirestore.DocumentReference} farmRef
+ * @param {string} date   delivery date, YYYY-MM-DD
+ * @param {{ today: string, products?: Map, transaction?: FirebaseFirestore.Transaction }} opts
+ *   products — the catalog, when already loaded; transaction — read the
+ *   orders in it, so an order placed meanwhile makes the caller retry
+ * @returns {Promise<Object>} { [productId]: { available, oversell } }
+ */
+export async function loadAvailability(farmRef, date, { today, products = null, transaction = null }) {
+  const ordersQuery = farmRef.collection('orders').where('requestedDeliveryDate', '>=', today);
+  const [batchSnap, orderSnap, catalog, machineSnap, mappingIndex, resolveYield] = await Promise.all([
+    farmRef.collection('batches').get(),
+    transaction ? transaction.get(ordersQuery) : ordersQuery.get(),
+    products ? null : farmRef.collection('products').get(),
+    farmRef.collection('settings').doc('stageMachine').get(),
+    loadProductMappingIndex(farmRef),
+    loadYieldResolver(farmRef),
+  ]);
+
+  return availableToPromise({
+    products: products ? [...products.values()] : catalog.docs.map((d) => ({ id: d.id, ...d.data() })),
+    batches:  batchSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    orders:   orderSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    mappingIndex,
+    machines: resolveStageMachines(machineSnap.exists ? machineSnap.data() : null),
+    resolveYield,
+    date,
+    today,
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * deliveryZones.js — Server-side delivery zone lookup.
+ *
+ * Loads a farm's delivery zones and matches customers to them with the
+ * rules in src/data/deliveryZones.js (shared, not copied). Used by order
+ * placement and standing orders.
+ */
+
+import { customerZone } from '../../src/data/deliveryZones.js';
+
+export async function loadDeliveryZones(farmRef) {
+  const snap = await farmRef.collection('deliveryZones').get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Build a zone finder: zoneFor(email) → that customer's zone, or null.
+ * Loads everything once, so a batch of orders costs two reads.
+ */
+export async function loadZoneFinder(farmRef) {
+  const [zones, customers] = await Promise.all([
+    loadDeliveryZones(farmRef),
+    farmRef.collection('shopifyCustomers').select('email', 'deliveryZoneId', 'deliveryZone').get(),
+  ]);
+  const byEmail = new Map();
+  customers.forEach((d) => {
+    const c = d.data();
+    if (c.email) byEmail.set(c.email.toLowerCase().trim(), c);
+  });
+  return (email) => customerZone(zones, byEmail.get((email || '').toLowerCase().trim()));
+}
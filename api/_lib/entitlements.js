@@ -0,0 +1,110 @@
+/**
+ * entitlements.js — Server-side plan enforcement.
+ *
+ * Same rules as the client (src/data/entitlements.js — shared, not copied),
+ * evaluated with the Admin SDK. Counted limits (products, team seats,
+ * orders) are enforced by the routes that create them — /api/products,
+ * /api/invites, /api/orders — and apiAccess by requestAuth.js for
+ * SYNC_API_SECRET calls.
+ *
+ * Webhooks acknowledge rejected events with a 200 so the provider doesn't
+ * retry or disable the subscription, and record a plan_limit alert so the
+ * farm admin sees what was dropped.
+ *
+ * DEFAULT_FARM_ID ran before billing existed. The first time its
+ * entitlements are read it is grandfathered onto LEGACY_FARM_PLAN
+ * (business unless set), so existing order volume and SYNC_API_SECRET
+ * callers keep working.
+ */
+
+import {
+  getEntitlements,
+  checkEntitlement,
+  startOfMonth,
+} from '../../src/data/entitlements.js';
+import { PLANS } from '../../src/data/planTiers.js';
+import { DEFAULT_FARM_ID } from './firebaseAdmin.js';
+
+const legacyPlan = () => (PLANS[process.env.LEGACY_FARM_PLAN] ? process.env.LEGACY_FARM_PLAN : 'business');
+
+export async function getFarmEntitlements(db, farmId) {
+  const ref = db.collection('farms').doc(farmId);
+  const snap = await ref.get();
+  let farm = snap.exists ? snap.data() : null;
+  if (farmId === DEFAULT_FARM_ID && !farm?.grandfatheredPlan) {
+    farm = { ...farm, grandfatheredPlan: legacyPlan() };
+    await ref.set({ grandfatheredPlan: farm.grandfatheredPlan }, { merge: true });
+  }
+  return getEntitlements(farm);
+}
+
+// Counters read through the transaction when they're given one
+const read = (query, transaction) => (transaction ? transaction.get(query) : query.get());
+
+export async function countOrdersThisMonth(db, farmId, transaction) {
+  const snap = await read(db.collection('farms').doc(farmId).collection('orders')
+    .where('createdAt', '>=', startOfMonth())
+    .count(), transaction);
+  return snap.data().count;
+}
+
+export async function countProducts(db, farmId, transaction) {
+  const snap = await read(db.collection('farms').doc(farmId).collection('products').count(), transaction);
+  return snap.data().count;
+}
+
+/**
+ * Team seats in use: members + pending invites (an invite reserves a seat).
+ * Chefs are customers, not team members, so they don't take a seat.
+ */
+export async function countTeamSeats(db, farmId, transaction) {
+  const [members, invites] = await Promise.all([
+    read(db.collection('users').where('farmId', '==', farmId), transaction),
+    read(db.collection('farms').doc(farmId).collection('invites').where('status', '==', 'pending'), transaction),
+  ]);
+  const seats = (snap) => snap.docs.filter((d) => d.data().role !== 'chef').length;
+  return seats(members) + seats(invites);
+}
+
+const COUNTERS = {
+  maxOrdersPerMonth: countOrdersThisMonth,
+  maxProducts:       countProducts,
+  maxUsers:          countTeamSeats,
+};
+
+/**
+ * Check whether a farm may perform `adding` more writes under `limitKey`.
+ * Pass the transaction that makes the writes to count inside it.
+ * @returns {Promise<{ allowed, limit, remaining, upgradeTo, message }>}
+ */
+export async function checkFarmLimit(db, farmId, limitKey, adding = 1, { transaction } = {}) {
+  const entitlements = await getFarmEntitlements(db, farmId);
+  const counter = COUNTERS[limitKey];
+  const limit = entitlements.limits[limitKey];
+  const count = counter && limit !== Infinity ? await counter(db, farmId, transaction) : 0;
+  return checkEntitlement(entitlements, limitKey, count + adding - 1);
+}
+
+/**
+ * Record (or bump) a pending plan_limit alert — one per limit per month so
+ * a burst of rejected webhooks doesn't flood the alerts list.
+ */
+export async function recordPlanLimitAlert(db, farmId, limitKey, result, detail) {
+  const month = new Date().toISOString().slice(0, 7);
+  const ref = db.collection('farms').doc(farmId).collection('alerts')
+    .doc(`plan_limit_${limitKey}_${month}`);
+  const snap = await ref.get();
+  const now = new Date().toISOString();
+
+  await ref.set({
+    type: 'plan_limit',
+    limitKey,
+    message: result.message,
+    upgradeTo: result.upgradeTo,
+    rejectedCount: (snap.exists ? snap.data().rejectedCount || 0 : 0) + 1,
+    lastRejected: detail || null,
+    status: 'pending',
+    createdAt: snap.exists ? snap.data().createdAt : now,
+    updatedAt: now,
+  }, { merge: true });
+}
@@ -4,7 +4,10 @@
  * Usage:
  *   import { getFirestore } from './_lib/firebaseAdmin.js';
  *   const db = getFirestore();
- *   db.collection('farms').doc(FARM_ID).collection('orders')...
+ *   db.collection('farms').doc(farmId).collection('orders')...
+ *
+ * The farmId comes from tenantRegistry.js (webhooks, crons) or
+ * requestAuth.js (app-facing routes) — never hardcode it in a handler.
  *
  * Requires env var:
  *   FIREBASE_SERVICE_ACCOUNT — stringified JSON service account key
@@ -32,4 +35,10 @@ export function getAdmin() {
   return admin;
 }
 
-export const FARM_ID = 'micos-farm-001';
+/**
+ * The original single-tenant farm. It owns the integration accounts set in
+ * env (SHOPIFY_STORE_DOMAIN, EASYROUTES_ACCOUNT_ID) and is the farm
+ * requestAuth picks for SYNC_API_SECRET callers that don't name one. It
+ * also keeps the plan it had before billing existed (see entitlements.js).
+ */
+export const DEFAULT_FARM_ID = process.env.DEFAULT_FARM_ID || 'micos-farm-001';
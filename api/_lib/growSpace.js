@@ -0,0 +1,49 @@
+/**
+ * growSpace.js — Server-side grow space occupancy.
+ *
+ * Loads a farm's grow space layout and stage machines, plus everything
+ * already holding (or booked into) shelf space — active batches and planned
+ * sowingSchedule entries — as occupancy entries for buildHarvestPlan
+ * (src/data/growSpace.js — shared, not copied).
+ */
+
+import { resolveStageMachines } from '../../src/data/stageMachine.js';
+import { getVarietyById } from '../../src/data/cropConfig.js';
+import { resolveGrowSpace, hasGrowSpace, batchOccupancy, projectSowing } from '../../src/data/growSpace.js';
+
+/**
+ * @param {FirebaseFirestore.DocumentReference} farmRef
+ * @param {{ today: string, excludeDeliveryDate?: string }} opts
+ *   excludeDeliveryDate — leave out that date's own sowing entries (the plan being rebuilt)
+ * @returns {Promise<{ layout, machines, entries, today } | null>} null when the farm has no zones
+ */
+export async function loadGrowSpace(farmRef, { today, excludeDeliveryDate = null }) {
+  const settings = farmRef.collection('settings');
+  const [layoutSnap, machineSnap] = await Promise.all([
+    settings.doc('growSpace').get(),
+    settings.doc('stageMachine').get(),
+  ]);
+  const layout = resolveGrowSpace(layoutSnap.exists ? layoutSnap.data() : null);
+  if (!hasGrowSpace(layout)) return null;
+  const machines = resolveStageMachines(machineSnap.exists ? machineSnap.data() : null);
+
+  const [batchSnap, sowingSnap] = await Promise.all([
+    farmRef.collection('batches').get(),
+    farmRef.collection('sowingSchedule').where('sowDate', '>=', today).get(),
+  ]);
+
+  const entries = batchSnap.docs.map((d) => batchOccupancy(machines, d.data(), today));
+  sowingSnap.forEach((d) => {
+    const entry = d.data();
+    if (entry.status !== 'planned' || entry.estimatedHarvestDate === excludeDeliveryDate) return;
+    const variety = getVarietyById(entry.crop) || null;
+    const category = variety?.category || 'microgreens';
+    entries.push({
+      category,
+      qty: entry.traysNeeded || 0,
+      segments: projectSowing(machines, category, variety, entry.sowDate),
+    });
+  });
+
+  return { layout, machines, entries: entries.filter(Boolean), today };
+}
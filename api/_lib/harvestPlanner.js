@@ -0,0 +1,403 @@
+/**
+ * harvestPlanner.js — Server-side harvest planning.
+ *
+ * Regenerates a delivery date's harvest plan (src/data/harvestPlan.js —
+ * shared, not copied) and creates its sowingSchedule entries and crewTasks.
+ * Triggered by shopifyOrderWebhook, by /api/harvest-plan when the app
+ * changes an order, and by that route's cron as a safety net.
+ *
+ * Every run is idempotent: it happens in one transaction, the plan doc
+ * (harvestPlans/{date}) only gets a new version when the plan's content
+ * changes, and production docs have deterministic IDs. Each new version is
+ * kept under harvestPlans/{date}/versions/{n} and logged to activities.
+ *
+ * A date with no production docs yet gets them created straight away. Once
+ * a date has docs, a changed plan is diffed against them
+ * (diffProductionDocs) and parked as status 'pending_approval' — nothing is
+ * created, changed or cancelled until a manager approves the diff
+ * (applyHarvestPlanDiff) or dismisses it (dismissHarvestPlanDiff).
+ */
+
+import crypto from 'crypto';
+import { getAdmin } from './firebaseAdmin.js';
+import { loadProductMappingIndex } from './productMappings.js';
+import { loadYieldResolver } from './yieldResolver.js';
+import { loadGrowSpace } from './growSpace.js';
+import {
+  PLANNED_ORDER_STATUSES,
+  buildHarvestPlan,
+  planSignature,
+  buildProductionDocs,
+  diffProductionDocs,
+} from '../../src/data/harvestPlan.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isPlanDate(value) {
+  return typeof value === 'string' && DATE_RE.test(value);
+}
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+function planError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function todayStr() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Delivery dates an order change can affect: each order's current
+ * requestedDeliveryDate plus any date whose plan already lists it (the
+ * order was moved or its date cleared).
+ */
+export async function affectedDeliveryDates(db, farmId, orderIds = []) {
+  const farmRef = db.collection('farms').doc(farmId);
+  const dates = new Set();
+
+  for (const ids of chunk([...new Set(orderIds)].filter(Boolean), 10)) {
+    const [orderSnaps, planSnap] = await Promise.all([
+      db.getAll(...ids.map((id) => farmRef.collection('orders').doc(id))),
+      farmRef.collection('harvestPlans').where('orderIds', 'array-contains-any', ids).get(),
+    ]);
+    orderSnaps.forEach((s) => {
+      const date = s.exists ? s.data().requestedDeliveryDate : null;
+      if (isPlanDate(date)) dates.add(date);
+    });
+    planSnap.forEach((s) => dates.add(s.id));
+  }
+  return [...dates].sort();
+}
+
+/**
+ * Delivery dates from today on that have plannable orders or an existing
+ * plan (so cancelled orders clear out of it). Used by the cron.
+ */
+export async function upcomingPlanDates(db, farmId) {
+  const farmRef = db.collection('farms').doc(farmId);
+  const today = todayStr();
+  const idField = getAdmin().firestore.FieldPath.documentId();
+
+  const [ordersSnap, plansSnap] = await Promise.all([
+    farmRef.collection('orders').where('status', 'in', PLANNED_ORDER_STATUSES).get(),
+    farmRef.collection('harvestPlans').where(idField, '>=', today).get(),
+  ]);
+
+  const dates = new Set(plansSnap.docs.map((d) => d.id));
+  ordersSnap.forEach((d) => {
+    const date = d.data().requestedDeliveryDate;
+    if (isPlanDate(date) && date >= today) dates.add(date);
+  });
+  return [...dates].sort();
+}
+
+const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+function describeChanges(crops) {
+  return crops.map((c) => {
+    if (c.change === 'add') return `+${c.cropName} ${c.toTrays} trays`;
+    if (c.change === 'cancel') return `−${c.cropName} ${c.fromTrays} trays`;
+    return c.fromTrays === c.toTrays ? `${c.cropName} tasks updated` : `${c.cropName} ${c.fromTrays}→${c.toTrays} trays`;
+  }).join(', ');
+}
+
+function describePlan(deliveryDate, version, plan, unmapped, outcome, trigger) {
+  const trays = plan.reduce((s, p) => s + p.traysNeeded, 0);
+  const parts = [
+    `🗓️ Harvest plan for ${deliveryDate} → v${version}: ${plural(plan.length, 'crop', 'crops')}, ${trays} trays`,
+  ];
+  if (outcome.pendingDiff) {
+    parts.push(`⏳ changes need manager approval in Sowing Schedule: ${describeChanges(outcome.pendingDiff.crops) || 'task details'}`);
+  } else {
+    parts.push(`created ${plural(outcome.created.sowing, 'sowing entry', 'sowing entries')} & ${plural(outcome.created.crew, 'crew task', 'crew tasks')}`);
+  }
+  const short = plan.filter((p) => p.capacity?.shortBy > 0);
+  const shifted = plan.filter((p) => p.capacity?.shiftDays < 0);
+  if (shifted.length > 0) {
+    parts.push(`📦 sown early for shelf space: ${shifted.map((p) => `${p.cropName} ${-p.capacity.shiftDays}d`).join(', ')}`);
+  }
+  if (short.length > 0) {
+    parts.push(`⚠️ grow space overbooked: ${short.map((p) => `${p.cropName} ${p.capacity.shortBy} trays`).join(', ')} don't fit`);
+  }
+  if (unmapped.length > 0) {
+    parts.push(`⚠️ ${plural(unmapped.length, 'unmapped product', 'unmapped products')} left out: ${unmapped.map((u) => u.name).join(', ')} — map them under Admin → Product Mapping`);
+  }
+  return `${parts.join(' · ')} (${trigger})`;
+}
+
+/**
+ * Production docs already written for a delivery date, as { sowing, crew }
+ * arrays of { id, data }. Crew tasks the old browser watcher created have
+ * no deliveryDate, so they're matched on the crop|date|type keys of the
+ * given plans' docs instead.
+ */
+async function loadProductionDocs(t, farmRef, deliveryDate, planDocs) {
+  const crewCol = farmRef.collection('crewTasks');
+  const [sowingSnap, crewSnap] = await Promise.all([
+    t.get(farmRef.collection('sowingSchedule').where('estimatedHarvestDate', '==', deliveryDate)),
+    t.get(crewCol.where('deliveryDate', '==', deliveryDate)),
+  ]);
+
+  const crew = new Map(crewSnap.docs.map((d) => [d.id, { id: d.id, data: d.data() }]));
+  const legacyKeys = new Set(planDocs.flatMap((p) => p.crew.map((c) => c.key)));
+  const legacyDates = [...new Set(planDocs.flatMap((p) => p.crew.map((c) => c.data.date)))];
+  for (const dates of chunk(legacyDates, 30)) {
+    const snap = await t.get(crewCol.where('date', 'in', dates));
+    snap.forEach((d) => {
+      const data = d.data();
+      if (!data.deliveryDate && legacyKeys.has(`${data.crop}|${data.date}|${data.type}`)) {
+        crew.set(d.id, { id: d.id, data });
+      }
+    });
+  }
+
+  return {
+    sowing: sowingSnap.docs.map((d) => ({ id: d.id, data: d.data() })),
+    crew: [...crew.values()],
+  };
+}
+
+/** Write a diff's ops in transaction t. Returns how many docs were created per collection. */
+function applyOps(t, farmRef, ops, { deliveryDate, version, farmId }) {
+  const { FieldValue } = getAdmin().firestore;
+  const now = FieldValue.serverTimestamp();
+  const created = { sowing: 0, crew: 0 };
+
+  for (const op of ops) {
+    const ref = farmRef.collection(op.collection).doc(op.id);
+    if (op.op === 'create') {
+      t.set(ref, { ...op.data, autoGenerated: true, deliveryDate, planVersion: version, farmId, createdAt: now });
+      created[op.collection === 'sowingSchedule' ? 'sowing' : 'crew']++;
+    } else if (op.op === 'update') {
+      t.update(ref, { ...op.updates, planVersion: version, updatedAt: now });
+    } else {
+      t.update(ref, { status: 'cancelled', planVersion: version, cancelledAt: now, updatedAt: now });
+    }
+  }
+  return created;
+}
+
+function logActivity(t, farmRef, farmId, note, tags, actor) {
+  t.set(farmRef.collection('activities').doc(), {
+    type: 'system',
+    note,
+    tags: ['production', 'harvest-plan', ...tags],
+    createdBy: actor || 'system',
+    farmId,
+    createdAt: getAdmin().firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Rebuild one delivery date's plan. Creates its production docs when the
+ * date has none yet; otherwise stores the changes as a pending diff.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} farmId
+ * @param {string} deliveryDate  YYYY-MM-DD
+ * @param {{ trigger?: string, actor?: string|null }} [opts]
+ *   trigger — what asked for the plan ('shopify:orders/paid', 'app:order-status', 'cron')
+ *   actor   — uid of the user behind it, when there is one
+ * @returns {Promise<{ deliveryDate, changed, version, status, crops, trays, unmapped, createdSowing, createdCrewTasks }>}
+ */
+export async function regenerateHarvestPlan(db, farmId, deliveryDate, { trigger = 'manual', actor = null } = {}) {
+  if (!isPlanDate(deliveryDate)) throw new Error(`Invalid delivery date "${deliveryDate}"`);
+
+  const { FieldValue } = getAdmin().firestore;
+  const farmRef = db.collection('farms').doc(farmId);
+  const planRef = farmRef.collection('harvestPlans').doc(deliveryDate);
+
+  // Shelf space is read outside the transaction — it only steers sow dates
+  const [mappingIndex, resolveYield, space] = await Promise.all([
+    loadProductMappingIndex(farmRef),
+    loadYieldResolver(farmRef),
+    loadGrowSpace(farmRef, { today: todayStr(), excludeDeliveryDate: deliveryDate }),
+  ]);
+
+  return db.runTransaction(async (t) => {
+    const ordersSnap = await t.get(farmRef.collection('orders').where('requestedDeliveryDate', '==', deliveryDate));
+    const orders = ordersSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const { plan, unmapped, orderIds } = buildHarvestPlan(orders, mappingIndex, resolveYield, deliveryDate, space);
+    const signature = crypto.createHash('sha1').update(planSignature({ plan, unmapped })).digest('hex');
+
+    const planSnap = await t.get(planRef);
+    const previous = planSnap.exists ? planSnap.data() : null;
+    const summary = {
+      deliveryDate,
+      crops: plan.length,
+      trays: plan.reduce((s, p) => s + p.traysNeeded, 0),
+      unmapped: unmapped.map((u) => u.name),
+    };
+
+    // Nothing new to plan — same content as the stored version, or no plan yet and nothing to put in one
+    if (previous?.signature === signature || (!previous && plan.length === 0 && unmapped.length === 0)) {
+      return { ...summary, changed: false, version: previous?.version || 0, status: previous?.status || null, createdSowing: 0, createdCrewTasks: 0 };
+    }
+
+    const desired = buildProductionDocs(plan, deliveryDate);
+    const existing = await loadProductionDocs(t, farmRef, deliveryDate, [
+      desired,
+      ...(previous ? [buildProductionDocs(previous.plan || [], deliveryDate)] : []),
+    ]);
+    const diff = diffProductionDocs(desired, existing);
+    const needsApproval = existing.sowing.length + existing.crew.length > 0 && diff.ops.length > 0;
+
+    const version = (previous?.version || 0) + 1;
+    const created = needsApproval
+      ? { sowing: 0, crew: 0 }
+      : applyOps(t, farmRef, diff.ops, { deliveryDate, version, farmId });
+    const status = needsApproval ? 'pending_approval' : 'applied';
+
+    const planDoc = {
+      deliveryDate,
+      version,
+      signature,
+      plan,
+      unmapped,
+      orderIds,
+      status,
+      pendingDiff: needsApproval ? diff : null,
+      appliedVersion: needsApproval ? previous?.appliedVersion ?? previous?.version ?? null : version,
+      trigger,
+      generatedBy: actor,
+      generatedAt: FieldValue.serverTimestamp(),
+      createdSowing: created.sowing,
+      createdCrewTasks: created.crew,
+    };
+    t.set(planRef, planDoc);
+    t.set(planRef.collection('versions').doc(String(version)), planDoc);
+
+    logActivity(
+      t, farmRef, farmId,
+      describePlan(deliveryDate, version, plan, unmapped, { created, pendingDiff: planDoc.pendingDiff }, trigger),
+      [
+        ...(needsApproval ? ['needs-approval'] : []),
+        ...(unmapped.length > 0 ? ['unmapped-products'] : []),
+        ...(plan.some((p) => p.capacity?.shortBy > 0) ? ['grow-space-overbooked'] : []),
+      ],
+      actor,
+    );
+
+    return { ...summary, changed: true, version, status, createdSowing: created.sowing, createdCrewTasks: created.crew };
+  });
+}
+
+/**
+ * Read a date's plan in transaction t and check it still has the pending
+ * diff the caller is acting on.
+ */
+async function loadPendingPlan(t, planRef, version) {
+  const snap = await t.get(planRef);
+  if (!snap.exists) throw planError(404, `No harvest plan for ${planRef.id}`);
+  const planDoc = snap.data();
+  if (planDoc.status !== 'pending_approval') throw planError(409, `Harvest plan for ${planRef.id} has no pending changes`);
+  if (planDoc.version !== version) {
+    throw planError(409, `Harvest plan for ${planRef.id} changed (now v${planDoc.version}) — review it again`);
+  }
+  return planDoc;
+}
+
+/**
+ * Approve a date's pending changes. The diff is recomputed against the docs
+ * as they are now, so tasks the crew started since it was stored are left
+ * alone.
+ *
+ * @returns {Promise<{ deliveryDate, version, created, updated, cancelled, locked }>}
+ */
+export async function applyHarvestPlanDiff(db, farmId, deliveryDate, version, { actor = null } = {}) {
+  if (!isPlanDate(deliveryDate)) throw planError(400, `Invalid delivery date "${deliveryDate}"`);
+
+  const { FieldValue } = getAdmin().firestore;
+  const farmRef = db.collection('farms').doc(farmId);
+  const planRef = farmRef.collection('harvestPlans').doc(deliveryDate);
+
+  return db.runTransaction(async (t) => {
+    const planDoc = await loadPendingPlan(t, planRef, version);
+    const desired = buildProductionDocs(planDoc.plan || [], deliveryDate);
+    const existing = await loadProductionDocs(t, farmRef, deliveryDate, [desired]);
+    const diff = diffProductionDocs(desired, existing);
+
+    const created = applyOps(t, farmRef, diff.ops, { deliveryDate, version, farmId });
+    const counts = {
+      created: created.sowing + created.crew,
+      updated: diff.ops.filter((o) => o.op === 'update').length,
+      cancelled: diff.ops.filter((o) => o.op === 'cancel').length,
+      locked: diff.locked.length,
+    };
+
+    const approval = {
+      status: 'applied',
+      pendingDiff: null,
+      appliedVersion: version,
+      approvedBy: actor,
+      approvedAt: FieldValue.serverTimestamp(),
+    };
+    t.update(planRef, approval);
+    t.update(planRef.collection('versions').doc(String(version)), approval);
+
+    const parts = [
+      `✅ Approved harvest plan changes for ${deliveryDate} v${version}: ${describeChanges(diff.crops) || 'task details'}`,
+      `${counts.created} created, ${counts.updated} updated, ${counts.cancelled} cancelled`,
+    ];
+    if (counts.locked > 0) parts.push(`${plural(counts.locked, 'task', 'tasks')} already in progress left as is`);
+    logActivity(t, farmRef, farmId, parts.join(' · '), ['approved'], actor);
+
+    return { deliveryDate, version, ...counts };
+  });
+}
+
+/**
+ * Reject a date's pending changes. Production docs stay as they are; the
+ * next plan change produces a fresh diff.
+ */
+export async function dismissHarvestPlanDiff(db, farmId, deliveryDate, version, { actor = null } = {}) {
+  if (!isPlanDate(deliveryDate)) throw planError(400, `Invalid delivery date "${deliveryDate}"`);
+
+  const { FieldValue } = getAdmin().firestore;
+  const farmRef = db.collection('farms').doc(farmId);
+  const planRef = farmRef.collection('harvestPlans').doc(deliveryDate);
+
+  return db.runTransaction(async (t) => {
+    const planDoc = await loadPendingPlan(t, planRef, version);
+    const dismissal = {
+      status: 'dismissed',
+      pendingDiff: null,
+      dismissedBy: actor,
+      dismissedAt: FieldValue.serverTimestamp(),
+    };
+    t.update(planRef, dismissal);
+    t.update(planRef.collection('versions').doc(String(version)), dismissal);
+
+    logActivity(
+      t, farmRef, farmId,
+      `🚫 Dismissed harvest plan changes for ${deliveryDate} v${version}: ${describeChanges(planDoc.pendingDiff?.crops || []) || 'task details'}`,
+      ['dismissed'],
+      actor,
+    );
+    return { deliveryDate, version };
+  });
+}
+
+/**
+ * Regenerate several dates one after another. A failing date is logged and
+ * reported without stopping the rest.
+ */
+export async function regenerateHarvestPlans(db, farmId, deliveryDates, opts) {
+  const results = [];
+  for (const date of deliveryDates) {
+    try {
+      results.push(await regenerateHarvestPlan(db, farmId, date, opts));
+    } catch (err) {
+      console.error(`[harvest-planner] ${farmId} ${date} failed:`, err);
+      results.push({ deliveryDate: date, changed: false, error: err.message });
+    }
+  }
+  return results;
+}
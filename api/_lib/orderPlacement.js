@@ -0,0 +1,148 @@
+/**
+ * orderPlacement.js — Server-side chef order placement for /api/orders.
+ *
+ * The browser sends only what it wants (product IDs, quantities, date,
+ * notes). Everything else is decided here from Firestore, using the rules
+ * in src/data/orderRules.js (shared, not copied):
+ *   - lines priced from products/ and the chef's price lists (pricing.js)
+ *   - products must exist and be available
+ *   - delivery date and minimum order from the chef's delivery zone, over
+ *     farms/{farmId}/meta/config (deliveryZones.js)
+ *   - no more than is available to promise that date (availability.js)
+ *   - the plan's monthly order limit
+ * The order gets the next order number from farms/{farmId}/counters/orders,
+ * in the same transaction that creates it. The availability and plan-limit
+ * checks read their orders in that transaction too, so two chefs ordering
+ * the last trays at once can't both get them.
+ */
+
+import { getAdmin } from './firebaseAdmin.js';
+import { checkFarmLimit } from './entitlements.js';
+import { loadPricer } from './pricing.js';
+import { loadAvailability } from './availability.js';
+import { loadZoneFinder } from './deliveryZones.js';
+import {
+  FIRST_ORDER_NUMBER,
+  formatOrderNumber,
+  farmClock,
+  deliveryDateError,
+  priceOrderItems,
+  orderTotal,
+  minimumError,
+} from '../../src/data/orderRules.js';
+import { availabilityErrors } from '../../src/data/availability.js';
+import { deliveryRules } from '../../src/data/deliveryZones.js';
+import { PLAN_LIMIT_ERROR } from '../../src/data/entitlements.js';
+
+const MAX_LINES = 100;
+const MAX_INSTRUCTIONS = 1000;
+
+function orderError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/**
+ * The customer behind a uid, from Auth and their users/ profile — never
+ * from anything the client wrote. Returns { uid, email, name, farmId },
+ * or null when the account is gone.
+ */
+export async function loadCustomer(db, uid) {
+  const [authUser, profileSnap] = await Promise.all([
+    getAdmin().auth().getUser(uid).catch((err) => {
+      if (err.code === 'auth/user-not-found') return null;
+      throw err;
+    }),
+    db.collection('users').doc(uid).get(),
+  ]);
+  if (!authUser) return null;
+  const profile = profileSnap.exists ? profileSnap.data() : {};
+  return {
+    uid,
+    email:  authUser.email || profile.email || null,
+    name:   authUser.displayName || profile.displayName || null,
+    farmId: profile.farmId || null,
+  };
+}
+
+async function loadProducts(farmRef) {
+  const snap = await farmRef.collection('products').get();
+  return new Map(snap.docs.map((d) => [d.id, { id: d.id, ...d.data() }]));
+}
+
+/**
+ * Validate, price and create a chef's order.
+ * customer: { uid, name, email }
+ * body: { items: [{ productId, quantity }], requestedDeliveryDate, specialInstructions }
+ * Returns the stored order ({ id, ...fields }). Throws errors with .status
+ * (400 invalid order, 403 plan limit with .code) for the route to return.
+ */
+export async function placeChefOrder(db, farmId, customer, body = {}, { now = new Date() } = {}) {
+  const farmRef = db.collection('farms').doc(farmId);
+
+  if (!Array.isArray(body.items) || body.items.length > MAX_LINES) {
+    throw orderError(400, 'Your cart is empty');
+  }
+
+  const configSnap = await farmRef.collection('meta').doc('config').get();
+  const config = configSnap.exists ? configSnap.data() : {};
+  // Priced as of today — the same lists the chef saw in the catalog
+  const today = farmClock(now, config.timezone).date;
+  const [products, pricer, zoneFor] = await Promise.all([
+    loadProducts(farmRef),
+    loadPricer(farmRef, today),
+    loadZoneFinder(farmRef),
+  ]);
+  const rules = deliveryRules(config, zoneFor(customer.email));
+
+  const { items, errors } = priceOrderItems(body.items, products, pricer(customer.email));
+  if (errors.length) throw orderError(400, errors.join('. '));
+
+  const dateError = deliveryDateError(body.requestedDeliveryDate, rules, now);
+  if (dateError) throw orderError(400, dateError);
+
+  const total = orderTotal(items);
+  const minError = minimumError(total, rules);
+  if (minError) throw orderError(400, minError);
+
+  const date = body.requestedDeliveryDate;
+  const { FieldValue } = getAdmin().firestore;
+  const counterRef = farmRef.collection('counters').doc('orders');
+  const orderRef = farmRef.collection('orders').doc();
+  const fields = {
+    customerId:            customer.uid,
+    customerName:          customer.name || customer.email || null,
+    customerEmail:         customer.email || null,
+    items,
+    total,
+    requestedDeliveryDate: body.requestedDeliveryDate,
+    specialInstructions:   String(body.specialInstructions || '').slice(0, MAX_INSTRUCTIONS),
+    source:                'app',
+    status:                'new',
+    farmId,
+  };
+
+  const orderNumber = await db.runTransaction(async (t) => {
+    const [counter, availability, limit] = await Promise.all([
+      t.get(counterRef),
+      loadAvailability(farmRef, date, { today, products, transaction: t }),
+      checkFarmLimit(db, farmId, 'maxOrdersPerMonth', 1, { transaction: t }),
+    ]);
+    const shortages = availabilityErrors(items, availability, date);
+    if (shortages.length) throw orderError(400, shortages.join('. '));
+    if (!limit.allowed) throw orderError(403, limit.message, PLAN_LIMIT_ERROR);
+
+    const next = counter.exists ? (counter.data().next || FIRST_ORDER_NUMBER) : FIRST_ORDER_NUMBER;
+    t.set(counterRef, { next: next + 1 }, { merge: true });
+    t.create(orderRef, {
+      ...fields,
+      orderNumber: formatOrderNumber(next),
+      createdAt:   FieldValue.serverTimestamp(),
+    });
+    return formatOrderNumber(next);
+  });
+
+  return { id: orderRef.id, ...fields, orderNumber, createdAt: now.toISOString() };
+}
@@ -0,0 +1,73 @@
+/**
+ * pricing.js — Server-side price list lookup.
+ *
+ * Loads a farm's price lists and customers' pricing tiers and applies the
+ * rules in src/data/priceLists.js (shared, not copied). Used by order
+ * placement, standing orders and the Shopify draft order sync.
+ */
+
+import { customerPriceLists, resolvePrice } from '../../src/data/priceLists.js';
+import { cleanShopifyId } from '../../src/data/productMapping.js';
+
+export async function loadPriceLists(farmRef) {
+  const snap = await farmRef.collection('priceLists').get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/** Lowercased email → pricingTier, from the farm's customer records. */
+export async function loadPricingTiers(farmRef) {
+  const snap = await farmRef.collection('shopifyCustomers').select('email', 'pricingTier').get();
+  const tiers = new Map();
+  snap.forEach((d) => {
+    const { email, pricingTier } = d.data();
+    if (email && pricingTier) tiers.set(email.toLowerCase().trim(), pricingTier);
+  });
+  return tiers;
+}
+
+/**
+ * Build a pricer for one date: pricer(email) → that customer's lists.
+ * Loads everything once, so a batch of orders costs two reads.
+ */
+export async function loadPricer(farmRef, date) {
+  const [priceLists, tiers] = await Promise.all([loadPriceLists(farmRef), loadPricingTiers(farmRef)]);
+  return (email) => {
+    const key = (email || '').toLowerCase().trim();
+    return customerPriceLists(priceLists, { email: key, pricingTier: tiers.get(key) || null }, date);
+  };
+}
+
+const titleKey = (title) => String(title || '').toLowerCase().trim();
+
+/** The catalog product a Shopify line item is for — by Shopify ID, else title. */
+function catalogProductFor(products, line) {
+  const shopifyId = cleanShopifyId(line.shopifyProductId);
+  return products.find((p) => shopifyId && cleanShopifyId(p.shopifyProductId) === shopifyId)
+    || products.find((p) => titleKey(p.name) === titleKey(line.title))
+    || null;
+}
+
+/**
+ * Annotate Shopify draft orders with what the price lists say each line
+ * should cost. Lines matched to a catalog product gain listPrice,
+ * expectedPrice and priceListName; the order gains priceMismatches — lines
+ * Shopify bills at a different price than the customer's list.
+ */
+export async function priceDraftOrders(farmRef, draftOrders, date) {
+  if (draftOrders.length === 0) return draftOrders;
+  const [catalogSnap, pricer] = await Promise.all([farmRef.collection('products').get(), loadPricer(farmRef, date)]);
+  const products = catalogSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  return draftOrders.map((o) => {
+    const lists = pricer(o.customerEmail);
+    let priceMismatches = 0;
+    const items = (o.items || []).map((line) => {
+      const product = catalogProductFor(products, line);
+      if (!product) return line;
+      const { pricePerUnit, listPrice, priceListName } = resolvePrice(product, line.quantity, lists);
+      if (Math.abs((line.price || 0) - pricePerUnit) >= 0.005) priceMismatches++;
+      return { ...line, productId: product.id, listPrice, expectedPrice: pricePerUnit, priceListName };
+    });
+    return { ...o, items, priceMismatches };
+  });
+}
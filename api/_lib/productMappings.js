@@ -0,0 +1,20 @@
+/**
+ * productMappings.js — Server-side product → crop lookup.
+ *
+ * Loads the cropMapping fields off a farm's Shopify and catalog products and
+ * builds the same index the client uses (src/data/productMapping.js — shared,
+ * not copied).
+ */
+
+import { buildProductMappingIndex } from '../../src/data/productMapping.js';
+
+export async function loadProductMappingIndex(farmRef) {
+  const [shopifySnap, catalogSnap] = await Promise.all([
+    farmRef.collection('shopifyProducts').get(),
+    farmRef.collection('products').get(),
+  ]);
+  return buildProductMappingIndex([
+    ...shopifySnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    ...catalogSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+  ]);
+}
@@ -0,0 +1,73 @@
+/**
+ * requestAuth.js — Authenticate app-facing API calls and resolve the farm.
+ *
+ * Accepts either:
+ *   Authorization: Bearer <SYNC_API_SECRET>  — server-to-server (scripts,
+ *     crons). The farm comes from ?farmId= / body.farmId, else the default,
+ *     and its plan must include apiAccess (403 otherwise).
+ *   Authorization: Bearer <Firebase ID token> — signed-in users. The farm
+ *     comes from users/{uid}.farmId; a mismatching explicit farmId is a 403.
+ *
+ * Usage:
+ *   try {
+ *     const { farmId, uid, role } = await resolveRequestFarm(req, { roles: ['admin'] });
+ *   } catch (err) {
+ *     return res.status(err.status || 500).json({ success: false, error: err.message });
+ *   }
+ */
+
+import { getAdmin, getFirestore, DEFAULT_FARM_ID } from './firebaseAdmin.js';
+import { checkFarmLimit } from './entitlements.js';
+import { PLAN_LIMIT_ERROR } from '../../src/data/entitlements.js';
+
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+function requestedFarmId(req) {
+  return req.query?.farmId || req.body?.farmId || null;
+}
+
+export async function resolveRequestFarm(req, { roles } = {}) {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.replace('Bearer ', '').trim();
+  if (!token) throw httpError(401, 'Unauthorized');
+
+  // Shared secret — trusted caller, may act on any farm
+  if (process.env.SYNC_API_SECRET && token === process.env.SYNC_API_SECRET) {
+    const farmId = requestedFarmId(req) || DEFAULT_FARM_ID;
+    const access = await checkFarmLimit(getFirestore(), farmId, 'apiAccess');
+    if (!access.allowed) throw httpError(403, access.message, PLAN_LIMIT_ERROR);
+    return { farmId, uid: null, role: 'system' };
+  }
+
+  let decoded;
+  try {
+    decoded = await getAdmin().auth().verifyIdToken(token);
+  } catch (e) {
+    console.warn('[requestAuth] Firebase token verification failed:', e.message);
+    throw httpError(401, 'Unauthorized');
+  }
+
+  const userSnap = await getFirestore().collection('users').doc(decoded.uid).get();
+  const profile = userSnap.exists ? userSnap.data() : null;
+  if (!profile?.farmId) throw httpError(403, 'No farm associated with this account');
+
+  const requested = requestedFarmId(req);
+  if (requested && requested !== profile.farmId) {
+    throw httpError(403, 'Not a member of the requested farm');
+  }
+
+  // Same rule as the client's resolveRole(): the farm owner is always admin
+  let role = profile.role || 'admin';
+  if (roles && !roles.includes(role)) {
+    const farmSnap = await getFirestore().collection('farms').doc(profile.farmId).get();
+    if (farmSnap.exists && farmSnap.data().ownerId === decoded.uid) role = 'admin';
+    if (!roles.includes(role)) throw httpError(403, 'Insufficient role');
+  }
+
+  return { farmId: profile.farmId, uid: decoded.uid, role };
+}
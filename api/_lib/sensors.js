@@ -0,0 +1,222 @@
+/**
+ * sensors.js — Sensor device keys, reading ingestion and retention.
+ *
+ * Devices have no signed-in user, so each one gets a key when it is added.
+ * Only a SHA-256 of the key is stored, in a top-level registry (Admin SDK
+ * only — rules deny client access):
+ *
+ *   sensorDevices/{sha256(key)} → { farmId, deviceId, name, zoneId,
+ *                                   createdAt, createdBy, lastSeenAt }
+ *
+ * Bucketing, ranges and batch linking are shared with the app
+ * (src/data/sensors.js — shared, not copied).
+ */
+
+import crypto from 'crypto';
+import pkg from 'firebase-admin';
+import {
+  groupByHour,
+  bucketId,
+  addReadingsToBucket,
+  rollUpDay,
+  batchesInZone,
+  resolveSensorSettings,
+  findRangeBreaches,
+} from '../../src/data/sensors.js';
+import { resolveGrowSpace } from '../../src/data/growSpace.js';
+
+const { FieldValue } = pkg.firestore;
+
+const REGISTRY_COLLECTION = 'sensorDevices';
+
+/**
+ * Docs handled per retention pass — keeps each write batch under
+ * Firestore's 500-op limit (a delete per hourly bucket plus its daily set).
+ */
+const RETENTION_PAGE = 240;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const publicDevice = ({ deviceId, name, zoneId, createdAt, lastSeenAt }) => ({
+  deviceId, name, zoneId, createdAt, lastSeenAt: lastSeenAt || null,
+});
+
+// ── Devices ──────────────────────────────────────────────────────────
+
+/**
+ * Register a device for a farm zone. Returns the device and its key — the
+ * key is not stored and can't be shown again.
+ */
+export async function createDevice(db, farmId, { name, zoneId }, createdBy = null) {
+  if (!name || !zoneId) throw new Error('name and zoneId are required');
+  const key = `sk_${crypto.randomBytes(24).toString('hex')}`;
+  const device = {
+    farmId,
+    deviceId:  `dev_${crypto.randomBytes(4).toString('hex')}`,
+    name:      String(name).slice(0, 80),
+    zoneId,
+    createdAt: new Date().toISOString(),
+    createdBy,
+  };
+  await db.collection(REGISTRY_COLLECTION).doc(hashKey(key)).set(device);
+  return { device: publicDevice(device), key };
+}
+
+/** The device a key belongs to (with its registry doc ID as keyHash), or null. */
+export async function resolveDevice(db, key) {
+  if (!key) return null;
+  const keyHash = hashKey(key);
+  const snap = await db.collection(REGISTRY_COLLECTION).doc(keyHash).get();
+  return snap.exists ? { ...snap.data(), keyHash } : null;
+}
+
+export async function listDevices(db, farmId) {
+  const snap = await db.collection(REGISTRY_COLLECTION).where('farmId', '==', farmId).get();
+  return snap.docs.map((d) => publicDevice(d.data())).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Revoke a device's key. Returns false when the farm has no such device. */
+export async function revokeDevice(db, farmId, deviceId) {
+  const snap = await db.collection(REGISTRY_COLLECTION)
+    .where('farmId', '==', farmId).where('deviceId', '==', deviceId).get();
+  if (snap.empty) return false;
+  await Promise.all(snap.docs.map((d) => d.ref.delete()));
+  return true;
+}
+
+// ── Ingestion ────────────────────────────────────────────────────────
+
+/**
+ * Write a device's readings into its zone's hourly buckets, linking the
+ * batches in the zone, then raise alerts for out-of-range readings.
+ *
+ * @returns {Promise<{ buckets: number, alerts: number }>}
+ */
+export async function ingestReadings(db, device, readings, now = new Date()) {
+  const farmRef = db.collection('farms').doc(device.farmId);
+  const series = farmRef.collection('sensorReadings');
+  const { zoneId } = device;
+
+  const [batchSnap, settingsSnap] = await Promise.all([
+    farmRef.collection('batches').where('location.zoneId', '==', zoneId).get(),
+    farmRef.collection('settings').doc('sensors').get(),
+  ]);
+  const batches = batchSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const groups = groupByHour(readings);
+  for (const [start, group] of groups) {
+    const ref = series.doc(bucketId(zoneId, start));
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const bucket = addReadingsToBucket(snap.exists ? snap.data() : null, {
+        zoneId,
+        start,
+        readings: group,
+        deviceId: device.deviceId,
+        batchIds: batchesInZone(batches, zoneId, new Date(new Date(start).getTime() + 3600000).toISOString()),
+        now,
+      });
+      t.set(ref, { ...bucket, updatedAt: FieldValue.serverTimestamp() });
+    });
+  }
+
+  const settings = resolveSensorSettings(settingsSnap.exists ? settingsSnap.data() : null);
+  const alerts = await raiseRangeAlerts(farmRef, device, findRangeBreaches(settings, zoneId, readings), batches);
+
+  await db.collection(REGISTRY_COLLECTION).doc(device.keyHash).update({ lastSeenAt: now.toISOString() })
+    .catch((err) => console.warn('[sensors] lastSeenAt update failed:', err.message));
+
+  return { buckets: groups.size, alerts };
+}
+
+/**
+ * One sensor_out_of_range alert per zone and metric while it is pending —
+ * a room that stays too hot doesn't add an alert per reading.
+ */
+async function raiseRangeAlerts(farmRef, device, breaches, batches) {
+  if (breaches.length === 0) return 0;
+  const alertsRef = farmRef.collection('alerts');
+  const pendingSnap = await alertsRef
+    .where('type', '==', 'sensor_out_of_range')
+    .where('status', '==', 'pending')
+    .where('zoneId', '==', device.zoneId)
+    .get();
+  const pending = new Set(pendingSnap.docs.map((d) => d.data().metric));
+  if (breaches.every((b) => pending.has(b.metric))) return 0;
+
+  const layoutSnap = await farmRef.collection('settings').doc('growSpace').get();
+  const zone = resolveGrowSpace(layoutSnap.exists ? layoutSnap.data() : null).zones.find((z) => z.id === device.zoneId);
+
+  let raised = 0;
+  for (const b of breaches) {
+    if (pending.has(b.metric)) continue;
+    await alertsRef.add({
+      type:       'sensor_out_of_range',
+      zoneId:     device.zoneId,
+      zoneName:   zone?.name || device.zoneId,
+      deviceId:   device.deviceId,
+      deviceName: device.name,
+      metric:     b.metric,
+      value:      b.value,
+      min:        b.min,
+      max:        b.max,
+      direction:  b.direction,
+      readingAt:  b.at,
+      batchIds:   batches.map((x) => x.id),
+      status:     'pending',
+      createdAt:  FieldValue.serverTimestamp(),
+    });
+    raised++;
+  }
+  return raised;
+}
+
+// ── Retention ────────────────────────────────────────────────────────
+
+/**
+ * Nightly retention for one farm (see SENSOR_RETENTION):
+ *   1. strip raw readings from hourly buckets past rawExpiresAt
+ *   2. roll hourly buckets past expiresAt into daily buckets, then delete them
+ *   3. delete daily buckets past expiresAt
+ *
+ * @returns {Promise<{ stripped, rolledUp, deleted }>}
+ */
+export async function compactSensorReadings(db, farmId, now = new Date()) {
+  const series = db.collection('farms').doc(farmId).collection('sensorReadings');
+  const nowIso = now.toISOString();
+  const result = { stripped: 0, rolledUp: 0, deleted: 0 };
+
+  const rawSnap = await series.where('rawExpiresAt', '<=', nowIso).limit(RETENTION_PAGE).get();
+  if (!rawSnap.empty) {
+    const batch = db.batch();
+    rawSnap.docs.forEach((d) => batch.update(d.ref, { readings: FieldValue.delete(), rawExpiresAt: FieldValue.delete() }));
+    await batch.commit();
+    result.stripped = rawSnap.size;
+  }
+
+  const expiredSnap = await series.where('expiresAt', '<=', nowIso).limit(RETENTION_PAGE).get();
+  const days = new Map(); // daily bucket id → hourly docs
+  const writes = db.batch();
+  for (const d of expiredSnap.docs) {
+    const bucket = d.data();
+    if (bucket.resolution === 'hour') {
+      const id = bucketId(bucket.zoneId, bucket.start, 'day');
+      days.set(id, [...(days.get(id) || []), d]);
+    } else {
+      writes.delete(d.ref);
+      result.deleted++;
+    }
+  }
+
+  for (const [id, docs] of days) {
+    const dailyRef = series.doc(id);
+    const dailySnap = await dailyRef.get();
+    const daily = rollUpDay(dailySnap.exists ? dailySnap.data() : null, docs.map((d) => d.data()));
+    writes.set(dailyRef, { ...daily, updatedAt: FieldValue.serverTimestamp() });
+    docs.forEach((d) => writes.delete(d.ref));
+    result.rolledUp += docs.length;
+  }
+  if (expiredSnap.size > 0) await writes.commit();
+
+  return result;
+}
@@ -34,9 +34,10 @@ function getConfig() {
 /**
  * Core GraphQL fetch helper.
  * POST to https://{domain}/admin/api/{version}/graphql.json
+ * config defaults to the env store; pass { domain, token } for another shop.
  */
-async function shopifyGraphQL(query, variables = {}) {
-  const { domain, token } = getConfig();
+async function shopifyGraphQL(query, variables = {}, config = getConfig()) {
+  const { domain, token } = config;
   const url = `https://${domain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
 
   console.log('[shopify] POST', url);
@@ -479,6 +480,19 @@ async function fetchDraftOrders() {
 }
 
 
+// ─── Shop ownership ──────────────────────────────────────────────────────────
+
+/**
+ * Prove a caller controls a shop: its Admin API token must be accepted by
+ * that shop. Returns the shop's canonical myshopify domain.
+ */
+async function verifyShopAccess(domain, token) {
+  const data = await shopifyGraphQL(`{ shop { myshopifyDomain } }`, {}, { domain, token });
+  const verified = data?.shop?.myshopifyDomain;
+  if (!verified) throw new Error('Shopify did not return the shop domain');
+  return verified;
+}
+
 // ─── Exports ─────────────────────────────────────────────────────────────────
 
 export {
@@ -487,4 +501,5 @@ export {
   fetchCustomers,
   fetchOrders,
   fetchDraftOrders,
+  verifyShopAccess,
 };
@@ -2,17 +2,21 @@
  * shopifyFirestoreSync.js — Write-through layer.
  *
  * Takes normalized Shopify data (from shopifyAdmin.js fetchers) and
- * writes it into Firestore collections under farms/{farmId}/.
+ * writes it into Firestore collections under farms/{farmId}/. Every writer
+ * takes the target farmId first — resolve it with requestAuth.js.
  *
  * Handles:
  *   - Products  → shopifyProducts/{id}
  *   - Customers → shopifyCustomers/{id}  (with segment computation)
- *   - Orders    → shopifyOrders/{id}     (with segment + isReplacement flags)
+ *   - Orders    → shopifyOrders/{id}     (with segment + isReplacement flags;
+ *                                          draft lines checked against price
+ *                                          lists, see pricing.js)
  *
  * Firestore batch writes are capped at 500 ops per batch.
  */
 
-import { getFirestore, FARM_ID } from './firebaseAdmin.js';
+import { getFirestore } from './firebaseAdmin.js';
+import { priceDraftOrders } from './pricing.js';
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -49,9 +53,9 @@ async function batchWrite(collectionRef, items) {
   return written;
 }
 
-function farmCol(collection) {
+function farmCol(farmId, collection) {
   const db = getFirestore();
-  return db.collection('farms').doc(FARM_ID).collection(collection);
+  return db.collection('farms').doc(farmId).collection(collection);
 }
 
 // ─── Segment Logic ───────────────────────────────────────────────────────────
@@ -109,16 +113,16 @@ function buildCustomerSegmentMap(orders) {
 
 // ─── Products → Firestore ────────────────────────────────────────────────────
 
-export async function writeProducts(products) {
+export async function writeProducts(farmId, products) {
   const now = new Date().toISOString();
-  const col = farmCol('shopifyProducts');
+  const col = farmCol(farmId, 'shopifyProducts');
 
   const items = products.map(p => ({
     docId: cleanId(p.shopifyProductId) || p.shopifyProductId,
     data: {
       ...p,
       lastSyncedAt: now,
-      farmId: FARM_ID,
+      farmId,
     },
   }));
 
@@ -154,9 +158,9 @@ function deriveStatus(o) {
   return 'new';
 }
 
-export async function writeOrders(orders, draftOrders = []) {
+export async function writeOrders(farmId, orders, draftOrders = []) {
   const now = new Date().toISOString();
-  const col = farmCol('shopifyOrders');
+  const col = farmCol(farmId, 'shopifyOrders');
 
   // Regular orders
   const regularItems = orders.map(o => {
@@ -178,13 +182,15 @@ export async function writeOrders(orders, draftOrders = []) {
         orderType: 'regular',
         isReplacement: false,
         lastSyncedAt: now,
-        farmId: FARM_ID,
+        farmId,
       },
     };
   });
 
-  // Draft orders → chef segment
-  const draftItems = draftOrders.map(o => {
+  // Draft orders → chef segment, priced from the customer's price lists
+  const farmRef = getFirestore().collection('farms').doc(farmId);
+  const pricedDrafts = await priceDraftOrders(farmRef, draftOrders, now.slice(0, 10));
+  const draftItems = pricedDrafts.map(o => {
     const total = o.total || 0;
     return {
       docId: cleanId(o.shopifyDraftOrderId) || o.shopifyDraftOrderId,
@@ -196,7 +202,7 @@ export async function writeOrders(orders, draftOrders = []) {
         orderType: 'draft',
         isReplacement: total === 0,
         lastSyncedAt: now,
-        farmId: FARM_ID,
+        farmId,
       },
     };
   });
@@ -209,9 +215,9 @@ export async function writeOrders(orders, draftOrders = []) {
 
 // ─── Customers → Firestore ───────────────────────────────────────────────────
 
-export async function writeCustomers(customers, orders = [], draftOrders = []) {
+export async function writeCustomers(farmId, customers, orders = [], draftOrders = []) {
   const now = new Date().toISOString();
-  const col = farmCol('shopifyCustomers');
+  const col = farmCol(farmId, 'shopifyCustomers');
 
   // Build segment map from ALL order types
   const allOrders = [
@@ -308,7 +314,7 @@ export async function writeCustomers(customers, orders = [], draftOrders = []) {
         ordersCount,
         totalSpent,
         lastSyncedAt: now,
-        farmId: FARM_ID,
+        farmId,
       },
     };
   });
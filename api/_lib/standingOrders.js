@@ -0,0 +1,178 @@
+/**
+ * standingOrders.js — Server-side standing order placement.
+ *
+ * Turns chefs' standing orders (src/data/standingOrders.js — shared, not
+ * copied) into confirmed orders STANDING_ORDER_LEAD_DAYS ahead of delivery.
+ * Run by the /api/harvest-plan cron before it replans, so new deliveries
+ * are planned in the same pass.
+ *
+ * The chef's email — which picks their price lists and delivery zone — is
+ * looked up from customerId (Auth / users/), never read off the standing
+ * order, which the chef writes. A chef who has left the farm gets nothing.
+ *
+ * Each delivery goes through the same rules as /api/orders (orderRules.js):
+ *   - lines re-priced from products/ and the chef's price lists; lines for
+ *     products that are gone or unavailable are dropped
+ *   - lines for more than is available to promise are dropped
+ *   - delivery date and minimum from the chef's delivery zone
+ *   - the plan's monthly order limit
+ * Dropped lines are noted on the order (placementNotes). A delivery that
+ * fails the rest is held: not placed, with the reason on the standing
+ * order's heldDeliveries so the chef can see it. Held deliveries are
+ * re-checked on every run.
+ *
+ * Each delivery's order has a deterministic ID and is checked and written
+ * in one transaction (availability and the plan limit read their orders in
+ * it, as /api/orders does): an existing order is left alone, except one
+ * cancelled by a skip the chef has since undone, which is checked again and
+ * confirmed.
+ */
+
+import { getAdmin } from './firebaseAdmin.js';
+import { checkFarmLimit, recordPlanLimitAlert } from './entitlements.js';
+import { loadPricer } from './pricing.js';
+import { loadAvailability } from './availability.js';
+import { loadZoneFinder } from './deliveryZones.js';
+import { loadCustomer } from './orderPlacement.js';
+import {
+  farmClock,
+  deliveryDateError,
+  priceOrderItems,
+  orderTotal,
+  minimumError,
+} from '../../src/data/orderRules.js';
+import { availabilityErrors } from '../../src/data/availability.js';
+import { deliveryRules } from '../../src/data/deliveryZones.js';
+import {
+  dueDeliveries,
+  standingOrderDocId,
+  standingOrderFields,
+} from '../../src/data/standingOrders.js';
+
+async function loadProducts(farmRef) {
+  const snap = await farmRef.collection('products').get();
+  return new Map(snap.docs.map((d) => [d.id, { id: d.id, ...d.data() }]));
+}
+
+const isUnskipped = (order) => order.status === 'cancelled' && order.skipped;
+
+function sameHeld(a = {}, b = {}) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k]);
+}
+
+/**
+ * Check and price one delivery, reading orders through transaction t.
+ * Returns { items, notes } to place, or { held: reason } — with the plan
+ * check's result as planLimit when that's why.
+ */
+async function checkDelivery(ctx, t, so, date, rules, lists) {
+  const { db, farmId, farmRef, products, now, today } = ctx;
+
+  const dateError = deliveryDateError(date, rules, now);
+  if (dateError) return { held: dateError };
+
+  const priced = priceOrderItems(so.items, products, lists);
+  const notes = [...priced.errors];
+  const availability = await loadAvailability(farmRef, date, { today, products, transaction: t });
+  const items = priced.items.filter((item) => {
+    const [shortage] = availabilityErrors([item], availability, date);
+    if (shortage) notes.push(shortage);
+    return !shortage;
+  });
+  if (items.length === 0) return { held: notes.join('. ') };
+
+  const minError = minimumError(orderTotal(items), rules);
+  if (minError) return { held: minError };
+
+  const limit = await checkFarmLimit(db, farmId, 'maxOrdersPerMonth', 1, { transaction: t });
+  if (!limit.allowed) return { held: limit.message, planLimit: limit };
+  return { items, notes };
+}
+
+/**
+ * Place every due standing-order delivery for a farm.
+ * Returns { placed: [{ orderId, date }], reinstated: [...],
+ *   held: [{ standingOrderId, date, reason }] }.
+ */
+export async function placeStandingOrders(db, farmId, { now = new Date(), today } = {}) {
+  const farmRef = db.collection('farms').doc(farmId);
+  const snap = await farmRef.collection('standingOrders').where('status', '==', 'active').get();
+  const placed = [];
+  const reinstated = [];
+  const held = [];
+  if (snap.empty) return { placed, reinstated, held };
+
+  const configSnap = await farmRef.collection('meta').doc('config').get();
+  const config = configSnap.exists ? configSnap.data() : {};
+  const day = today || farmClock(now, config.timezone).date;
+  const [products, pricer, zoneFor] = await Promise.all([
+    loadProducts(farmRef),
+    loadPricer(farmRef, day),
+    loadZoneFinder(farmRef),
+  ]);
+  const ctx = { db, farmId, farmRef, products, now, today: day };
+  const { FieldValue } = getAdmin().firestore;
+
+  for (const soDoc of snap.docs) {
+    const so = soDoc.data();
+    const customer = so.customerId ? await loadCustomer(db, so.customerId) : null;
+    if (!customer || customer.farmId !== farmId) {
+      console.warn(`[standingOrders] ${farmId}/${soDoc.id}: customer ${so.customerId} isn't on this farm — skipped`);
+      continue;
+    }
+    const lists = pricer(customer.email);
+    const rules = deliveryRules(config, zoneFor(customer.email));
+    const heldDeliveries = {};
+
+    for (const date of dueDeliveries(so, day)) {
+      const orderId = standingOrderDocId(soDoc.id, date);
+      const ref = farmRef.collection('orders').doc(orderId);
+
+      const result = await db.runTransaction(async (t) => {
+        const existing = await t.get(ref);
+        if (existing.exists && !isUnskipped(existing.data())) return null;
+
+        const check = await checkDelivery(ctx, t, so, date, rules, lists);
+        if (check.held) return check;
+        const fields = {
+          ...standingOrderFields(so, soDoc.id, date, check.items),
+          customerName:   customer.name || so.customerName || customer.email,
+          customerEmail:  customer.email,
+          placementNotes: check.notes,
+          farmId,
+        };
+
+        if (!existing.exists) {
+          t.create(ref, {
+            ...fields,
+            createdAt:   FieldValue.serverTimestamp(),
+            confirmedAt: FieldValue.serverTimestamp(),
+          });
+          return 'placed';
+        }
+        t.update(ref, {
+          ...fields,
+          skipped:     false,
+          confirmedAt: FieldValue.serverTimestamp(),
+          updatedAt:   FieldValue.serverTimestamp(),
+        });
+        return 'reinstated';
+      });
+      if (result?.held) {
+        heldDeliveries[date] = result.held;
+        held.push({ standingOrderId: soDoc.id, date, reason: result.held });
+        if (result.planLimit) {
+          await recordPlanLimitAlert(db, farmId, 'maxOrdersPerMonth', result.planLimit, { source: 'standing-order', date });
+        }
+      }
+      if (result === 'placed') placed.push({ orderId, date });
+      if (result === 'reinstated') reinstated.push({ orderId, date });
+    }
+
+    if (!sameHeld(heldDeliveries, so.heldDeliveries)) {
+      await soDoc.ref.update({ heldDeliveries });
+    }
+  }
+  return { placed, reinstated, held };
+}
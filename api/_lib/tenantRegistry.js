@@ -0,0 +1,200 @@
+/**
+ * tenantRegistry.js — Maps external integration accounts to farm IDs.
+ *
+ * Webhooks and cron jobs have no signed-in user, so they pick the tenant by
+ * looking up the account that sent the event:
+ *
+ *   shopify    — shop domain (X-Shopify-Shop-Domain header)
+ *   easyroutes — EasyRoutes account ID
+ *   stripe     — Stripe customer ID
+ *
+ * Registry docs live in a top-level collection (Admin SDK only — rules deny
+ * client access):
+ *
+ *   integrationRegistry/{provider}__{key} → { provider, key, farmId, webhookSecret? }
+ *
+ * EasyRoutes signs each account's webhooks with that account's own secret,
+ * so its entries carry the secret the farm registered them with.
+ *
+ * The farm root doc mirrors its own entries under `integrations.{provider}`
+ * so Settings can show what's connected without reading the registry.
+ *
+ * The accounts the single-tenant deployment ran on (SHOPIFY_STORE_DOMAIN,
+ * EASYROUTES_ACCOUNT_ID) belong to DEFAULT_FARM_ID. They're written to the
+ * registry the first time they're looked up, so no other farm can claim
+ * them.
+ */
+
+import { DEFAULT_FARM_ID } from './firebaseAdmin.js';
+
+export const PROVIDERS = ['shopify', 'easyroutes', 'stripe'];
+
+const REGISTRY_COLLECTION = 'integrationRegistry';
+
+/** Normalize an account key so lookups are case/format insensitive. */
+export function normalizeKey(provider, key) {
+  if (key === null || key === undefined) return '';
+  let k = String(key).trim();
+  if (provider === 'shopify') {
+    // "https://Store.myshopify.com/" → "store.myshopify.com"
+    k = k.toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  }
+  return k;
+}
+
+function registryDocId(provider, normalizedKey) {
+  const safe = normalizedKey.replace(/[/\\]+/g, '_').substring(0, 200);
+  return `${provider}__${safe}`;
+}
+
+/** Env var naming each provider's pre-registry account, if it had one. */
+const LEGACY_ACCOUNT_ENV = {
+  shopify:    'SHOPIFY_STORE_DOMAIN',
+  easyroutes: 'EASYROUTES_ACCOUNT_ID',
+};
+
+/** The pre-registry account for a provider (normalized), or ''. */
+function legacyKey(provider) {
+  const env = LEGACY_ACCOUNT_ENV[provider];
+  return env ? normalizeKey(provider, process.env[env]) : '';
+}
+
+/** Whether an account is one the single-tenant deployment ran on. */
+const isLegacyAccount = (provider, normalizedKey) =>
+  !!normalizedKey && normalizedKey === legacyKey(provider);
+
+async function writeRegistryEntry(db, provider, normalized, farmId, existing, webhookSecret) {
+  const now = new Date().toISOString();
+  await db.collection(REGISTRY_COLLECTION).doc(registryDocId(provider, normalized)).set({
+    provider,
+    key: normalized,
+    farmId,
+    updatedAt: now,
+    ...(webhookSecret ? { webhookSecret } : {}),
+    ...(existing?.exists ? {} : { createdAt: now }),
+  }, { merge: true });
+
+  await db.collection('farms').doc(farmId).set({
+    integrations: { [provider]: normalized },
+  }, { merge: true });
+}
+
+/**
+ * Look up an integration account's registry entry:
+ * { farmId, webhookSecret, legacy }. `legacy` marks the pre-registry
+ * account, whose webhooks are still signed with the env secret.
+ * Returns null when the account isn't registered (an empty key included).
+ */
+export async function getIntegration(db, provider, key) {
+  if (!PROVIDERS.includes(provider)) throw new Error(`Unknown integration provider: ${provider}`);
+  const normalized = normalizeKey(provider, key);
+  if (!normalized) return null;
+
+  const legacy = isLegacyAccount(provider, normalized);
+  const snap = await db.collection(REGISTRY_COLLECTION).doc(registryDocId(provider, normalized)).get();
+  if (snap.exists && snap.data().farmId) {
+    const { farmId, webhookSecret = null } = snap.data();
+    return { farmId, webhookSecret, legacy };
+  }
+  if (!legacy) return null;
+
+  await writeRegistryEntry(db, provider, normalized, DEFAULT_FARM_ID, snap);
+  return { farmId: DEFAULT_FARM_ID, webhookSecret: null, legacy };
+}
+
+/**
+ * Resolve the farm that owns an integration account.
+ * Returns null when the account isn't registered (an empty key included).
+ */
+export async function resolveFarmId(db, provider, key) {
+  const entry = await getIntegration(db, provider, key);
+  return entry ? entry.farmId : null;
+}
+
+/** Register the pre-registry accounts to DEFAULT_FARM_ID if they aren't yet. */
+export async function seedLegacyIntegrations(db) {
+  for (const provider of Object.keys(LEGACY_ACCOUNT_ENV)) {
+    if (legacyKey(provider)) await resolveFarmId(db, provider, legacyKey(provider));
+  }
+}
+
+/**
+ * Link an integration account to a farm. Callers must have proven the farm
+ * controls the account (the shop's own API token, a signed Stripe event, or
+ * a farm admin supplying the account's webhook secret).
+ * Re-registering an account that belongs to another farm throws — accounts
+ * are never silently moved, and the legacy accounts stay with
+ * DEFAULT_FARM_ID.
+ */
+export async function registerIntegration(db, provider, key, farmId, { webhookSecret } = {}) {
+  if (!PROVIDERS.includes(provider)) throw new Error(`Unknown integration provider: ${provider}`);
+  const normalized = normalizeKey(provider, key);
+  if (!normalized || !farmId) throw new Error('provider key and farmId are required');
+
+  const existing = await db.collection(REGISTRY_COLLECTION).doc(registryDocId(provider, normalized)).get();
+  const owner = existing.exists && existing.data().farmId
+    ? existing.data().farmId
+    : isLegacyAccount(provider, normalized) ? DEFAULT_FARM_ID : null;
+  if (owner && owner !== farmId) {
+    throw new Error(`${provider} account ${normalized} is already linked to another farm`);
+  }
+
+  await writeRegistryEntry(db, provider, normalized, farmId, existing, webhookSecret);
+  return normalized;
+}
+
+/**
+ * Remove a farm's link to an integration account.
+ */
+export async function unregisterIntegration(db, provider, key, farmId) {
+  const normalized = normalizeKey(provider, key);
+  const ref = db.collection(REGISTRY_COLLECTION).doc(registryDocId(provider, normalized));
+  const snap = await ref.get();
+  if (!snap.exists || snap.data().farmId !== farmId) return false;
+
+  await ref.delete();
+  const farmRef = db.collection('farms').doc(farmId);
+  const farmSnap = await farmRef.get();
+  if (farmSnap.exists && farmSnap.data().integrations?.[provider] === normalized) {
+    await farmRef.set({ integrations: { [provider]: null } }, { merge: true });
+  }
+  return true;
+}
+
+/**
+ * The Shopify sync routes read the one store set in env
+ * (SHOPIFY_STORE_DOMAIN). Only the farm that store is registered to may
+ * sync from it — throws a 403 for any other farm.
+ */
+export async function assertOwnsEnvShop(db, farmId) {
+  const owner = await resolveFarmId(db, 'shopify', process.env.SHOPIFY_STORE_DOMAIN);
+  if (owner !== farmId) {
+    const err = new Error('This farm is not linked to the configured Shopify store');
+    err.status = 403;
+    throw err;
+  }
+}
+
+/**
+ * List every integration registered to a farm. Webhook secrets are left
+ * out — callers only learn whether one is set.
+ */
+export async function listFarmIntegrations(db, farmId) {
+  const snap = await db.collection(REGISTRY_COLLECTION).where('farmId', '==', farmId).get();
+  return snap.docs.map(d => {
+    const { webhookSecret, ...entry } = d.data();
+    return { id: d.id, ...entry, hasWebhookSecret: !!webhookSecret };
+  });
+}
+
+/**
+ * IDs of all farms a cron job should process. Farms without a status field
+ * predate multi-tenancy and count as active.
+ */
+export async function listActiveFarmIds(db) {
+  const snap = await db.collection('farms').select('status').get();
+  const ids = snap.docs
+    .filter(d => (d.data().status || 'active') === 'active')
+    .map(d => d.id);
+  return ids.length > 0 ? ids : [DEFAULT_FARM_ID];
+}
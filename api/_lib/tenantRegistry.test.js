@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DEFAULT_FARM_ID } from './firebaseAdmin.js';
+import {
+  normalizeKey,
+  getIntegration,
+  resolveFarmId,
+  registerIntegration,
+  unregisterIntegration,
+  seedLegacyIntegrations,
+  assertOwnsEnvShop,
+  listFarmIntegrations,
+  listActiveFarmIds,
+} from './tenantRegistry.js';
+
+const isPlain = (v) => v && typeof v === 'object' && !Array.isArray(v);
+function merge(a, b) {
+  const out = { ...a };
+  for (const [k, v] of Object.entries(b)) out[k] = isPlain(v) && isPlain(a[k]) ? merge(a[k], v) : v;
+  return out;
+}
+
+/** In-memory stand-in for the Admin SDK calls the registry makes. */
+function fakeDb() {
+  const store = new Map();
+  const snap = (path) => ({
+    id: path.split('/').pop(),
+    exists: store.has(path),
+    data: () => store.get(path),
+  });
+  const docsIn = (name) => [...store.keys()].filter((p) => p.startsWith(`${name}/`)).map(snap);
+  const collection = (name) => ({
+    doc: (id) => {
+      const path = `${name}/${id}`;
+      return {
+        get: async () => snap(path),
+        set: async (data, opts) => { store.set(path, opts?.merge ? merge(store.get(path) || {}, data) : data); },
+        delete: async () => { store.delete(path); },
+      };
+    },
+    where: (field, op, value) => ({ get: async () => ({ docs: docsIn(name).filter((d) => d.data()[field] === value) }) }),
+    select: () => ({ get: async () => ({ docs: docsIn(name) }) }),
+  });
+  return { collection, store };
+}
+
+let db;
+beforeEach(() => {
+  db = fakeDb();
+  vi.stubEnv('SHOPIFY_STORE_DOMAIN', 'Legacy-Farm.myshopify.com');
+  vi.stubEnv('EASYROUTES_ACCOUNT_ID', 'er-legacy');
+});
+afterEach(() => vi.unstubAllEnvs());
+
+describe('normalizeKey', () => {
+  it('normalizes shop domains and leaves other keys as sent', () => {
+    expect(normalizeKey('shopify', 'https://Store.myshopify.com/')).toBe('store.myshopify.com');
+    expect(normalizeKey('stripe', ' cus_ABC ')).toBe('cus_ABC');
+    expect(normalizeKey('shopify', null)).toBe('');
+  });
+});
+
+describe('resolveFarmId', () => {
+  it('returns the registered farm', async () => {
+    await registerIntegration(db, 'shopify', 'greens.myshopify.com', 'farm-b');
+    expect(await resolveFarmId(db, 'shopify', 'https://GREENS.myshopify.com')).toBe('farm-b');
+  });
+
+  it('returns null for unknown accounts and empty keys', async () => {
+    expect(await resolveFarmId(db, 'shopify', 'other.myshopify.com')).toBeNull();
+    expect(await resolveFarmId(db, 'shopify', '')).toBeNull();
+    expect(await resolveFarmId(db, 'easyroutes', undefined)).toBeNull();
+  });
+
+  it('registers the legacy accounts to the default farm on first lookup', async () => {
+    expect(await resolveFarmId(db, 'shopify', 'legacy-farm.myshopify.com')).toBe(DEFAULT_FARM_ID);
+    expect(db.store.get('integrationRegistry/shopify__legacy-farm.myshopify.com').farmId).toBe(DEFAULT_FARM_ID);
+    expect(db.store.get(`farms/${DEFAULT_FARM_ID}`).integrations.shopify).toBe('legacy-farm.myshopify.com');
+  });
+
+  it('rejects unknown providers', async () => {
+    await expect(resolveFarmId(db, 'paypal', 'x')).rejects.toThrow(/Unknown integration provider/);
+  });
+});
+
+describe('getIntegration', () => {
+  it('returns the webhook secret an account was registered with', async () => {
+    await registerIntegration(db, 'easyroutes', 'er-1', 'farm-b', { webhookSecret: 'whsec_farm_b' });
+    expect(await getIntegration(db, 'easyroutes', 'er-1'))
+      .toEqual({ farmId: 'farm-b', webhookSecret: 'whsec_farm_b', legacy: false });
+  });
+
+  it('flags the legacy account so its env secret applies', async () => {
+    expect(await getIntegration(db, 'easyroutes', 'er-legacy'))
+      .toEqual({ farmId: DEFAULT_FARM_ID, webhookSecret: null, legacy: true });
+    expect(await getIntegration(db, 'easyroutes', 'er-unknown')).toBeNull();
+  });
+});
+
+describe('registerIntegration', () => {
+  it('never moves an account to another farm', async () => {
+    await registerIntegration(db, 'stripe', 'cus_1', 'farm-a');
+    await expect(registerIntegration(db, 'stripe', 'cus_1', 'farm-b')).rejects.toThrow(/already linked/);
+    expect(await registerIntegration(db, 'stripe', 'cus_1', 'farm-a')).toBe('cus_1');
+  });
+
+  it('keeps the legacy accounts with the default farm', async () => {
+    await expect(registerIntegration(db, 'easyroutes', 'er-legacy', 'farm-b')).rejects.toThrow(/already linked/);
+    await expect(registerIntegration(db, 'easyroutes', 'er-legacy', DEFAULT_FARM_ID)).resolves.toBe('er-legacy');
+  });
+
+  it('requires a key and a farm', async () => {
+    await expect(registerIntegration(db, 'stripe', '', 'farm-a')).rejects.toThrow(/required/);
+  });
+});
+
+describe('unregisterIntegration', () => {
+  it('removes only the farm’s own link and clears its mirror', async () => {
+    await registerIntegration(db, 'stripe', 'cus_1', 'farm-a');
+    expect(await unregisterIntegration(db, 'stripe', 'cus_1', 'farm-b')).toBe(false);
+    expect(await unregisterIntegration(db, 'stripe', 'cus_1', 'farm-a')).toBe(true);
+    expect(await resolveFarmId(db, 'stripe', 'cus_1')).toBeNull();
+    expect(db.store.get('farms/farm-a').integrations.stripe).toBeNull();
+  });
+});
+
+describe('listFarmIntegrations', () => {
+  it('reports whether a webhook secret is set without returning it', async () => {
+    await registerIntegration(db, 'easyroutes', 'er-1', 'farm-b', { webhookSecret: 'whsec_farm_b' });
+    const [entry] = await listFarmIntegrations(db, 'farm-b');
+    expect(entry).toMatchObject({ key: 'er-1', hasWebhookSecret: true });
+    expect(entry).not.toHaveProperty('webhookSecret');
+  });
+});
+
+describe('seedLegacyIntegrations', () => {
+  it('writes every configured legacy account', async () => {
+    await seedLegacyIntegrations(db);
+    expect((await listFarmIntegrations(db, DEFAULT_FARM_ID)).map((e) => e.id).sort())
+      .toEqual(['easyroutes__er-legacy', 'shopify__legacy-farm.myshopify.com']);
+  });
+});
+
+describe('assertOwnsEnvShop', () => {
+  it('lets only the store’s own farm sync from it', async () => {
+    await expect(assertOwnsEnvShop(db, DEFAULT_FARM_ID)).resolves.toBeUndefined();
+    await expect(assertOwnsEnvShop(db, 'farm-b')).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+describe('listActiveFarmIds', () => {
+  it('skips inactive farms and counts farms without a status as active', async () => {
+    await db.collection('farms').doc('a').set({ status: 'active' });
+    await db.collection('farms').doc('b').set({ status: 'suspended' });
+    await db.collection('farms').doc('c').set({ name: 'Old farm' });
+    expect(await listActiveFarmIds(db)).toEqual(['a', 'c']);
+  });
+
+  it('falls back to the default farm when there are none', async () => {
+    expect(await listActiveFarmIds(db)).toEqual([DEFAULT_FARM_ID]);
+  });
+});
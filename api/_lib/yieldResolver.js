@@ -0,0 +1,32 @@
+/**
+ * yieldResolver.js — Server-side yield-per-tray resolver.
+ *
+ * Loads crop profiles and Learning Engine yield profiles (stats/yp_*) with
+ * the Admin SDK and builds the same resolver the client uses
+ * (src/data/yieldResolution.js — shared, not copied).
+ */
+
+import { getAdmin } from './firebaseAdmin.js';
+import { createYieldResolver } from '../../src/data/yieldResolution.js';
+
+const YP_PREFIX = 'yp_';
+
+export async function loadYieldResolver(farmRef) {
+  const idField = getAdmin().firestore.FieldPath.documentId();
+  const [profileSnap, learnedSnap] = await Promise.all([
+    farmRef.collection('cropProfiles').limit(200).get(),
+    farmRef.collection('stats')
+      .where(idField, '>=', YP_PREFIX)
+      .where(idField, '<', 'yp`')
+      .limit(500)
+      .get(),
+  ]);
+
+  const learned = new Map();
+  learnedSnap.forEach((d) => learned.set(d.id.slice(YP_PREFIX.length), d.data()));
+
+  return createYieldResolver({
+    profiles: profileSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    learned,
+  });
+}
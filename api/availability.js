@@ -0,0 +1,48 @@
+/**
+ * POST /api/availability — What's left to order for a delivery date.
+ *
+ *   POST { date: 'YYYY-MM-DD' }
+ *     → { success, date, availability: { [productId]: { available, oversell } } }
+ *       available is units still unpromised, or null when the product
+ *       isn't limited (see src/data/availability.js)
+ *
+ * Worked out from every customer's orders, which chefs can't read, so the
+ * chef catalog asks here. Calculation: _lib/availability.js.
+ * Auth: Firebase ID token, any farm member.
+ */
+
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { loadAvailability } from './_lib/availability.js';
+import { farmClock } from '../src/data/orderRules.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { date } = req.body || {};
+  if (typeof date !== 'string' || !DATE_RE.test(date)) {
+    return res.status(400).json({ success: false, error: 'date (YYYY-MM-DD) is required' });
+  }
+
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+
+  try {
+    const farmRef = getFirestore().collection('farms').doc(farmId);
+    const configSnap = await farmRef.collection('meta').doc('config').get();
+    const { date: today } = farmClock(new Date(), configSnap.exists ? configSnap.data().timezone : undefined);
+    const availability = await loadAvailability(farmRef, date, { today });
+    return res.status(200).json({ success: true, date, availability });
+  } catch (err) {
+    console.error('[availability] ERROR:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
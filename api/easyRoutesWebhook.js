@@ -2,20 +2,30 @@
  * easyRoutesWebhook — Vercel serverless function.
  *
  * HTTPS endpoint that receives POST requests from EasyRoutes webhooks.
- * Validates HMAC-SHA256 signature, then processes delivery events:
+ * Looks up the farm registered for the event's EasyRoutes account, validates
+ * the HMAC-SHA256 signature with that account's secret, then processes
+ * delivery events:
  *
  *   ROUTE_CREATED         → create delivery doc in Firestore
  *   ROUTE_UPDATED         → update stops / driver info
  *   STOP_STATUS_UPDATED   → update individual stop, auto-mark order delivered + log revenue
  *   ROUTE_COMPLETED       → mark delivery as complete, log to activity system
  *
+ * Accounts are registered with their webhook secret through /api/integrations.
+ * Events from unregistered accounts get a 404, and events without a valid
+ * signature (or with no secret to check it against) get a 401.
+ *
  * Environment variables required (set in Vercel dashboard):
- *   EASYROUTES_WEBHOOK_SECRET  — shared secret for HMAC-SHA256 validation
+ *   EASYROUTES_ACCOUNT_ID      — (optional) pre-registry account, owned by DEFAULT_FARM_ID
+ *   EASYROUTES_WEBHOOK_SECRET  — HMAC-SHA256 secret for EASYROUTES_ACCOUNT_ID's webhooks
  *   FIREBASE_SERVICE_ACCOUNT   — stringified JSON key for admin SDK
  *
  * Endpoint: https://micos-agile.vercel.app/api/easyRoutesWebhook
  */
 
+import { getIntegration } from './_lib/tenantRegistry.js';
+import { checkFarmLimit, recordPlanLimitAlert } from './_lib/entitlements.js';
+
 const crypto = require('crypto');
 
 // -- Firebase Admin SDK (lazy-initialized) ------------------------------------
@@ -35,37 +45,52 @@ function initFirebase() {
 
 // -- Signature validation -----------------------------------------------------
 
-function verifySignature(body, signature) {
-  const secret = process.env.EASYROUTES_WEBHOOK_SECRET;
+function verifySignature(body, signature, secret) {
   if (!secret) {
-    console.warn('[webhook] EASYROUTES_WEBHOOK_SECRET not set — skipping signature validation');
-    return true;
+    console.error('[webhook] No webhook secret registered for this account — refusing unsigned request');
+    return false;
   }
   const expected = crypto
     .createHmac('sha256', secret)
     .update(body, 'utf8')
     .digest('hex');
-  return crypto.timingSafeEqual(
-    Buffer.from(signature || '', 'utf8'),
-    Buffer.from(expected, 'utf8')
-  );
+  try {
+    return crypto.timingSafeEqual(
+      Buffer.from(signature || '', 'utf8'),
+      Buffer.from(expected, 'utf8')
+    );
+  } catch {
+    return false;
+  }
 }
 
 // -- Helpers ------------------------------------------------------------------
 
-const FARM_ID = 'micos-farm-001';
+/**
+ * The registry entry for the event's EasyRoutes account, with the secret
+ * its webhooks are signed with. The account ID is unsigned until the
+ * signature is checked, so it's only used to pick the secret — nothing is
+ * registered from it.
+ */
+async function resolveEventAccount(req, payload) {
+  const accountId = payload.accountId || payload.account_id || req.headers['x-easyroutes-account'];
+  const entry = await getIntegration(dbAdmin, 'easyroutes', accountId);
+  if (!entry) return null;
+  const secret = entry.webhookSecret || (entry.legacy ? process.env.EASYROUTES_WEBHOOK_SECRET : null);
+  return { farmId: entry.farmId, secret };
+}
 
-function deliveriesCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('deliveries');
+function deliveriesCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('deliveries');
 }
-function ordersCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('orders');
+function ordersCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('orders');
 }
-function revenueCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('revenue');
+function revenueCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('revenue');
 }
-function activitiesCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('activities');
+function activitiesCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('activities');
 }
 
 // -- Vercel handler (default export) ------------------------------------------
@@ -82,36 +107,60 @@ export default async function handler(req, res) {
     req.headers['X-EasyRoutes-Signature'] ||
     '';
 
-  if (!verifySignature(rawBody, signature)) {
-    console.error('[webhook] Invalid signature');
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-
   let payload;
   try {
     payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
   } catch {
     return res.status(400).json({ error: 'Invalid JSON' });
   }
+  if (!payload || typeof payload !== 'object') {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
 
+  initFirebase();
+
+  let account;
+  try {
+    account = await resolveEventAccount(req, payload);
+  } catch (err) {
+    console.error('[webhook] Tenant lookup failed:', err);
+    return res.status(500).json({ error: err.message });
+  }
+  if (!account) {
+    console.warn('[webhook] No farm registered for this EasyRoutes account');
+    return res.status(404).json({ error: 'Unknown tenant' });
+  }
+
+  if (!verifySignature(rawBody, signature, account.secret)) {
+    console.error('[webhook] Invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const { farmId } = account;
   const { topic, data } = payload;
   console.log(`[webhook] EasyRoutes event: ${topic}`, JSON.stringify(data).slice(0, 500));
 
-  initFirebase();
-
   try {
+    // Delivery tracking is a paid feature — acknowledge but don't write
+    const limit = await checkFarmLimit(dbAdmin, farmId, 'deliveryTracking');
+    if (!limit.allowed) {
+      console.warn(`[webhook] ${farmId} plan excludes delivery tracking — skipping ${topic}`);
+      await recordPlanLimitAlert(dbAdmin, farmId, 'deliveryTracking', limit, { source: 'easyroutes', topic });
+      return res.status(200).json({ success: false, skipped: 'plan-limit' });
+    }
+
     switch (topic) {
       case 'ROUTE_CREATED':
-        await handleRouteCreated(data);
+        await handleRouteCreated(farmId, data);
         break;
       case 'ROUTE_UPDATED':
-        await handleRouteUpdated(data);
+        await handleRouteUpdated(farmId, data);
         break;
       case 'STOP_STATUS_UPDATED':
-        await handleStopStatusUpdated(data);
+        await handleStopStatusUpdated(farmId, data);
         break;
       case 'ROUTE_COMPLETED':
-        await handleRouteCompleted(data);
+        await handleRouteCompleted(farmId, data);
         break;
       default:
         console.log(`[webhook] Unhandled topic: ${topic}`);
@@ -126,7 +175,7 @@ export default async function handler(req, res) {
 
 // -- Event handlers -----------------------------------------------------------
 
-async function handleRouteCreated(data) {
+async function handleRouteCreated(farmId, data) {
   const stops = (data.stops || []).map((s) => ({
     customerName: s.customerName || s.name || 'Unknown',
     orderId: s.orderId || null,
@@ -135,21 +184,21 @@ async function handleRouteCreated(data) {
     proofPhotoUrl: null,
   }));
 
-  await deliveriesCol().add({
+  await deliveriesCol(farmId).add({
     easyRoutesRouteId: data.routeId || data.id || null,
     date: data.date || new Date().toISOString().split('T')[0],
     driverName: data.driverName || data.driver || 'Unassigned',
     status: 'pending',
     stops,
-    farmId: FARM_ID,
+    farmId,
     createdAt: admin.firestore.FieldValue.serverTimestamp(),
     completedAt: null,
   });
 }
 
-async function handleRouteUpdated(data) {
+async function handleRouteUpdated(farmId, data) {
   const routeId = data.routeId || data.id;
-  const snap = await deliveriesCol().where('easyRoutesRouteId', '==', routeId).limit(1).get();
+  const snap = await deliveriesCol(farmId).where('easyRoutesRouteId', '==', routeId).limit(1).get();
   if (snap.empty) {
     console.warn(`[webhook] No delivery found for routeId ${routeId}`);
     return;
@@ -177,9 +226,9 @@ async function handleRouteUpdated(data) {
   await docRef.update(updates);
 }
 
-async function handleStopStatusUpdated(data) {
+async function handleStopStatusUpdated(farmId, data) {
   const routeId = data.routeId || data.id;
-  const snap = await deliveriesCol().where('easyRoutesRouteId', '==', routeId).limit(1).get();
+  const snap = await deliveriesCol(farmId).where('easyRoutesRouteId', '==', routeId).limit(1).get();
   if (snap.empty) {
     console.warn(`[webhook] No delivery found for routeId ${routeId}`);
     return;
@@ -216,14 +265,14 @@ async function handleStopStatusUpdated(data) {
   if ((data.status || '').toLowerCase() === 'delivered' && stopIdx >= 0) {
     const orderId = stops[stopIdx].orderId;
     if (orderId) {
-      await autoDeliverOrder(orderId);
+      await autoDeliverOrder(farmId, orderId);
     }
   }
 }
 
-async function handleRouteCompleted(data) {
+async function handleRouteCompleted(farmId, data) {
   const routeId = data.routeId || data.id;
-  const snap = await deliveriesCol().where('easyRoutesRouteId', '==', routeId).limit(1).get();
+  const snap = await deliveriesCol(farmId).where('easyRoutesRouteId', '==', routeId).limit(1).get();
   if (snap.empty) return;
 
   const docRef = snap.docs[0].ref;
@@ -236,7 +285,7 @@ async function handleRouteCompleted(data) {
   });
 
   const deliveredCount = (delivery.stops || []).filter((s) => s.deliveryStatus === 'delivered').length;
-  await activitiesCol().add({
+  await activitiesCol(farmId).add({
     type: 'completion_note',
     note: `🚚 Route completed: ${deliveredCount}/${(delivery.stops || []).length} stops delivered. Driver: ${delivery.driverName || 'Unknown'}.`,
     contactGroup: 'other',
@@ -247,9 +296,9 @@ async function handleRouteCompleted(data) {
 
 // -- Auto-deliver order + log revenue -----------------------------------------
 
-async function autoDeliverOrder(orderId) {
+async function autoDeliverOrder(farmId, orderId) {
   try {
-    const orderRef = ordersCol().doc(orderId);
+    const orderRef = ordersCol(farmId).doc(orderId);
     const orderSnap = await orderRef.get();
     if (!orderSnap.exists) return;
 
@@ -262,14 +311,14 @@ async function autoDeliverOrder(orderId) {
     });
 
     if (order.total && order.total > 0) {
-      await revenueCol().add({
+      await revenueCol(farmId).add({
         orderId,
         customerId: order.customerId || null,
         customerName: order.customerName || order.customerEmail || '',
         amount: order.total,
         date: new Date().toISOString().split('T')[0],
         items: order.items || [],
-        farmId: FARM_ID,
+        farmId,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
       });
     }
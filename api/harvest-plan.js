@@ -0,0 +1,162 @@
+/**
+ * /api/harvest-plan — Regenerate harvest plans and production tasks.
+ *
+ * Replaces the in-browser order watcher, so plans are made whether or not
+ * anyone has the app open (planning itself lives in _lib/harvestPlanner.js).
+ *
+ *   POST { orderIds?: string[], deliveryDates?: string[] }
+ *     Called by the app after it creates or changes orders. Replans every
+ *     given date plus the dates those orders are on (or were on).
+ *     Auth: Firebase ID token (staff roles) or SYNC_API_SECRET. Chefs may
+ *     replan only by their own orders (after skipping a delivery).
+ *
+ *   POST { action: 'approve' | 'dismiss', deliveryDate, version }
+ *     Apply or reject a date's pending plan changes (dates that already had
+ *     production tasks wait for this before anything is changed).
+ *     Auth: Firebase ID token (admin/manager).
+ *
+ *   GET
+ *     Vercel Cron (see vercel.json). Places due standing-order deliveries
+ *     (_lib/standingOrders.js), then replans every upcoming delivery date of
+ *     every active farm. Auth: Bearer CRON_SECRET (401 when it isn't set).
+ *
+ * Replanning an unchanged date is a no-op, so callers may retry freely.
+ */
+
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { listActiveFarmIds } from './_lib/tenantRegistry.js';
+import {
+  isPlanDate,
+  affectedDeliveryDates,
+  upcomingPlanDates,
+  regenerateHarvestPlans,
+  applyHarvestPlanDiff,
+  dismissHarvestPlanDiff,
+} from './_lib/harvestPlanner.js';
+import { placeStandingOrders } from './_lib/standingOrders.js';
+
+const MAX_DATES = 31;
+
+/** Whether every order belongs to the chef — they may replan nothing else. */
+async function ownsOrders(db, farmId, uid, orderIds) {
+  if (orderIds.length === 0 || orderIds.length > MAX_DATES) return false;
+  const orders = db.collection('farms').doc(farmId).collection('orders');
+  const snaps = await Promise.all(orderIds.map((id) => orders.doc(id).get()));
+  return snaps.every((snap) => snap.exists && snap.data().customerId === uid);
+}
+
+async function handleReview(req, res, action) {
+  let farmId, uid, role;
+  try {
+    ({ farmId, uid, role } = await resolveRequestFarm(req, { roles: ['admin', 'manager'] }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+
+  const { deliveryDate, version } = req.body || {};
+  if (!isPlanDate(deliveryDate) || !Number.isInteger(version)) {
+    return res.status(400).json({ success: false, error: 'deliveryDate and version are required' });
+  }
+
+  try {
+    const review = action === 'approve' ? applyHarvestPlanDiff : dismissHarvestPlanDiff;
+    const result = await review(getFirestore(), farmId, deliveryDate, version, { actor: uid || role });
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    if (!err.status) console.error(`[harvest-plan] ${action} failed:`, err);
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+}
+
+async function handleCron(req, res) {
+  // Without a configured secret there's nothing to check callers against
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const db = getFirestore();
+  const farmIds = await listActiveFarmIds(db);
+  const farms = {};
+  let failed = 0;
+
+  for (const farmId of farmIds) {
+    try {
+      const standing = await placeStandingOrders(db, farmId);
+      const dates = await upcomingPlanDates(db, farmId);
+      const results = await regenerateHarvestPlans(db, farmId, dates, { trigger: 'cron' });
+      farms[farmId] = {
+        success:        true,
+        standingOrders: standing.placed.length + standing.reinstated.length,
+        heldDeliveries: standing.held.length,
+        dates:          dates.length,
+        changed:        results.filter((r) => r.changed).length,
+      };
+    } catch (err) {
+      failed++;
+      console.error(`[harvest-plan] cron ${farmId} failed:`, err);
+      farms[farmId] = { success: false, error: err.message };
+    }
+  }
+
+  return res.status(failed > 0 && failed === farmIds.length ? 500 : 200).json({ success: failed === 0, farms });
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    try {
+      return await handleCron(req, res);
+    } catch (err) {
+      console.error('[harvest-plan] cron failed:', err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const action = req.body?.action;
+  if (action === 'approve' || action === 'dismiss') {
+    return handleReview(req, res, action);
+  }
+
+  let farmId, uid, role;
+  try {
+    ({ farmId, uid, role } = await resolveRequestFarm(req, { roles: ['admin', 'manager', 'employee', 'driver', 'chef'] }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+
+  const { orderIds = [], deliveryDates = [], trigger } = req.body || {};
+  if (!Array.isArray(orderIds) || !Array.isArray(deliveryDates)) {
+    return res.status(400).json({ success: false, error: 'orderIds and deliveryDates must be arrays' });
+  }
+  const badDate = deliveryDates.find((d) => !isPlanDate(d));
+  if (badDate !== undefined) {
+    return res.status(400).json({ success: false, error: `Invalid delivery date "${badDate}"` });
+  }
+
+  try {
+    const db = getFirestore();
+    if (role === 'chef' && (deliveryDates.length > 0 || !(await ownsOrders(db, farmId, uid, orderIds.map(String))))) {
+      return res.status(403).json({ success: false, error: 'Chefs can only replan their own orders' });
+    }
+    const dates = new Set(deliveryDates);
+    if (orderIds.length > 0) {
+      (await affectedDeliveryDates(db, farmId, orderIds.map(String))).forEach((d) => dates.add(d));
+    }
+    if (dates.size > MAX_DATES) {
+      return res.status(400).json({ success: false, error: `At most ${MAX_DATES} delivery dates per request` });
+    }
+
+    const results = await regenerateHarvestPlans(db, farmId, [...dates].sort(), {
+      trigger: `app:${typeof trigger === 'string' && trigger ? trigger.slice(0, 40) : 'order-change'}`,
+      actor: uid || role,
+    });
+    return res.status(200).json({ success: results.every((r) => !r.error), results });
+  } catch (err) {
+    console.error('[harvest-plan] failed:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * /api/integrations — Manage the caller's farm integration accounts.
+ *
+ * Webhooks pick their tenant from this registry (see _lib/tenantRegistry.js),
+ * so a farm must register its Shopify shop and EasyRoutes account before
+ * their events are accepted.
+ *
+ *   GET                                                → list this farm's integrations
+ *   POST   { provider: 'shopify', key, accessToken }     → link a shop (admin only)
+ *   POST   { provider: 'easyroutes', key, webhookSecret } → link a route account (admin only)
+ *   DELETE { provider, key }                            → unlink an account (admin only)
+ *
+ * Linking needs proof the farm controls the account. For Shopify that's an
+ * Admin API token the shop accepts. An EasyRoutes account is linked with the
+ * webhook secret from its EasyRoutes settings; only events signed with that
+ * secret are accepted for the farm. Stripe customers are linked at checkout,
+ * so they can't be claimed here.
+ */
+
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { verifyShopAccess } from './_lib/shopifyAdmin.js';
+import {
+  PROVIDERS,
+  normalizeKey,
+  seedLegacyIntegrations,
+  registerIntegration,
+  unregisterIntegration,
+  listFarmIntegrations,
+} from './_lib/tenantRegistry.js';
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req, {
+      roles: req.method === 'GET' ? undefined : ['admin'],
+    }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+
+  const db = getFirestore();
+
+  try {
+    await seedLegacyIntegrations(db);
+
+    if (req.method === 'GET') {
+      const integrations = await listFarmIntegrations(db, farmId);
+      return res.status(200).json({ success: true, integrations });
+    }
+
+    const { provider, key } = req.body || {};
+    if (!PROVIDERS.includes(provider) || !key) {
+      return res.status(400).json({
+        success: false,
+        error: `provider (${PROVIDERS.join(', ')}) and key are required`,
+      });
+    }
+
+    if (req.method === 'POST' && provider === 'easyroutes') {
+      const { webhookSecret } = req.body;
+      if (typeof webhookSecret !== 'string' || webhookSecret.trim().length < 16) {
+        return res.status(400).json({ success: false, error: 'webhookSecret from EasyRoutes is required to link an account' });
+      }
+      const normalized = await registerIntegration(db, provider, key, farmId, { webhookSecret: webhookSecret.trim() });
+      console.log(`[integrations] ${farmId} linked ${provider}:${normalized}`);
+      return res.status(200).json({ success: true, provider, key: normalized });
+    }
+
+    if (req.method === 'POST') {
+      if (provider !== 'shopify') {
+        return res.status(400).json({
+          success: false,
+          error: `${provider} accounts are linked automatically and can't be claimed here`,
+        });
+      }
+      const { accessToken } = req.body;
+      if (!accessToken) {
+        return res.status(400).json({ success: false, error: 'accessToken is required to link a shop' });
+      }
+      const domain = normalizeKey(provider, key);
+      if (!/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(domain)) {
+        return res.status(400).json({ success: false, error: 'key must be the shop\'s myshopify.com domain' });
+      }
+      let verified;
+      try {
+        verified = await verifyShopAccess(domain, accessToken);
+      } catch (err) {
+        console.warn(`[integrations] ${farmId} failed to verify ${key}:`, err.message);
+        return res.status(403).json({ success: false, error: 'Shopify rejected the access token for this shop' });
+      }
+      if (normalizeKey(provider, verified) !== domain) {
+        return res.status(403).json({ success: false, error: 'The access token belongs to a different shop' });
+      }
+
+      const normalized = await registerIntegration(db, provider, key, farmId);
+      console.log(`[integrations] ${farmId} linked ${provider}:${normalized}`);
+      return res.status(200).json({ success: true, provider, key: normalized });
+    }
+
+    const removed = await unregisterIntegration(db, provider, key, farmId);
+    if (!removed) return res.status(404).json({ success: false, error: 'Integration not found' });
+    console.log(`[integrations] ${farmId} unlinked ${provider}:${key}`);
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error('[integrations] ERROR:', err.message);
+    const status = /already linked/.test(err.message) ? 409 : 500;
+    return res.status(status).json({ success: false, error: err.message });
+  }
+}
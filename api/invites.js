@@ -0,0 +1,62 @@
+/**
+ * POST /api/invites — Invite someone to the farm.
+ *
+ *   POST { email, role, displayName } → { success, inviteId }
+ *
+ * A team invite reserves a seat, so the plan's maxUsers is checked here
+ * (firestore.rules keeps clients from creating invites). Chef invites are
+ * customers and don't take a seat.
+ * Auth: Firebase ID token (admin, manager).
+ */
+
+import { getFirestore, getAdmin } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { checkFarmLimit } from './_lib/entitlements.js';
+import { PLAN_LIMIT_ERROR } from '../src/data/entitlements.js';
+
+const ROLES = ['admin', 'manager', 'employee', 'driver', 'chef'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req, { roles: ['admin', 'manager'] }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+
+  const { email, role = 'employee', displayName = '' } = req.body || {};
+  const normalized = String(email || '').toLowerCase().trim();
+  if (!/^[^\s@]+@[^\s@]+$/.test(normalized) || !ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `A valid email and role (${ROLES.join(', ')}) are required` });
+  }
+
+  const db = getFirestore();
+
+  try {
+    if (role !== 'chef') {
+      const limit = await checkFarmLimit(db, farmId, 'maxUsers');
+      if (!limit.allowed) {
+        return res.status(403).json({ success: false, error: limit.message, code: PLAN_LIMIT_ERROR });
+      }
+    }
+
+    const { FieldValue } = getAdmin().firestore;
+    const ref = await db.collection('farms').doc(farmId).collection('invites').add({
+      email:       normalized,
+      role,
+      displayName: String(displayName).slice(0, 200),
+      status:      'pending',
+      createdAt:   FieldValue.serverTimestamp(),
+    });
+
+    console.log(`[invites] ${farmId}: invited ${normalized} as ${role}`);
+    return res.status(200).json({ success: true, inviteId: ref.id });
+  } catch (err) {
+    console.error('[invites] ERROR:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
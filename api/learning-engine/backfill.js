@@ -8,10 +8,13 @@
  * IDEMPOTENT: Clears stats/ before rebuilding.
  * SAFE: Only writes to farms/{farmId}/stats/ — never touches operational data.
  *
- * Call via: GET /api/learning-engine/backfill
+ * Call via: GET /api/learning-engine/backfill (admin, or SYNC_API_SECRET + ?farmId=)
  */
 
-import { getFirestore, FARM_ID } from '../_lib/firebaseAdmin.js';
+import { getFirestore } from '../_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from '../_lib/requestAuth.js';
+import { loadProductMappingIndex } from '../_lib/productMappings.js';
+import { getMappedCropId } from '../../src/data/productMapping.js';
 
 // ── Inline stat functions (same as stats.js but for Node/serverless) ────────
 
@@ -58,7 +61,9 @@ function updateIntervalStats(stats, daysBetween) {
 
 // ── Field mapping (matches fieldMap.js) ─────────────────────────────────────
 
-function getCropKey(item) {
+function getCropKey(item, mappingIndex) {
+  const cropId = mappingIndex ? getMappedCropId(mappingIndex, item) : null;
+  if (cropId) return cropId;
   const title = item.title || item.name;
   if (title) return title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
   const id = item.shopifyProductId;
@@ -134,6 +139,13 @@ function makeDefaultStats() {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export default async function handler(req, res) {
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req, { roles: ['admin'] }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
   const startTime = Date.now();
   const log = [];
   const addLog = (msg) => { log.push(`[${new Date().toISOString()}] ${msg}`); console.log(msg); };
@@ -141,7 +153,7 @@ export default async function handler(req, res) {
   try {
     addLog('🚀 Learning Engine backfill starting...');
     const db = getFirestore();
-    const farmRef = db.collection('farms').doc(FARM_ID);
+    const farmRef = db.collection('farms').doc(farmId);
 
     // ── Step 1: Clear existing stats ────────────────────────────────────────
     addLog('Clearing existing stats subcollection...');
@@ -190,6 +202,9 @@ export default async function handler(req, res) {
     const ordersSnap = await farmRef.collection('orders').get();
     addLog(`Found ${ordersSnap.size} orders.`);
 
+    const mappingIndex = await loadProductMappingIndex(farmRef);
+    addLog(`Loaded crop mappings for ${mappingIndex.byProduct.size} products.`);
+
     // Deduplicate by Shopify order ID (prefer shopifyOrders version)
     const seenShopifyIds = new Set();
     const allOrders = [];
@@ -294,7 +309,7 @@ export default async function handler(req, res) {
 
       // ── Line items ────────────────────────────────────────────────────
       for (const item of items) {
-        const cropKey = getCropKey(item);
+        const cropKey = getCropKey(item, mappingIndex);
         const qty = getQuantity(item);
         if (qty <= 0 || cropKey === 'unknown') continue;
 
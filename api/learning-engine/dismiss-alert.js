@@ -9,17 +9,25 @@
  * POST: { dismissAll: true } — dismiss all pending
  */
 
-import { getFirestore, FARM_ID } from '../_lib/firebaseAdmin.js';
+import { getFirestore } from '../_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from '../_lib/requestAuth.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed. Use POST.' });
   }
 
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
   try {
     const { alertId, alertIds, dismissAll } = req.body || {};
     const db = getFirestore();
-    const alertsRef = db.collection('farms').doc(FARM_ID).collection('alerts');
+    const alertsRef = db.collection('farms').doc(farmId).collection('alerts');
     let dismissed = 0;
 
     if (dismissAll) {
@@ -10,12 +10,30 @@
  * 3. Trend lines (refresh on all customerCropStats)
  * 4. MAPE accuracy (for docs with predictions)
  * 5. Customer activity flags (at_risk, churned)
- * 6. Dashboard document (aggregate totals)
+ * 6. Loss-rate spike alerts per crop (src/data/lossAnalytics.js)
+ * 7. Grow conditions of recently harvested batches, for yield drivers
+ *    (src/data/yieldDrivers.js)
+ * 8. Committed demand from active standing orders (src/data/standingOrders.js):
+ *    customer/crop pairs on one keep committedQty and stay active however
+ *    long since their last delivered order
+ * 9. Dashboard document (aggregate totals)
  *
- * SAFE: Only writes to farms/{farmId}/stats/
+ * Runs once per active farm (see listActiveFarmIds in _lib/tenantRegistry.js).
+ *
+ * SAFE: Only writes to farms/{farmId}/stats/, farms/{farmId}/alerts/ and the
+ * `conditions` field of harvested batches
  */
 
-import { getFirestore, FARM_ID } from '../_lib/firebaseAdmin.js';
+import { getFirestore } from '../_lib/firebaseAdmin.js';
+import { listActiveFarmIds } from '../_lib/tenantRegistry.js';
+import { resolveStageMachines } from '../../src/data/stageMachine.js';
+import { findLossSpikes, LOSS_SPIKE } from '../../src/data/lossAnalytics.js';
+import { conditionSummary } from '../../src/data/sensors.js';
+import { committedDemand } from '../../src/data/standingOrders.js';
+import { getMappedCropId } from '../../src/data/productMapping.js';
+import { loadProductMappingIndex } from '../_lib/productMappings.js';
+import pkg from 'firebase-admin';
+const { FieldValue } = pkg.firestore;
 
 // ── Inline stat functions (mirrors stats.js) ────────────────────────────────
 
@@ -81,262 +99,417 @@ function applyBiasCorrection(ewma, runningBias) {
   return { adjusted: Math.round(adjusted * 100) / 100, corrected: true };
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// MAIN HANDLER
-// ═══════════════════════════════════════════════════════════════════════════════
+/**
+ * Raise a loss_spike alert for each crop whose recent loss rate is well
+ * above its baseline, unless one is already pending for that crop.
+ */
+async function raiseLossSpikeAlerts(farmRef, alertsRef, addLog) {
+  const today = new Date().toISOString().split('T')[0];
+  const since = new Date(Date.now() - (LOSS_SPIKE.recentDays + LOSS_SPIKE.baselineDays) * 86400000)
+    .toISOString().split('T')[0];
+
+  const [machineSnap, batchSnap, pendingSnap] = await Promise.all([
+    farmRef.collection('settings').doc('stageMachine').get(),
+    farmRef.collection('batches').where('sowDate', '>=', since).get(),
+    alertsRef.where('type', '==', 'loss_spike').where('status', '==', 'pending').get(),
+  ]);
+  const machines = resolveStageMachines(machineSnap.exists ? machineSnap.data() : null);
+  const spikes = findLossSpikes(batchSnap.docs.map((d) => d.data()), { machines, today });
+  const alreadyPending = new Set(pendingSnap.docs.map((d) => d.data().cropId));
+
+  let raised = 0;
+  for (const spike of spikes) {
+    if (alreadyPending.has(spike.cropId)) continue;
+    await alertsRef.add({
+      type: 'loss_spike',
+      ...spike,
+      windowDays: LOSS_SPIKE.recentDays,
+      baselineDays: LOSS_SPIKE.baselineDays,
+      status: 'pending',
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    raised++;
+  }
+  addLog(`Loss spikes: ${spikes.length} found, ${raised} new alert(s).`);
+  return raised;
+}
 
-export default async function handler(req, res) {
-  const startTime = Date.now();
-  const log = [];
-  const addLog = (msg) => { log.push(msg); console.log(`[nightly] ${msg}`); };
+/** Harvests this recent get their grow conditions stamped (sensor data is still hourly). */
+const CONDITIONS_LOOKBACK_DAYS = 30;
 
-  try {
-    addLog('Nightly stats computation starting...');
-    const db = getFirestore();
-    const farmRef = db.collection('farms').doc(FARM_ID);
-    const statsRef = farmRef.collection('stats');
-    const alertsRef = farmRef.collection('alerts');
-
-    // ── Step 1: Load all customerCropStats docs ─────────────────────────────
-    const allStatsDocs = await statsRef.listDocuments();
-    const ccsDocs = allStatsDocs.filter(d => d.id.startsWith('ccs_'));
-    addLog(`Found ${ccsDocs.length} customerCropStats documents.`);
-
-    const BATCH_SIZE = 500;
-    let updatedCount = 0;
-    let activeCustomers = new Set();
-    let atRiskCount = 0;
-    let churnedCount = 0;
-    let totalMape = 0;
-    let mapeCount = 0;
-    let confidenceDistribution = { high: 0, medium: 0, low: 0 };
-
-    // Process in chunks
-    for (let i = 0; i < ccsDocs.length; i += BATCH_SIZE) {
-      const chunk = ccsDocs.slice(i, i + BATCH_SIZE);
-      const batch = db.batch();
-
-      for (const docRef of chunk) {
-        const snap = await docRef.get();
-        if (!snap.exists) continue;
-        const data = snap.data();
-
-        // ── Confidence score ──
-        const confidence = calculateConfidence(data);
-
-        // ── Trend ──
-        const trend = getTrend(data);
-
-        // ── MAPE ──
-        let mape = null;
-        if (data.totalPredictions > 0) {
-          mape = Math.round(data.sumAbsPercentError / data.totalPredictions * 100) / 100;
-          totalMape += mape;
-          mapeCount++;
-        }
+/**
+ * Copy each recently harvested batch's sensor summary onto the batch as
+ * `conditions`, so yield drivers can use it after the readings age out.
+ * Batches without linked readings are left alone and retried next night.
+ */
+async function snapshotHarvestConditions(farmRef, addLog) {
+  const since = new Date(Date.now() - CONDITIONS_LOOKBACK_DAYS * 86400000).toISOString();
+  const batchSnap = await farmRef.collection('batches').where('harvestedAt', '>=', since).get();
+  const pending = batchSnap.docs.filter((d) => !d.data().conditions);
+
+  let stamped = 0;
+  for (let i = 0; i < pending.length; i += 30) {
+    const chunk = pending.slice(i, i + 30);
+    const readingSnap = await farmRef.collection('sensorReadings')
+      .where('batchIds', 'array-contains-any', chunk.map((d) => d.id))
+      .get();
+    const buckets = readingSnap.docs.map((d) => d.data());
+    for (const doc of chunk) {
+      const summary = conditionSummary(buckets.filter((b) => b.batchIds.includes(doc.id)));
+      if (Object.keys(summary).length === 0) continue;
+      await doc.ref.update({ conditions: summary });
+      stamped++;
+    }
+  }
+  addLog(`Harvest conditions: ${stamped} of ${pending.length} batch(es) stamped.`);
+  return stamped;
+}
 
-        // ── Activity flag ──
-        let activityFlag = 'active';
-        let daysSinceLast = null;
-        if (data.lastOrderDate) {
-          const d = new Date(data.lastOrderDate);
-          if (!isNaN(d.getTime())) {
-            daysSinceLast = (Date.now() - d.getTime()) / 86400000;
-
-            if (daysSinceLast <= 30) {
-              activeCustomers.add(data.customerKey);
-              activityFlag = 'active';
-            } else if (data.avgDaysBetweenOrders && daysSinceLast > 2 * data.avgDaysBetweenOrders) {
-              activityFlag = 'at_risk';
-              atRiskCount++;
-            } else if (daysSinceLast > 84) {
-              activityFlag = 'churned';
-              churnedCount++;
-            } else if (daysSinceLast > 30) {
-              activityFlag = 'at_risk';
-              atRiskCount++;
-            }
-          }
-        }
+// ═══════════════════════════════════════════════════════════════════════════════
+// PER-FARM COMPUTATION
+// ═══════════════════════════════════════════════════════════════════════════════
 
-        // Confidence distribution
-        confidenceDistribution[confidence.level]++;
-
-        // Bias correction (Phase 4 feedback loop)
-        const biasResult = applyBiasCorrection(data.ewma, data.runningBias);
-
-        // Update the doc
-        batch.set(docRef, {
-          confidence: confidence.score,
-          confidenceLevel: confidence.level,
-          confidenceComponents: confidence.components,
-          trend: trend.trend,
-          trendSlope: trend.slope,
-          trendWeeklyChangePct: trend.weeklyChangePct,
-          adjustedEwma: biasResult.adjusted != null ? biasResult.adjusted : data.ewma,
-          biasCorrected: biasResult.corrected || false,
-          mape,
-          activityFlag,
-          daysSinceLastOrder: daysSinceLast ? Math.round(daysSinceLast) : null,
-          nightlyUpdatedAt: new Date().toISOString(),
-        }, { merge: true });
-
-        updatedCount++;
-      }
+// ── Committed demand (mirrors the keys in on-order-create.js) ──────────────
 
-      await batch.commit();
-    }
+function statsKey(customerKey, cropKey) {
+  const safe = (s) => String(s).replace(/[/\\.\s@]+/g, '_').substring(0, 100);
+  return `ccs_${safe(customerKey)}__${safe(cropKey)}`;
+}
 
-    addLog(`Updated ${updatedCount} customerCropStats documents.`);
+function itemCropKey(item, mappingIndex) {
+  const cropId = getMappedCropId(mappingIndex, item);
+  if (cropId) return cropId;
+  const title = item.title || item.name;
+  return title ? title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') : null;
+}
 
-    // ── Step 2: Refresh monthly summaries from daily buckets ────────────────
-    const dailyDocs = allStatsDocs.filter(d => d.id.startsWith('db_'));
-    addLog(`Found ${dailyDocs.length} daily bucket documents.`);
+/**
+ * Weekly quantities chefs have committed to on active standing orders.
+ * Returns { byStatsDoc: Map ccs doc ID → { qty, standingOrderIds },
+ *   byCrop: { cropId: oz per week }, standingOrders }.
+ */
+async function loadCommittedDemand(farmRef, today) {
+  const snap = await farmRef.collection('standingOrders').where('status', '==', 'active').get();
+  const byStatsDoc = new Map();
+  const byCrop = {};
+  if (snap.empty) return { byStatsDoc, byCrop, standingOrders: 0 };
+
+  const mappingIndex = await loadProductMappingIndex(farmRef);
+  const rows = committedDemand(snap.docs.map((d) => ({ id: d.id, ...d.data() })), mappingIndex, today);
+  for (const row of rows) {
+    const customerKey = row.customerEmail ? row.customerEmail.toLowerCase().trim() : row.customerId;
+    const cropKey = itemCropKey(row.item, mappingIndex);
+    if (customerKey && cropKey) {
+      const key = statsKey(customerKey, cropKey);
+      const entry = byStatsDoc.get(key) || { qty: 0, standingOrderIds: [] };
+      entry.qty += row.quantity;
+      if (!entry.standingOrderIds.includes(row.standingOrderId)) entry.standingOrderIds.push(row.standingOrderId);
+      byStatsDoc.set(key, entry);
+    }
+    for (const c of row.crops) {
+      byCrop[c.cropId] = Math.round(((byCrop[c.cropId] || 0) + c.oz) * 100) / 100;
+    }
+  }
+  return { byStatsDoc, byCrop, standingOrders: snap.size };
+}
 
-    const monthlyAgg = {};
-    for (const docRef of dailyDocs) {
+/**
+ * Run the nightly computation for one farm. Each farm's stats/ and alerts/
+ * are independent, so a failure here doesn't stop the other farms.
+ */
+async function computeFarmStats(db, farmId, addLog) {
+  const startTime = Date.now();
+  const farmRef = db.collection('farms').doc(farmId);
+  const statsRef = farmRef.collection('stats');
+  const alertsRef = farmRef.collection('alerts');
+
+  // ── Step 1: Load all customerCropStats docs ─────────────────────────────
+  const allStatsDocs = await statsRef.listDocuments();
+  const ccsDocs = allStatsDocs.filter(d => d.id.startsWith('ccs_'));
+  addLog(`Found ${ccsDocs.length} customerCropStats documents.`);
+
+  const committed = await loadCommittedDemand(farmRef, new Date().toISOString().split('T')[0]);
+  addLog(`${committed.standingOrders} active standing orders, ${committed.byStatsDoc.size} committed customer/crop pairs.`);
+
+  const BATCH_SIZE = 500;
+  let updatedCount = 0;
+  let activeCustomers = new Set();
+  let atRiskCount = 0;
+  let churnedCount = 0;
+  let totalMape = 0;
+  let mapeCount = 0;
+  let confidenceDistribution = { high: 0, medium: 0, low: 0 };
+
+  // Process in chunks
+  for (let i = 0; i < ccsDocs.length; i += BATCH_SIZE) {
+    const chunk = ccsDocs.slice(i, i + BATCH_SIZE);
+    const batch = db.batch();
+
+    for (const docRef of chunk) {
       const snap = await docRef.get();
       if (!snap.exists) continue;
       const data = snap.data();
-      const date = data.date;
-      if (!date) continue;
-      const monthKey = date.substring(0, 7); // YYYY-MM
-
-      if (!monthlyAgg[monthKey]) {
-        monthlyAgg[monthKey] = {
-          totalOrders: 0, totalRevenue: 0, uniqueCustomers: new Set(),
-          cropBreakdown: {},
-          month: monthKey,
-        };
-      }
-      const ms = monthlyAgg[monthKey];
-      ms.totalOrders += data.orderCount || 0;
-      ms.totalRevenue += data.totalRevenue || 0;
 
-      if (data.customerOrders) {
-        for (const c of Object.keys(data.customerOrders)) {
-          ms.uniqueCustomers.add(c);
-        }
+      // ── Confidence score ──
+      const confidence = calculateConfidence(data);
+
+      // ── Trend ──
+      const trend = getTrend(data);
+
+      // ── MAPE ──
+      let mape = null;
+      if (data.totalPredictions > 0) {
+        mape = Math.round(data.sumAbsPercentError / data.totalPredictions * 100) / 100;
+        totalMape += mape;
+        mapeCount++;
       }
-      if (data.cropQuantities) {
-        for (const [crop, qty] of Object.entries(data.cropQuantities)) {
-          if (!ms.cropBreakdown[crop]) ms.cropBreakdown[crop] = { qty: 0, revenue: 0 };
-          ms.cropBreakdown[crop].qty += qty;
+
+      // ── Activity flag — a standing order keeps the pair active ──
+      const commitment = committed.byStatsDoc.get(docRef.id) || null;
+      let activityFlag = 'active';
+      let daysSinceLast = null;
+      if (data.lastOrderDate) {
+        const d = new Date(data.lastOrderDate);
+        if (!isNaN(d.getTime())) {
+          daysSinceLast = (Date.now() - d.getTime()) / 86400000;
+
+          if (daysSinceLast <= 30 || commitment) {
+            activeCustomers.add(data.customerKey);
+            activityFlag = 'active';
+          } else if (data.avgDaysBetweenOrders && daysSinceLast > 2 * data.avgDaysBetweenOrders) {
+            activityFlag = 'at_risk';
+            atRiskCount++;
+          } else if (daysSinceLast > 84) {
+            activityFlag = 'churned';
+            churnedCount++;
+          } else if (daysSinceLast > 30) {
+            activityFlag = 'at_risk';
+            atRiskCount++;
+          }
         }
       }
-    }
 
-    // Write monthly summaries
-    for (const [key, data] of Object.entries(monthlyAgg)) {
-      const { uniqueCustomers: uc, ...rest } = data;
-      await statsRef.doc(`ms_${key}`).set({
-        ...rest,
-        totalRevenue: Math.round(rest.totalRevenue * 100) / 100,
-        uniqueCustomers: uc.size,
-        avgOrderValue: rest.totalOrders > 0
-          ? Math.round(rest.totalRevenue / rest.totalOrders * 100) / 100 : 0,
+      // Confidence distribution
+      confidenceDistribution[confidence.level]++;
+
+      // Bias correction (Phase 4 feedback loop)
+      const biasResult = applyBiasCorrection(data.ewma, data.runningBias);
+
+      // Update the doc
+      batch.set(docRef, {
+        confidence: confidence.score,
+        confidenceLevel: confidence.level,
+        confidenceComponents: confidence.components,
+        trend: trend.trend,
+        trendSlope: trend.slope,
+        trendWeeklyChangePct: trend.weeklyChangePct,
+        adjustedEwma: biasResult.adjusted != null ? biasResult.adjusted : data.ewma,
+        biasCorrected: biasResult.corrected || false,
+        mape,
+        activityFlag,
+        daysSinceLastOrder: daysSinceLast ? Math.round(daysSinceLast) : null,
+        committedQty: commitment?.qty ?? null,
+        standingOrderIds: commitment?.standingOrderIds ?? [],
         nightlyUpdatedAt: new Date().toISOString(),
       }, { merge: true });
+
+      updatedCount++;
     }
-    addLog(`Updated ${Object.keys(monthlyAgg).length} monthly summaries.`);
 
-    // ── Step 3: Count pending alerts ────────────────────────────────────────
-    const pendingAlerts = await alertsRef.where('status', '==', 'pending').get();
-    const alertCount = pendingAlerts.size;
+    await batch.commit();
+  }
 
-    // ── Step 4: Compute top crops with EWMA + trend data ──────────────────
-    const cropAgg = {};
-    for (const docRef of ccsDocs) {
-      const snap = await docRef.get();
-      if (!snap.exists) continue;
-      const data = snap.data();
-      if (data.cropKey && data.count) {
-        if (!cropAgg[data.cropKey]) {
-          cropAgg[data.cropKey] = {
-            totalVolume: 0, ewmaSum: 0, customers: 0,
-            maxConfidence: 0, trend: 'stable',
-          };
-        }
-        const c = cropAgg[data.cropKey];
-        c.totalVolume += (data.mean || 0) * data.count;
-        c.ewmaSum += data.adjustedEwma || data.ewma || 0;
-        c.customers++;
-        c.maxConfidence = Math.max(c.maxConfidence, data.confidence || 0);
-        if (data.trend === 'increasing') c.trend = 'increasing';
-        else if (data.trend === 'decreasing' && c.trend !== 'increasing') c.trend = 'decreasing';
+  addLog(`Updated ${updatedCount} customerCropStats documents.`);
+
+  // ── Step 2: Refresh monthly summaries from daily buckets ────────────────
+  const dailyDocs = allStatsDocs.filter(d => d.id.startsWith('db_'));
+  addLog(`Found ${dailyDocs.length} daily bucket documents.`);
+
+  const monthlyAgg = {};
+  for (const docRef of dailyDocs) {
+    const snap = await docRef.get();
+    if (!snap.exists) continue;
+    const data = snap.data();
+    const date = data.date;
+    if (!date) continue;
+    const monthKey = date.substring(0, 7); // YYYY-MM
+
+    if (!monthlyAgg[monthKey]) {
+      monthlyAgg[monthKey] = {
+        totalOrders: 0, totalRevenue: 0, uniqueCustomers: new Set(),
+        cropBreakdown: {},
+        month: monthKey,
+      };
+    }
+    const ms = monthlyAgg[monthKey];
+    ms.totalOrders += data.orderCount || 0;
+    ms.totalRevenue += data.totalRevenue || 0;
+
+    if (data.customerOrders) {
+      for (const c of Object.keys(data.customerOrders)) {
+        ms.uniqueCustomers.add(c);
       }
     }
-    const topCrops = Object.entries(cropAgg)
-      .sort((a, b) => b[1].totalVolume - a[1].totalVolume)
-      .slice(0, 8)
-      .map(([crop, agg]) => ({
-        crop,
-        ewma: Math.round(agg.ewmaSum * 100) / 100,
-        customers: agg.customers,
-        confidence: agg.maxConfidence,
-        trend: agg.trend,
-      }));
-
-    // ── Step 5: Compute avg weekly revenue (from last 4 weeks dailies) ──────
-    const fourWeeksAgo = new Date();
-    fourWeeksAgo.setDate(fourWeeksAgo.getDate() - 28);
-    const fourWeeksKey = fourWeeksAgo.toISOString().split('T')[0];
-    let last4wRevenue = 0;
-    for (const docRef of dailyDocs) {
-      const snap = await docRef.get();
-      if (!snap.exists) continue;
-      const data = snap.data();
-      if (data.date && data.date >= fourWeeksKey) {
-        last4wRevenue += data.totalRevenue || 0;
+    if (data.cropQuantities) {
+      for (const [crop, qty] of Object.entries(data.cropQuantities)) {
+        if (!ms.cropBreakdown[crop]) ms.cropBreakdown[crop] = { qty: 0, revenue: 0 };
+        ms.cropBreakdown[crop].qty += qty;
       }
     }
+  }
 
-    // ── Step 6: Write dashboard document ────────────────────────────────────
-    const avgMAPE = mapeCount > 0 ? Math.round(totalMape / mapeCount * 100) / 100 : null;
-    const avgConfidence = ccsDocs.length > 0
-      ? Math.round((confidenceDistribution.high * 85 + confidenceDistribution.medium * 55 + confidenceDistribution.low * 20) / ccsDocs.length * 100) / 100
-      : null;
-
-    const dashboardData = {
-      totalLifetimeOrders: updatedCount,
-      activeCustomers: activeCustomers.size,
-      avgWeeklyRevenue: Math.round(last4wRevenue / 4 * 100) / 100,
-      topCrops,
-      predictionAccuracy: mapeCount > 0 ? Math.round((100 - totalMape / mapeCount) * 100) / 100 : null,
-      avgMAPE,
-      avgConfidence,
-      alertCount,
-      customerHealth: {
-        active: activeCustomers.size,
-        atRisk: atRiskCount,
-        churned: churnedCount,
-      },
-      confidenceDistribution,
-      totalCustomerCropPairs: ccsDocs.length,
-      totalDailyBuckets: dailyDocs.length,
-      totalMonthlySummaries: Object.keys(monthlyAgg).length,
-      lastComputedAt: new Date().toISOString(),
-    };
-    await statsRef.doc('dashboard').set(dashboardData, { merge: true });
-    addLog('Wrote dashboard document.');
-
-    // ── Step 7: Update config ───────────────────────────────────────────────
-    await statsRef.doc('_config').set({
-      lastNightlyRun: new Date().toISOString(),
-      nightlyDurationSeconds: Math.round((Date.now() - startTime) / 1000),
+  // Write monthly summaries
+  for (const [key, data] of Object.entries(monthlyAgg)) {
+    const { uniqueCustomers: uc, ...rest } = data;
+    await statsRef.doc(`ms_${key}`).set({
+      ...rest,
+      totalRevenue: Math.round(rest.totalRevenue * 100) / 100,
+      uniqueCustomers: uc.size,
+      avgOrderValue: rest.totalOrders > 0
+        ? Math.round(rest.totalRevenue / rest.totalOrders * 100) / 100 : 0,
+      nightlyUpdatedAt: new Date().toISOString(),
     }, { merge: true });
+  }
+  addLog(`Updated ${Object.keys(monthlyAgg).length} monthly summaries.`);
+
+  // ── Step 3: Loss spikes and harvest conditions, then count alerts ──────
+  const lossSpikeAlerts = await raiseLossSpikeAlerts(farmRef, alertsRef, addLog);
+  const conditionsStamped = await snapshotHarvestConditions(farmRef, addLog);
+  const pendingAlerts = await alertsRef.where('status', '==', 'pending').get();
+  const alertCount = pendingAlerts.size;
+
+  // ── Step 4: Compute top crops with EWMA + trend data ──────────────────
+  const cropAgg = {};
+  for (const docRef of ccsDocs) {
+    const snap = await docRef.get();
+    if (!snap.exists) continue;
+    const data = snap.data();
+    if (data.cropKey && data.count) {
+      if (!cropAgg[data.cropKey]) {
+        cropAgg[data.cropKey] = {
+          totalVolume: 0, ewmaSum: 0, customers: 0,
+          maxConfidence: 0, trend: 'stable',
+        };
+      }
+      const c = cropAgg[data.cropKey];
+      c.totalVolume += (data.mean || 0) * data.count;
+      c.ewmaSum += data.adjustedEwma || data.ewma || 0;
+      c.customers++;
+      c.maxConfidence = Math.max(c.maxConfidence, data.confidence || 0);
+      if (data.trend === 'increasing') c.trend = 'increasing';
+      else if (data.trend === 'decreasing' && c.trend !== 'increasing') c.trend = 'decreasing';
+    }
+  }
+  const topCrops = Object.entries(cropAgg)
+    .sort((a, b) => b[1].totalVolume - a[1].totalVolume)
+    .slice(0, 8)
+    .map(([crop, agg]) => ({
+      crop,
+      ewma: Math.round(agg.ewmaSum * 100) / 100,
+      customers: agg.customers,
+      confidence: agg.maxConfidence,
+      trend: agg.trend,
+    }));
+
+  // ── Step 5: Compute avg weekly revenue (from last 4 weeks dailies) ──────
+  const fourWeeksAgo = new Date();
+  fourWeeksAgo.setDate(fourWeeksAgo.getDate() - 28);
+  const fourWeeksKey = fourWeeksAgo.toISOString().split('T')[0];
+  let last4wRevenue = 0;
+  for (const docRef of dailyDocs) {
+    const snap = await docRef.get();
+    if (!snap.exists) continue;
+    const data = snap.data();
+    if (data.date && data.date >= fourWeeksKey) {
+      last4wRevenue += data.totalRevenue || 0;
+    }
+  }
+
+  // ── Step 6: Write dashboard document ────────────────────────────────────
+  const avgMAPE = mapeCount > 0 ? Math.round(totalMape / mapeCount * 100) / 100 : null;
+  const avgConfidence = ccsDocs.length > 0
+    ? Math.round((confidenceDistribution.high * 85 + confidenceDistribution.medium * 55 + confidenceDistribution.low * 20) / ccsDocs.length * 100) / 100
+    : null;
+
+  const dashboardData = {
+    totalLifetimeOrders: updatedCount,
+    activeCustomers: activeCustomers.size,
+    avgWeeklyRevenue: Math.round(last4wRevenue / 4 * 100) / 100,
+    topCrops,
+    predictionAccuracy: mapeCount > 0 ? Math.round((100 - totalMape / mapeCount) * 100) / 100 : null,
+    avgMAPE,
+    avgConfidence,
+    alertCount,
+    customerHealth: {
+      active: activeCustomers.size,
+      atRisk: atRiskCount,
+      churned: churnedCount,
+    },
+    confidenceDistribution,
+    committedWeeklyOz: committed.byCrop,
+    activeStandingOrders: committed.standingOrders,
+    totalCustomerCropPairs: ccsDocs.length,
+    totalDailyBuckets: dailyDocs.length,
+    totalMonthlySummaries: Object.keys(monthlyAgg).length,
+    lastComputedAt: new Date().toISOString(),
+  };
+  await statsRef.doc('dashboard').set(dashboardData, { merge: true });
+  addLog('Wrote dashboard document.');
+
+  // ── Step 7: Update config ───────────────────────────────────────────────
+  await statsRef.doc('_config').set({
+    lastNightlyRun: new Date().toISOString(),
+    nightlyDurationSeconds: Math.round((Date.now() - startTime) / 1000),
+  }, { merge: true });
+
+  return {
+    updatedDocuments: updatedCount,
+    monthlySummaries: Object.keys(monthlyAgg).length,
+    activeCustomers: activeCustomers.size,
+    atRisk: atRiskCount,
+    churned: churnedCount,
+    lossSpikeAlerts,
+    conditionsStamped,
+    standingOrders: committed.standingOrders,
+    alertCount,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN HANDLER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  const log = [];
+  const addLog = (msg) => { log.push(msg); console.log(`[nightly] ${msg}`); };
+
+  try {
+    addLog('Nightly stats computation starting...');
+    const db = getFirestore();
+    const farmIds = await listActiveFarmIds(db);
+    addLog(`Processing ${farmIds.length} active farm(s).`);
+
+    const farms = {};
+    let failed = 0;
+    for (const farmId of farmIds) {
+      const farmLog = (msg) => addLog(`[${farmId}] ${msg}`);
+      try {
+        farms[farmId] = { success: true, ...(await computeFarmStats(db, farmId, farmLog)) };
+      } catch (err) {
+        failed++;
+        farmLog(`FAILED: ${err.message}`);
+        console.error(`[nightly] ${farmId} failed:`, err);
+        farms[farmId] = { success: false, error: err.message };
+      }
+    }
 
     const duration = Math.round((Date.now() - startTime) / 1000);
     addLog(`Nightly stats complete in ${duration}s`);
 
-    res.status(200).json({
-      success: true,
-      updatedDocuments: updatedCount,
-      monthlySummaries: Object.keys(monthlyAgg).length,
-      activeCustomers: activeCustomers.size,
-      atRisk: atRiskCount,
-      churned: churnedCount,
-      alertCount,
+    res.status(failed === farmIds.length ? 500 : 200).json({
+      success: failed === 0,
+      farms,
       duration,
       log,
     });
@@ -18,7 +18,8 @@
  * SAFE: Only writes to farms/{farmId}/stats/ and farms/{farmId}/alerts/
  */
 
-import { getFirestore, FARM_ID } from '../_lib/firebaseAdmin.js';
+import { getFirestore } from '../_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from '../_lib/requestAuth.js';
 import pkg from 'firebase-admin';
 const { FieldValue } = pkg.firestore;
 
@@ -59,6 +60,13 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed. Use POST.' });
   }
 
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
   try {
     const { harvestId } = req.body || {};
     if (!harvestId) {
@@ -66,7 +74,7 @@ export default async function handler(req, res) {
     }
 
     const db = getFirestore();
-    const farmRef = db.collection('farms').doc(FARM_ID);
+    const farmRef = db.collection('farms').doc(farmId);
 
     // Read the harvest document
     const harvestSnap = await farmRef.collection('harvests').doc(harvestId).get();
@@ -15,7 +15,10 @@
  * SAFE: Only writes to farms/{farmId}/stats/ and farms/{farmId}/alerts/
  */
 
-import { getFirestore, FARM_ID } from '../_lib/firebaseAdmin.js';
+import { getFirestore } from '../_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from '../_lib/requestAuth.js';
+import { loadProductMappingIndex } from '../_lib/productMappings.js';
+import { getMappedCropId } from '../../src/data/productMapping.js';
 import pkg from 'firebase-admin';
 const { FieldValue } = pkg.firestore;
 
@@ -118,7 +121,9 @@ function applyBiasCorrection(ewma, runningBias) {
 
 // ── Field helpers ───────────────────────────────────────────────────────────
 
-function getCropKey(item) {
+function getCropKey(item, mappingIndex) {
+  const cropId = mappingIndex ? getMappedCropId(mappingIndex, item) : null;
+  if (cropId) return cropId;
   const title = item.title || item.name;
   if (title) return title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
   const id = item.shopifyProductId;
@@ -179,6 +184,13 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed. Use POST.' });
   }
 
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
   try {
     const { orderId, collection: orderCollection = 'shopifyOrders' } = req.body || {};
     if (!orderId) {
@@ -186,7 +198,7 @@ export default async function handler(req, res) {
     }
 
     const db = getFirestore();
-    const farmRef = db.collection('farms').doc(FARM_ID);
+    const farmRef = db.collection('farms').doc(farmId);
 
     // Read the order document
     const orderSnap = await farmRef.collection(orderCollection).doc(orderId).get();
@@ -211,12 +223,13 @@ export default async function handler(req, res) {
       return res.status(200).json({ skipped: true, reason: 'cancelled' });
     }
 
+    const mappingIndex = await loadProductMappingIndex(farmRef);
     const statsRef = farmRef.collection('stats');
     const alertsRef = farmRef.collection('alerts');
     const results = { lineItemsProcessed: 0, anomaliesDetected: 0, alerts: [] };
 
     for (const item of items) {
-      const cropKey = getCropKey(item);
+      const cropKey = getCropKey(item, mappingIndex);
       const qty = getQuantity(item);
       if (qty <= 0 || cropKey === 'unknown') continue;
 
@@ -332,7 +345,7 @@ export default async function handler(req, res) {
     };
     // Increment per-crop and per-customer counts
     for (const item of items) {
-      const cropKey = getCropKey(item);
+      const cropKey = getCropKey(item, mappingIndex);
       const qty = getQuantity(item);
       if (qty > 0 && cropKey !== 'unknown') {
         bucketUpdates[`cropQuantities.${cropKey}`] = FieldValue.increment(qty);
@@ -0,0 +1,88 @@
+/**
+ * migrate-batch-stages.js — Vercel serverless function.
+ *
+ * POST /api/migrate-batch-stages  (admin only)
+ * Body: { dryRun?: boolean }
+ *
+ * Batches written before the unified stage machine carry stage IDs from
+ * BatchTracker's old flow (sown / germinating / growing) or stages a farm
+ * has since renamed. Rewrites stage and stageHistory on every batch in
+ * farms/{farmId}/batches to the farm's current stage IDs using the aliases
+ * in data/stageMachine.js (plus any farm overrides).
+ *
+ * Returns JSON: { total, migrated, skipped, unmapped, breakdown, duration, dryRun }
+ */
+
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { resolveStageMachines, migrateBatchStage } from '../src/data/stageMachine.js';
+
+const BATCH_SIZE = 500;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed. Use POST.' });
+  }
+
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req, { roles: ['admin'] }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const startTime = Date.now();
+  const dryRun = req.body?.dryRun === true;
+
+  try {
+    const db = getFirestore();
+    const farmRef = db.collection('farms').doc(farmId);
+
+    const settingsSnap = await farmRef.collection('settings').doc('stageMachine').get();
+    const machines = resolveStageMachines(settingsSnap.exists ? settingsSnap.data() : null);
+
+    const snap = await farmRef.collection('batches').get();
+    const pending = [];
+    const unmapped = [];
+    const breakdown = {};
+
+    for (const docSnap of snap.docs) {
+      const data = docSnap.data();
+      const result = migrateBatchStage(machines, data);
+      if (!result) continue;
+      if (result.unmapped) {
+        unmapped.push({ id: docSnap.id, cropCategory: data.cropCategory || null, stage: data.stage || null });
+      }
+      const key = `${data.stage || '(none)'} → ${result.updates.stage}`;
+      breakdown[key] = (breakdown[key] || 0) + 1;
+      pending.push({ ref: docSnap.ref, updates: result.updates });
+    }
+
+    if (!dryRun) {
+      const now = new Date().toISOString();
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        pending.slice(i, i + BATCH_SIZE).forEach(({ ref, updates }) => {
+          batch.update(ref, { ...updates, stageMigratedAt: now });
+        });
+        await batch.commit();
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(1) + 's';
+    console.log(`[migrate-batch-stages] farm=${farmId} total=${snap.size} migrated=${pending.length} unmapped=${unmapped.length} dryRun=${dryRun}`);
+
+    return res.status(200).json({
+      total: snap.size,
+      migrated: pending.length,
+      skipped: snap.size - pending.length,
+      unmapped: unmapped.slice(0, 20),
+      breakdown,
+      duration,
+      dryRun,
+    });
+  } catch (err) {
+    console.error('[migrate-batch-stages] failed:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -1,7 +1,7 @@
 /**
  * migrate-order-statuses.js — Vercel serverless function.
  *
- * GET or POST /api/migrate-order-statuses
+ * GET or POST /api/migrate-order-statuses  (admin only)
  *
  * Reads ALL documents from farms/{farmId}/shopifyOrders in Firestore.
  * For each order that lacks statusMigrated: true, derives an internal
@@ -16,7 +16,8 @@
  * Returns JSON: { total, migrated, skipped, breakdown, duration, errors }
  */
 
-import { getFirestore, FARM_ID } from './_lib/firebaseAdmin.js';
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
 
 const FOURTEEN_DAYS_MS = 14 * 24 * 60 * 60 * 1000;
 
@@ -72,17 +73,24 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req, { roles: ['admin'] }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
   const startTime = Date.now();
   const force = req.query?.force === 'true';
 
   try {
     console.log('[migrate] ===== STARTING ORDER STATUS MIGRATION =====');
-    console.log('[migrate] Farm ID:', FARM_ID);
+    console.log('[migrate] Farm ID:', farmId);
     console.log('[migrate] Force mode:', force);
     console.log('[migrate] Timestamp:', new Date().toISOString());
 
     const db = getFirestore();
-    const col = db.collection('farms').doc(FARM_ID).collection('shopifyOrders');
+    const col = db.collection('farms').doc(farmId).collection('shopifyOrders');
 
     console.log('[migrate] Reading ALL shopifyOrders (no limit)…');
     const snap = await col.get();
@@ -0,0 +1,50 @@
+/**
+ * POST /api/orders — Place a chef's order.
+ *
+ *   POST { items: [{ productId, quantity }], requestedDeliveryDate, specialInstructions }
+ *     → { success, order }  the order as stored, with server prices,
+ *                           total and orderNumber
+ *
+ * Chefs can't write orders directly (see firestore.rules) — the client's
+ * prices are never trusted. Validation and pricing: _lib/orderPlacement.js.
+ * Auth: Firebase ID token; the order is placed for the caller.
+ */
+
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { placeChefOrder, loadCustomer } from './_lib/orderPlacement.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  let farmId, uid;
+  try {
+    ({ farmId, uid } = await resolveRequestFarm(req));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+  if (!uid) {
+    return res.status(400).json({ success: false, error: 'Orders are placed by a signed-in customer' });
+  }
+
+  const db = getFirestore();
+
+  try {
+    const customer = await loadCustomer(db, uid);
+    if (!customer) {
+      return res.status(400).json({ success: false, error: 'Orders are placed by a signed-in customer' });
+    }
+
+    const order = await placeChefOrder(db, farmId, customer, req.body || {});
+    console.log(`[orders] ${farmId}: ${order.orderNumber} placed by ${uid} ($${order.total})`);
+    return res.status(200).json({ success: true, order });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+    }
+    console.error('[orders] ERROR:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
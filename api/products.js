@@ -0,0 +1,75 @@
+/**
+ * POST /api/products — Add products to the farm's catalog.
+ *
+ *   POST { products: [{ name, category, unit, pricePerUnit, available, … }] }
+ *     → { success, ids }
+ *
+ * The plan's maxProducts is checked here, so the catalog can't outgrow it
+ * from the browser (firestore.rules keeps clients from creating products).
+ * Used by productService.addProduct (one) and importService (a CSV import).
+ * Auth: Firebase ID token (admin, manager) or SYNC_API_SECRET.
+ */
+
+import { getFirestore, getAdmin } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { checkFarmLimit } from './_lib/entitlements.js';
+import { PLAN_LIMIT_ERROR } from '../src/data/entitlements.js';
+
+const MAX_PRODUCTS = 500;
+const SERVER_FIELDS = ['id', 'farmId', 'createdAt', 'updatedAt'];
+
+function productFields(product) {
+  const fields = Object.fromEntries(Object.entries(product).filter(([k]) => !SERVER_FIELDS.includes(k)));
+  return {
+    ...fields,
+    name:      String(product.name).trim(),
+    available: product.available ?? true,
+    sortOrder: product.sortOrder ?? Date.now(),
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req, { roles: ['admin', 'manager'] }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+
+  const { products } = req.body || {};
+  if (!Array.isArray(products) || products.length === 0 || products.length > MAX_PRODUCTS) {
+    return res.status(400).json({ success: false, error: `products must be a list of 1–${MAX_PRODUCTS}` });
+  }
+  if (products.some((p) => !p || typeof p !== 'object' || !String(p.name || '').trim())) {
+    return res.status(400).json({ success: false, error: 'Every product needs a name' });
+  }
+
+  const db = getFirestore();
+
+  try {
+    const limit = await checkFarmLimit(db, farmId, 'maxProducts', products.length);
+    if (!limit.allowed) {
+      return res.status(403).json({ success: false, error: limit.message, code: PLAN_LIMIT_ERROR });
+    }
+
+    const { FieldValue } = getAdmin().firestore;
+    const col = db.collection('farms').doc(farmId).collection('products');
+    const batch = db.batch();
+    const ids = products.map((product) => {
+      const ref = col.doc();
+      batch.set(ref, { ...productFields(product), farmId, createdAt: FieldValue.serverTimestamp() });
+      return ref.id;
+    });
+    await batch.commit();
+
+    console.log(`[products] ${farmId}: added ${ids.length}`);
+    return res.status(200).json({ success: true, ids });
+  } catch (err) {
+    console.error('[products] ERROR:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
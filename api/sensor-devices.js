@@ -0,0 +1,65 @@
+/**
+ * /api/sensor-devices — Manage the caller's farm sensor devices.
+ *
+ *   POST { action: 'list' }                    → this farm's devices
+ *   POST { action: 'create', name, zoneId }    → add a device (admin/manager);
+ *                                                the response has its key, once
+ *   POST { action: 'revoke', deviceId }        → revoke its key (admin/manager)
+ *
+ * Devices post readings to /api/sensor-readings with their key.
+ */
+
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { createDevice, listDevices, revokeDevice } from './_lib/sensors.js';
+import { resolveGrowSpace } from '../src/data/growSpace.js';
+
+const ACTIONS = ['list', 'create', 'revoke'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { action, name, zoneId, deviceId } = req.body || {};
+  if (!ACTIONS.includes(action)) {
+    return res.status(400).json({ success: false, error: `action must be one of ${ACTIONS.join(', ')}` });
+  }
+
+  let farmId, uid;
+  try {
+    ({ farmId, uid } = await resolveRequestFarm(req, {
+      roles: action === 'list' ? undefined : ['admin', 'manager'],
+    }));
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+
+  const db = getFirestore();
+
+  try {
+    if (action === 'list') {
+      return res.status(200).json({ success: true, devices: await listDevices(db, farmId) });
+    }
+
+    if (action === 'create') {
+      const layoutSnap = await db.collection('farms').doc(farmId).collection('settings').doc('growSpace').get();
+      const zones = resolveGrowSpace(layoutSnap.exists ? layoutSnap.data() : null).zones;
+      if (!name || !zones.some((z) => z.id === zoneId)) {
+        return res.status(400).json({ success: false, error: 'name and a grow space zoneId are required' });
+      }
+      const { device, key } = await createDevice(db, farmId, { name, zoneId }, uid);
+      console.log(`[sensor-devices] ${farmId} added ${device.deviceId} in ${zoneId}`);
+      return res.status(200).json({ success: true, device, key });
+    }
+
+    if (!deviceId) return res.status(400).json({ success: false, error: 'deviceId is required' });
+    const removed = await revokeDevice(db, farmId, deviceId);
+    if (!removed) return res.status(404).json({ success: false, error: 'Device not found' });
+    console.log(`[sensor-devices] ${farmId} revoked ${deviceId}`);
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error('[sensor-devices] ERROR:', err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
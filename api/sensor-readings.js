@@ -0,0 +1,85 @@
+/**
+ * /api/sensor-readings — Grow room sensor readings.
+ *
+ *   POST { readings: [{ metric, value, at? }] }  or  { at?, temperature, humidity, … }
+ *     From a device, or a local MQTT bridge posting on its behalf.
+ *     Auth: X-Device-Key: <device key> (or Authorization: Bearer <device key>).
+ *     The key decides the farm and zone (see _lib/sensors.js). Readings go
+ *     into the zone's hourly buckets; out-of-range ones raise alerts.
+ *     Bad entries are skipped and listed in `rejected`.
+ *
+ *   GET
+ *     Vercel Cron (see vercel.json). Retention and downsampling for every
+ *     active farm. Auth: Bearer CRON_SECRET (401 when it isn't set).
+ *
+ * Metrics, ranges and retention periods: src/data/sensors.js.
+ */
+
+import { getFirestore } from './_lib/firebaseAdmin.js';
+import { listActiveFarmIds } from './_lib/tenantRegistry.js';
+import { resolveDevice, ingestReadings, compactSensorReadings } from './_lib/sensors.js';
+import { parseReadings } from '../src/data/sensors.js';
+
+async function handleCron(req, res) {
+  // Without a configured secret there's nothing to check callers against
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const db = getFirestore();
+  const farmIds = await listActiveFarmIds(db);
+  const farms = {};
+  let failed = 0;
+
+  for (const farmId of farmIds) {
+    try {
+      farms[farmId] = { success: true, ...(await compactSensorReadings(db, farmId)) };
+    } catch (err) {
+      failed++;
+      console.error(`[sensor-readings] retention ${farmId} failed:`, err);
+      farms[farmId] = { success: false, error: err.message };
+    }
+  }
+
+  return res.status(failed > 0 && failed === farmIds.length ? 500 : 200).json({ success: failed === 0, farms });
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    try {
+      return await handleCron(req, res);
+    } catch (err) {
+      console.error('[sensor-readings] cron failed:', err);
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const key = req.headers['x-device-key'] || (req.headers.authorization || '').replace('Bearer ', '').trim();
+  const db = getFirestore();
+
+  let device;
+  try {
+    device = await resolveDevice(db, key);
+  } catch (err) {
+    console.error('[sensor-readings] device lookup failed:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+  if (!device) return res.status(401).json({ success: false, error: 'Unknown device key' });
+
+  const { readings, errors } = parseReadings(req.body || {});
+  if (readings.length === 0) {
+    return res.status(400).json({ success: false, error: 'No valid readings', rejected: errors });
+  }
+
+  try {
+    const result = await ingestReadings(db, device, readings);
+    return res.status(200).json({ success: true, accepted: readings.length, rejected: errors, ...result });
+  } catch (err) {
+    console.error(`[sensor-readings] ${device.farmId}/${device.deviceId} ingest failed:`, err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -26,13 +26,13 @@ export default async function handler(req, res) {
   let firebaseOk = false;
   let firebaseError = null;
   try {
-    const { getFirestore, FARM_ID } = await import('./_lib/firebaseAdmin.js');
+    const { getFirestore, DEFAULT_FARM_ID } = await import('./_lib/firebaseAdmin.js');
     const db = getFirestore();
-    // Quick read test — just check the farm doc exists
-    const snap = await db.collection('farms').doc(FARM_ID).get();
+    // Quick read test — just check the default farm doc exists
+    const snap = await db.collection('farms').doc(DEFAULT_FARM_ID).get();
     firebaseOk = true;
     envCheck._farmDocExists = snap.exists;
-    envCheck._farmId = FARM_ID;
+    envCheck._defaultFarmId = DEFAULT_FARM_ID;
   } catch (e) {
     firebaseError = e.message;
   }
@@ -9,33 +9,20 @@
  *   ?write=false           — fetch only, no Firestore write
  */
 import { fetchProducts } from './_lib/shopifyAdmin.js';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { assertOwnsEnvShop } from './_lib/tenantRegistry.js';
+import { getFirestore } from './_lib/firebaseAdmin.js';
 import { writeProducts } from './_lib/shopifyFirestoreSync.js';
 
 export default async function handler(req, res) {
-  // Auth: accept SYNC_API_SECRET or Firebase ID token
-  const authHeader = req.headers.authorization;
-  const token = authHeader?.replace('Bearer ', '');
-  let authed = false;
-
-  // Check shared secret first
-  if (token && process.env.SYNC_API_SECRET && token === process.env.SYNC_API_SECRET) {
-    authed = true;
-  }
-
-  // Fall back to Firebase ID token verification
-  if (!authed && token) {
-    try {
-      const { getAdmin } = await import('./_lib/firebaseAdmin.js');
-      const admin = getAdmin();
-      const decoded = await admin.auth().verifyIdToken(token);
-      if (decoded.uid) authed = true;
-    } catch (e) {
-      console.warn('[shopify-sync-products] Firebase token verification failed:', e.message);
-    }
-  }
-
-  if (!authed) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  // Auth: accept SYNC_API_SECRET or Firebase ID token; resolves the farm,
+  // which must be the one the env Shopify store is registered to
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req));
+    await assertOwnsEnvShop(getFirestore(), farmId);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
   }
 
   if (req.method !== 'GET') {
@@ -44,14 +31,14 @@ export default async function handler(req, res) {
 
   try {
     const shouldWrite = req.query.write !== 'false';
-    console.log(`[shopify-sync-products] Starting sync (write=${shouldWrite})...`);
+    console.log(`[shopify-sync-products] Farm ${farmId}: starting sync (write=${shouldWrite})...`);
 
     const products = await fetchProducts();
     console.log(`[shopify-sync-products] Fetched ${products.length} products`);
 
     let firestoreWritten = 0;
     if (shouldWrite) {
-      firestoreWritten = await writeProducts(products);
+      firestoreWritten = await writeProducts(farmId, products);
       console.log(`[shopify-sync-products] Wrote ${firestoreWritten} to Firestore`);
     }
 
@@ -6,16 +6,24 @@
  *   orders/updated → updates existing order doc
  *   orders/paid    → marks order as confirmed
  *
- * Validates HMAC-SHA256 signature using Shopify shared secret.
+ * After any order event the delivery dates the order touches are replanned
+ * (_lib/harvestPlanner.js), so sowing and crew tasks exist without anyone
+ * having the app open.
+ *
+ * Validates HMAC-SHA256 signature using Shopify shared secret, then routes
+ * the event to the farm registered for the X-Shopify-Shop-Domain header.
  *
  * Environment variables required (set in Vercel dashboard):
- *   SHOPIFY_WEBHOOK_SECRET     — Shopify webhook signing secret
+ *   SHOPIFY_WEBHOOK_SECRET     — Shopify webhook signing secret (401 when it isn't set)
  *   FIREBASE_SERVICE_ACCOUNT   — stringified JSON key for admin SDK
  *
  * Endpoint: https://micos-agile.vercel.app/api/shopifyOrderWebhook
  */
 
 import crypto from 'crypto';
+import { resolveFarmId } from './_lib/tenantRegistry.js';
+import { checkFarmLimit, recordPlanLimitAlert } from './_lib/entitlements.js';
+import { affectedDeliveryDates, regenerateHarvestPlans } from './_lib/harvestPlanner.js';
 
 // -- Firebase Admin SDK (lazy-initialized) ------------------------------------
 
@@ -37,8 +45,8 @@ function initFirebase() {
 function verifyShopifyHmac(rawBody, hmacHeader) {
   const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
   if (!secret) {
-    console.warn('[shopify-webhook] SHOPIFY_WEBHOOK_SECRET not set — skipping validation');
-    return true;
+    console.error('[shopify-webhook] SHOPIFY_WEBHOOK_SECRET not set — refusing unsigned request');
+    return false;
   }
   const computed = crypto
     .createHmac('sha256', secret)
@@ -56,24 +64,22 @@ function verifyShopifyHmac(rawBody, hmacHeader) {
 
 // -- Helpers ------------------------------------------------------------------
 
-const FARM_ID = 'micos-farm-001';
-
-function ordersCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('orders');
+function ordersCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('orders');
 }
-function customersCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('customers');
+function customersCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('customers');
 }
-function revenueCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('revenue');
+function revenueCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('revenue');
 }
-function activitiesCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('activities');
+function activitiesCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('activities');
 }
 
 // -- Map Shopify order → our order schema ------------------------------------
 
-function mapShopifyOrder(shopifyOrder) {
+function mapShopifyOrder(shopifyOrder, farmId) {
   const customer = shopifyOrder.customer || {};
   const shipping = shopifyOrder.shipping_address || shopifyOrder.billing_address || {};
 
@@ -138,7 +144,7 @@ function mapShopifyOrder(shopifyOrder) {
     shopifyUpdatedAt: shopifyOrder.updated_at,
 
     // Firestore metadata
-    farmId: FARM_ID,
+    farmId,
   };
 }
 
@@ -242,27 +248,43 @@ export default async function handler(req, res) {
 
   initFirebase();
 
+  // Route the event to the farm that owns this shop
+  const shopDomain = req.headers['x-shopify-shop-domain'] || '';
+  let farmId;
+  try {
+    farmId = await resolveFarmId(dbAdmin, 'shopify', shopDomain);
+  } catch (err) {
+    console.error('[shopify-webhook] Tenant lookup failed:', err);
+    return res.status(500).json({ error: err.message });
+  }
+  if (!farmId) {
+    console.warn(`[shopify-webhook] No farm registered for shop ${shopDomain}`);
+    return res.status(404).json({ error: 'Unknown tenant' });
+  }
+
   try {
     switch (topic) {
       case 'orders/create':
-        await handleOrderCreate(shopifyOrder);
+        await handleOrderCreate(farmId, shopifyOrder);
         break;
       case 'orders/updated':
-        await handleOrderUpdate(shopifyOrder);
+        await handleOrderUpdate(farmId, shopifyOrder);
         break;
       case 'orders/paid':
-        await handleOrderPaid(shopifyOrder);
+        await handleOrderPaid(farmId, shopifyOrder);
         break;
       case 'orders/cancelled':
-        await handleOrderCancelled(shopifyOrder);
+        await handleOrderCancelled(farmId, shopifyOrder);
         break;
       case 'orders/fulfilled':
-        await handleOrderFulfilled(shopifyOrder);
+        await handleOrderFulfilled(farmId, shopifyOrder);
         break;
       default:
         console.log(`[shopify-webhook] Unhandled topic: ${topic}`);
+        return res.status(200).json({ success: true });
     }
 
+    await replanForOrder(farmId, shopifyOrder, topic);
     return res.status(200).json({ success: true });
   } catch (err) {
     console.error(`[shopify-webhook] Error handling ${topic}:`, err);
@@ -270,32 +292,68 @@ export default async function handler(req, res) {
   }
 }
 
+// -- Harvest planning ---------------------------------------------------------
+
+/**
+ * Replan the delivery dates this order is (or was) on. The order is already
+ * saved, so a planning failure is logged rather than failing the webhook —
+ * the hourly /api/harvest-plan cron picks it up.
+ */
+async function replanForOrder(farmId, shopifyOrder, topic) {
+  try {
+    const snap = await ordersCol(farmId)
+      .where('shopifyOrderId', '==', String(shopifyOrder.id))
+      .limit(1)
+      .get();
+    if (snap.empty) return;
+
+    const dates = await affectedDeliveryDates(dbAdmin, farmId, [snap.docs[0].id]);
+    const results = await regenerateHarvestPlans(dbAdmin, farmId, dates, { trigger: `shopify:${topic}` });
+    const changed = results.filter(r => r.changed).map(r => `${r.deliveryDate} v${r.version}`);
+    if (changed.length) console.log(`[shopify-webhook] Replanned ${changed.join(', ')}`);
+  } catch (err) {
+    console.error(`[shopify-webhook] Harvest planning failed for ${shopifyOrder.name || shopifyOrder.id}:`, err);
+  }
+}
+
 // -- Event handlers -----------------------------------------------------------
 
-async function handleOrderCreate(shopifyOrder) {
+async function handleOrderCreate(farmId, shopifyOrder) {
   // Check if we already have this order (idempotency)
-  const existing = await ordersCol()
+  const existing = await ordersCol(farmId)
     .where('shopifyOrderId', '==', String(shopifyOrder.id))
     .limit(1)
     .get();
 
   if (!existing.empty) {
     console.log(`[shopify-webhook] Order ${shopifyOrder.name} already exists, updating instead`);
-    return handleOrderUpdate(shopifyOrder);
+    return handleOrderUpdate(farmId, shopifyOrder);
+  }
+
+  // Plan limit — drop the order (ack'd upstream) and tell the admin
+  const limit = await checkFarmLimit(dbAdmin, farmId, 'maxOrdersPerMonth');
+  if (!limit.allowed) {
+    console.warn(`[shopify-webhook] ${farmId} over order limit — skipping ${shopifyOrder.name}`);
+    await recordPlanLimitAlert(dbAdmin, farmId, 'maxOrdersPerMonth', limit, {
+      source: 'shopify',
+      shopifyOrderId: String(shopifyOrder.id),
+      shopifyOrderName: shopifyOrder.name || null,
+    });
+    return;
   }
 
-  const orderData = mapShopifyOrder(shopifyOrder);
+  const orderData = mapShopifyOrder(shopifyOrder, farmId);
   orderData.createdAt = admin.firestore.FieldValue.serverTimestamp();
 
-  const docRef = await ordersCol().add(orderData);
+  const docRef = await ordersCol(farmId).add(orderData);
   console.log(`[shopify-webhook] Created order ${shopifyOrder.name} → ${docRef.id}`);
 
   // Auto-match or create customer
-  await syncCustomer(shopifyOrder);
+  await syncCustomer(farmId, shopifyOrder);
 
   // Log activity
   const itemSummary = orderData.items.slice(0, 3).map(i => `${i.quantity}x ${i.title}`).join(', ');
-  await activitiesCol().add({
+  await activitiesCol(farmId).add({
     type: 'update',
     note: `🛒 Shopify order ${shopifyOrder.name} received: ${itemSummary}${orderData.items.length > 3 ? ` +${orderData.items.length - 3} more` : ''} — $${orderData.total.toFixed(2)}`,
     contactGroup: 'chefs',
@@ -304,20 +362,20 @@ async function handleOrderCreate(shopifyOrder) {
   });
 }
 
-async function handleOrderUpdate(shopifyOrder) {
-  const snap = await ordersCol()
+async function handleOrderUpdate(farmId, shopifyOrder) {
+  const snap = await ordersCol(farmId)
     .where('shopifyOrderId', '==', String(shopifyOrder.id))
     .limit(1)
     .get();
 
   if (snap.empty) {
     console.log(`[shopify-webhook] Order ${shopifyOrder.name} not found, creating`);
-    return handleOrderCreate(shopifyOrder);
+    return handleOrderCreate(farmId, shopifyOrder);
   }
 
   const docRef = snap.docs[0].ref;
   const existing = snap.docs[0].data();
-  const updated = mapShopifyOrder(shopifyOrder);
+  const updated = mapShopifyOrder(shopifyOrder, farmId);
 
   // Don't overwrite if we've already advanced status past Shopify's status
   const OUR_STATUS_RANK = { new: 0, confirmed: 1, harvesting: 2, packed: 3, delivered: 4, cancelled: 5 };
@@ -332,15 +390,15 @@ async function handleOrderUpdate(shopifyOrder) {
   console.log(`[shopify-webhook] Updated order ${shopifyOrder.name}`);
 }
 
-async function handleOrderPaid(shopifyOrder) {
-  const snap = await ordersCol()
+async function handleOrderPaid(farmId, shopifyOrder) {
+  const snap = await ordersCol(farmId)
     .where('shopifyOrderId', '==', String(shopifyOrder.id))
     .limit(1)
     .get();
 
   if (snap.empty) {
     // Order paid but we don't have it yet — create it
-    return handleOrderCreate(shopifyOrder);
+    return handleOrderCreate(farmId, shopifyOrder);
   }
 
   const docRef = snap.docs[0].ref;
@@ -359,8 +417,8 @@ async function handleOrderPaid(shopifyOrder) {
   console.log(`[shopify-webhook] Order ${shopifyOrder.name} marked paid`);
 }
 
-async function handleOrderCancelled(shopifyOrder) {
-  const snap = await ordersCol()
+async function handleOrderCancelled(farmId, shopifyOrder) {
+  const snap = await ordersCol(farmId)
     .where('shopifyOrderId', '==', String(shopifyOrder.id))
     .limit(1)
     .get();
@@ -376,8 +434,8 @@ async function handleOrderCancelled(shopifyOrder) {
   console.log(`[shopify-webhook] Order ${shopifyOrder.name} cancelled`);
 }
 
-async function handleOrderFulfilled(shopifyOrder) {
-  const snap = await ordersCol()
+async function handleOrderFulfilled(farmId, shopifyOrder) {
+  const snap = await ordersCol(farmId)
     .where('shopifyOrderId', '==', String(shopifyOrder.id))
     .limit(1)
     .get();
@@ -395,13 +453,13 @@ async function handleOrderFulfilled(shopifyOrder) {
 
   // Auto-log revenue if not already logged
   if (order.total && order.total > 0) {
-    const existingRevenue = await revenueCol()
+    const existingRevenue = await revenueCol(farmId)
       .where('orderId', '==', snap.docs[0].id)
       .limit(1)
       .get();
 
     if (existingRevenue.empty) {
-      await revenueCol().add({
+      await revenueCol(farmId).add({
         orderId: snap.docs[0].id,
         shopifyOrderId: String(shopifyOrder.id),
         customerId: order.customerId || null,
@@ -410,7 +468,7 @@ async function handleOrderFulfilled(shopifyOrder) {
         date: new Date().toISOString().split('T')[0],
         items: order.items || [],
         source: 'shopify',
-        farmId: FARM_ID,
+        farmId,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
       });
     }
@@ -421,12 +479,12 @@ async function handleOrderFulfilled(shopifyOrder) {
 
 // -- Customer sync ------------------------------------------------------------
 
-async function syncCustomer(shopifyOrder) {
+async function syncCustomer(farmId, shopifyOrder) {
   const customer = shopifyOrder.customer;
   if (!customer?.email) return;
 
   // Check if customer already exists by email
-  const snap = await customersCol()
+  const snap = await customersCol(farmId)
     .where('email', '==', customer.email)
     .limit(1)
     .get();
@@ -441,7 +499,7 @@ async function syncCustomer(shopifyOrder) {
       });
     }
     // Also link the order to this customer
-    const orderSnap = await ordersCol()
+    const orderSnap = await ordersCol(farmId)
       .where('shopifyOrderId', '==', String(shopifyOrder.id))
       .limit(1)
       .get();
@@ -464,14 +522,14 @@ async function syncCustomer(shopifyOrder) {
     shopifyCustomerId: String(customer.id),
     source: 'shopify',
     notes: '',
-    farmId: FARM_ID,
+    farmId,
     createdAt: admin.firestore.FieldValue.serverTimestamp(),
   };
 
-  const custRef = await customersCol().add(newCustomer);
+  const custRef = await customersCol(farmId).add(newCustomer);
 
   // Link order to new customer
-  const orderSnap = await ordersCol()
+  const orderSnap = await ordersCol(farmId)
     .where('shopifyOrderId', '==', String(shopifyOrder.id))
     .limit(1)
     .get();
@@ -9,6 +9,8 @@
  * GET  /api/shopifySync?days=7       → sync orders from last 7 days
  * GET  /api/shopifySync?since=...    → sync orders since ISO date
  *
+ * Only the farm SHOPIFY_STORE_DOMAIN is registered to may sync (403 otherwise).
+ *
  * Environment variables required (set in Vercel dashboard):
  *   SHOPIFY_STORE_DOMAIN     — e.g. micos-micro-farm.myshopify.com
  *   SHOPIFY_ADMIN_API_TOKEN  — Admin API access token (from custom app)
@@ -19,6 +21,8 @@
 
 
 import pkg from 'firebase-admin';
+import { resolveRequestFarm } from './_lib/requestAuth.js';
+import { assertOwnsEnvShop } from './_lib/tenantRegistry.js';
 let admin = pkg;
 let dbAdmin;
 
@@ -34,13 +38,11 @@ function initFirebase() {
 
 // -- Helpers ------------------------------------------------------------------
 
-const FARM_ID = 'micos-farm-001';
-
-function ordersCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('orders');
+function ordersCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('orders');
 }
-function customersCol() {
-  return dbAdmin.collection('farms').doc(FARM_ID).collection('customers');
+function customersCol(farmId) {
+  return dbAdmin.collection('farms').doc(farmId).collection('customers');
 }
 
 // -- Shopify Admin API --------------------------------------------------------
@@ -76,7 +78,7 @@ async function fetchShopifyOrders({ since, limit = 50 }) {
 
 // -- Map Shopify order → our order schema (same as webhook) -------------------
 
-function mapShopifyOrder(shopifyOrder) {
+function mapShopifyOrder(shopifyOrder, farmId) {
   const customer = shopifyOrder.customer || {};
   const shipping = shopifyOrder.shipping_address || shopifyOrder.billing_address || {};
 
@@ -124,7 +126,7 @@ function mapShopifyOrder(shopifyOrder) {
     requestedDeliveryDate: extractDeliveryDate(shopifyOrder),
     shopifyCreatedAt: shopifyOrder.created_at,
     shopifyUpdatedAt: shopifyOrder.updated_at,
-    farmId: FARM_ID,
+    farmId,
   };
 }
 
@@ -185,10 +187,17 @@ export default async function handler(req, res) {
 
   const limit = Math.min(parseInt(req.query.limit) || 50, 250);
 
-  initFirebase();
+  let farmId;
+  try {
+    ({ farmId } = await resolveRequestFarm(req));
+    initFirebase();
+    await assertOwnsEnvShop(dbAdmin, farmId);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
 
   try {
-    console.log(`[shopify-sync] Fetching orders since ${since}, limit ${limit}`);
+    console.log(`[shopify-sync] Farm ${farmId}: fetching orders since ${since}, limit ${limit}`);
     const shopifyOrders = await fetchShopifyOrders({ since, limit });
     console.log(`[shopify-sync] Got ${shopifyOrders.length} orders from Shopify`);
 
@@ -200,21 +209,21 @@ export default async function handler(req, res) {
       const shopifyId = String(shopifyOrder.id);
 
       // Check if order already exists
-      const existing = await ordersCol()
+      const existing = await ordersCol(farmId)
         .where('shopifyOrderId', '==', shopifyId)
         .limit(1)
         .get();
 
-      const orderData = mapShopifyOrder(shopifyOrder);
+      const orderData = mapShopifyOrder(shopifyOrder, farmId);
 
       if (existing.empty) {
         // Create new order
         orderData.createdAt = admin.firestore.FieldValue.serverTimestamp();
-        await ordersCol().add(orderData);
+        await ordersCol(farmId).add(orderData);
         created++;
 
         // Sync customer
-        await syncCustomer(shopifyOrder);
+        await syncCustomer(farmId, shopifyOrder);
       } else {
         // Update existing — only if Shopify data is newer
         const existingData = existing.docs[0].data();
@@ -247,11 +256,11 @@ export default async function handler(req, res) {
 
 // -- Customer sync (same as webhook) -----------------------------------------
 
-async function syncCustomer(shopifyOrder) {
+async function syncCustomer(farmId, shopifyOrder) {
   const customer = shopifyOrder.customer;
   if (!customer?.email) return;
 
-  const snap = await customersCol()
+  const snap = await customersCol(farmId)
     .where('email', '==', customer.email)
     .limit(1)
     .get();
@@ -265,7 +274,7 @@ async function syncCustomer(shopifyOrder) {
       });
     }
     // Link order
-    const orderSnap = await ordersCol()
+    const orderSnap = await ordersCol(farmId)
       .where('shopifyOrderId', '==', String(shopifyOrder.id))
       .limit(1)
       .get();
@@ -287,13 +296,13 @@ async function syncCustomer(shopifyOrder) {
     shopifyCustomerId: String(customer.id),
     source: 'shopify',
     notes: '',
-    farmId: FARM_ID,
+    farmId,
     createdAt: admin.firestore.FieldValue.serverTimestamp(),
   };
 
-  const custRef = await customersCol().add(newCustomer);
+  const custRef = await customersCol(farmId).add(newCustomer);
 
-  const orderSnap = await ordersCol()
+  const orderSnap = await ordersCol(farmId)
     .where('shopifyOrderId', '==', String(shopifyOrder.id))
     .limit(1)
     .get();
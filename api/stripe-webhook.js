@@ -1,4 +1,5 @@
 import Stripe from 'stripe';
+import { resolveFarmId, registerIntegration } from './_lib/tenantRegistry.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -30,6 +31,26 @@ async function getAdminDb() {
  */
 export const config = { api: { bodyParser: false } };
 
+/**
+ * Find the farm for a Stripe customer. Customers created before the tenant
+ * registry existed are found via the farm's stripeCustomerId and registered
+ * on first sight.
+ */
+async function findFarmIdForCustomer(db, customerId) {
+  if (!customerId) return null;
+  const registered = await resolveFarmId(db, 'stripe', customerId);
+  if (registered) return registered;
+
+  const farms = await db.collection('farms')
+    .where('stripeCustomerId', '==', customerId)
+    .limit(1)
+    .get();
+  if (farms.empty) return null;
+  const farmId = farms.docs[0].id;
+  await registerIntegration(db, 'stripe', customerId, farmId);
+  return farmId;
+}
+
 async function buffer(readable) {
   const chunks = [];
   for await (const chunk of readable) {
@@ -67,40 +88,49 @@ export default async function handler(req, res) {
             stripeCustomerId: session.customer,
             stripeSubscriptionId: session.subscription,
             subscriptionStatus: 'active',
+            pastDueSince: null,
             planUpdatedAt: new Date(),
           });
+          if (session.customer) {
+            await registerIntegration(db, 'stripe', session.customer, farmId);
+          }
         }
         break;
       }
 
       case 'customer.subscription.updated': {
         const sub = event.data.object;
-        // Find farm by stripeCustomerId
-        const farms = await db.collection('farms')
-          .where('stripeCustomerId', '==', sub.customer)
-          .limit(1)
-          .get();
-        if (!farms.empty) {
-          const farmDoc = farms.docs[0];
-          await farmDoc.ref.update({
+        const farmId = await findFarmIdForCustomer(db, sub.customer);
+        if (farmId) {
+          const farmRef = db.doc(`farms/${farmId}`);
+          const update = {
             subscriptionStatus: sub.status, // active, past_due, canceled, etc.
             planUpdatedAt: new Date(),
-          });
+          };
+          // pastDueSince starts the grace period (see src/data/entitlements.js),
+          // so every move into past_due sets it. Repeated past_due events keep
+          // the original date.
+          if (sub.status === 'past_due') {
+            const farm = (await farmRef.get()).data() || {};
+            update.pastDueSince = farm.subscriptionStatus === 'past_due' && farm.pastDueSince
+              ? farm.pastDueSince
+              : new Date();
+          } else {
+            update.pastDueSince = null;
+          }
+          await farmRef.update(update);
         }
         break;
       }
 
       case 'customer.subscription.deleted': {
         const sub = event.data.object;
-        const farms = await db.collection('farms')
-          .where('stripeCustomerId', '==', sub.customer)
-          .limit(1)
-          .get();
-        if (!farms.empty) {
-          const farmDoc = farms.docs[0];
-          await farmDoc.ref.update({
+        const farmId = await findFarmIdForCustomer(db, sub.customer);
+        if (farmId) {
+          await db.doc(`farms/${farmId}`).update({
             plan: 'free',
             subscriptionStatus: 'canceled',
+            pastDueSince: null,
             planUpdatedAt: new Date(),
           });
         }
@@ -4,7 +4,11 @@ import { useAuth } from './hooks/useAuth';
 import { ToastProvider } from './contexts/ToastContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { FarmConfigProvider } from './contexts/FarmConfigContext';
+import { StageMachineProvider } from './contexts/StageMachineContext';
+import { YieldProvider } from './contexts/YieldContext';
 import { DemoModeProvider } from './contexts/DemoModeContext';
+import { ProductMappingProvider } from './contexts/ProductMappingContext';
+import { GrowSpaceProvider } from './contexts/GrowSpaceContext';
 import LandingPage from './components/LandingPage';
 import AppRoutes from './components/AppRoutes';
 // import PWAInstallPrompt from './components/PWAInstallPrompt'; // PWA disabled
@@ -99,19 +103,27 @@ export default function App() {
     return (
       <ThemeProvider userId="demo" farmId={demoFarmId}>
         <FarmConfigProvider farmId={demoFarmId}>
-          <ToastProvider>
-            <DemoModeProvider>
-              <BrowserRouter>
-                <AppRoutes
-                  user={demoUser}
-                  farmId={demoFarmId}
-                  role="admin"
-                  onLogout={exitDemo}
-                  isDemo
-                />
-              </BrowserRouter>
-            </DemoModeProvider>
-          </ToastProvider>
+          <StageMachineProvider farmId={demoFarmId}>
+            <YieldProvider farmId={demoFarmId}>
+              <ToastProvider>
+                <DemoModeProvider>
+                  <ProductMappingProvider farmId={demoFarmId}>
+                    <GrowSpaceProvider farmId={demoFarmId}>
+                      <BrowserRouter>
+                        <AppRoutes
+                          user={demoUser}
+                          farmId={demoFarmId}
+                          role="admin"
+                          onLogout={exitDemo}
+                          isDemo
+                        />
+                      </BrowserRouter>
+                    </GrowSpaceProvider>
+                  </ProductMappingProvider>
+                </DemoModeProvider>
+              </ToastProvider>
+            </YieldProvider>
+          </StageMachineProvider>
         </FarmConfigProvider>
       </ThemeProvider>
     );
@@ -155,14 +167,22 @@ export default function App() {
   return (
     <ThemeProvider userId={user?.uid} farmId={farmId}>
       <FarmConfigProvider farmId={farmId}>
-        <ToastProvider>
-          <DemoModeProvider>
-            {/* <PWAInstallPrompt /> */}
-            <BrowserRouter>
-              <AppRoutes user={user} farmId={farmId} role={role} onLogout={logout} />
-            </BrowserRouter>
-          </DemoModeProvider>
-        </ToastProvider>
+        <StageMachineProvider farmId={farmId}>
+          <YieldProvider farmId={farmId}>
+            <ToastProvider>
+              <DemoModeProvider>
+                {/* <PWAInstallPrompt /> */}
+                <ProductMappingProvider farmId={farmId}>
+                  <GrowSpaceProvider farmId={farmId}>
+                    <BrowserRouter>
+                      <AppRoutes user={user} farmId={farmId} role={role} onLogout={logout} />
+                    </BrowserRouter>
+                  </GrowSpaceProvider>
+                </ProductMappingProvider>
+              </DemoModeProvider>
+            </ToastProvider>
+          </YieldProvider>
+        </StageMachineProvider>
       </FarmConfigProvider>
     </ThemeProvider>
   );
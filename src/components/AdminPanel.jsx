@@ -5,6 +5,7 @@ import { useFarmConfig } from '../contexts/FarmConfigContext';
 import { updateFarmConfig, inviteUserToFarm, getFarmRoot } from '../services/farmService';
 import { updateMemberRole, removeMember, revokeInvite } from '../services/userService';
 import { PLANS } from '../data/planTiers';
+import { isPlanLimitError } from '../data/entitlements';
 
 const ROLE_LABELS = {
   admin:    { label: 'Admin',    color: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400' },
@@ -238,10 +239,12 @@ function InvitesTab({ farmId, invites, loading }) {
   const [inviteRole, setInviteRole] = useState('employee');
   const [sending, setSending] = useState(false);
   const [sent, setSent] = useState(false);
+  const [inviteError, setInviteError] = useState(null);
 
   const handleInvite = async () => {
     if (!inviteEmail.trim()) return;
     setSending(true);
+    setInviteError(null);
     try {
       await inviteUserToFarm(farmId, { email: inviteEmail.trim(), role: inviteRole });
       setSent(true);
@@ -249,6 +252,7 @@ function InvitesTab({ farmId, invites, loading }) {
       setTimeout(() => setSent(false), 3000);
     } catch (err) {
       console.error('Invite failed:', err);
+      setInviteError(isPlanLimitError(err) ? err.message : 'Failed to send invite');
     }
     setSending(false);
   };
@@ -303,6 +307,9 @@ function InvitesTab({ farmId, invites, loading }) {
         >
           {sent ? '✓ Invite Sent!' : sending ? 'Sending...' : '📧 Send Invite'}
         </motion.button>
+        {inviteError && (
+          <p className="text-sm text-red-600 dark:text-red-400">🔒 {inviteError}</p>
+        )}
       </div>
 
       {/* Pending invites */}
@@ -391,6 +398,8 @@ function SettingsTab({ farmId }) {
   const [timezone, setTimezone] = useState(config.timezone || 'America/Boise');
   const [cutoffTime, setCutoffTime] = useState(config.cutoffTime || '14:00');
   const [deliveryDays, setDeliveryDays] = useState(config.deliveryDays || ['tuesday', 'friday']);
+  const [minOrderTotal, setMinOrderTotal] = useState(config.minOrderTotal ?? 0);
+  const [leadDays, setLeadDays] = useState(config.leadDays ?? 1);
   const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(false);
 
@@ -410,8 +419,9 @@ function SettingsTab({ farmId }) {
   const handleSave = async () => {
     setSaving(true);
     try {
-      await updateFarmConfig(farmId, { name, tagline, primaryColor, timezone, cutoffTime, deliveryDays });
-      setConfig((prev) => ({ ...prev, name, tagline, primaryColor, timezone, cutoffTime, deliveryDays }));
+      const settings = { name, tagline, primaryColor, timezone, cutoffTime, deliveryDays, minOrderTotal: Number(minOrderTotal) || 0, leadDays: Math.max(1, Math.round(Number(leadDays)) || 1) };
+      await updateFarmConfig(farmId, settings);
+      setConfig((prev) => ({ ...prev, ...settings }));
       setSaved(true);
       setTimeout(() => setSaved(false), 2000);
     } catch (err) {
@@ -472,6 +482,19 @@ function SettingsTab({ farmId }) {
           <input type="time" value={cutoffTime} onChange={(e) => setCutoffTime(e.target.value)} className={inputClass} />
         </div>
 
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1.5">Order Lead Time (days)</label>
+          <input type="number" min={1} step={1} value={leadDays} onChange={(e) => setLeadDays(e.target.value)} className={inputClass} />
+          <p className="text-xs text-gray-400 mt-1">
+            Chef orders must be in by the cutoff time this many days before delivery. These are the defaults — delivery zones (Customers → Delivery Zones) can set their own days, cutoff, lead time and minimum.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1.5">Minimum Order ($)</label>
+          <input type="number" min={0} step={1} value={minOrderTotal} onChange={(e) => setMinOrderTotal(e.target.value)} className={inputClass} />
+        </div>
+
         <div>
           <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Delivery Days</label>
           <div className="flex flex-wrap gap-2">
@@ -11,15 +11,30 @@
 import { useState, useEffect, useRef } from 'react';
 import { useAlerts } from '../../contexts/AlertContext';
 import { dismissAlert as dismissAlertApi, dismissAllAlerts } from '../../services/alertService';
+import { SENSOR_METRICS } from '../../data/sensors';
 
 const ALERT_ICONS = {
   order_anomaly: '⚠️',
   yield_outlier: '📊',
+  plan_limit: '🔒',
+  loss_spike: '🥀',
+  sensor_out_of_range: '🌡️',
+};
+
+const ALERT_TITLES = {
+  order_anomaly: 'Unusual Order',
+  yield_outlier: 'Yield Outlier',
+  plan_limit: 'Plan Limit Reached',
+  loss_spike: 'Loss Spike',
+  sensor_out_of_range: 'Sensor Out of Range',
 };
 
 const ALERT_COLORS = {
   order_anomaly: 'text-amber-600 dark:text-amber-400',
   yield_outlier: 'text-purple-600 dark:text-purple-400',
+  plan_limit: 'text-red-600 dark:text-red-400',
+  loss_spike: 'text-rose-600 dark:text-rose-400',
+  sensor_out_of_range: 'text-orange-600 dark:text-orange-400',
 };
 
 function timeAgo(dateStr) {
@@ -39,6 +54,16 @@ function alertDescription(alert) {
   if (alert.type === 'yield_outlier') {
     return `${alert.cropId} yield ${alert.yieldPerTray} oz/tray — expected ~${alert.expectedMean} oz/tray (z=${alert.zScore})`;
   }
+  if (alert.type === 'loss_spike') {
+    return `${alert.cropName || alert.cropId} losing ${Math.round(alert.recentRate * 100)}% of trays — usually ${Math.round(alert.baselineRate * 100)}%`;
+  }
+  if (alert.type === 'sensor_out_of_range') {
+    const m = SENSOR_METRICS[alert.metric];
+    return `${alert.zoneName || alert.zoneId}: ${m?.label || alert.metric} ${alert.direction === 'low' ? 'low' : 'high'} at ${alert.value}${m ? ` ${m.unit}` : ''}`;
+  }
+  if (alert.type === 'plan_limit') {
+    return `${alert.rejectedCount || 1} webhook event(s) skipped. ${alert.message}`;
+  }
   return alert.type;
 }
 
@@ -132,7 +157,7 @@ export default function AlertsBadge({ farmId }) {
                     </span>
                     <div className="flex-1 min-w-0">
                       <p className={`text-sm font-medium ${ALERT_COLORS[alert.type] || 'text-gray-900 dark:text-white'}`}>
-                        {alert.type === 'order_anomaly' ? 'Unusual Order' : 'Yield Outlier'}
+                        {ALERT_TITLES[alert.type] || alert.type}
                       </p>
                       <p className="text-xs text-gray-600 dark:text-gray-400 mt-0.5 line-clamp-2">
                         {alertDescription(alert)}
@@ -9,11 +9,15 @@
 
 import { useState, useEffect, useMemo } from 'react';
 import { subscribeAllAlerts, dismissAlert as dismissAlertApi, dismissAllAlerts as dismissAllAlertsApi } from '../../services/alertService';
+import { SENSOR_METRICS } from '../../data/sensors';
 
 const ALERT_TYPE_OPTIONS = [
   { value: 'all', label: 'All Types' },
   { value: 'order_anomaly', label: 'Order Anomalies' },
   { value: 'yield_outlier', label: 'Yield Outliers' },
+  { value: 'plan_limit', label: 'Plan Limits' },
+  { value: 'loss_spike', label: 'Loss Spikes' },
+  { value: 'sensor_out_of_range', label: 'Sensor Readings' },
 ];
 
 const STATUS_OPTIONS = [
@@ -25,6 +29,17 @@ const STATUS_OPTIONS = [
 const ALERT_ICONS = {
   order_anomaly: '⚠️',
   yield_outlier: '📊',
+  plan_limit: '🔒',
+  loss_spike: '🥀',
+  sensor_out_of_range: '🌡️',
+};
+
+const ALERT_TITLES = {
+  order_anomaly: 'Order Anomaly',
+  yield_outlier: 'Yield Outlier',
+  plan_limit: 'Plan Limit Reached',
+  loss_spike: 'Loss Rate Spike',
+  sensor_out_of_range: 'Sensor Out of Range',
 };
 
 function formatDate(dateStr) {
@@ -47,6 +62,18 @@ function alertDescription(alert) {
   if (alert.type === 'yield_outlier') {
     return `${alert.cropId} yield was ${alert.yieldPerTray} oz/tray (${alert.trayCount} trays). Expected ~${alert.expectedMean} oz/tray. Z-score: ${alert.zScore}`;
   }
+  if (alert.type === 'loss_spike') {
+    return `${alert.cropName || alert.cropId} lost ${alert.recentLost} of ${alert.recentTrays} trays sown in the last ${alert.windowDays} days (${Math.round(alert.recentRate * 100)}%). Baseline over the ${alert.baselineDays} days before: ${Math.round(alert.baselineRate * 100)}% of ${alert.baselineTrays} trays.`;
+  }
+  if (alert.type === 'sensor_out_of_range') {
+    const m = SENSOR_METRICS[alert.metric];
+    const unit = m ? ` ${m.unit}` : '';
+    const range = [alert.min != null && `min ${alert.min}${unit}`, alert.max != null && `max ${alert.max}${unit}`].filter(Boolean).join(', ');
+    return `${m?.label || alert.metric} in ${alert.zoneName || alert.zoneId} read ${alert.value}${unit} (${range}) from ${alert.deviceName || alert.deviceId} at ${formatDate(alert.readingAt)}. ${alert.batchIds?.length || 0} batch(es) in the zone.`;
+  }
+  if (alert.type === 'plan_limit') {
+    return `${alert.message} ${alert.rejectedCount || 1} incoming ${alert.lastRejected?.source || 'webhook'} event(s) were not saved this month.`;
+  }
   return JSON.stringify(alert);
 }
 
@@ -227,7 +254,7 @@ export default function AlertsList({ farmId }) {
               <div className="flex-1 min-w-0">
                 <div className="flex items-center gap-2 flex-wrap">
                   <span className="text-sm font-semibold text-gray-900 dark:text-white">
-                    {alert.type === 'order_anomaly' ? 'Order Anomaly' : 'Yield Outlier'}
+                    {ALERT_TITLES[alert.type] || alert.type}
                   </span>
                   <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${
                     alert.status === 'pending'
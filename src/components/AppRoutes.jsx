@@ -18,7 +18,9 @@ import RoadblockModal from './modals/RoadblockModal';
 import DevToolbar from './DevToolbar';
 import Alert from './ui/Alert';
 import PageLoader from './ui/PageLoader';
+import { PLANS } from '../data/planTiers';
 import RoleGuard from './RoleGuard';
+import PlanGuard from './PlanGuard';
 
 // ── Route-level code splitting ───────────────────────────────────────────────
 // Each route component is lazy-loaded in its own chunk to eliminate the
@@ -52,16 +54,20 @@ const PackingList = lazy(() => import('./PackingList'));
 const SettingsPage = lazy(() => import('./SettingsPage'));
 const AdminPanel = lazy(() => import('./AdminPanel'));
 const ShopifySync = lazy(() => import('./admin/ShopifySync'));
+const ProductMappings = lazy(() => import('./admin/ProductMappings'));
 const ShopifyChefOrders = lazy(() => import('./orders/ShopifyChefOrders'));
 const AlertsList = lazy(() => import('./Alerts/AlertsList'));
 const CropProfiles = lazy(() => import('./CropProfiles'));
 const SowingCalculator = lazy(() => import('./SowingCalculator'));
 const PlantingSchedule = lazy(() => import('./PlantingSchedule'));
 const BatchTracker = lazy(() => import('./BatchTracker'));
+const RackMap = lazy(() => import('./RackMap'));
 const RevenueDashboard = lazy(() => import('./business/RevenueDashboard'));
 const CustomerAnalytics = lazy(() => import('./business/CustomerAnalytics'));
+const Invoices = lazy(() => import('./business/Invoices'));
 const ProductAnalytics = lazy(() => import('./business/ProductAnalytics'));
 const CostTracking = lazy(() => import('./business/CostTracking'));
+const LossAnalytics = lazy(() => import('./business/LossAnalytics'));
 const BusinessReports = lazy(() => import('./business/BusinessReports'));
 
 /**
@@ -94,6 +100,7 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
   const [vendorModal, setVendorModal] = useState(false);
   const [sprintModal, setSprintModal] = useState(false);
   const [cart, setCart] = useState([]);
+  const [deliveryDate, setDeliveryDate] = useState(null); // null = next delivery day
   const [completionModal, setCompletionModal] = useState(null);
   const [roadblockModal, setRoadblockModal] = useState(null);
   const [devRequestModal, setDevRequestModal] = useState(false);
@@ -154,6 +161,21 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
           action={{ label: 'Refresh', onClick: () => window.location.reload() }}
         />
       )}
+      {/* Billing banner — past_due grace period, or plan dropped to Free */}
+      {!isDemoMode && role === 'admin' && data.entitlements?.inGracePeriod && (
+        <Alert
+          variant="warning"
+          message={`Payment past due — ${PLANS[data.entitlements.planId].name} features stay on until ${data.entitlements.graceEndsAt.toLocaleDateString()}, then the farm drops to the Free plan.`}
+          action={{ label: 'Update billing', onClick: () => navigate('/settings?tab=billing') }}
+        />
+      )}
+      {!isDemoMode && role === 'admin' && data.entitlements?.downgraded && (
+        <Alert
+          variant="error"
+          message={`Your ${PLANS[data.entitlements.planId].name} subscription is ${data.entitlements.subscriptionStatus?.replace('_', ' ')} — the farm is limited to Free plan features.`}
+          action={{ label: 'Fix billing', onClick: () => navigate('/settings?tab=billing') }}
+        />
+      )}
       <Suspense fallback={<PageLoader />}>
       <Routes>
         <Route element={<Layout user={user} role={role} farmId={farmId} onLogout={onLogout} snarkyContext={snarkyContext} onDevRequest={() => setDevRequestModal(true)} isDemo={isDemo} />}>
@@ -228,9 +250,23 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
                 inventory={demo.inventory}
                 orders={demo.orders}
                 activeBatches={demo.activeBatches}
+                seedLots={demo.seedLots}
+                vendors={demo.vendors}
+                batches={demo.batches}
+                user={user}
                 onAdd={demo.dg(data.addItem)}
                 onEdit={demo.dg(data.editItem)}
                 onRemove={demo.dg(data.removeItem)}
+                onReceiveLot={demo.dg(data.receiveLot)}
+                onEditLot={demo.dg(data.editLot)}
+                bom={demo.bom}
+                onSaveBom={demo.dg(data.saveBom)}
+                purchaseOrders={demo.purchaseOrders}
+                onCreatePurchaseOrders={demo.dg(data.createPurchaseOrders)}
+                onEditPurchaseOrder={demo.dg(data.editPurchaseOrder)}
+                onRemovePurchaseOrder={demo.dg(data.removePurchaseOrder)}
+                onSendPurchaseOrder={demo.dg(data.sendPurchaseOrder)}
+                onReceivePurchaseOrder={demo.dg(data.receivePurchaseOrder)}
                 farmId={farmId}
               />
             }
@@ -283,6 +319,8 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
                 orders={demo.orders}
                 activeBatches={demo.activeBatches}
                 onAddBatch={demo.dg(data.addBatch)}
+                farmId={isDemoMode ? null : farmId}
+                canApprovePlans={['admin', 'manager'].includes(role)}
               />
             }
           />
@@ -291,6 +329,8 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             element={
               <CropProfiles
                 profiles={demo.cropProfiles}
+                batches={demo.batches}
+                members={data.teamMembers_live}
                 loading={demo.dl(data.cropProfilesLoading)}
                 error={demo.de(data.cropProfilesError)}
                 onAddProfile={demo.dg(data.addCropProfile)}
@@ -328,11 +368,23 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
               <BatchTracker
                 batches={demo.batches}
                 loading={demo.dl(data.batchesLoading)}
-                onEditBatch={demo.dg(data.editBatch)}
+                farmId={isDemoMode ? null : farmId}
+                onAdvanceStage={demo.dg(data.advanceStage)}
                 onHarvestBatch={demo.dg(data.harvestBatch)}
               />
             }
           />
+          <Route
+            path="rack-map"
+            element={
+              <RackMap
+                activeBatches={demo.activeBatches}
+                loading={demo.dl(data.batchesLoading)}
+                onMoveBatch={demo.dg(data.moveBatch)}
+                user={user}
+              />
+            }
+          />
           <Route
             path="activity"
             element={
@@ -352,9 +404,14 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
               <ProductManager
                 loading={demo.dl(data.productsLoading)}
                 products={demo.products}
-                onAddProduct={demo.dg(data.addProduct)}
+                onAddProduct={demo.dg(h.handleAddProduct)}
                 onEditProduct={demo.dg(data.editProduct)}
                 onDeleteProduct={demo.dg(data.removeProduct)}
+                priceLists={demo.priceLists}
+                customers={demo.shopifyCustomers}
+                onAddPriceList={demo.dg(data.addPriceList)}
+                onEditPriceList={demo.dg(data.editPriceList)}
+                onDeletePriceList={demo.dg(data.removePriceList)}
                 farmId={farmId}
               />
             }
@@ -366,6 +423,10 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
                 shopifyCustomers={demo.shopifyCustomers}
                 loading={demo.dl(data.shopifyCustomersLoading)}
                 farmId={farmId}
+                deliveryZones={demo.deliveryZones}
+                onAddZone={demo.dg(data.addDeliveryZone)}
+                onEditZone={demo.dg(data.editDeliveryZone)}
+                onDeleteZone={demo.dg(data.removeDeliveryZone)}
               />
             }
           />
@@ -413,10 +474,15 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
                   loading={demo.dl(data.ordersLoading || data.batchesLoading)}
                   orders={demo.orders}
                   activeBatches={demo.activeBatches}
+                  seedLots={demo.seedLots}
                   onPlantBatch={demo.dg(data.plantCrewBatch)}
                   onAdvanceStage={demo.dg(data.advanceCrewStage)}
                   onHarvestBatch={demo.dg(data.harvestCrewBatch)}
-                  onEditBatch={demo.dg(data.editBatch)}
+                  onReportLoss={demo.dg(data.reportCrewLoss)}
+                  outbox={isDemoMode ? null : data.crewOutbox}
+                  shift={isDemoMode ? null : data.myShift}
+                  onClockIn={demo.dg(data.clockIn)}
+                  onClockOut={demo.dg(data.clockOut)}
                   user={user}
                   error={demo.de(data.ordersError || data.batchesError)}
                 />
@@ -443,7 +509,9 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             path="deliveries"
             element={
               <RoleGuard allow={['admin', 'manager', 'driver']} role={role}>
-                <DeliveryTracker loading={demo.dl(data.deliveriesLoading)} deliveries={demo.deliveries} error={demo.de(data.deliveriesError)} />
+                <PlanGuard feature="deliveryTracking" entitlements={data.entitlements} error={data.entitlementsError} role={role} bypass={isDemoMode}>
+                  <DeliveryTracker loading={demo.dl(data.deliveriesLoading)} deliveries={demo.deliveries} error={demo.de(data.deliveriesError)} />
+                </PlanGuard>
               </RoleGuard>
             }
           />
@@ -455,7 +523,9 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             path="business/revenue"
             element={
               <RoleGuard allow={['admin', 'manager']} role={role}>
-                <RevenueDashboard shopifyOrders={demo.shopifyOrders} loading={demo.dl(data.shopifyOrdersLoading)} />
+                <PlanGuard feature="advancedReports" entitlements={data.entitlements} error={data.entitlementsError} role={role} bypass={isDemoMode}>
+                  <RevenueDashboard shopifyOrders={demo.shopifyOrders} loading={demo.dl(data.shopifyOrdersLoading)} />
+                </PlanGuard>
               </RoleGuard>
             }
           />
@@ -463,7 +533,26 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             path="business/customers"
             element={
               <RoleGuard allow={['admin', 'manager']} role={role}>
-                <CustomerAnalytics shopifyOrders={demo.shopifyOrders} shopifyCustomers={demo.shopifyCustomers} loading={demo.dl(data.shopifyOrdersLoading)} />
+                <PlanGuard feature="advancedReports" entitlements={data.entitlements} error={data.entitlementsError} role={role} bypass={isDemoMode}>
+                  <CustomerAnalytics shopifyOrders={demo.shopifyOrders} shopifyCustomers={demo.shopifyCustomers} invoices={demo.invoices} loading={demo.dl(data.shopifyOrdersLoading)} />
+                </PlanGuard>
+              </RoleGuard>
+            }
+          />
+          <Route
+            path="business/invoices"
+            element={
+              <RoleGuard allow={['admin', 'manager']} role={role}>
+                <Invoices
+                  invoices={demo.invoices}
+                  orders={demo.orders}
+                  customers={demo.shopifyCustomers}
+                  user={user}
+                  onCreate={demo.dg(data.createInvoices)}
+                  onRecordPayment={demo.dg(data.recordInvoicePayment)}
+                  onVoid={demo.dg(data.voidInvoice)}
+                  loading={demo.dl(data.invoicesLoading || data.ordersLoading)}
+                />
               </RoleGuard>
             }
           />
@@ -471,7 +560,19 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             path="business/products"
             element={
               <RoleGuard allow={['admin', 'manager']} role={role}>
-                <ProductAnalytics shopifyOrders={demo.shopifyOrders} shopifyCustomers={demo.shopifyCustomers} loading={demo.dl(data.shopifyOrdersLoading)} />
+                <PlanGuard feature="advancedReports" entitlements={data.entitlements} error={data.entitlementsError} role={role} bypass={isDemoMode}>
+                  <ProductAnalytics
+                    shopifyOrders={demo.shopifyOrders}
+                    shopifyCustomers={demo.shopifyCustomers}
+                    orders={demo.orders}
+                    batches={demo.batches}
+                    costs={demo.costs}
+                    inventory={demo.inventory}
+                    laborEntries={demo.laborEntries}
+                    laborRate={data.laborRate}
+                    loading={demo.dl(data.shopifyOrdersLoading)}
+                  />
+                </PlanGuard>
               </RoleGuard>
             }
           />
@@ -479,16 +580,36 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             path="business/costs"
             element={
               <RoleGuard allow={['admin', 'manager']} role={role}>
-                <CostTracking
-                  costs={demo.costs}
-                  shopifyOrders={demo.shopifyOrders}
-                  cropProfiles={demo.cropProfiles}
-                  onAddCost={demo.dg(data.addCost)}
-                  onEditCost={demo.dg(data.editCostFn)}
-                  onRemoveCost={demo.dg(data.removeCost)}
-                  onEditCropProfile={demo.dg(data.editCropProfile)}
-                  loading={demo.dl(data.costsLoading || data.shopifyOrdersLoading)}
-                />
+                <PlanGuard feature="advancedReports" entitlements={data.entitlements} error={data.entitlementsError} role={role} bypass={isDemoMode}>
+                  <CostTracking
+                    costs={demo.costs}
+                    shopifyOrders={demo.shopifyOrders}
+                    cropProfiles={demo.cropProfiles}
+                    onAddCost={demo.dg(data.addCost)}
+                    onEditCost={demo.dg(data.editCostFn)}
+                    onRemoveCost={demo.dg(data.removeCost)}
+                    onEditCropProfile={demo.dg(data.editCropProfile)}
+                    laborEntries={demo.laborEntries}
+                    batches={demo.batches}
+                    laborRate={data.laborRate}
+                    onSaveLaborRate={demo.dg(data.saveLaborRate)}
+                    loading={demo.dl(data.costsLoading || data.shopifyOrdersLoading)}
+                  />
+                </PlanGuard>
+              </RoleGuard>
+            }
+          />
+          <Route
+            path="business/losses"
+            element={
+              <RoleGuard allow={['admin', 'manager']} role={role}>
+                <PlanGuard feature="advancedReports" entitlements={data.entitlements} error={data.entitlementsError} role={role} bypass={isDemoMode}>
+                  <LossAnalytics
+                    batches={demo.batches}
+                    members={data.teamMembers_live}
+                    loading={demo.dl(data.batchesLoading)}
+                  />
+                </PlanGuard>
               </RoleGuard>
             }
           />
@@ -496,15 +617,17 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             path="business/reports"
             element={
               <RoleGuard allow={['admin', 'manager']} role={role}>
-                <BusinessReports
-                  shopifyOrders={demo.shopifyOrders}
-                  shopifyCustomers={demo.shopifyCustomers}
-                  costs={demo.costs}
-                  reports={demo.biReports}
-                  saveReport={demo.dg(data.saveReport)}
-                  user={user}
-                  loading={demo.dl(data.shopifyOrdersLoading)}
-                />
+                <PlanGuard feature="advancedReports" entitlements={data.entitlements} error={data.entitlementsError} role={role} bypass={isDemoMode}>
+                  <BusinessReports
+                    shopifyOrders={demo.shopifyOrders}
+                    shopifyCustomers={demo.shopifyCustomers}
+                    costs={demo.costs}
+                    reports={demo.biReports}
+                    saveReport={demo.dg(data.saveReport)}
+                    user={user}
+                    loading={demo.dl(data.shopifyOrdersLoading)}
+                  />
+                </PlanGuard>
               </RoleGuard>
             }
           />
@@ -523,7 +646,13 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
             element={
               <PackingList
                 orders={demo.orders}
+                batches={demo.batches}
                 onAdvanceStatus={isDemoMode ? demo.demoAdvanceOrderStatus : h.handleAdvanceOrderStatus}
+                onRecordBatches={demo.dg(h.handleUpdateOrder)}
+                materialsFor={data.materialsFor}
+                onConsume={demo.dg(data.consume)}
+                onLogLabor={demo.dg(data.logTask)}
+                user={user}
                 loading={demo.dl(data.ordersLoading)}
               />
             }
@@ -537,8 +666,12 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
                 <ChefCatalog
                   loading={demo.dl(data.productsLoading)}
                   products={demo.availableProducts}
+                  priceLists={demo.myPriceLists}
+                  zone={demo.myDeliveryZone}
                   cart={cart}
                   onAddToCart={h.handleAddToCart}
+                  deliveryDate={deliveryDate}
+                  onDeliveryDateChange={setDeliveryDate}
                   error={demo.de(data.productsError)}
                 />
               </RoleGuard>
@@ -550,8 +683,12 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
               <RoleGuard allow={['chef', 'admin', 'manager']} role={role}>
                 <ChefCart
                   cart={cart}
+                  priceLists={demo.myPriceLists}
+                  zone={demo.myDeliveryZone}
                   onUpdateQty={h.handleUpdateCartQty}
                   onPlaceOrder={h.handlePlaceOrder}
+                  deliveryDate={deliveryDate}
+                  onDeliveryDateChange={setDeliveryDate}
                 />
               </RoleGuard>
             }
@@ -564,6 +701,12 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
                   loading={demo.dl(data.ordersLoading)}
                   orders={demo.orders}
                   onReorder={h.handleReorder}
+                  standingOrders={demo.standingOrders}
+                  onCreateStandingOrder={demo.dg(h.handleCreateStandingOrder)}
+                  onPauseStandingOrder={demo.dg(data.pauseStandingOrder)}
+                  onResumeStandingOrder={demo.dg(data.resumeStandingOrder)}
+                  onSkipDelivery={demo.dg(data.skipDelivery)}
+                  onRemoveStandingOrder={demo.dg(data.removeStandingOrder)}
                   refresh={data.refresh}
                   error={demo.de(data.ordersError)}
                 />
@@ -580,6 +723,14 @@ export default function AppRoutes({ user, farmId, role: actualRole, onLogout, is
               </RoleGuard>
             }
           />
+          <Route
+            path="product-mappings"
+            element={
+              <RoleGuard allow={['admin', 'manager']} role={role}>
+                <ProductMappings onSaveMapping={demo.dg(data.saveCropMapping)} />
+              </RoleGuard>
+            }
+          />
           <Route
             path="shopify-sync"
             element={
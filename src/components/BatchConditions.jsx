@@ -0,0 +1,117 @@
+import { useState, useMemo } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceArea, ResponsiveContainer,
+} from 'recharts';
+import {
+  SENSOR_METRICS,
+  conditionSeries,
+  conditionSummary,
+  zoneRanges,
+  rangeBreach,
+} from '../data/sensors';
+import { useBatchConditions, useSensorSettings } from '../hooks/useSensors';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+
+/**
+ * BatchConditions — the temperature, humidity, CO₂ and light a batch grew in.
+ *
+ * Props: farmId, batch
+ *
+ * Charts the sensor buckets linked to the batch (data/sensors.js) with the
+ * zone's allowed range shaded, plus min/avg/max per metric. Hourly points
+ * for the last 90 days, daily averages before that.
+ */
+
+const fmtAt = (iso, resolution) => new Date(iso).toLocaleString('en-US', resolution === 'day'
+  ? { month: 'short', day: 'numeric' }
+  : { month: 'short', day: 'numeric', hour: 'numeric' });
+
+export default function BatchConditions({ farmId, batch }) {
+  const { buckets, loading } = useBatchConditions(farmId, batch.id);
+  const { settings } = useSensorSettings(farmId);
+  const { layout } = useGrowSpace();
+  const [metric, setMetric] = useState('temperature');
+
+  const series = useMemo(() => conditionSeries(buckets), [buckets]);
+  const summary = useMemo(() => conditionSummary(buckets), [buckets]);
+  const zoneIds = [...new Set(buckets.map((b) => b.zoneId))];
+  const zoneNames = zoneIds.map((id) => layout.zones.find((z) => z.id === id)?.name || id);
+  // Ranges can differ per zone; shade the one of the zone the batch spent most time in
+  const mainZone = zoneIds.sort((a, b) =>
+    buckets.filter((x) => x.zoneId === b).length - buckets.filter((x) => x.zoneId === a).length)[0];
+  const ranges = zoneRanges(settings, mainZone);
+
+  if (loading) {
+    return <div className="h-32 bg-gray-100 dark:bg-gray-700 rounded-xl animate-pulse" />;
+  }
+
+  if (series.length === 0) {
+    return (
+      <p className="text-xs text-gray-400 dark:text-gray-500 py-2">
+        No sensor readings for this batch yet — readings link to batches placed in a zone with a sensor.
+      </p>
+    );
+  }
+
+  const metrics = Object.keys(SENSOR_METRICS).filter((m) => summary[m]);
+  const active = summary[metric] ? metric : metrics[0];
+  const def = SENSOR_METRICS[active];
+  const range = ranges[active];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between flex-wrap gap-1.5">
+        <p className="text-[11px] text-gray-400 dark:text-gray-500">{zoneNames.join(', ')}</p>
+        <div className="flex gap-1">
+          {metrics.map((m) => (
+            <button
+              key={m}
+              onClick={() => setMetric(m)}
+              className={`px-2 py-1 rounded-lg text-[11px] font-semibold cursor-pointer ${
+                m === active ? 'bg-green-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+              }`}
+            >
+              {SENSOR_METRICS[m].label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={160}>
+        <LineChart data={series}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis dataKey="at" tickFormatter={(v) => fmtAt(v, 'day')} tick={{ fontSize: 10 }} minTickGap={24} />
+          <YAxis tick={{ fontSize: 10 }} width={40} domain={['auto', 'auto']} />
+          {range && (
+            <ReferenceArea
+              y1={range.min ?? undefined}
+              y2={range.max ?? undefined}
+              fill="#22c55e"
+              fillOpacity={0.08}
+              ifOverflow="extendDomain"
+            />
+          )}
+          <Tooltip
+            formatter={(v) => [`${v} ${def.unit}`, def.label]}
+            labelFormatter={(l, payload) => fmtAt(l, payload?.[0]?.payload?.resolution)}
+            contentStyle={{ borderRadius: 12, fontSize: 12 }}
+          />
+          <Line type="monotone" dataKey={active} stroke={def.color} strokeWidth={2} dot={false} connectNulls />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="grid grid-cols-2 gap-1.5 text-[11px]">
+        {metrics.map((m) => {
+          const s = summary[m];
+          const breached = rangeBreach(ranges[m], s.min) || rangeBreach(ranges[m], s.max);
+          return (
+            <div key={m} className={`px-2 py-1 rounded-lg ${breached ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300' : 'bg-gray-50 dark:bg-gray-900 text-gray-600 dark:text-gray-300'}`}>
+              <span className="font-semibold">{SENSOR_METRICS[m].label}</span>{' '}
+              {s.min}–{s.max} {SENSOR_METRICS[m].unit} · avg {s.avg}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
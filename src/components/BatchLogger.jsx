@@ -1,12 +1,13 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { cropConfig, getEstimatedHarvest } from '../data/cropConfig';
+import { getStageMachine } from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
 
 const CATEGORIES = Object.entries(cropConfig).map(([id, cfg]) => ({
   id,
   label: cfg.label,
   unit: cfg.unit,
-  stages: cfg.stages,
   varieties: cfg.varieties,
 }));
 
@@ -14,6 +15,7 @@ const today = () => new Date().toISOString().split('T')[0];
 
 export default function BatchLogger({ onAddBatch }) {
   const navigate = useNavigate();
+  const { machines } = useStageMachines();
   const [category, setCategory] = useState('microgreens');
   const [varietyId, setVarietyId] = useState('broccoli');
   const [quantity, setQuantity] = useState(10);
@@ -44,7 +46,7 @@ export default function BatchLogger({ onAddBatch }) {
         quantity,
         unit: catConfig.unit,
         sowDate,
-        stage: catConfig.stages[0].id,
+        stage: getStageMachine(machines, category).sowStage,
         estimatedHarvestStart: harvestDates.harvestStart.toISOString().split('T')[0],
         estimatedHarvestEnd: harvestDates.harvestEnd.toISOString().split('T')[0],
         harvestedAt: null,
@@ -1,46 +1,47 @@
 /**
  * BatchTracker.jsx — Unified batch list with upgraded stage flow.
  *
- * Stage flow:  planned → soaking → sown → germinating → growing → ready → harvested
+ * Stage flow comes from the farm's stage machine for each crop category
+ * (data/stageMachine.js), e.g. microgreens:
+ *   planned → soaking → germination → blackout → light → ready → harvested
  *
  * Features:
  *  - All active batches sorted by expected harvest (soonest first)
  *  - Progress bar per batch showing lifecycle position
  *  - Auto-suggest stage transition if dates have passed
+ *  - Stage moves limited to allowed transitions, with stage-specific fields
  *  - Harvest yield entry + accuracy calculation
  *  - Color-coded by stage
  *  - Ready-stage batches flagged prominently
+ *  - Rack/shelf location when the farm has a grow space layout
+ *  - Grow room conditions the batch experienced (BatchConditions)
  */
 
 import { useState, useMemo, useCallback } from 'react';
+import {
+  PLANNED_STAGE,
+  getAllowedTransitions,
+  getBatchStage,
+  getStageMachine,
+} from '../data/stageMachine';
+import { formatLocation } from '../data/growSpace';
+import BatchConditions from './BatchConditions';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { getBatchesNeedingStageAdvance } from '../utils/pipelineUtils';
+import { stageStyle } from '../utils/stageStyles';
 
 // ── Stage Config ────────────────────────────────────────────────────────────
 
-const STAGES = [
-  { id: 'planned',      label: 'Planned',      color: 'bg-gray-400',   text: 'text-gray-600 dark:text-gray-400',   bg: 'bg-gray-100 dark:bg-gray-700',   emoji: '📝', step: 0 },
-  { id: 'soaking',      label: 'Soaking',      color: 'bg-blue-400',   text: 'text-blue-600 dark:text-blue-400',   bg: 'bg-blue-50 dark:bg-blue-900/30',  emoji: '💧', step: 1 },
-  { id: 'sown',         label: 'Sown',         color: 'bg-green-400',  text: 'text-green-600 dark:text-green-400', bg: 'bg-green-50 dark:bg-green-900/30', emoji: '🌱', step: 2 },
-  { id: 'germinating',  label: 'Germinating',  color: 'bg-lime-400',   text: 'text-lime-600 dark:text-lime-400',   bg: 'bg-lime-50 dark:bg-lime-900/30',  emoji: '🌿', step: 3 },
-  { id: 'growing',      label: 'Growing',      color: 'bg-yellow-400', text: 'text-yellow-600 dark:text-yellow-400', bg: 'bg-yellow-50 dark:bg-yellow-900/30', emoji: '☀️', step: 4 },
-  { id: 'ready',        label: 'Ready',        color: 'bg-red-400',    text: 'text-red-600 dark:text-red-400',     bg: 'bg-red-50 dark:bg-red-900/30',    emoji: '🌾', step: 5 },
-  { id: 'harvested',    label: 'Harvested',    color: 'bg-purple-400', text: 'text-purple-600 dark:text-purple-400', bg: 'bg-purple-50 dark:bg-purple-900/30', emoji: '✅', step: 6 },
-];
+const UNKNOWN_STAGE = { id: null, label: 'Unknown', emoji: '❔', color: 'gray' };
 
-const STAGE_MAP = Object.fromEntries(STAGES.map((s) => [s.id, s]));
-
-function getStageConfig(stageId) {
-  return STAGE_MAP[stageId] || STAGE_MAP['planned'];
-}
-
-function getStageIndex(stageId) {
-  const s = STAGE_MAP[stageId];
-  return s ? s.step : 0;
-}
-
-function nextStageId(currentId) {
-  const idx = STAGES.findIndex((s) => s.id === currentId);
-  if (idx === -1 || idx >= STAGES.length - 1) return null;
-  return STAGES[idx + 1].id;
+/** Position of the batch's stage in its lifecycle, 0–100 (harvested excluded). */
+function getProgress(machines, batch, stage) {
+  const stages = getStageMachine(machines, batch.cropCategory).stages.filter((s) => !s.terminal);
+  if (stage.terminal) return 100;
+  const idx = stages.findIndex((s) => s.id === stage.id);
+  if (idx <= 0 || stages.length < 2) return 0;
+  return Math.min(100, Math.round((idx / (stages.length - 1)) * 100));
 }
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
@@ -71,23 +72,84 @@ function daysUntil(dateStr) {
 
 // ── Suggestion Logic ────────────────────────────────────────────────────────
 
-function getSuggestion(batch) {
+/**
+ * Suggest the next move when a transition's dateField (soakDate, sowDate,
+ * uncoverDate, …) has passed, or when the batch has overstayed its stage.
+ */
+function getSuggestion(machines, batch, stage) {
+  if (!stage.id || stage.terminal || stage.harvestable) return null;
   const today = todayStr();
-  const stage = batch.stage || 'planned';
-  const soakDate = toDateStr(batch.soakDate);
-  const sowDate = toDateStr(batch.sowDate);
-  const uncoverDate = toDateStr(batch.uncoverDate);
-  const harvestDate = toDateStr(batch.expectedHarvestDate || batch.estimatedHarvestStart);
+  const options = getAllowedTransitions(machines, batch).filter((s) => !s.terminal);
+
+  const due = options.find((s) => {
+    const date = s.dateField && toDateStr(batch[s.dateField]);
+    return date && date <= today;
+  });
+  if (due) return { next: due.id, msg: due.harvestable ? 'Ready to harvest?' : `Move to ${due.label}?` };
 
-  if (stage === 'planned' && soakDate && soakDate <= today) return { next: 'soaking', msg: 'Ready to soak?' };
-  if (stage === 'planned' && sowDate && sowDate <= today) return { next: 'sown', msg: 'Ready to sow?' };
-  if (stage === 'soaking' && sowDate && sowDate <= today) return { next: 'sown', msg: 'Ready to sow?' };
-  if (stage === 'sown' && uncoverDate && uncoverDate <= today) return { next: 'germinating', msg: 'Germination started?' };
-  if (stage === 'germinating' && uncoverDate && uncoverDate <= today) return { next: 'growing', msg: 'Move to light?' };
-  if (stage === 'growing' && harvestDate && harvestDate <= today) return { next: 'ready', msg: 'Ready to harvest?' };
+  const overdue = getBatchesNeedingStageAdvance([batch], machines)[0];
+  if (overdue?.isOverdue) {
+    return { next: overdue.suggestedNextStage, msg: `${overdue.daysInCurrentStage}d in ${stage.label} — move on?` };
+  }
   return null;
 }
 
+// ── Stage Fields Modal ──────────────────────────────────────────────────────
+
+function StageFieldsModal({ batch, stage, onConfirm, onClose }) {
+  const [values, setValues] = useState({});
+
+  const submit = () => {
+    const fieldValues = {};
+    for (const f of stage.fields) {
+      const raw = values[f.key];
+      if (raw === undefined || raw === '') continue;
+      fieldValues[f.key] = f.type === 'number' ? parseFloat(raw) : raw;
+    }
+    onConfirm(batch, stage.id, fieldValues);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">
+            {stage.emoji} {stage.label} — {batch.cropName || batch.varietyName}
+          </h3>
+          {stage.description && <p className="text-sm text-gray-500">{stage.description}</p>}
+        </div>
+        <div className="p-6 space-y-4">
+          {stage.fields.map((f) => (
+            <div key={f.key}>
+              <label className="block text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">{f.label}</label>
+              <input
+                type={f.type === 'number' ? 'number' : 'text'}
+                value={values[f.key] ?? ''}
+                onChange={(e) => setValues((v) => ({ ...v, [f.key]: e.target.value }))}
+                className="w-full px-3 py-2.5 min-h-[44px] rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-200 text-sm focus:outline-none focus:border-green-400"
+              />
+            </div>
+          ))}
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              className="flex-1 px-4 py-2.5 min-h-[44px] rounded-xl bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-sm font-semibold cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={submit}
+              className="flex-1 px-4 py-2.5 min-h-[44px] rounded-xl bg-green-600 hover:bg-green-700 text-white text-sm font-bold cursor-pointer"
+            >
+              Move →
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ── Harvest Modal ───────────────────────────────────────────────────────────
 
 function HarvestModal({ batch, onHarvest, onClose }) {
@@ -155,12 +217,15 @@ function HarvestModal({ batch, onHarvest, onClose }) {
 
 // ── Batch Card ──────────────────────────────────────────────────────────────
 
-function BatchCard({ batch, onAdvance, onHarvestClick }) {
-  const stage = getStageConfig(batch.stage);
-  const stageIdx = getStageIndex(batch.stage);
-  const totalSteps = STAGES.length - 1; // exclude harvested from progress
-  const progress = Math.min(100, Math.round((stageIdx / totalSteps) * 100));
-  const suggestion = getSuggestion(batch);
+function BatchCard({ batch, machines, location, farmId, onAdvance, onHarvestClick }) {
+  const [showConditions, setShowConditions] = useState(false);
+  const stage = getBatchStage(machines, batch) || { ...UNKNOWN_STAGE, label: batch.stage || UNKNOWN_STAGE.label };
+  const style = stageStyle(stage);
+  const progress = getProgress(machines, batch, stage);
+  const suggestion = getSuggestion(machines, batch, stage);
+  const moves = getAllowedTransitions(machines, batch).filter((s) => !s.terminal);
+  const isReady = !!stage.harvestable;
+  const isHarvested = !!stage.terminal;
 
   const harvestDate = toDateStr(batch.expectedHarvestDate || batch.estimatedHarvestStart);
   const daysLeft = daysUntil(harvestDate);
@@ -174,7 +239,7 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
 
   return (
     <div className={`rounded-2xl border transition-all shadow-sm ${
-      batch.stage === 'ready'
+      isReady
         ? 'border-red-300 dark:border-red-600 ring-2 ring-red-200 dark:ring-red-800'
         : 'border-gray-200 dark:border-gray-700'
     } bg-white dark:bg-gray-800`}>
@@ -188,7 +253,7 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
             </h3>
             <p className="text-xs text-gray-500 dark:text-gray-400">
               {trays} trays · {stage.label}
-              {daysLeft !== null && batch.stage !== 'harvested' && (
+              {daysLeft !== null && !isHarvested && (
                 <span className={`ml-2 font-semibold ${
                   daysLeft <= 0 ? 'text-red-600' : daysLeft <= 2 ? 'text-amber-600' : 'text-gray-500'
                 }`}>
@@ -197,7 +262,7 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
               )}
             </p>
           </div>
-          <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold uppercase ${stage.bg} ${stage.text}`}>
+          <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold uppercase ${style.soft} ${style.text}`}>
             {stage.label}
           </span>
         </div>
@@ -206,7 +271,7 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
         <div className="mb-3">
           <div className="h-2 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
             <div
-              className={`h-full rounded-full transition-all duration-500 ${stage.color}`}
+              className={`h-full rounded-full transition-all duration-500 ${style.bar}`}
               style={{ width: `${progress}%` }}
             />
           </div>
@@ -222,10 +287,25 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
           {batch.sowDate && <span>Sow: {fmtShort(toDateStr(batch.sowDate))}</span>}
           {harvestDate && <span>Harvest: {fmtShort(harvestDate)}</span>}
           {batch.deliveryDate && <span>Delivery: {fmtShort(toDateStr(batch.deliveryDate))}</span>}
+          {location && <span>📍 {location}</span>}
+          {farmId && (
+            <button
+              onClick={() => setShowConditions((v) => !v)}
+              className="font-semibold text-sky-600 dark:text-sky-400 hover:underline cursor-pointer"
+            >
+              🌡️ {showConditions ? 'Hide conditions' : 'Conditions'}
+            </button>
+          )}
         </div>
 
+        {showConditions && (
+          <div className="mb-3">
+            <BatchConditions farmId={farmId} batch={batch} />
+          </div>
+        )}
+
         {/* Yield info for harvested */}
-        {batch.stage === 'harvested' && actualOz && (
+        {isHarvested && actualOz && (
           <div className="flex items-center gap-3 text-xs mb-3">
             <span className="text-gray-500">Yield: {actualOz}oz</span>
             {yieldAccuracy !== null && (
@@ -239,7 +319,7 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
         )}
 
         {/* Ready alert */}
-        {batch.stage === 'ready' && (
+        {isReady && (
           <div className="mb-3 p-2 rounded-xl bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800">
             <p className="text-red-700 dark:text-red-300 text-xs font-bold">
               🌾 {trays} trays {cropName} ready to harvest!
@@ -248,7 +328,7 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
         )}
 
         {/* Auto-suggestion */}
-        {suggestion && batch.stage !== 'ready' && (
+        {suggestion && (
           <div className="mb-3 p-2 rounded-xl bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800">
             <div className="flex items-center justify-between">
               <p className="text-amber-700 dark:text-amber-300 text-xs font-semibold">{suggestion.msg}</p>
@@ -263,22 +343,23 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
         )}
 
         {/* Actions */}
-        {batch.stage !== 'harvested' && (
+        {!isHarvested && (
           <div className="flex gap-2">
-            {batch.stage === 'ready' ? (
+            {isReady ? (
               <button
                 onClick={() => onHarvestClick(batch)}
                 className="flex-1 px-4 py-2 min-h-[44px] rounded-xl bg-green-600 hover:bg-green-700 text-white text-xs font-bold cursor-pointer"
               >
                 🌾 Record Harvest
               </button>
-            ) : (
+            ) : moves.length > 0 && (
               <select
-                value={batch.stage}
-                onChange={(e) => onAdvance(batch, e.target.value)}
+                value=""
+                onChange={(e) => e.target.value && onAdvance(batch, e.target.value)}
                 className="flex-1 px-3 py-2 min-h-[44px] rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 text-gray-700 dark:text-gray-200 text-xs font-semibold focus:outline-none focus:border-green-400 cursor-pointer"
               >
-                {STAGES.filter((s) => s.id !== 'harvested').map((s) => (
+                <option value="">{stage.emoji} {stage.label} — move to…</option>
+                {moves.map((s) => (
                   <option key={s.id} value={s.id}>{s.emoji} {s.label}</option>
                 ))}
               </select>
@@ -295,45 +376,44 @@ function BatchCard({ batch, onAdvance, onHarvestClick }) {
 export default function BatchTracker({
   batches = [],
   loading = false,
-  onEditBatch,
+  farmId,
+  onAdvanceStage,
   onHarvestBatch,
 }) {
+  const { machines } = useStageMachines();
+  const { layout } = useGrowSpace();
   const [filter, setFilter] = useState('active'); // active | planned | ready | harvested | all
   const [search, setSearch] = useState('');
   const [harvestModal, setHarvestModal] = useState(null);
+  const [fieldsModal, setFieldsModal] = useState(null); // { batch, stage }
 
-  const handleAdvance = useCallback((batch, newStage) => {
-    if (!onEditBatch) return;
-    const now = new Date().toISOString();
-    const history = batch.stageHistory || [];
-    onEditBatch(batch.id, {
-      stage: newStage,
-      stageHistory: [...history, { stage: newStage, enteredAt: now }],
-      [`${newStage}At`]: now,
-    });
-  }, [onEditBatch]);
+  const commitAdvance = useCallback((batch, to, fieldValues) => {
+    setFieldsModal(null);
+    onAdvanceStage?.(batch, { to, fieldValues });
+  }, [onAdvanceStage]);
+
+  // Stages with fields collect them first; everything else moves straight away
+  const handleAdvance = useCallback((batch, to) => {
+    const target = getAllowedTransitions(machines, batch).find((s) => s.id === to);
+    if (!target) return;
+    if (target.fields?.length) setFieldsModal({ batch, stage: target });
+    else commitAdvance(batch, to);
+  }, [machines, commitAdvance]);
 
   const handleHarvest = useCallback((batch, actualOz) => {
-    if (!onEditBatch) return;
-    const now = new Date().toISOString();
-    const history = batch.stageHistory || [];
-    onEditBatch(batch.id, {
-      stage: 'harvested',
-      harvestedAt: now,
-      actualYieldOz: actualOz,
-      stageHistory: [...history, { stage: 'harvested', enteredAt: now }],
-    });
+    onHarvestBatch?.(batch.id, actualOz);
     setHarvestModal(null);
-  }, [onEditBatch]);
+  }, [onHarvestBatch]);
 
   const filtered = useMemo(() => {
     let list = batches;
 
     // Stage filter
-    if (filter === 'active') list = list.filter((b) => b.stage !== 'harvested');
-    else if (filter === 'planned') list = list.filter((b) => b.stage === 'planned');
-    else if (filter === 'ready') list = list.filter((b) => b.stage === 'ready');
-    else if (filter === 'harvested') list = list.filter((b) => b.stage === 'harvested');
+    const stageOf = (b) => getBatchStage(machines, b);
+    if (filter === 'active') list = list.filter((b) => !stageOf(b)?.terminal);
+    else if (filter === 'planned') list = list.filter((b) => stageOf(b)?.id === PLANNED_STAGE);
+    else if (filter === 'ready') list = list.filter((b) => stageOf(b)?.harvestable);
+    else if (filter === 'harvested') list = list.filter((b) => stageOf(b)?.terminal);
 
     // Search
     if (search.trim()) {
@@ -345,19 +425,20 @@ export default function BatchTracker({
     }
 
     // Sort: ready first, then by expected harvest date (soonest first), then created
-    return list.sort((a, b) => {
+    return [...list].sort((a, b) => {
       // Ready batches bubble to top
-      if (a.stage === 'ready' && b.stage !== 'ready') return -1;
-      if (b.stage === 'ready' && a.stage !== 'ready') return 1;
+      const aReady = !!stageOf(a)?.harvestable;
+      const bReady = !!stageOf(b)?.harvestable;
+      if (aReady !== bReady) return aReady ? -1 : 1;
 
       const aDate = toDateStr(a.expectedHarvestDate || a.estimatedHarvestStart) || '9999';
       const bDate = toDateStr(b.expectedHarvestDate || b.estimatedHarvestStart) || '9999';
       return aDate.localeCompare(bDate);
     });
-  }, [batches, filter, search]);
+  }, [batches, filter, search, machines]);
 
-  const readyCount = batches.filter((b) => b.stage === 'ready').length;
-  const activeCount = batches.filter((b) => b.stage !== 'harvested').length;
+  const readyCount = batches.filter((b) => getBatchStage(machines, b)?.harvestable).length;
+  const activeCount = batches.filter((b) => !getBatchStage(machines, b)?.terminal).length;
 
   const FILTERS = [
     { key: 'active', label: `Active (${activeCount})` },
@@ -445,6 +526,9 @@ export default function BatchTracker({
             <BatchCard
               key={b.id}
               batch={b}
+              machines={machines}
+              location={formatLocation(layout, b.location)}
+              farmId={farmId}
               onAdvance={handleAdvance}
               onHarvestClick={setHarvestModal}
             />
@@ -460,6 +544,16 @@ export default function BatchTracker({
           onClose={() => setHarvestModal(null)}
         />
       )}
+
+      {/* Stage Fields Modal */}
+      {fieldsModal && (
+        <StageFieldsModal
+          batch={fieldsModal.batch}
+          stage={fieldsModal.stage}
+          onConfirm={commitAdvance}
+          onClose={() => setFieldsModal(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import { getAllVarieties } from '../data/cropConfig';
+import { BOM_BASES } from '../data/billOfMaterials';
+
+/**
+ * BillOfMaterials — what each crop uses from inventory
+ * (Inventory → Bill of Materials).
+ *
+ * Props: bom ({ crops }), inventory, user, onSave(crops, userId)
+ *
+ * Lines are an inventory item, an amount in that item's unit and what it is
+ * per (tray planted, oz harvested, oz packed). Planting, harvesting and
+ * packing then take them off stock (data/billOfMaterials.js).
+ */
+
+const VARIETIES = getAllVarieties();
+const cropName = (id) => VARIETIES.find((v) => v.id === id)?.name || id;
+const inputCls = 'px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+export default function BillOfMaterials({ bom, inventory = [], user, onSave }) {
+  const [crops, setCrops] = useState(() => structuredClone(bom.crops));
+  const [adding, setAdding] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  useEffect(() => { setCrops(structuredClone(bom.crops)); }, [bom]);
+
+  const setLine = (cropId, i, patch) => setCrops((cs) => ({
+    ...cs, [cropId]: cs[cropId].map((l, j) => (j === i ? { ...l, ...patch } : l)),
+  }));
+  const addLine = (cropId) => setCrops((cs) => ({
+    ...cs, [cropId]: [...(cs[cropId] || []), { itemId: '', qty: '', per: 'tray' }],
+  }));
+  const removeLine = (cropId, i) => setCrops((cs) => {
+    const lines = cs[cropId].filter((_, j) => j !== i);
+    const next = { ...cs, [cropId]: lines };
+    if (lines.length === 0) delete next[cropId];
+    return next;
+  });
+
+  const handleAddCrop = (cropId) => {
+    if (cropId && !crops[cropId]) addLine(cropId);
+    setAdding('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const clean = Object.fromEntries(Object.entries(crops)
+        .map(([cropId, lines]) => [cropId, lines
+          .map((l) => ({ itemId: l.itemId, qty: Number(l.qty), per: l.per }))
+          .filter((l) => l.itemId && l.qty > 0)])
+        .filter(([, lines]) => lines.length));
+      await onSave(clean, user?.uid);
+      setMsg({ ok: true, text: 'Bill of materials saved' });
+    } catch (err) {
+      setMsg({ ok: false, text: err.message });
+    }
+    setSaving(false);
+    setTimeout(() => setMsg(null), 3000);
+  };
+
+  const cropIds = Object.keys(crops).sort((a, b) => cropName(a).localeCompare(cropName(b)));
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        What each crop uses. Amounts are in the item's own unit and come off stock when a batch is planted,
+        harvested or packed.
+      </p>
+
+      {inventory.length === 0 && (
+        <p className="text-sm text-gray-400 dark:text-gray-500">Add inventory items first — each line uses one.</p>
+      )}
+
+      {cropIds.map((cropId) => (
+        <div key={cropId} className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4 space-y-2">
+          <p className="font-bold text-gray-800 dark:text-gray-100 text-sm">{cropName(cropId)}</p>
+          {crops[cropId].map((line, i) => {
+            const unit = inventory.find((it) => it.id === line.itemId)?.unit;
+            return (
+              <div key={i} className="flex items-center gap-2 flex-wrap text-xs text-gray-500 dark:text-gray-400">
+                <select value={line.itemId} onChange={(e) => setLine(cropId, i, { itemId: e.target.value })} className={`${inputCls} flex-1 min-w-[140px]`}>
+                  <option value="">Item…</option>
+                  {inventory.map((it) => <option key={it.id} value={it.id}>{it.name}</option>)}
+                </select>
+                <input type="number" min="0" step="0.01" value={line.qty} placeholder="Qty"
+                  onChange={(e) => setLine(cropId, i, { qty: e.target.value })} className={`${inputCls} w-20`} />
+                <span className="w-10">{unit || ''}</span>
+                <select value={line.per} onChange={(e) => setLine(cropId, i, { per: e.target.value })} className={inputCls}>
+                  {BOM_BASES.map((b) => <option key={b.id} value={b.id}>{b.label}</option>)}
+                </select>
+                <button onClick={() => removeLine(cropId, i)} className="text-red-400 hover:text-red-600 text-lg leading-none cursor-pointer">×</button>
+              </div>
+            );
+          })}
+          <button onClick={() => addLine(cropId)} className="text-xs font-semibold text-green-600 hover:text-green-700 cursor-pointer">+ Add line</button>
+        </div>
+      ))}
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <select value={adding} onChange={(e) => handleAddCrop(e.target.value)} className={inputCls} disabled={inventory.length === 0}>
+          <option value="">+ Add a crop…</option>
+          {VARIETIES.filter((v) => !crops[v.id]).map((v) => <option key={v.id} value={v.id}>{v.name}</option>)}
+        </select>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="ml-auto px-6 py-2.5 rounded-xl bg-green-600 hover:bg-green-700 text-white font-bold text-sm transition-colors cursor-pointer disabled:bg-gray-300"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {msg && (
+        <p className={`text-xs font-semibold ${msg.ok ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          {msg.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,26 +1,45 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useFarmConfig } from '../contexts/FarmConfigContext';
+import { useAvailability } from '../hooks/useAvailability';
+import { orderableDates, deliveryDateError, minimumError } from '../data/orderRules';
+import { deliveryRules } from '../data/deliveryZones';
+import { resolvePrice } from '../data/priceLists';
+import { orderCap, availabilityErrors } from '../data/availability';
 
-const tomorrow = () => {
-  const d = new Date();
-  d.setDate(d.getDate() + 1);
-  return d.toISOString().split('T')[0];
-};
+const dateLabel = (date) =>
+  new Date(date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
 
-export default function ChefCart({ cart, onUpdateQty, onPlaceOrder }) {
+// Cart lines carry list prices; the chef's price lists price them here the
+// same way /api/orders will when it re-prices the order. Delivery dates and
+// the minimum come from the chef's delivery zone (data/deliveryZones.js).
+export default function ChefCart({ cart, priceLists = [], zone = null, onUpdateQty, onPlaceOrder, deliveryDate: chosenDate, onDeliveryDateChange }) {
   const navigate = useNavigate();
-  const [deliveryDate, setDeliveryDate] = useState(tomorrow());
+  const { config } = useFarmConfig();
+  const rules = deliveryRules(config, zone);
+  const dates = orderableDates(rules);
+  // A date picked earlier may have passed its cutoff since — fall back to the next one
+  const deliveryDate = dates.includes(chosenDate) ? chosenDate : (dates[0] || '');
   const [specialInstructions, setSpecialInstructions] = useState('');
   const [placing, setPlacing] = useState(false);
   const [success, setSuccess] = useState(false);
 
-  const total = cart.reduce((sum, item) => sum + item.pricePerUnit * item.quantity, 0);
+  const lines = cart.map((item) => ({
+    ...item,
+    ...resolvePrice({ id: item.productId, pricePerUnit: item.pricePerUnit }, item.quantity, priceLists),
+  }));
+  const total = lines.reduce((sum, item) => sum + item.pricePerUnit * item.quantity, 0);
+  const dateError = deliveryDate ? deliveryDateError(deliveryDate, rules) : 'No delivery dates open right now — contact the farm';
+  const minError = minimumError(total, rules);
+  const { availability } = useAvailability(dateError ? null : deliveryDate);
+  const shortages = availabilityErrors(lines, availability, deliveryDate);
 
   const handlePlaceOrder = async () => {
-    if (cart.length === 0 || !deliveryDate) return;
+    if (cart.length === 0 || dateError || minError || shortages.length) return;
     setPlacing(true);
     try {
-      await onPlaceOrder(deliveryDate, specialInstructions);
+      const placed = await onPlaceOrder(deliveryDate, specialInstructions);
+      if (placed === false) return;
       setSuccess(true);
       setTimeout(() => navigate('/my-orders'), 2000);
     } finally {
@@ -69,42 +88,57 @@ export default function ChefCart({ cart, onUpdateQty, onPlaceOrder }) {
         <div className="space-y-4">
           {/* Cart items */}
           <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700">
-            {cart.map((item) => (
-              <div key={item.productId} className="flex items-center gap-3 p-4">
-                <div className="flex-1 min-w-0">
-                  <p className="font-semibold text-gray-800 dark:text-gray-100 text-sm truncate">{item.name}</p>
-                  <p className="text-xs text-gray-500 dark:text-gray-400">${item.pricePerUnit?.toFixed(2)}/{item.unit}</p>
+            {lines.map((item) => {
+              const cap = orderCap(availability[item.productId]);
+              return (
+                <div key={item.productId} className="flex items-center gap-3 p-4">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-gray-800 dark:text-gray-100 text-sm truncate">{item.name}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {item.pricePerUnit < item.listPrice && <span className="line-through mr-1">${item.listPrice.toFixed(2)}</span>}
+                      ${item.pricePerUnit.toFixed(2)}/{item.unit}
+                    </p>
+                    {cap != null && item.quantity > cap && (
+                      <p className="text-xs font-semibold text-red-500">{cap === 0 ? 'Sold out for this date' : `Only ${cap} left for this date`}</p>
+                    )}
+                  </div>
+                  {/* Qty controls */}
+                  <div className="flex items-center gap-1 bg-gray-50 dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
+                    <button
+                      onClick={() => onUpdateQty(item.productId, item.quantity - 1)}
+                      className="w-9 h-9 flex items-center justify-center font-bold text-gray-600 dark:text-gray-300 hover:text-red-500 cursor-pointer"
+                    >âˆ’</button>
+                    <span className="w-6 text-center text-sm font-bold">{item.quantity}</span>
+                    <button
+                      onClick={() => onUpdateQty(item.productId, item.quantity + 1)}
+                      disabled={cap != null && item.quantity >= cap}
+                      className="w-9 h-9 flex items-center justify-center font-bold text-gray-600 dark:text-gray-300 hover:text-gray-900 disabled:opacity-30 cursor-pointer"
+                    >+</button>
+                  </div>
+                  <p className="font-bold text-gray-800 dark:text-gray-100 text-sm w-16 text-right shrink-0">
+                    ${(item.pricePerUnit * item.quantity).toFixed(2)}
+                  </p>
                 </div>
-                {/* Qty controls */}
-                <div className="flex items-center gap-1 bg-gray-50 dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700">
-                  <button
-                    onClick={() => onUpdateQty(item.productId, item.quantity - 1)}
-                    className="w-9 h-9 flex items-center justify-center font-bold text-gray-600 dark:text-gray-300 hover:text-red-500 cursor-pointer"
-                  >âˆ’</button>
-                  <span className="w-6 text-center text-sm font-bold">{item.quantity}</span>
-                  <button
-                    onClick={() => onUpdateQty(item.productId, item.quantity + 1)}
-                    className="w-9 h-9 flex items-center justify-center font-bold text-gray-600 dark:text-gray-300 hover:text-gray-900 cursor-pointer"
-                  >+</button>
-                </div>
-                <p className="font-bold text-gray-800 dark:text-gray-100 text-sm w-16 text-right shrink-0">
-                  ${(item.pricePerUnit * item.quantity).toFixed(2)}
-                </p>
-              </div>
-            ))}
+              );
+            })}
           </div>
 
           {/* Delivery + instructions */}
           <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4 space-y-4">
             <div>
-              <label className="text-sm font-semibold text-gray-700 dark:text-gray-200 block mb-1">Delivery date</label>
-              <input
-                type="date"
-                min={tomorrow()}
+              <label htmlFor="cart-delivery-date" className="text-sm font-semibold text-gray-700 dark:text-gray-200 block mb-1">
+                Delivery date{rules.zoneName && <span className="font-normal text-gray-400 dark:text-gray-500"> · {rules.zoneName}</span>}
+              </label>
+              <select
+                id="cart-delivery-date"
                 value={deliveryDate}
-                onChange={(e) => setDeliveryDate(e.target.value)}
-                className="w-full border-2 border-gray-200 dark:border-gray-700 rounded-xl px-4 py-3 text-sm focus:border-green-400 focus:outline-none"
-              />
+                onChange={(e) => onDeliveryDateChange(e.target.value)}
+                disabled={dates.length === 0}
+                className="w-full border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 rounded-xl px-4 py-3 text-sm focus:border-green-400 focus:outline-none"
+              >
+                {dates.map((d) => <option key={d} value={d}>{dateLabel(d)}</option>)}
+              </select>
+              {dateError && <p className="text-xs text-amber-600 dark:text-amber-400 mt-1">{dateError}</p>}
             </div>
             <div>
               <label className="text-sm font-semibold text-gray-700 dark:text-gray-200 block mb-1">
@@ -126,9 +160,13 @@ export default function ChefCart({ cart, onUpdateQty, onPlaceOrder }) {
               <span className="font-semibold text-gray-700 dark:text-gray-200">Order total</span>
               <span className="text-xl font-bold text-gray-800 dark:text-gray-100">${total.toFixed(2)}</span>
             </div>
+            {minError && <p className="text-xs text-amber-600 dark:text-amber-400 -mt-2 mb-3">{minError}</p>}
+            {shortages.length > 0 && (
+              <p className="text-xs text-red-500 -mt-2 mb-3">{shortages.join('. ')} — lower the quantity or pick another date.</p>
+            )}
             <button
               onClick={handlePlaceOrder}
-              disabled={placing || cart.length === 0}
+              disabled={placing || cart.length === 0 || !!dateError || !!minError || shortages.length > 0}
               className="w-full py-4 bg-green-600 text-white font-bold rounded-xl text-base hover:bg-green-700 disabled:opacity-50 disabled:cursor-wait transition-colors cursor-pointer"
             >
               {placing ? 'Placing orderâ€¦' : 'âœ… Place Order'}
@@ -1,5 +1,11 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useFarmConfig } from '../contexts/FarmConfigContext';
+import { useAvailability } from '../hooks/useAvailability';
+import { orderableDates } from '../data/orderRules';
+import { deliveryRules } from '../data/deliveryZones';
+import { resolvePrice, volumeBreaks } from '../data/priceLists';
+import { orderCap } from '../data/availability';
 
 const CATEGORY_COLORS = {
   'Microgreens': 'bg-green-100 text-green-800',
@@ -9,11 +15,21 @@ const CATEGORY_COLORS = {
   'Other': 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200',
 };
 
-function ProductCard({ product, onAdd }) {
+const dateLabel = (date) =>
+  new Date(date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+// left: units still available for the chosen date after what's in the
+// cart, or null when the product isn't limited
+function ProductCard({ product, priceLists, left, onAdd }) {
   const [qty, setQty] = useState(1);
+  const { pricePerUnit, listPrice } = resolvePrice(product, qty, priceLists);
+  const breaks = volumeBreaks(product.id, priceLists);
+  const soldOut = left === 0;
+  const atCap = left != null && qty >= left;
 
   const handleAdd = () => {
-    onAdd(product, qty);
+    if (soldOut) return;
+    onAdd(product, left != null ? Math.min(qty, left) : qty);
     setQty(1);
   };
 
@@ -28,11 +44,26 @@ function ProductCard({ product, onAdd }) {
           </span>
         </div>
         <p className="text-lg font-bold text-gray-800 dark:text-gray-100 shrink-0 text-right">
-          ${product.pricePerUnit?.toFixed(2)}
+          {pricePerUnit < listPrice && (
+            <span className="text-xs font-normal text-gray-400 line-through mr-1">${listPrice.toFixed(2)}</span>
+          )}
+          ${pricePerUnit.toFixed(2)}
           <span className="text-xs font-normal text-gray-500 dark:text-gray-400 block">per {product.unit}</span>
         </p>
       </div>
 
+      {left != null && (
+        <p className={`text-xs font-semibold mb-2 ${soldOut ? 'text-red-500' : left <= 5 ? 'text-amber-600 dark:text-amber-400' : 'text-gray-500 dark:text-gray-400'}`}>
+          {soldOut ? 'Sold out for this delivery' : `${left} ${product.unit || 'units'} left for this delivery`}
+        </p>
+      )}
+
+      {breaks.length > 0 && (
+        <p className="text-xs text-green-700 dark:text-green-400 mb-2">
+          {breaks.map((b) => `${b.minQty}+ $${Number(b.price).toFixed(2)}`).join(' · ')}
+        </p>
+      )}
+
       {product.description && (
         <p className="text-xs text-gray-500 dark:text-gray-400 mb-3 line-clamp-2">{product.description}</p>
       )}
@@ -47,14 +78,16 @@ function ProductCard({ product, onAdd }) {
           <span className="w-7 text-center text-sm font-bold text-gray-800 dark:text-gray-100">{qty}</span>
           <button
             onClick={() => setQty((q) => q + 1)}
-            className="w-10 h-10 flex items-center justify-center font-bold text-gray-600 dark:text-gray-300 hover:text-gray-900 cursor-pointer text-lg"
+            disabled={atCap}
+            className="w-10 h-10 flex items-center justify-center font-bold text-gray-600 dark:text-gray-300 hover:text-gray-900 disabled:opacity-30 cursor-pointer text-lg"
           >+</button>
         </div>
         <button
           onClick={handleAdd}
-          className="flex-1 py-2.5 bg-green-600 text-white font-bold rounded-xl text-sm hover:bg-green-700 active:bg-green-800 transition-colors cursor-pointer"
+          disabled={soldOut}
+          className="flex-1 py-2.5 bg-green-600 text-white font-bold rounded-xl text-sm hover:bg-green-700 active:bg-green-800 disabled:bg-gray-300 dark:disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors cursor-pointer"
         >
-          Add to Cart
+          {soldOut ? 'Sold Out' : 'Add to Cart'}
         </button>
       </div>
     </div>
@@ -82,9 +115,13 @@ function CatalogSkeleton() {
   );
 }
 
-export default function ChefCatalog({ loading, products, cart, onAddToCart }) {
+export default function ChefCatalog({ loading, products, priceLists = [], zone = null, cart, onAddToCart, deliveryDate, onDeliveryDateChange }) {
   const navigate = useNavigate();
   const [activeCategory, setActiveCategory] = useState('All');
+  const { config } = useFarmConfig();
+  const dates = orderableDates(deliveryRules(config, zone));
+  const date = dates.includes(deliveryDate) ? deliveryDate : (dates[0] || null);
+  const { availability } = useAvailability(date);
 
   if (loading) return <CatalogSkeleton />;
 
@@ -94,6 +131,12 @@ export default function ChefCatalog({ loading, products, cart, onAddToCart }) {
     : products.filter((p) => p.category === activeCategory);
 
   const cartCount = cart.reduce((sum, item) => sum + item.quantity, 0);
+  const leftFor = (product) => {
+    const cap = orderCap(availability[product.id]);
+    if (cap == null) return null;
+    const inCart = cart.find((i) => i.productId === product.id)?.quantity || 0;
+    return Math.max(0, cap - inCart);
+  };
 
   return (
     <div className="max-w-4xl mx-auto">
@@ -116,6 +159,21 @@ export default function ChefCatalog({ loading, products, cart, onAddToCart }) {
         </button>
       </div>
 
+      {/* Delivery date — availability is per date */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <label htmlFor="shop-delivery-date" className="text-sm font-semibold text-gray-700 dark:text-gray-200">Delivering</label>
+        <select
+          id="shop-delivery-date"
+          value={date || ''}
+          onChange={(e) => onDeliveryDateChange(e.target.value)}
+          disabled={!date}
+          className="border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 rounded-xl px-3 py-1.5 text-sm focus:border-green-400 focus:outline-none"
+        >
+          {dates.map((d) => <option key={d} value={d}>{dateLabel(d)}</option>)}
+        </select>
+        {!date && <p className="text-xs text-amber-600 dark:text-amber-400 w-full">No delivery dates open right now — contact the farm</p>}
+      </div>
+
       {/* Category filter */}
       <div className="flex gap-2 overflow-x-auto pb-2 mb-4 -mx-1 px-1">
         {categories.map((cat) => (
@@ -141,7 +199,7 @@ export default function ChefCatalog({ loading, products, cart, onAddToCart }) {
       ) : (
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
           {filtered.map((product) => (
-            <ProductCard key={product.id} product={product} onAdd={onAddToCart} />
+            <ProductCard key={product.id} product={product} priceLists={priceLists} left={leftFor(product)} onAdd={onAddToCart} />
           ))}
         </div>
       )}
@@ -1,5 +1,7 @@
+import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import RefreshBanner from './RefreshBanner';
+import ChefStandingOrders, { StandingOrderForm } from './ChefStandingOrders';
 
 const STATUS_BADGE = {
   new:        'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300',
@@ -51,8 +53,17 @@ function OrdersSkeleton() {
   );
 }
 
-export default function ChefOrders({ loading, orders, onReorder, refresh }) {
+/**
+ * ChefOrders — a chef's order history, with their standing orders on top.
+ * "Repeat weekly" on an order turns it into a standing order.
+ */
+export default function ChefOrders({
+  loading, orders, onReorder, refresh,
+  standingOrders = [], onCreateStandingOrder, onPauseStandingOrder, onResumeStandingOrder,
+  onSkipDelivery, onRemoveStandingOrder,
+}) {
   const navigate = useNavigate();
+  const [repeating, setRepeating] = useState(null); // order being made a standing order
 
   if (loading) return <OrdersSkeleton />;
 
@@ -82,6 +93,15 @@ export default function ChefOrders({ loading, orders, onReorder, refresh }) {
         </button>
       </div>
 
+      <ChefStandingOrders
+        standingOrders={standingOrders}
+        orders={orders}
+        onPause={onPauseStandingOrder}
+        onResume={onResumeStandingOrder}
+        onSkip={onSkipDelivery}
+        onRemove={onRemoveStandingOrder}
+      />
+
       {/* Empty state */}
       {orders.length === 0 ? (
         <div className="text-center py-20">
@@ -106,7 +126,11 @@ export default function ChefOrders({ loading, orders, onReorder, refresh }) {
                     <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${STATUS_BADGE[order.status] || 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'}`}>
                       {STATUS_LABEL[order.status] || order.status}
                     </span>
+                    {order.orderNumber && <span className="text-xs font-semibold text-gray-500 dark:text-gray-400">{order.orderNumber}</span>}
                     <span className="text-xs text-gray-400 dark:text-gray-500">{formatDate(order.createdAt)}</span>
+                    {order.standingOrderId && (
+                      <span className="text-xs text-green-600 dark:text-green-400">🔁 Standing{order.skipped ? ' · skipped' : ''}</span>
+                    )}
                   </div>
                   {/* Items */}
                   <p className="text-sm text-gray-700 dark:text-gray-200">{itemSummary(order.items)}</p>
@@ -126,6 +150,14 @@ export default function ChefOrders({ loading, orders, onReorder, refresh }) {
                   >
                     Reorder →
                   </button>
+                  {onCreateStandingOrder && !order.standingOrderId && order.items?.length > 0 && (
+                    <button
+                      onClick={() => setRepeating(order)}
+                      className="text-xs font-semibold text-gray-500 dark:text-gray-400 hover:text-green-600 cursor-pointer mt-1 block"
+                    >
+                      Repeat weekly
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -139,6 +171,14 @@ export default function ChefOrders({ loading, orders, onReorder, refresh }) {
           ))}
         </div>
       )}
+
+      {repeating && (
+        <StandingOrderForm
+          order={repeating}
+          onSave={onCreateStandingOrder}
+          onClose={() => setRepeating(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,222 @@
+import { useState } from 'react';
+import {
+  WEEKDAYS,
+  STANDING_ORDER_LEAD_DAYS,
+  STANDING_ORDER_MAX_LINES,
+  standingOrderItems,
+  addDays,
+  weekdayOf,
+  upcomingDeliveries,
+  standingOrderTotal,
+} from '../data/standingOrders';
+
+/**
+ * ChefStandingOrders — a chef's recurring weekly orders, on ChefOrders.
+ *
+ * Each card shows what comes every week and the next few deliveries; a
+ * delivery can be skipped until its date (a placed one is cancelled, see
+ * data/standingOrders.js). Pause stops new deliveries being placed.
+ *
+ * StandingOrderForm sets one up from a past order ("Repeat weekly").
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const shortDate = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC',
+});
+
+const inputCls = 'w-full px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm text-gray-800 dark:text-gray-100';
+
+/** Next date on or after `from` that falls on weekday. */
+const nextWeekday = (from, weekday) => addDays(from, (weekday - weekdayOf(from) + 7) % 7);
+
+export function StandingOrderForm({ order, onSave, onClose }) {
+  // Starts after the order it repeats, which is already placed
+  const after = order.requestedDeliveryDate ? addDays(order.requestedDeliveryDate, 1) : today();
+  const first = after > today() ? after : today();
+  const [weekday, setWeekday] = useState(weekdayOf(order.requestedDeliveryDate || first));
+  const [endDate, setEndDate] = useState('');
+  const [items, setItems] = useState(() => (order.items || []).map((i) => ({ ...i })));
+  const [saving, setSaving] = useState(false);
+
+  const startDate = nextWeekday(first, weekday);
+  const kept = items.filter((i) => Number(i.quantity) > 0);
+  const tooLong = kept.length > STANDING_ORDER_MAX_LINES;
+
+  const save = async () => {
+    if (kept.length === 0 || tooLong) return;
+    setSaving(true);
+    try {
+      await onSave({
+        items: standingOrderItems(kept.map((i) => ({ ...i, quantity: Number(i.quantity) }))),
+        weekday,
+        startDate,
+        endDate: endDate || null,
+        specialInstructions: order.specialInstructions || '',
+      });
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-end sm:items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-md p-5 space-y-4" onClick={(e) => e.stopPropagation()}>
+        <div>
+          <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">🔁 Repeat weekly</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            We place it for you {STANDING_ORDER_LEAD_DAYS} days ahead so it's grown in time. Skip or pause any week.
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          {items.map((item, idx) => (
+            <div key={item.productId || idx} className="flex items-center gap-3">
+              <span className="flex-1 text-sm text-gray-700 dark:text-gray-200 truncate">{item.name}</span>
+              <input
+                type="number"
+                min="0"
+                inputMode="numeric"
+                value={item.quantity}
+                onChange={(e) => setItems((prev) => prev.map((p, i) => (i === idx ? { ...p, quantity: e.target.value } : p)))}
+                className="w-20 px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm text-right"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block">
+            <span className="block text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">Deliver every</span>
+            <select value={weekday} onChange={(e) => setWeekday(Number(e.target.value))} className={inputCls}>
+              {WEEKDAYS.map((d, i) => <option key={d} value={i}>{d}</option>)}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">Until (optional)</span>
+            <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} className={inputCls} />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          First delivery {shortDate(startDate)} · ${standingOrderTotal(kept).toFixed(2)} a week at today's prices
+        </p>
+        {tooLong && (
+          <p className="text-xs text-red-500">A standing order can have up to {STANDING_ORDER_MAX_LINES} items — set some to 0.</p>
+        )}
+
+        <div className="flex gap-2">
+          <button onClick={onClose} className="flex-1 py-2.5 rounded-xl text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 cursor-pointer">
+            Cancel
+          </button>
+          <button
+            onClick={save}
+            disabled={saving || kept.length === 0 || tooLong}
+            className="flex-[2] py-2.5 rounded-xl text-sm font-bold bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 cursor-pointer"
+          >
+            {saving ? 'Saving…' : 'Start standing order'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StandingOrderCard({ so, orders, onPause, onResume, onSkip, onRemove }) {
+  const [busy, setBusy] = useState(null);
+  const paused = so.status !== 'active';
+  const deliveries = upcomingDeliveries(so, today(), orders);
+  // Priced when placed — show the next placed delivery's total
+  const placedOrder = deliveries.map((d) => d.order).find((o) => o && o.status !== 'cancelled');
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    try { await fn(); } finally { setBusy(null); }
+  };
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-2xl border p-4 ${paused ? 'border-gray-200 dark:border-gray-700 opacity-75' : 'border-green-200 dark:border-green-800'}`}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="font-bold text-gray-800 dark:text-gray-100">
+            Every {WEEKDAYS[so.weekday]}
+            {paused && <span className="ml-2 text-xs font-semibold px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-500">Paused</span>}
+          </p>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {(so.items || []).map((i) => `${i.quantity}× ${i.name}`).join(', ')}
+          </p>
+          <p className="text-xs text-gray-400 dark:text-gray-500 mt-0.5">
+            {placedOrder ? `$${(Number(placedOrder.total) || 0).toFixed(2)}/week` : 'Priced when placed'}{so.endDate ? ` · until ${shortDate(so.endDate)}` : ''}
+          </p>
+        </div>
+        <div className="flex flex-col items-end gap-1 shrink-0 text-xs font-semibold">
+          <button
+            onClick={() => run('pause', () => (paused ? onResume(so) : onPause(so)))}
+            disabled={busy === 'pause'}
+            className="text-green-600 hover:text-green-700 cursor-pointer disabled:opacity-50"
+          >
+            {paused ? 'Resume' : 'Pause'}
+          </button>
+          <button
+            onClick={() => { if (window.confirm('Stop this standing order? Deliveries already placed stay on.')) run('remove', () => onRemove(so.id)); }}
+            className="text-gray-400 hover:text-red-500 cursor-pointer"
+          >
+            Stop
+          </button>
+        </div>
+      </div>
+
+      {!paused && deliveries.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-1.5">
+          {deliveries.map((d) => {
+            const placed = d.order && d.order.status !== 'cancelled';
+            const locked = d.order && !['confirmed', 'cancelled'].includes(d.order.status);
+            return (
+              <button
+                key={d.date}
+                onClick={() => run(d.date, () => onSkip(so, d.date, !d.skipped, d.order))}
+                disabled={locked || busy === d.date}
+                title={locked ? 'Already being prepared'
+                  : d.held && !placed && !d.skipped ? `Not placed: ${d.held}`
+                  : d.skipped ? 'Tap to deliver this week' : 'Tap to skip this week'}
+                className={`px-2.5 py-1 rounded-lg text-xs font-medium cursor-pointer disabled:cursor-default ${
+                  d.skipped
+                    ? 'bg-gray-100 dark:bg-gray-700 text-gray-400 line-through'
+                    : d.held && !placed
+                      ? 'bg-amber-50 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+                      : 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+                }`}
+              >
+                {shortDate(d.date)}{placed && !d.skipped ? ' ✓' : d.held && !d.skipped ? ' ⚠' : ''}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function ChefStandingOrders({ standingOrders = [], orders = [], onPause, onResume, onSkip, onRemove }) {
+  if (standingOrders.length === 0) return null;
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">🔁 Standing orders</h3>
+      <p className="text-xs text-gray-400 dark:text-gray-500 mb-3">Tap a date to skip it. ✓ = order placed, ⚠ = couldn't be placed (hover for why).</p>
+      <div className="space-y-3">
+        {standingOrders.map((so) => (
+          <StandingOrderCard
+            key={so.id}
+            so={so}
+            orders={orders}
+            onPause={onPause}
+            onResume={onResume}
+            onSkip={onSkip}
+            onRemove={onRemove}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
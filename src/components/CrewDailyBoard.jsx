@@ -3,25 +3,22 @@ import { motion } from 'framer-motion';
 import { queryDemand } from '../utils/demandUtils';
 import { CrewSkeleton } from './ui/Skeletons';
 import { calculateSowingNeeds } from '../utils/sowingUtils';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { useProductMappings } from '../hooks/useProductMappings';
 import {
   getBatchesNeedingStageAdvance,
   getBatchesInHarvestWindow,
   getTodaysSowingNeeds,
 } from '../utils/pipelineUtils';
-
-const STAGE_LABELS = {
-  germination: 'Germination',
-  blackout:    'Blackout',
-  light:       'Light',
-  ready:       'Ready',
-  seedling:    'Seedling',
-  transplant:  'Transplant',
-  growing:     'Growing',
-  inoculation: 'Inoculation',
-  incubation:  'Incubation',
-  pinning:     'Pinning',
-  fruiting:    'Fruiting',
-};
+import { getStageLabel } from '../data/stageMachine';
+import { hasGrowSpace, planBatchLocation, batchTrays, formatLocation } from '../data/growSpace';
+import { LOSS_REASONS } from '../data/lossAnalytics';
+import { GROW_MEDIA } from '../data/yieldDrivers';
+import { lotsForVariety } from '../data/traceability';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { formatMinutes } from '../data/laborTracking';
+import { useTaskTimers } from '../hooks/useTaskTimers';
 
 const URGENCY_TAG = {
   critical: { label: '🔴 CRITICAL — plant now',   cls: 'text-red-400' },
@@ -29,12 +26,7 @@ const URGENCY_TAG = {
   healthy:  { label: '✅ Routine restock',          cls: 'text-green-400' },
 };
 
-const LOSS_REASONS = [
-  { value: 'mold',                label: 'Mold' },
-  { value: 'pest',                label: 'Pest damage' },
-  { value: 'germination-failure', label: 'Germination failure' },
-  { value: 'other',               label: 'Other' },
-];
+const OUTBOX_VERB = { plant: 'Plant', advance: 'Move', harvest: 'Harvest', loss: 'Loss on' };
 
 function SectionHeader({ emoji, title, badge }) {
   return (
@@ -55,30 +47,133 @@ function EmptyState({ color, message }) {
   );
 }
 
+/** "⏱ Start timer" link on a card; while running shows the time so far. */
+function TaskTimer({ timers, id }) {
+  if (!timers.running(id)) {
+    return (
+      <button
+        onClick={() => timers.start(id)}
+        className="mt-3 w-full text-center text-xs text-gray-600 dark:text-gray-300 hover:text-violet-400 cursor-pointer"
+      >
+        ⏱ Start timer
+      </button>
+    );
+  }
+  return (
+    <div className="mt-3 flex items-center justify-center gap-3 text-xs">
+      <span className="font-bold text-violet-500 dark:text-violet-400">⏱ {formatMinutes(timers.minutesOf(id))} — stops when you confirm</span>
+      <button onClick={() => timers.cancel(id)} className="text-gray-500 dark:text-gray-400 hover:underline cursor-pointer">Cancel</button>
+    </div>
+  );
+}
+
+/**
+ * Seed lot, vendor, medium and density fields on an expanded Plant card.
+ * With received lots for the crop the lot is picked from them (lot number
+ * and vendor follow); otherwise both are typed.
+ */
+function PlantInputs({ value, lots, onChange }) {
+  const inputCls = 'w-full bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white text-sm rounded-lg px-3 py-2 border border-gray-300 dark:border-gray-600 outline-none';
+  const pickLot = (id) => {
+    const lot = lots.find(l => l.id === id);
+    onChange({ seedLotId: id, seedLot: lot?.lotNumber || '', seedVendor: lot?.vendorName || '' });
+  };
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      {lots.length > 0 && (
+        <select
+          value={value.seedLotId}
+          onChange={e => pickLot(e.target.value)}
+          className={`${inputCls} col-span-2 cursor-pointer`}
+        >
+          <option value="">Not from a received lot</option>
+          {lots.map(l => (
+            <option key={l.id} value={l.id}>
+              {l.lotNumber} · {l.vendorName || 'No vendor'} · {Math.round(l.qtyRemaining)}g left
+            </option>
+          ))}
+        </select>
+      )}
+      {!value.seedLotId && (
+        <>
+          <input
+            type="text"
+            value={value.seedLot}
+            onChange={e => onChange({ seedLot: e.target.value })}
+            placeholder="Seed lot"
+            className={inputCls}
+          />
+          <input
+            type="text"
+            value={value.seedVendor}
+            onChange={e => onChange({ seedVendor: e.target.value })}
+            placeholder="Seed vendor"
+            className={inputCls}
+          />
+        </>
+      )}
+      <select
+        value={value.growMedium}
+        onChange={e => onChange({ growMedium: e.target.value })}
+        className={`${inputCls} cursor-pointer`}
+      >
+        <option value="">Medium…</option>
+        {GROW_MEDIA.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+      </select>
+      <input
+        type="number"
+        inputMode="decimal"
+        value={value.seedDensity}
+        onChange={e => onChange({ seedDensity: e.target.value })}
+        placeholder="Seed g/tray"
+        className={inputCls}
+      />
+    </div>
+  );
+}
+
 /**
  * CrewDailyBoard — the single-screen crew-facing production board.
  *
  * Phone-first, dark mode, 56px+ touch targets.
  * Three sections stacked vertically — no tabs, no nav.
  *
- * Section 1: 🌱 Plant Today   — one-tap plant from sowing recommendations
+ * Section 1: 🌱 Plant Today   — one-tap plant from sowing recommendations,
+ *                               with the seed lot, vendor, medium and density
+ *                               used (prefilled from the crop's last batch;
+ *                               lots come from Inventory → Seed Lots)
  * Section 2: 🔄 Move Today    — one-tap stage advance for due batches
  * Section 3: ✂️ Harvest Today — two-tap (expand + confirm yield) harvest
  *
+ * Labor: a clock strip under the header clocks the crew member in and out.
+ * Plant, Move and Harvest cards have an optional "⏱ Start timer"; the time
+ * is sent with the action when it's confirmed and lands in labor tracking
+ * (data/laborTracking.js) against the batch.
+ *
  * Loss tracking: "Report Loss" text link at bottom of each Move/Harvest card.
- * Expands inline — tray count input + reason dropdown. Writes to lossCount/lossReason.
+ * Expands inline — tray count input + reason dropdown. Adds to lossCount/lossReports.
+ *
+ * Works offline: every action goes to the crew outbox (useCrewOutbox) and
+ * syncs when there is signal. The outbox strip under the header shows what
+ * is still pending and lets the crew retry or discard conflicting changes.
  */
 export default function CrewDailyBoard({
   orders = [],
   activeBatches = [],
+  seedLots = [],
   onPlantBatch,
   onAdvanceStage,
   onHarvestBatch,
-  onEditBatch,
+  onReportLoss,
+  outbox,
+  shift,
+  onClockIn,
+  onClockOut,
   user,
   error,
   loading: dataLoading = false,
 }) {
+  const { machines } = useStageMachines();
   const userId   = user?.uid ?? null;
   const crewName = user?.displayName?.split(' ')[0] || 'Crew';
 
@@ -87,18 +182,33 @@ export default function CrewDailyBoard({
   }), []);
 
   // ── Compute action lists ───────────────────────────────────────────────────
-  const demandData   = useMemo(() => queryDemand(orders),                              [orders]);
-  const sowingNeeds  = useMemo(() => calculateSowingNeeds(demandData, activeBatches),  [demandData, activeBatches]);
+  const { mappingIndex } = useProductMappings();
+  const { resolveYield } = useYieldResolver();
+  const { layout: growSpace } = useGrowSpace();
+  const demandData   = useMemo(() => queryDemand(orders, mappingIndex), [orders, mappingIndex]);
+  const sowingNeeds  = useMemo(() => calculateSowingNeeds(demandData, activeBatches, resolveYield, { layout: growSpace, machines }), [demandData, activeBatches, resolveYield, growSpace, machines]);
   const plantToday   = useMemo(() => getTodaysSowingNeeds(sowingNeeds),                [sowingNeeds]);
-  const moveToday    = useMemo(() => getBatchesNeedingStageAdvance(activeBatches),     [activeBatches]);
-  const harvestToday = useMemo(() => getBatchesInHarvestWindow(activeBatches),         [activeBatches]);
+  const moveToday    = useMemo(() => getBatchesNeedingStageAdvance(activeBatches, machines), [activeBatches, machines]);
+  const harvestToday = useMemo(() => getBatchesInHarvestWindow(activeBatches, machines),     [activeBatches, machines]);
+
+  // Where a Move card's batch goes next (same planner useBatches applies on advance)
+  const nextLocation = (item) => (hasGrowSpace(growSpace)
+    ? planBatchLocation(growSpace, {
+        category: item.batch.cropCategory,
+        stageId:  item.suggestedNextStage,
+        qty:      batchTrays(item.batch),
+        current:  item.batch.location ?? null,
+        batchId:  item.batch.id,
+        batches:  activeBatches,
+      })
+    : undefined);
 
   // ── Optimistic UI state (hides cards after action) ─────────────────────────
   const [planted,   setPlanted]   = useState(new Set()); // Set<cropId>
   const [moved,     setMoved]     = useState(new Set()); // Set<batchId>
   const [harvested, setHarvested] = useState(new Set()); // Set<batchId>
 
-  // Plant inline expand: cropId → { qty: string }
+  // Plant inline expand: cropId → { qty, seedLotId, seedLot, seedVendor, growMedium, seedDensity } (strings)
   const [plantExpanded, setPlantExpanded] = useState({});
 
   // Harvest inline expand: batchId → { yieldValue: string }
@@ -109,9 +219,25 @@ export default function CrewDailyBoard({
 
   // Per-action loading keys
   const [loading, setLoading] = useState({});
+  const timers = useTaskTimers(userId);
   if (dataLoading) return <CrewSkeleton />;
   const setLoad = (key, val) => setLoading(l => ({ ...l, [key]: val }));
 
+  // The card's timed labor, if its timer was running
+  const takeTiming = (key) => {
+    const timing = timers.stop(key);
+    return timing ? { ...timing, userName: user?.displayName || user?.email || null } : null;
+  };
+
+  const handleClock = async () => {
+    setLoad('clock', true);
+    try {
+      await (shift ? onClockOut?.() : onClockIn?.());
+    } finally {
+      setLoad('clock', false);
+    }
+  };
+
   // ── Handlers ───────────────────────────────────────────────────────────────
   const togglePlantExpand = (need) => {
     setPlantExpanded(prev => {
@@ -119,7 +245,21 @@ export default function CrewDailyBoard({
       if (next[need.cropId]) {
         delete next[need.cropId];
       } else {
-        next[need.cropId] = { qty: String(need.recommendedQty || '') };
+        // What went into this crop last time is usually what goes in today
+        const last = activeBatches
+          .filter(b => b.varietyId === need.cropId)
+          .sort((a, b) => String(b.sowDate).localeCompare(String(a.sowDate)))[0];
+        // Stay on the last lot while it has seed, else the oldest one received
+        const lots = lotsForVariety(seedLots, need.cropId);
+        const lot = lots.find(l => l.id === last?.seedLotId) || lots[0];
+        next[need.cropId] = {
+          qty:         String(need.recommendedQty || ''),
+          seedLotId:   lot?.id || '',
+          seedLot:     lot ? lot.lotNumber : last?.seedLot || '',
+          seedVendor:  lot ? lot.vendorName || '' : last?.seedVendor || '',
+          growMedium:  last?.growMedium || '',
+          seedDensity: last?.seedDensity != null ? String(last.seedDensity) : '',
+        };
       }
       return next;
     });
@@ -128,9 +268,17 @@ export default function CrewDailyBoard({
   const handlePlantConfirm = async (need) => {
     const key = `plant-${need.cropId}`;
     setLoad(key, true);
-    const qty = parseInt(plantExpanded[need.cropId]?.qty) || need.recommendedQty;
+    const form = plantExpanded[need.cropId] || {};
+    const qty = parseInt(form.qty) || need.recommendedQty;
+    const density = parseFloat(form.seedDensity);
     try {
-      await onPlantBatch?.(need, userId, qty);
+      await onPlantBatch?.(need, userId, qty, {
+        seedLotId:   form.seedLotId || null,
+        seedLot:     form.seedLot?.trim() || null,
+        seedVendor:  form.seedVendor?.trim() || null,
+        growMedium:  form.growMedium || null,
+        seedDensity: Number.isFinite(density) ? density : null,
+      }, takeTiming(key));
       navigator.vibrate?.(50);
       setPlanted(s => new Set([...s, need.cropId]));
       setPlantExpanded(prev => { const n = { ...prev }; delete n[need.cropId]; return n; });
@@ -143,7 +291,7 @@ export default function CrewDailyBoard({
     const key = `move-${item.batch.id}`;
     setLoad(key, true);
     try {
-      await onAdvanceStage?.(item.batch, userId);
+      await onAdvanceStage?.(item.batch, userId, takeTiming(key));
       navigator.vibrate?.(50);
       setMoved(s => new Set([...s, item.batch.id]));
     } finally {
@@ -168,7 +316,7 @@ export default function CrewDailyBoard({
     setLoad(key, true);
     const yieldVal = parseFloat(harvestExpanded[item.batch.id]?.yieldValue) || 0;
     try {
-      await onHarvestBatch?.(item.batch, yieldVal, userId);
+      await onHarvestBatch?.(item.batch, yieldVal, userId, takeTiming(key));
       navigator.vibrate?.(50);
       setHarvested(s => new Set([...s, item.batch.id]));
       setHarvestExpanded(prev => { const n = { ...prev }; delete n[item.batch.id]; return n; });
@@ -191,13 +339,12 @@ export default function CrewDailyBoard({
 
   const handleReportLoss = async (batchId) => {
     const key = `loss-${batchId}`;
+    const batch = activeBatches.find(b => b.id === batchId);
+    if (!batch) return;
     setLoad(key, true);
     const { trays, reason } = lossExpanded[batchId] || {};
     try {
-      await onEditBatch?.(batchId, {
-        lossCount:  Math.max(0, parseInt(trays) || 0),
-        lossReason: reason,
-      });
+      await onReportLoss?.(batch, Math.max(0, parseInt(trays) || 0), reason, userId);
       setLossExpanded(prev => { const n = { ...prev }; delete n[batchId]; return n; });
     } finally {
       setLoad(key, false);
@@ -208,6 +355,8 @@ export default function CrewDailyBoard({
   const visiblePlant   = plantToday.filter(n => !planted.has(n.cropId));
   const visibleMove    = moveToday.filter(i => !moved.has(i.batch.id));
   const visibleHarvest = harvestToday.filter(i => !harvested.has(i.batch.id));
+  const waiting        = (outbox?.entries || []).filter(e => e.status === 'pending');
+  const stuck          = (outbox?.entries || []).filter(e => e.status !== 'pending');
 
   // ── Loss Form (shared by Move and Harvest sections) ────────────────────────
   const LossForm = ({ batchId }) => (
@@ -266,6 +415,49 @@ export default function CrewDailyBoard({
         </div>
       </div>
 
+      {/* ── Clock in / out ── */}
+      {onClockIn && (
+        <div className="mx-4 mb-4 flex items-center gap-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 px-3 py-2 text-sm">
+          <span className="flex-1 font-bold text-gray-700 dark:text-gray-200">
+            {shift
+              ? `🟢 On the clock since ${new Date(shift.start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`
+              : '⚪ Not clocked in'}
+          </span>
+          <button
+            onClick={handleClock}
+            disabled={loading.clock}
+            className={`px-4 py-2 rounded-lg font-bold text-white disabled:opacity-50 cursor-pointer ${shift ? 'bg-gray-600 hover:bg-gray-500' : 'bg-green-600 hover:bg-green-500'}`}
+          >
+            {shift ? 'Clock out' : 'Clock in'}
+          </button>
+        </div>
+      )}
+
+      {/* ── Outbox: changes saved on this phone but not yet on the server ── */}
+      {outbox && (waiting.length > 0 || stuck.length > 0 || !outbox.online) && (
+        <div className="mx-4 mb-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-3 text-sm space-y-2">
+          <div className="flex items-center gap-2 font-bold">
+            <span>{!outbox.online ? '📴' : outbox.syncing ? '🔄' : '⏳'}</span>
+            <span className="flex-1 text-gray-700 dark:text-gray-200">
+              {!outbox.online ? 'Offline — changes are saved on this phone' : outbox.syncing ? 'Syncing…' : 'Waiting to sync'}
+            </span>
+            {waiting.length > 0 && (
+              <span className="text-xs text-gray-500 dark:text-gray-400">{waiting.length} pending</span>
+            )}
+          </div>
+          {stuck.map(e => (
+            <div key={e.id} className="flex items-center gap-2 text-xs bg-red-50 dark:bg-red-900/30 rounded-lg px-2 py-1.5">
+              <span className="flex-1 text-red-700 dark:text-red-300">
+                <span className="font-bold">{OUTBOX_VERB[e.type] || e.type} {e.label}</span>
+                {' — '}{e.status === 'conflict' ? e.error : `failed: ${e.error}`}
+              </span>
+              <button onClick={() => outbox.retry(e.id)} className="font-bold text-gray-700 dark:text-gray-200 hover:underline cursor-pointer">Retry</button>
+              <button onClick={() => outbox.discard(e.id)} className="font-bold text-red-600 dark:text-red-400 hover:underline cursor-pointer">Discard</button>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="px-4 pb-10 space-y-8">
 
         {/* ══ SECTION 1: PLANT TODAY ══════════════════════════════════════════ */}
@@ -316,11 +508,19 @@ export default function CrewDailyBoard({
                             value={expanded.qty}
                             onChange={e => setPlantExpanded(prev => ({
                               ...prev,
-                              [need.cropId]: { qty: e.target.value },
+                              [need.cropId]: { ...prev[need.cropId], qty: e.target.value },
                             }))}
                             className="w-full bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white text-3xl font-black text-center rounded-2xl py-4 border-2 border-green-500 outline-none focus:border-green-400"
                           />
                         </div>
+                        <PlantInputs
+                          value={expanded}
+                          lots={lotsForVariety(seedLots, need.cropId)}
+                          onChange={patch => setPlantExpanded(prev => ({
+                            ...prev,
+                            [need.cropId]: { ...prev[need.cropId], ...patch },
+                          }))}
+                        />
                         <div className="flex gap-2">
                           <button
                             onClick={() => togglePlantExpand(need)}
@@ -338,6 +538,7 @@ export default function CrewDailyBoard({
                         </div>
                       </div>
                     )}
+                    <TaskTimer timers={timers} id={key} />
                   </motion.div>
                 );
               })}
@@ -356,10 +557,13 @@ export default function CrewDailyBoard({
                 const key        = `move-${item.batch.id}`;
                 const batchLabel = item.batch.varietyName || item.batch.varietyId || 'Batch';
                 const batchTag   = item.batch.id.slice(-4).toUpperCase();
-                const curLabel   = STAGE_LABELS[item.batch.stage] || item.batch.stage;
+                const curLabel   = getStageLabel(machines, item.batch.cropCategory, item.batch.stage);
                 const nxtLabel   = item.suggestedNextStageLabel || item.suggestedNextStage;
                 const trays      = item.batch.trayCount || item.batch.quantity || '?';
                 const isLoss     = !!lossExpanded[item.batch.id];
+                const fromLoc    = formatLocation(growSpace, item.batch.location);
+                const toLoc      = nextLocation(item);
+                const toLabel    = toLoc === undefined ? null : formatLocation(growSpace, toLoc) || 'Off the racks';
                 return (
                   <motion.div
                     key={item.batch.id}
@@ -372,7 +576,9 @@ export default function CrewDailyBoard({
                     <div className="flex items-start justify-between mb-3">
                       <div>
                         <div className="text-xl font-black text-gray-900 dark:text-white">{batchLabel}</div>
-                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">#{batchTag}</div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                          #{batchTag}{item.batch.pendingSync && <span className="ml-2 text-amber-500">⏳ not synced</span>}
+                        </div>
                       </div>
                       <div className="text-right shrink-0 ml-4">
                         <div className="text-4xl font-black text-gray-900 dark:text-white leading-none">{trays}</div>
@@ -388,6 +594,11 @@ export default function CrewDailyBoard({
                         Day {item.daysInCurrentStage}/{item.expectedDays}
                       </span>
                     </div>
+                    {toLabel && toLoc !== item.batch.location && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400 -mt-2 mb-4">
+                        📍 {fromLoc || 'Not on a rack'} → <span className="font-bold text-gray-900 dark:text-white">{toLabel}</span>
+                      </div>
+                    )}
                     <button
                       onClick={() => handleMove(item)}
                       disabled={loading[key]}
@@ -395,6 +606,7 @@ export default function CrewDailyBoard({
                     >
                       {loading[key] ? 'Moving…' : '✓ Moved'}
                     </button>
+                    <TaskTimer timers={timers} id={key} />
                     {/* Loss tracking */}
                     {!isLoss ? (
                       <button
@@ -428,6 +640,7 @@ export default function CrewDailyBoard({
                 const isExpanded = !!harvestExpanded[item.batch.id];
                 const expanded   = harvestExpanded[item.batch.id];
                 const isLoss     = !!lossExpanded[item.batch.id];
+                const location   = formatLocation(growSpace, item.batch.location);
                 return (
                   <motion.div
                     key={item.batch.id}
@@ -440,7 +653,9 @@ export default function CrewDailyBoard({
                     <div className="flex items-start justify-between mb-3">
                       <div>
                         <div className="text-xl font-black text-gray-900 dark:text-white">{batchLabel}</div>
-                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">#{batchTag}</div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                          #{batchTag}{item.batch.pendingSync && <span className="ml-2 text-amber-500">⏳ not synced</span>}
+                        </div>
                       </div>
                       <div className="text-right shrink-0 ml-4">
                         <div className="text-4xl font-black text-gray-900 dark:text-white leading-none">{trays}</div>
@@ -453,6 +668,7 @@ export default function CrewDailyBoard({
                       {item.daysRemaining === 0 && (
                         <span className="text-red-400 font-bold"> — last day!</span>
                       )}
+                      {location && <div className="mt-1">📍 {location}</div>}
                     </div>
 
                     {!isExpanded ? (
@@ -496,6 +712,7 @@ export default function CrewDailyBoard({
                         </div>
                       </div>
                     )}
+                    <TaskTimer timers={timers} id={key} />
 
                     {/* Loss tracking — only when not in harvest flow */}
                     {!isExpanded && (
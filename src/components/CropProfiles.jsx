@@ -6,11 +6,15 @@
  *  - Expandable detail (soak hours, blackout days, seed density, yield, notes)
  *  - Add / Edit / Delete via modal
  *  - Category filter tabs
+ *  - Yield drivers per crop from its harvested batches (YieldDrivers)
  *
  * Pre-populated with 10 default microgreen profiles on first load.
  */
 
 import { useState, useMemo } from 'react';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { getAllVarieties } from '../data/cropConfig';
+import YieldDrivers from './YieldDrivers';
 
 const CATEGORIES = [
   { key: 'all', label: 'All' },
@@ -29,9 +33,12 @@ const CATEGORY_COLORS = {
   other: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200',
 };
 
+const VARIETIES = getAllVarieties();
+
 const EMPTY_FORM = {
   name: '',
   category: 'microgreens',
+  cropId: '',
   daysToMaturity: '',
   harvestWindow: '',
   soakHours: '',
@@ -44,7 +51,7 @@ const EMPTY_FORM = {
 
 // ── Profile Card ────────────────────────────────────────────────────────────
 
-function ProfileCard({ profile, onEdit, onToggleActive, onDelete }) {
+function ProfileCard({ profile, batches, members, onEdit, onToggleActive, onDelete }) {
   const [expanded, setExpanded] = useState(false);
   const catClass = CATEGORY_COLORS[profile.category] || CATEGORY_COLORS.other;
 
@@ -119,6 +126,12 @@ function ProfileCard({ profile, onEdit, onToggleActive, onDelete }) {
               <p className="text-gray-600 dark:text-gray-400 text-sm mt-0.5">{profile.notes}</p>
             </div>
           )}
+          <div className="mt-3" onClick={(e) => e.stopPropagation()}>
+            <span className="text-gray-400 dark:text-gray-500 text-xs">Yield Drivers</span>
+            <div className="mt-1">
+              <YieldDrivers batches={batches} members={members} />
+            </div>
+          </div>
           {/* Actions */}
           <div className="flex items-center gap-2 mt-4">
             <button
@@ -169,6 +182,7 @@ function ProfileModal({ initial, onSave, onClose }) {
     setSaving(true);
     await onSave({
       ...form,
+      cropId: form.cropId || null,
       daysToMaturity: Number(form.daysToMaturity) || 0,
       harvestWindow: Number(form.harvestWindow) || 0,
       soakHours: Number(form.soakHours) || 0,
@@ -217,6 +231,21 @@ function ProfileModal({ initial, onSave, onClose }) {
             </select>
           </div>
 
+          {/* Crop — links the profile to batches and orders by ID */}
+          <div>
+            <label className="block text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">Crop</label>
+            <select
+              value={form.cropId || ''}
+              onChange={(e) => set('cropId', e.target.value)}
+              className="w-full px-3 py-2.5 min-h-[44px] rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-200 text-sm focus:outline-none focus:border-green-400 transition-colors"
+            >
+              <option value="">Match by name</option>
+              {VARIETIES.map((v) => (
+                <option key={v.id} value={v.id}>{v.name} · {v.categoryLabel}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Number fields row */}
           <div className="grid grid-cols-2 gap-3">
             <div>
@@ -342,6 +371,8 @@ function ProfileModal({ initial, onSave, onClose }) {
 
 export default function CropProfiles({
   profiles = [],
+  batches = [],
+  members = [],
   loading = false,
   error,
   onAddProfile,
@@ -370,6 +401,17 @@ export default function CropProfiles({
 
   const activeCount = profiles.filter((p) => p.active !== false).length;
 
+  // Batches by the crop profile they resolve to (same matching as yields)
+  const { resolveYield } = useYieldResolver();
+  const batchesByProfile = useMemo(() => {
+    const map = new Map();
+    for (const b of batches) {
+      const id = resolveYield({ cropId: b.varietyId, name: b.varietyName || b.cropName }).profile?.id;
+      if (id) map.set(id, [...(map.get(id) || []), b]);
+    }
+    return map;
+  }, [batches, resolveYield]);
+
   // Count by category for filter badges
   const categoryCounts = useMemo(() => {
     const counts = { all: profiles.length };
@@ -475,6 +517,8 @@ export default function CropProfiles({
             <ProfileCard
               key={p.id}
               profile={p}
+              batches={batchesByProfile.get(p.id) || []}
+              members={members}
               onEdit={() => setModal({ mode: 'edit', profile: p })}
               onToggleActive={handleToggleActive}
               onDelete={onDeleteProfile}
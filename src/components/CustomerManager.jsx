@@ -2,8 +2,9 @@
  * CustomerManager.jsx — Unified customer list from shopifyCustomers.
  *
  * Shopify is the source of truth. This component reads from shopifyCustomers
- * and lets admins edit farm-specific fields (deliveryZone, pricingTier, etc.).
- * Includes bulk re-categorize on Prospects tab (multi-select + Move to…).
+ * and lets admins edit farm-specific fields (delivery zone, pricingTier, etc.).
+ * Includes bulk re-categorize on Prospects tab (multi-select + Move to…),
+ * and the delivery zone editor (DeliveryZones).
  */
 
 import { useState, useMemo, useCallback } from 'react';
@@ -11,6 +12,9 @@ import { updateShopifyCustomer } from '../services/shopifyCustomerService';
 import { autoCategorizeCustomers } from '../services/customerCleanupService';
 import { useStatsCollection } from '../hooks/useLearningEngine';
 import TrustBadge from './ui/TrustBadge';
+import DeliveryZones from './DeliveryZones';
+import { customerZone } from '../data/deliveryZones';
+import { PAYMENT_TERMS, DEFAULT_TERMS_DAYS, termsLabel } from '../data/invoices';
 
 const TYPE_TABS = [
   { key: 'all',          label: 'All',         icon: '👥' },
@@ -39,11 +43,12 @@ function formatCurrency(val) {
 }
 
 /** Editable farm-specific fields modal */
-function EditCustomerModal({ customer, farmId, onClose, onSaved }) {
+function EditCustomerModal({ customer, farmId, zones, onClose, onSaved }) {
   const [form, setForm] = useState({
-    deliveryZone: customer.deliveryZone || '',
+    deliveryZoneId: customerZone(zones, customer)?.id || '',
     pricingTier: customer.pricingTier || '',
     paymentType: customer.paymentType || '',
+    termsDays: customer.termsDays ?? DEFAULT_TERMS_DAYS,
     deliveryDays: customer.deliveryDays || '',
     notes: customer.notes || '',
     type: customer.type || customer.segment || 'unknown',
@@ -56,7 +61,9 @@ function EditCustomerModal({ customer, farmId, onClose, onSaved }) {
     setSaving(true);
     try {
       // When admin manually changes the type, flag it so auto-categorize won't override
-      const updates = { ...form };
+      // deliveryZone keeps the zone's name for anything still reading the old text field
+      const zone = zones.find((z) => z.id === form.deliveryZoneId);
+      const updates = { ...form, termsDays: Number(form.termsDays), deliveryZoneId: zone?.id || null, deliveryZone: zone?.name || '' };
       if (form.type !== (customer.type || customer.segment || 'unknown')) {
         updates.typeManuallySet = true;
       }
@@ -100,9 +107,14 @@ function EditCustomerModal({ customer, farmId, onClose, onSaved }) {
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
           <div>
             <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 block">Delivery Zone</label>
-            <input value={form.deliveryZone} onChange={(e) => set('deliveryZone', e.target.value)}
-              placeholder="e.g. Boise, Eagle, Meridian"
-              className="w-full border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-200 rounded-xl px-3 py-2.5 text-sm focus:border-green-400 focus:outline-none" />
+            <select value={form.deliveryZoneId} onChange={(e) => set('deliveryZoneId', e.target.value)}
+              className="w-full border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-200 rounded-xl px-3 py-2.5 text-sm focus:border-green-400 focus:outline-none cursor-pointer">
+              <option value="">— Farm defaults</option>
+              {zones.map((z) => <option key={z.id} value={z.id}>{z.name}</option>)}
+            </select>
+            {!form.deliveryZoneId && customer.deliveryZone && (
+              <p className="text-[10px] text-amber-500 mt-1">Was “{customer.deliveryZone}” — pick the matching zone</p>
+            )}
           </div>
           <div>
             <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 block">Pricing Tier</label>
@@ -128,6 +140,12 @@ function EditCustomerModal({ customer, farmId, onClose, onSaved }) {
               <option value="prepaid">Prepaid</option>
               <option value="credit">Credit Card on File</option>
             </select>
+            {form.paymentType === 'invoice' && (
+              <select value={form.termsDays} onChange={(e) => set('termsDays', e.target.value)} aria-label="Payment terms"
+                className="w-full mt-2 border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-200 rounded-xl px-3 py-2.5 text-sm focus:border-green-400 focus:outline-none cursor-pointer">
+                {PAYMENT_TERMS.map((d) => <option key={d} value={d}>{termsLabel(d)}</option>)}
+              </select>
+            )}
           </div>
           <div>
             <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 block">Delivery Days</label>
@@ -160,7 +178,11 @@ function EditCustomerModal({ customer, farmId, onClose, onSaved }) {
   );
 }
 
-export default function CustomerManager({ shopifyCustomers = [], loading = false, farmId }) {
+export default function CustomerManager({
+  shopifyCustomers = [], loading = false, farmId,
+  deliveryZones = [], onAddZone, onEditZone, onDeleteZone,
+}) {
+  const [view, setView] = useState('customers'); // 'customers' | 'zones'
   const [activeType, setActiveType] = useState('all');
   const [search, setSearch] = useState('');
   const [editModal, setEditModal] = useState(null);
@@ -322,217 +344,247 @@ export default function CustomerManager({ shopifyCustomers = [], loading = false
         </p>
       </div>
 
-      {/* Type filter tabs */}
-      <div className="flex gap-2 overflow-x-auto pb-2 mb-4 -mx-1 px-1">
-        {TYPE_TABS.map(({ key, label, icon }) => {
-          const isProspect = key === 'prospect';
-          return (
-            <button
-              key={key}
-              onClick={() => handleTabSwitch(key)}
-              className={`flex items-center gap-1.5 px-4 py-2.5 min-h-[44px] rounded-xl text-sm font-semibold whitespace-nowrap transition-all cursor-pointer ${
-                activeType === key
-                  ? isProspect
-                    ? 'bg-gray-500 text-white shadow-sm'
-                    : 'bg-green-600 text-white shadow-sm'
-                  : isProspect
-                    ? 'bg-gray-50 dark:bg-gray-800/50 border border-gray-200 dark:border-gray-700 text-gray-400 dark:text-gray-500 hover:border-gray-400'
-                    : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:border-green-300'
-              }`}
-            >
-              <span>{icon}</span>
-              <span>{label}</span>
-              <span className={`text-xs px-1.5 py-0.5 rounded-full ${
-                activeType === key ? 'bg-white/20 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
-              }`}>{counts[key]}</span>
-            </button>
-          );
-        })}
-      </div>
-
-      {/* Bulk actions bar (Prospects tab only) */}
-      {isProspectTab && filtered.length > 0 && (
-        <div className="flex items-center gap-3 mb-4 bg-gray-50 dark:bg-gray-800/60 border border-gray-200 dark:border-gray-700 rounded-xl px-4 py-3">
-          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
-            <input
-              type="checkbox"
-              checked={selected.size === filtered.length && filtered.length > 0}
-              onChange={toggleAll}
-              className="w-4 h-4 rounded border-gray-300 accent-green-600 cursor-pointer"
-            />
-            {selected.size > 0 ? `${selected.size} selected` : 'Select all'}
-          </label>
-
-          {selected.size > 0 && (
-            <>
-              <span className="text-gray-300 dark:text-gray-600">|</span>
-              <span className="text-xs text-gray-500 dark:text-gray-400">Move to:</span>
-              {MOVE_TO_OPTIONS.map(opt => (
-                <button
-                  key={opt.value}
-                  onClick={() => handleBulkMove(opt.value)}
-                  disabled={bulkMoving}
-                  className="text-xs font-semibold px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-green-50 dark:hover:bg-green-900/20 hover:border-green-300 disabled:opacity-50 transition-colors cursor-pointer"
-                >
-                  {opt.label}
-                </button>
-              ))}
-              {bulkMoving && <span className="text-xs text-gray-400 animate-pulse">Moving…</span>}
-            </>
-          )}
-        </div>
-      )}
-
-      {/* Search + Re-categorize toolbar */}
       <div className="flex gap-2 mb-4">
-        <input
-          type="text"
-          value={search}
-          onChange={(e) => setSearch(e.target.value)}
-          placeholder="Search by name, email, or restaurant..."
-          className="flex-1 px-4 py-3 min-h-[44px] rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 text-sm focus:outline-none focus:border-green-400 dark:focus:border-green-600 transition-colors"
-        />
-        <button
-          onClick={handleRecategorize}
-          disabled={recategorizing}
-          className="px-4 py-3 min-h-[44px] rounded-xl text-xs font-semibold whitespace-nowrap
-            bg-purple-50 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 border border-purple-200 dark:border-purple-800
-            hover:bg-purple-100 dark:hover:bg-purple-900/50
-            disabled:opacity-50 transition-colors cursor-pointer"
-        >
-          {recategorizing ? '⏳ Running…' : '🏷️ Re-categorize All'}
-        </button>
+        {[['customers', '👥 Customers'], ['zones', `📍 Delivery Zones${deliveryZones.length ? ` (${deliveryZones.length})` : ''}`]].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setView(key)}
+            className={`px-4 py-2 rounded-xl text-sm font-semibold cursor-pointer ${
+              view === key ? 'bg-green-600 text-white' : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
       </div>
 
-      {/* Re-categorize result */}
-      {recatResult && (
-        <div className={`mb-4 p-3 rounded-xl text-sm ${
-          recatResult.error
-            ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 border border-red-200 dark:border-red-800'
-            : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 border border-green-200 dark:border-green-800'
-        }`}>
-          {recatResult.error ? (
-            <span>❌ {recatResult.error}</span>
-          ) : (
-            <span>
-              ✅ Updated <strong>{recatResult.updated}</strong> of {recatResult.total} customers ·{' '}
-              🍳{recatResult.counts.chef} 🛒{recatResult.counts.retail} 🔄{recatResult.counts.subscriber} 👤{recatResult.counts.prospect}
-              {recatResult.counts.unknown > 0 && <> ❓{recatResult.counts.unknown}</>}
-            </span>
-          )}
-          <button onClick={() => setRecatResult(null)} className="ml-2 text-xs opacity-50 hover:opacity-100 cursor-pointer">✕</button>
+      {view === 'zones' ? (
+        <DeliveryZones
+          zones={deliveryZones}
+          customers={shopifyCustomers}
+          onAdd={onAddZone}
+          onEdit={onEditZone}
+          onRemove={onDeleteZone}
+        />
+      ) : (
+        <>
+        {/* Type filter tabs */}
+        <div className="flex gap-2 overflow-x-auto pb-2 mb-4 -mx-1 px-1">
+          {TYPE_TABS.map(({ key, label, icon }) => {
+            const isProspect = key === 'prospect';
+            return (
+              <button
+                key={key}
+                onClick={() => handleTabSwitch(key)}
+                className={`flex items-center gap-1.5 px-4 py-2.5 min-h-[44px] rounded-xl text-sm font-semibold whitespace-nowrap transition-all cursor-pointer ${
+                  activeType === key
+                    ? isProspect
+                      ? 'bg-gray-500 text-white shadow-sm'
+                      : 'bg-green-600 text-white shadow-sm'
+                    : isProspect
+                      ? 'bg-gray-50 dark:bg-gray-800/50 border border-gray-200 dark:border-gray-700 text-gray-400 dark:text-gray-500 hover:border-gray-400'
+                      : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:border-green-300'
+                }`}
+              >
+                <span>{icon}</span>
+                <span>{label}</span>
+                <span className={`text-xs px-1.5 py-0.5 rounded-full ${
+                  activeType === key ? 'bg-white/20 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
+                }`}>{counts[key]}</span>
+              </button>
+            );
+          })}
         </div>
-      )}
 
-      {/* Customer list */}
-      {filtered.length === 0 ? (
-        <div className="text-center py-16 text-gray-400 dark:text-gray-500">
-          <p className="text-3xl mb-2">👥</p>
-          <p className="text-sm">{search ? 'No customers match your search' : 'No customers in this category'}</p>
+        {/* Bulk actions bar (Prospects tab only) */}
+        {isProspectTab && filtered.length > 0 && (
+          <div className="flex items-center gap-3 mb-4 bg-gray-50 dark:bg-gray-800/60 border border-gray-200 dark:border-gray-700 rounded-xl px-4 py-3">
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selected.size === filtered.length && filtered.length > 0}
+                onChange={toggleAll}
+                className="w-4 h-4 rounded border-gray-300 accent-green-600 cursor-pointer"
+              />
+              {selected.size > 0 ? `${selected.size} selected` : 'Select all'}
+            </label>
+
+            {selected.size > 0 && (
+              <>
+                <span className="text-gray-300 dark:text-gray-600">|</span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">Move to:</span>
+                {MOVE_TO_OPTIONS.map(opt => (
+                  <button
+                    key={opt.value}
+                    onClick={() => handleBulkMove(opt.value)}
+                    disabled={bulkMoving}
+                    className="text-xs font-semibold px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-green-50 dark:hover:bg-green-900/20 hover:border-green-300 disabled:opacity-50 transition-colors cursor-pointer"
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+                {bulkMoving && <span className="text-xs text-gray-400 animate-pulse">Moving…</span>}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Search + Re-categorize toolbar */}
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, email, or restaurant..."
+            className="flex-1 px-4 py-3 min-h-[44px] rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 text-sm focus:outline-none focus:border-green-400 dark:focus:border-green-600 transition-colors"
+          />
+          <button
+            onClick={handleRecategorize}
+            disabled={recategorizing}
+            className="px-4 py-3 min-h-[44px] rounded-xl text-xs font-semibold whitespace-nowrap
+              bg-purple-50 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 border border-purple-200 dark:border-purple-800
+              hover:bg-purple-100 dark:hover:bg-purple-900/50
+              disabled:opacity-50 transition-colors cursor-pointer"
+          >
+            {recategorizing ? '⏳ Running…' : '🏷️ Re-categorize All'}
+          </button>
         </div>
-      ) : (
-        <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 overflow-hidden">
-          {filtered.map((customer, i) => {
-            const badge = TYPE_BADGE[customer.type || customer.segment] || TYPE_BADGE.unknown;
-            const isChecked = selected.has(customer.id);
-            return (
-              <div key={customer.id} className={`flex items-center gap-3 p-4 ${i > 0 ? 'border-t border-gray-100 dark:border-gray-700' : ''} ${isProspectTab ? 'opacity-75 hover:opacity-100 transition-opacity' : ''}`}>
-                {/* Checkbox (prospect tab only) */}
-                {isProspectTab && (
-                  <input
-                    type="checkbox"
-                    checked={isChecked}
-                    onChange={() => toggleSelect(customer.id)}
-                    className="w-4 h-4 rounded border-gray-300 accent-green-600 shrink-0 cursor-pointer"
-                  />
-                )}
-
-                <div className="min-w-0 flex-1">
-                  <div className="flex items-center gap-2 mb-0.5">
-                    <h3 className="font-bold text-gray-800 dark:text-gray-100 text-sm truncate">
-                      {customer.restaurant || customer.name || customer.email || 'Unknown'}
-                    </h3>
-                    <span className={`text-[9px] font-bold px-1.5 py-0.5 rounded shrink-0 ${badge.cls}`}>{badge.label}</span>
-                    {/* Trust tier badge from Learning Engine */}
+
+        {/* Re-categorize result */}
+        {recatResult && (
+          <div className={`mb-4 p-3 rounded-xl text-sm ${
+            recatResult.error
+              ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300 border border-red-200 dark:border-red-800'
+              : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300 border border-green-200 dark:border-green-800'
+          }`}>
+            {recatResult.error ? (
+              <span>❌ {recatResult.error}</span>
+            ) : (
+              <span>
+                ✅ Updated <strong>{recatResult.updated}</strong> of {recatResult.total} customers ·{' '}
+                🍳{recatResult.counts.chef} 🛒{recatResult.counts.retail} 🔄{recatResult.counts.subscriber} 👤{recatResult.counts.prospect}
+                {recatResult.counts.unknown > 0 && <> ❓{recatResult.counts.unknown}</>}
+              </span>
+            )}
+            <button onClick={() => setRecatResult(null)} className="ml-2 text-xs opacity-50 hover:opacity-100 cursor-pointer">✕</button>
+          </div>
+        )}
+
+        {/* Customer list */}
+        {filtered.length === 0 ? (
+          <div className="text-center py-16 text-gray-400 dark:text-gray-500">
+            <p className="text-3xl mb-2">👥</p>
+            <p className="text-sm">{search ? 'No customers match your search' : 'No customers in this category'}</p>
+          </div>
+        ) : (
+          <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+            {filtered.map((customer, i) => {
+              const badge = TYPE_BADGE[customer.type || customer.segment] || TYPE_BADGE.unknown;
+              const isChecked = selected.has(customer.id);
+              return (
+                <div key={customer.id} className={`flex items-center gap-3 p-4 ${i > 0 ? 'border-t border-gray-100 dark:border-gray-700' : ''} ${isProspectTab ? 'opacity-75 hover:opacity-100 transition-opacity' : ''}`}>
+                  {/* Checkbox (prospect tab only) */}
+                  {isProspectTab && (
+                    <input
+                      type="checkbox"
+                      checked={isChecked}
+                      onChange={() => toggleSelect(customer.id)}
+                      className="w-4 h-4 rounded border-gray-300 accent-green-600 shrink-0 cursor-pointer"
+                    />
+                  )}
+
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center gap-2 mb-0.5">
+                      <h3 className="font-bold text-gray-800 dark:text-gray-100 text-sm truncate">
+                        {customer.restaurant || customer.name || customer.email || 'Unknown'}
+                      </h3>
+                      <span className={`text-[9px] font-bold px-1.5 py-0.5 rounded shrink-0 ${badge.cls}`}>{badge.label}</span>
+                      {/* Trust tier badge from Learning Engine */}
+                      {(() => {
+                        const custKey = (customer.email || '').toLowerCase().trim();
+                        const intel = custKey ? customerIntel[custKey] : null;
+                        if (!intel || intel.length === 0) return null;
+                        const maxConf = Math.max(...intel.map(c => c.confidence));
+                        // Use earliest lastOrder as proxy for firstOrderDate
+                        const earliest = intel.reduce((e, c) => c.lastOrder && (!e || c.lastOrder < e) ? c.lastOrder : e, null);
+                        return <TrustBadge confidence={maxConf} firstOrderDate={earliest} compact />;
+                      })()}
+                      {customer.typeManuallySet && (
+                        <span className="text-[9px] px-1 py-0.5 rounded bg-amber-50 dark:bg-amber-900/20 text-amber-500" title="Manually categorized">✋</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {customer.name && customer.restaurant ? `${customer.name} · ` : ''}
+                      {customer.email || ''}
+                      {customer.phone ? ` · ${customer.phone}` : ''}
+                    </p>
+                    {/* Farm-specific info pills */}
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {(() => {
+                        const zone = customerZone(deliveryZones, customer);
+                        if (zone) return <span className="text-[9px] px-1.5 py-0.5 rounded bg-blue-50 dark:bg-blue-900/20 text-blue-600 dark:text-blue-300">📍 {zone.name}</span>;
+                        return customer.deliveryZone
+                          ? <span className="text-[9px] px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400" title="Not a delivery zone — assign one in Edit">📍 {customer.deliveryZone}?</span>
+                          : null;
+                      })()}
+                      {customer.pricingTier && (
+                        <span className="text-[9px] px-1.5 py-0.5 rounded bg-green-50 dark:bg-green-900/20 text-green-600 dark:text-green-300">💲 {customer.pricingTier}</span>
+                      )}
+                      {customer.paymentType && (
+                        <span className="text-[9px] px-1.5 py-0.5 rounded bg-purple-50 dark:bg-purple-900/20 text-purple-600 dark:text-purple-300">💳 {customer.paymentType}</span>
+                      )}
+                      {customer.deliveryDays && (
+                        <span className="text-[9px] px-1.5 py-0.5 rounded bg-amber-50 dark:bg-amber-900/20 text-amber-600 dark:text-amber-300">📅 {customer.deliveryDays}</span>
+                      )}
+                    </div>
+                    {/* Ordering Intelligence from Learning Engine */}
                     {(() => {
                       const custKey = (customer.email || '').toLowerCase().trim();
                       const intel = custKey ? customerIntel[custKey] : null;
                       if (!intel || intel.length === 0) return null;
-                      const maxConf = Math.max(...intel.map(c => c.confidence));
-                      // Use earliest lastOrder as proxy for firstOrderDate
-                      const earliest = intel.reduce((e, c) => c.lastOrder && (!e || c.lastOrder < e) ? c.lastOrder : e, null);
-                      return <TrustBadge confidence={maxConf} firstOrderDate={earliest} compact />;
+                      const TREND_SYM = { increasing: '↑', decreasing: '↓', stable: '→' };
+                      const TREND_CLR = { increasing: 'text-green-600 dark:text-green-400', decreasing: 'text-red-500 dark:text-red-400', stable: 'text-gray-400' };
+                      // Predict next order from interval
+                      const nextOrderDate = intel[0].lastOrder && intel[0].intervalMean
+                        ? new Date(new Date(intel[0].lastOrder).getTime() + intel[0].intervalMean * 86400000).toISOString().split('T')[0]
+                        : null;
+                      return (
+                        <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
+                          <span className="text-[9px] font-semibold text-gray-400 dark:text-gray-500">📊</span>
+                          {intel.map((crop, ci) => (
+                            <span key={ci} className="text-[9px] px-1.5 py-0.5 rounded bg-indigo-50 dark:bg-indigo-900/20 text-indigo-600 dark:text-indigo-300">
+                              {crop.crop} ~{Math.round(crop.ewma)}
+                              <span className={`ml-0.5 ${TREND_CLR[crop.trend] || ''}`}>{TREND_SYM[crop.trend] || '→'}</span>
+                            </span>
+                          ))}
+                          {nextOrderDate && (
+                            <span className="text-[9px] px-1.5 py-0.5 rounded bg-sky-50 dark:bg-sky-900/20 text-sky-600 dark:text-sky-300">
+                              Next ~{nextOrderDate}
+                            </span>
+                          )}
+                        </div>
+                      );
                     })()}
-                    {customer.typeManuallySet && (
-                      <span className="text-[9px] px-1 py-0.5 rounded bg-amber-50 dark:bg-amber-900/20 text-amber-500" title="Manually categorized">✋</span>
-                    )}
                   </div>
-                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
-                    {customer.name && customer.restaurant ? `${customer.name} · ` : ''}
-                    {customer.email || ''}
-                    {customer.phone ? ` · ${customer.phone}` : ''}
-                  </p>
-                  {/* Farm-specific info pills */}
-                  <div className="flex flex-wrap gap-1 mt-1">
-                    {customer.deliveryZone && (
-                      <span className="text-[9px] px-1.5 py-0.5 rounded bg-blue-50 dark:bg-blue-900/20 text-blue-600 dark:text-blue-300">📍 {customer.deliveryZone}</span>
-                    )}
-                    {customer.pricingTier && (
-                      <span className="text-[9px] px-1.5 py-0.5 rounded bg-green-50 dark:bg-green-900/20 text-green-600 dark:text-green-300">💲 {customer.pricingTier}</span>
-                    )}
-                    {customer.paymentType && (
-                      <span className="text-[9px] px-1.5 py-0.5 rounded bg-purple-50 dark:bg-purple-900/20 text-purple-600 dark:text-purple-300">💳 {customer.paymentType}</span>
-                    )}
-                    {customer.deliveryDays && (
-                      <span className="text-[9px] px-1.5 py-0.5 rounded bg-amber-50 dark:bg-amber-900/20 text-amber-600 dark:text-amber-300">📅 {customer.deliveryDays}</span>
-                    )}
-                  </div>
-                  {/* Ordering Intelligence from Learning Engine */}
-                  {(() => {
-                    const custKey = (customer.email || '').toLowerCase().trim();
-                    const intel = custKey ? customerIntel[custKey] : null;
-                    if (!intel || intel.length === 0) return null;
-                    const TREND_SYM = { increasing: '↑', decreasing: '↓', stable: '→' };
-                    const TREND_CLR = { increasing: 'text-green-600 dark:text-green-400', decreasing: 'text-red-500 dark:text-red-400', stable: 'text-gray-400' };
-                    // Predict next order from interval
-                    const nextOrderDate = intel[0].lastOrder && intel[0].intervalMean
-                      ? new Date(new Date(intel[0].lastOrder).getTime() + intel[0].intervalMean * 86400000).toISOString().split('T')[0]
-                      : null;
-                    return (
-                      <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
-                        <span className="text-[9px] font-semibold text-gray-400 dark:text-gray-500">📊</span>
-                        {intel.map((crop, ci) => (
-                          <span key={ci} className="text-[9px] px-1.5 py-0.5 rounded bg-indigo-50 dark:bg-indigo-900/20 text-indigo-600 dark:text-indigo-300">
-                            {crop.crop} ~{Math.round(crop.ewma)}
-                            <span className={`ml-0.5 ${TREND_CLR[crop.trend] || ''}`}>{TREND_SYM[crop.trend] || '→'}</span>
-                          </span>
-                        ))}
-                        {nextOrderDate && (
-                          <span className="text-[9px] px-1.5 py-0.5 rounded bg-sky-50 dark:bg-sky-900/20 text-sky-600 dark:text-sky-300">
-                            Next ~{nextOrderDate}
-                          </span>
-                        )}
-                      </div>
-                    );
-                  })()}
-                </div>
 
-                <div className="flex items-center gap-3 shrink-0 ml-3">
-                  <div className="text-right">
-                    <p className="text-sm font-bold text-gray-700 dark:text-gray-200">{formatCurrency(customer.totalSpent)}</p>
-                    <p className="text-[10px] text-gray-400 dark:text-gray-500">{customer.ordersCount || 0} orders</p>
+                  <div className="flex items-center gap-3 shrink-0 ml-3">
+                    <div className="text-right">
+                      <p className="text-sm font-bold text-gray-700 dark:text-gray-200">{formatCurrency(customer.totalSpent)}</p>
+                      <p className="text-[10px] text-gray-400 dark:text-gray-500">{customer.ordersCount || 0} orders</p>
+                    </div>
+                    <button
+                      onClick={() => setEditModal(customer)}
+                      className="text-xs font-semibold text-gray-400 dark:text-gray-500 hover:text-gray-600 cursor-pointer px-3 py-2.5 min-h-[44px] rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700"
+                    >
+                      Edit
+                    </button>
                   </div>
-                  <button
-                    onClick={() => setEditModal(customer)}
-                    className="text-xs font-semibold text-gray-400 dark:text-gray-500 hover:text-gray-600 cursor-pointer px-3 py-2.5 min-h-[44px] rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700"
-                  >
-                    Edit
-                  </button>
                 </div>
-              </div>
-            );
-          })}
-        </div>
+              );
+            })}
+          </div>
+        )}
+        </>
       )}
 
       {/* Edit modal */}
@@ -540,6 +592,7 @@ export default function CustomerManager({ shopifyCustomers = [], loading = false
         <EditCustomerModal
           customer={editModal}
           farmId={farmId}
+          zones={deliveryZones}
           onClose={() => setEditModal(null)}
         />
       )}
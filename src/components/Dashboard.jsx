@@ -8,15 +8,15 @@ import { ACTIVITY_TYPES } from '../services/activityService';
 import { getAutoSelectedSprint } from '../utils/sprintUtils';
 import { queryDemand } from '../utils/demandUtils';
 import { calculateSowingNeeds } from '../utils/sowingUtils';
-import { cropConfig } from '../data/cropConfig';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { useProductMappings } from '../hooks/useProductMappings';
+import { getSowStageIds, normalizeStageId } from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
 import { useLearningDashboard } from '../hooks/useLearningEngine';
 import { useAlerts } from '../contexts/AlertContext';
 import RefreshBanner from './RefreshBanner';
 
-const FIRST_STAGE_IDS = new Set(
-  Object.values(cropConfig).map(cat => cat.stages[0]?.id).filter(Boolean)
-);
-
 const TYPE_ICON = Object.fromEntries(ACTIVITY_TYPES.map(t => [t.id, t.icon]));
 
 const STATUS_CLS = {
@@ -144,23 +144,29 @@ export default function Dashboard({
   );
 
   // ── Pipeline Health ────────────────────────────────────────────────────────
-  const demandData  = useMemo(() => queryDemand(orders), [orders]);
-  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches), [demandData, activeBatches]);
+  const { mappingIndex } = useProductMappings();
+  const { resolveYield } = useYieldResolver();
+  const { layout: growSpace } = useGrowSpace();
+  const { machines } = useStageMachines();
+  const demandData  = useMemo(() => queryDemand(orders, mappingIndex), [orders, mappingIndex]);
+  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches, resolveYield, { layout: growSpace, machines }), [demandData, activeBatches, resolveYield, growSpace, machines]);
 
   // ── Today's Crew Summary ───────────────────────────────────────────────────
   const todayStr = useMemo(() => new Date().toISOString().split('T')[0], []);
   const crewSummary = useMemo(() => {
+    const sowStages = getSowStageIds(machines);
     let planted = 0, moved = 0, harvested = 0;
     batches.forEach(b => {
       (b.stageHistory || []).forEach(h => {
         if (!h.enteredAt?.startsWith(todayStr)) return;
-        if (FIRST_STAGE_IDS.has(h.stage))   planted++;
-        else if (h.stage === 'harvested')    harvested++;
+        const stage = normalizeStageId(machines, b.cropCategory, h.stage) || h.stage;
+        if (sowStages.has(stage))           planted++;
+        else if (stage === 'harvested')      harvested++;
         else                                 moved++;
       });
     });
     return { planted, moved, harvested };
-  }, [batches, todayStr]);
+  }, [batches, todayStr, machines]);
 
   // ── Recent Activity ────────────────────────────────────────────────────────
   const recentActivity = activities.slice(0, 5);
@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { useFarmConfig } from '../contexts/FarmConfigContext';
+import { DAY_NAMES } from '../data/orderRules';
+import { customerZone, deliveryRules, normalizeZone } from '../data/deliveryZones';
+
+/**
+ * DeliveryZones — admin editor for delivery zones, under Customers.
+ *
+ * Each zone sets its delivery weekdays, order cutoff and lead time,
+ * holiday blackouts and minimum order; blank fields use the farm-wide
+ * settings (Admin → Settings). Customers are assigned in their Edit modal.
+ * Rules: data/deliveryZones.js.
+ */
+
+const inputCls = 'w-full border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 rounded-xl px-3 py-2 text-sm focus:border-green-400 focus:outline-none';
+
+const dayLabel = (day) => day[0].toUpperCase() + day.slice(1, 3);
+
+// Monday first, the way the delivery calendar reads
+const WEEK = [...DAY_NAMES.slice(1), DAY_NAMES[0]];
+
+function ZoneModal({ zone, config, onSave, onClose }) {
+  const [form, setForm] = useState({
+    name:          zone?.name || '',
+    deliveryDays:  zone?.deliveryDays || [],
+    cutoffTime:    zone?.cutoffTime || '',
+    leadDays:      zone?.leadDays ?? '',
+    minOrderTotal: zone?.minOrderTotal ?? '',
+    blackoutDates: zone?.blackoutDates || [],
+  });
+  const [blackout, setBlackout] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const set = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+  const toggleDay = (day) =>
+    set('deliveryDays', form.deliveryDays.includes(day) ? form.deliveryDays.filter((d) => d !== day) : [...form.deliveryDays, day]);
+  const addBlackout = () => {
+    if (!blackout || form.blackoutDates.includes(blackout)) return;
+    set('blackoutDates', [...form.blackoutDates, blackout].sort());
+    setBlackout('');
+  };
+
+  const save = async () => {
+    if (!form.name.trim()) return;
+    setSaving(true);
+    try {
+      await onSave(normalizeZone(form));
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-lg shadow-2xl p-6 space-y-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">{zone ? 'Edit delivery zone' : 'New delivery zone'}</h3>
+
+        <input placeholder="Zone name, e.g. Downtown Boise" value={form.name} onChange={(e) => set('name', e.target.value)} className={inputCls} />
+
+        <div>
+          <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Delivery days</span>
+          <div className="flex flex-wrap gap-2">
+            {WEEK.map((day) => (
+              <button
+                key={day}
+                type="button"
+                onClick={() => toggleDay(day)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold cursor-pointer ${
+                  form.deliveryDays.includes(day) ? 'bg-green-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
+                }`}
+              >
+                {dayLabel(day)}
+              </button>
+            ))}
+          </div>
+          {form.deliveryDays.length === 0 && (
+            <p className="text-xs text-gray-400 mt-1">None picked — farm delivery days apply ({(config.deliveryDays || []).map(dayLabel).join(', ') || 'any day'}).</p>
+          )}
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Cutoff time</span>
+            <input type="time" value={form.cutoffTime} onChange={(e) => set('cutoffTime', e.target.value)} className={inputCls} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Lead days</span>
+            <input type="number" min={1} step={1} value={form.leadDays} onChange={(e) => set('leadDays', e.target.value)} placeholder={String(config.leadDays ?? 1)} className={inputCls} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Minimum ($)</span>
+            <input type="number" min={0} step={1} value={form.minOrderTotal} onChange={(e) => set('minOrderTotal', e.target.value)} placeholder={String(config.minOrderTotal ?? 0)} className={inputCls} />
+          </label>
+        </div>
+        <p className="text-xs text-gray-400 -mt-2">
+          Orders must be in by the cutoff, lead days before delivery. Leave blank to use the farm settings{config.cutoffTime ? ` (cutoff ${config.cutoffTime})` : ''}.
+        </p>
+
+        <div>
+          <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Holiday blackouts</span>
+          <div className="flex gap-2">
+            <input type="date" value={blackout} onChange={(e) => setBlackout(e.target.value)} className={inputCls} />
+            <button type="button" onClick={addBlackout} disabled={!blackout} className="px-4 rounded-xl text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 disabled:opacity-50 cursor-pointer">Add</button>
+          </div>
+          {form.blackoutDates.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mt-2">
+              {form.blackoutDates.map((d) => (
+                <span key={d} className="text-xs px-2 py-1 rounded-lg bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-300">
+                  {d}
+                  <button onClick={() => set('blackoutDates', form.blackoutDates.filter((x) => x !== d))} className="ml-1.5 opacity-60 hover:opacity-100 cursor-pointer" aria-label={`Remove ${d}`}>✕</button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-2">
+          <button onClick={onClose} className="flex-1 py-2.5 rounded-xl text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 cursor-pointer">Cancel</button>
+          <button
+            onClick={save}
+            disabled={saving || !form.name.trim()}
+            className="flex-[2] py-2.5 rounded-xl text-sm font-bold bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 cursor-pointer"
+          >
+            {saving ? 'Saving…' : 'Save zone'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function DeliveryZones({ zones = [], customers = [], onAdd, onEdit, onRemove }) {
+  const { config } = useFarmConfig();
+  const [editing, setEditing] = useState(null); // null | { zone } (zone null = new)
+  const customerCount = (zone) => customers.filter((c) => customerZone(zones, c)?.id === zone.id).length;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Chefs can only order for their zone's delivery days. Customers without a zone use the farm settings.
+        </p>
+        <button
+          onClick={() => setEditing({ zone: null })}
+          className="bg-green-600 text-white font-bold px-4 py-2.5 min-h-[44px] rounded-xl text-sm hover:bg-green-700 transition-colors cursor-pointer shrink-0 ml-3"
+        >
+          + Zone
+        </button>
+      </div>
+
+      {zones.length === 0 ? (
+        <p className="text-center text-sm text-gray-400 py-12">No delivery zones yet — every chef orders on the farm's delivery days.</p>
+      ) : (
+        <div className="space-y-3">
+          {zones.map((zone) => {
+            const rules = deliveryRules(config, zone);
+            const count = customerCount(zone);
+            return (
+              <div key={zone.id} className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-bold text-gray-800 dark:text-gray-100">📍 {zone.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {WEEK.filter((d) => rules.deliveryDays.includes(d)).map(dayLabel).join(', ') || 'Any day'}
+                    {' · '}{rules.cutoffTime ? `cutoff ${rules.cutoffTime}, ` : ''}{rules.leadDays} day{rules.leadDays !== 1 ? 's' : ''} ahead
+                    {rules.minOrderTotal > 0 && ` · min $${rules.minOrderTotal.toFixed(2)}`}
+                    {' · '}{count} customer{count !== 1 ? 's' : ''}
+                  </p>
+                  {rules.blackoutDates.length > 0 && (
+                    <p className="text-xs text-red-500 dark:text-red-400 mt-0.5">No deliveries: {rules.blackoutDates.join(', ')}</p>
+                  )}
+                </div>
+                <div className="flex gap-3 shrink-0 text-xs font-semibold">
+                  <button onClick={() => setEditing({ zone })} className="text-gray-500 hover:text-gray-700 dark:text-gray-400 cursor-pointer">Edit</button>
+                  <button
+                    onClick={() => window.confirm(`Delete zone "${zone.name}"? Its customers go back to the farm settings.`) && onRemove(zone.id)}
+                    className="text-gray-400 hover:text-red-500 cursor-pointer"
+                  >Delete</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {editing && (
+        <ZoneModal
+          zone={editing.zone}
+          config={config}
+          onSave={(data) => (editing.zone ? onEdit(editing.zone.id, data) : onAdd(data))}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
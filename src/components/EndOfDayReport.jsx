@@ -1,25 +1,23 @@
 import { useMemo, useState } from 'react';
 import { ReportSkeleton } from './ui/Skeletons';
-import { cropConfig } from '../data/cropConfig';
 import { queryDemand } from '../utils/demandUtils';
 import { calculateSowingNeeds } from '../utils/sowingUtils';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { useProductMappings } from '../hooks/useProductMappings';
 import {
   getBatchesNeedingStageAdvance,
   getBatchesInHarvestWindow,
   getTodaysSowingNeeds,
 } from '../utils/pipelineUtils';
-
-const FIRST_STAGES = new Set(
-  Object.values(cropConfig).map(cat => cat.stages[0]?.id).filter(Boolean)
-);
-
-function stageLabelFor(stageId) {
-  for (const cat of Object.values(cropConfig)) {
-    const s = cat.stages.find(s => s.id === stageId);
-    if (s) return s.label;
-  }
-  return stageId;
-}
+import {
+  getSowStageIds,
+  getStageLabel,
+  isHarvestableStage,
+  isTerminalStage,
+  normalizeStageId,
+} from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
 
 function Section({ emoji, title, count, children }) {
   return (
@@ -62,7 +60,9 @@ export default function EndOfDayReport({ batches = [], orders = [], loading = fa
   const dateLabel = useMemo(() =>
     new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }), []);
 
-  const activeBatches = useMemo(() => batches.filter(b => b.stage !== 'harvested'), [batches]);
+  const { machines } = useStageMachines();
+  const sowStages     = useMemo(() => getSowStageIds(machines), [machines]);
+  const activeBatches = useMemo(() => batches.filter(b => !isTerminalStage(machines, b)), [batches, machines]);
 
   // ── Today's stageHistory entries across ALL batches ────────────────────────
   const todayEntries = useMemo(() => {
@@ -72,6 +72,7 @@ export default function EndOfDayReport({ batches = [], orders = [], loading = fa
         if (h.enteredAt?.startsWith(todayStr)) {
           all.push({
             ...h,
+            stage:       normalizeStageId(machines, b.cropCategory, h.stage) || h.stage,
             batch:       b,
             varietyName: b.varietyName || b.varietyId || 'Batch',
             trays:       b.trayCount || b.quantity || 0,
@@ -80,18 +81,21 @@ export default function EndOfDayReport({ batches = [], orders = [], loading = fa
       });
     });
     return all.sort((a, b) => a.enteredAt.localeCompare(b.enteredAt));
-  }, [batches, todayStr]);
+  }, [batches, todayStr, machines]);
 
-  const plantedToday   = todayEntries.filter(e => FIRST_STAGES.has(e.stage));
-  const movedToday     = todayEntries.filter(e => !FIRST_STAGES.has(e.stage) && e.stage !== 'harvested');
+  const plantedToday   = todayEntries.filter(e => sowStages.has(e.stage));
+  const movedToday     = todayEntries.filter(e => !sowStages.has(e.stage) && e.stage !== 'harvested');
   const harvestedToday = todayEntries.filter(e => e.stage === 'harvested');
 
   // ── Tomorrow's preview ─────────────────────────────────────────────────────
-  const demandData      = useMemo(() => queryDemand(orders), [orders]);
-  const sowingNeeds     = useMemo(() => calculateSowingNeeds(demandData, activeBatches), [demandData, activeBatches]);
+  const { mappingIndex } = useProductMappings();
+  const { resolveYield } = useYieldResolver();
+  const { layout: growSpace } = useGrowSpace();
+  const demandData      = useMemo(() => queryDemand(orders, mappingIndex), [orders, mappingIndex]);
+  const sowingNeeds     = useMemo(() => calculateSowingNeeds(demandData, activeBatches, resolveYield, { layout: growSpace, machines }), [demandData, activeBatches, resolveYield, growSpace, machines]);
   const plantTomorrow   = useMemo(() => getTodaysSowingNeeds(sowingNeeds), [sowingNeeds]);
-  const moveTomorrow    = useMemo(() => getBatchesNeedingStageAdvance(activeBatches), [activeBatches]);
-  const harvestTomorrow = useMemo(() => getBatchesInHarvestWindow(activeBatches), [activeBatches]);
+  const moveTomorrow    = useMemo(() => getBatchesNeedingStageAdvance(activeBatches, machines), [activeBatches, machines]);
+  const harvestTomorrow = useMemo(() => getBatchesInHarvestWindow(activeBatches, machines), [activeBatches, machines]);
 
   // ── Entering harvest window this week ──────────────────────────────────────
   const enteringHarvestSoon = useMemo(() => {
@@ -99,9 +103,9 @@ export default function EndOfDayReport({ batches = [], orders = [], loading = fa
     in7.setDate(in7.getDate() + 7);
     const in7str = in7.toISOString().split('T')[0];
     return activeBatches
-      .filter(b => b.stage !== 'ready' && b.estimatedHarvestStart > todayStr && b.estimatedHarvestStart <= in7str)
+      .filter(b => !isHarvestableStage(machines, b) && b.estimatedHarvestStart > todayStr && b.estimatedHarvestStart <= in7str)
       .sort((a, b) => a.estimatedHarvestStart.localeCompare(b.estimatedHarvestStart));
-  }, [activeBatches, todayStr]);
+  }, [activeBatches, todayStr, machines]);
 
   if (loading) return <ReportSkeleton />;
 
@@ -124,7 +128,7 @@ export default function EndOfDayReport({ batches = [], orders = [], loading = fa
       ...plantedToday.map(e => `  · ${e.varietyName} — ${e.trays} trays`),
       '',
       `Moved: ${movedToday.length} stage advances`,
-      ...movedToday.map(e => `  · ${e.varietyName} → ${stageLabelFor(e.stage)}`),
+      ...movedToday.map(e => `  · ${e.varietyName} → ${getStageLabel(machines, e.batch.cropCategory, e.stage)}`),
       '',
       `Harvested: ${harvestedToday.length} batches (${totalHarvestedTrays} trays)`,
       ...harvestedToday.map(e => `  · ${e.varietyName}${e.batch.actualYield != null ? ` — ${e.batch.actualYield} oz` : ''}`),
@@ -194,7 +198,7 @@ export default function EndOfDayReport({ batches = [], orders = [], loading = fa
       <Section emoji="🔄" title="Moved Today" count={movedToday.length}>
         {movedToday.length === 0 ? <Empty msg="No stage advances today" /> : (
           movedToday.map((e, i) => (
-            <Row key={i} left={e.varietyName} right={`→ ${stageLabelFor(e.stage)}`} />
+            <Row key={i} left={e.varietyName} right={`→ ${getStageLabel(machines, e.batch.cropCategory, e.stage)}`} />
           ))
         )}
       </Section>
@@ -1,6 +1,9 @@
 import { useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { cropConfig, getVarietyById } from '../data/cropConfig';
+import { getBatchStage, getStageOrder } from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { stageStyle } from '../utils/stageStyles';
 
 /**
  * FarmDashboard — The unified "Farm View" production visualization.
@@ -12,28 +15,13 @@ import { cropConfig, getVarietyById } from '../data/cropConfig';
  *   BR: Quick Stats       — summary cards (active, total trays, overdue, ready)
  *
  * Props:
- *   activeBatches  — batches where stage !== 'harvested'
- *   readyBatches   — batches where stage === 'ready'
+ *   activeBatches  — batches not in a terminal stage
+ *   readyBatches   — batches in a harvestable stage
+ *
+ * Stage labels, order and colors come from the farm's stage machines.
  *   loading        — skeleton state
  */
 
-// ── Stage definitions (display order) ────────────────────────────────────────
-const STAGE_META = [
-  { id: 'germination', label: 'Germination', color: 'bg-lime-500',  colorBar: 'bg-lime-400',  text: 'text-lime-400' },
-  { id: 'blackout',    label: 'Blackout',    color: 'bg-gray-500',  colorBar: 'bg-gray-400',  text: 'text-gray-400' },
-  { id: 'seedling',    label: 'Seedling',    color: 'bg-emerald-500', colorBar: 'bg-emerald-400', text: 'text-emerald-400' },
-  { id: 'transplant',  label: 'Transplant',  color: 'bg-teal-500',  colorBar: 'bg-teal-400',  text: 'text-teal-400' },
-  { id: 'inoculation', label: 'Inoculation', color: 'bg-violet-500', colorBar: 'bg-violet-400', text: 'text-violet-400' },
-  { id: 'incubation',  label: 'Incubation',  color: 'bg-purple-500', colorBar: 'bg-purple-400', text: 'text-purple-400' },
-  { id: 'light',       label: 'Under Lights',color: 'bg-yellow-500', colorBar: 'bg-yellow-400', text: 'text-yellow-400' },
-  { id: 'growing',     label: 'Growing',     color: 'bg-green-500', colorBar: 'bg-green-400', text: 'text-green-400' },
-  { id: 'pinning',     label: 'Pinning',     color: 'bg-pink-500',  colorBar: 'bg-pink-400',  text: 'text-pink-400' },
-  { id: 'fruiting',    label: 'Fruiting',    color: 'bg-orange-500', colorBar: 'bg-orange-400', text: 'text-orange-400' },
-  { id: 'ready',       label: 'Ready to Harvest', color: 'bg-red-500', colorBar: 'bg-red-400', text: 'text-red-400' },
-];
-
-const stageColor = Object.fromEntries(STAGE_META.map(s => [s.id, s]));
-
 // ── Helpers ──────────────────────────────────────────────────────────────────
 function daysBetween(a, b) {
   return Math.round((new Date(b) - new Date(a)) / 86400000);
@@ -56,28 +44,30 @@ function formatShortDate(dateStr) {
 
 // ── Component ────────────────────────────────────────────────────────────────
 export default function FarmDashboard({ activeBatches = [], readyBatches = [], loading = false }) {
+  const { machines } = useStageMachines();
 
   // ── Stage funnel data ──
   const stageFunnel = useMemo(() => {
     const counts = {};
     for (const b of activeBatches) {
-      const stage = b.stage || 'germination';
+      const stage = getBatchStage(machines, b);
+      if (!stage) continue;
       const trays = b.trayCount || b.quantity || 0;
-      if (!counts[stage]) counts[stage] = { trays: 0, batches: 0 };
-      counts[stage].trays += trays;
-      counts[stage].batches += 1;
+      if (!counts[stage.id]) counts[stage.id] = { label: stage.label, colorBar: stageStyle(stage).bar, trays: 0, batches: 0 };
+      counts[stage.id].trays += trays;
+      counts[stage.id].batches += 1;
     }
     const maxTrays = Math.max(1, ...Object.values(counts).map(c => c.trays));
-    return STAGE_META
-      .filter(s => counts[s.id])
-      .map(s => ({ ...s, ...counts[s.id], pct: (counts[s.id].trays / maxTrays) * 100 }));
-  }, [activeBatches]);
+    return getStageOrder(machines)
+      .filter(id => counts[id])
+      .map(id => ({ id, ...counts[id], pct: (counts[id].trays / maxTrays) * 100 }));
+  }, [activeBatches, machines]);
 
   // ── Harvest forecast ──
   const forecast = useMemo(() => {
     const t = today();
     const buckets = {
-      now: [],       // stage === 'ready'
+      now: [],       // in a harvestable stage
       tomorrow: [],  // harvestStart <= tomorrow
       next3: [],     // harvestStart <= +3d
       next7: [],     // harvestStart <= +7d
@@ -88,22 +78,24 @@ export default function FarmDashboard({ activeBatches = [], readyBatches = [], l
       const name = b.varietyName || b.varietyId;
       const entry = { name, trays, unit: b.unit || 'tray', batchId: b.id };
       const hs = b.estimatedHarvestStart;
+      const stage = getBatchStage(machines, b);
+      const growing = !stage?.harvestable && !stage?.terminal;
 
-      if (b.stage === 'ready') {
+      if (stage?.harvestable) {
         buckets.now.push(entry);
       }
-      if (hs && hs <= addDays(t, 1) && b.stage !== 'ready' && b.stage !== 'harvested') {
+      if (hs && hs <= addDays(t, 1) && growing) {
         buckets.tomorrow.push(entry);
       }
-      if (hs && hs <= addDays(t, 3) && b.stage !== 'ready' && b.stage !== 'harvested') {
+      if (hs && hs <= addDays(t, 3) && growing) {
         buckets.next3.push(entry);
       }
-      if (hs && hs <= addDays(t, 7) && b.stage !== 'ready' && b.stage !== 'harvested') {
+      if (hs && hs <= addDays(t, 7) && growing) {
         buckets.next7.push(entry);
       }
     }
     return buckets;
-  }, [activeBatches]);
+  }, [activeBatches, machines]);
 
   // ── Batch timeline entries (sorted by sow date) ──
   const timeline = useMemo(() => {
@@ -121,7 +113,7 @@ export default function FarmDashboard({ activeBatches = [], readyBatches = [], l
           name: b.varietyName || b.varietyId,
           trays,
           unit: b.unit || 'tray',
-          stage: b.stage,
+          stage: getBatchStage(machines, b),
           sowDate: b.sowDate,
           harvestStart: b.estimatedHarvestStart,
           harvestEnd: b.estimatedHarvestEnd,
@@ -138,14 +130,14 @@ export default function FarmDashboard({ activeBatches = [], readyBatches = [], l
     const maxDate = allDates.reduce((a, b) => a > b ? a : b, addDays(today(), 14));
 
     return { entries, minDate, maxDate };
-  }, [activeBatches]);
+  }, [activeBatches, machines]);
 
   // ── Quick stats ──
   const stats = useMemo(() => {
     const totalTrays = activeBatches.reduce((s, b) => s + (b.trayCount || b.quantity || 0), 0);
     const overdue = activeBatches.filter(b => {
       if (!b.estimatedHarvestStart) return false;
-      return b.estimatedHarvestStart < today() && b.stage !== 'ready';
+      return b.estimatedHarvestStart < today() && !getBatchStage(machines, b)?.harvestable;
     }).length;
     return {
       active: activeBatches.length,
@@ -153,7 +145,7 @@ export default function FarmDashboard({ activeBatches = [], readyBatches = [], l
       ready: readyBatches.length,
       overdue,
     };
-  }, [activeBatches, readyBatches]);
+  }, [activeBatches, readyBatches, machines]);
 
   // ── Skeleton ──
   if (loading) {
@@ -313,7 +305,7 @@ export default function FarmDashboard({ activeBatches = [], readyBatches = [], l
               const barStart = Math.max(0, (daysBetween(timeline.minDate, entry.sowDate) / totalSpan) * 100);
               const barWidth = Math.max(3, (entry.totalDays / totalSpan) * 100);
               const todayPos = (daysBetween(timeline.minDate, today()) / totalSpan) * 100;
-              const stageMeta = stageColor[entry.stage] || stageColor.germination;
+              const stageMeta = { ...stageStyle(entry.stage), label: entry.stage?.label ?? '' };
 
               // Harvest window highlight
               const harvestStartPct = entry.harvestStart ? Math.max(0, (daysBetween(timeline.minDate, entry.harvestStart) / totalSpan) * 100) : null;
@@ -339,12 +331,12 @@ export default function FarmDashboard({ activeBatches = [], readyBatches = [], l
                   <div className="flex-1 relative h-8 bg-gray-100 dark:bg-gray-700 rounded-lg overflow-hidden">
                     {/* Batch bar */}
                     <div
-                      className={`absolute top-1 bottom-1 rounded ${stageMeta.colorBar} opacity-70`}
+                      className={`absolute top-1 bottom-1 rounded ${stageMeta.bar} opacity-70`}
                       style={{ left: `${barStart}%`, width: `${barWidth}%` }}
                     />
                     {/* Progress fill */}
                     <div
-                      className={`absolute top-1 bottom-1 rounded ${stageMeta.color}`}
+                      className={`absolute top-1 bottom-1 rounded ${stageMeta.solid}`}
                       style={{ left: `${barStart}%`, width: `${barWidth * (entry.pct / 100)}%` }}
                     />
                     {/* Harvest window stripe */}
@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import { cropConfig } from '../data/cropConfig';
+import { PLANNED_STAGE } from '../data/stageMachine';
+import { validateGrowSpace, zoneSlots } from '../data/growSpace';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { saveGrowSpace } from '../services/growSpaceService';
+
+/**
+ * GrowSpaceSettings — zones, racks and shelves (Settings → Production).
+ *
+ * Each zone holds one crop category's batches during the stages ticked for
+ * it. Sowing recommendations and harvest plans keep within these slots.
+ */
+
+const newId = (prefix) => `${prefix}_${Math.random().toString(36).slice(2, 8)}`;
+
+const newRack = (n) => ({ id: newId('rack'), name: `Rack ${n}`, shelves: 5, traysPerShelf: 4 });
+
+export default function GrowSpaceSettings({ farmId, user, role }) {
+  const { machines } = useStageMachines();
+  const { layout } = useGrowSpace();
+  const [zones, setZones] = useState(() => structuredClone(layout.zones));
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const isAdmin = role === 'admin';
+
+  useEffect(() => { setZones(structuredClone(layout.zones)); }, [layout]);
+
+  const errors = validateGrowSpace({ zones }, machines);
+  const totalSlots = zones.reduce((sum, z) => sum + zoneSlots(z), 0);
+
+  const updateZone = (zoneId, patch) => setZones((zs) => zs.map((z) => (z.id === zoneId ? { ...z, ...patch } : z)));
+  const updateRack = (zone, rackId, patch) => updateZone(zone.id, { racks: zone.racks.map((r) => (r.id === rackId ? { ...r, ...patch } : r)) });
+  const toggleStage = (zone, stageId) => updateZone(zone.id, {
+    stages: zone.stages.includes(stageId) ? zone.stages.filter((id) => id !== stageId) : [...zone.stages, stageId],
+  });
+
+  const addZone = () => setZones((zs) => [...zs, {
+    id: newId('zone'),
+    name: `Zone ${zs.length + 1}`,
+    category: 'microgreens',
+    stages: [],
+    racks: [newRack(1)],
+  }]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveGrowSpace(farmId, { zones }, machines, user?.uid);
+      setMsg({ ok: true, text: 'Grow space saved' });
+    } catch (err) {
+      setMsg({ ok: false, text: err.message });
+    }
+    setSaving(false);
+    setTimeout(() => setMsg(null), 3000);
+  };
+
+  const inputCls = 'px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5 space-y-4">
+      <div>
+        <h2 className="text-lg font-bold text-gray-800 dark:text-gray-100">Grow Space</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Racks and shelves per zone, and which stages each zone holds. Sowing recommendations stay within free slots.
+          {zones.length > 0 && ` ${totalSlots} slots in total.`}
+        </p>
+      </div>
+
+      {zones.length === 0 && (
+        <p className="text-sm text-gray-400 dark:text-gray-500">No zones yet — recommendations ignore shelf space until you add one.</p>
+      )}
+
+      {zones.map((zone) => {
+        const stages = (machines[zone.category]?.stages || []).filter((s) => s.id !== PLANNED_STAGE && !s.terminal);
+        return (
+          <div key={zone.id} className="rounded-xl border border-gray-100 dark:border-gray-700 p-3 space-y-2">
+            <div className="flex items-center gap-2 flex-wrap">
+              <input
+                type="text"
+                value={zone.name}
+                onChange={(e) => updateZone(zone.id, { name: e.target.value })}
+                disabled={!isAdmin}
+                className={`${inputCls} flex-1 min-w-[140px]`}
+              />
+              <select
+                value={zone.category}
+                onChange={(e) => updateZone(zone.id, { category: e.target.value, stages: [] })}
+                disabled={!isAdmin}
+                className={inputCls}
+              >
+                {Object.keys(machines).map((cat) => <option key={cat} value={cat}>{cropConfig[cat]?.label || cat}</option>)}
+              </select>
+              <span className="text-xs text-gray-400">{zoneSlots(zone)} {cropConfig[zone.category]?.unit || 'slot'}s</span>
+              {isAdmin && (
+                <button
+                  onClick={() => setZones((zs) => zs.filter((z) => z.id !== zone.id))}
+                  className="text-xs text-red-500 hover:text-red-700 cursor-pointer"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+
+            <div className="flex items-center gap-1.5 flex-wrap text-xs">
+              <span className="text-gray-400 dark:text-gray-500">Stages:</span>
+              {stages.map((s) => (
+                <button
+                  key={s.id}
+                  onClick={() => isAdmin && toggleStage(zone, s.id)}
+                  disabled={!isAdmin}
+                  className={`px-2 py-0.5 rounded-full border cursor-pointer disabled:cursor-default ${
+                    zone.stages.includes(s.id)
+                      ? 'bg-green-50 dark:bg-green-900/30 border-green-300 dark:border-green-700 text-green-700 dark:text-green-300'
+                      : 'border-gray-200 dark:border-gray-600 text-gray-400 dark:text-gray-500'
+                  }`}
+                >
+                  {s.emoji} {s.label}
+                </button>
+              ))}
+            </div>
+
+            <div className="space-y-1.5">
+              {zone.racks.map((rack) => (
+                <div key={rack.id} className="flex items-center gap-2 flex-wrap text-xs text-gray-500 dark:text-gray-400">
+                  <input
+                    type="text"
+                    value={rack.name}
+                    onChange={(e) => updateRack(zone, rack.id, { name: e.target.value })}
+                    disabled={!isAdmin}
+                    className={`${inputCls} w-28`}
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    value={rack.shelves}
+                    onChange={(e) => updateRack(zone, rack.id, { shelves: parseInt(e.target.value) || 0 })}
+                    disabled={!isAdmin}
+                    className={`${inputCls} w-16`}
+                  />
+                  shelves ×
+                  <input
+                    type="number"
+                    min="1"
+                    value={rack.traysPerShelf}
+                    onChange={(e) => updateRack(zone, rack.id, { traysPerShelf: parseInt(e.target.value) || 0 })}
+                    disabled={!isAdmin}
+                    className={`${inputCls} w-16`}
+                  />
+                  per shelf
+                  {isAdmin && zone.racks.length > 1 && (
+                    <button
+                      onClick={() => updateZone(zone.id, { racks: zone.racks.filter((r) => r.id !== rack.id) })}
+                      className="text-red-400 hover:text-red-600 cursor-pointer"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              ))}
+              {isAdmin && (
+                <button
+                  onClick={() => updateZone(zone.id, { racks: [...zone.racks, newRack(zone.racks.length + 1)] })}
+                  className="text-xs font-semibold text-green-600 hover:text-green-700 cursor-pointer"
+                >
+                  + Add rack
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 dark:text-red-400 list-disc pl-5">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+      {msg && (
+        <p className={`text-xs font-semibold ${msg.ok ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          {msg.text}
+        </p>
+      )}
+
+      {isAdmin && (
+        <div className="flex gap-2">
+          <button
+            onClick={addZone}
+            className="px-4 py-2.5 rounded-xl bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-semibold text-sm cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            + Add Zone
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || errors.length > 0}
+            className="px-6 py-2.5 rounded-xl bg-green-600 hover:bg-green-700 text-white font-bold text-sm transition-colors cursor-pointer disabled:bg-gray-300"
+          >
+            {saving ? 'Saving...' : 'Save Grow Space'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,16 +1,14 @@
 import { useNavigate } from 'react-router-dom';
 import { cropConfig, getVarietyById } from '../data/cropConfig';
+import {
+  getBatchStage,
+  getBatchStageId,
+  getStageLabel,
+  getStageOrder,
+} from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
 import { GrowthTrackerSkeleton } from './ui/Skeletons';
 
-// Canonical display order across all crop categories (harvested excluded)
-const STAGE_ORDER = [
-  'germination', 'inoculation',
-  'blackout', 'incubation',
-  'seedling', 'transplant',
-  'light', 'growing', 'pinning',
-  'fruiting', 'ready',
-];
-
 const CATEGORY_BADGE = {
   microgreens: 'bg-green-100 dark:bg-green-900/40 border-green-300 dark:border-green-700 text-green-800 dark:text-green-200',
   leafyGreens: 'bg-teal-100 dark:bg-teal-900/40 border-teal-300 dark:border-teal-700 text-teal-800 dark:text-teal-200',
@@ -25,23 +23,19 @@ const CATEGORY_BAR = {
   mushrooms: 'bg-amber-500',
 };
 
-function stageLabelFor(cropCategory, stageId) {
-  const stages = cropConfig[cropCategory]?.stages || [];
-  return stages.find((s) => s.id === stageId)?.label || stageId;
-}
-
 function daysSince(dateStr) {
   const diff = Date.now() - new Date(dateStr).getTime();
   return Math.max(0, Math.floor(diff / 86_400_000));
 }
 
-function BatchCard({ batch, onAdvance }) {
+function BatchCard({ batch, machines, onAdvance }) {
+  const stage = getBatchStage(machines, batch);
   const variety = getVarietyById(batch.varietyId);
   const growDays = variety?.growDays ?? 10;
   const days = daysSince(batch.sowDate);
   const progress = Math.min(100, Math.round((days / growDays) * 100));
   const daysLeft = Math.max(0, growDays - days);
-  const isReady = batch.stage === 'ready';
+  const isReady = !!stage?.harvestable;
 
   return (
     <div className={`rounded-xl border-2 p-4 ${isReady ? 'bg-green-50 dark:bg-green-900/30 border-green-400 dark:border-green-600' : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700'}`}>
@@ -59,7 +53,7 @@ function BatchCard({ batch, onAdvance }) {
       {/* Progress */}
       <div className="mb-3">
         <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
-          <span>{stageLabelFor(batch.cropCategory, batch.stage)}</span>
+          <span>{stage?.label ?? batch.stage}</span>
           <span>{isReady ? '✅ Ready!' : `${daysLeft}d left`}</span>
         </div>
         <div className="h-2 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
@@ -121,15 +115,17 @@ function Header({ activeBatches, readyCount, navigate }) {
 
 export default function GrowthTracker({ activeBatches = [], readyBatches = [], onAdvanceStage, loading = false }) {
   const navigate = useNavigate();
+  const { machines } = useStageMachines();
   if (loading) return <GrowthTrackerSkeleton />;
 
-  // Group active batches by stage
+  // Group active batches by stage, in the stage machines' display order
   const grouped = {};
   activeBatches.forEach((b) => {
-    if (!grouped[b.stage]) grouped[b.stage] = [];
-    grouped[b.stage].push(b);
+    const stageId = getBatchStageId(machines, b);
+    if (!grouped[stageId]) grouped[stageId] = [];
+    grouped[stageId].push(b);
   });
-  const stagesInUse = STAGE_ORDER.filter((s) => grouped[s]?.length > 0);
+  const stagesInUse = getStageOrder(machines).filter((s) => grouped[s]?.length > 0);
 
   if (activeBatches.length === 0) {
     return (
@@ -157,12 +153,13 @@ export default function GrowthTracker({ activeBatches = [], readyBatches = [], o
       <div className="space-y-6">
         {stagesInUse.map((stage) => {
           const stageBatches = grouped[stage];
-          const label = stageLabelFor(stageBatches[0].cropCategory, stage);
+          const label = getStageLabel(machines, stageBatches[0].cropCategory, stage);
+          const harvestable = getBatchStage(machines, stageBatches[0])?.harvestable;
           return (
             <section key={stage}>
-              <div className={`flex items-center gap-2 mb-3 ${stage === 'ready' ? 'text-green-700' : 'text-gray-700 dark:text-gray-200'}`}>
+              <div className={`flex items-center gap-2 mb-3 ${harvestable ? 'text-green-700' : 'text-gray-700 dark:text-gray-200'}`}>
                 <h3 className="font-bold text-sm uppercase tracking-wide">
-                  {stage === 'ready' ? '✅ ' : ''}{label}
+                  {harvestable ? '✅ ' : ''}{label}
                 </h3>
                 <span className="bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-xs font-semibold px-2 py-0.5 rounded-full">
                   {stageBatches.length}
@@ -170,7 +167,7 @@ export default function GrowthTracker({ activeBatches = [], readyBatches = [], o
               </div>
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
                 {stageBatches.map((batch) => (
-                  <BatchCard key={batch.id} batch={batch} onAdvance={onAdvanceStage} />
+                  <BatchCard key={batch.id} batch={batch} machines={machines} onAdvance={onAdvanceStage} />
                 ))}
               </div>
             </section>
@@ -0,0 +1,128 @@
+/**
+ * HarvestPlanChanges.jsx — Pending harvest plan changes awaiting approval.
+ *
+ * When orders change after a delivery date's sowing entries and crew tasks
+ * were created, the server stores the difference instead of touching the
+ * tasks. This panel lists those diffs per date — trays to add, quantities
+ * that changed, tasks to cancel — and lets a manager approve or dismiss them.
+ *
+ * Rendered at the top of SowingSchedule. Renders nothing when there are no
+ * pending changes.
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  subscribePendingHarvestPlans,
+  approveHarvestPlan,
+  dismissHarvestPlan,
+} from '../services/harvestPlanningService';
+
+const CHANGE_STYLE = {
+  add:    'text-green-700 dark:text-green-400',
+  update: 'text-amber-700 dark:text-amber-400',
+  cancel: 'text-red-600 dark:text-red-400 line-through',
+};
+
+function describeChange(c) {
+  if (c.change === 'add') return `+${c.toTrays} trays`;
+  if (c.change === 'cancel') return `${c.fromTrays} trays → cancel`;
+  return c.fromTrays === c.toTrays ? 'dates / orders changed' : `${c.fromTrays} → ${c.toTrays} trays`;
+}
+
+function formatDate(dateStr) {
+  return new Date(dateStr + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+export default function HarvestPlanChanges({ farmId, canApprove = false }) {
+  const [plans, setPlans] = useState([]);
+  const [busy, setBusy] = useState(null); // deliveryDate being approved/dismissed
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmId) return;
+    return subscribePendingHarvestPlans(farmId, setPlans, (err) => {
+      console.error('Harvest plan subscription error:', err);
+    });
+  }, [farmId]);
+
+  if (plans.length === 0) return null;
+
+  const review = async (plan, approve) => {
+    setBusy(plan.deliveryDate);
+    setError(null);
+    try {
+      await (approve ? approveHarvestPlan : dismissHarvestPlan)(plan.deliveryDate, plan.version);
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(null);
+  };
+
+  return (
+    <div className="mb-5 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 rounded-2xl p-4">
+      <h3 className="font-bold text-amber-800 dark:text-amber-300 text-sm">
+        ⏳ Harvest plan changes awaiting approval
+      </h3>
+      <p className="text-xs text-amber-700 dark:text-amber-400 mb-3">
+        Orders changed after production tasks were created. Nothing changes until a manager approves.
+      </p>
+      {error && <p className="text-xs text-red-600 dark:text-red-400 mb-2">{error}</p>}
+
+      <div className="space-y-3">
+        {plans.map((plan) => {
+          const diff = plan.pendingDiff || { crops: [], ops: [], locked: [] };
+          return (
+            <div key={plan.id} className="bg-white dark:bg-gray-800 rounded-xl border border-amber-100 dark:border-gray-700 p-3">
+              <div className="flex items-center justify-between gap-2 mb-2">
+                <p className="font-semibold text-gray-800 dark:text-gray-100 text-sm">
+                  Delivery {formatDate(plan.deliveryDate)}
+                  <span className="ml-2 text-xs font-normal text-gray-400">v{plan.appliedVersion || '—'} → v{plan.version}</span>
+                </p>
+                <span className="text-xs text-gray-400">{diff.ops.length} task change{diff.ops.length !== 1 ? 's' : ''}</span>
+              </div>
+
+              <ul className="space-y-1 mb-2">
+                {diff.crops.map((c) => (
+                  <li key={c.cropId} className="flex justify-between text-sm">
+                    <span className="text-gray-700 dark:text-gray-200">{c.cropName || c.cropId}</span>
+                    <span className={`font-semibold ${CHANGE_STYLE[c.change]}`}>{describeChange(c)}</span>
+                  </li>
+                ))}
+                {diff.crops.length === 0 && (
+                  <li className="text-xs text-gray-500 dark:text-gray-400">Task titles or linked orders changed.</li>
+                )}
+              </ul>
+
+              {diff.locked.length > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                  🔒 Already in progress, left as is: {diff.locked.map((l) => l.title).join(', ')}
+                </p>
+              )}
+
+              {canApprove ? (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => review(plan, true)}
+                    disabled={busy === plan.deliveryDate}
+                    className="flex-1 py-2 bg-green-600 text-white font-bold rounded-xl text-sm hover:bg-green-700 disabled:opacity-50 cursor-pointer transition-colors"
+                  >
+                    {busy === plan.deliveryDate ? 'Saving…' : '✓ Approve'}
+                  </button>
+                  <button
+                    onClick={() => review(plan, false)}
+                    disabled={busy === plan.deliveryDate}
+                    className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 font-semibold rounded-xl text-sm hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 cursor-pointer"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              ) : (
+                <p className="text-xs text-gray-400">A manager needs to approve these changes.</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
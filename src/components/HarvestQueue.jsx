@@ -2,21 +2,10 @@ import { useState, useMemo, useCallback, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { saveHarvestChecklist, loadHarvestChecklist } from '../services/orderService';
 import { HarvestQueueSkeleton } from './ui/Skeletons';
-
-// ── Yield per tray (oz) — hardcoded reference ──────────────────────────────
-
-const YIELD_PER_TRAY = {
-  'Sunflower':   16,
-  'Pea Shoots':  16,
-  'Radish':      11,
-  'Broccoli':    6.5,
-  'Basil':       3.5,
-  'Cilantro':    5,
-  'Kale':        8,
-  'Arugula':     10,
-};
-
-const DEFAULT_YIELD = 8; // fallback oz/tray for unknown products
+import UnmappedProductsBanner from './ui/UnmappedProductsBanner';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { useProductMappings } from '../hooks/useProductMappings';
+import { expandLineItem } from '../data/productMapping';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -37,33 +26,44 @@ function relativeDay(dateStr) {
 
 /**
  * Aggregate order line items by product for a set of orders.
- * Returns sorted array: [{ product, totalOz, yieldPerTray, traysNeeded, orders[] }]
+ * Products resolve to crops through the product mapping index and yield per
+ * tray comes from the farm's yield resolver; unmapped products get no tray
+ * count and are flagged.
+ * Returns sorted array: [{ product, totalOz, unmapped, crops[], yieldPerTray,
+ *   yieldSourceLabel, traysNeeded, orders[] }]
  */
-function aggregateByProduct(orders) {
+function aggregateByProduct(orders, mappingIndex, resolveYield) {
   const map = {};
   for (const o of orders) {
     for (const item of (o.items || [])) {
-      const name = item.name || item.title || item.productName || 'Unknown';
-      const qty = Number(item.quantity || item.qty || 0);
+      const line = expandLineItem(mappingIndex, item);
+      const name = line.name;
       if (!map[name]) {
-        map[name] = { product: name, totalOz: 0, orders: new Set() };
+        map[name] = { product: name, totalOz: 0, unmapped: !line.mapped, cropOz: {}, orders: new Set() };
       }
-      map[name].totalOz += qty;
+      map[name].totalOz += line.oz;
+      for (const c of line.crops) map[name].cropOz[c.cropId] = (map[name].cropOz[c.cropId] || 0) + c.oz;
       map[name].orders.add(o.customerName || o.customerId || 'Unknown');
     }
   }
   return Object.values(map)
-    .map(p => {
-      const yieldPerTray = YIELD_PER_TRAY[p.product] || DEFAULT_YIELD;
-      const traysNeeded = Math.ceil((p.totalOz / yieldPerTray) * 1.15); // 15% buffer
+    .map(({ cropOz, ...p }) => {
+      const crops = Object.entries(cropOz).map(([cropId, oz]) => {
+        const { yieldPerTray, sourceLabel, cropName } = resolveYield({ cropId });
+        const traysNeeded = Math.ceil((oz / yieldPerTray) * 1.15); // 15% buffer
+        return { cropId, cropName, oz, yieldPerTray, yieldSourceLabel: sourceLabel, traysNeeded };
+      });
+      const single = crops.length === 1 ? crops[0] : null;
       return {
         ...p,
-        yieldPerTray,
-        traysNeeded,
+        crops,
+        yieldPerTray: single?.yieldPerTray ?? null,
+        yieldSourceLabel: single?.yieldSourceLabel ?? null,
+        traysNeeded: p.unmapped ? null : crops.reduce((s, c) => s + c.traysNeeded, 0),
         orders: [...p.orders],
       };
     })
-    .sort((a, b) => b.traysNeeded - a.traysNeeded);
+    .sort((a, b) => (b.traysNeeded ?? Infinity) - (a.traysNeeded ?? Infinity));
 }
 
 function groupByDate(orders) {
@@ -98,10 +98,24 @@ function ProductRow({ item, checked, onToggle }) {
       <div className="flex items-center gap-3 shrink-0 text-right">
         <div>
           <p className="text-sm font-bold text-gray-700 dark:text-gray-200">{item.totalOz} oz</p>
-          <p className="text-[10px] text-gray-400">{item.yieldPerTray} oz/tray</p>
+          {item.unmapped ? (
+            <p className="text-[10px] font-semibold text-amber-600 dark:text-amber-400">⚠️ Not mapped to a crop</p>
+          ) : item.yieldPerTray != null ? (
+            <p className="text-[10px] text-gray-400" title={`Yield source: ${item.yieldSourceLabel}`}>
+              {item.yieldPerTray} oz/tray · {item.yieldSourceLabel}
+            </p>
+          ) : (
+            <p className="text-[10px] text-gray-400 max-w-[180px] truncate" title={`Mix of ${item.crops.length} crops`}>
+              {item.crops.map(c => `${c.cropName} ${Math.round(c.oz * 10) / 10} oz (${c.traysNeeded})`).join(' · ')}
+            </p>
+          )}
         </div>
-        <div className="bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 px-2.5 py-1 rounded-lg text-center min-w-[52px]">
-          <p className="text-sm font-bold">{item.traysNeeded}</p>
+        <div className={`px-2.5 py-1 rounded-lg text-center min-w-[52px] ${
+          item.unmapped
+            ? 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+            : 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+        }`}>
+          <p className="text-sm font-bold">{item.traysNeeded ?? '?'}</p>
           <p className="text-[9px] font-medium">trays</p>
         </div>
       </div>
@@ -114,7 +128,7 @@ function ProductRow({ item, checked, onToggle }) {
 function DateGroup({ date, orders, products, checkedItems, onToggle, onMarkAll, marking }) {
   const checkedCount = products.filter(p => checkedItems[p.product]).length;
   const allChecked = products.length > 0 && checkedCount === products.length;
-  const totalTrays = products.reduce((s, p) => s + p.traysNeeded, 0);
+  const totalTrays = products.reduce((s, p) => s + (p.traysNeeded || 0), 0);
 
   return (
     <div className="mb-6">
@@ -190,6 +204,8 @@ export default function HarvestQueue({ farmId, orders = [], loading = false }) {
   const [checkedItems, setCheckedItems] = useState({}); // { date: { product: bool } }
   const [marking, setMarking] = useState(false);
   const [datePickerOpen, setDatePickerOpen] = useState(false);
+  const { resolveYield } = useYieldResolver();
+  const { mappingIndex } = useProductMappings();
 
   if (loading) return <HarvestQueueSkeleton />;
 
@@ -242,7 +258,7 @@ export default function HarvestQueue({ farmId, orders = [], loading = false }) {
 
   // Count totals
   const totalProducts = dateGroups.reduce((sum, [, ords]) => {
-    return sum + aggregateByProduct(ords).length;
+    return sum + aggregateByProduct(ords, mappingIndex, resolveYield).length;
   }, 0);
   const totalChecked = Object.values(checkedItems).reduce((sum, dateMap) => {
     return sum + Object.values(dateMap).filter(Boolean).length;
@@ -288,11 +304,18 @@ export default function HarvestQueue({ farmId, orders = [], loading = false }) {
         </div>
       )}
 
+      <UnmappedProductsBanner
+        names={[...new Set(actionableOrders.flatMap(o => (o.items || [])
+          .map(item => expandLineItem(mappingIndex, item))
+          .filter(line => !line.mapped)
+          .map(line => line.name)))]}
+      />
+
       {/* Date groups */}
       {dateGroups
         .filter(([date]) => !selectedDate || date === selectedDate)
         .map(([date, dateOrders]) => {
-          const products = aggregateByProduct(dateOrders);
+          const products = aggregateByProduct(dateOrders, mappingIndex, resolveYield);
           return (
             <DateGroup
               key={date}
@@ -1,10 +1,20 @@
 import { useState, useMemo } from 'react';
 import { queryDemand } from '../utils/demandUtils';
 import { calculateSowingNeeds } from '../utils/sowingUtils';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { useProductMappings } from '../hooks/useProductMappings';
 import { InventorySkeleton } from './ui/Skeletons';
 import SmartImport from './SmartImport';
 import { inventoryImportConfig } from '../data/importConfigs';
 import { importInventory } from '../services/importService';
+import SeedLots from './SeedLots';
+import BillOfMaterials from './BillOfMaterials';
+import PurchaseOrders from './PurchaseOrders';
+import { OPEN_PO_STATUSES } from '../data/purchaseOrders';
+import { projectRunOut, RUN_OUT_HORIZON_DAYS } from '../data/billOfMaterials';
+import { useUpcomingSowings } from '../hooks/useUpcomingSowings';
 
 const CATEGORIES = [
   { id: 'seeds',     label: 'Seeds' },
@@ -15,6 +25,17 @@ const CATEGORIES = [
 
 const today = () => new Date().toISOString().split('T')[0];
 
+const fmtDay = (d) => new Date(`${d}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/** "runs out Nov 3" / "below par Oct 28" line for an item, from projectRunOut. */
+function RunOut({ projection }) {
+  if (!projection) return null;
+  const { runOutDate, belowParDate, usage } = projection;
+  if (runOutDate) return <span className="text-red-500 font-semibold"> · runs out ~{fmtDay(runOutDate)}</span>;
+  if (belowParDate) return <span className="text-amber-600 font-semibold"> · below par ~{fmtDay(belowParDate)}</span>;
+  return <span> · {usage} needed in {RUN_OUT_HORIZON_DAYS}d</span>;
+}
+
 function ItemForm({ item, onSave, onClose }) {
   const [form, setForm] = useState({
     name:            item?.name            || '',
@@ -108,7 +129,9 @@ function ItemForm({ item, onSave, onClose }) {
 
 export default function InventoryAlerts({
   inventory = [], orders = [], activeBatches = [],
-  onAdd, onEdit, onRemove,
+  seedLots = [], vendors = [], batches = [], user, bom = { crops: {} }, purchaseOrders = [],
+  onAdd, onEdit, onRemove, onReceiveLot, onEditLot, onSaveBom,
+  onCreatePurchaseOrders, onEditPurchaseOrder, onRemovePurchaseOrder, onSendPurchaseOrder, onReceivePurchaseOrder,
   loading = false, farmId,
 }) {
   const [tab,    setTab]    = useState('alerts');
@@ -117,8 +140,22 @@ export default function InventoryAlerts({
   const [showImport, setShowImport] = useState(false);
 
   // Cross-reference: find crops needing urgent sowing to warn on seed stock
-  const demandData  = useMemo(() => queryDemand(orders),                            [orders]);
-  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches), [demandData, activeBatches]);
+  const { mappingIndex } = useProductMappings();
+  const { resolveYield } = useYieldResolver();
+  const { layout: growSpace } = useGrowSpace();
+  const { machines } = useStageMachines();
+  const demandData  = useMemo(() => queryDemand(orders, mappingIndex), [orders, mappingIndex]);
+  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches, resolveYield, { layout: growSpace, machines }), [demandData, activeBatches, resolveYield, growSpace, machines]);
+  // When each item runs out at the planned sowing pace (bill of materials × schedule)
+  const { sowings } = useUpcomingSowings(farmId);
+  const runOut = useMemo(
+    () => projectRunOut(inventory, bom, { sowings, activeBatches, today: today() }),
+    [inventory, bom, sowings, activeBatches]
+  );
+  // Item → the open PO it's already on
+  const onOrder = useMemo(() => new Map(purchaseOrders
+    .filter((po) => OPEN_PO_STATUSES.includes(po.status))
+    .flatMap((po) => po.lines.map((l) => [l.itemId, po]))), [purchaseOrders]);
   if (loading) return <InventorySkeleton />;
   const urgentCropNames = sowingNeeds
     .filter((n) => n.urgency !== 'healthy')
@@ -168,6 +205,8 @@ export default function InventoryAlerts({
               Par: {item.parLevel ?? 0} {item.unit} Ã‚Â· Deficit: {deficit.toFixed(1)} {item.unit}
               {item.supplier ? ` Ã‚Â· ${item.supplier}` : ''}
               {item.lastOrderedDate ? ` Ã‚Â· Last ordered: ${item.lastOrderedDate}` : ''}
+              <RunOut projection={runOut.get(item.id)} />
+              {onOrder.has(item.id) && <span className="text-sky-600 font-semibold"> · on {onOrder.get(item.id).poNumber}</span>}
             </p>
           </div>
           <div className="flex gap-1.5 shrink-0">
@@ -204,8 +243,8 @@ export default function InventoryAlerts({
         </div>
       </div>
 
-      <div className="flex gap-2 mb-5">
-        {[{ key: 'alerts', label: `Ã°Å¸Å¡Â¨ Alerts (${alertItems.length})` }, { key: 'all', label: 'Ã°Å¸â€œÂ¦ All Items' }].map((t) => (
+      <div className="flex flex-wrap gap-2 mb-5">
+        {[{ key: 'alerts', label: `Ã°Å¸Å¡Â¨ Alerts (${alertItems.length})` }, { key: 'all', label: 'Ã°Å¸â€œÂ¦ All Items' }, { key: 'lots', label: `🌱 Seed Lots (${seedLots.length})` }, { key: 'bom', label: '🧾 Bill of Materials' }, { key: 'pos', label: `📝 Purchase Orders (${purchaseOrders.filter((po) => OPEN_PO_STATUSES.includes(po.status)).length})` }].map((t) => (
           <button key={t.key} onClick={() => setTab(t.key)}
             className={`px-4 py-2 rounded-xl text-sm font-semibold cursor-pointer transition-all ${tab === t.key ? 'bg-green-600 text-white' : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:border-green-300'}`}>
             {t.label}
@@ -235,6 +274,7 @@ export default function InventoryAlerts({
                       {item.currentQty ?? 0} / {item.parLevel ?? 0} {item.unit}
                       {belowPar && <span className="text-red-500 font-bold ml-1">Ã¢â€ â€œ</span>}
                       {item.category ? ` Ã‚Â· ${CATEGORIES.find(c => c.id === item.category)?.label ?? item.category}` : ''}
+                      <RunOut projection={runOut.get(item.id)} />
                     </p>
                   </div>
                   <div className="flex gap-1.5 shrink-0">
@@ -253,6 +293,39 @@ export default function InventoryAlerts({
         </div>
       )}
 
+      {tab === 'lots' && (
+        <SeedLots
+          farmId={farmId}
+          user={user}
+          lots={seedLots}
+          vendors={vendors}
+          inventory={inventory}
+          batches={batches}
+          orders={orders}
+          onReceive={onReceiveLot}
+          onEdit={onEditLot}
+        />
+      )}
+
+      {tab === 'bom' && (
+        <BillOfMaterials bom={bom} inventory={inventory} user={user} onSave={onSaveBom} />
+      )}
+
+      {tab === 'pos' && (
+        <PurchaseOrders
+          purchaseOrders={purchaseOrders}
+          inventory={inventory}
+          vendors={vendors}
+          runOut={runOut}
+          user={user}
+          onCreateDrafts={onCreatePurchaseOrders}
+          onEdit={onEditPurchaseOrder}
+          onRemove={onRemovePurchaseOrder}
+          onSend={onSendPurchaseOrder}
+          onReceive={onReceivePurchaseOrder}
+        />
+      )}
+
       {modal && (
         <ItemForm
           item={modal.mode === 'edit' ? modal.item : null}
@@ -85,6 +85,7 @@ export default function Layout({ user, role, farmId, onLogout, snarkyContext, on
         { to: '/sowing-calculator',  label: 'Sowing Calculator', icon: '🧮' },
         { to: '/planting-schedule',  label: 'Planting Schedule', icon: '📅' },
         { to: '/batch-tracker',      label: 'Batch Tracker', icon: '📦' },
+        { to: '/rack-map',           label: 'Rack Map', icon: '🗄️' },
         { to: '/production',         label: 'Growth Tracker', icon: '🌿' },
         { to: '/sowing',             label: 'Sowing Schedule', icon: '🌱' },
         { to: '/pipeline',           label: 'Pipeline', icon: '📊' },
@@ -110,8 +111,10 @@ export default function Layout({ user, role, farmId, onLogout, snarkyContext, on
       label: 'Business', icon: '💰', items: [
         { to: '/business/revenue',   label: 'Revenue', icon: '💹' },
         { to: '/business/customers', label: 'Customer Analytics', icon: '👥' },
+        { to: '/business/invoices',  label: 'Invoices', icon: '🧾' },
         { to: '/business/products',  label: 'Product Analytics', icon: '📊' },
         { to: '/business/costs',     label: 'Cost Tracking', icon: '💸' },
+        { to: '/business/losses',    label: 'Loss Analytics', icon: '🥀' },
         { to: '/business/reports',   label: 'BI Reports', icon: '📈' },
         { to: '/budget',             label: 'Budget', icon: '💰' },
         { to: '/inventory',          label: 'Inventory', icon: '📦' },
@@ -124,6 +127,7 @@ export default function Layout({ user, role, farmId, onLogout, snarkyContext, on
         { to: '/admin',    label: 'Team & Roles', icon: '🛡️' },
         { to: '/settings', label: 'Settings', icon: '⚙️' },
         { to: '/shopify-sync', label: 'Shopify Sync', icon: '🔗' },
+        { to: '/product-mappings', label: 'Product Mapping', icon: '🧭' },
         { to: '/alerts', label: 'Alerts', icon: '🔔' },
       ],
     },
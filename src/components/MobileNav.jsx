@@ -44,6 +44,7 @@ const MORE_ADMIN = [
   { group: 'Business', items: [
     { to: '/business/revenue',   label: 'Revenue',    icon: '💹' },
     { to: '/business/customers', label: 'Customers',  icon: '👥' },
+    { to: '/business/invoices',  label: 'Invoices',   icon: '🧾' },
     { to: '/business/products',  label: 'Products',   icon: '📊' },
     { to: '/business/costs',     label: 'Costs',      icon: '💸' },
     { to: '/business/reports',   label: 'BI Reports', icon: '📈' },
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { updateFarmConfig, completeOnboarding, inviteUserToFarm } from '../services/farmService';
 import { addProduct } from '../services/productService';
+import { isPlanLimitError } from '../data/entitlements';
 
 const STEPS = [
   { id: 'brand',    label: 'Branding',  icon: '🎨' },
@@ -50,6 +51,7 @@ export default function OnboardingWizard({ user, farmId, onComplete }) {
   const [inviteEmail, setInviteEmail] = useState('');
   const [inviteRole, setInviteRole] = useState('employee');
   const [invitedList, setInvitedList] = useState([]);
+  const [inviteError, setInviteError] = useState(null);
 
   const goNext = () => { setDir(1); setStep((s) => Math.min(s + 1, STEPS.length - 1)); };
   const goBack = () => { setDir(-1); setStep((s) => Math.max(s - 1, 0)); };
@@ -103,12 +105,14 @@ export default function OnboardingWizard({ user, farmId, onComplete }) {
   const sendInvite = async () => {
     if (!inviteEmail.trim()) return;
     setSaving(true);
+    setInviteError(null);
     try {
       await inviteUserToFarm(farmId, { email: inviteEmail.trim(), role: inviteRole });
       setInvitedList((prev) => [...prev, { email: inviteEmail.trim(), role: inviteRole }]);
       setInviteEmail('');
     } catch (err) {
       console.error('Invite failed:', err);
+      setInviteError(isPlanLimitError(err) ? err.message : 'Failed to send invite');
     }
     setSaving(false);
   };
@@ -187,6 +191,7 @@ export default function OnboardingWizard({ user, farmId, onComplete }) {
                   inviteRole={inviteRole}
                   setInviteRole={setInviteRole}
                   invitedList={invitedList}
+                  inviteError={inviteError}
                   onSendInvite={sendInvite}
                   onNext={goNext}
                   onBack={goBack}
@@ -331,7 +336,7 @@ function StepProducts({ addedProducts, customProduct, setCustomProduct, onLoadSa
 
 // ── Step 3: Team ────────────────────────────────────────────────────
 
-function StepTeam({ inviteEmail, setInviteEmail, inviteRole, setInviteRole, invitedList, onSendInvite, onNext, onBack, saving }) {
+function StepTeam({ inviteEmail, setInviteEmail, inviteRole, setInviteRole, invitedList, inviteError, onSendInvite, onNext, onBack, saving }) {
   return (
     <div className="space-y-5">
       <div>
@@ -385,6 +390,9 @@ function StepTeam({ inviteEmail, setInviteEmail, inviteRole, setInviteRole, invi
         >
           {saving ? 'Sending...' : '📧 Send Invite'}
         </motion.button>
+        {inviteError && (
+          <p className="text-sm text-red-600 dark:text-red-400">🔒 {inviteError}</p>
+        )}
       </div>
 
       <div className="flex gap-3 pt-2">
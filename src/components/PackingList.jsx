@@ -1,6 +1,14 @@
 import { useState, useMemo, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { PackingListSkeleton } from './ui/Skeletons';
+import UnmappedProductsBanner from './ui/UnmappedProductsBanner';
+import { useProductMappings } from '../hooks/useProductMappings';
+import { sumCropOunces, expandLineItem } from '../data/productMapping';
+import { getVarietyById } from '../data/cropConfig';
+import { lineBatchOptions, suggestLineBatches, packedBatchUpdates } from '../data/traceability';
+import { mergeMaterials } from '../data/billOfMaterials';
+import { elapsedMinutes, formatMinutes } from '../data/laborTracking';
+import { useTaskTimers } from '../hooks/useTaskTimers';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -70,30 +78,123 @@ function printAllSlips(customerGroups) {
   win.document.close();
 }
 
+/**
+ * Batches a line is packed from: the packer's pick, else what was recorded
+ * when the order was packed, else the newest harvest of each crop.
+ * Returns cropId → batchId.
+ */
+function linePick(picks, order, line, options) {
+  const key = `${order.id}-${line}`;
+  if (picks[key]) return picks[key];
+  const recorded = order.packedBatches?.find(l => l.line === line);
+  if (recorded) {
+    return Object.fromEntries(options
+      .map(o => [o.cropId, o.batches.find(b => recorded.batchIds.includes(b.id))?.id])
+      .filter(([, id]) => id));
+  }
+  return suggestLineBatches(options);
+}
+
+const batchLabel = (b) => `${String(b.harvestedAt).slice(5, 10)} · ${b.seedLot ? `lot ${b.seedLot}` : `#${b.id.slice(-4)}`}`;
+
 // ── LineItem checkbox row ───────────────────────────────────────────────────
 
-function PackItem({ item, checked, onToggle }) {
+/** Which harvested batch filled each crop of a line — one select per crop. */
+function LineBatchPicker({ options, pick, onPick, disabled }) {
+  if (options.length === 0) return null;
   return (
-    <label className="flex items-center gap-3 px-4 py-2.5 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors cursor-pointer select-none">
-      <input
-        type="checkbox"
-        checked={checked}
-        onChange={onToggle}
-        className="w-5 h-5 rounded border-gray-300 dark:border-gray-600 text-green-600 focus:ring-green-500 cursor-pointer shrink-0"
-      />
-      <span className={`flex-1 text-sm ${checked ? 'line-through text-gray-400 dark:text-gray-500' : 'text-gray-700 dark:text-gray-200'}`}>
-        {item.quantity || item.qty || 0}× {item.name || item.title || item.productName || 'Unknown'}
-      </span>
-      {item.unit && (
-        <span className="text-xs text-gray-400 dark:text-gray-500 shrink-0">{item.unit}</span>
-      )}
-    </label>
+    <div className="flex flex-wrap gap-1.5 pl-12 pr-4 pb-2">
+      {options.map(o => (
+        <select
+          key={o.cropId}
+          value={pick[o.cropId] || ''}
+          onChange={(e) => onPick({ ...pick, [o.cropId]: e.target.value })}
+          disabled={disabled}
+          className="text-[11px] px-2 py-1 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 cursor-pointer disabled:opacity-70"
+        >
+          <option value="">{options.length > 1 ? `${getVarietyById(o.cropId)?.name || o.cropId}: ` : ''}No batch recorded</option>
+          {o.batches.map(b => (
+            <option key={b.id} value={b.id}>
+              {options.length > 1 ? `${getVarietyById(o.cropId)?.name || o.cropId}: ` : 'Batch '}{batchLabel(b)}
+            </option>
+          ))}
+        </select>
+      ))}
+    </div>
+  );
+}
+
+function PackItem({ item, checked, onToggle, batchPicker }) {
+  return (
+    <div>
+      <label className="flex items-center gap-3 px-4 py-2.5 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors cursor-pointer select-none">
+        <input
+          type="checkbox"
+          checked={checked}
+          onChange={onToggle}
+          className="w-5 h-5 rounded border-gray-300 dark:border-gray-600 text-green-600 focus:ring-green-500 cursor-pointer shrink-0"
+        />
+        <span className={`flex-1 text-sm ${checked ? 'line-through text-gray-400 dark:text-gray-500' : 'text-gray-700 dark:text-gray-200'}`}>
+          {item.quantity || item.qty || 0}× {item.name || item.title || item.productName || 'Unknown'}
+        </span>
+        {item.unit && (
+          <span className="text-xs text-gray-400 dark:text-gray-500 shrink-0">{item.unit}</span>
+        )}
+      </label>
+      {batchPicker}
+    </div>
+  );
+}
+
+// ── Harvest totals (per crop, mixes exploded) ───────────────────────────────
+
+function HarvestTotals({ orders }) {
+  const { mappingIndex } = useProductMappings();
+  const [open, setOpen] = useState(true);
+  const { crops, unmapped } = useMemo(() => sumCropOunces(mappingIndex, orders), [mappingIndex, orders]);
+  const rows = [...crops].sort((a, b) => b.oz - a.oz);
+  const totalOz = rows.reduce((s, c) => s + c.oz, 0);
+
+  if (rows.length === 0 && unmapped.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+        <button
+          onClick={() => setOpen(o => !o)}
+          className="w-full px-4 py-3 flex items-center justify-between cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+        >
+          <span className="font-semibold text-sm text-gray-800 dark:text-gray-100">🌾 Harvest totals</span>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {rows.length} crop{rows.length !== 1 ? 's' : ''} · {Math.round(totalOz * 10) / 10} oz {open ? '▲' : '▼'}
+          </span>
+        </button>
+        {open && rows.length > 0 && (
+          <div className="divide-y divide-gray-50 dark:divide-gray-800 border-t border-gray-100 dark:border-gray-700">
+            {rows.map(c => (
+              <div key={c.cropId} className="flex items-center justify-between px-4 py-2 text-sm">
+                <div className="min-w-0">
+                  <p className="text-gray-700 dark:text-gray-200">{getVarietyById(c.cropId)?.name || c.cropId}</p>
+                  {c.mixOz > 0 && (
+                    <p className="text-xs text-gray-400 dark:text-gray-500 truncate">
+                      {Math.round(c.mixOz * 10) / 10} oz for {c.mixes.join(', ')}
+                    </p>
+                  )}
+                </div>
+                <span className="font-semibold text-gray-800 dark:text-gray-100 shrink-0">{Math.round(c.oz * 10) / 10} oz</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <UnmappedProductsBanner names={unmapped.map(u => u.name)} className="mt-2" />
+    </div>
   );
 }
 
 // ── Customer packing card (collapsible) ─────────────────────────────────────
 
-function CustomerCard({ group, checkedItems, onToggleItem, onMarkCustomerPacked, expanded, onToggleExpand, advancing }) {
+function CustomerCard({ group, checkedItems, onToggleItem, onMarkCustomerPacked, expanded, onToggleExpand, advancing, lineOptions, picks, onPick, timer }) {
   const allItemKeys = group.orders.flatMap(o =>
     (o.items || []).map((_, i) => `${o.id}-${i}`)
   );
@@ -186,12 +287,21 @@ function CustomerCard({ group, checkedItems, onToggleItem, onMarkCustomerPacked,
                 <div className="divide-y divide-gray-50 dark:divide-gray-800">
                   {(order.items || []).map((item, i) => {
                     const key = `${order.id}-${i}`;
+                    const options = lineOptions.get(key) || [];
                     return (
                       <PackItem
                         key={key}
                         item={item}
                         checked={!!checkedItems[key]}
                         onToggle={() => onToggleItem(key)}
+                        batchPicker={
+                          <LineBatchPicker
+                            options={options}
+                            pick={linePick(picks, order, i, options)}
+                            onPick={(pick) => onPick(key, pick)}
+                            disabled={order.status !== 'harvesting'}
+                          />
+                        }
                       />
                     );
                   })}
@@ -199,6 +309,22 @@ function CustomerCard({ group, checkedItems, onToggleItem, onMarkCustomerPacked,
               </div>
             ))}
 
+            {/* Packing timer — its time is logged against the orders when they're marked packed */}
+            {hasHarvestingOrders && timer && (
+              <div className="px-4 py-2 border-t border-gray-100 dark:border-gray-700 text-xs print:hidden">
+                {timer.running ? (
+                  <span className="flex items-center gap-3">
+                    <span className="font-semibold text-violet-600 dark:text-violet-400">⏱ Packing {formatMinutes(timer.minutes)}</span>
+                    <button onClick={timer.onCancel} className="text-gray-400 hover:underline cursor-pointer">Cancel</button>
+                  </span>
+                ) : (
+                  <button onClick={timer.onStart} className="font-semibold text-gray-500 dark:text-gray-400 hover:text-violet-600 cursor-pointer">
+                    ⏱ Start packing timer
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Per-customer Mark Packed */}
             {hasHarvestingOrders && !allChecked && (
               <div className="px-4 py-2 border-t border-gray-100 dark:border-gray-700 print:hidden">
@@ -237,13 +363,29 @@ function CustomerCard({ group, checkedItems, onToggleItem, onMarkCustomerPacked,
 
 // ── Main Component ──────────────────────────────────────────────────────────
 
-export default function PackingList({ orders = [], onAdvanceStatus, loading = false }) {
+/**
+ * PackingList — pack the day's orders per customer.
+ *
+ * Each line records which harvested batch(es) filled it; marking an order
+ * packed saves that on the order (packedBatches, data/traceability.js) so a
+ * seed lot recall can find the customers who got it. The packaging the
+ * bill of materials calls for (per oz packed) is recorded on the order as
+ * materials and taken off inventory.
+ *
+ * A customer card's packing timer is logged as pack labor (onLogLabor,
+ * data/laborTracking.js) when its orders are marked packed, split evenly
+ * over the orders and carrying the batches packed into each.
+ */
+export default function PackingList({
+  orders = [], batches = [], onAdvanceStatus, onRecordBatches, materialsFor, onConsume, onLogLabor, user, loading = false,
+}) {
   const [selectedDate, setSelectedDate] = useState(today());
   const [checkedItems, setCheckedItems] = useState({});
   const [advancing, setAdvancing] = useState(false);
   const [expandedCustomers, setExpandedCustomers] = useState({}); // customer → bool
-
-  if (loading) return <PackingListSkeleton />;
+  const [picks, setPicks] = useState({}); // `${orderId}-${line}` → { cropId → batchId }
+  const { mappingIndex } = useProductMappings();
+  const timers = useTaskTimers(user?.uid);
 
   // All orders that have been harvested and are ready for packing, or already packed
   const packableOrders = useMemo(() =>
@@ -267,6 +409,45 @@ export default function PackingList({ orders = [], onAdvanceStatus, loading = fa
 
   const customerGroups = useMemo(() => groupOrdersByCustomer(packableOrders), [packableOrders]);
 
+  // Batches each line can be packed from: `${orderId}-${line}` → [{ cropId, batches }]
+  const lineOptions = useMemo(() => new Map(packableOrders.flatMap(o =>
+    (o.items || []).map((item, i) => [`${o.id}-${i}`, lineBatchOptions(mappingIndex, item, batches, o.requestedDeliveryDate)])
+  )), [packableOrders, mappingIndex, batches]);
+
+  const pickBatches = useCallback((key, pick) => {
+    setPicks(prev => ({ ...prev, [key]: pick }));
+  }, []);
+
+  // Save which batches filled each line and the packaging used, then mark the order packed.
+  // Returns the IDs of the batches packed.
+  const packOrder = useCallback(async (order) => {
+    const byLine = Object.fromEntries((order.items || []).map((_, i) =>
+      [i, linePick(picks, order, i, lineOptions.get(`${order.id}-${i}`) || [])]));
+    const packed = packedBatchUpdates(order, byLine);
+    if (onRecordBatches) {
+      const materials = materialsFor ? mergeMaterials((order.items || []).flatMap(item =>
+        expandLineItem(mappingIndex, item).crops.map(c => materialsFor(c.cropId, 'pack', c.oz)))) : [];
+      await onRecordBatches(order.id, { ...packed, ...(materials.length ? { materials } : {}) });
+      if (materials.length) await onConsume?.(materials);
+    }
+    await onAdvanceStatus(order.id, 'packed');
+    return packed.batchIds;
+  }, [onRecordBatches, onAdvanceStatus, onConsume, materialsFor, mappingIndex, picks, lineOptions]);
+
+  // Pack a customer's orders, logging the card's packing timer against them
+  const packGroup = useCallback(async (group, toPack) => {
+    const timing = timers.stop(`pack-${group.customer}`);
+    const packed = [];
+    for (const o of toPack) {
+      packed.push({ orderId: o.id, batchIds: await packOrder(o) });
+    }
+    if (timing && onLogLabor && packed.length) {
+      const minutes = Math.round((elapsedMinutes(timing.start, timing.end) / packed.length) * 10) / 10;
+      const userName = user?.displayName || user?.email || null;
+      for (const p of packed) await onLogLabor('pack', { ...timing, userName }, { ...p, minutes });
+    }
+  }, [timers, packOrder, onLogLabor, user]);
+
   const toggleItem = useCallback((key) => {
     setCheckedItems(prev => ({ ...prev, [key]: !prev[key] }));
   }, []);
@@ -280,16 +461,13 @@ export default function PackingList({ orders = [], onAdvanceStatus, loading = fa
     if (!onAdvanceStatus) return;
     setAdvancing(true);
     try {
-      const toPack = group.orders.filter(o => o.status === 'harvesting');
-      for (const o of toPack) {
-        await onAdvanceStatus(o.id, 'packed');
-      }
+      await packGroup(group, group.orders.filter(o => o.status === 'harvesting'));
     } catch (err) {
       console.error('Failed to mark customer packed:', err);
     } finally {
       setAdvancing(false);
     }
-  }, [onAdvanceStatus]);
+  }, [onAdvanceStatus, packGroup]);
 
   // Count totals
   const totalItems = packableOrders.reduce((sum, o) => sum + (o.items?.length || 0), 0);
@@ -304,16 +482,17 @@ export default function PackingList({ orders = [], onAdvanceStatus, loading = fa
     if (!onAdvanceStatus) return;
     setAdvancing(true);
     try {
-      const toPack = packableOrders.filter(o => o.status === 'harvesting');
-      for (const o of toPack) {
-        await onAdvanceStatus(o.id, 'packed');
+      for (const group of customerGroups) {
+        await packGroup(group, group.orders.filter(o => o.status === 'harvesting'));
       }
     } catch (err) {
       console.error('Failed to advance orders:', err);
     } finally {
       setAdvancing(false);
     }
-  }, [packableOrders, onAdvanceStatus]);
+  }, [customerGroups, onAdvanceStatus, packGroup]);
+
+  if (loading) return <PackingListSkeleton />;
 
   return (
     <div className="max-w-3xl mx-auto">
@@ -363,6 +542,8 @@ export default function PackingList({ orders = [], onAdvanceStatus, loading = fa
         )}
       </div>
 
+      <HarvestTotals orders={packableOrders} />
+
       {/* Empty state */}
       {customerGroups.length === 0 && (
         <div className="text-center py-20">
@@ -384,6 +565,15 @@ export default function PackingList({ orders = [], onAdvanceStatus, loading = fa
               expanded={expandedCustomers[group.customer] !== false} // default expanded
               onToggleExpand={() => toggleCustomerExpanded(group.customer)}
               advancing={advancing}
+              lineOptions={lineOptions}
+              picks={picks}
+              onPick={pickBatches}
+              timer={onLogLabor ? {
+                running:  !!timers.running(`pack-${group.customer}`),
+                minutes:  timers.minutesOf(`pack-${group.customer}`),
+                onStart:  () => timers.start(`pack-${group.customer}`),
+                onCancel: () => timers.cancel(`pack-${group.customer}`),
+              } : null}
             />
           </motion.div>
         ))}
@@ -1,27 +1,22 @@
 import { useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { PipelineSkeleton } from './ui/Skeletons';
-import { cropConfig } from '../data/cropConfig';
 import { queryDemand } from '../utils/demandUtils';
 import { calculateSowingNeeds } from '../utils/sowingUtils';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { useProductMappings } from '../hooks/useProductMappings';
 import { getBatchesNeedingStageAdvance } from '../utils/pipelineUtils';
-
-const STAGE_ORDER = [
-  'germination', 'inoculation', 'blackout', 'incubation',
-  'seedling', 'transplant', 'light', 'growing', 'pinning', 'fruiting', 'ready',
-];
-
-const FIRST_STAGES = new Set(
-  Object.values(cropConfig).map(cat => cat.stages[0]?.id).filter(Boolean)
-);
-
-function stageLabelFor(stageId) {
-  for (const cat of Object.values(cropConfig)) {
-    const s = cat.stages.find(s => s.id === stageId);
-    if (s) return s.label;
-  }
-  return stageId;
-}
+import {
+  getBatchStage,
+  getSowStageIds,
+  getStageLabel,
+  getStageOrder,
+  isHarvestableStage,
+  isTerminalStage,
+  normalizeStageId,
+} from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
 
 /**
  * PipelineDashboard — admin view of the full production pipeline.
@@ -37,28 +32,35 @@ function stageLabelFor(stageId) {
 export default function PipelineDashboard({ batches = [], orders = [], loading = false }) {
   const navigate  = useNavigate();
   const todayStr  = useMemo(() => new Date().toISOString().split('T')[0], []);
-  const activeBatches = useMemo(() => batches.filter(b => b.stage !== 'harvested'), [batches]);
+  const { machines } = useStageMachines();
+  const sowStages     = useMemo(() => getSowStageIds(machines), [machines]);
+  const activeBatches = useMemo(() => batches.filter(b => !isTerminalStage(machines, b)), [batches, machines]);
 
   // ── Summary cards ──────────────────────────────────────────────────────────
   const totalTrays   = useMemo(() => activeBatches.reduce((s, b) => s + (b.trayCount || b.quantity || 0), 0), [activeBatches]);
-  const readyCount   = useMemo(() => activeBatches.filter(b => b.stage === 'ready').length, [activeBatches]);
-  const overdueCount = useMemo(() => getBatchesNeedingStageAdvance(activeBatches).filter(i => i.isOverdue).length, [activeBatches]);
+  const readyCount   = useMemo(() => activeBatches.filter(b => isHarvestableStage(machines, b)).length, [activeBatches, machines]);
+  const overdueCount = useMemo(() => getBatchesNeedingStageAdvance(activeBatches, machines).filter(i => i.isOverdue).length, [activeBatches, machines]);
 
   // ── Pipeline funnel ────────────────────────────────────────────────────────
   const stageData = useMemo(() => {
     const map = {};
     activeBatches.forEach(b => {
-      if (!map[b.stage]) map[b.stage] = { count: 0, trays: 0 };
-      map[b.stage].count++;
-      map[b.stage].trays += b.trayCount || b.quantity || 0;
+      const stage = getBatchStage(machines, b);
+      if (!stage) return;
+      if (!map[stage.id]) map[stage.id] = { count: 0, trays: 0, harvestable: !!stage.harvestable };
+      map[stage.id].count++;
+      map[stage.id].trays += b.trayCount || b.quantity || 0;
     });
-    return STAGE_ORDER.filter(s => map[s]).map(s => ({ stage: s, ...map[s] }));
-  }, [activeBatches]);
+    return getStageOrder(machines).filter(s => map[s]).map(s => ({ stage: s, ...map[s] }));
+  }, [activeBatches, machines]);
   const maxTrays = Math.max(1, ...stageData.map(s => s.trays));
 
   // ── Per-crop supply + demand ───────────────────────────────────────────────
-  const demandData  = useMemo(() => queryDemand(orders), [orders]);
-  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches), [demandData, activeBatches]);
+  const { mappingIndex } = useProductMappings();
+  const { resolveYield } = useYieldResolver();
+  const { layout: growSpace } = useGrowSpace();
+  const demandData  = useMemo(() => queryDemand(orders, mappingIndex), [orders, mappingIndex]);
+  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches, resolveYield, { layout: growSpace, machines }), [demandData, activeBatches, resolveYield, growSpace, machines]);
 
   // ── Crew activity today ────────────────────────────────────────────────────
   const todayActivity = useMemo(() => {
@@ -67,7 +69,7 @@ export default function PipelineDashboard({ batches = [], orders = [], loading =
       (b.stageHistory || []).forEach(h => {
         if (h.enteredAt?.startsWith(todayStr)) {
           entries.push({
-            stage:       h.stage,
+            stage:       normalizeStageId(machines, b.cropCategory, h.stage) || h.stage,
             enteredAt:   h.enteredAt,
             confirmedBy: h.confirmedBy,
             varietyName: b.varietyName || b.varietyId || 'Batch',
@@ -77,10 +79,10 @@ export default function PipelineDashboard({ batches = [], orders = [], loading =
       });
     });
     return entries.sort((a, b) => b.enteredAt.localeCompare(a.enteredAt));
-  }, [batches, todayStr]);
+  }, [batches, todayStr, machines]);
 
-  const plantedCount   = todayActivity.filter(e => FIRST_STAGES.has(e.stage)).length;
-  const movedCount     = todayActivity.filter(e => !FIRST_STAGES.has(e.stage) && e.stage !== 'harvested').length;
+  const plantedCount   = todayActivity.filter(e => sowStages.has(e.stage)).length;
+  const movedCount     = todayActivity.filter(e => !sowStages.has(e.stage) && e.stage !== 'harvested').length;
   const harvestedCount = todayActivity.filter(e => e.stage === 'harvested').length;
 
   if (loading) return <PipelineSkeleton />;
@@ -123,9 +125,9 @@ export default function PipelineDashboard({ batches = [], orders = [], loading =
           <p className="text-gray-400 dark:text-gray-500 text-sm text-center py-4">No active batches in pipeline</p>
         ) : (
           <div className="space-y-3">
-            {stageData.map(({ stage, count, trays }) => {
-              const label   = stageLabelFor(stage);
-              const isReady = stage === 'ready';
+            {stageData.map(({ stage, count, trays, harvestable }) => {
+              const label   = getStageLabel(machines, null, stage);
+              const isReady = harvestable;
               const pct     = Math.max(4, Math.round((trays / maxTrays) * 100));
               return (
                 <div key={stage}>
@@ -231,7 +233,7 @@ export default function PipelineDashboard({ batches = [], orders = [], loading =
         ) : (
           <div className="space-y-1.5 max-h-60 overflow-y-auto">
             {todayActivity.map((e, i) => {
-              const isFirst = FIRST_STAGES.has(e.stage);
+              const isFirst = sowStages.has(e.stage);
               const isHarv  = e.stage === 'harvested';
               const clr     = isFirst ? 'text-green-600' : isHarv ? 'text-sky-600' : 'text-amber-600';
               const action  = isFirst ? '🌱 Planted' : isHarv ? '✂️ Harvested' : '🔄 Moved';
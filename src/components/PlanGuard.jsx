@@ -0,0 +1,34 @@
+import { checkEntitlement } from '../data/entitlements';
+import UpgradePrompt from './ui/UpgradePrompt';
+import PageLoader from './ui/PageLoader';
+import ErrorBanner from './ui/ErrorBanner';
+
+/**
+ * PlanGuard — wraps routes whose feature depends on the farm's plan.
+ *
+ * Usage in AppRoutes (inside a RoleGuard):
+ *   <PlanGuard feature="deliveryTracking" entitlements={data.entitlements}
+ *              error={data.entitlementsError} role={role}>
+ *     <DeliveryTracker ... />
+ *   </PlanGuard>
+ *
+ * Demo mode bypasses the check (bypass prop). If the plan couldn't be
+ * loaded (error) it says so instead of waiting on it forever.
+ */
+export default function PlanGuard({ feature, entitlements, error, role, bypass = false, children }) {
+  if (bypass) return children;
+  if (!entitlements) return error ? <ErrorBanner error={error} label="your plan" /> : <PageLoader />;
+
+  const result = checkEntitlement(entitlements, feature);
+  if (!result.allowed) {
+    return (
+      <UpgradePrompt
+        feature={feature}
+        upgradeTo={result.upgradeTo}
+        message={result.message}
+        canManageBilling={role === 'admin'}
+      />
+    );
+  }
+  return children;
+}
@@ -12,6 +12,8 @@
  */
 
 import { useState, useMemo } from 'react';
+import { PLANNED_STAGE, getBatchStage, getStageLabel } from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -66,6 +68,7 @@ const ACTION_TYPES = [
 // ── Day Detail Modal ────────────────────────────────────────────────────────
 
 function DayDetailModal({ date, actions, onClose }) {
+  const { machines } = useStageMachines();
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm" onClick={onClose}>
       <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-md max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
@@ -92,7 +95,7 @@ function DayDetailModal({ date, actions, onClose }) {
                   <p className="text-xs text-gray-500 mt-0.5">{a.batch.soakHours || '?'} hour soak</p>
                 )}
                 <p className="text-[10px] text-gray-400 mt-1">
-                  Stage: {a.batch.stage || '?'} · Delivery: {fmtShort(toDateStr(a.batch.deliveryDate))}
+                  Stage: {a.batch.stage ? getStageLabel(machines, a.batch.cropCategory, a.batch.stage) : '?'} · Delivery: {fmtShort(toDateStr(a.batch.deliveryDate))}
                 </p>
               </div>
             );
@@ -110,6 +113,7 @@ export default function PlantingSchedule({
   cropProfiles = [],
   loading = false,
 }) {
+  const { machines } = useStageMachines();
   const today = todayStr();
   const [startDate, setStartDate] = useState(today);
   const [cropFilter, setCropFilter] = useState('all');
@@ -133,12 +137,12 @@ export default function PlantingSchedule({
       list = list.filter((b) => (b.cropName || b.varietyName) === cropFilter);
     }
     if (stageFilter === 'active') {
-      list = list.filter((b) => b.stage !== 'harvested');
+      list = list.filter((b) => !getBatchStage(machines, b)?.terminal);
     } else if (stageFilter === 'planned') {
-      list = list.filter((b) => b.stage === 'planned');
+      list = list.filter((b) => getBatchStage(machines, b)?.id === PLANNED_STAGE);
     }
     return list;
-  }, [batches, cropFilter, stageFilter]);
+  }, [batches, cropFilter, stageFilter, machines]);
 
   // Build day → actions map
   const dayActions = useMemo(() => {
@@ -0,0 +1,210 @@
+import { useState } from 'react';
+import { PRICING_TIERS, isListActive } from '../data/priceLists';
+
+/**
+ * PriceLists — admin editor for customer price lists, under Products.
+ *
+ * A list applies to a pricing tier (set per customer in CustomerManager)
+ * or to one customer by email, between optional dates, and prices any
+ * subset of products with optional volume breaks. Resolution rules:
+ * data/priceLists.js.
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const inputCls = 'w-full border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 rounded-xl px-3 py-2 text-sm focus:border-green-400 focus:outline-none';
+
+/** "10@4.50, 25@4" ⇄ [{ minQty: 10, price: 4.5 }, …] */
+const formatBreaks = (breaks = []) => breaks.map((b) => `${b.minQty}@${b.price}`).join(', ');
+function parseBreaks(text) {
+  return String(text || '').split(',')
+    .map((part) => part.split('@').map((n) => Number(n.trim())))
+    .filter(([minQty, price]) => Number.isInteger(minQty) && minQty > 1 && price > 0)
+    .map(([minQty, price]) => ({ minQty, price }))
+    .sort((a, b) => a.minQty - b.minQty);
+}
+
+function PriceListModal({ list, products, customerEmails, onSave, onClose }) {
+  const [name, setName] = useState(list?.name || '');
+  const [target, setTarget] = useState(list?.customerEmail ? 'customer' : 'tier');
+  const [tier, setTier] = useState(list?.tier || 'wholesale');
+  const [customerEmail, setCustomerEmail] = useState(list?.customerEmail || '');
+  const [effectiveFrom, setEffectiveFrom] = useState(list?.effectiveFrom || today());
+  const [effectiveTo, setEffectiveTo] = useState(list?.effectiveTo || '');
+  const [rows, setRows] = useState(() => Object.fromEntries((list?.prices || []).map((p) => [
+    p.productId, { price: String(p.price), breaks: formatBreaks(p.breaks) },
+  ])));
+  const [saving, setSaving] = useState(false);
+
+  const setRow = (productId, key, value) =>
+    setRows((prev) => ({ ...prev, [productId]: { price: '', breaks: '', ...prev[productId], [key]: value } }));
+
+  const valid = name.trim() && (target === 'tier' ? tier : customerEmail.includes('@'));
+
+  const save = async () => {
+    if (!valid) return;
+    setSaving(true);
+    try {
+      await onSave({
+        name: name.trim(),
+        tier: target === 'tier' ? tier : null,
+        customerEmail: target === 'customer' ? customerEmail.toLowerCase().trim() : null,
+        effectiveFrom: effectiveFrom || null,
+        effectiveTo: effectiveTo || null,
+        prices: Object.entries(rows)
+          .filter(([, r]) => Number(r.price) > 0)
+          .map(([productId, r]) => ({ productId, price: Number(r.price), breaks: parseBreaks(r.breaks) })),
+      });
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-2xl shadow-2xl p-6 space-y-4 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">{list ? 'Edit price list' : 'New price list'}</h3>
+
+        <input placeholder="Name, e.g. Wholesale 2026" value={name} onChange={(e) => setName(e.target.value)} className={inputCls} />
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Applies to</span>
+            <select value={target} onChange={(e) => setTarget(e.target.value)} className={inputCls}>
+              <option value="tier">A pricing tier</option>
+              <option value="customer">One customer (override)</option>
+            </select>
+          </label>
+          {target === 'tier' ? (
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Tier</span>
+              <select value={tier} onChange={(e) => setTier(e.target.value)} className={`${inputCls} capitalize`}>
+                {PRICING_TIERS.map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </label>
+          ) : (
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Customer email</span>
+              <input list="price-list-customers" value={customerEmail} onChange={(e) => setCustomerEmail(e.target.value)} className={inputCls} />
+              <datalist id="price-list-customers">
+                {customerEmails.map((email) => <option key={email} value={email} />)}
+              </datalist>
+            </label>
+          )}
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Effective from</span>
+            <input type="date" value={effectiveFrom} onChange={(e) => setEffectiveFrom(e.target.value)} className={inputCls} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Until (optional)</span>
+            <input type="date" value={effectiveTo} min={effectiveFrom} onChange={(e) => setEffectiveTo(e.target.value)} className={inputCls} />
+          </label>
+        </div>
+
+        <div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+            Leave a price blank to charge list price. Volume breaks: <span className="font-mono">qty@price</span>, e.g. <span className="font-mono">10@4.50, 25@4</span>.
+          </p>
+          <div className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-xl">
+            {products.map((p) => (
+              <div key={p.id} className="grid grid-cols-12 gap-2 items-center px-3 py-2">
+                <div className="col-span-5 min-w-0">
+                  <p className="text-sm text-gray-800 dark:text-gray-100 truncate">{p.name}</p>
+                  <p className="text-xs text-gray-400">List ${Number(p.pricePerUnit || 0).toFixed(2)}/{p.unit}</p>
+                </div>
+                <input
+                  type="number" min={0} step={0.01} placeholder="List"
+                  value={rows[p.id]?.price ?? ''}
+                  onChange={(e) => setRow(p.id, 'price', e.target.value)}
+                  className="col-span-3 border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 rounded-lg px-2 py-1.5 text-sm text-right"
+                />
+                <input
+                  placeholder="Breaks"
+                  value={rows[p.id]?.breaks ?? ''}
+                  onChange={(e) => setRow(p.id, 'breaks', e.target.value)}
+                  className="col-span-4 border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 rounded-lg px-2 py-1.5 text-sm font-mono"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <button onClick={onClose} className="flex-1 py-2.5 rounded-xl text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 cursor-pointer">Cancel</button>
+          <button
+            onClick={save}
+            disabled={saving || !valid}
+            className="flex-[2] py-2.5 rounded-xl text-sm font-bold bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 cursor-pointer"
+          >
+            {saving ? 'Saving…' : 'Save price list'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function PriceLists({ priceLists = [], products = [], customers = [], onAdd, onEdit, onRemove }) {
+  const [editing, setEditing] = useState(null); // null | { list } (list null = new)
+  const customerEmails = [...new Set(customers.map((c) => (c.email || '').toLowerCase()).filter(Boolean))].sort();
+  const date = today();
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Customers pay list price unless a price list for their tier, or just for them, says otherwise.
+        </p>
+        <button
+          onClick={() => setEditing({ list: null })}
+          className="bg-green-600 text-white font-bold px-4 py-2.5 min-h-[44px] rounded-xl text-sm hover:bg-green-700 transition-colors cursor-pointer shrink-0 ml-3"
+        >
+          + Price List
+        </button>
+      </div>
+
+      {priceLists.length === 0 ? (
+        <p className="text-center text-sm text-gray-400 py-12">No price lists yet — everyone pays list price.</p>
+      ) : (
+        <div className="space-y-3">
+          {priceLists.map((list) => {
+            const active = isListActive(list, date);
+            return (
+              <div key={list.id} className={`bg-white dark:bg-gray-800 rounded-2xl border p-4 flex items-start justify-between gap-3 ${active ? 'border-gray-200 dark:border-gray-700' : 'border-dashed border-gray-300 dark:border-gray-600 opacity-70'}`}>
+                <div className="min-w-0">
+                  <p className="font-bold text-gray-800 dark:text-gray-100">
+                    {list.name}
+                    {!active && <span className="ml-2 text-xs font-semibold text-gray-400">not in effect</span>}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {list.customerEmail ? `👤 ${list.customerEmail}` : <span className="capitalize">💲 {list.tier} tier</span>}
+                    {' · '}{list.effectiveFrom || 'always'}{list.effectiveTo ? ` → ${list.effectiveTo}` : ''}
+                    {' · '}{(list.prices || []).length} product{(list.prices || []).length !== 1 ? 's' : ''}
+                  </p>
+                </div>
+                <div className="flex gap-3 shrink-0 text-xs font-semibold">
+                  <button onClick={() => setEditing({ list })} className="text-gray-500 hover:text-gray-700 dark:text-gray-400 cursor-pointer">Edit</button>
+                  <button
+                    onClick={() => window.confirm(`Delete price list "${list.name}"?`) && onRemove(list.id)}
+                    className="text-gray-400 hover:text-red-500 cursor-pointer"
+                  >Delete</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {editing && (
+        <PriceListModal
+          list={editing.list}
+          products={products}
+          customerEmails={customerEmails}
+          onSave={(data) => (editing.list ? onEdit(editing.list.id, data) : onAdd(data))}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import ProductModal from './modals/ProductModal';
 import { ProductManagerSkeleton } from './ui/Skeletons';
 import SmartImport from './SmartImport';
+import PriceLists from './PriceLists';
 import { productImportConfig } from '../data/importConfigs';
 import { importProducts } from '../services/importService';
 
@@ -13,9 +14,13 @@ const CATEGORY_COLORS = {
   'Other': 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200',
 };
 
-export default function ProductManager({ products, onAddProduct, onEditProduct, onDeleteProduct, loading = false, farmId }) {
+export default function ProductManager({
+  products, onAddProduct, onEditProduct, onDeleteProduct, loading = false, farmId,
+  priceLists = [], customers = [], onAddPriceList, onEditPriceList, onDeletePriceList,
+}) {
   const [modal, setModal] = useState(null);
   const [showImport, setShowImport] = useState(false);
+  const [view, setView] = useState('products'); // 'products' | 'prices'
   if (loading) return <ProductManagerSkeleton />; // null | { mode:'add' } | { mode:'edit', product }
 
   const handleSave = async (formData) => {
@@ -64,8 +69,30 @@ export default function ProductManager({ products, onAddProduct, onEditProduct,
         </div>
       </div>
 
-      {/* Empty state */}
-      {products.length === 0 ? (
+      <div className="flex gap-2 mb-4">
+        {[['products', '🛍️ Products'], ['prices', `💲 Price Lists${priceLists.length ? ` (${priceLists.length})` : ''}`]].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setView(key)}
+            className={`px-4 py-2 rounded-xl text-sm font-semibold cursor-pointer ${
+              view === key ? 'bg-green-600 text-white' : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {view === 'prices' ? (
+        <PriceLists
+          priceLists={priceLists}
+          products={sorted}
+          customers={customers}
+          onAdd={onAddPriceList}
+          onEdit={onEditPriceList}
+          onRemove={onDeletePriceList}
+        />
+      ) : products.length === 0 ? (
         <div className="text-center py-20">
           <p className="text-5xl mb-3">🛍️</p>
           <h3 className="text-lg font-bold text-gray-700 dark:text-gray-200 mb-1">No products yet</h3>
@@ -98,11 +125,14 @@ export default function ProductManager({ products, onAddProduct, onEditProduct,
                 >Edit</button>
               </div>
 
-              {/* Price */}
+              {/* List price */}
               <p className="text-lg font-bold text-gray-800 dark:text-gray-100">
                 ${product.pricePerUnit?.toFixed(2)}
-                <span className="text-xs font-normal text-gray-500 dark:text-gray-400">/{product.unit}</span>
+                <span className="text-xs font-normal text-gray-500 dark:text-gray-400">/{product.unit} list</span>
               </p>
+              {product.allowOversell && (
+                <p className="text-xs font-semibold text-amber-600 dark:text-amber-400 mt-0.5">⚠ Oversell allowed</p>
+              )}
 
               {product.description && (
                 <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 line-clamp-2">{product.description}</p>
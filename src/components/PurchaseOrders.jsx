@@ -0,0 +1,323 @@
+import { useState } from 'react';
+import { useFarmConfig } from '../contexts/FarmConfigContext';
+import {
+  PO_STATUSES, OPEN_PO_STATUSES, draftPurchaseOrders, poTotal, lineOutstanding, purchaseOrderEmail,
+} from '../data/purchaseOrders';
+
+/**
+ * PurchaseOrders — restocking from vendors (Inventory → Purchase Orders).
+ *
+ * Props: purchaseOrders, inventory, vendors, runOut (projectRunOut map), user,
+ *        onCreateDrafts(drafts, userId), onEdit(poId, updates), onRemove(poId),
+ *        onSend(po), onReceive(po, received, userId)
+ *
+ * "Draft from shortfalls" makes one draft per vendor for everything below
+ * par now or projected to drop below it. Drafts can be adjusted, then
+ * printed or emailed and marked sent; receiving adds to stock and books the
+ * cost (data/purchaseOrders.js).
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+const fmt$ = (n) => `$${Number(n || 0).toFixed(2)}`;
+const statusMeta = (id) => PO_STATUSES.find((s) => s.id === id) || PO_STATUSES[0];
+const inputCls = 'px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+// ── Print / email ───────────────────────────────────────────────────────────
+
+const esc = (s) => String(s ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+function printPurchaseOrder(po, farmName) {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Purchase Order ${esc(po.poNumber)}</title>
+      <style>
+        body { font-family: -apple-system, sans-serif; padding: 24px; max-width: 650px; margin: 0 auto; }
+        h1 { font-size: 18px; margin-bottom: 4px; }
+        .subtitle { font-size: 12px; color: #666; margin-bottom: 16px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; font-size: 13px; }
+        th { border-bottom: 2px solid #333; font-weight: 600; }
+        .num { text-align: right; }
+        .total { text-align: right; font-weight: 700; font-size: 15px; margin-top: 12px; }
+        .notes { margin-top: 12px; padding: 8px; background: #f5f5f5; border-radius: 6px; font-size: 12px; }
+        @media print { body { padding: 0; } }
+      </style>
+    </head>
+    <body>
+      <h1>Purchase Order ${esc(po.poNumber)}</h1>
+      <p class="subtitle">
+        From ${esc(farmName)} · To ${esc(po.vendorName)}${po.vendorEmail ? ` (${esc(po.vendorEmail)})` : ''}<br />
+        Date ${esc(po.orderDate || today())}${po.needBy ? ` · Needed by ${esc(po.needBy)}` : ''}
+      </p>
+      <table>
+        <thead><tr><th>Item</th><th class="num">Qty</th><th>Unit</th><th class="num">Unit cost</th><th class="num">Amount</th></tr></thead>
+        <tbody>
+          ${po.lines.map((l) => `
+            <tr>
+              <td>${esc(l.name)}</td>
+              <td class="num">${esc(l.qty)}</td>
+              <td>${esc(l.unit)}</td>
+              <td class="num">${l.unitCost ? fmt$(l.unitCost) : '—'}</td>
+              <td class="num">${l.unitCost ? fmt$(l.qty * l.unitCost) : '—'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${poTotal(po) > 0 ? `<p class="total">Total: ${fmt$(poTotal(po))}</p>` : ''}
+      ${po.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(po.notes)}</div>` : ''}
+      <script>window.print();</script>
+    </body>
+    </html>
+  `;
+  const win = window.open('', '_blank');
+  win.document.write(html);
+  win.document.close();
+}
+
+function mailtoHref(po, farmName) {
+  const { subject, body } = purchaseOrderEmail(po, farmName);
+  return `mailto:${po.vendorEmail || ''}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+// ── Receive modal ───────────────────────────────────────────────────────────
+
+function ReceiveForm({ po, onSave, onClose }) {
+  const [received, setReceived] = useState(() =>
+    Object.fromEntries(po.lines.map((l) => [l.itemId, String(lineOutstanding(l))])));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const amounts = Object.fromEntries(Object.entries(received).map(([id, v]) => [id, parseFloat(v) || 0]));
+  const valid = Object.values(amounts).some((q) => q > 0);
+
+  const handleSave = async () => {
+    if (!valid) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(amounts);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-md shadow-2xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">Receive {po.poNumber}</h3>
+          <button onClick={onClose} className="text-gray-400 dark:text-gray-500 hover:text-gray-600 text-2xl leading-none cursor-pointer">×</button>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Enter what arrived. It's added to stock and the cost is booked under Costs.
+        </p>
+
+        <div className="space-y-2">
+          {po.lines.map((l) => (
+            <div key={l.itemId} className="flex items-center gap-2 text-sm">
+              <span className="flex-1 min-w-0 truncate text-gray-700 dark:text-gray-200">
+                {l.name}
+                <span className="text-xs text-gray-400"> · {l.qtyReceived || 0}/{l.qty} {l.unit}</span>
+              </span>
+              <input type="number" min="0" step="0.01" value={received[l.itemId]}
+                onChange={(e) => setReceived((r) => ({ ...r, [l.itemId]: e.target.value }))}
+                className={`${inputCls} w-24`} />
+              <span className="w-10 text-xs text-gray-500 dark:text-gray-400">{l.unit}</span>
+            </div>
+          ))}
+        </div>
+
+        {error && <p className="text-xs font-semibold text-red-600 dark:text-red-400">{error}</p>}
+
+        <button onClick={handleSave} disabled={saving || !valid}
+          className="w-full py-3 bg-green-600 text-white font-bold rounded-xl text-sm hover:bg-green-700 disabled:opacity-50 cursor-pointer">
+          {saving ? 'Saving…' : 'Receive'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ── PO card ─────────────────────────────────────────────────────────────────
+
+function PurchaseOrderCard({ po, farmName, onEdit, onRemove, onSend, onReceive }) {
+  const status = statusMeta(po.status);
+  const isDraft = po.status === 'draft';
+
+  const setLineQty = (itemId, value) => {
+    const qty = parseFloat(value);
+    if (!(qty > 0)) return;
+    onEdit(po.id, { lines: po.lines.map((l) => (l.itemId === itemId ? { ...l, qty } : l)) });
+  };
+  const removeLine = (itemId) => {
+    const lines = po.lines.filter((l) => l.itemId !== itemId);
+    if (lines.length === 0) onRemove(po.id);
+    else onEdit(po.id, { lines });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <p className="font-bold text-gray-800 dark:text-gray-100">{po.vendorName}</p>
+            <span className={`text-[11px] font-semibold px-2 py-0.5 rounded-full ${status.color}`}>{status.label}</span>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {po.poNumber} · {po.orderDate}
+            {po.needBy ? ` · needed by ${po.needBy}` : ''}
+            {po.sentAt ? ` · sent ${po.sentAt}` : ''}
+            {po.receivedAt ? ` · received ${po.receivedAt}` : ''}
+            {!po.vendorEmail && ' · no vendor email'}
+          </p>
+        </div>
+        <p className="font-bold text-gray-800 dark:text-gray-100 text-sm shrink-0">{fmt$(poTotal(po))}</p>
+      </div>
+
+      <div className="divide-y divide-gray-100 dark:divide-gray-700">
+        {po.lines.map((l) => (
+          <div key={l.itemId} className="flex items-center gap-2 py-1.5 text-sm">
+            <span className="flex-1 min-w-0 truncate text-gray-700 dark:text-gray-200">{l.name}</span>
+            {isDraft ? (
+              <input key={l.qty} type="number" min="0" step="0.01" defaultValue={l.qty}
+                onBlur={(e) => setLineQty(l.itemId, e.target.value)} className={`${inputCls} w-20`} />
+            ) : (
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {po.status === 'sent' ? l.qty : `${l.qtyReceived || 0}/${l.qty}`}
+              </span>
+            )}
+            <span className="w-10 text-xs text-gray-500 dark:text-gray-400">{l.unit}</span>
+            <span className="w-16 text-right text-xs text-gray-500 dark:text-gray-400">{l.unitCost ? fmt$(l.qty * l.unitCost) : '—'}</span>
+            {isDraft && (
+              <button onClick={() => removeLine(l.itemId)} className="text-red-400 hover:text-red-600 text-lg leading-none cursor-pointer">×</button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-1.5 flex-wrap">
+        <button onClick={() => printPurchaseOrder(po, farmName)}
+          className="px-3 py-1.5 text-xs font-semibold text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+          🖨 Print
+        </button>
+        <a href={mailtoHref(po, farmName)}
+          className="px-3 py-1.5 text-xs font-semibold text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+          ✉️ Email
+        </a>
+        {isDraft && (
+          <>
+            <button onClick={() => onSend(po)}
+              className="px-3 py-1.5 text-xs font-bold text-white bg-sky-500 rounded-lg hover:bg-sky-600 cursor-pointer">
+              Mark sent
+            </button>
+            <button onClick={() => window.confirm(`Delete draft ${po.poNumber}?`) && onRemove(po.id)}
+              className="ml-auto px-3 py-1.5 text-xs font-semibold text-red-400 hover:text-red-600 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-red-50 cursor-pointer">
+              Delete
+            </button>
+          </>
+        )}
+        {(po.status === 'sent' || po.status === 'partial') && (
+          <button onClick={() => onReceive(po)}
+            className="px-3 py-1.5 text-xs font-bold text-white bg-green-600 rounded-lg hover:bg-green-700 cursor-pointer">
+            Receive
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function PurchaseOrders({
+  purchaseOrders = [], inventory = [], vendors = [], runOut, user,
+  onCreateDrafts, onEdit, onRemove, onSend, onReceive,
+}) {
+  const { config } = useFarmConfig();
+  const [showAll, setShowAll] = useState(false);
+  const [receiving, setReceiving] = useState(null);
+  const [drafting, setDrafting] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const visible = purchaseOrders.filter((po) => showAll || OPEN_PO_STATUSES.includes(po.status));
+
+  const handleDraft = async () => {
+    const drafts = draftPurchaseOrders(inventory, runOut, vendors, purchaseOrders, today());
+    if (drafts.length === 0) {
+      setMsg({ ok: true, text: 'Nothing is short that isn’t already on an open PO.' });
+      setTimeout(() => setMsg(null), 3000);
+      return;
+    }
+    setDrafting(true);
+    try {
+      await onCreateDrafts(drafts, user?.uid);
+      setMsg({ ok: true, text: `${drafts.length} draft PO${drafts.length !== 1 ? 's' : ''} created` });
+    } catch (err) {
+      setMsg({ ok: false, text: err.message });
+    }
+    setDrafting(false);
+    setTimeout(() => setMsg(null), 3000);
+  };
+
+  // Items deleted from inventory since drafting are skipped by the service
+  const reportMissing = (result, what) => {
+    const missing = result?.missing || [];
+    if (missing.length === 0) return;
+    setMsg({ ok: false, text: `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} no longer in inventory — ${what}` });
+    setTimeout(() => setMsg(null), 5000);
+  };
+
+  const handleSend = async (po) => {
+    reportMissing(await onSend(po), 'marked sent without updating them');
+  };
+
+  const handleReceive = async (received) => {
+    const result = await onReceive(receiving, received, user?.uid);
+    setReceiving(null);
+    reportMissing(result, 'the cost was booked but no stock was added');
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 flex-wrap">
+        <button onClick={handleDraft} disabled={drafting}
+          className="bg-green-600 text-white font-bold px-4 py-2 rounded-xl text-sm hover:bg-green-700 disabled:opacity-50 cursor-pointer">
+          {drafting ? 'Drafting…' : '+ Draft from shortfalls'}
+        </button>
+        <label className="ml-auto flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400 cursor-pointer">
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          Show received
+        </label>
+      </div>
+
+      {msg && (
+        <p className={`text-xs font-semibold ${msg.ok ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          {msg.text}
+        </p>
+      )}
+
+      {visible.length === 0 ? (
+        <div className="text-center py-12 bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700">
+          <p className="text-4xl mb-3">🧾</p>
+          <p className="text-gray-500 dark:text-gray-400 text-sm">
+            No open purchase orders. Draft them from items below par or projected to run low.
+          </p>
+        </div>
+      ) : visible.map((po) => (
+        <PurchaseOrderCard
+          key={po.id}
+          po={po}
+          farmName={config.name}
+          onEdit={onEdit}
+          onRemove={onRemove}
+          onSend={handleSend}
+          onReceive={setReceiving}
+        />
+      ))}
+
+      {receiving && (
+        <ReceiveForm po={receiving} onSave={handleReceive} onClose={() => setReceiving(null)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import { useState, useMemo } from 'react';
+import { getBatchStage, getBatchStageId } from '../data/stageMachine';
+import {
+  hasGrowSpace,
+  zonesForStage,
+  zoneShelves,
+  batchTrays,
+  placeBatchAt,
+  formatLocation,
+} from '../data/growSpace';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { stageStyle } from '../utils/stageStyles';
+
+/**
+ * RackMap — what is growing where, shelf by shelf.
+ *
+ * Props: activeBatches, onMoveBatch(batch, location, userId), user, loading
+ *
+ * One card per zone, one row per rack, one cell per shelf. Batches show as
+ * chips coloured by stage with days to harvest. Tap a batch, then a shelf in
+ * a zone that holds its stage, to move it there (it fills that shelf and the
+ * next ones). Batches in a racked stage with no location — or that didn't
+ * fit — are listed under "Not on a rack".
+ */
+
+function daysUntil(dateStr) {
+  if (!dateStr) return null;
+  const today = new Date(new Date().toISOString().split('T')[0] + 'T00:00:00Z');
+  return Math.round((new Date(String(dateStr).split('T')[0] + 'T00:00:00Z') - today) / 86400000);
+}
+
+function harvestBadge(days) {
+  if (days === null) return null;
+  if (days <= 0) return { label: 'now', cls: 'bg-red-600 text-white' };
+  if (days <= 2) return { label: `${days}d`, cls: 'bg-amber-500 text-white' };
+  return { label: `${days}d`, cls: 'bg-white/80 text-gray-700' };
+}
+
+function BatchChip({ batch, trays, machines, selected, onSelect }) {
+  const stage = getBatchStage(machines, batch);
+  const badge = harvestBadge(daysUntil(batch.estimatedHarvestStart));
+  return (
+    <button
+      onClick={(e) => { e.stopPropagation(); onSelect(batch); }}
+      title={`${batch.varietyName || batch.varietyId} · ${stage?.label || batch.stage}`}
+      className={`flex items-center gap-1 px-1.5 py-0.5 rounded-md text-[11px] font-semibold text-white cursor-pointer ${stageStyle(stage).solid} ${
+        selected ? 'ring-2 ring-offset-1 ring-gray-900 dark:ring-white' : ''
+      }`}
+    >
+      <span className="truncate max-w-[90px]">{batch.varietyName || batch.varietyId || 'Batch'}</span>
+      <span className="opacity-80">×{trays}</span>
+      {badge && <span className={`px-1 rounded ${badge.cls}`}>{badge.label}</span>}
+    </button>
+  );
+}
+
+export default function RackMap({ activeBatches = [], onMoveBatch, user, loading = false }) {
+  const { machines } = useStageMachines();
+  const { layout } = useGrowSpace();
+  const [selected, setSelected] = useState(null); // batch id
+  const [saving, setSaving] = useState(false);
+
+  // zoneId|rackId|shelf → [{ batch, trays }]
+  const byShelf = useMemo(() => {
+    const map = new Map();
+    for (const batch of activeBatches) {
+      for (const slot of batch.location?.slots || []) {
+        const key = `${batch.location.zoneId}|${slot.rackId}|${slot.shelf}`;
+        map.set(key, [...(map.get(key) || []), { batch, trays: slot.trays || 0 }]);
+      }
+    }
+    return map;
+  }, [activeBatches]);
+
+  const unplaced = useMemo(() => activeBatches.filter((b) => {
+    if (b.location?.unplaced) return true;
+    if (b.location?.zoneId) return false;
+    return zonesForStage(layout, b.cropCategory, getBatchStageId(machines, b)).length > 0;
+  }), [activeBatches, layout, machines]);
+
+  const selectedBatch = activeBatches.find((b) => b.id === selected) || null;
+  const targetZones = selectedBatch
+    ? new Set(zonesForStage(layout, selectedBatch.cropCategory, getBatchStageId(machines, selectedBatch)).map((z) => z.id))
+    : null;
+
+  const toggleSelect = (batch) => setSelected((id) => (id === batch.id ? null : batch.id));
+
+  const moveTo = async (zoneId, rackId, shelf) => {
+    if (!selectedBatch || !targetZones.has(zoneId) || !onMoveBatch) return;
+    const location = placeBatchAt(layout, {
+      zoneId, rackId, shelf,
+      qty:     batchTrays(selectedBatch),
+      batchId: selectedBatch.id,
+      batches: activeBatches,
+    });
+    setSaving(true);
+    await onMoveBatch(selectedBatch, location, user?.uid ?? null);
+    setSaving(false);
+    setSelected(null);
+  };
+
+  const takeOff = async () => {
+    if (!selectedBatch || !onMoveBatch) return;
+    setSaving(true);
+    await onMoveBatch(selectedBatch, null, user?.uid ?? null);
+    setSaving(false);
+    setSelected(null);
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-400 dark:text-gray-500">Loading batches…</p>;
+  }
+
+  if (!hasGrowSpace(layout)) {
+    return (
+      <div className="max-w-4xl mx-auto bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-6 text-center">
+        <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100 mb-1">Rack Map</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No grow space set up yet. Add zones and racks under Settings → Production.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div>
+        <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Rack Map</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {selectedBatch
+            ? `Moving ${selectedBatch.varietyName || 'batch'} — tap a highlighted shelf.`
+            : 'Tap a batch to move it to another shelf.'}
+        </p>
+      </div>
+
+      {selectedBatch && (
+        <div className="flex items-center gap-2 text-sm bg-sky-50 dark:bg-sky-900/30 border border-sky-200 dark:border-sky-700 rounded-xl px-3 py-2">
+          <span className="flex-1 text-sky-800 dark:text-sky-200">
+            {selectedBatch.varietyName} · {batchTrays(selectedBatch)} trays
+            {selectedBatch.location && ` · now ${formatLocation(layout, selectedBatch.location)}`}
+          </span>
+          {selectedBatch.location && (
+            <button onClick={takeOff} disabled={saving} className="text-xs font-semibold text-red-600 hover:underline cursor-pointer disabled:opacity-50">
+              Take off rack
+            </button>
+          )}
+          <button onClick={() => setSelected(null)} className="text-xs font-semibold text-gray-500 hover:underline cursor-pointer">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {unplaced.length > 0 && (
+        <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 rounded-2xl p-4">
+          <h3 className="font-bold text-amber-800 dark:text-amber-300 text-sm mb-2">Not on a rack ({unplaced.length})</h3>
+          <div className="flex flex-wrap gap-1.5">
+            {unplaced.map((b) => (
+              <BatchChip
+                key={b.id}
+                batch={b}
+                trays={b.location?.unplaced || batchTrays(b)}
+                machines={machines}
+                selected={b.id === selected}
+                onSelect={toggleSelect}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {layout.zones.map((zone) => {
+        const isTarget = targetZones?.has(zone.id);
+        return (
+          <div
+            key={zone.id}
+            className={`bg-white dark:bg-gray-800 rounded-2xl border p-4 ${
+              isTarget ? 'border-sky-400 dark:border-sky-600' : 'border-gray-200 dark:border-gray-700'
+            } ${targetZones && !isTarget ? 'opacity-50' : ''}`}
+          >
+            <h3 className="font-bold text-gray-800 dark:text-gray-100 mb-3">{zone.name}</h3>
+            <div className="space-y-3">
+              {zone.racks.map((rack) => (
+                <div key={rack.id}>
+                  <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">{rack.name}</p>
+                  <div className="grid gap-1.5" style={{ gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))' }}>
+                    {zoneShelves({ racks: [rack] }).map((s) => {
+                      const items = byShelf.get(`${zone.id}|${rack.id}|${s.shelf}`) || [];
+                      const used = items.reduce((sum, i) => sum + i.trays, 0);
+                      return (
+                        <div
+                          key={s.shelf}
+                          onClick={() => isTarget && !saving && moveTo(zone.id, rack.id, s.shelf)}
+                          className={`min-h-[56px] rounded-lg border p-1.5 ${
+                            isTarget ? 'border-sky-300 dark:border-sky-700 cursor-pointer hover:bg-sky-50 dark:hover:bg-sky-900/20' : 'border-gray-100 dark:border-gray-700'
+                          }`}
+                        >
+                          <div className="flex justify-between text-[10px] text-gray-400 dark:text-gray-500 mb-1">
+                            <span>S{s.shelf}</span>
+                            <span className={used > s.capacity ? 'text-red-500 font-bold' : ''}>{used}/{s.capacity}</span>
+                          </div>
+                          <div className="flex flex-wrap gap-1">
+                            {items.map(({ batch, trays }) => (
+                              <BatchChip
+                                key={batch.id}
+                                batch={batch}
+                                trays={trays}
+                                machines={machines}
+                                selected={batch.id === selected}
+                                onSelect={toggleSelect}
+                              />
+                            ))}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import { useState, useEffect, useMemo } from 'react';
+import { traceLot, traceOrders, totalTrays } from '../data/traceability';
+import { fetchOrdersForBatches } from '../services/orderService';
+
+/**
+ * SeedLotTrace — recall report for a seed lot, or the lots behind a customer.
+ *
+ * Props: farmId, target ({ lot } | { customer: { key, name, orders } }),
+ *        batches, orders, lots, onClose
+ *
+ * Forward (lot): every batch sown from the lot, the orders packed from those
+ * batches and the customers who got them. Orders beyond the ones loaded in
+ * the app are fetched by batch so an old delivery isn't missed.
+ * Reverse (customer): each packed order line → batches → seed lots.
+ */
+
+function downloadCSV(filename, headers, rows) {
+  const escape = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+  const lines = [headers.map(escape).join(',')];
+  for (const row of rows) lines.push(row.map(escape).join(','));
+  const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const fmtDate = (v) => (v ? String(v).slice(0, 10) : '—');
+
+function LotReport({ farmId, lot, batches, orders }) {
+  const [olderOrders, setOlderOrders] = useState([]);
+  const lotBatchIds = useMemo(() => traceLot(lot, { batches }).batches.map((r) => r.batch.id), [lot, batches]);
+
+  useEffect(() => {
+    if (!farmId || lotBatchIds.length === 0) return;
+    let cancelled = false;
+    fetchOrdersForBatches(farmId, lotBatchIds)
+      .then((found) => { if (!cancelled) setOlderOrders(found); })
+      .catch(() => {}); // logged by the service; the loaded orders still show
+    return () => { cancelled = true; };
+  }, [farmId, lotBatchIds]);
+
+  const report = useMemo(() => {
+    const byId = new Map([...olderOrders, ...orders].map((o) => [o.id, o]));
+    return traceLot(lot, { batches, orders: [...byId.values()] });
+  }, [lot, batches, orders, olderOrders]);
+
+  const exportCsv = () => downloadCSV(
+    `recall-lot-${lot.lotNumber}.csv`,
+    ['Lot', 'Vendor', 'Batch', 'Crop', 'Sown', 'Harvested', 'Order', 'Status', 'Customer', 'Email', 'Delivery date', 'Products'],
+    report.batches.flatMap(({ batch, orders: filled }) => (filled.length ? filled : [null]).map((f) => [
+      lot.lotNumber, lot.vendorName, batch.id, batch.varietyName, fmtDate(batch.sowDate), fmtDate(batch.harvestedAt),
+      f?.order.id ?? '', f?.order.status ?? '', f?.order.customerName ?? '', f?.order.customerEmail ?? '',
+      f?.order.requestedDeliveryDate ?? '', f?.lines.join('; ') ?? '',
+    ])),
+  );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-lg font-bold text-gray-800 dark:text-gray-100">Lot {lot.lotNumber}</p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {lot.varietyName} · {lot.vendorName || 'No vendor'} · received {fmtDate(lot.receivedDate)}
+          {' · '}{lot.qtyReceived}g in, {Math.round(lot.qtyRemaining ?? 0)}g left
+        </p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-center">
+        {[
+          [report.batches.length, `batches · ${totalTrays(report.batches)} trays`],
+          [report.orderCount, 'orders'],
+          [report.customers.length, 'customers'],
+        ].map(([n, label]) => (
+          <div key={label} className="rounded-xl bg-gray-50 dark:bg-gray-900 py-2">
+            <p className="text-xl font-black text-gray-800 dark:text-gray-100">{n}</p>
+            <p className="text-[11px] text-gray-500 dark:text-gray-400">{label}</p>
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <h4 className="text-sm font-bold text-gray-700 dark:text-gray-200 mb-1.5">Customers</h4>
+        {report.customers.length === 0 ? (
+          <p className="text-xs text-gray-400 dark:text-gray-500">No packed orders record a batch from this lot.</p>
+        ) : (
+          <div className="divide-y divide-gray-100 dark:divide-gray-700">
+            {report.customers.map((c) => (
+              <div key={c.key} className="flex items-center justify-between py-1.5 text-sm">
+                <span className="text-gray-700 dark:text-gray-200">
+                  {c.name}{c.email && <span className="text-xs text-gray-400"> · {c.email}</span>}
+                </span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  {c.orderIds.length} order{c.orderIds.length !== 1 ? 's' : ''} · {c.deliveredCount} delivered
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h4 className="text-sm font-bold text-gray-700 dark:text-gray-200 mb-1.5">Batches</h4>
+        {report.batches.length === 0 && (
+          <p className="text-xs text-gray-400 dark:text-gray-500">Nothing has been planted from this lot yet.</p>
+        )}
+        <div className="space-y-1.5">
+          {report.batches.map(({ batch, orders: filled }) => (
+            <div key={batch.id} className="rounded-lg border border-gray-100 dark:border-gray-700 p-2 text-xs">
+              <p className="font-semibold text-gray-700 dark:text-gray-200">
+                {batch.varietyName} · sown {fmtDate(batch.sowDate)}
+                {batch.harvestedAt ? ` · harvested ${fmtDate(batch.harvestedAt)}` : ' · not harvested'}
+                <span className="font-normal text-gray-400"> #{batch.id.slice(-6)}</span>
+              </p>
+              {filled.map(({ order, lines }) => (
+                <p key={order.id} className="text-gray-500 dark:text-gray-400 pl-2">
+                  → {order.customerName || 'Unknown'} · {order.requestedDeliveryDate || 'no date'} · {order.status} · {lines.join(', ')}
+                </p>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <button
+        onClick={exportCsv}
+        className="text-xs font-semibold px-3 py-1.5 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 cursor-pointer"
+      >
+        ⬇ Export CSV
+      </button>
+    </div>
+  );
+}
+
+function CustomerReport({ customer, batches, lots }) {
+  const report = useMemo(() => traceOrders(customer.orders, { batches, lots }), [customer, batches, lots]);
+  const packed = report.orders.filter((r) => r.lines.length);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-lg font-bold text-gray-800 dark:text-gray-100">{customer.name}</p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {customer.orders.length} order{customer.orders.length !== 1 ? 's' : ''} · {packed.length} with packed batches recorded
+        </p>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-bold text-gray-700 dark:text-gray-200 mb-1.5">Seed lots received</h4>
+        {report.lots.length === 0 ? (
+          <p className="text-xs text-gray-400 dark:text-gray-500">No seed lots recorded on the batches this customer got.</p>
+        ) : (
+          <div className="flex flex-wrap gap-1.5">
+            {report.lots.map((l) => (
+              <span key={l.lot?.id || l.lotNumber} className="px-2 py-1 rounded-lg bg-gray-50 dark:bg-gray-900 text-xs text-gray-700 dark:text-gray-200">
+                {l.lotNumber}{l.vendorName && <span className="text-gray-400"> · {l.vendorName}</span>}
+                <span className="text-gray-400"> · {l.batchIds.length} batch{l.batchIds.length !== 1 ? 'es' : ''}</span>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-1.5">
+        {packed.map(({ order, lines }) => (
+          <div key={order.id} className="rounded-lg border border-gray-100 dark:border-gray-700 p-2 text-xs">
+            <p className="font-semibold text-gray-700 dark:text-gray-200">
+              {order.requestedDeliveryDate || 'No date'} · {order.status}
+              <span className="font-normal text-gray-400"> #{order.id.slice(-6)}</span>
+            </p>
+            {lines.map((line) => (
+              <p key={line.name} className="text-gray-500 dark:text-gray-400 pl-2">
+                {line.name} ← {line.batches.map(({ batch, lot }) =>
+                  `${batch.varietyName || 'batch'} #${batch.id.slice(-4)} (lot ${lot?.lotNumber || batch.seedLot || '—'})`).join(', ')}
+              </p>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function SeedLotTrace({ farmId, target, batches = [], orders = [], lots = [], onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-xl max-h-[85vh] overflow-y-auto shadow-2xl p-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-bold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+            {target.lot ? 'Recall trace' : 'Seed lots for customer'}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 dark:text-gray-500 hover:text-gray-600 text-2xl leading-none cursor-pointer">×</button>
+        </div>
+        {target.lot
+          ? <LotReport farmId={farmId} lot={target.lot} batches={batches} orders={orders} />
+          : <CustomerReport customer={target.customer} batches={batches} lots={lots} />}
+      </div>
+    </div>
+  );
+}
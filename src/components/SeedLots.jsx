@@ -0,0 +1,214 @@
+import { useState, useMemo } from 'react';
+import { getAllVarieties } from '../data/cropConfig';
+import { lotStatus, batchFromLot } from '../data/traceability';
+import SeedLotTrace from './SeedLotTrace';
+
+/**
+ * SeedLots — seed received against vendors, and recall traces
+ * (Inventory → Seed Lots).
+ *
+ * Props: farmId, user, lots, vendors, inventory, batches, orders,
+ *        onReceive(data, userId), onEdit(lotId, updates)
+ *
+ * The crew picks a lot when planting (CrewDailyBoard) and the seed used
+ * comes off it; packing records which batches went to which order, so a lot
+ * traces to the customers who got it and a customer back to their lots.
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+const VARIETIES = getAllVarieties();
+const vendorLabel = (v) => v.company || v.name;
+const inputCls = 'w-full border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 rounded-xl px-3 py-2.5 text-sm focus:border-green-400 focus:outline-none';
+
+function ReceiveForm({ vendors, inventory, onSave, onClose }) {
+  const [form, setForm] = useState({
+    lotNumber: '', vendorId: '', varietyId: '', qtyReceived: '', receivedDate: today(), inventoryItemId: '', notes: '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const set = (k, v) => setForm((f) => ({ ...f, [k]: v }));
+  const qty = parseFloat(form.qtyReceived);
+  const valid = form.lotNumber.trim() && form.varietyId && qty > 0;
+  const seedItems = inventory.filter((i) => i.category === 'seeds');
+
+  const handleSave = async () => {
+    if (!valid) return;
+    setSaving(true);
+    setError(null);
+    const vendor = vendors.find((v) => String(v.id) === form.vendorId);
+    try {
+      await onSave({
+        lotNumber:       form.lotNumber.trim(),
+        vendorId:        vendor ? String(vendor.id) : null,
+        vendorName:      vendor ? vendorLabel(vendor) : null,
+        varietyId:       form.varietyId,
+        varietyName:     VARIETIES.find((v) => v.id === form.varietyId)?.name || form.varietyId,
+        qtyReceived:     qty,
+        receivedDate:    form.receivedDate || today(),
+        inventoryItemId: form.inventoryItemId || null,
+        notes:           form.notes.trim() || null,
+      });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-md shadow-2xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">Receive Seed Lot</h3>
+          <button onClick={onClose} className="text-gray-400 dark:text-gray-500 hover:text-gray-600 text-2xl leading-none cursor-pointer">×</button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <input placeholder="Lot number *" value={form.lotNumber} onChange={(e) => set('lotNumber', e.target.value)} className={inputCls} />
+          <input type="date" value={form.receivedDate} onChange={(e) => set('receivedDate', e.target.value)} className={inputCls} />
+        </div>
+
+        <select value={form.varietyId} onChange={(e) => set('varietyId', e.target.value)} className={inputCls}>
+          <option value="">Crop *</option>
+          {VARIETIES.map((v) => <option key={v.id} value={v.id}>{v.name} ({v.categoryLabel})</option>)}
+        </select>
+
+        <div className="grid grid-cols-2 gap-3">
+          <select value={form.vendorId} onChange={(e) => set('vendorId', e.target.value)} className={inputCls}>
+            <option value="">Vendor…</option>
+            {vendors.map((v) => <option key={v.id} value={String(v.id)}>{vendorLabel(v)}</option>)}
+          </select>
+          <input type="number" min="0" step="0.1" placeholder="Grams received *" value={form.qtyReceived}
+            onChange={(e) => set('qtyReceived', e.target.value)} className={inputCls} />
+        </div>
+
+        {seedItems.length > 0 && (
+          <div>
+            <label className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Add to inventory item</label>
+            <select value={form.inventoryItemId} onChange={(e) => set('inventoryItemId', e.target.value)} className={inputCls}>
+              <option value="">None</option>
+              {seedItems.map((i) => <option key={i.id} value={i.id}>{i.name} ({i.currentQty ?? 0} {i.unit})</option>)}
+            </select>
+          </div>
+        )}
+
+        <input placeholder="Notes (germination test, packet date…)" value={form.notes} onChange={(e) => set('notes', e.target.value)} className={inputCls} />
+
+        {error && <p className="text-xs font-semibold text-red-600 dark:text-red-400">{error}</p>}
+
+        <button onClick={handleSave} disabled={saving || !valid}
+          className="w-full py-3 bg-green-600 text-white font-bold rounded-xl text-sm hover:bg-green-700 disabled:opacity-50 cursor-pointer">
+          {saving ? 'Saving…' : 'Receive Lot'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function SeedLots({
+  farmId, user, lots = [], vendors = [], inventory = [], batches = [], orders = [], onReceive, onEdit,
+}) {
+  const [receiving, setReceiving] = useState(false);
+  const [trace, setTrace] = useState(null); // { lot } | { customer }
+  const [showDepleted, setShowDepleted] = useState(false);
+
+  // Customers with packed orders, for the reverse trace
+  const customers = useMemo(() => {
+    const map = new Map();
+    for (const o of orders) {
+      if (!o.packedBatches?.length) continue;
+      const key = o.customerId || o.customerEmail || o.customerName;
+      if (!map.has(key)) map.set(key, { key, name: o.customerName || 'Unknown', orders: [] });
+      map.get(key).orders.push(o);
+    }
+    return [...map.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [orders]);
+
+  const visible = lots.filter((l) => showDepleted || lotStatus(l) === 'active');
+  const batchCount = (lot) => batches.filter((b) => batchFromLot(b, lot)).length;
+
+  const handleReceive = async (data) => {
+    await onReceive(data, user?.uid);
+    setReceiving(false);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 flex-wrap">
+        <button onClick={() => setReceiving(true)}
+          className="bg-green-600 text-white font-bold px-4 py-2 rounded-xl text-sm hover:bg-green-700 cursor-pointer">
+          + Receive Lot
+        </button>
+        {customers.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => setTrace({ customer: customers.find((c) => c.key === e.target.value) })}
+            className="px-3 py-2 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm text-gray-600 dark:text-gray-300 cursor-pointer"
+          >
+            <option value="">Trace a customer's lots…</option>
+            {customers.map((c) => <option key={c.key} value={c.key}>{c.name}</option>)}
+          </select>
+        )}
+        <label className="ml-auto flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400 cursor-pointer">
+          <input type="checkbox" checked={showDepleted} onChange={(e) => setShowDepleted(e.target.checked)} />
+          Show used up
+        </label>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700">
+        {visible.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-4xl mb-3">🌱</p>
+            <p className="text-gray-500 dark:text-gray-400 text-sm">No seed lots yet. Receive one when seed arrives.</p>
+          </div>
+        ) : visible.map((lot) => {
+          const pct = lot.qtyReceived > 0 ? Math.max(0, (lot.qtyRemaining ?? 0) / lot.qtyReceived) : 0;
+          return (
+            <div key={lot.id} className="flex items-center justify-between px-4 py-3 gap-3">
+              <div className="min-w-0 flex-1">
+                <p className="font-semibold text-gray-800 dark:text-gray-100 text-sm truncate">
+                  {lot.varietyName} · lot {lot.lotNumber}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {lot.vendorName || 'No vendor'} · received {lot.receivedDate}
+                  {' · '}{Math.round(lot.qtyRemaining ?? 0)}/{lot.qtyReceived}g
+                  {' · '}{batchCount(lot)} batch{batchCount(lot) !== 1 ? 'es' : ''}
+                </p>
+                <div className="mt-1 h-1.5 w-40 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                  <div className={`h-full rounded-full ${pct < 0.2 ? 'bg-red-400' : 'bg-green-500'}`} style={{ width: `${pct * 100}%` }} />
+                </div>
+              </div>
+              <div className="flex gap-1.5 shrink-0">
+                <button onClick={() => setTrace({ lot })}
+                  className="px-3 py-1.5 text-xs font-semibold text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+                  Trace
+                </button>
+                {lotStatus(lot) === 'active' && (
+                  <button
+                    onClick={() => window.confirm(`Mark lot ${lot.lotNumber} as used up?`) && onEdit(lot.id, { qtyRemaining: 0 })}
+                    className="px-3 py-1.5 text-xs font-semibold text-gray-500 dark:text-gray-400 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+                    Used up
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {receiving && (
+        <ReceiveForm vendors={vendors} inventory={inventory} onSave={handleReceive} onClose={() => setReceiving(false)} />
+      )}
+
+      {trace && (
+        <SeedLotTrace
+          farmId={farmId}
+          target={trace}
+          batches={batches}
+          orders={orders}
+          lots={lots}
+          onClose={() => setTrace(null)}
+        />
+      )}
+    </div>
+  );
+}
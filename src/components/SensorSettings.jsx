@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback } from 'react';
+import { SENSOR_METRICS, SENSOR_RETENTION } from '../data/sensors';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { useSensorSettings } from '../hooks/useSensors';
+import {
+  saveSensorRanges,
+  listSensorDevices,
+  createSensorDevice,
+  revokeSensorDevice,
+} from '../services/sensorService';
+
+/**
+ * SensorSettings — sensor devices and allowed ranges per zone
+ * (Settings → Production).
+ *
+ * Each device posts readings for one grow space zone with its own key
+ * (/api/sensor-readings). Readings outside a zone's range raise an alert.
+ */
+
+const toNumber = (v) => (v === '' || v === null || v === undefined ? null : Number(v));
+
+export default function SensorSettings({ farmId, user, role }) {
+  const { layout } = useGrowSpace();
+  const { settings } = useSensorSettings(farmId);
+  const [zones, setZones] = useState(() => structuredClone(settings.zones));
+  const [devices, setDevices] = useState([]);
+  const [newDevice, setNewDevice] = useState({ name: '', zoneId: '' });
+  const [newKey, setNewKey] = useState(null); // { name, key }
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const canEdit = role === 'admin' || role === 'manager';
+
+  useEffect(() => { setZones(structuredClone(settings.zones)); }, [settings]);
+
+  const flash = (ok, text) => {
+    setMsg({ ok, text });
+    setTimeout(() => setMsg(null), 3000);
+  };
+
+  const loadDevices = useCallback(async () => {
+    try {
+      setDevices(await listSensorDevices());
+    } catch (err) {
+      flash(false, err.message);
+    }
+  }, []);
+
+  useEffect(() => { if (farmId) loadDevices(); }, [farmId, loadDevices]);
+
+  const rangeValue = (zoneId, metric, bound) => {
+    const custom = zones[zoneId]?.[metric];
+    if (custom === null) return '';
+    return custom?.[bound] ?? '';
+  };
+
+  const setBound = (zoneId, metric, bound, value) => setZones((zs) => {
+    const current = zs[zoneId]?.[metric] ?? SENSOR_METRICS[metric].range ?? { min: null, max: null };
+    return { ...zs, [zoneId]: { ...zs[zoneId], [metric]: { ...current, [bound]: toNumber(value) } } };
+  });
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveSensorRanges(farmId, zones, user?.uid);
+      flash(true, 'Sensor ranges saved');
+    } catch (err) {
+      flash(false, err.message);
+    }
+    setSaving(false);
+  };
+
+  const handleAdd = async () => {
+    if (!newDevice.name.trim() || !newDevice.zoneId) return;
+    try {
+      const { device, key } = await createSensorDevice(newDevice.name.trim(), newDevice.zoneId);
+      setNewKey({ name: device.name, key });
+      setNewDevice({ name: '', zoneId: '' });
+      loadDevices();
+    } catch (err) {
+      flash(false, err.message);
+    }
+  };
+
+  const handleRevoke = async (device) => {
+    if (!window.confirm(`Revoke ${device.name}? It will stop sending readings.`)) return;
+    try {
+      await revokeSensorDevice(device.deviceId);
+      loadDevices();
+    } catch (err) {
+      flash(false, err.message);
+    }
+  };
+
+  const inputCls = 'px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+  const zoneName = (id) => layout.zones.find((z) => z.id === id)?.name || id;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5 space-y-4">
+      <div>
+        <h2 className="text-lg font-bold text-gray-800 dark:text-gray-100">Sensors</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Devices send temperature, humidity, CO₂ and light readings per zone. Raw readings are kept
+          {` ${SENSOR_RETENTION.rawDays} days, hourly averages ${SENSOR_RETENTION.hourlyDays} days, daily averages ${Math.round(SENSOR_RETENTION.dailyDays / 365)} years.`}
+        </p>
+      </div>
+
+      {layout.zones.length === 0 ? (
+        <p className="text-sm text-gray-400 dark:text-gray-500">Add a grow space zone first — each sensor belongs to one.</p>
+      ) : (
+        <>
+          {/* ── Devices ── */}
+          <div className="space-y-1.5">
+            <h3 className="text-sm font-bold text-gray-700 dark:text-gray-200">Devices</h3>
+            {devices.length === 0 && <p className="text-xs text-gray-400 dark:text-gray-500">No devices yet.</p>}
+            {devices.map((d) => (
+              <div key={d.deviceId} className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300">
+                <span className="font-semibold">{d.name}</span>
+                <span className="text-gray-400">{zoneName(d.zoneId)}</span>
+                <span className="flex-1 text-gray-400">
+                  {d.lastSeenAt ? `last reading ${new Date(d.lastSeenAt).toLocaleString()}` : 'no readings yet'}
+                </span>
+                {canEdit && (
+                  <button onClick={() => handleRevoke(d)} className="text-red-500 hover:text-red-700 cursor-pointer">Revoke</button>
+                )}
+              </div>
+            ))}
+            {canEdit && (
+              <div className="flex items-center gap-2 flex-wrap pt-1">
+                <input
+                  type="text"
+                  value={newDevice.name}
+                  onChange={(e) => setNewDevice((d) => ({ ...d, name: e.target.value }))}
+                  placeholder="Device name"
+                  className={`${inputCls} flex-1 min-w-[140px]`}
+                />
+                <select
+                  value={newDevice.zoneId}
+                  onChange={(e) => setNewDevice((d) => ({ ...d, zoneId: e.target.value }))}
+                  className={inputCls}
+                >
+                  <option value="">Zone…</option>
+                  {layout.zones.map((z) => <option key={z.id} value={z.id}>{z.name}</option>)}
+                </select>
+                <button
+                  onClick={handleAdd}
+                  disabled={!newDevice.name.trim() || !newDevice.zoneId}
+                  className="px-4 py-2 rounded-xl bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-semibold text-sm cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                >
+                  + Add Device
+                </button>
+              </div>
+            )}
+            {newKey && (
+              <div className="rounded-xl border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20 p-3 text-xs space-y-1">
+                <p className="font-semibold text-amber-800 dark:text-amber-300">
+                  Key for {newKey.name} — copy it now, it won't be shown again:
+                </p>
+                <code className="block break-all text-gray-800 dark:text-gray-100">{newKey.key}</code>
+                <p className="text-gray-500 dark:text-gray-400">
+                  POST readings to /api/sensor-readings with the header X-Device-Key.
+                </p>
+                <button onClick={() => setNewKey(null)} className="font-semibold text-amber-700 hover:underline cursor-pointer">Done</button>
+              </div>
+            )}
+          </div>
+
+          {/* ── Ranges ── */}
+          <div className="space-y-2">
+            <h3 className="text-sm font-bold text-gray-700 dark:text-gray-200">Allowed ranges</h3>
+            {layout.zones.map((zone) => (
+              <div key={zone.id} className="rounded-xl border border-gray-100 dark:border-gray-700 p-3 space-y-1.5">
+                <p className="text-sm font-semibold text-gray-700 dark:text-gray-200">{zone.name}</p>
+                {Object.entries(SENSOR_METRICS).map(([metric, def]) => (
+                  <div key={metric} className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="w-24">{def.label}</span>
+                    <input
+                      type="number"
+                      value={rangeValue(zone.id, metric, 'min')}
+                      placeholder={def.range?.min ?? 'min'}
+                      onChange={(e) => setBound(zone.id, metric, 'min', e.target.value)}
+                      disabled={!canEdit}
+                      className={`${inputCls} w-20`}
+                    />
+                    –
+                    <input
+                      type="number"
+                      value={rangeValue(zone.id, metric, 'max')}
+                      placeholder={def.range?.max ?? 'max'}
+                      onChange={(e) => setBound(zone.id, metric, 'max', e.target.value)}
+                      disabled={!canEdit}
+                      className={`${inputCls} w-20`}
+                    />
+                    {def.unit}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {msg && (
+        <p className={`text-xs font-semibold ${msg.ok ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          {msg.text}
+        </p>
+      )}
+
+      {canEdit && layout.zones.length > 0 && (
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2.5 rounded-xl bg-green-600 hover:bg-green-700 text-white font-bold text-sm transition-colors cursor-pointer disabled:bg-gray-300"
+        >
+          {saving ? 'Saving...' : 'Save Ranges'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -4,29 +4,39 @@ import { useSearchParams } from 'react-router-dom';
 import { useFarmConfig } from '../contexts/FarmConfigContext';
 import { updateFarmConfig, inviteUserToFarm, getFarmRoot, getFarmConfig } from '../services/farmService';
 import { PLANS } from '../data/planTiers';
+import { isPlanLimitError } from '../data/entitlements';
+import { cropConfig } from '../data/cropConfig';
+import { DEFAULT_STAGE_MACHINES, validateStageMachine } from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { saveStageMachine, resetStageMachine, migrateLegacyBatchStages } from '../services/stageMachineService';
+import GrowSpaceSettings from './GrowSpaceSettings';
+import SensorSettings from './SensorSettings';
 
 /**
  * SettingsPage — Farm settings, branding, billing, and team management.
  *
- * Tabs: General | Billing | Team
+ * Tabs: General | Billing | Team | Production
  */
 export default function SettingsPage({ user, farmId, role }) {
   const [tab, setTab] = useState('general');
   const [searchParams] = useSearchParams();
   const { config, setConfig } = useFarmConfig();
 
-  // Show billing tab if redirected from Stripe checkout
+  // Show billing tab if redirected from Stripe checkout or an upgrade prompt
   useEffect(() => {
     const status = searchParams.get('status');
     if (status === 'success' || status === 'cancelled') {
       setTab('billing');
     }
+    const requested = searchParams.get('tab');
+    if (['general', 'billing', 'team', 'production'].includes(requested)) setTab(requested);
   }, [searchParams]);
 
   const tabs = [
     { id: 'general', label: 'General', icon: '⚙️' },
     { id: 'billing', label: 'Billing', icon: '💳' },
     { id: 'team',    label: 'Team',    icon: '👥' },
+    { id: 'production', label: 'Production', icon: '🌱' },
   ];
 
   return (
@@ -54,6 +64,7 @@ export default function SettingsPage({ user, farmId, role }) {
       {tab === 'general' && <GeneralSettings farmId={farmId} config={config} setConfig={setConfig} />}
       {tab === 'billing' && <BillingSettings farmId={farmId} user={user} />}
       {tab === 'team' && <TeamSettings farmId={farmId} user={user} role={role} />}
+      {tab === 'production' && <ProductionSettings farmId={farmId} user={user} role={role} />}
     </div>
   );
 }
@@ -279,6 +290,7 @@ function TeamSettings({ farmId, user, role }) {
   const [inviteRole, setInviteRole] = useState('employee');
   const [sending, setSending] = useState(false);
   const [sent, setSent] = useState(false);
+  const [inviteError, setInviteError] = useState(null);
 
   // ── Approved Users (Access Control) ─────────────────────────────────
   const [approvedEmails, setApprovedEmails] = useState([]);
@@ -356,6 +368,7 @@ function TeamSettings({ farmId, user, role }) {
   const handleInvite = async () => {
     if (!inviteEmail.trim()) return;
     setSending(true);
+    setInviteError(null);
     try {
       await inviteUserToFarm(farmId, { email: inviteEmail.trim(), role: inviteRole });
       setSent(true);
@@ -363,6 +376,7 @@ function TeamSettings({ farmId, user, role }) {
       setTimeout(() => setSent(false), 3000);
     } catch (err) {
       console.error('Invite failed:', err);
+      setInviteError(isPlanLimitError(err) ? err.message : 'Failed to send invite');
     }
     setSending(false);
   };
@@ -404,6 +418,9 @@ function TeamSettings({ farmId, user, role }) {
         >
           {sent ? '✓ Invite Sent!' : sending ? 'Sending...' : '📧 Send Invite'}
         </motion.button>
+        {inviteError && (
+          <p className="text-sm text-red-600 dark:text-red-400">🔒 {inviteError}</p>
+        )}
       </div>
 
       {/* Approved Users (Access Control) — admin only */}
@@ -488,3 +505,245 @@ function TeamSettings({ farmId, user, role }) {
     </div>
   );
 }
+
+// ── Production Settings ─────────────────────────────────────────────
+
+function describeExpectedDays(spec) {
+  if (spec == null) return 'untimed';
+  if (typeof spec === 'number') return null; // editable
+  if (spec.remainder) return 'rest of grow days';
+  if (spec.variety) return `variety ${spec.variety} (default ${spec.default ?? '—'})`;
+  return '—';
+}
+
+function ProductionSettings({ farmId, user, role }) {
+  const { machines, overrides } = useStageMachines();
+  const [category, setCategory] = useState('microgreens');
+  const [draft, setDraft] = useState(() => structuredClone(machines[category]));
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const [migrating, setMigrating] = useState(false);
+  const [migration, setMigration] = useState(null);
+  const isAdmin = role === 'admin';
+
+  // Reload the draft when switching category or when the saved definition changes
+  useEffect(() => {
+    setDraft(structuredClone(machines[category] || DEFAULT_STAGE_MACHINES.microgreens));
+  }, [machines, category]);
+
+  const errors = validateStageMachine(draft);
+  const isOverridden = !!overrides?.categories?.[category];
+
+  const updateStage = (stageId, patch) => {
+    setDraft((d) => ({ ...d, stages: d.stages.map((s) => (s.id === stageId ? { ...s, ...patch } : s)) }));
+  };
+
+  const toggleNext = (stage, toId) => {
+    const next = stage.next.includes(toId) ? stage.next.filter((id) => id !== toId) : [...stage.next, toId];
+    updateStage(stage.id, { next });
+  };
+
+  const flash = (ok, text) => {
+    setMsg({ ok, text });
+    setTimeout(() => setMsg(null), 3000);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveStageMachine(farmId, category, draft, user?.uid);
+      flash(true, 'Lifecycle saved');
+    } catch (err) {
+      flash(false, err.message);
+    }
+    setSaving(false);
+  };
+
+  const handleReset = async () => {
+    setSaving(true);
+    try {
+      await resetStageMachine(farmId, category, user?.uid);
+      flash(true, 'Reset to default lifecycle');
+    } catch (err) {
+      flash(false, err.message);
+    }
+    setSaving(false);
+  };
+
+  const handleMigrate = async (dryRun) => {
+    setMigrating(true);
+    setMigration(null);
+    try {
+      setMigration(await migrateLegacyBatchStages({ dryRun }));
+    } catch (err) {
+      setMigration({ error: err.message });
+    }
+    setMigrating(false);
+  };
+
+  const inputCls = 'px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-100 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5 space-y-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800 dark:text-gray-100">Batch Lifecycle</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Stages every batch view uses, in order. Transitions control where a batch may move next.
+          </p>
+        </div>
+
+        <div className="flex gap-1.5 flex-wrap">
+          {Object.keys(machines).map((cat) => (
+            <button
+              key={cat}
+              onClick={() => setCategory(cat)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-semibold cursor-pointer transition-colors ${
+                category === cat
+                  ? 'bg-green-600 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              {cropConfig[cat]?.label || cat}
+              {overrides?.categories?.[cat] ? ' •' : ''}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          {draft.stages.map((stage) => {
+            const daysNote = describeExpectedDays(stage.expectedDays);
+            return (
+              <div key={stage.id} className="rounded-xl border border-gray-100 dark:border-gray-700 p-3 space-y-2">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className="text-lg">{stage.emoji}</span>
+                  <input
+                    type="text"
+                    value={stage.label}
+                    onChange={(e) => updateStage(stage.id, { label: e.target.value })}
+                    disabled={!isAdmin}
+                    className={`${inputCls} flex-1 min-w-[140px]`}
+                  />
+                  <span className="text-[10px] font-mono text-gray-400">{stage.id}</span>
+                  {daysNote === null ? (
+                    <label className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                      <input
+                        type="number"
+                        min="0"
+                        value={stage.expectedDays}
+                        onChange={(e) => updateStage(stage.id, { expectedDays: Math.max(0, parseInt(e.target.value) || 0) })}
+                        disabled={!isAdmin}
+                        className={`${inputCls} w-16`}
+                      />
+                      days
+                    </label>
+                  ) : (
+                    <span className="text-xs text-gray-400 dark:text-gray-500">{daysNote}</span>
+                  )}
+                </div>
+                {!stage.terminal && (
+                  <div className="flex items-center gap-1.5 flex-wrap text-xs">
+                    <span className="text-gray-400 dark:text-gray-500">Next:</span>
+                    {draft.stages.filter((s) => s.id !== stage.id).map((s) => (
+                      <button
+                        key={s.id}
+                        onClick={() => isAdmin && toggleNext(stage, s.id)}
+                        disabled={!isAdmin}
+                        className={`px-2 py-0.5 rounded-full border cursor-pointer disabled:cursor-default ${
+                          stage.next.includes(s.id)
+                            ? 'bg-green-50 dark:bg-green-900/30 border-green-300 dark:border-green-700 text-green-700 dark:text-green-300'
+                            : 'border-gray-200 dark:border-gray-600 text-gray-400 dark:text-gray-500'
+                        }`}
+                      >
+                        {s.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {stage.fields?.length > 0 && (
+                  <p className="text-[11px] text-gray-400 dark:text-gray-500">
+                    Records: {stage.fields.map((f) => f.label).join(', ')}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="text-xs text-red-600 dark:text-red-400 list-disc pl-5">
+            {errors.map((e) => <li key={e}>{e}</li>)}
+          </ul>
+        )}
+        {msg && (
+          <p className={`text-xs font-semibold ${msg.ok ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+            {msg.text}
+          </p>
+        )}
+
+        {isAdmin && (
+          <div className="flex gap-2">
+            <motion.button
+              whileTap={{ scale: 0.97 }}
+              onClick={handleSave}
+              disabled={saving || errors.length > 0}
+              className="px-6 py-2.5 rounded-xl bg-green-600 hover:bg-green-700 text-white font-bold text-sm transition-colors cursor-pointer disabled:bg-gray-300"
+            >
+              {saving ? 'Saving...' : 'Save Lifecycle'}
+            </motion.button>
+            {isOverridden && (
+              <button
+                onClick={handleReset}
+                disabled={saving}
+                className="px-4 py-2.5 rounded-xl bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-semibold text-sm cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600"
+              >
+                Reset to Default
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <GrowSpaceSettings farmId={farmId} user={user} role={role} />
+
+      <SensorSettings farmId={farmId} user={user} role={role} />
+
+      {isAdmin && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-5 space-y-3">
+          <h3 className="text-sm font-bold text-gray-800 dark:text-gray-100">Migrate Legacy Stages</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Rewrites batches that still use old stage names (sown, germinating, growing, …) to the lifecycle above.
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleMigrate(true)}
+              disabled={migrating}
+              className="px-4 py-2 rounded-xl bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 font-semibold text-sm cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+            >
+              Preview
+            </button>
+            <button
+              onClick={() => handleMigrate(false)}
+              disabled={migrating}
+              className="px-4 py-2 rounded-xl bg-amber-500 hover:bg-amber-600 text-white font-bold text-sm cursor-pointer disabled:opacity-50"
+            >
+              {migrating ? 'Working...' : 'Migrate Batches'}
+            </button>
+          </div>
+          {migration?.error && <p className="text-xs text-red-600 dark:text-red-400">{migration.error}</p>}
+          {migration && !migration.error && (
+            <div className="text-xs text-gray-600 dark:text-gray-300 space-y-1">
+              <p>
+                {migration.dryRun ? 'Would migrate' : 'Migrated'} {migration.migrated} of {migration.total} batches
+                {migration.unmapped.length > 0 && ` · ${migration.unmapped.length} with unknown stages`}
+              </p>
+              {Object.entries(migration.breakdown).map(([k, n]) => (
+                <p key={k} className="font-mono text-gray-400">{k}: {n}</p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,18 +8,11 @@
 
 import { useState, useMemo, useCallback } from 'react';
 import { useStatsCollection } from '../hooks/useLearningEngine';
+import { useYieldResolver } from '../hooks/useYieldResolver';
 import TrustBadge from './ui/TrustBadge';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
-/** Parse yield string like "8-10 oz" → lower bound number (8). */
-function parseYield(str) {
-  if (!str) return 0;
-  if (typeof str === 'number') return str;
-  const m = String(str).match(/([\d.]+)/);
-  return m ? parseFloat(m[1]) : 0;
-}
-
 /** Add days to a YYYY-MM-DD string, return YYYY-MM-DD. */
 function addDays(dateStr, days) {
   const d = new Date(dateStr + 'T12:00:00');
@@ -46,8 +39,8 @@ const BUFFER_DEFAULT = 10; // 10% buffer
 
 // ── Calculation Engine ──────────────────────────────────────────────────────
 
-function calculateTimeline(crop, totalOz, deliveryDate, bufferPercent) {
-  const yieldPerTray = parseYield(crop.yieldPerTray);
+function calculateTimeline(crop, yieldInfo, totalOz, deliveryDate, bufferPercent) {
+  const { yieldPerTray } = yieldInfo;
   if (!yieldPerTray || !totalOz || !deliveryDate) return null;
 
   const traysNeeded = Math.ceil((totalOz / yieldPerTray) * (1 + bufferPercent / 100));
@@ -72,6 +65,8 @@ function calculateTimeline(crop, totalOz, deliveryDate, bufferPercent) {
     category: crop.category,
     totalOz,
     yieldPerTray,
+    yieldSource: yieldInfo.source,
+    yieldSourceLabel: yieldInfo.sourceLabel,
     traysNeeded,
     bufferPercent,
     deliveryDate,
@@ -109,6 +104,9 @@ function TimelineCard({ tl, onRemove }) {
           <p className="text-sm text-gray-500 dark:text-gray-400">
             {tl.totalOz}oz needed → {tl.traysNeeded} trays ({tl.bufferPercent}% buffer)
           </p>
+          <p className="text-xs text-gray-400 dark:text-gray-500">
+            {tl.yieldPerTray} oz/tray · {tl.yieldSourceLabel}
+          </p>
         </div>
         {onRemove && (
           <button onClick={onRemove} className="text-gray-400 hover:text-red-500 text-lg cursor-pointer">✕</button>
@@ -148,9 +146,10 @@ function normalizeCropName(name) {
 
 const TREND_ARROWS = { increasing: '↑', decreasing: '↓', stable: '→' };
 
-function CropRow({ entry, profiles, onChange, onRemove, cropDemand }) {
+function CropRow({ entry, profiles, onChange, onRemove, cropDemand, resolveYield }) {
   // Try to find EWMA demand for the selected crop
   const selectedProfile = profiles.find((p) => p.id === entry.cropId);
+  const yieldInfo = selectedProfile ? resolveYield({ profileId: selectedProfile.id, name: selectedProfile.name }) : null;
   const normalizedName = selectedProfile ? normalizeCropName(selectedProfile.name) : '';
   const demand = normalizedName ? cropDemand?.[normalizedName] : null;
   const showSuggestion = demand && demand.confidence >= 40;
@@ -200,9 +199,9 @@ function CropRow({ entry, profiles, onChange, onRemove, cropDemand }) {
           <span className="text-gray-400 dark:text-gray-500">
             ({demand.customers} customer{demand.customers !== 1 ? 's' : ''})
           </span>
-          {demand.confidence >= 70 && selectedProfile?.yieldPerTray && (
-            <span className="text-green-600 dark:text-green-400 font-semibold">
-              → ~{Math.ceil(demand.ewma / parseYield(selectedProfile.yieldPerTray) * (1 + BUFFER_DEFAULT / 100))} trays
+          {demand.confidence >= 70 && yieldInfo && (
+            <span className="text-green-600 dark:text-green-400 font-semibold" title={`Yield source: ${yieldInfo.sourceLabel}`}>
+              → ~{Math.ceil(demand.ewma / yieldInfo.yieldPerTray * (1 + BUFFER_DEFAULT / 100))} trays
             </span>
           )}
         </div>
@@ -230,6 +229,7 @@ export default function SowingCalculator({
 
   // Learning Engine: aggregate EWMA demand per crop (single subscription)
   const { ccsStats, yieldProfiles } = useStatsCollection(farmId);
+  const { resolveYield } = useYieldResolver();
   const cropDemand = useMemo(() => {
     const agg = {};
     for (const s of ccsStats) {
@@ -333,10 +333,11 @@ export default function SowingCalculator({
       .map((r) => {
         const crop = activeProfiles.find((p) => p.id === r.cropId);
         if (!crop) return null;
-        return calculateTimeline(crop, parseFloat(r.ozNeeded), deliveryDate, bufferPercent);
+        const yieldInfo = resolveYield({ profileId: crop.id, name: crop.name });
+        return calculateTimeline(crop, yieldInfo, parseFloat(r.ozNeeded), deliveryDate, bufferPercent);
       })
       .filter(Boolean);
-  }, [rows, activeProfiles, deliveryDate, bufferPercent]);
+  }, [rows, activeProfiles, deliveryDate, bufferPercent, resolveYield]);
 
   // Generate batch records
   const generateBatches = useCallback(async () => {
@@ -371,7 +372,9 @@ export default function SowingCalculator({
         ewmaPredictedQty: demandData?.ewma ? Math.round(demandData.ewma) : null,
         ewmaConfidence: demandData?.confidence ?? null,
         bufferUsed: tl.bufferPercent,
-        notes: `Auto-generated: ${tl.totalOz}oz target, ${tl.bufferPercent}% buffer${demandData?.ewma ? ` (EWMA: ~${Math.round(demandData.ewma)})` : ''}`,
+        yieldPerTray: tl.yieldPerTray,
+        yieldSource: tl.yieldSource,
+        notes: `Auto-generated: ${tl.totalOz}oz target, ${tl.yieldPerTray} oz/tray (${tl.yieldSourceLabel}), ${tl.bufferPercent}% buffer${demandData?.ewma ? ` (EWMA: ~${Math.round(demandData.ewma)})` : ''}`,
       });
       count++;
     }
@@ -496,6 +499,7 @@ export default function SowingCalculator({
               onChange={(updated) => updateRow(i, updated)}
               onRemove={() => removeRow(i)}
               cropDemand={cropDemand}
+              resolveYield={resolveYield}
             />
           ))}
         </div>
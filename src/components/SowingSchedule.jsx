@@ -1,9 +1,17 @@
 import { useState, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { SowingSkeleton } from './ui/Skeletons';
+import UnmappedProductsBanner from './ui/UnmappedProductsBanner';
+import HarvestPlanChanges from './HarvestPlanChanges';
 import { cropConfig, getEstimatedHarvest } from '../data/cropConfig';
 import { queryDemand } from '../utils/demandUtils';
 import { calculateSowingNeeds } from '../utils/sowingUtils';
+import { useYieldResolver } from '../hooks/useYieldResolver';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+import { useProductMappings } from '../hooks/useProductMappings';
+import { getStageMachine, getStageLabel, PLANNED_STAGE } from '../data/stageMachine';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { hasGrowSpace, batchOccupancy, createCapacityLedger, capacityForecast } from '../data/growSpace';
 
 const URGENCY_STYLE = {
   critical: 'bg-red-100 text-red-700 border-red-200',
@@ -22,7 +30,18 @@ function barColor(days) {
 
 function today() { return new Date().toISOString().split('T')[0]; }
 
-export default function SowingSchedule({ orders = [], activeBatches = [], onAddBatch, loading = false }) {
+function shortDate(dateStr) {
+  return new Date(dateStr + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function usageColor(used, slots) {
+  if (used > slots) return 'bg-red-500';
+  if (used >= slots * 0.9) return 'bg-amber-400';
+  return 'bg-green-500';
+}
+
+export default function SowingSchedule({ orders = [], activeBatches = [], onAddBatch, loading = false, farmId, canApprovePlans = false }) {
+  const { machines } = useStageMachines();
   const [tab,       setTab]       = useState('recs');
   const [dismissed, setDismissed] = useState([]);
   const [snoozed,   setSnoozed]   = useState(() => {
@@ -38,10 +57,21 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
   });
   const [planting, setPlanting] = useState(null); // cropId currently being planted
 
-  const demandData  = useMemo(() => queryDemand(orders),                        [orders]);
-  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches), [demandData, activeBatches]);
+  const { mappingIndex } = useProductMappings();
+  const { resolveYield } = useYieldResolver();
+  const { layout: growSpace } = useGrowSpace();
+  const demandData  = useMemo(() => queryDemand(orders, mappingIndex), [orders, mappingIndex]);
+  const sowingNeeds = useMemo(() => calculateSowingNeeds(demandData, activeBatches, resolveYield, { layout: growSpace, machines }), [demandData, activeBatches, resolveYield, growSpace, machines]);
+  const forecast = useMemo(() => {
+    if (!hasGrowSpace(growSpace)) return null;
+    const day = today();
+    const ledger = createCapacityLedger(growSpace, activeBatches.map((b) => batchOccupancy(machines, b, day)), { today: day });
+    return capacityForecast(ledger, { days: 14 });
+  }, [growSpace, activeBatches, machines]);
   if (loading) return <SowingSkeleton />;
 
+  const overbookedDays = (forecast || []).filter((d) => d.overbooked.length > 0);
+
   const visible = sowingNeeds.filter(
     (n) => !dismissed.includes(n.cropId) && !snoozed.includes(n.cropId)
   );
@@ -57,7 +87,9 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
     setPlanting(need.cropId);
     try {
       const catCfg      = cropConfig[need.cropCategory];
-      const sowDate     = today();
+      // No room today → plan the batch for the day the recommender found space
+      const shifted     = need.capacity?.shiftDays > 0;
+      const sowDate     = shifted ? need.capacity.sowDate : today();
       const harvestDates = getEstimatedHarvest(need.cropId, sowDate);
       await onAddBatch({
         cropCategory:          need.cropCategory,
@@ -66,7 +98,7 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
         quantity:              need.recommendedQty || 1,
         unit:                  catCfg?.unit || need.batchUnit,
         sowDate,
-        stage:                 catCfg?.stages[0]?.id || 'germination',
+        stage:                 shifted ? PLANNED_STAGE : getStageMachine(machines, need.cropCategory).sowStage,
         estimatedHarvestStart: harvestDates?.harvestStart.toISOString().split('T')[0] || sowDate,
         estimatedHarvestEnd:   harvestDates?.harvestEnd.toISOString().split('T')[0]   || sowDate,
         harvestedAt:           null,
@@ -86,7 +118,7 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
         <div>
           <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Sowing Schedule</h2>
           <p className="text-sm text-gray-500 dark:text-gray-400">
-            {demandData.length} crops tracked · {sowingNeeds.filter(n => n.urgency !== 'healthy').length} below target
+            {demandData.filter((d) => !d.unmapped).length} crops tracked · {sowingNeeds.filter(n => n.urgency !== 'healthy').length} below target
           </p>
         </div>
         <div className="flex gap-2">
@@ -108,9 +140,26 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
         </div>
       </div>
 
+      <HarvestPlanChanges farmId={farmId} canApprove={canApprovePlans} />
+
+      <UnmappedProductsBanner names={demandData.filter((d) => d.unmapped).map((d) => d.cropName)} />
+
+      {overbookedDays.length > 0 && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-700 rounded-xl px-4 py-3 text-sm text-red-700 dark:text-red-300">
+          <p className="font-semibold">⚠️ Grow space overbooked on {overbookedDays.length} day{overbookedDays.length !== 1 ? 's' : ''}</p>
+          <p className="text-xs mt-0.5">
+            {overbookedDays.slice(0, 3).map((d) => `${shortDate(d.date)}: ${d.overbooked.map((o) => `${getStageLabel(machines, o.category, o.stageId)} +${o.units}`).join(', ')}`).join(' · ')}
+          </p>
+        </div>
+      )}
+
       {/* Tab nav */}
       <div className="flex gap-2 mb-5">
-        {[{ key: 'recs', label: '🌱 Recommendations' }, { key: 'pipeline', label: '📊 Pipeline' }].map((t) => (
+        {[
+          { key: 'recs', label: '🌱 Recommendations' },
+          { key: 'pipeline', label: '📊 Pipeline' },
+          ...(forecast ? [{ key: 'space', label: '📦 Space' }] : []),
+        ].map((t) => (
           <button
             key={t.key}
             onClick={() => setTab(t.key)}
@@ -168,6 +217,18 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
 
               <p className="text-xs text-gray-500 dark:text-gray-400 mb-3 leading-relaxed">{need.reason}</p>
 
+              {need.capacity?.shortBy > 0 && (
+                <p className="text-xs font-semibold text-red-600 dark:text-red-400 mb-3">
+                  📦 Only room for {need.recommendedQty} of {need.capacity.neededQty} {need.batchUnit}s
+                  {need.capacity.conflicts[0] && ` — ${need.capacity.conflicts[0].stageLabel} full ${shortDate(need.capacity.conflicts[0].date)}`}
+                </p>
+              )}
+              {need.capacity?.shiftDays > 0 && need.capacity.shortBy === 0 && (
+                <p className="text-xs font-semibold text-amber-700 dark:text-amber-400 mb-3">
+                  📦 No room today — sow {shortDate(need.capacity.sowDate)} instead
+                </p>
+              )}
+
               <div className="flex gap-2 flex-wrap">
                 <motion.button
                   whileTap={{ scale: 0.97 }}
@@ -175,7 +236,9 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
                   disabled={planting === need.cropId}
                   className="flex-1 min-w-[100px] py-2.5 bg-green-600 text-white font-bold rounded-xl text-sm hover:bg-green-700 disabled:opacity-50 cursor-pointer transition-colors"
                 >
-                  {planting === need.cropId ? 'Planting…' : '🌱 Plant Now'}
+                  {planting === need.cropId
+                    ? 'Planting…'
+                    : need.capacity?.shiftDays > 0 ? `📅 Plan for ${shortDate(need.capacity.sowDate)}` : '🌱 Plant Now'}
                 </motion.button>
                 <button
                   onClick={() => handleSnooze(need.cropId)}
@@ -241,6 +304,44 @@ export default function SowingSchedule({ orders = [], activeBatches = [], onAddB
           </div>
         </div>
       )}
+
+      {/* ── Grow space tab ── */}
+      {tab === 'space' && forecast && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-5">
+          <h3 className="font-bold text-gray-700 dark:text-gray-200 text-sm mb-1">Shelf Space — Next 14 Days</h3>
+          <p className="text-xs text-gray-400 dark:text-gray-500 mb-4">Active and planned batches, projected through their stages. Zones are set up under Settings → Production.</p>
+          <div className="space-y-3">
+            {forecast.map((day) => (
+              <div key={day.date}>
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="font-semibold text-gray-700 dark:text-gray-200">{shortDate(day.date)}</span>
+                  {day.overbooked.length > 0 && (
+                    <span className="font-bold text-red-600 dark:text-red-400">
+                      Overbooked: {day.overbooked.map((o) => `${getStageLabel(machines, o.category, o.stageId)} +${o.units}`).join(', ')}
+                    </span>
+                  )}
+                </div>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                  {day.zones.map((z) => (
+                    <div key={z.zoneId}>
+                      <div className="flex justify-between text-[11px] text-gray-500 dark:text-gray-400">
+                        <span className="truncate">{z.name}</span>
+                        <span>{z.used}/{z.slots}</span>
+                      </div>
+                      <div className="h-2 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                          className={`h-full rounded-full ${usageColor(z.used, z.slots)}`}
+                          style={{ width: `${z.slots > 0 ? Math.min(100, (z.used / z.slots) * 100) : 0}%` }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
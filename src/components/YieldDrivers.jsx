@@ -0,0 +1,104 @@
+import { useMemo } from 'react';
+import { analyzeYieldDrivers, strengthLabel, MIN_FACTOR_SAMPLES } from '../data/yieldDrivers';
+import { useStageMachines } from '../hooks/useStageMachines';
+import { useGrowSpace } from '../hooks/useGrowSpace';
+
+/**
+ * YieldDrivers — which inputs and conditions track with one crop's yield.
+ *
+ * Props: batches (that crop's, any stage), members (team, for crew names)
+ *
+ * Ranks seed lot, vendor, medium, density, zone, crew and grow conditions
+ * by how strongly they go with yield per tray and with harvests running
+ * early or late (data/yieldDrivers.js). Category factors list each group's
+ * average so the better lot or medium is obvious.
+ */
+
+const STRENGTH_CLS = {
+  strong:   'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+  moderate: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300',
+  weak:     'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400',
+};
+
+function Strength({ value, signed }) {
+  const label = strengthLabel(value);
+  if (!label) return <span className="text-gray-300 dark:text-gray-600">—</span>;
+  const arrow = signed && label !== 'weak' ? (value > 0 ? ' ↑' : ' ↓') : '';
+  return (
+    <span className={`px-1.5 py-0.5 rounded-full text-[10px] font-bold ${STRENGTH_CLS[label]}`}>
+      {label}{arrow}
+    </span>
+  );
+}
+
+const fmtDays = (d) => (d == null ? '—' : `${d > 0 ? '+' : ''}${d}d`);
+
+export default function YieldDrivers({ batches = [], members = [] }) {
+  const { machines } = useStageMachines();
+  const { layout } = useGrowSpace();
+
+  const analysis = useMemo(() => {
+    const names = new Map(members.map((m) => [m.id, m.displayName || m.email?.split('@')[0] || m.id]));
+    return analyzeYieldDrivers(batches, {
+      machines,
+      memberName: (uid) => names.get(uid) || uid,
+      zoneName: (id) => layout.zones.find((z) => z.id === id)?.name || id,
+    });
+  }, [batches, members, machines, layout]);
+
+  if (analysis.sampleSize === 0) {
+    return <p className="text-xs text-gray-400 dark:text-gray-500">No harvests with a recorded yield yet.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        {analysis.sampleSize} harvest{analysis.sampleSize !== 1 ? 's' : ''} · avg {analysis.avgYieldPerTray} oz/tray
+        {analysis.avgGrowDayDeviation != null && ` · ${fmtDays(analysis.avgGrowDayDeviation)} vs expected grow days`}
+      </p>
+
+      {analysis.factors.length === 0 ? (
+        <p className="text-xs text-gray-400 dark:text-gray-500">
+          Not enough variety yet — a factor needs {MIN_FACTOR_SAMPLES}+ harvests with it recorded, in at least two groups.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {analysis.factors.map((f) => (
+            <div key={f.id} className="rounded-lg border border-gray-100 dark:border-gray-700 p-2">
+              <div className="flex items-center gap-2 text-xs">
+                <span className="flex-1 font-semibold text-gray-700 dark:text-gray-200">
+                  {f.label} <span className="font-normal text-gray-400">({f.n})</span>
+                </span>
+                <span className="text-gray-400">yield</span>
+                <Strength value={f.yield} signed={f.kind === 'numeric'} />
+                <span className="text-gray-400">days</span>
+                <Strength value={f.growDays} signed={f.kind === 'numeric'} />
+              </div>
+              {f.kind === 'category' ? (
+                <div className="mt-1 space-y-0.5">
+                  {f.groups.map((g) => (
+                    <div key={g.key} className="flex items-center gap-2 text-[11px] text-gray-500 dark:text-gray-400">
+                      <span className="flex-1 truncate">{g.label} <span className="text-gray-400">×{g.n}</span></span>
+                      <span className={g.yieldDiff > 0 ? 'text-green-600' : g.yieldDiff < 0 ? 'text-red-500' : ''}>
+                        {g.meanYield} oz/tray
+                      </span>
+                      <span className="w-10 text-right">{fmtDays(g.meanDeviation)}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="mt-1 text-[11px] text-gray-500 dark:text-gray-400">
+                  {f.range.min}–{f.range.max} {f.unit}
+                  {f.yield != null && Math.abs(f.yield) >= 0.3 && ` · higher goes with ${f.yield > 0 ? 'more' : 'less'} yield`}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="text-[10px] text-gray-400 dark:text-gray-500">
+        Correlations, not causes — check a strong factor with a side-by-side trial before changing practice.
+      </p>
+    </div>
+  );
+}
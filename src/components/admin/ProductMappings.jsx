@@ -0,0 +1,367 @@
+/**
+ * ProductMappings.jsx — Map sold products to the crops that fill them.
+ *
+ * Lists Shopify and catalog products (unmapped first, filtered to unmapped
+ * by default). Each product maps to one crop or a mix recipe of crops in
+ * parts by weight, with an optional weight per unit and per-variant weights
+ * ("2 oz" vs "8 oz" clamshells). Planners skip and flag anything unmapped.
+ */
+
+import { useState, useMemo } from 'react';
+import { useProductMappings } from '../../hooks/useProductMappings';
+import { getAllVarieties, getVarietyById } from '../../data/cropConfig';
+import {
+  cleanShopifyId, productTitle, isMixMapping, isProductMapped,
+  mixRecipeShares, validateCropMapping, suggestCropMapping,
+} from '../../data/productMapping';
+
+const VARIETIES = getAllVarieties();
+
+const inputCls = 'px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-sm text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+function CropSelect({ value, onChange, className = '' }) {
+  const groups = useMemo(() => {
+    const map = {};
+    for (const v of VARIETIES) (map[v.categoryLabel] ||= []).push(v);
+    return Object.entries(map);
+  }, []);
+
+  return (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={`${inputCls} ${className}`}>
+      <option value="">Select crop…</option>
+      {groups.map(([label, varieties]) => (
+        <optgroup key={label} label={label}>
+          {varieties.map((v) => <option key={v.id} value={v.id}>{v.name}</option>)}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
+
+function describeMapping(mapping) {
+  if (!mapping) return null;
+  if (isMixMapping(mapping)) {
+    return mixRecipeShares(mapping)
+      .map((c) => `${getVarietyById(c.cropId)?.name || c.cropId} ${Math.round(c.share * 100)}%`)
+      .join(' · ');
+  }
+  return getVarietyById(mapping.cropId)?.name || mapping.cropId;
+}
+
+/** Editable form state from a product doc. */
+function formFromProduct(product) {
+  const m = product.cropMapping || {};
+  const variantOz = {};
+  for (const [id, vm] of Object.entries(product.variantMappings || {})) {
+    if (vm?.ozPerUnit) variantOz[id] = String(vm.ozPerUnit);
+  }
+  return {
+    mode: isMixMapping(m) ? 'mix' : 'single',
+    cropId: m.cropId || '',
+    components: isMixMapping(m)
+      ? m.components.map((c) => ({ cropId: c.cropId, parts: String(c.parts ?? c.percent) }))
+      : [{ cropId: '', parts: '1' }, { cropId: '', parts: '1' }],
+    ozPerUnit: m.ozPerUnit ? String(m.ozPerUnit) : '',
+    variantOz,
+  };
+}
+
+/** Form state → { mapping, variantMappings } ready for saveProductCropMapping. */
+function mappingFromForm(form, product) {
+  const mapping = form.mode === 'mix'
+    ? { components: form.components.map((c) => ({ cropId: c.cropId, parts: Number(c.parts) || 0 })) }
+    : { cropId: form.cropId };
+  if (form.ozPerUnit !== '') mapping.ozPerUnit = Number(form.ozPerUnit);
+
+  // Keep overrides that set a crop; only rewrite the weight from the form.
+  const variantMappings = {};
+  for (const v of product.variants || []) {
+    const id = cleanShopifyId(v.shopifyVariantId || v.id);
+    if (!id) continue;
+    const existing = { ...(product.variantMappings?.[id] || {}) };
+    delete existing.ozPerUnit;
+    const oz = form.variantOz[id];
+    const next = oz ? { ...existing, ozPerUnit: Number(oz) } : existing;
+    if (Object.keys(next).length) variantMappings[id] = next;
+  }
+  return { mapping, variantMappings };
+}
+
+// ── Product row ─────────────────────────────────────────────────────────────
+
+function ProductRow({ product, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => formFromProduct(product));
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const mapped = isProductMapped(product);
+  const title = productTitle(product) || 'Untitled product';
+  const suggestion = !mapped ? suggestCropMapping(title) : null;
+  const variants = (product.variants || []).filter((v) => cleanShopifyId(v.shopifyVariantId || v.id));
+
+  const { mapping, variantMappings } = mappingFromForm(form, product);
+  const errors = [
+    ...validateCropMapping(mapping),
+    ...Object.values(variantMappings).flatMap((m) => validateCropMapping(m, { partial: true })),
+  ];
+
+  const totalParts = form.components.reduce((sum, c) => sum + (Number(c.parts) || 0), 0);
+  const shares = form.components.map((c) => (totalParts > 0 ? (Number(c.parts) || 0) / totalParts : null));
+
+  const update = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const updateComponent = (i, patch) => setForm((f) => ({
+    ...f,
+    components: f.components.map((c, j) => (j === i ? { ...c, ...patch } : c)),
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(product.source, product.id, mapping, variantMappings);
+      setOpen(false);
+    } catch (err) {
+      setSaveError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = async () => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(product.source, product.id, null, {});
+      setForm(formFromProduct({ ...product, cropMapping: null, variantMappings: {} }));
+    } catch (err) {
+      setSaveError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const acceptSuggestion = () => {
+    update({ mode: 'single', cropId: suggestion.cropId });
+    setOpen(true);
+  };
+
+  return (
+    <div className={`rounded-xl border bg-white dark:bg-gray-800 ${
+      mapped ? 'border-gray-200 dark:border-gray-700' : 'border-amber-300 dark:border-amber-700'
+    }`}>
+      <div className="flex items-center gap-3 px-4 py-3">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <p className="font-semibold text-gray-900 dark:text-white truncate">{title}</p>
+            <span className="text-[10px] uppercase tracking-wide px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-300">
+              {product.source === 'shopify' ? 'Shopify' : 'Catalog'}
+            </span>
+          </div>
+          <p className={`text-xs mt-0.5 ${mapped ? 'text-gray-500 dark:text-gray-400' : 'text-amber-600 dark:text-amber-400'}`}>
+            {mapped
+              ? `🌱 ${describeMapping(product.cropMapping) || 'Mapped per variant'}${product.cropMapping?.ozPerUnit ? ` · ${product.cropMapping.ozPerUnit} oz/unit` : ''}`
+              : '⚠️ Not mapped — left out of harvest and sowing plans'}
+          </p>
+        </div>
+        {suggestion && !open && (
+          <button
+            onClick={acceptSuggestion}
+            className="text-xs px-2.5 py-1.5 rounded-lg bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300 hover:bg-green-100 dark:hover:bg-green-900/50 cursor-pointer"
+          >
+            Suggested: {getVarietyById(suggestion.cropId)?.name} — Use
+          </button>
+        )}
+        <button
+          onClick={() => setOpen((o) => !o)}
+          className="text-sm px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer"
+        >
+          {open ? 'Close' : mapped ? 'Edit' : 'Map'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="border-t border-gray-100 dark:border-gray-700 px-4 py-4 space-y-4">
+          <div className="flex gap-2">
+            {[['single', 'Single crop'], ['mix', 'Mix recipe']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => update({ mode: key })}
+                className={`text-sm px-3 py-1.5 rounded-lg cursor-pointer ${
+                  form.mode === key
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {form.mode === 'single' ? (
+            <CropSelect value={form.cropId} onChange={(cropId) => update({ cropId })} className="w-full sm:w-72" />
+          ) : (
+            <div className="space-y-2">
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Parts by weight — 2 : 1 : 1 is half the first crop and a quarter of each other.
+              </p>
+              {form.components.map((c, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <CropSelect value={c.cropId} onChange={(cropId) => updateComponent(i, { cropId })} className="flex-1" />
+                  <input
+                    type="number" min="0" step="0.5"
+                    value={c.parts}
+                    onChange={(e) => updateComponent(i, { parts: e.target.value })}
+                    className={`${inputCls} w-20`}
+                    aria-label="Parts by weight"
+                  />
+                  <span className="text-sm text-gray-500 w-12 text-right">
+                    {shares[i] != null ? `${Math.round(shares[i] * 100)}%` : '—'}
+                  </span>
+                  <button
+                    onClick={() => update({ components: form.components.filter((_, j) => j !== i) })}
+                    disabled={form.components.length <= 1}
+                    className="text-gray-400 hover:text-red-500 disabled:opacity-30 cursor-pointer"
+                    aria-label="Remove component"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => update({ components: [...form.components, { cropId: '', parts: '1' }] })}
+                className="text-sm text-green-600 dark:text-green-400 hover:underline cursor-pointer"
+              >
+                + Add crop
+              </button>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            Oz per unit sold
+            <input
+              type="number" min="0" step="0.1"
+              value={form.ozPerUnit}
+              onChange={(e) => update({ ozPerUnit: e.target.value })}
+              placeholder="qty = oz"
+              className={`${inputCls} w-28`}
+            />
+          </label>
+
+          {variants.length > 1 && (
+            <div>
+              <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">
+                Variant weights (override oz per unit)
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {variants.map((v) => {
+                  const id = cleanShopifyId(v.shopifyVariantId || v.id);
+                  return (
+                    <label key={id} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300">
+                      <span className="truncate">{v.title || v.sku || id}</span>
+                      <input
+                        type="number" min="0" step="0.1"
+                        value={form.variantOz[id] || ''}
+                        onChange={(e) => update({ variantOz: { ...form.variantOz, [id]: e.target.value } })}
+                        placeholder={form.ozPerUnit || 'oz'}
+                        className={`${inputCls} w-24`}
+                      />
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {(errors.length > 0 || saveError) && (
+            <ul className="text-sm text-red-600 dark:text-red-400 list-disc pl-5">
+              {errors.map((e) => <li key={e}>{e}</li>)}
+              {saveError && <li>{saveError}</li>}
+            </ul>
+          )}
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleSave}
+              disabled={saving || errors.length > 0}
+              className="px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700 disabled:opacity-50 cursor-pointer"
+            >
+              {saving ? 'Saving…' : 'Save mapping'}
+            </button>
+            {product.cropMapping && (
+              <button
+                onClick={handleClear}
+                disabled={saving}
+                className="px-4 py-2 rounded-lg text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 cursor-pointer"
+              >
+                Remove mapping
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Screen ──────────────────────────────────────────────────────────────────
+
+export default function ProductMappings({ onSaveMapping }) {
+  const { products, unmappedProducts, loading } = useProductMappings();
+  const [unmappedOnly, setUnmappedOnly] = useState(true);
+  const [search, setSearch] = useState('');
+
+  const visible = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return (unmappedOnly ? unmappedProducts : products)
+      .filter((p) => !term || productTitle(p).toLowerCase().includes(term))
+      .sort((a, b) => (isProductMapped(a) - isProductMapped(b)) || productTitle(a).localeCompare(productTitle(b)));
+  }, [products, unmappedProducts, unmappedOnly, search]);
+
+  return (
+    <div className="p-4 md:p-6 max-w-4xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center gap-2">
+          🧭 Product Mapping
+        </h1>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+          Tell the planners which crops each product is grown from. Unmapped products are left out of harvest and sowing plans.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <span className={`text-sm font-semibold ${unmappedProducts.length ? 'text-amber-600 dark:text-amber-400' : 'text-green-600 dark:text-green-400'}`}>
+          {unmappedProducts.length} of {products.length} unmapped
+        </span>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search products…"
+          className={`${inputCls} flex-1 min-w-[12rem]`}
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+          <input type="checkbox" checked={unmappedOnly} onChange={(e) => setUnmappedOnly(e.target.checked)} />
+          Unmapped only
+        </label>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading products…</p>
+      ) : visible.length === 0 ? (
+        <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+          <p className="text-3xl mb-2">{unmappedOnly ? '✅' : '🛍️'}</p>
+          <p className="text-sm">
+            {unmappedOnly ? 'Every product is mapped to a crop.' : 'No products found. Sync Shopify or add catalog products first.'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {visible.map((p) => (
+            <ProductRow key={`${p.source}:${p.id}`} product={p} onSave={onSaveMapping} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import {
   Line, ComposedChart, Legend,
 } from 'recharts';
 import { COST_CATEGORIES } from '../../services/costService';
+import LaborReport from './LaborReport';
 
 const fmtFull$ = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 const fmt$ = (n) => n >= 1000 ? `$${(n / 1000).toFixed(1)}k` : `$${n.toFixed(0)}`;
@@ -42,6 +43,7 @@ export default function CostTracking({
   costs = [], shopifyOrders = [], cropProfiles = [],
   onAddCost, onEditCost, onRemoveCost,
   onEditCropProfile,
+  laborEntries = [], batches = [], laborRate = 0, onSaveLaborRate,
   loading = false,
 }) {
   const [tab, setTab] = useState('overview');
@@ -179,6 +181,7 @@ export default function CostTracking({
     { key: 'list', label: '📋 Cost List' },
     { key: 'trends', label: '📈 Trends' },
     { key: 'per-crop', label: '🌱 Per Crop' },
+    { key: 'labor', label: '⏱ Labor' },
   ];
 
   return (
@@ -467,6 +470,16 @@ export default function CostTracking({
           )}
         </div>
       )}
+
+      {/* ── 6. Labor ── */}
+      {tab === 'labor' && (
+        <LaborReport
+          laborEntries={laborEntries}
+          batches={batches}
+          laborRate={laborRate}
+          onSaveLaborRate={onSaveLaborRate}
+        />
+      )}
     </div>
   );
 }
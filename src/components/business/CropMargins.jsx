@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { COST_PARTS } from '../../data/batchCosting';
+
+/**
+ * CropMargins — gross margin per crop from batch cost roll-ups
+ * (data/batchCosting.js). Rendered by ProductAnalytics.
+ *
+ * Props: crops (marginByCrop rows), batchRows (batchCosting rows)
+ *
+ * Clicking a crop shows where its cost went and its latest batches.
+ */
+
+const fmtFull$ = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const fmtPct = (p) => (p == null ? '—' : `${p.toFixed(1)}%`);
+const pctColor = (p) => (p == null ? 'text-gray-400' : p >= 50 ? 'text-green-600' : p >= 0 ? 'text-amber-600' : 'text-red-500');
+
+function CropDetail({ crop, rows }) {
+  const parts = COST_PARTS.filter((p) => crop.costs[p.id] > 0);
+  return (
+    <div className="px-2 pb-3 space-y-2">
+      <div className="flex flex-wrap gap-1.5">
+        {parts.map((p) => (
+          <span key={p.id} className="px-2 py-1 rounded-lg bg-gray-50 dark:bg-gray-900 text-[11px] text-gray-600 dark:text-gray-300">
+            {p.label} <strong>{fmtFull$(crop.costs[p.id])}</strong>
+            <span className="text-gray-400"> · {crop.cost > 0 ? Math.round((crop.costs[p.id] / crop.cost) * 100) : 0}%</span>
+          </span>
+        ))}
+      </div>
+      <table className="w-full text-[11px]">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="py-1 px-1 font-semibold">Harvested</th>
+            <th className="py-1 px-1 font-semibold text-right">Trays</th>
+            <th className="py-1 px-1 font-semibold text-right hidden sm:table-cell">Tray-days</th>
+            <th className="py-1 px-1 font-semibold text-right">Cost</th>
+            <th className="py-1 px-1 font-semibold text-right">Revenue</th>
+            <th className="py-1 px-1 font-semibold text-right">Margin</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, 10).map((r) => (
+            <tr key={r.batch.id} className="border-t border-gray-50 dark:border-gray-800 text-gray-600 dark:text-gray-300">
+              <td className="py-1 px-1">
+                {String(r.batch.harvestedAt).slice(0, 10)}
+                <span className="text-gray-400"> #{r.batch.id.slice(-4)}</span>
+                {r.estimated.length > 0 && <span className="text-amber-500" title={`Estimated: ${r.estimated.join(', ')}`}> *</span>}
+              </td>
+              <td className="py-1 px-1 text-right">{r.trays}</td>
+              <td className="py-1 px-1 text-right hidden sm:table-cell">{r.trayDays}</td>
+              <td className="py-1 px-1 text-right">{fmtFull$(r.cost)}</td>
+              <td className="py-1 px-1 text-right">{r.orderCount ? fmtFull$(r.revenue) : 'not packed'}</td>
+              <td className={`py-1 px-1 text-right font-semibold ${pctColor(r.marginPct)}`}>{fmtPct(r.marginPct)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.some((r) => r.estimated.length) && (
+        <p className="text-[10px] text-gray-400">* Seed cost estimated from the crop's seed cost per tray — no seed was recorded at planting.</p>
+      )}
+    </div>
+  );
+}
+
+export default function CropMargins({ crops = [], batchRows = [] }) {
+  const [open, setOpen] = useState(null);
+
+  if (crops.length === 0) {
+    return <div className="text-gray-400 text-sm py-8 text-center">No harvested batches yet</div>;
+  }
+
+  const cols = 'grid grid-cols-[1fr_auto_auto_auto] sm:grid-cols-[1fr_repeat(5,5.5rem)] gap-x-3 items-center px-2';
+  return (
+    <div className="text-sm">
+      <div className={`${cols} py-2 border-b border-gray-200 dark:border-gray-700 font-semibold text-gray-500 dark:text-gray-400`}>
+        <span>Crop</span>
+        <span className="text-right hidden sm:block">Batches sold</span>
+        <span className="text-right hidden sm:block">Cost/oz</span>
+        <span className="text-right">Revenue</span>
+        <span className="text-right">COGS</span>
+        <span className="text-right">Margin</span>
+      </div>
+      {crops.map((c) => (
+        <div key={c.cropId} className="border-b border-gray-50 dark:border-gray-800">
+          <button
+            onClick={() => setOpen(open === c.cropId ? null : c.cropId)}
+            className={`${cols} w-full text-left py-2.5 hover:bg-gray-50 dark:hover:bg-gray-700/30 transition-colors cursor-pointer`}
+          >
+            <span className="font-medium text-gray-800 dark:text-gray-200 truncate">{open === c.cropId ? '▾' : '▸'} {c.cropName}</span>
+            <span className="text-right text-gray-500 hidden sm:block">{c.soldBatches}/{c.batches}</span>
+            <span className="text-right text-gray-500 hidden sm:block">{c.costPerOz != null ? fmtFull$(c.costPerOz) : '—'}</span>
+            <span className="text-right text-gray-700 dark:text-gray-300">{fmtFull$(c.revenue)}</span>
+            <span className="text-right text-gray-500">{fmtFull$(c.soldCost)}</span>
+            <span className={`text-right font-semibold ${pctColor(c.marginPct)}`} title={fmtFull$(c.margin)}>{fmtPct(c.marginPct)}</span>
+          </button>
+          {open === c.cropId && <CropDetail crop={c} rows={batchRows.filter((r) => r.cropId === c.cropId)} />}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
   PieChart, Pie, Cell, Legend,
 } from 'recharts';
+import { outstandingBalances } from '../../data/invoices';
 
 const fmtFull$ = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 
@@ -25,7 +26,7 @@ const DOW_INDICES = [1, 2, 3, 4, 5]; // Monday–Friday
 const SEGMENT_COLORS = ['#22c55e', '#6366f1', '#f59e0b', '#94a3b8'];
 const SEGMENT_LABELS = { chef: 'Chef', retail: 'Retail', subscription: 'Subscriber', unknown: 'Other' };
 
-export default function CustomerAnalytics({ shopifyOrders = [], shopifyCustomers = [], loading = false }) {
+export default function CustomerAnalytics({ shopifyOrders = [], shopifyCustomers = [], invoices = [], loading = false }) {
   const [expandedHealth, setExpandedHealth] = useState(null);
   const [ltvPage, setLtvPage] = useState(0);
   const [ltvSearch, setLtvSearch] = useState('');
@@ -138,6 +139,16 @@ export default function CustomerAnalytics({ shopifyOrders = [], shopifyCustomers
     });
   }, [customers]);
 
+  // ── Outstanding balances (unpaid invoices, data/invoices.js) ─────────────
+  const balances = useMemo(() => outstandingBalances(invoices, new Date().toISOString().split('T')[0]), [invoices]);
+  const balanceList = useMemo(() => {
+    const names = new Map(invoices.map(inv => [inv.customerKey, inv.customerName]));
+    return [...balances]
+      .map(([key, b]) => ({ key, name: names.get(key) || key, ...b }))
+      .sort((a, b) => b.overdue - a.overdue || b.balance - a.balance);
+  }, [balances, invoices]);
+  const totalOutstanding = balanceList.reduce((s, b) => s + b.balance, 0);
+
   // ── At-Risk Alerts ────────────────────────────────────────────────────────
   const atRiskAlerts = useMemo(() =>
     customers
@@ -202,6 +213,28 @@ export default function CustomerAnalytics({ shopifyOrders = [], shopifyCustomers
         })}
       </div>
 
+      {/* ── Outstanding Balances ── */}
+      {balanceList.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-base font-semibold text-gray-700 dark:text-gray-200">Outstanding Balances</h3>
+            <span className="text-sm font-bold text-gray-800 dark:text-gray-100">{fmtFull$(totalOutstanding)}</span>
+          </div>
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {balanceList.map(b => (
+              <div key={b.key} className="flex items-center gap-3 px-3 py-2 rounded-xl bg-gray-50 dark:bg-gray-700/30 text-sm">
+                <span className="flex-1 min-w-0 truncate font-medium text-gray-700 dark:text-gray-200">{b.name}</span>
+                {b.overdue > 0 && (
+                  <span className="text-xs font-semibold text-red-600 dark:text-red-400 shrink-0">{fmtFull$(b.overdue)} overdue</span>
+                )}
+                <span className="text-xs text-gray-400 shrink-0 hidden sm:inline">oldest due {b.oldestDue}</span>
+                <span className="font-bold text-gray-800 dark:text-gray-100 w-24 text-right shrink-0">{fmtFull$(b.balance)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* ── 2. Customer Segments ── */}
       <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
         <h3 className="text-base font-semibold text-gray-700 dark:text-gray-200 mb-3">Revenue by Customer Segment</h3>
@@ -278,6 +311,7 @@ export default function CustomerAnalytics({ shopifyOrders = [], shopifyCustomers
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Total Spent</th>
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right hidden sm:table-cell">Avg Monthly</th>
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">LTV Score</th>
+                <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Balance</th>
               </tr>
             </thead>
             <tbody>
@@ -299,6 +333,9 @@ export default function CustomerAnalytics({ shopifyOrders = [], shopifyCustomers
                   <td className="py-2.5 px-2 text-right font-semibold text-green-600">{fmtFull$(c.totalSpent)}</td>
                   <td className="py-2.5 px-2 text-right text-gray-500 hidden sm:table-cell">{fmtFull$(c.avgMonthlySpend)}</td>
                   <td className="py-2.5 px-2 text-right font-bold text-gray-800 dark:text-gray-200">{fmtFull$(c.ltvScore)}</td>
+                  <td className={`py-2.5 px-2 text-right ${balances.get(c.key)?.overdue > 0 ? 'font-semibold text-red-600 dark:text-red-400' : 'text-gray-500'}`}>
+                    {balances.has(c.key) ? fmtFull$(balances.get(c.key).balance) : '—'}
+                  </td>
                 </tr>
               ))}
             </tbody>
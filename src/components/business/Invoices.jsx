@@ -0,0 +1,464 @@
+import { useState, useMemo } from 'react';
+import { useFarmConfig } from '../../contexts/FarmConfigContext';
+import {
+  INVOICE_STATUSES, UNPAID_INVOICE_STATUSES, PAYMENT_METHODS, AGING_BUCKETS,
+  termsLabel, uninvoicedOrders, draftInvoices, balanceDue, invoiceStatus,
+  paymentError, voidError, agingReport, invoiceEmail,
+} from '../../data/invoices';
+
+/**
+ * Invoices — billing wholesale customers and what they still owe
+ * (Business → Invoices).
+ *
+ * Props: invoices, orders, customers (shopifyCustomers), user, loading,
+ *        onCreate(drafts, userId), onRecordPayment(invoice, payment, userId),
+ *        onVoid(invoice, userId)
+ *
+ * Delivered orders are invoiced one per order or as weekly statements per
+ * customer; payments (partial ones too) are recorded against an invoice.
+ * The Aging tab buckets unpaid balances by days past due
+ * (data/invoices.js).
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+const fmt$ = (n) => `$${Number(n || 0).toFixed(2)}`;
+const statusMeta = (id) => INVOICE_STATUSES.find((s) => s.id === id) || INVOICE_STATUSES[0];
+const methodLabel = (id) => PAYMENT_METHODS.find((m) => m.id === id)?.label || id;
+const inputCls = 'w-full px-3 py-2 rounded-xl border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-100 text-sm focus:border-green-400 focus:outline-none';
+
+const FILTERS = [
+  { key: 'unpaid', label: 'Unpaid' },
+  { key: 'paid',   label: 'Paid' },
+  { key: 'all',    label: 'All' },
+];
+
+// ── Print / email ───────────────────────────────────────────────────────────
+
+const esc = (s) => String(s ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+function printInvoice(invoice, farmName) {
+  const owed = balanceDue(invoice);
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Invoice ${esc(invoice.invoiceNumber)}</title>
+      <style>
+        body { font-family: -apple-system, sans-serif; padding: 24px; max-width: 720px; margin: 0 auto; }
+        h1 { font-size: 18px; margin-bottom: 4px; }
+        .subtitle { font-size: 12px; color: #666; margin-bottom: 16px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; font-size: 12px; }
+        th { border-bottom: 2px solid #333; font-weight: 600; }
+        .num { text-align: right; }
+        .list { color: #999; text-decoration: line-through; }
+        .totals { margin-top: 12px; margin-left: auto; width: 260px; font-size: 13px; }
+        .totals div { display: flex; justify-content: space-between; padding: 2px 0; }
+        .due { font-weight: 700; font-size: 15px; border-top: 2px solid #333; margin-top: 4px; padding-top: 4px; }
+        .void { color: #c00; font-weight: 700; }
+        @media print { body { padding: 0; } }
+      </style>
+    </head>
+    <body>
+      <h1>${invoice.kind === 'statement' ? 'Statement' : 'Invoice'} ${esc(invoice.invoiceNumber)}${invoice.status === 'void' ? ' <span class="void">VOID</span>' : ''}</h1>
+      <p class="subtitle">
+        From ${esc(farmName)} · Bill to ${esc(invoice.customerName)}${invoice.customerEmail ? ` (${esc(invoice.customerEmail)})` : ''}<br />
+        Issued ${invoice.issueDate} · ${termsLabel(invoice.termsDays)} · Due ${invoice.dueDate}
+        ${invoice.kind === 'statement' ? `<br />Deliveries ${invoice.periodStart} to ${invoice.periodEnd}` : ''}
+      </p>
+      <table>
+        <thead><tr><th>Date</th><th>Order</th><th>Item</th><th class="num">Qty</th><th class="num">List</th><th class="num">Price</th><th class="num">Amount</th></tr></thead>
+        <tbody>
+          ${invoice.lines.map((l) => `
+            <tr>
+              <td>${l.date}</td>
+              <td>${esc(l.orderNumber || '')}</td>
+              <td>${esc(l.name)}${l.unit ? ` <span style="color:#999">/ ${esc(l.unit)}</span>` : ''}</td>
+              <td class="num">${l.quantity}</td>
+              <td class="num${l.listPrice > l.pricePerUnit ? ' list' : ''}">${fmt$(l.listPrice)}</td>
+              <td class="num">${fmt$(l.pricePerUnit)}</td>
+              <td class="num">${fmt$(l.amount)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="totals">
+        ${invoice.discount > 0 ? `
+          <div><span>At list price</span><span>${fmt$(invoice.listTotal)}</span></div>
+          <div><span>Your discount</span><span>−${fmt$(invoice.discount)}</span></div>
+        ` : ''}
+        <div><span>Total</span><span>${fmt$(invoice.total)}</span></div>
+        ${(invoice.payments || []).map((p) => `
+          <div><span>Paid ${p.date} · ${esc(methodLabel(p.method))}${p.reference ? ` ${esc(p.reference)}` : ''}</span><span>−${fmt$(p.amount)}</span></div>
+        `).join('')}
+        <div class="due"><span>Balance due</span><span>${fmt$(owed)}</span></div>
+      </div>
+      <script>window.print();</script>
+    </body>
+    </html>
+  `;
+  const win = window.open('', '_blank');
+  win.document.write(html);
+  win.document.close();
+}
+
+function mailtoHref(invoice, farmName) {
+  const { subject, body } = invoiceEmail(invoice, farmName);
+  return `mailto:${invoice.customerEmail || ''}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+// ── Payment modal ───────────────────────────────────────────────────────────
+
+function PaymentForm({ invoice, onSave, onClose }) {
+  const [form, setForm] = useState({ amount: String(balanceDue(invoice)), date: today(), method: 'check', reference: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const set = (k, v) => setForm((f) => ({ ...f, [k]: v }));
+  const amount = parseFloat(form.amount) || 0;
+  const invalid = paymentError(invoice, amount);
+
+  const handleSave = async () => {
+    if (invalid) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({ ...form, amount });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center bg-black/50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl w-full max-w-md shadow-2xl p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">Payment on {invoice.invoiceNumber}</h3>
+          <button onClick={onClose} className="text-gray-400 dark:text-gray-500 hover:text-gray-600 text-2xl leading-none cursor-pointer">×</button>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {invoice.customerName} owes {fmt$(balanceDue(invoice))} of {fmt$(invoice.total)}. A smaller amount is recorded as a partial payment.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 block">Amount ($)</span>
+            <input type="number" min="0" step="0.01" value={form.amount} onChange={(e) => set('amount', e.target.value)} className={inputCls} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 block">Received</span>
+            <input type="date" value={form.date} onChange={(e) => set('date', e.target.value)} className={inputCls} />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 block">Method</span>
+            <select value={form.method} onChange={(e) => set('method', e.target.value)} className={`${inputCls} cursor-pointer`}>
+              {PAYMENT_METHODS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1 block">Reference</span>
+            <input value={form.reference} onChange={(e) => set('reference', e.target.value)} placeholder="Check #, txn ID" className={inputCls} />
+          </label>
+        </div>
+
+        {(error || (form.amount !== '' && invalid)) && (
+          <p className="text-xs font-semibold text-red-600 dark:text-red-400">{error || invalid}</p>
+        )}
+
+        <button onClick={handleSave} disabled={saving || !!invalid || !form.date}
+          className="w-full py-3 bg-green-600 text-white font-bold rounded-xl text-sm hover:bg-green-700 disabled:opacity-50 cursor-pointer">
+          {saving ? 'Saving…' : 'Record payment'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ── Invoice card ────────────────────────────────────────────────────────────
+
+function InvoiceCard({ invoice, farmName, onPay, onVoid }) {
+  const [open, setOpen] = useState(false);
+  const status = statusMeta(invoiceStatus(invoice, today()));
+  const owed = balanceDue(invoice);
+  const unpaid = UNPAID_INVOICE_STATUSES.includes(invoice.status);
+  const orderCount = new Set(invoice.lines.map((l) => l.orderId)).size;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <p className="font-bold text-gray-800 dark:text-gray-100">{invoice.customerName}</p>
+            <span className={`text-[11px] font-semibold px-2 py-0.5 rounded-full ${status.color}`}>{status.label}</span>
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {invoice.invoiceNumber}
+            {invoice.kind === 'statement'
+              ? ` · statement ${invoice.periodStart} – ${invoice.periodEnd}, ${orderCount} order${orderCount !== 1 ? 's' : ''}`
+              : ` · delivered ${invoice.periodStart}`}
+            {` · ${termsLabel(invoice.termsDays)}, due ${invoice.dueDate}`}
+          </p>
+        </div>
+        <div className="text-right shrink-0">
+          <p className="font-bold text-gray-800 dark:text-gray-100 text-sm">{fmt$(invoice.total)}</p>
+          {unpaid && invoice.amountPaid > 0 && <p className="text-xs text-amber-600 dark:text-amber-400">{fmt$(owed)} owed</p>}
+        </div>
+      </div>
+
+      {open && (
+        <div className="divide-y divide-gray-100 dark:divide-gray-700">
+          {invoice.lines.map((l, i) => (
+            <div key={`${l.orderId}-${i}`} className="flex items-center gap-2 py-1.5 text-sm">
+              <span className="w-20 text-xs text-gray-400 shrink-0">{l.date}</span>
+              <span className="flex-1 min-w-0 truncate text-gray-700 dark:text-gray-200">{l.name}</span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {l.quantity} × {l.listPrice > l.pricePerUnit && <s className="text-gray-400">{fmt$(l.listPrice)}</s>} {fmt$(l.pricePerUnit)}
+              </span>
+              <span className="w-16 text-right text-xs font-semibold text-gray-700 dark:text-gray-200">{fmt$(l.amount)}</span>
+            </div>
+          ))}
+          {invoice.discount > 0 && (
+            <p className="py-1.5 text-xs text-green-600 dark:text-green-400">Saved {fmt$(invoice.discount)} off list ({fmt$(invoice.listTotal)})</p>
+          )}
+          {(invoice.payments || []).map((p, i) => (
+            <p key={i} className="py-1.5 text-xs text-gray-500 dark:text-gray-400">
+              💵 {fmt$(p.amount)} · {methodLabel(p.method)}{p.reference ? ` ${p.reference}` : ''} · {p.date}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-1.5 flex-wrap">
+        <button onClick={() => setOpen(!open)}
+          className="px-3 py-1.5 text-xs font-semibold text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+          {open ? 'Hide lines' : `${invoice.lines.length} line${invoice.lines.length !== 1 ? 's' : ''}`}
+        </button>
+        <button onClick={() => printInvoice(invoice, farmName)}
+          className="px-3 py-1.5 text-xs font-semibold text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+          🖨 Print / PDF
+        </button>
+        <a href={mailtoHref(invoice, farmName)}
+          className="px-3 py-1.5 text-xs font-semibold text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+          ✉️ Email
+        </a>
+        {unpaid && (
+          <button onClick={() => onPay(invoice)}
+            className="px-3 py-1.5 text-xs font-bold text-white bg-green-600 rounded-lg hover:bg-green-700 cursor-pointer">
+            Record payment
+          </button>
+        )}
+        {!voidError(invoice) && (
+          <button onClick={() => window.confirm(`Void ${invoice.invoiceNumber}? Its orders can then be invoiced again.`) && onVoid(invoice)}
+            className="ml-auto px-3 py-1.5 text-xs font-semibold text-red-400 hover:text-red-600 border border-gray-200 dark:border-gray-700 rounded-lg hover:bg-red-50 cursor-pointer">
+            Void
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ── Aging report ────────────────────────────────────────────────────────────
+
+function AgingReport({ invoices }) {
+  const { rows, totals } = useMemo(() => agingReport(invoices, today()), [invoices]);
+
+  if (rows.length === 0) {
+    return <p className="text-center text-sm text-gray-400 py-12">Nothing outstanding — every invoice is paid 🎉</p>;
+  }
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4 overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-700 text-left">
+            <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400">Customer</th>
+            {AGING_BUCKETS.map((b) => (
+              <th key={b.id} className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right whitespace-nowrap">{b.label}</th>
+            ))}
+            <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.customerKey} className="border-b border-gray-50 dark:border-gray-800">
+              <td className="py-2.5 px-2 font-medium text-gray-800 dark:text-gray-200 truncate max-w-[180px]">
+                {r.customerName}
+                <span className="text-xs text-gray-400"> · {r.invoices.length}</span>
+              </td>
+              {AGING_BUCKETS.map((b) => (
+                <td key={b.id} className={`py-2.5 px-2 text-right ${
+                  r.buckets[b.id] > 0 && b.id !== 'current' ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-500 dark:text-gray-400'
+                }`}>
+                  {r.buckets[b.id] > 0 ? fmt$(r.buckets[b.id]) : '—'}
+                </td>
+              ))}
+              <td className="py-2.5 px-2 text-right font-bold text-gray-800 dark:text-gray-200">{fmt$(r.total)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t-2 border-gray-300 dark:border-gray-600">
+            <td className="py-2.5 px-2 font-bold text-gray-700 dark:text-gray-200">Total</td>
+            {AGING_BUCKETS.map((b) => (
+              <td key={b.id} className="py-2.5 px-2 text-right font-bold text-gray-700 dark:text-gray-200">{fmt$(totals[b.id])}</td>
+            ))}
+            <td className="py-2.5 px-2 text-right font-black text-gray-800 dark:text-gray-100">{fmt$(totals.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+export default function Invoices({
+  invoices = [], orders = [], customers = [], user, loading = false,
+  onCreate, onRecordPayment, onVoid,
+}) {
+  const { config } = useFarmConfig();
+  const [view, setView] = useState('invoices');
+  const [filter, setFilter] = useState('unpaid');
+  const [search, setSearch] = useState('');
+  const [paying, setPaying] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const pending = useMemo(() => uninvoicedOrders(orders), [orders]);
+  const { totals } = useMemo(() => agingReport(invoices, today()), [invoices]);
+  const overdue = totals.total - totals.current;
+
+  const visible = invoices.filter((inv) => {
+    if (filter === 'unpaid' && !UNPAID_INVOICE_STATUSES.includes(inv.status)) return false;
+    if (filter === 'paid' && inv.status !== 'paid') return false;
+    if (!search) return true;
+    const q = search.toLowerCase();
+    return inv.customerName.toLowerCase().includes(q) || inv.invoiceNumber.toLowerCase().includes(q);
+  });
+
+  const flash = (m) => { setMsg(m); setTimeout(() => setMsg(null), 3000); };
+
+  const handleCreate = async (mode) => {
+    const drafts = draftInvoices(orders, customers, { mode, today: today() });
+    if (drafts.length === 0) {
+      flash({ ok: true, text: mode === 'weekly' ? 'No delivered orders from finished weeks left to bill.' : 'No delivered orders left to invoice.' });
+      return;
+    }
+    const sum = drafts.reduce((s, d) => s + d.total, 0);
+    const what = mode === 'weekly' ? 'weekly statement' : 'invoice';
+    if (!window.confirm(`Create ${drafts.length} ${what}${drafts.length !== 1 ? 's' : ''} totalling ${fmt$(sum)}?`)) return;
+    setCreating(true);
+    try {
+      const numbers = await onCreate(drafts, user?.uid);
+      flash({ ok: true, text: `Created ${numbers?.length ?? drafts.length} ${what}${drafts.length !== 1 ? 's' : ''}` });
+    } catch (err) {
+      flash({ ok: false, text: err.message });
+    }
+    setCreating(false);
+  };
+
+  const handlePayment = async (payment) => {
+    await onRecordPayment(paying, payment, user?.uid);
+    setPaying(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto space-y-4">
+        <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-48 animate-pulse" />
+        <div className="grid grid-cols-3 gap-3">
+          {[1, 2, 3].map((i) => <div key={i} className="h-24 bg-gray-200 dark:bg-gray-700 rounded-2xl animate-pulse" />)}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-4">
+      <div>
+        <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Invoices</h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400">Bill delivered orders and track what customers owe</p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+          <p className="text-xs text-gray-500 dark:text-gray-400">Outstanding</p>
+          <p className="text-xl font-black text-gray-800 dark:text-gray-100">{fmt$(totals.total)}</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+          <p className="text-xs text-gray-500 dark:text-gray-400">Overdue</p>
+          <p className={`text-xl font-black ${overdue > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-800 dark:text-gray-100'}`}>{fmt$(overdue)}</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+          <p className="text-xs text-gray-500 dark:text-gray-400">Delivered, not invoiced</p>
+          <p className="text-xl font-black text-gray-800 dark:text-gray-100">{pending.length}</p>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <button onClick={() => handleCreate('order')} disabled={creating}
+          className="bg-green-600 text-white font-bold px-4 py-2 rounded-xl text-sm hover:bg-green-700 disabled:opacity-50 cursor-pointer">
+          {creating ? 'Creating…' : '+ Invoice each order'}
+        </button>
+        <button onClick={() => handleCreate('weekly')} disabled={creating}
+          className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-200 font-bold px-4 py-2 rounded-xl text-sm hover:border-green-300 disabled:opacity-50 cursor-pointer">
+          + Weekly statements
+        </button>
+        <div className="ml-auto flex gap-1">
+          {[{ key: 'invoices', label: '🧾 Invoices' }, { key: 'aging', label: '⏳ Aging' }].map((t) => (
+            <button key={t.key} onClick={() => setView(t.key)}
+              className={`px-3 py-2 rounded-lg text-xs font-semibold cursor-pointer ${
+                view === t.key ? 'bg-green-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+              }`}>
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {msg && (
+        <p className={`text-xs font-semibold ${msg.ok ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          {msg.text}
+        </p>
+      )}
+
+      {view === 'aging' ? (
+        <AgingReport invoices={invoices} />
+      ) : (
+        <>
+          <div className="flex items-center gap-2 flex-wrap">
+            {FILTERS.map((f) => (
+              <button key={f.key} onClick={() => setFilter(f.key)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold cursor-pointer ${
+                  filter === f.key ? 'bg-gray-800 dark:bg-gray-200 text-white dark:text-gray-900' : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                }`}>
+                {f.label}
+              </button>
+            ))}
+            <input type="text" placeholder="Search customer or number…" value={search} onChange={(e) => setSearch(e.target.value)}
+              className="ml-auto bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg px-3 py-1.5 text-sm text-gray-700 dark:text-gray-200 w-56" />
+          </div>
+
+          {visible.length === 0 ? (
+            <div className="text-center py-12 bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700">
+              <p className="text-4xl mb-3">🧾</p>
+              <p className="text-gray-500 dark:text-gray-400 text-sm">
+                {invoices.length === 0 ? 'No invoices yet. Invoice delivered orders one by one or as weekly statements.' : 'No invoices match.'}
+              </p>
+            </div>
+          ) : visible.map((inv) => (
+            <InvoiceCard
+              key={inv.id}
+              invoice={inv}
+              farmName={config.name}
+              onPay={setPaying}
+              onVoid={(invoice) => onVoid(invoice, user?.uid)}
+            />
+          ))}
+        </>
+      )}
+
+      {paying && (
+        <PaymentForm invoice={paying} onSave={handlePayment} onClose={() => setPaying(null)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useState, useMemo } from 'react';
+import { LABOR_ACTIONS, LABOR_HISTORY_DAYS, formatMinutes, laborByCrop, shiftSummary } from '../../data/laborTracking';
+
+/**
+ * LaborReport — crew time from clock-ins and timed tasks
+ * (data/laborTracking.js). Rendered as the Labor tab of CostTracking.
+ *
+ * Props: laborEntries, batches, laborRate, onSaveLaborRate
+ *
+ * Minutes per tray come from the plant / move / harvest / pack tasks the
+ * crew timed; per oz divides by the crop's average harvested oz per tray.
+ * The hourly rate prices tracked time in the batch margins.
+ */
+
+const PERIODS = [
+  { days: 30, label: '30 days' },
+  { days: LABOR_HISTORY_DAYS, label: `${LABOR_HISTORY_DAYS} days` },
+];
+
+const daysAgo = (n) => {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return d.toISOString().split('T')[0];
+};
+
+const fmtMin = (n) => (n == null ? '—' : `${n.toFixed(1)}m`);
+const fmt$ = (n) => `$${n.toFixed(2)}`;
+
+function RateEditor({ rate, onSave }) {
+  const [value, setValue] = useState(null); // null = not editing
+  const [saving, setSaving] = useState(false);
+
+  const save = async () => {
+    const n = parseFloat(value);
+    if (!Number.isFinite(n) || n < 0) return;
+    setSaving(true);
+    try {
+      await onSave?.(n);
+      setValue(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (value == null) {
+    return (
+      <div className="flex items-center gap-2 text-sm">
+        <span className="text-gray-500 dark:text-gray-400">Hourly labor rate</span>
+        <span className="font-semibold text-gray-800 dark:text-gray-200">{rate > 0 ? `${fmt$(rate)}/hr` : 'not set'}</span>
+        {onSave && (
+          <button onClick={() => setValue(rate ? String(rate) : '')} className="text-xs text-sky-600 font-bold cursor-pointer">Edit</button>
+        )}
+      </div>
+    );
+  }
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <span className="text-gray-500 dark:text-gray-400">$</span>
+      <input
+        type="number"
+        step="0.25"
+        min="0"
+        value={value}
+        onChange={e => setValue(e.target.value)}
+        className="w-20 px-2 py-1 rounded border text-sm text-right bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600"
+      />
+      <span className="text-gray-500 dark:text-gray-400">/hr</span>
+      <button onClick={save} disabled={saving} className="text-xs text-green-600 font-bold cursor-pointer disabled:opacity-50">Save</button>
+      <button onClick={() => setValue(null)} className="text-xs text-gray-400 cursor-pointer">✕</button>
+    </div>
+  );
+}
+
+export default function LaborReport({ laborEntries = [], batches = [], laborRate = 0, onSaveLaborRate }) {
+  const [period, setPeriod] = useState(30);
+
+  const fromDate = useMemo(() => daysAgo(period), [period]);
+  const entries = useMemo(() => laborEntries.filter(e => String(e.date) >= fromDate), [laborEntries, fromDate]);
+  const crops = useMemo(() => laborByCrop(entries, batches), [entries, batches]);
+  const people = useMemo(() => shiftSummary(entries, fromDate), [entries, fromDate]);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4 flex flex-wrap items-center gap-3 justify-between">
+        <RateEditor rate={laborRate} onSave={onSaveLaborRate} />
+        <div className="flex gap-1.5">
+          {PERIODS.map(p => (
+            <button
+              key={p.days}
+              onClick={() => setPeriod(p.days)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-semibold cursor-pointer ${period === p.days ? 'bg-green-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'}`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* ── Per crop ── */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+        <h3 className="text-base font-semibold text-gray-700 dark:text-gray-200 mb-1">Labor per Crop</h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+          Minutes per tray from the tasks the crew timed on the Crew board and Packing list.
+        </p>
+        {crops.length === 0 ? (
+          <div className="text-gray-400 text-sm py-8 text-center">No timed tasks yet — start a ⏱ timer on a crew card</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700 text-left">
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400">Crop</th>
+                  {LABOR_ACTIONS.map(a => (
+                    <th key={a.id} className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right hidden sm:table-cell">{a.label}/tray</th>
+                  ))}
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Min/tray</th>
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Min/oz</th>
+                  {laborRate > 0 && <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">$/oz</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {crops.map(c => (
+                  <tr key={c.cropId} className="border-b border-gray-50 dark:border-gray-800">
+                    <td className="py-2.5 px-2 font-medium text-gray-800 dark:text-gray-200">
+                      {c.cropName}
+                      <span className="block text-[10px] text-gray-400">{formatMinutes(c.minutes)} timed</span>
+                    </td>
+                    {LABOR_ACTIONS.map(a => (
+                      <td
+                        key={a.id}
+                        className="py-2.5 px-2 text-right text-gray-600 dark:text-gray-300 hidden sm:table-cell"
+                        title={`${c.actions[a.id].count} timed · ${c.actions[a.id].trays} trays`}
+                      >
+                        {fmtMin(c.actions[a.id].perTray)}
+                      </td>
+                    ))}
+                    <td className="py-2.5 px-2 text-right font-semibold text-gray-800 dark:text-gray-200">{fmtMin(c.perTray)}</td>
+                    <td className="py-2.5 px-2 text-right text-gray-600 dark:text-gray-300" title={c.yieldPerTray ? `${c.yieldPerTray} oz/tray` : 'No harvest yields yet'}>
+                      {fmtMin(c.perOz)}
+                    </td>
+                    {laborRate > 0 && (
+                      <td className="py-2.5 px-2 text-right text-gray-600 dark:text-gray-300">{c.perOz != null ? fmt$((c.perOz / 60) * laborRate) : '—'}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* ── Per person ── */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+        <h3 className="text-base font-semibold text-gray-700 dark:text-gray-200 mb-3">Crew Time</h3>
+        {people.length === 0 ? (
+          <div className="text-gray-400 text-sm py-8 text-center">Nobody has clocked in yet</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700 text-left">
+                <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400">Crew</th>
+                <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Shifts</th>
+                <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">On the clock</th>
+                <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Timed tasks</th>
+                {laborRate > 0 && <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right hidden sm:table-cell">Cost</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {people.map(p => (
+                <tr key={p.userId} className="border-b border-gray-50 dark:border-gray-800">
+                  <td className="py-2.5 px-2 font-medium text-gray-800 dark:text-gray-200">
+                    {p.userName}
+                    {p.onClock && <span className="ml-2 text-[10px] font-semibold text-green-600">● clocked in</span>}
+                  </td>
+                  <td className="py-2.5 px-2 text-right text-gray-600 dark:text-gray-300">{p.shifts}</td>
+                  <td className="py-2.5 px-2 text-right text-gray-600 dark:text-gray-300">{formatMinutes(p.shiftMinutes)}</td>
+                  <td className="py-2.5 px-2 text-right text-gray-600 dark:text-gray-300">
+                    {formatMinutes(p.taskMinutes)}
+                    {p.shiftMinutes > 0 && <span className="text-gray-400"> · {Math.round((p.taskMinutes / p.shiftMinutes) * 100)}%</span>}
+                  </td>
+                  {laborRate > 0 && (
+                    <td className="py-2.5 px-2 text-right text-gray-600 dark:text-gray-300 hidden sm:table-cell">{fmt$((p.shiftMinutes / 60) * laborRate)}</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { useState, useMemo } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
+} from 'recharts';
+import { analyzeLosses } from '../../data/lossAnalytics';
+import { useStageMachines } from '../../hooks/useStageMachines';
+import { useYieldResolver } from '../../hooks/useYieldResolver';
+import { useGrowSpace } from '../../hooks/useGrowSpace';
+
+/**
+ * LossAnalytics — loss and quality view built on crew loss reports.
+ *
+ * Props: batches (all, including harvested), members (team, for crew names)
+ *
+ * Loss rate by crop, reason, stage, crew member, sow week and rack for
+ * batches sown in the chosen period, with the dollar cost of lost trays
+ * (data/lossAnalytics.js). The nightly Learning Engine job raises a
+ * loss_spike alert when a crop's recent rate jumps above its baseline.
+ */
+
+const fmtFull$ = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const fmtPct = (r) => (r == null ? '—' : `${(r * 100).toFixed(1)}%`);
+
+const PERIODS = [
+  { weeks: 4,  label: '4 weeks' },
+  { weeks: 12, label: '12 weeks' },
+  { weeks: 26, label: '6 months' },
+];
+
+const DIMENSIONS = [
+  { id: 'byCrop',   label: 'Crop' },
+  { id: 'byReason', label: 'Reason' },
+  { id: 'byStage',  label: 'Stage' },
+  { id: 'byCrew',   label: 'Crew' },
+  { id: 'byRack',   label: 'Rack' },
+];
+
+const btnCls = (active) =>
+  `px-3 py-2 min-h-[44px] rounded-lg text-xs font-semibold cursor-pointer transition-all ${
+    active ? 'bg-green-600 text-white' : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:border-green-300'
+  }`;
+
+function StatCard({ label, value, sub }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+      <p className="text-xs text-gray-500 dark:text-gray-400">{label}</p>
+      <p className="text-2xl font-bold text-gray-800 dark:text-gray-100">{value}</p>
+      {sub && <p className="text-[11px] text-gray-400 mt-0.5">{sub}</p>}
+    </div>
+  );
+}
+
+export default function LossAnalytics({ batches = [], members = [], loading = false }) {
+  const { machines } = useStageMachines();
+  const { resolveYield } = useYieldResolver();
+  const { layout } = useGrowSpace();
+  const [weeks, setWeeks] = useState(12);
+  const [dimension, setDimension] = useState('byCrop');
+
+  const analysis = useMemo(() => {
+    const start = new Date();
+    const to = start.toISOString().split('T')[0];
+    start.setDate(start.getDate() - weeks * 7);
+    const from = start.toISOString().split('T')[0];
+    const names = new Map(members.map((m) => [m.id, m.displayName || m.email?.split('@')[0] || m.id]));
+    return analyzeLosses(batches, {
+      machines, resolveYield, from, to, layout,
+      memberName: (uid) => names.get(uid) || uid,
+    });
+  }, [batches, members, machines, resolveYield, layout, weeks]);
+
+  if (loading) {
+    return (
+      <div className="max-w-6xl mx-auto space-y-4">
+        <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded w-48 animate-pulse" />
+        <div className="h-64 bg-gray-200 dark:bg-gray-700 rounded-2xl animate-pulse" />
+      </div>
+    );
+  }
+
+  const { totals } = analysis;
+  const rows = analysis[dimension];
+  const weekly = analysis.byWeek.map((w) => ({
+    week: new Date(w.key + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    rate: w.rate != null ? Math.round(w.rate * 1000) / 10 : 0,
+    lost: w.lostTrays,
+    trays: Math.round(w.trays),
+  }));
+  const shareBased = dimension === 'byReason' || dimension === 'byStage';
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-5">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100">Loss Analytics</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {totals.batches} batches sown in the last {PERIODS.find((p) => p.weeks === weeks)?.label}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {PERIODS.map((p) => (
+            <button key={p.weeks} onClick={() => setWeeks(p.weeks)} className={btnCls(weeks === p.weeks)}>{p.label}</button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <StatCard label="Loss rate" value={fmtPct(totals.rate)} sub={`${totals.lostTrays} of ${totals.trays} trays`} />
+        <StatCard label="Cost of losses" value={fmtFull$(totals.seedCost + totals.lostRevenue)} sub="seed + wholesale value" />
+        <StatCard label="Seed written off" value={fmtFull$(totals.seedCost)} />
+        <StatCard label="Lost revenue" value={fmtFull$(totals.lostRevenue)} sub="at wholesale price" />
+      </div>
+
+      {/* ── Weekly loss rate ── */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+        <h3 className="text-base font-semibold text-gray-700 dark:text-gray-200 mb-3">Loss Rate by Sow Week</h3>
+        {weekly.length === 0 ? (
+          <div className="text-gray-400 text-sm py-8 text-center">No batches in this period</div>
+        ) : (
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={weekly}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="week" tick={{ fontSize: 11 }} />
+              <YAxis tickFormatter={(v) => `${v}%`} tick={{ fontSize: 11 }} />
+              <Tooltip
+                formatter={(v) => [`${v}%`, 'Loss rate']}
+                labelFormatter={(l, payload) => {
+                  const d = payload?.[0]?.payload;
+                  return d ? `Week of ${l} — ${d.lost} of ${d.trays} trays lost` : l;
+                }}
+                contentStyle={{ borderRadius: 12, fontSize: 12 }}
+              />
+              <Bar dataKey="rate" fill="#ef4444" radius={[6, 6, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      {/* ── Breakdown ── */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+        <div className="flex items-center justify-between flex-wrap gap-2 mb-3">
+          <h3 className="text-base font-semibold text-gray-700 dark:text-gray-200">Losses by {DIMENSIONS.find((d) => d.id === dimension)?.label}</h3>
+          <div className="flex gap-1.5 flex-wrap">
+            {DIMENSIONS.map((d) => (
+              <button key={d.id} onClick={() => setDimension(d.id)} className={btnCls(dimension === d.id)}>{d.label}</button>
+            ))}
+          </div>
+        </div>
+        {rows.length === 0 ? (
+          <div className="text-gray-400 text-sm py-8 text-center">
+            {dimension === 'byRack' ? 'No rack locations recorded for these batches' : 'No losses reported'}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700 text-left">
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400"></th>
+                  {!shareBased && <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Trays</th>}
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Lost</th>
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">{shareBased ? 'Of all trays' : 'Loss rate'}</th>
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right hidden sm:table-cell">Share of losses</th>
+                  <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.key} className="border-b border-gray-100 dark:border-gray-700/50">
+                    <td className="py-2 px-2 text-gray-700 dark:text-gray-200">{r.label}</td>
+                    {!shareBased && <td className="py-2 px-2 text-right text-gray-500 dark:text-gray-400">{Math.round(r.trays)}</td>}
+                    <td className="py-2 px-2 text-right text-gray-700 dark:text-gray-200">{r.lostTrays}</td>
+                    <td className={`py-2 px-2 text-right font-semibold ${
+                      (r.rate ?? 0) >= 0.15 ? 'text-red-600' : (r.rate ?? 0) >= 0.05 ? 'text-amber-600' : 'text-gray-700 dark:text-gray-200'
+                    }`}>
+                      {fmtPct(r.rate)}
+                    </td>
+                    <td className="py-2 px-2 text-right text-gray-500 dark:text-gray-400 hidden sm:table-cell">{fmtPct(r.share)}</td>
+                    <td className="py-2 px-2 text-right text-gray-700 dark:text-gray-200">{fmtFull$(r.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {dimension === 'byCrew' && (
+          <p className="text-[11px] text-gray-400 mt-2">
+            A batch counts for everyone who moved it between stages or reported a loss on it.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,9 @@ import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
   LineChart, Line, PieChart, Pie, Cell, Legend,
 } from 'recharts';
+import { useProductMappings } from '../../hooks/useProductMappings';
+import { batchCosting, marginByCrop } from '../../data/batchCosting';
+import CropMargins from './CropMargins';
 
 const fmtFull$ = (n) => `$${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 const fmt$ = (n) => n >= 1000 ? `$${(n / 1000).toFixed(1)}k` : `$${n.toFixed(0)}`;
@@ -14,6 +17,8 @@ function toDate(v) {
   return isNaN(d) ? null : d;
 }
 
+const today = () => new Date().toISOString().split('T')[0];
+
 const COLORS = ['#22c55e', '#6366f1', '#f59e0b', '#ef4444', '#06b6d4', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#64748b'];
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
@@ -25,9 +30,13 @@ function monthLabel(k) {
   return `${MONTHS[parseInt(m) - 1]} ${y.slice(2)}`;
 }
 
-export default function ProductAnalytics({ shopifyOrders = [], shopifyCustomers = [], loading = false }) {
+export default function ProductAnalytics({
+  shopifyOrders = [], shopifyCustomers = [], orders = [], batches = [], costs = [], inventory = [],
+  laborEntries = [], laborRate = 0, loading = false,
+}) {
   const [trendProducts, setTrendProducts] = useState(new Set());
   const [showOther, setShowOther] = useState(false);
+  const { mappingIndex } = useProductMappings();
 
   // ── Parse all line items across all orders ────────────────────────────────
   const { productMap, monthlyMap, allMonths } = useMemo(() => {
@@ -169,6 +178,16 @@ export default function ProductAnalytics({ shopifyOrders = [], shopifyCustomers
     return { topProducts, topCusts };
   }, [products, shopifyOrders]);
 
+  // ── 7. Gross margin per crop — batch cost roll-ups vs. what they sold for ──
+  const batchRows = useMemo(
+    () => batchCosting(batches, {
+      orders, costs, inventory, mappingIndex, today: today(),
+      labor: { entries: laborEntries, hourlyRate: laborRate },
+    }),
+    [batches, orders, costs, inventory, laborEntries, laborRate, mappingIndex]
+  );
+  const cropMargins = useMemo(() => marginByCrop(batchRows), [batchRows]);
+
   if (loading) {
     return (
       <div className="max-w-6xl mx-auto space-y-4">
@@ -386,6 +405,17 @@ export default function ProductAnalytics({ shopifyOrders = [], shopifyCustomers
           </div>
         )}
       </div>
+
+      {/* ── 7. Gross Margin by Crop ── */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+        <h3 className="text-base font-semibold text-gray-700 dark:text-gray-200 mb-1">Gross Margin by Crop</h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+          Harvested batches: seed, medium and packaging used, timed crew labor
+          {laborRate > 0 ? ` at $${laborRate}/hr` : ' (set an hourly rate under Costs → Labor)'}, plus remaining labor
+          and utilities by tray-day, against the orders they were packed into. Margin counts only batches that sold.
+        </p>
+        <CropMargins crops={cropMargins} batchRows={batchRows} />
+      </div>
     </div>
   );
 }
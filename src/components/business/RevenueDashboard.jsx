@@ -4,6 +4,7 @@ import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
   Cell,
 } from 'recharts';
+import { lineListValue } from '../../data/priceLists';
 
 // ── Date helpers ───────────────────────────────────────────────────────────────
 const fmt$ = (n) => n >= 1000 ? `$${(n / 1000).toFixed(1)}k` : `$${n.toFixed(0)}`;
@@ -222,9 +223,10 @@ export default function RevenueDashboard({ shopifyOrders = [], loading = false }
       const items = o.lineItems || o.items || [];
       for (const it of items) {
         const name = it.name || it.title || 'Unknown';
-        if (!map[name]) map[name] = { name, unitsSold: 0, totalRevenue: 0, ordersWithProduct: 0 };
+        if (!map[name]) map[name] = { name, unitsSold: 0, totalRevenue: 0, listDiscount: 0, ordersWithProduct: 0 };
         map[name].unitsSold += it.quantity || 1;
         map[name].totalRevenue += (it.lineTotal || ((it.price || 0) * (it.quantity || 1)));
+        map[name].listDiscount += lineListValue(it).discount;
         map[name].ordersWithProduct += 1;
       }
     }
@@ -421,6 +423,7 @@ export default function RevenueDashboard({ shopifyOrders = [], loading = false }
               <tr className="border-b border-gray-200 dark:border-gray-700 text-left">
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400">Product</th>
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Units Sold</th>
+                <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right hidden sm:table-cell">At List</th>
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right">Revenue</th>
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right hidden sm:table-cell">Avg Qty/Order</th>
                 <th className="py-2 px-2 font-semibold text-gray-500 dark:text-gray-400 text-right hidden sm:table-cell">% of Total</th>
@@ -434,6 +437,10 @@ export default function RevenueDashboard({ shopifyOrders = [], loading = false }
                     {p.name}
                   </td>
                   <td className="py-2.5 px-2 text-right text-gray-700 dark:text-gray-300">{p.unitsSold.toLocaleString()}</td>
+                  <td className="py-2.5 px-2 text-right text-gray-500 dark:text-gray-400 hidden sm:table-cell">
+                    {fmtFull$(p.totalRevenue + p.listDiscount)}
+                    {p.listDiscount > 0 && <span className="block text-[10px] text-amber-600">−{fmtFull$(p.listDiscount)} price lists</span>}
+                  </td>
                   <td className="py-2.5 px-2 text-right font-semibold text-green-600">{fmtFull$(p.totalRevenue)}</td>
                   <td className="py-2.5 px-2 text-right text-gray-500 dark:text-gray-400 hidden sm:table-cell">{p.avgQtyPerOrder}</td>
                   <td className="py-2.5 px-2 text-right text-gray-500 dark:text-gray-400 hidden sm:table-cell">{p.pctOfTotal}%</td>
@@ -13,6 +13,7 @@ export default function ProductModal({ product, onClose, onSave, onDelete }) {
     pricePerUnit: product?.pricePerUnit ?? '',
     description: product?.description || '',
     available: product?.available ?? true,
+    allowOversell: product?.allowOversell ?? false,
   });
   const [saving, setSaving] = useState(false);
 
@@ -74,7 +75,7 @@ export default function ProductModal({ product, onClose, onSave, onDelete }) {
 
         {/* Price */}
         <div>
-          <label className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">Price per unit ($) *</label>
+          <label className="text-xs font-semibold text-gray-600 dark:text-gray-300 block mb-1">List price per unit ($) *</label>
           <input
             type="number"
             min={0}
@@ -108,6 +109,20 @@ export default function ProductModal({ product, onClose, onSave, onDelete }) {
           </span>
         </label>
 
+        {/* Oversell override — chefs may order past what's growing */}
+        <label className="flex items-start gap-3 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={form.allowOversell}
+            onChange={(e) => set('allowOversell', e.target.checked)}
+            className="mt-0.5 w-4 h-4 accent-amber-500"
+          />
+          <span className="text-sm text-gray-700 dark:text-gray-200">
+            <span className="font-semibold">Allow oversell</span>
+            <span className="block text-xs text-gray-500 dark:text-gray-400">Take orders beyond what's available to promise from current batches.</span>
+          </span>
+        </label>
+
         {/* Actions */}
         <div className="flex gap-2 pt-1">
           <button
@@ -16,6 +16,7 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { FULFILLMENT_COLUMNS, STATUS_TIMESTAMP_KEY } from '../../services/orderService';
+import { lineListValue } from '../../data/priceLists';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -207,6 +208,7 @@ export default function OrderDetailPanel({
     const qty = it.quantity || it.qty || 0;
     return sum + price * qty;
   }, 0);
+  const listDiscount = items.reduce((sum, it) => sum + lineListValue(it).discount, 0);
   const customer = customerMap[(order.customerEmail || '').toLowerCase()] || {};
 
   return (
@@ -223,6 +225,7 @@ export default function OrderDetailPanel({
           <div>
             <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">
               {order.customerName || 'Unknown'}
+              {order.orderNumber && <span className="ml-2 text-sm font-semibold text-gray-400">{order.orderNumber}</span>}
             </h3>
             {customer.restaurant && (
               <p className="text-xs text-gray-500 dark:text-gray-400">{customer.restaurant}</p>
@@ -286,11 +289,19 @@ export default function OrderDetailPanel({
               const qty = item.quantity || item.qty || 0;
               const unit = item.unit || 'ea';
               const price = item.price || item.pricePerUnit || 0;
+              const offList = item.listPrice != null && Math.abs(item.listPrice - price) >= 0.005;
+              const offContract = item.expectedPrice != null && Math.abs(item.expectedPrice - price) >= 0.005;
               return (
                 <div key={i} className="flex items-center justify-between py-1.5 px-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800">
                   <div>
                     <p className="text-sm text-gray-800 dark:text-gray-200">{name}</p>
-                    <p className="text-[10px] text-gray-400">{qty} {unit} × ${price.toFixed(2)}</p>
+                    <p className="text-[10px] text-gray-400">
+                      {qty} {unit} × ${price.toFixed(2)}
+                      {offList && <> · list ${item.listPrice.toFixed(2)}{item.priceListName ? ` (${item.priceListName})` : ''}</>}
+                    </p>
+                    {offContract && (
+                      <p className="text-[10px] text-amber-600">⚠ Price list says ${item.expectedPrice.toFixed(2)}</p>
+                    )}
                   </div>
                   <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
                     ${(qty * price).toFixed(2)}
@@ -300,6 +311,12 @@ export default function OrderDetailPanel({
             })}
           </div>
           {/* Total */}
+          {listDiscount > 0 && (
+            <div className="mt-2 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+              <span>List price ${(subtotal + listDiscount).toFixed(2)}</span>
+              <span className="text-green-600">−${listDiscount.toFixed(2)} price list</span>
+            </div>
+          )}
           <div className="mt-2 pt-2 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between">
             <span className="text-sm font-semibold text-gray-600 dark:text-gray-300">Total</span>
             <span className="text-lg font-bold text-gray-800 dark:text-gray-100">
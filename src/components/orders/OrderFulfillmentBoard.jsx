@@ -23,6 +23,7 @@ import { CSS } from '@dnd-kit/utilities';
 import { useDragSensors, kanbanCollisionDetection } from '../../hooks/useDragAndDrop';
 import { useAlerts } from '../../contexts/AlertContext';
 import OrderDetailPanel from './OrderDetailPanel';
+import { authHeaders } from '../../services/apiClient';
 
 // ── Column config — active board only shows 4 columns (not Delivered) ───────
 
@@ -277,7 +278,7 @@ function MigrationPanel({ shopifyOrders }) {
       ? '/api/migrate-order-statuses?force=true'
       : '/api/migrate-order-statuses';
     try {
-      const res = await fetch(url, { method: 'POST' });
+      const res = await fetch(url, { method: 'POST', headers: await authHeaders() });
       const text = await res.text();
       let data;
       try { data = JSON.parse(text); } catch { throw new Error(`Non-JSON response: ${text.slice(0, 300)}`); }
@@ -0,0 +1,28 @@
+/**
+ * UnmappedProductsBanner — Warns that a planner skipped products with no crop mapping.
+ *
+ * Usage:
+ *   <UnmappedProductsBanner names={['Spicy Mix 4oz']} />
+ *
+ * Renders nothing when names is empty. Links to the product mapping screen.
+ */
+import { useNavigate } from 'react-router-dom';
+import Alert from './Alert';
+
+export default function UnmappedProductsBanner({ names = [], className = 'mb-4' }) {
+  const navigate = useNavigate();
+  if (!names.length) return null;
+
+  const shown = names.slice(0, 3).join(', ');
+  const more = names.length > 3 ? ` +${names.length - 3} more` : '';
+
+  return (
+    <Alert
+      variant="warning"
+      title={`${names.length} product${names.length !== 1 ? 's' : ''} not mapped to a crop — left out of this plan`}
+      message={`${shown}${more}`}
+      action={{ label: 'Map products', onClick: () => navigate('/product-mappings') }}
+      className={className}
+    />
+  );
+}
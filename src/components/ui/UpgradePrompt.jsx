@@ -0,0 +1,37 @@
+import { useNavigate } from 'react-router-dom';
+import { PLANS } from '../../data/planTiers';
+import { LIMIT_LABELS } from '../../data/entitlements';
+
+/**
+ * UpgradePrompt — shown in place of a feature the farm's plan doesn't include.
+ *
+ * Usage:
+ *   <UpgradePrompt feature="deliveryTracking" upgradeTo="pro" canManageBilling={role === 'admin'} />
+ */
+export default function UpgradePrompt({ feature, upgradeTo, message, canManageBilling = true }) {
+  const navigate = useNavigate();
+  const plan = PLANS[upgradeTo];
+  const label = LIMIT_LABELS[feature] || 'This feature';
+
+  return (
+    <div className="max-w-lg mx-auto text-center py-16 px-6">
+      <p className="text-5xl mb-4">🔒</p>
+      <h2 className="text-xl font-bold text-gray-800 dark:text-gray-100 mb-2">
+        {label}{plan ? ` is a ${plan.name} feature` : ' is not available'}
+      </h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+        {message || `Upgrade your farm's plan to unlock ${label.toLowerCase()}.`}
+      </p>
+      {canManageBilling ? (
+        <button
+          onClick={() => navigate('/settings?tab=billing')}
+          className="bg-green-600 text-white font-bold px-5 py-2.5 min-h-[44px] rounded-xl text-sm hover:bg-green-700 transition-colors cursor-pointer"
+        >
+          {plan ? `Upgrade to ${plan.name}` : 'View plans'}
+        </button>
+      ) : (
+        <p className="text-xs text-gray-400">Ask your farm admin to upgrade.</p>
+      )}
+    </div>
+  );
+}
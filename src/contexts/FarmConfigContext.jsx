@@ -15,6 +15,8 @@ const DEFAULT_CONFIG = {
   timezone: 'America/Boise',
   cutoffTime: '14:00',
   deliveryDays: ['tuesday', 'friday'],
+  leadDays: 1,
+  minOrderTotal: 0,
   units: 'imperial',
   onboardingComplete: true,
 };
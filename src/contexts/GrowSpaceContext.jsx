@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { subscribeGrowSpace } from '../services/growSpaceService';
+import { GrowSpaceContext, EMPTY_LAYOUT } from '../hooks/useGrowSpace';
+
+/**
+ * Provider — the farm's grow space layout (farms/{farmId}/settings/growSpace).
+ * Sowing recommenders read it (hooks/useGrowSpace) to keep recommendations
+ * within shelf space.
+ */
+export function GrowSpaceProvider({ farmId, children }) {
+  const [layout, setLayout] = useState(EMPTY_LAYOUT);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!farmId) { setLayout(EMPTY_LAYOUT); setLoading(false); return; }
+    setLoading(true);
+    return subscribeGrowSpace(
+      farmId,
+      (resolved) => { setLayout(resolved); setLoading(false); },
+      (err) => { console.error('Grow space subscription error:', err); setLoading(false); }
+    );
+  }, [farmId]);
+
+  return (
+    <GrowSpaceContext.Provider value={{ layout, loading }}>
+      {children}
+    </GrowSpaceContext.Provider>
+  );
+}
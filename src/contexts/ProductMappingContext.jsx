@@ -0,0 +1,56 @@
+import { useState, useEffect, useMemo } from 'react';
+import { subscribeProducts, subscribeShopifyProducts } from '../services/productService';
+import { buildProductMappingIndex, isProductMapped } from '../data/productMapping';
+import { useDemoMode } from './DemoModeContext';
+import { ProductMappingContext } from '../hooks/useProductMappings';
+
+/**
+ * Provider — live product → crop mappings for the farm (Shopify products and
+ * catalog products), read through hooks/useProductMappings. Planners resolve
+ * order line items through mappingIndex; unmappedProducts feeds the mapping
+ * screen and planner warnings.
+ * Must sit inside DemoModeProvider so demo mode maps the demo catalog.
+ */
+export function ProductMappingProvider({ farmId, children }) {
+  const { isDemoMode, demoData } = useDemoMode();
+  const [shopifyProducts, setShopifyProducts] = useState([]);
+  const [catalogProducts, setCatalogProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!farmId) { setShopifyProducts([]); setCatalogProducts([]); setLoading(false); return; }
+    setLoading(true);
+    const unsubShopify = subscribeShopifyProducts(
+      farmId,
+      (data) => { setShopifyProducts(data); setLoading(false); },
+      (err) => { console.error('Shopify product subscription error:', err); setLoading(false); }
+    );
+    const unsubCatalog = subscribeProducts(
+      farmId,
+      setCatalogProducts,
+      (err) => console.error('Catalog product subscription error:', err)
+    );
+    return () => { unsubShopify(); unsubCatalog(); };
+  }, [farmId]);
+
+  const value = useMemo(() => {
+    const shopify = isDemoMode ? [] : shopifyProducts;
+    const catalog = isDemoMode ? (demoData?.products || []) : catalogProducts;
+    const products = [
+      ...shopify.map((p) => ({ ...p, source: 'shopify' })),
+      ...catalog.map((p) => ({ ...p, source: 'catalog' })),
+    ];
+    return {
+      products,
+      unmappedProducts: products.filter((p) => !isProductMapped(p)),
+      mappingIndex: buildProductMappingIndex(products),
+      loading: isDemoMode ? false : loading,
+    };
+  }, [isDemoMode, demoData, shopifyProducts, catalogProducts, loading]);
+
+  return (
+    <ProductMappingContext.Provider value={value}>
+      {children}
+    </ProductMappingContext.Provider>
+  );
+}
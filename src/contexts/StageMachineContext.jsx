@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { subscribeStageMachines } from '../services/stageMachineService';
+import { DEFAULT_STAGE_MACHINES } from '../data/stageMachine';
+import { StageMachineContext } from '../hooks/useStageMachines';
+
+/**
+ * Provider — live batch lifecycle definitions for the farm (defaults merged
+ * with farms/{farmId}/settings/stageMachine). Every batch view reads stages
+ * through this (hooks/useStageMachines) so they all agree on IDs, order and
+ * transitions.
+ */
+export function StageMachineProvider({ farmId, children }) {
+  const [machines, setMachines] = useState(DEFAULT_STAGE_MACHINES);
+  const [overrides, setOverrides] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!farmId) { setMachines(DEFAULT_STAGE_MACHINES); setLoading(false); return; }
+    setLoading(true);
+    return subscribeStageMachines(
+      farmId,
+      (resolved, raw) => { setMachines(resolved); setOverrides(raw); setLoading(false); },
+      (err) => { console.error('Stage machine subscription error:', err); setLoading(false); }
+    );
+  }, [farmId]);
+
+  return (
+    <StageMachineContext.Provider value={{ machines, overrides, loading }}>
+      {children}
+    </StageMachineContext.Provider>
+  );
+}
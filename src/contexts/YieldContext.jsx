@@ -0,0 +1,40 @@
+import { useState, useEffect, useMemo } from 'react';
+import { subscribeCropProfiles } from '../services/cropProfileService';
+import { subscribeLearnedYields } from '../services/yieldService';
+import { createYieldResolver } from '../data/yieldResolution';
+import { YieldContext } from '../hooks/useYieldResolver';
+
+/**
+ * Provider — live yield resolver for the farm (crop profiles → learned
+ * yields → cropConfig defaults). Planners read yield-per-tray through this
+ * (hooks/useYieldResolver) so they all agree and can show where each number came from.
+ */
+export function YieldProvider({ farmId, children }) {
+  const [profiles, setProfiles] = useState([]);
+  const [learned, setLearned] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!farmId) { setProfiles([]); setLearned(null); setLoading(false); return; }
+    setLoading(true);
+    const unsubProfiles = subscribeCropProfiles(
+      farmId,
+      (data) => { setProfiles(data); setLoading(false); },
+      (err) => { console.error('Yield crop profile subscription error:', err); setLoading(false); }
+    );
+    const unsubLearned = subscribeLearnedYields(
+      farmId,
+      setLearned,
+      (err) => console.error('Learned yield subscription error:', err)
+    );
+    return () => { unsubProfiles(); unsubLearned(); };
+  }, [farmId]);
+
+  const resolveYield = useMemo(() => createYieldResolver({ profiles, learned }), [profiles, learned]);
+
+  return (
+    <YieldContext.Provider value={{ resolveYield, loading }}>
+      {children}
+    </YieldContext.Provider>
+  );
+}
@@ -0,0 +1,153 @@
+/**
+ * Available to promise — how much of a product a chef can still order for
+ * a delivery date.
+ *
+ * Supply is what's growing: every active batch is a lot of
+ * (trays − losses) × yield per tray, harvestable on any one day of its
+ * estimated harvest window. Committed orders (COMMITTED_ORDER_STATUSES)
+ * draw on those lots, earliest delivery date first, each from the lots
+ * whose window closes soonest. What's left in the lots covering a date is
+ * available for it. Products turn into crop ounces through their crop
+ * mapping (productMapping.js); a mix is limited by its scarcest crop.
+ * Products sharing a crop each see all of what's left of it.
+ *
+ * A date further out than a crop's grow time can still be sown for, so it
+ * isn't limited — nor are products without a crop mapping. Products with
+ * allowOversell set (an admin's deliberate call) show what's available but
+ * take orders past it.
+ *
+ * Computed server-side (api/_lib/availability.js), since it needs every
+ * customer's orders; /api/orders enforces it and the chef catalog shows it.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { getVarietyById } from './cropConfig.js';
+import { getBatchStage } from './stageMachine.js';
+import { batchTrays } from './growSpace.js';
+import { expandLineItem, sumCropOunces } from './productMapping.js';
+import { addDays } from './standingOrders.js';
+
+/** Order statuses whose produce is spoken for. */
+export const COMMITTED_ORDER_STATUSES = ['new', 'confirmed', 'harvesting', 'packed'];
+
+const OZ_EPSILON = 0.001;
+
+/**
+ * Harvestable lots from active batches:
+ * [{ batchId, cropId, oz, from, to }] — from/to bound the harvest window.
+ * resolveYield: createYieldResolver(); batches whose window closed before
+ * today, or with no trays left, are left out.
+ */
+export function supplyLots(batches, { machines, resolveYield, today }) {
+  const lots = [];
+  for (const batch of batches) {
+    if (getBatchStage(machines, batch)?.terminal) continue;
+    const variety = getVarietyById(batch.varietyId);
+    const trays = batchTrays(batch) - (Number(batch.lossCount) || 0);
+    if (!variety || trays <= 0) continue;
+
+    const from = batch.estimatedHarvestStart
+      || (batch.sowDate ? addDays(batch.sowDate, variety.growDays || 0) : null);
+    if (!from) continue;
+    const to = batch.estimatedHarvestEnd || addDays(from, Math.max(0, (variety.harvestWindow || 1) - 1));
+    if (to < today) continue;
+
+    const { yieldPerTray } = resolveYield({ cropId: variety.id });
+    lots.push({ batchId: batch.id, cropId: variety.id, oz: trays * yieldPerTray, from, to });
+  }
+  return lots;
+}
+
+/**
+ * Crop ounces still unpromised on each date: Map cropId → Map date → oz.
+ * Consumes lots (copies them) with committed orders from today on.
+ */
+export function cropAvailability(lots, orders, mappingIndex, dates, today) {
+  const remaining = lots.map((l) => ({ ...l }));
+
+  const byDate = new Map();
+  for (const o of orders) {
+    const date = o.requestedDeliveryDate;
+    if (!COMMITTED_ORDER_STATUSES.includes(o.status) || !date || date < today) continue;
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(o);
+  }
+
+  for (const date of [...byDate.keys()].sort()) {
+    for (const { cropId, oz } of sumCropOunces(mappingIndex, byDate.get(date)).crops) {
+      let need = oz;
+      const covering = remaining
+        .filter((l) => l.cropId === cropId && l.from <= date && l.to >= date && l.oz > 0)
+        .sort((a, b) => a.to.localeCompare(b.to));
+      for (const lot of covering) {
+        if (need <= OZ_EPSILON) break;
+        const take = Math.min(lot.oz, need);
+        lot.oz -= take;
+        need -= take;
+      }
+    }
+  }
+
+  const out = new Map();
+  for (const lot of remaining) {
+    if (!out.has(lot.cropId)) out.set(lot.cropId, new Map());
+    const perDate = out.get(lot.cropId);
+    for (const date of dates) {
+      if (lot.from <= date && lot.to >= date) perDate.set(date, (perDate.get(date) || 0) + lot.oz);
+    }
+  }
+  return out;
+}
+
+/**
+ * Units of a catalog product available to promise on a date, or null when
+ * it isn't limited (unmapped, or far enough out to still be sown for).
+ */
+export function productAvailability(product, date, crops, mappingIndex, today) {
+  const line = expandLineItem(mappingIndex, { productId: product.id, name: product.name, quantity: 1 });
+  if (!line.mapped) return null;
+
+  let units = null;
+  for (const { cropId, oz } of line.crops) {
+    const growDays = getVarietyById(cropId)?.growDays || 0;
+    if (oz <= 0 || date > addDays(today, growDays)) continue;
+    const free = crops.get(cropId)?.get(date) || 0;
+    const fit = Math.max(0, Math.floor(free / oz + OZ_EPSILON));
+    units = units == null ? fit : Math.min(units, fit);
+  }
+  return units;
+}
+
+/**
+ * Availability of every catalog product on a date:
+ * { [productId]: { available: number | null, oversell: boolean } }.
+ */
+export function availableToPromise({ products, batches, orders, mappingIndex, machines, resolveYield, date, today }) {
+  const lots = supplyLots(batches, { machines, resolveYield, today });
+  const crops = cropAvailability(lots, orders, mappingIndex, [date], today);
+  return Object.fromEntries(products.map((p) => [p.id, {
+    available: productAvailability(p, date, crops, mappingIndex, today),
+    oversell:  !!p.allowOversell,
+  }]));
+}
+
+/** Most a cart may hold of a product, or null for no limit. */
+export function orderCap(entry) {
+  return entry && !entry.oversell && entry.available != null ? entry.available : null;
+}
+
+/**
+ * Lines asking for more than is available — one message each; empty when
+ * the order fits. items: order lines ({ productId, name, quantity }).
+ */
+export function availabilityErrors(items, availability, date) {
+  const errors = [];
+  for (const item of items) {
+    const cap = orderCap(availability[item.productId]);
+    if (cap == null || item.quantity <= cap) continue;
+    errors.push(cap === 0
+      ? `${item.name} is sold out for ${date}`
+      : `Only ${cap} ${item.unit || 'units'} of ${item.name} left for ${date}`);
+  }
+  return errors;
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_STAGE_MACHINES } from './stageMachine.js';
+import { buildProductMappingIndex } from './productMapping.js';
+import {
+  supplyLots,
+  cropAvailability,
+  availableToPromise,
+  orderCap,
+  availabilityErrors,
+} from './availability.js';
+
+const TODAY = '2026-05-18';
+const machines = DEFAULT_STAGE_MACHINES;
+const resolveYield = () => ({ yieldPerTray: 10 });
+
+const batch = (id, fields) => ({ id, cropCategory: 'microgreens', varietyId: 'sunflower', stage: 'light', ...fields });
+const batches = [
+  batch('b1', { quantity: 2, estimatedHarvestStart: '2026-05-20' }),
+  batch('b2', { quantity: 3, lossCount: 1, estimatedHarvestStart: '2026-05-21' }),
+  batch('b3', { quantity: 5, estimatedHarvestStart: '2026-05-20', stage: 'harvested' }),
+  batch('b4', { quantity: 5, estimatedHarvestStart: '2026-05-10' }),
+];
+
+const products = [
+  { id: 'p-sun', name: 'Sunflower', cropMapping: { cropId: 'sunflower', ozPerUnit: 4 } },
+  { id: 'p-mix', name: 'Sun & Pea', cropMapping: { components: [{ cropId: 'sunflower', parts: 1 }, { cropId: 'pea', parts: 1 }], ozPerUnit: 4 } },
+  { id: 'p-free', name: 'Edible Flowers' },
+  { id: 'p-over', name: 'Sunflower bulk', allowOversell: true, cropMapping: { cropId: 'sunflower', ozPerUnit: 4 } },
+];
+const index = buildProductMappingIndex(products);
+
+const orders = [
+  { id: 'o1', status: 'confirmed', requestedDeliveryDate: '2026-05-21', items: [{ productId: 'p-sun', quantity: 3 }] },
+  { id: 'o2', status: 'cancelled', requestedDeliveryDate: '2026-05-21', items: [{ productId: 'p-sun', quantity: 50 }] },
+  { id: 'o3', status: 'confirmed', requestedDeliveryDate: '2026-05-17', items: [{ productId: 'p-sun', quantity: 50 }] },
+];
+
+const atp = (date) => availableToPromise({ products, batches, orders, mappingIndex: index, machines, resolveYield, date, today: TODAY });
+
+describe('supplyLots', () => {
+  it('turns growing batches into harvest-window lots, net of losses', () => {
+    expect(supplyLots(batches, { machines, resolveYield, today: TODAY })).toEqual([
+      { batchId: 'b1', cropId: 'sunflower', oz: 20, from: '2026-05-20', to: '2026-05-22' },
+      { batchId: 'b2', cropId: 'sunflower', oz: 20, from: '2026-05-21', to: '2026-05-23' },
+    ]);
+  });
+});
+
+describe('cropAvailability', () => {
+  it('draws committed orders from the lot that closes soonest', () => {
+    const lots = supplyLots(batches, { machines, resolveYield, today: TODAY });
+    const crops = cropAvailability(lots, orders, index, ['2026-05-20', '2026-05-21', '2026-05-23'], TODAY);
+    // o1 takes 12 oz from b1, leaving 8
+    expect(Object.fromEntries(crops.get('sunflower'))).toEqual({
+      '2026-05-20': 8,
+      '2026-05-21': 28,
+      '2026-05-23': 20,
+    });
+    expect(lots[0].oz).toBe(20);
+  });
+});
+
+describe('availableToPromise', () => {
+  it('reports whole units left per product', () => {
+    expect(atp('2026-05-21')['p-sun']).toEqual({ available: 7, oversell: false });
+    expect(atp('2026-05-20')['p-sun'].available).toBe(2);
+  });
+
+  it('limits a mix by its scarcest crop', () => {
+    expect(atp('2026-05-21')['p-mix'].available).toBe(0);
+  });
+
+  it('does not limit unmapped products or dates that can still be sown for', () => {
+    expect(atp('2026-05-21')['p-free'].available).toBeNull();
+    // sunflower grows in 9 days — the 28th can still be sown today
+    expect(atp('2026-05-28')['p-sun'].available).toBeNull();
+  });
+});
+
+describe('availabilityErrors', () => {
+  const availability = atp('2026-05-21');
+
+  it('flags lines over what is left', () => {
+    expect(availabilityErrors([
+      { productId: 'p-sun', name: 'Sunflower', quantity: 8, unit: 'clamshells' },
+      { productId: 'p-mix', name: 'Sun & Pea', quantity: 1 },
+      { productId: 'p-free', name: 'Edible Flowers', quantity: 100 },
+    ], availability, '2026-05-21')).toEqual([
+      'Only 7 clamshells of Sunflower left for 2026-05-21',
+      'Sun & Pea is sold out for 2026-05-21',
+    ]);
+  });
+
+  it('lets oversell products take orders past what is available', () => {
+    expect(orderCap(availability['p-over'])).toBeNull();
+    expect(availabilityErrors([{ productId: 'p-over', name: 'Sunflower bulk', quantity: 100 }], availability, '2026-05-21')).toEqual([]);
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Batch costing — what each harvested batch cost and earned.
+ *
+ * Cost roll-up per batch:
+ *   seed, medium, packaging  the materials recorded on the batch when it was
+ *                            planted / harvested (data/billOfMaterials.js),
+ *                            split by the inventory item's category, plus the
+ *                            'pack' materials of the orders it filled
+ *   labor, utilities         the month's labor / utilities cost entries
+ *                            spread over every tray-day grown that month
+ *                            (trays × days from sowing to harvest)
+ *   labor (tracked)          minutes the crew timed on the batch (plant, move,
+ *                            harvest, its share of packing — data/laborTracking.js)
+ *                            at the farm's hourly rate; what's tracked in a
+ *                            month comes out of that month's labor pool first
+ *                            so it isn't counted twice
+ * Batches with no seed recorded fall back to the crop's seedCostPerTray,
+ * and are flagged as estimated.
+ *
+ * Revenue comes from the orders the batch was packed into (packedBatches,
+ * data/traceability.js): a line's revenue is split across its crops by
+ * ounces (mixes by recipe share), then evenly across that crop's batches.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { batchTrays } from './growSpace.js';
+import { expandLineItem } from './productMapping.js';
+import { getVarietyById } from './cropConfig.js';
+import { batchTaskMinutes } from './laborTracking.js';
+
+export const COST_PARTS = [
+  { id: 'seed',      label: 'Seed' },
+  { id: 'medium',    label: 'Medium' },
+  { id: 'packaging', label: 'Packaging' },
+  { id: 'labor',     label: 'Labor' },
+  { id: 'utilities', label: 'Utilities' },
+  { id: 'other',     label: 'Other' },
+];
+
+/** COST_CATEGORIES ids spread over batches by tray-day → the cost part they land in. */
+const OVERHEAD_PARTS = { labor: 'labor', utilities: 'utilities' };
+
+/** Inventory category → cost part for materials. */
+const PART_BY_ITEM_CATEGORY = { seeds: 'seed', soil: 'medium', packaging: 'packaging' };
+
+const DAY_MS = 86400000;
+const round = (n) => Math.round(n * 100) / 100;
+const emptyParts = () => Object.fromEntries(COST_PARTS.map((p) => [p.id, 0]));
+const day = (v) => (v ? String(v).slice(0, 10) : null);
+
+/** Revenue of an order line item. */
+export const lineRevenue = (item) => Number(item?.lineTotal) || (Number(item?.price) || 0) * (Number(item?.quantity ?? item?.qty) || 1);
+
+// ── Tray-days ───────────────────────────────────────────────────────────────
+
+/** Days a batch occupies its trays in each month: [{ month: 'YYYY-MM', days }]. */
+function monthSpans(batch, today) {
+  const start = day(batch.sowDate);
+  const end = day(batch.harvestedAt) || today;
+  if (!start || !end || end < start) return [];
+  const spans = new Map();
+  const d = new Date(`${start}T12:00:00Z`);
+  const last = new Date(`${end}T12:00:00Z`);
+  // Count the sow day through the day before harvest; a same-day harvest still counts one day
+  do {
+    const month = d.toISOString().slice(0, 7);
+    spans.set(month, (spans.get(month) || 0) + 1);
+    d.setTime(d.getTime() + DAY_MS);
+  } while (d < last);
+  return [...spans].map(([month, days]) => ({ month, days }));
+}
+
+/** Trays × days grown, sow to harvest (or to today while growing). */
+export function batchTrayDays(batch, today) {
+  return batchTrays(batch) * monthSpans(batch, today).reduce((s, m) => s + m.days, 0);
+}
+
+/**
+ * Labor / utilities cost per tray-day, by month.
+ * Every batch growing in a month shares it, harvested or not.
+ * trackedLabor: Map 'YYYY-MM' → $ of timed labor already charged to batches,
+ * taken off that month's labor pool.
+ * Returns Map 'YYYY-MM' → { labor, utilities }.
+ */
+export function overheadRates(costs, batches, today, trackedLabor = new Map()) {
+  const pools = new Map();
+  for (const c of costs) {
+    const part = OVERHEAD_PARTS[c.category];
+    if (!part || !c.date) continue;
+    const month = c.date.slice(0, 7);
+    const pool = pools.get(month) || { labor: 0, utilities: 0 };
+    pool[part] += Number(c.amount) || 0;
+    pools.set(month, pool);
+  }
+  const trayDays = new Map();
+  for (const b of batches) {
+    const trays = batchTrays(b);
+    for (const { month, days } of monthSpans(b, today)) {
+      trayDays.set(month, (trayDays.get(month) || 0) + trays * days);
+    }
+  }
+  const rates = new Map();
+  for (const [month, pool] of pools) {
+    const td = trayDays.get(month);
+    const labor = Math.max(0, pool.labor - (trackedLabor.get(month) || 0));
+    if (td > 0) rates.set(month, { labor: labor / td, utilities: pool.utilities / td });
+  }
+  return rates;
+}
+
+// ── Revenue ─────────────────────────────────────────────────────────────────
+
+/**
+ * Revenue and packaging attributed to batches from packed orders.
+ * Returns Map batchId → { revenue, packaging, orderIds: Set }.
+ */
+export function attributeOrders(orders, batches, mappingIndex) {
+  const byId = new Map(batches.map((b) => [b.id, b]));
+  const out = new Map();
+  const entry = (id) => {
+    if (!out.has(id)) out.set(id, { revenue: 0, packaging: 0, orderIds: new Set() });
+    return out.get(id);
+  };
+
+  for (const order of orders) {
+    if (order.status === 'cancelled' || !order.packedBatches?.length) continue;
+    const shares = new Map(); // batchId → revenue from this order
+    for (const packed of order.packedBatches) {
+      const item = (order.items || order.lineItems || [])[packed.line];
+      const ids = (packed.batchIds || []).filter(Boolean);
+      if (!item || ids.length === 0) continue;
+      const revenue = lineRevenue(item);
+      const crops = expandLineItem(mappingIndex, item).crops;
+      const totalOz = crops.reduce((s, c) => s + c.oz, 0);
+      const parts = crops.length && totalOz > 0
+        ? crops.map((c) => {
+          const cropIds = ids.filter((id) => byId.get(id)?.varietyId === c.cropId);
+          return { ids: cropIds.length ? cropIds : ids, amount: revenue * (c.oz / totalOz) };
+        })
+        : [{ ids, amount: revenue }];
+      for (const { ids: to, amount } of parts) {
+        for (const id of to) shares.set(id, (shares.get(id) || 0) + amount / to.length);
+      }
+    }
+    if (shares.size === 0) continue;
+
+    // The order's packaging goes to its batches in proportion to revenue (evenly when unpriced)
+    const packaging = (order.materials || [])
+      .filter((m) => m.event === 'pack')
+      .reduce((s, m) => s + (Number(m.qty) || 0) * (Number(m.unitCost) || 0), 0);
+    const orderRevenue = [...shares.values()].reduce((s, v) => s + v, 0);
+    for (const [id, rev] of shares) {
+      const e = entry(id);
+      e.revenue += rev;
+      e.packaging += orderRevenue > 0 ? packaging * (rev / orderRevenue) : packaging / shares.size;
+      e.orderIds.add(order.id);
+    }
+  }
+  return out;
+}
+
+// ── Roll-up ─────────────────────────────────────────────────────────────────
+
+/**
+ * Cost and margin for every harvested batch.
+ * labor: { entries, hourlyRate } — timed crew tasks; ignored without a rate.
+ * Returns [{ batch, cropId, cropName, trays, trayDays, yieldOz, laborMinutes,
+ *   costs: { seed, medium, packaging, labor, utilities, other }, cost,
+ *   revenue, margin, marginPct, orderCount, estimated: [partId] }], newest
+ *   harvest first.
+ * marginPct is null when the batch has no attributed revenue.
+ */
+export function batchCosting(batches, { orders = [], costs = [], inventory = [], labor = {}, mappingIndex, today }) {
+  const hourlyRate = Number(labor.hourlyRate) || 0;
+  const tasks = hourlyRate > 0 ? batchTaskMinutes(labor.entries || []) : new Map();
+  const tracked = new Map(); // month → $ of timed labor
+  for (const list of tasks.values()) {
+    for (const t of list) {
+      const month = String(t.date).slice(0, 7);
+      tracked.set(month, (tracked.get(month) || 0) + (t.minutes / 60) * hourlyRate);
+    }
+  }
+  const rates = overheadRates(costs, batches, today, tracked);
+  const attributed = attributeOrders(orders, batches, mappingIndex);
+  const itemCategory = new Map(inventory.map((i) => [i.id, i.category]));
+
+  return batches
+    .filter((b) => b.harvestedAt)
+    .map((batch) => {
+      const parts = emptyParts();
+      const estimated = [];
+      const trays = batchTrays(batch);
+
+      for (const m of batch.materials || []) {
+        const part = PART_BY_ITEM_CATEGORY[itemCategory.get(m.itemId)] || 'other';
+        parts[part] += (Number(m.qty) || 0) * (Number(m.unitCost) || 0);
+      }
+      if (parts.seed === 0) {
+        const perTray = Number(getVarietyById(batch.varietyId)?.seedCostPerTray) || 0;
+        if (perTray > 0 && trays > 0) {
+          parts.seed = perTray * trays;
+          estimated.push('seed');
+        }
+      }
+      for (const { month, days } of monthSpans(batch, today)) {
+        const rate = rates.get(month);
+        if (!rate) continue;
+        parts.labor += rate.labor * trays * days;
+        parts.utilities += rate.utilities * trays * days;
+      }
+      const laborMinutes = (tasks.get(batch.id) || []).reduce((s, t) => s + t.minutes, 0);
+      parts.labor += (laborMinutes / 60) * hourlyRate;
+      const sales = attributed.get(batch.id);
+      parts.packaging += sales?.packaging || 0;
+
+      const rounded = Object.fromEntries(Object.entries(parts).map(([k, v]) => [k, round(v)]));
+      const cost = round(Object.values(parts).reduce((s, v) => s + v, 0));
+      const revenue = round(sales?.revenue || 0);
+      return {
+        batch,
+        cropId:     batch.varietyId,
+        cropName:   batch.varietyName || getVarietyById(batch.varietyId)?.name || batch.varietyId,
+        trays,
+        trayDays:   batchTrayDays(batch, today),
+        yieldOz:    Number(batch.actualYield) || 0,
+        laborMinutes: Math.round(laborMinutes),
+        costs:      rounded,
+        cost,
+        revenue,
+        margin:     round(revenue - cost),
+        marginPct:  revenue > 0 ? Math.round(((revenue - cost) / revenue) * 1000) / 10 : null,
+        orderCount: sales?.orderIds.size || 0,
+        estimated,
+      };
+    })
+    .sort((a, b) => String(b.batch.harvestedAt).localeCompare(String(a.batch.harvestedAt)));
+}
+
+/**
+ * Roll batch rows up per crop. Margin only counts batches that sold
+ * something, so crops with unpacked harvests aren't shown as losses.
+ * Returns [{ cropId, cropName, batches, soldBatches, trays, yieldOz, costs,
+ *   cost, soldCost, revenue, margin, marginPct, costPerOz }], by revenue.
+ */
+export function marginByCrop(rows) {
+  const crops = new Map();
+  for (const r of rows) {
+    if (!crops.has(r.cropId)) {
+      crops.set(r.cropId, {
+        cropId: r.cropId, cropName: r.cropName, batches: 0, soldBatches: 0, trays: 0, yieldOz: 0,
+        costs: emptyParts(), cost: 0, soldCost: 0, revenue: 0,
+      });
+    }
+    const c = crops.get(r.cropId);
+    c.batches += 1;
+    c.trays += r.trays;
+    c.yieldOz += r.yieldOz;
+    c.cost += r.cost;
+    for (const [k, v] of Object.entries(r.costs)) c.costs[k] += v;
+    if (r.revenue > 0) {
+      c.soldBatches += 1;
+      c.soldCost += r.cost;
+      c.revenue += r.revenue;
+    }
+  }
+  return [...crops.values()]
+    .map((c) => ({
+      ...c,
+      cost:      round(c.cost),
+      soldCost:  round(c.soldCost),
+      revenue:   round(c.revenue),
+      costs:     Object.fromEntries(Object.entries(c.costs).map(([k, v]) => [k, round(v)])),
+      margin:    round(c.revenue - c.soldCost),
+      marginPct: c.revenue > 0 ? Math.round(((c.revenue - c.soldCost) / c.revenue) * 1000) / 10 : null,
+      costPerOz: c.yieldOz > 0 ? round(c.cost / c.yieldOz) : null,
+    }))
+    .sort((a, b) => b.revenue - a.revenue || a.cropName.localeCompare(b.cropName));
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { buildProductMappingIndex } from './productMapping.js';
+import { lineRevenue, batchTrayDays, overheadRates, batchCosting, marginByCrop } from './batchCosting.js';
+
+const today = '2026-05-31';
+
+const mappingIndex = buildProductMappingIndex([
+  { id: 'radish', name: 'Radish', cropMapping: { cropId: 'radish', ozPerUnit: 2 } },
+  { id: 'mix', name: 'Mix', cropMapping: { components: [{ cropId: 'radish', parts: 1 }, { cropId: 'pea', parts: 1 }], ozPerUnit: 4 } },
+]);
+
+const inventory = [
+  { id: 'seed', category: 'seeds' },
+  { id: 'mat', category: 'soil' },
+  { id: 'clam', category: 'packaging' },
+  { id: 'tape' },
+];
+
+// 10 days each: b1 2 trays, b2 1 tray, growing 2 trays → 50 tray-days in May
+const batches = [
+  {
+    id: 'b1', varietyId: 'radish', varietyName: 'Radish', quantity: 2, sowDate: '2026-05-01', harvestedAt: '2026-05-11T09:00:00Z',
+    actualYield: 24,
+    materials: [
+      { itemId: 'seed', qty: 50, unitCost: 0.05, event: 'plant' },
+      { itemId: 'mat', qty: 2, unitCost: 0.8, event: 'plant' },
+      { itemId: 'tape', qty: 1, unitCost: 0.5, event: 'harvest' },
+    ],
+  },
+  { id: 'b2', varietyId: 'pea', quantity: 1, sowDate: '2026-05-05', harvestedAt: '2026-05-15T09:00:00Z', actualYield: 10 },
+  { id: 'growing', varietyId: 'radish', quantity: 2, sowDate: '2026-05-21' },
+];
+
+const orders = [
+  {
+    id: 'o1', items: [{ productId: 'radish', quantity: 2, price: 20 }],
+    packedBatches: [{ line: 0, batchIds: ['b1'] }],
+    materials: [{ itemId: 'clam', qty: 2, unitCost: 0.25, event: 'pack' }],
+  },
+  {
+    id: 'o2', items: [{ productId: 'mix', quantity: 1, lineTotal: 12 }],
+    packedBatches: [{ line: 0, batchIds: ['b1', 'b2'] }],
+    materials: [{ itemId: 'clam', qty: 1, unitCost: 0.4, event: 'pack' }],
+  },
+  { id: 'o3', status: 'cancelled', items: [{ productId: 'radish', price: 99 }], packedBatches: [{ line: 0, batchIds: ['b1'] }] },
+];
+
+const costs = [
+  { category: 'labor', amount: 35, date: '2026-05-03' },
+  { category: 'utilities', amount: 5, date: '2026-05-20' },
+  { category: 'seeds', amount: 999, date: '2026-05-03' },
+];
+
+// 30 timed minutes at $20/h = $10, taken out of May's labor pool
+const labor = { hourlyRate: 20, entries: [{ kind: 'task', action: 'plant', batchId: 'b1', minutes: 30, date: '2026-05-01' }] };
+
+describe('lineRevenue', () => {
+  it('prefers the line total over price × quantity', () => {
+    expect(lineRevenue({ lineTotal: '12.5', price: 3, quantity: 2 })).toBe(12.5);
+    expect(lineRevenue({ price: 3, qty: 2 })).toBe(6);
+    expect(lineRevenue({ price: 3 })).toBe(3);
+  });
+});
+
+describe('batchTrayDays', () => {
+  it('counts sow day up to harvest, or to today while growing', () => {
+    expect(batchTrayDays(batches[0], today)).toBe(20);
+    expect(batchTrayDays(batches[2], today)).toBe(20);
+    expect(batchTrayDays({ quantity: 3, sowDate: '2026-05-01', harvestedAt: '2026-05-01' }, today)).toBe(3);
+  });
+});
+
+describe('overheadRates', () => {
+  it('splits overhead by month across every batch growing', () => {
+    const spanning = { quantity: 1, sowDate: '2026-04-28', harvestedAt: '2026-05-03' };
+    const rates = overheadRates(
+      [{ category: 'utilities', amount: 12, date: '2026-04-15' }, { category: 'labor', amount: 4, date: '2026-05-01' }],
+      [spanning], today, new Map([['2026-05', 1]]),
+    );
+    expect(rates.get('2026-04')).toEqual({ labor: 0, utilities: 4 });
+    expect(rates.get('2026-05')).toEqual({ labor: 1.5, utilities: 0 });
+  });
+});
+
+describe('batchCosting', () => {
+  const rows = batchCosting(batches, { orders, costs, inventory, labor, mappingIndex, today });
+
+  it('costs harvested batches only, newest harvest first', () => {
+    expect(rows.map((r) => r.batch.id)).toEqual(['b2', 'b1']);
+  });
+
+  it('rolls up materials, overhead, timed labor and packed orders', () => {
+    expect(rows[1]).toMatchObject({
+      cropId: 'radish', cropName: 'Radish', trays: 2, trayDays: 20, yieldOz: 24, laborMinutes: 30,
+      costs: { seed: 2.5, medium: 1.6, packaging: 0.7, labor: 20, utilities: 2, other: 0.5 },
+      cost: 27.3, revenue: 46, margin: 18.7, marginPct: 40.7, orderCount: 2, estimated: [],
+    });
+  });
+
+  it('estimates seed from the crop when none was recorded', () => {
+    expect(rows[0]).toMatchObject({
+      cropName: 'Pea Shoots', costs: { seed: 1.2, packaging: 0.2, labor: 5, utilities: 1 },
+      cost: 7.4, revenue: 6, marginPct: -23.3, orderCount: 1, estimated: ['seed'],
+    });
+  });
+});
+
+describe('marginByCrop', () => {
+  const row = (cropId, cost, revenue, yieldOz) => ({
+    cropId, cropName: cropId, trays: 1, yieldOz, cost, revenue,
+    costs: { seed: cost, medium: 0, packaging: 0, labor: 0, utilities: 0, other: 0 },
+  });
+
+  it('counts margin on sold batches only', () => {
+    const [radish, pea] = marginByCrop([row('radish', 5, 20, 10), row('radish', 5, 0, 10), row('pea', 4, 0, 8)]);
+    expect(radish).toMatchObject({
+      batches: 2, soldBatches: 1, cost: 10, soldCost: 5, revenue: 20, margin: 15, marginPct: 75, costPerOz: 0.5,
+    });
+    expect(pea).toMatchObject({ soldBatches: 0, margin: 0, marginPct: null, costPerOz: 0.5 });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Bill of materials — what each crop uses up from inventory.
+ *
+ * Stored at farms/{farmId}/settings/billOfMaterials:
+ *
+ *   { crops: { [cropId]: [{ itemId, qty, per }] } }
+ *
+ * qty is in the inventory item's own unit, per one of BOM_BASES — seed and
+ * growing medium per tray planted, clamshells per oz packed, and so on.
+ * Planting, harvesting and packing take their materials off inventory and
+ * record them (with the unit cost at the time) on the batch or order:
+ *
+ *   materials: [{ itemId, name, qty, unit, unitCost, event }]
+ *
+ * projectRunOut walks upcoming sowings and the harvests of batches already
+ * growing to say when each item runs out.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+
+export const BOM_BASES = [
+  { id: 'tray',      event: 'plant',   label: 'per tray planted' },
+  { id: 'harvestOz', event: 'harvest', label: 'per oz harvested' },
+  { id: 'packedOz',  event: 'pack',    label: 'per oz packed' },
+];
+
+const BASE_BY_EVENT = Object.fromEntries(BOM_BASES.map((b) => [b.event, b.id]));
+
+/** How far ahead run-out dates are projected. */
+export const RUN_OUT_HORIZON_DAYS = 60;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/** Settings doc → { crops }, dropping lines without an item or a positive qty. */
+export function resolveBom(doc) {
+  const crops = {};
+  for (const [cropId, lines] of Object.entries(doc?.crops || {})) {
+    const clean = (Array.isArray(lines) ? lines : [])
+      .map((l) => ({ itemId: l.itemId, qty: Number(l.qty), per: BOM_BASES.some((b) => b.id === l.per) ? l.per : 'tray' }))
+      .filter((l) => l.itemId && l.qty > 0);
+    if (clean.length) crops[cropId] = clean;
+  }
+  return { crops };
+}
+
+/**
+ * Materials one event uses for a crop.
+ * event: 'plant' (amount = trays) | 'harvest' (amount = oz harvested) |
+ *        'pack' (amount = oz packed)
+ * Items no longer in inventory are left out.
+ */
+export function materialsFor(bom, inventory, cropId, event, amount) {
+  const base = BASE_BY_EVENT[event];
+  if (!(amount > 0)) return [];
+  return (bom.crops[cropId] || [])
+    .filter((l) => l.per === base)
+    .map((l) => {
+      const item = inventory.find((i) => i.id === l.itemId);
+      return item && {
+        itemId:   item.id,
+        name:     item.name,
+        qty:      round(l.qty * amount),
+        unit:     item.unit || '',
+        unitCost: Number(item.costPerUnit) || 0,
+        event,
+      };
+    })
+    .filter(Boolean);
+}
+
+/** Combine materials lists, one entry per item and event. */
+export function mergeMaterials(lists) {
+  const byKey = new Map();
+  for (const m of lists.flat()) {
+    const key = `${m.itemId}|${m.event}`;
+    const prev = byKey.get(key);
+    byKey.set(key, prev ? { ...prev, qty: round(prev.qty + m.qty) } : m);
+  }
+  return [...byKey.values()];
+}
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T12:00:00`);
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+/**
+ * Project when each inventory item runs out.
+ *
+ * Usage comes from planned sowings (sowingSchedule entries: crop,
+ * traysNeeded, yieldPerTray, sowDate, estimatedHarvestDate) — trays on the
+ * sow date, harvest and packing ounces on the harvest date — and from
+ * batches already growing (their expectedYield on estimatedHarvestStart).
+ *
+ * @returns {Map<itemId, { runOutDate, belowParDate, usage }>} — dates are
+ *   null when stock lasts past the horizon; usage is the total projected
+ *   over the horizon. Items no crop uses are left out.
+ */
+export function projectRunOut(inventory, bom, { sowings = [], activeBatches = [], today, horizonDays = RUN_OUT_HORIZON_DAYS }) {
+  const end = addDays(today, horizonDays);
+  const inWindow = (d) => d && d >= today && d <= end;
+  const events = []; // { date, itemId, qty }
+  const add = (date, list) => list.forEach((m) => events.push({ date, itemId: m.itemId, qty: m.qty }));
+
+  for (const s of sowings) {
+    const cropId = s.crop || s.cropId;
+    const oz = (s.traysNeeded || 0) * (s.yieldPerTray || 0);
+    if (inWindow(s.sowDate)) add(s.sowDate, materialsFor(bom, inventory, cropId, 'plant', s.traysNeeded));
+    if (inWindow(s.estimatedHarvestDate)) {
+      add(s.estimatedHarvestDate, materialsFor(bom, inventory, cropId, 'harvest', oz));
+      add(s.estimatedHarvestDate, materialsFor(bom, inventory, cropId, 'pack', oz));
+    }
+  }
+  for (const b of activeBatches) {
+    const date = String(b.estimatedHarvestStart || '').slice(0, 10);
+    if (!inWindow(date)) continue;
+    add(date, materialsFor(bom, inventory, b.varietyId, 'harvest', b.expectedYield));
+    add(date, materialsFor(bom, inventory, b.varietyId, 'pack', b.expectedYield));
+  }
+
+  const result = new Map();
+  const byItem = new Map();
+  for (const e of events.sort((a, b) => a.date.localeCompare(b.date))) {
+    byItem.set(e.itemId, [...(byItem.get(e.itemId) || []), e]);
+  }
+  for (const [itemId, itemEvents] of byItem) {
+    const item = inventory.find((i) => i.id === itemId);
+    let qty = Number(item.currentQty) || 0;
+    const par = Number(item.parLevel) || 0;
+    let runOutDate = qty <= 0 ? today : null;
+    let belowParDate = qty < par ? today : null;
+    for (const e of itemEvents) {
+      qty -= e.qty;
+      if (!belowParDate && qty < par) belowParDate = e.date;
+      if (!runOutDate && qty < 0) runOutDate = e.date;
+    }
+    result.set(itemId, { runOutDate, belowParDate, usage: round(itemEvents.reduce((s, e) => s + e.qty, 0)) });
+  }
+  return result;
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { resolveBom, materialsFor, mergeMaterials, projectRunOut } from './billOfMaterials.js';
+
+const inventory = [
+  { id: 'seed', name: 'Radish seed', unit: 'g', currentQty: 100, parLevel: 40, costPerUnit: '0.05' },
+  { id: 'soil', name: 'Hemp mat', unit: 'mat', currentQty: 10, costPerUnit: 0.8 },
+  { id: 'clam', name: 'Clamshell', currentQty: 20, parLevel: 5 },
+];
+
+const bom = resolveBom({
+  crops: {
+    radish: [
+      { itemId: 'seed', qty: 25, per: 'tray' },
+      { itemId: 'soil', qty: '1' },
+      { itemId: 'clam', qty: 0.25, per: 'packedOz' },
+    ],
+  },
+});
+
+describe('resolveBom', () => {
+  it('defaults lines to per tray and drops incomplete ones', () => {
+    expect(resolveBom({
+      crops: {
+        pea: [{ itemId: 'seed', qty: '30', per: 'bushel' }, { itemId: '', qty: 1 }, { itemId: 'soil', qty: 0 }],
+        kale: [{ qty: 1 }],
+        bad: 'nope',
+      },
+    })).toEqual({ crops: { pea: [{ itemId: 'seed', qty: 30, per: 'tray' }] } });
+    expect(resolveBom(null)).toEqual({ crops: {} });
+  });
+});
+
+describe('materialsFor', () => {
+  it('scales the lines for the event with unit cost', () => {
+    expect(materialsFor(bom, inventory, 'radish', 'plant', 3)).toEqual([
+      { itemId: 'seed', name: 'Radish seed', qty: 75, unit: 'g', unitCost: 0.05, event: 'plant' },
+      { itemId: 'soil', name: 'Hemp mat', qty: 3, unit: 'mat', unitCost: 0.8, event: 'plant' },
+    ]);
+    expect(materialsFor(bom, inventory, 'radish', 'pack', 10)).toEqual([
+      { itemId: 'clam', name: 'Clamshell', qty: 2.5, unit: '', unitCost: 0, event: 'pack' },
+    ]);
+  });
+
+  it('uses nothing for other events, crops, empty amounts or deleted items', () => {
+    expect(materialsFor(bom, inventory, 'radish', 'harvest', 10)).toEqual([]);
+    expect(materialsFor(bom, inventory, 'pea', 'plant', 3)).toEqual([]);
+    expect(materialsFor(bom, inventory, 'radish', 'plant', 0)).toEqual([]);
+    expect(materialsFor(bom, inventory.slice(1), 'radish', 'plant', 1).map((m) => m.itemId)).toEqual(['soil']);
+  });
+});
+
+describe('mergeMaterials', () => {
+  it('adds up the same item per event', () => {
+    const plant = materialsFor(bom, inventory, 'radish', 'plant', 1);
+    expect(mergeMaterials([plant, plant, materialsFor(bom, inventory, 'radish', 'pack', 4)])
+      .map((m) => [m.itemId, m.event, m.qty])).toEqual([['seed', 'plant', 50], ['soil', 'plant', 2], ['clam', 'pack', 1]]);
+  });
+});
+
+describe('projectRunOut', () => {
+  const today = '2026-05-10';
+  const sowings = [
+    { crop: 'radish', traysNeeded: 2, yieldPerTray: 10, sowDate: '2026-05-12', estimatedHarvestDate: '2026-05-20' },
+    { crop: 'radish', traysNeeded: 3, yieldPerTray: 10, sowDate: '2026-05-15', estimatedHarvestDate: '2026-05-23' },
+    { crop: 'radish', traysNeeded: 50, yieldPerTray: 10, sowDate: '2026-09-01', estimatedHarvestDate: '2026-09-09' },
+  ];
+  const activeBatches = [{ varietyId: 'radish', expectedYield: 40, estimatedHarvestStart: '2026-05-14T08:00:00Z' }];
+
+  it('walks sowings and growing batches to each item’s run-out date', () => {
+    const result = projectRunOut(inventory, bom, { sowings, activeBatches, today });
+    expect(result.get('seed')).toEqual({ runOutDate: '2026-05-15', belowParDate: '2026-05-15', usage: 125 });
+    expect(result.get('soil')).toEqual({ runOutDate: null, belowParDate: null, usage: 5 });
+    expect(result.get('clam')).toEqual({ runOutDate: '2026-05-23', belowParDate: '2026-05-23', usage: 22.5 });
+  });
+
+  it('flags stock that is already out or low today', () => {
+    const low = [{ ...inventory[0], currentQty: 30 }, { ...inventory[1], currentQty: 0 }, inventory[2]];
+    const result = projectRunOut(low, bom, { sowings: sowings.slice(0, 1), today });
+    expect(result.get('seed')).toMatchObject({ belowParDate: today, runOutDate: '2026-05-12' });
+    expect(result.get('soil')).toMatchObject({ runOutDate: today });
+  });
+
+  it('leaves out items nothing will use', () => {
+    expect(projectRunOut(inventory, bom, { today }).size).toBe(0);
+  });
+});
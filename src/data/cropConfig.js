@@ -2,18 +2,12 @@
 // Source: Master Business Brief, Harvest Today Specs, Sprint Plan documents
 // NOTE: Trey's team should review and adjust growDays, harvestWindow, and yieldPerTray
 // based on actual production data. These are research-based starting points.
+// Batch lifecycle stages per category live in stageMachine.js.
 
 export const cropConfig = {
   microgreens: {
     label: 'Microgreens',
     unit: 'tray',        // 10x20" Bootstrap Farmer trays
-    stages: [
-      { id: 'germination', label: 'Germination', description: 'Seeds planted, blackout dome on' },
-      { id: 'blackout', label: 'Blackout', description: 'Growing under weight/dome, no light' },
-      { id: 'light', label: 'Light', description: 'Dome removed, under grow lights' },
-      { id: 'ready', label: 'Ready to Harvest', description: 'Within optimal harvest window' },
-      { id: 'harvested', label: 'Harvested', description: 'Cut and packed' },
-    ],
     varieties: [
       {
         id: 'broccoli',
@@ -120,13 +114,6 @@ export const cropConfig = {
   leafyGreens: {
     label: 'Leafy Greens',
     unit: 'port',         // 2" net pot in Harvest Today wall
-    stages: [
-      { id: 'seedling', label: 'Seedling', description: 'Germinating in starter plugs' },
-      { id: 'transplant', label: 'Transplanted', description: 'Moved to Harvest Today wall' },
-      { id: 'growing', label: 'Growing', description: 'Active growth in wall system' },
-      { id: 'ready', label: 'Ready to Harvest', description: 'Within optimal harvest window' },
-      { id: 'harvested', label: 'Harvested', description: 'Cut — may regrow (cut-and-come-again)' },
-    ],
     varieties: [
       {
         id: 'baby-kale',
@@ -174,13 +161,6 @@ export const cropConfig = {
   herbs: {
     label: 'Herbs',
     unit: 'port',
-    stages: [
-      { id: 'seedling', label: 'Seedling', description: 'Germinating in starter plugs' },
-      { id: 'transplant', label: 'Transplanted', description: 'Moved to Harvest Today wall' },
-      { id: 'growing', label: 'Growing', description: 'Active growth' },
-      { id: 'ready', label: 'Ready to Harvest', description: 'Mature enough for first cut' },
-      { id: 'harvested', label: 'Harvested', description: 'Cut — will regrow' },
-    ],
     varieties: [
       {
         id: 'basil',
@@ -238,13 +218,6 @@ export const cropConfig = {
   mushrooms: {
     label: 'Mushrooms',
     unit: 'block',          // substrate block/bag
-    stages: [
-      { id: 'inoculation', label: 'Inoculation', description: 'Substrate inoculated with spawn' },
-      { id: 'incubation', label: 'Incubation', description: 'Mycelium colonizing substrate' },
-      { id: 'pinning', label: 'Pinning', description: 'Pins forming, ready for fruiting conditions' },
-      { id: 'fruiting', label: 'Fruiting', description: 'Active mushroom growth' },
-      { id: 'harvested', label: 'Harvested', description: 'Flush harvested — may produce more flushes' },
-    ],
     varieties: [
       {
         id: 'oyster',
@@ -0,0 +1,66 @@
+/**
+ * Delivery zones — where the farm delivers, on which days, and what an
+ * order for each zone needs.
+ *
+ * Stored at farms/{farmId}/deliveryZones/{id}:
+ *   { name, deliveryDays: ['tuesday', …], cutoffTime: 'HH:MM' | null,
+ *     leadDays, blackoutDates: ['YYYY-MM-DD'], minOrderTotal | null }
+ * An order for a delivery day must be in by cutoffTime, leadDays days
+ * before it. Blackout dates (holidays, farm closures) take no deliveries.
+ * Unset fields fall back to the farm-wide defaults in meta/config.
+ *
+ * A customer's zone is deliveryZoneId on their shopifyCustomers record,
+ * set in CustomerManager. Records from before zones existed carry a
+ * free-text deliveryZone, matched to a zone by name. Customers with no zone
+ * order on the farm-wide defaults.
+ *
+ * deliveryRules() gives the config-shaped rules orderRules.js checks
+ * against — in the cart and in /api/orders.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+
+/** Order lead time when neither the zone nor the farm sets one. */
+export const DEFAULT_LEAD_DAYS = 1;
+
+const nameKey = (name) => String(name || '').toLowerCase().trim();
+
+/** The zone a customer record belongs to, or null. */
+export function customerZone(zones, customer) {
+  if (!customer) return null;
+  if (customer.deliveryZoneId) return zones.find((z) => z.id === customer.deliveryZoneId) || null;
+  const legacy = nameKey(customer.deliveryZone);
+  return legacy ? zones.find((z) => nameKey(z.name) === legacy) || null : null;
+}
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Ordering rules for a zone: farm config with the zone's own settings laid
+ * over it. Returns { timezone, cutoffTime, leadDays, deliveryDays,
+ * blackoutDates, minOrderTotal, zoneName }.
+ */
+export function deliveryRules(config = {}, zone = null) {
+  const pick = (key, fallback) => (zone && isSet(zone[key]) ? zone[key] : isSet(config[key]) ? config[key] : fallback);
+  return {
+    timezone:      config.timezone,
+    cutoffTime:    pick('cutoffTime', null),
+    leadDays:      Math.max(1, Number(pick('leadDays', DEFAULT_LEAD_DAYS)) || DEFAULT_LEAD_DAYS),
+    deliveryDays:  zone?.deliveryDays?.length ? zone.deliveryDays : (config.deliveryDays || []),
+    blackoutDates: zone?.blackoutDates || [],
+    minOrderTotal: Number(pick('minOrderTotal', 0)) || 0,
+    zoneName:      zone?.name || null,
+  };
+}
+
+/** Zone doc fields from the editor's form, cleaned up for saving. */
+export function normalizeZone(form) {
+  return {
+    name:          String(form.name || '').trim(),
+    deliveryDays:  form.deliveryDays || [],
+    cutoffTime:    form.cutoffTime || null,
+    leadDays:      isSet(form.leadDays) ? Math.max(1, Math.round(Number(form.leadDays)) || DEFAULT_LEAD_DAYS) : null,
+    blackoutDates: [...new Set((form.blackoutDates || []).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)))].sort(),
+    minOrderTotal: isSet(form.minOrderTotal) ? Math.max(0, Number(form.minOrderTotal) || 0) : null,
+  };
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { customerZone, deliveryRules, normalizeZone, DEFAULT_LEAD_DAYS } from './deliveryZones.js';
+
+const zones = [
+  { id: 'z1', name: 'Downtown', deliveryDays: ['tuesday'], cutoffTime: '12:00', leadDays: 2, blackoutDates: ['2026-12-25'], minOrderTotal: 75 },
+  { id: 'z2', name: 'North Valley', deliveryDays: [], cutoffTime: null, leadDays: null, minOrderTotal: null },
+];
+const config = { timezone: 'America/Boise', cutoffTime: '16:00', leadDays: 1, deliveryDays: ['monday', 'thursday'], minOrderTotal: 40 };
+
+describe('customerZone', () => {
+  it('finds the zone by ID', () => {
+    expect(customerZone(zones, { deliveryZoneId: 'z2', deliveryZone: 'Downtown' })).toBe(zones[1]);
+  });
+
+  it('matches legacy free-text zones by name', () => {
+    expect(customerZone(zones, { deliveryZone: ' downtown ' })).toBe(zones[0]);
+  });
+
+  it('returns null for unknown or missing zones', () => {
+    expect(customerZone(zones, { deliveryZoneId: 'gone' })).toBeNull();
+    expect(customerZone(zones, { deliveryZone: 'Uptown' })).toBeNull();
+    expect(customerZone(zones, {})).toBeNull();
+    expect(customerZone(zones, null)).toBeNull();
+  });
+});
+
+describe('deliveryRules', () => {
+  it('lays the zone over farm config', () => {
+    expect(deliveryRules(config, zones[0])).toEqual({
+      timezone: 'America/Boise',
+      cutoffTime: '12:00',
+      leadDays: 2,
+      deliveryDays: ['tuesday'],
+      blackoutDates: ['2026-12-25'],
+      minOrderTotal: 75,
+      zoneName: 'Downtown',
+    });
+  });
+
+  it('falls back to farm config for unset zone fields', () => {
+    expect(deliveryRules(config, zones[1])).toMatchObject({
+      cutoffTime: '16:00',
+      leadDays: 1,
+      deliveryDays: ['monday', 'thursday'],
+      minOrderTotal: 40,
+      zoneName: 'North Valley',
+    });
+  });
+
+  it('uses the defaults with no zone or config', () => {
+    expect(deliveryRules()).toEqual({
+      timezone: undefined,
+      cutoffTime: null,
+      leadDays: DEFAULT_LEAD_DAYS,
+      deliveryDays: [],
+      blackoutDates: [],
+      minOrderTotal: 0,
+      zoneName: null,
+    });
+  });
+
+  it('never allows a lead time under a day', () => {
+    expect(deliveryRules({ leadDays: 0 }).leadDays).toBe(1);
+    expect(deliveryRules({}, { leadDays: -3 }).leadDays).toBe(1);
+  });
+});
+
+describe('normalizeZone', () => {
+  it('cleans up the editor form', () => {
+    expect(normalizeZone({
+      name: '  Downtown ',
+      deliveryDays: ['tuesday'],
+      cutoffTime: '',
+      leadDays: '2.6',
+      blackoutDates: ['2026-12-25', 'bad', '2026-01-01', '2026-12-25'],
+      minOrderTotal: '-5',
+    })).toEqual({
+      name: 'Downtown',
+      deliveryDays: ['tuesday'],
+      cutoffTime: null,
+      leadDays: 3,
+      blackoutDates: ['2026-01-01', '2026-12-25'],
+      minOrderTotal: 0,
+    });
+  });
+
+  it('leaves blank lead time and minimum unset so farm config applies', () => {
+    expect(normalizeZone({ name: 'X', leadDays: '', minOrderTotal: '' })).toMatchObject({ leadDays: null, minOrderTotal: null });
+  });
+});
@@ -202,8 +202,32 @@ function generateProducts() {
       { label: '4 oz tray', price: 4.00, sku: 'WGR-4' }, { label: '8 oz tray', price: 7.00, sku: 'WGR-8' }], avail: false, inv: 0 },
   ];
 
+  // Crop each demo product grows from; the mustard and flower mixes and
+  // wheatgrass are left unmapped so the product mapping screen has something to show.
+  const cropIds = {
+    'Sunflower Microgreens': 'sunflower', 'Pea Shoots': 'pea', 'Radish — Daikon': 'radish',
+    'Radish — Rambo Red': 'radish', 'Broccoli Microgreens': 'broccoli', 'Kale — Red Russian': 'kale',
+    'Arugula Microgreens': 'arugula-micro', 'Cilantro Microgreens': 'cilantro', 'Basil Microgreens': 'basil',
+    'Nasturtium Microgreens': 'nasturtium', 'Red Cabbage Microgreens': 'red-cabbage',
+    'Sweet Basil': 'basil', 'Thai Basil': 'basil', 'Cilantro': 'cilantro', 'Mint': 'mint',
+    'Parsley': 'parsley', 'Dill': 'dill', 'Baby Kale': 'baby-kale', 'Baby Arugula': 'arugula',
+    'Baby Spinach': 'spinach',
+  };
+
+  // Mix recipes, parts by weight
+  const mixRecipes = {
+    'Mesclun Mix': [
+      { cropId: 'baby-kale', parts: 2 }, { cropId: 'arugula', parts: 1 },
+      { cropId: 'spinach', parts: 1 }, { cropId: 'romaine', parts: 1 }],
+    'Micro Salad Blend': [
+      { cropId: 'broccoli', parts: 2 }, { cropId: 'radish', parts: 1 },
+      { cropId: 'red-cabbage', parts: 1 }, { cropId: 'kale', parts: 1 }],
+  };
+
   return products.map((p, i) => ({
     id: `demo-prod-${i + 1}`,
+    ...(cropIds[p.name] ? { cropMapping: { cropId: cropIds[p.name] } } : {}),
+    ...(mixRecipes[p.name] ? { cropMapping: { components: mixRecipes[p.name] } } : {}),
     name: p.name,
     category: p.cat,
     variants: p.variants,
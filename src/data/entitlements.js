@@ -0,0 +1,154 @@
+/**
+ * Entitlements — what a farm may do right now, given its plan + billing state.
+ *
+ * Pure functions over the farm root doc ({ plan, subscriptionStatus,
+ * pastDueSince, grandfatheredPlan }). Shared by the client services and the
+ * serverless API (api/_lib/entitlements.js), so keep this file free of
+ * Firebase/React imports.
+ *
+ * Billing states (from stripe-webhook.js):
+ *   active / trialing  → paid plan applies
+ *   past_due           → paid plan applies for PAST_DUE_GRACE_DAYS after
+ *                        pastDueSince, then free
+ *   canceled / unpaid  → free
+ *
+ * grandfatheredPlan (set server-side on the farm that ran before billing)
+ * is a floor: the farm keeps at least that plan whatever its billing state.
+ */
+
+import { PLANS } from './planTiers.js';
+
+export const PAST_DUE_GRACE_DAYS = 7;
+
+const LAPSED_STATUSES = ['canceled', 'unpaid', 'incomplete_expired'];
+
+/** Error code set on rejected writes — check with isPlanLimitError(). */
+export const PLAN_LIMIT_ERROR = 'plan-limit';
+
+/** Human labels for limit keys, used in upgrade prompts. */
+export const LIMIT_LABELS = {
+  maxUsers: 'team members',
+  maxProducts: 'products',
+  maxOrdersPerMonth: 'orders per month',
+  deliveryTracking: 'Delivery tracking',
+  advancedReports: 'Advanced reports',
+  apiAccess: 'API access',
+  whiteLabel: 'White-label branding',
+};
+
+const PLAN_ORDER = ['free', 'pro', 'business'];
+
+const higherPlan = (a, b) => (PLAN_ORDER.indexOf(b) > PLAN_ORDER.indexOf(a) ? b : a);
+
+// Firestore Timestamp (client or admin), Date, ISO string, or { seconds }
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const seconds = value.seconds ?? value._seconds;
+  if (seconds != null) return new Date(seconds * 1000);
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Resolve a farm's effective plan and limits.
+ * @param {object|null} farm - farm root doc data
+ * @param {Date} [now]
+ * @returns {{ planId, effectivePlanId, subscriptionStatus, inGracePeriod,
+ *             graceEndsAt: Date|null, downgraded: boolean, limits: object }}
+ */
+export function getEntitlements(farm, now = new Date()) {
+  const floor = PLANS[farm?.grandfatheredPlan] ? farm.grandfatheredPlan : 'free';
+  const planId = higherPlan(PLANS[farm?.plan] ? farm.plan : 'free', floor);
+  const subscriptionStatus = farm?.subscriptionStatus || null;
+
+  let effectivePlanId = planId;
+  let inGracePeriod = false;
+  let graceEndsAt = null;
+
+  if (planId !== 'free') {
+    if (LAPSED_STATUSES.includes(subscriptionStatus)) {
+      effectivePlanId = 'free';
+    } else if (subscriptionStatus === 'past_due') {
+      // No pastDueSince (status set before we tracked it) means there's no
+      // start to count from — treat the grace period as over, never restart it
+      const since = toDate(farm.pastDueSince);
+      graceEndsAt = since ? new Date(since.getTime() + PAST_DUE_GRACE_DAYS * 86400000) : null;
+      inGracePeriod = !!graceEndsAt && now < graceEndsAt;
+      if (!inGracePeriod) effectivePlanId = 'free';
+    }
+  }
+  effectivePlanId = higherPlan(effectivePlanId, floor);
+
+  return {
+    planId,
+    effectivePlanId,
+    subscriptionStatus,
+    inGracePeriod,
+    graceEndsAt,
+    downgraded: effectivePlanId !== planId,
+    limits: PLANS[effectivePlanId].limits,
+  };
+}
+
+/**
+ * Cheapest plan that allows a feature, or room for one more of a counted
+ * resource at `currentCount`. Returns null if no plan does.
+ */
+export function upgradePlanFor(key, currentCount = 0) {
+  for (const id of PLAN_ORDER) {
+    const limit = PLANS[id].limits[key];
+    if (typeof limit === 'number' ? currentCount < limit : !!limit) return id;
+  }
+  return null;
+}
+
+/**
+ * Check one limit key against a farm's entitlements.
+ * Boolean keys (deliveryTracking, …) ignore currentCount.
+ * @returns {{ allowed, limit, remaining, upgradeTo: string|null, message: string|null }}
+ */
+export function checkEntitlement(entitlements, key, currentCount = 0) {
+  const limit = entitlements.limits[key];
+  const numeric = typeof limit === 'number';
+  const allowed = numeric ? currentCount < limit : !!limit;
+  const remaining = numeric ? Math.max(0, limit - currentCount) : (allowed ? Infinity : 0);
+
+  if (allowed) return { allowed, limit, remaining, upgradeTo: null, message: null };
+
+  const upgradeTo = upgradePlanFor(key, currentCount);
+  const planName = PLANS[entitlements.effectivePlanId].name;
+  const label = LIMIT_LABELS[key] || key;
+  let message = numeric
+    ? `The ${planName} plan includes ${limit} ${label}.`
+    : `${label} isn't included in the ${planName} plan.`;
+  const paidPlan = PLANS[entitlements.planId];
+  const paidLimit = paidPlan.limits[key];
+  const paidPlanAllows = numeric ? currentCount < paidLimit : !!paidLimit;
+  if (entitlements.downgraded && paidPlanAllows) {
+    message += ` Your ${paidPlan.name} subscription is ${entitlements.subscriptionStatus?.replace('_', ' ')} — update billing to restore it.`;
+  } else if (upgradeTo) {
+    message += ` Upgrade to ${PLANS[upgradeTo].name} to continue.`;
+  }
+
+  return { allowed, limit, remaining, upgradeTo, message };
+}
+
+/** Build the error thrown when a write would exceed the farm's plan. */
+export function planLimitError(key, result) {
+  const err = new Error(result.message);
+  err.code = PLAN_LIMIT_ERROR;
+  err.limitKey = key;
+  err.upgradeTo = result.upgradeTo;
+  return err;
+}
+
+export function isPlanLimitError(err) {
+  return err?.code === PLAN_LIMIT_ERROR;
+}
+
+/** First instant of the current calendar month (local to the caller). */
+export function startOfMonth(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}
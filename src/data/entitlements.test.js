@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getEntitlements,
+  checkEntitlement,
+  upgradePlanFor,
+  planLimitError,
+  isPlanLimitError,
+  PAST_DUE_GRACE_DAYS,
+  PLAN_LIMIT_ERROR,
+} from './entitlements.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const daysAgo = (n) => new Date(NOW.getTime() - n * 86400000);
+
+describe('getEntitlements', () => {
+  it('treats a missing or unknown plan as free', () => {
+    expect(getEntitlements(null, NOW).effectivePlanId).toBe('free');
+    expect(getEntitlements({ plan: 'enterprise' }, NOW).planId).toBe('free');
+  });
+
+  it('applies a paid plan while active or trialing', () => {
+    for (const subscriptionStatus of ['active', 'trialing']) {
+      const e = getEntitlements({ plan: 'pro', subscriptionStatus }, NOW);
+      expect(e.effectivePlanId).toBe('pro');
+      expect(e.downgraded).toBe(false);
+      expect(e.limits.maxUsers).toBe(5);
+    }
+  });
+
+  it('drops lapsed subscriptions to free', () => {
+    for (const subscriptionStatus of ['canceled', 'unpaid', 'incomplete_expired']) {
+      const e = getEntitlements({ plan: 'business', subscriptionStatus }, NOW);
+      expect(e.effectivePlanId).toBe('free');
+      expect(e.downgraded).toBe(true);
+      expect(e.limits.maxUsers).toBe(1);
+    }
+  });
+
+  it('keeps the paid plan through the past-due grace period', () => {
+    const e = getEntitlements({ plan: 'pro', subscriptionStatus: 'past_due', pastDueSince: daysAgo(2) }, NOW);
+    expect(e.inGracePeriod).toBe(true);
+    expect(e.effectivePlanId).toBe('pro');
+    expect(e.graceEndsAt).toEqual(new Date(daysAgo(2).getTime() + PAST_DUE_GRACE_DAYS * 86400000));
+  });
+
+  it('drops to free once the grace period is over', () => {
+    const e = getEntitlements({ plan: 'pro', subscriptionStatus: 'past_due', pastDueSince: daysAgo(PAST_DUE_GRACE_DAYS) }, NOW);
+    expect(e.inGracePeriod).toBe(false);
+    expect(e.effectivePlanId).toBe('free');
+  });
+
+  it('never starts a grace period without pastDueSince', () => {
+    const e = getEntitlements({ plan: 'pro', subscriptionStatus: 'past_due' }, NOW);
+    expect(e.graceEndsAt).toBeNull();
+    expect(e.inGracePeriod).toBe(false);
+    expect(e.effectivePlanId).toBe('free');
+  });
+
+  it('reads Firestore timestamps and ISO strings for pastDueSince', () => {
+    const since = daysAgo(1);
+    const asTimestamp = { toDate: () => since };
+    const asSeconds = { seconds: since.getTime() / 1000 };
+    for (const pastDueSince of [asTimestamp, asSeconds, since.toISOString()]) {
+      const e = getEntitlements({ plan: 'pro', subscriptionStatus: 'past_due', pastDueSince }, NOW);
+      expect(e.inGracePeriod).toBe(true);
+    }
+  });
+});
+
+describe('grandfathered farms', () => {
+  it('keep their plan without a subscription', () => {
+    const e = getEntitlements({ plan: 'free', grandfatheredPlan: 'business' }, NOW);
+    expect(e).toMatchObject({ planId: 'business', effectivePlanId: 'business', downgraded: false });
+    expect(e.limits.apiAccess).toBe(true);
+    expect(getEntitlements({ grandfatheredPlan: 'pro' }, NOW).limits.maxOrdersPerMonth).toBe(Infinity);
+  });
+
+  it('never drop below it when billing lapses', () => {
+    const e = getEntitlements({ plan: 'business', subscriptionStatus: 'canceled', grandfatheredPlan: 'pro' }, NOW);
+    expect(e).toMatchObject({ planId: 'business', effectivePlanId: 'pro', downgraded: true });
+  });
+
+  it('ignore an unknown grandfathered plan', () => {
+    expect(getEntitlements({ plan: 'free', grandfatheredPlan: 'platinum' }, NOW).effectivePlanId).toBe('free');
+  });
+});
+
+describe('checkEntitlement', () => {
+  const free = getEntitlements({ plan: 'free' }, NOW);
+
+  it('allows counts under the limit and reports what is left', () => {
+    expect(checkEntitlement(free, 'maxProducts', 7)).toMatchObject({ allowed: true, limit: 10, remaining: 3 });
+  });
+
+  it('refuses at the limit and points at the cheapest plan that fits', () => {
+    const r = checkEntitlement(free, 'maxProducts', 10);
+    expect(r.allowed).toBe(false);
+    expect(r.upgradeTo).toBe('pro');
+    expect(r.message).toMatch(/Upgrade to Pro/);
+  });
+
+  it('gates boolean features', () => {
+    expect(checkEntitlement(free, 'deliveryTracking').allowed).toBe(false);
+    expect(checkEntitlement(free, 'apiAccess').upgradeTo).toBe('business');
+  });
+
+  it('asks a downgraded farm to fix billing rather than upgrade', () => {
+    const lapsed = getEntitlements({ plan: 'pro', subscriptionStatus: 'canceled' }, NOW);
+    const r = checkEntitlement(lapsed, 'deliveryTracking');
+    expect(r.allowed).toBe(false);
+    expect(r.message).toMatch(/Pro subscription is canceled/);
+  });
+});
+
+describe('upgradePlanFor', () => {
+  it('returns null when no plan allows the key', () => {
+    expect(upgradePlanFor('noSuchFeature')).toBeNull();
+  });
+
+  it('finds room for one more seat', () => {
+    expect(upgradePlanFor('maxUsers', 1)).toBe('pro');
+    expect(upgradePlanFor('maxUsers', 5)).toBe('business');
+  });
+});
+
+describe('planLimitError', () => {
+  it('carries the code, key and upgrade target', () => {
+    const err = planLimitError('maxUsers', { message: 'Full', upgradeTo: 'pro' });
+    expect(err.code).toBe(PLAN_LIMIT_ERROR);
+    expect(err.limitKey).toBe('maxUsers');
+    expect(isPlanLimitError(err)).toBe(true);
+    expect(isPlanLimitError(new Error('other'))).toBe(false);
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * Grow space — racks, shelves and tray slots per zone, and how much of it
+ * batches take up on each future day.
+ *
+ * A farm's layout lives at farms/{farmId}/settings/growSpace:
+ *
+ *   { zones: [{ id, name, category, stages: [stageId, …],
+ *               racks: [{ id, name, shelves, traysPerShelf }] }] }
+ *
+ * A zone holds one crop category's batches while they are in one of its
+ * stages; slots are counted in that category's unit (trays, ports, blocks).
+ * Stages no zone lists (planned, soaking, …) take no shelf space. A farm
+ * with no zones is unconstrained — the recommenders skip capacity checks.
+ *
+ * Batches carry a physical location on the racks:
+ *
+ *   location: { zoneId, slots: [{ rackId, shelf, trays }] }   (shelf is 1-based)
+ *
+ * A batch bigger than one shelf spans several slots. planBatchLocation picks
+ * where a batch goes when it is planted or moves to a stage its current zone
+ * doesn't hold.
+ *
+ * Occupancy is tracked in a ledger: per day, how many units sit in each
+ * category's stage. Batches go in with their projected stage timeline
+ * (projectStages); recommendations reserve space as they are made, so two
+ * crops can't both be promised the same free shelf.
+ *
+ * Pure functions only — shared with the serverless API, so keep this file
+ * free of Firebase/React imports.
+ */
+import { getVarietyById } from './cropConfig.js';
+import { getStageMachine, getBatchStageId, getExpectedDays, getStageLabel } from './stageMachine.js';
+
+/** Days ahead the capacity views look. */
+export const CAPACITY_HORIZON_DAYS = 21;
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / 86400000);
+}
+
+const isCount = (n) => Number.isInteger(n) && n > 0;
+
+// ── Layout ───────────────────────────────────────────────────────────
+
+/** Normalize a stored growSpace settings doc (missing doc → no zones). */
+export function resolveGrowSpace(settings) {
+  return { zones: Array.isArray(settings?.zones) ? settings.zones : [] };
+}
+
+export function hasGrowSpace(layout) {
+  return (layout?.zones?.length || 0) > 0;
+}
+
+/** Tray slots in one rack / one zone. */
+export function rackSlots(rack) {
+  return (rack.shelves || 0) * (rack.traysPerShelf || 0);
+}
+
+export function zoneSlots(zone) {
+  return (zone.racks || []).reduce((sum, r) => sum + rackSlots(r), 0);
+}
+
+/**
+ * Check a layout against the farm's stage machines. Returns a list of
+ * problems (empty = valid).
+ */
+export function validateGrowSpace(layout, machines) {
+  const errors = [];
+  const zoneIds = new Set();
+  for (const zone of layout?.zones || []) {
+    const label = zone.name || zone.id || 'Unnamed zone';
+    if (!zone.id) errors.push(`${label}: missing id`);
+    else if (zoneIds.has(zone.id)) errors.push(`Duplicate zone id "${zone.id}"`);
+    zoneIds.add(zone.id);
+    if (!zone.name?.trim()) errors.push(`${label}: name is required`);
+
+    const machine = machines?.[zone.category];
+    if (!machine) {
+      errors.push(`${label}: unknown crop category "${zone.category}"`);
+    } else if (!zone.stages?.length) {
+      errors.push(`${label}: pick at least one stage`);
+    } else {
+      zone.stages
+        .filter((id) => !machine.stages.some((s) => s.id === id))
+        .forEach((id) => errors.push(`${label}: unknown stage "${id}"`));
+    }
+
+    if (!zone.racks?.length) errors.push(`${label}: add at least one rack`);
+    const rackIds = new Set();
+    for (const rack of zone.racks || []) {
+      if (rackIds.has(rack.id)) errors.push(`${label}: duplicate rack id "${rack.id}"`);
+      rackIds.add(rack.id);
+      if (!isCount(rack.shelves) || !isCount(rack.traysPerShelf)) {
+        errors.push(`${label} / ${rack.name || rack.id}: shelves and trays per shelf must be whole numbers above 0`);
+      }
+    }
+  }
+  return errors;
+}
+
+/** Zones that can hold a category's batches in a stage. */
+export function zonesForStage(layout, category, stageId) {
+  return (layout?.zones || []).filter((z) => z.category === category && z.stages?.includes(stageId));
+}
+
+// ── Stage timelines ─────────────────────────────────────────────────
+
+/**
+ * Stages a batch passes through from startStageId on, with the dates it
+ * spends in each: [{ stageId, start, end }] — end is exclusive. Untimed
+ * and skipped (0-day) stages are left out; the harvestable stage lasts its
+ * harvest window, since trays stay on the shelf until they're cut.
+ */
+export function projectStages(machines, category, variety, startStageId, startDate) {
+  const machine = getStageMachine(machines, category);
+  const from = Math.max(0, machine.stages.findIndex((s) => s.id === startStageId));
+  const segments = [];
+  let date = startDate;
+  for (const stage of machine.stages.slice(from)) {
+    if (stage.terminal) break;
+    const days = getExpectedDays(machines, category, stage.id, variety);
+    if (!days) continue;
+    segments.push({ stageId: stage.id, start: date, end: addDays(date, days) });
+    date = addDays(date, days);
+  }
+  return segments;
+}
+
+/** Timeline of a new sowing: the category's sow stage onwards from sowDate. */
+export function projectSowing(machines, category, variety, sowDate) {
+  return projectStages(machines, category, variety, getStageMachine(machines, category).sowStage, sowDate);
+}
+
+function stageEnteredDate(batch, stageId) {
+  const entry = [...(batch.stageHistory || [])].reverse().find((h) => h.stage === stageId || h.stage === batch.stage);
+  return (entry?.enteredAt || batch.sowDate || '').slice(0, 10) || null;
+}
+
+/**
+ * Shelf space an active batch will use from today on:
+ * { category, qty, segments } or null when it takes none (harvested).
+ * Batches not sown yet are projected from their sowDate; a batch overdue
+ * in its stage is assumed to move on tomorrow.
+ */
+export function batchOccupancy(machines, batch, today) {
+  const category = batch.cropCategory;
+  const machine = getStageMachine(machines, category);
+  const stageId = getBatchStageId(machines, batch);
+  const stageIdx = machine.stages.findIndex((s) => s.id === stageId);
+  const sowIdx = machine.stages.findIndex((s) => s.id === machine.sowStage);
+  if (stageIdx < 0 || machine.stages[stageIdx].terminal) return null;
+
+  const variety = getVarietyById(batch.varietyId) || null;
+  const qty = batchTrays(batch);
+  if (qty <= 0) return null;
+
+  if (stageIdx < sowIdx) {
+    const sowDate = batch.sowDate && batch.sowDate > today ? batch.sowDate : today;
+    return { category, qty, segments: projectSowing(machines, category, variety, sowDate) };
+  }
+
+  const entered = stageEnteredDate(batch, stageId) || today;
+  const [current, ...rest] = projectStages(machines, category, variety, stageId, entered);
+  if (!current) return null;
+  const segments = [{ ...current, end: current.end > today ? current.end : addDays(today, 1) }];
+  for (const seg of rest) {
+    const prev = segments[segments.length - 1];
+    const days = daysBetween(seg.start, seg.end);
+    segments.push({ stageId: seg.stageId, start: prev.end, end: addDays(prev.end, days) });
+  }
+  return { category, qty, segments: segments.filter((s) => s.end > today) };
+}
+
+// ── Ledger ───────────────────────────────────────────────────────────
+
+/**
+ * Occupancy ledger for a layout. entries are { category, qty, segments }
+ * (batchOccupancy, or a planned sowing's projectSowing timeline).
+ */
+export function createCapacityLedger(layout, entries = [], { today } = {}) {
+  const ledger = { layout, today, usage: {} };
+  entries.filter(Boolean).forEach((e) => reserveCapacity(ledger, e));
+  return ledger;
+}
+
+/** Book an entry's units into the ledger (mutates it). */
+export function reserveCapacity(ledger, { category, qty, segments }) {
+  if (!qty) return;
+  for (const seg of segments) {
+    if (zonesForStage(ledger.layout, category, seg.stageId).length === 0) continue;
+    const key = `${category}|${seg.stageId}`;
+    for (let d = seg.start; d < seg.end; d = addDays(d, 1)) {
+      if (ledger.today && d < ledger.today) continue;
+      const day = (ledger.usage[d] ||= {});
+      day[key] = (day[key] || 0) + qty;
+    }
+  }
+}
+
+/**
+ * Spread one day's usage over the zones. Stages with the fewest zones are
+ * placed first so shared zones go to stages with nowhere else to go.
+ * Returns { zones: { [zoneId]: used }, overflow: { [category|stage]: units } }.
+ */
+function allocateDay(layout, dayUsage = {}) {
+  const used = {};
+  const overflow = {};
+  const demands = Object.entries(dayUsage).map(([key, qty]) => {
+    const [category, stageId] = key.split('|');
+    return { key, qty, zones: zonesForStage(layout, category, stageId) };
+  }).sort((a, b) => a.zones.length - b.zones.length || a.key.localeCompare(b.key));
+
+  for (const { key, qty, zones } of demands) {
+    let left = qty;
+    for (const zone of zones) {
+      const free = zoneSlots(zone) - (used[zone.id] || 0);
+      const take = Math.min(free, left);
+      if (take > 0) { used[zone.id] = (used[zone.id] || 0) + take; left -= take; }
+      if (left === 0) break;
+    }
+    if (left > 0) overflow[key] = left;
+  }
+  return { zones: used, overflow };
+}
+
+/** Units of a category's stage that still fit on a date (Infinity when no zone holds the stage). */
+export function freeCapacity(ledger, date, category, stageId) {
+  const zones = zonesForStage(ledger.layout, category, stageId);
+  if (zones.length === 0) return Infinity;
+  const { zones: used, overflow } = allocateDay(ledger.layout, ledger.usage[date]);
+  const free = zones.reduce((sum, z) => sum + zoneSlots(z) - (used[z.id] || 0), 0);
+  return Math.max(0, free - (overflow[`${category}|${stageId}`] || 0));
+}
+
+/**
+ * Would qty units on this timeline fit? Returns { fits, maxQty, conflicts }
+ * — maxQty is the most that fits on every day, conflicts the first full
+ * day per stage: { date, stageId, stageLabel, free, needed }.
+ */
+export function checkCapacity(ledger, machines, { category, qty, segments }) {
+  let maxQty = Infinity;
+  const conflicts = [];
+  for (const seg of segments) {
+    let conflict = null;
+    for (let d = seg.start; d < seg.end; d = addDays(d, 1)) {
+      const free = freeCapacity(ledger, d, category, seg.stageId);
+      maxQty = Math.min(maxQty, free);
+      if (!conflict && free < qty) {
+        conflict = { date: d, stageId: seg.stageId, stageLabel: getStageLabel(machines, category, seg.stageId), free, needed: qty };
+      }
+    }
+    if (conflict) conflicts.push(conflict);
+  }
+  return { fits: conflicts.length === 0, maxQty: maxQty === Infinity ? null : maxQty, conflicts };
+}
+
+/**
+ * Pick a sow date with room for qty units, trying preferred first and then
+ * the other dates in [earliest, latest], nearest first (earlier wins ties).
+ * When no date fits, returns the one where the most units fit.
+ *
+ * @returns {{ sowDate, shiftDays, segments, fits, maxQty, conflicts }}
+ */
+export function findSowDate(ledger, machines, { category, variety, qty, preferred, earliest = preferred, latest = preferred }) {
+  const candidates = [];
+  for (let d = earliest; d <= latest; d = addDays(d, 1)) candidates.push(d);
+  if (!candidates.includes(preferred)) candidates.push(preferred);
+  candidates.sort((a, b) => Math.abs(daysBetween(preferred, a)) - Math.abs(daysBetween(preferred, b)) || a.localeCompare(b));
+
+  let best = null;
+  for (const sowDate of candidates) {
+    const segments = projectSowing(machines, category, variety, sowDate);
+    const fit = { sowDate, shiftDays: daysBetween(preferred, sowDate), segments, ...checkCapacity(ledger, machines, { category, qty, segments }) };
+    if (fit.fits) return fit;
+    if (!best || (fit.maxQty ?? 0) > (best.maxQty ?? 0)) best = fit;
+  }
+  return best;
+}
+
+/**
+ * Per-day zone usage for the next `days` days, for the capacity view and
+ * overbooking warnings. Returns [{ date, zones: [{ zoneId, name, used, slots }],
+ * overbooked: [{ category, stageId, units }] }].
+ */
+export function capacityForecast(ledger, { from = ledger.today, days = CAPACITY_HORIZON_DAYS } = {}) {
+  const out = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(from, i);
+    const { zones: used, overflow } = allocateDay(ledger.layout, ledger.usage[date]);
+    out.push({
+      date,
+      zones: ledger.layout.zones.map((z) => ({ zoneId: z.id, name: z.name, used: used[z.id] || 0, slots: zoneSlots(z) })),
+      overbooked: Object.entries(overflow).map(([key, units]) => {
+        const [category, stageId] = key.split('|');
+        return { category, stageId, units };
+      }),
+    });
+  }
+  return out;
+}
+
+// ── Locations ────────────────────────────────────────────────────────
+
+const slotKey = (zoneId, rackId, shelf) => `${zoneId}|${rackId}|${shelf}`;
+
+/** Units of a batch that take shelf space. */
+export function batchTrays(batch) {
+  return batch.quantity || batch.trayCount || 0;
+}
+
+/**
+ * Trays on each shelf from batches' locations: Map zoneId|rackId|shelf → trays.
+ * excludeId leaves one batch out (the one being moved).
+ */
+export function shelfUsage(batches, { excludeId = null } = {}) {
+  const usage = new Map();
+  for (const b of batches) {
+    if (b.id === excludeId || !b.location?.slots) continue;
+    for (const slot of b.location.slots) {
+      const key = slotKey(b.location.zoneId, slot.rackId, slot.shelf);
+      usage.set(key, (usage.get(key) || 0) + (slot.trays || 0));
+    }
+  }
+  return usage;
+}
+
+/** Every shelf in a zone, in rack order: [{ rackId, rackName, shelf, capacity }]. */
+export function zoneShelves(zone) {
+  return (zone.racks || []).flatMap((rack) =>
+    Array.from({ length: rack.shelves || 0 }, (_, i) => ({
+      rackId: rack.id, rackName: rack.name, shelf: i + 1, capacity: rack.traysPerShelf || 0,
+    })));
+}
+
+/**
+ * Where a batch should sit in a stage. Keeps its current location when that
+ * zone holds the stage; otherwise fills free shelves in the first zone with
+ * room for all of it (or the roomiest zone, with `unplaced` trays left
+ * over). Returns null when no zone holds the stage — the batch is off the
+ * racks (planned, soaking, harvested).
+ *
+ * @param {Object} layout
+ * @param {{ category, stageId, qty, current?, batchId?, batches }} batch
+ *   batches — all batches, for what's already on each shelf
+ */
+export function planBatchLocation(layout, { category, stageId, qty, current = null, batchId = null, batches = [] }) {
+  const zones = zonesForStage(layout, category, stageId);
+  if (zones.length === 0) return null;
+  if (current && zones.some((z) => z.id === current.zoneId)) return current;
+
+  const usage = shelfUsage(batches, { excludeId: batchId });
+  let best = null;
+  for (const zone of zones) {
+    const placed = fillShelves(zone, zoneShelves(zone), qty, usage);
+    if (!placed.unplaced) return placed;
+    if (!best || placed.unplaced < best.unplaced) best = placed;
+  }
+  return best;
+}
+
+/**
+ * Put a batch on a chosen shelf by hand (rack map): fills that shelf, then
+ * the zone's following shelves, wrapping round. null for an unknown zone.
+ */
+export function placeBatchAt(layout, { zoneId, rackId, shelf, qty, batchId = null, batches = [] }) {
+  const zone = (layout?.zones || []).find((z) => z.id === zoneId);
+  if (!zone) return null;
+  const shelves = zoneShelves(zone);
+  const start = Math.max(0, shelves.findIndex((s) => s.rackId === rackId && s.shelf === shelf));
+  const ordered = [...shelves.slice(start), ...shelves.slice(0, start)];
+  return fillShelves(zone, ordered, qty, shelfUsage(batches, { excludeId: batchId }));
+}
+
+/** Fill shelves in order with qty trays; leftovers go in `unplaced`. */
+function fillShelves(zone, shelves, qty, usage) {
+  const slots = [];
+  let left = qty;
+  for (const s of shelves) {
+    if (left <= 0) break;
+    const free = s.capacity - (usage.get(slotKey(zone.id, s.rackId, s.shelf)) || 0);
+    if (free <= 0) continue;
+    const trays = Math.min(free, left);
+    slots.push({ rackId: s.rackId, shelf: s.shelf, trays });
+    left -= trays;
+  }
+  return left > 0 ? { zoneId: zone.id, slots, unplaced: left } : { zoneId: zone.id, slots };
+}
+
+/** "Germination · Rack A S1–S2" style label, or null without a location. */
+export function formatLocation(layout, location) {
+  if (!location?.zoneId) return null;
+  const zone = (layout?.zones || []).find((z) => z.id === location.zoneId);
+  const zoneName = zone?.name || location.zoneId;
+  const byRack = new Map();
+  for (const slot of location.slots || []) {
+    const rackName = zone?.racks?.find((r) => r.id === slot.rackId)?.name || slot.rackId;
+    byRack.set(rackName, [...(byRack.get(rackName) || []), slot.shelf]);
+  }
+  const racks = [...byRack].map(([name, shelves]) => {
+    const sorted = [...shelves].sort((a, b) => a - b);
+    const contiguous = sorted.every((n, i) => i === 0 || n === sorted[i - 1] + 1);
+    const label = sorted.length > 1 && contiguous ? `S${sorted[0]}–S${sorted[sorted.length - 1]}` : sorted.map((n) => `S${n}`).join(', ');
+    return `${name} ${label}`;
+  });
+  return [zoneName, ...racks].join(' · ') + (location.unplaced ? ` (+${location.unplaced} unplaced)` : '');
+}
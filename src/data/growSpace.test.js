@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_STAGE_MACHINES } from './stageMachine.js';
+import { getVarietyById } from './cropConfig.js';
+import {
+  validateGrowSpace,
+  projectSowing,
+  batchOccupancy,
+  createCapacityLedger,
+  reserveCapacity,
+  freeCapacity,
+  checkCapacity,
+  findSowDate,
+  capacityForecast,
+  planBatchLocation,
+  placeBatchAt,
+  formatLocation,
+} from './growSpace.js';
+
+const machines = DEFAULT_STAGE_MACHINES;
+// Radish: germination 2 days, blackout 3, light 3, ready 2 (harvest window)
+const radish = getVarietyById('radish');
+
+const layout = {
+  zones: [
+    {
+      id: 'dark', name: 'Germination', category: 'microgreens', stages: ['germination', 'blackout'],
+      racks: [{ id: 'a', name: 'Rack A', shelves: 2, traysPerShelf: 5 }],
+    },
+    {
+      id: 'lights', name: 'Lights', category: 'microgreens', stages: ['light', 'ready'],
+      racks: [{ id: 'b', name: 'Rack B', shelves: 1, traysPerShelf: 4 }],
+    },
+  ],
+};
+
+describe('validateGrowSpace', () => {
+  it('accepts a valid layout', () => {
+    expect(validateGrowSpace(layout, machines)).toEqual([]);
+  });
+
+  it('reports bad zones and racks', () => {
+    expect(validateGrowSpace({
+      zones: [
+        { id: 'z', name: 'Z', category: 'microgreens', stages: ['nowhere'], racks: [{ id: 'r', shelves: 0, traysPerShelf: 4 }] },
+        { id: 'z', name: '', category: 'fruit', stages: [], racks: [] },
+      ],
+    }, machines)).toEqual([
+      'Z: unknown stage "nowhere"',
+      'Z / r: shelves and trays per shelf must be whole numbers above 0',
+      'Duplicate zone id "z"',
+      'z: name is required',
+      'z: unknown crop category "fruit"',
+      'z: add at least one rack',
+    ]);
+  });
+});
+
+describe('projectSowing', () => {
+  it('lays the stages out from the sow date', () => {
+    expect(projectSowing(machines, 'microgreens', radish, '2026-05-10')).toEqual([
+      { stageId: 'germination', start: '2026-05-10', end: '2026-05-12' },
+      { stageId: 'blackout',    start: '2026-05-12', end: '2026-05-15' },
+      { stageId: 'light',       start: '2026-05-15', end: '2026-05-18' },
+      { stageId: 'ready',       start: '2026-05-18', end: '2026-05-20' },
+    ]);
+  });
+});
+
+describe('batchOccupancy', () => {
+  const batch = (stage, enteredAt, extra = {}) => ({
+    cropCategory: 'microgreens', varietyId: 'radish', quantity: 4, stage,
+    stageHistory: [{ stage, enteredAt }], ...extra,
+  });
+
+  it('projects the rest of a batch from when it entered its stage', () => {
+    const { qty, segments } = batchOccupancy(machines, batch('blackout', '2026-05-12T08:00:00Z'), '2026-05-13');
+    expect(qty).toBe(4);
+    expect(segments.map((s) => [s.stageId, s.start, s.end])).toEqual([
+      ['blackout', '2026-05-12', '2026-05-15'],
+      ['light',    '2026-05-15', '2026-05-18'],
+      ['ready',    '2026-05-18', '2026-05-20'],
+    ]);
+  });
+
+  it('moves an overdue batch on tomorrow', () => {
+    const { segments } = batchOccupancy(machines, batch('blackout', '2026-05-01'), '2026-05-13');
+    expect(segments[0]).toEqual({ stageId: 'blackout', start: '2026-05-01', end: '2026-05-14' });
+    expect(segments[1]).toEqual({ stageId: 'light', start: '2026-05-14', end: '2026-05-17' });
+  });
+
+  it('projects planned batches from their sow date', () => {
+    const { segments } = batchOccupancy(machines, batch('planned', null, { stageHistory: [], sowDate: '2026-05-20' }), '2026-05-13');
+    expect(segments[0]).toEqual({ stageId: 'germination', start: '2026-05-20', end: '2026-05-22' });
+  });
+
+  it('takes no space once harvested', () => {
+    expect(batchOccupancy(machines, batch('harvested', '2026-05-12'), '2026-05-13')).toBeNull();
+  });
+});
+
+describe('capacity ledger', () => {
+  const today = '2026-05-10';
+  const sowing = (qty, date) => ({ category: 'microgreens', qty, segments: projectSowing(machines, 'microgreens', radish, date) });
+
+  it('counts free slots per stage and leaves stages without a zone unlimited', () => {
+    const ledger = createCapacityLedger(layout, [sowing(6, today)], { today });
+    expect(freeCapacity(ledger, today, 'microgreens', 'germination')).toBe(4);
+    expect(freeCapacity(ledger, '2026-05-15', 'microgreens', 'light')).toBe(0);
+    expect(freeCapacity(ledger, today, 'microgreens', 'soaking')).toBe(Infinity);
+  });
+
+  it('reports the first full day per stage', () => {
+    const ledger = createCapacityLedger(layout, [sowing(3, today)], { today });
+    const fit = checkCapacity(ledger, machines, sowing(2, today));
+    expect(fit.fits).toBe(false);
+    expect(fit.maxQty).toBe(1);
+    expect(fit.conflicts).toEqual([
+      { date: '2026-05-15', stageId: 'light', stageLabel: 'Under Lights', free: 1, needed: 2 },
+      { date: '2026-05-18', stageId: 'ready', stageLabel: 'Ready to Harvest', free: 1, needed: 2 },
+    ]);
+  });
+
+  it('shifts a sowing to the nearest date with room', () => {
+    const ledger = createCapacityLedger(layout, [sowing(4, today)], { today });
+    const fit = findSowDate(ledger, machines, {
+      category: 'microgreens', variety: radish, qty: 4, preferred: today, earliest: today, latest: '2026-05-20',
+    });
+    expect(fit).toMatchObject({ sowDate: '2026-05-15', shiftDays: 5, fits: true });
+  });
+
+  it('flags overbooked days in the forecast', () => {
+    const ledger = createCapacityLedger(layout, [], { today });
+    reserveCapacity(ledger, sowing(12, today));
+    const [first] = capacityForecast(ledger, { days: 1 });
+    expect(first.zones).toEqual([
+      { zoneId: 'dark', name: 'Germination', used: 10, slots: 10 },
+      { zoneId: 'lights', name: 'Lights', used: 0, slots: 4 },
+    ]);
+    expect(first.overbooked).toEqual([{ category: 'microgreens', stageId: 'germination', units: 2 }]);
+  });
+});
+
+describe('locations', () => {
+  const onShelf = (id, slots) => ({ id, location: { zoneId: 'dark', slots } });
+
+  it('fills free shelves in order', () => {
+    const batches = [onShelf('b1', [{ rackId: 'a', shelf: 1, trays: 3 }])];
+    expect(planBatchLocation(layout, { category: 'microgreens', stageId: 'germination', qty: 4, batches }))
+      .toEqual({ zoneId: 'dark', slots: [{ rackId: 'a', shelf: 1, trays: 2 }, { rackId: 'a', shelf: 2, trays: 2 }] });
+  });
+
+  it('keeps a batch where it is when its zone holds the new stage', () => {
+    const current = { zoneId: 'dark', slots: [{ rackId: 'a', shelf: 2, trays: 4 }] };
+    expect(planBatchLocation(layout, { category: 'microgreens', stageId: 'blackout', qty: 4, current })).toBe(current);
+  });
+
+  it('reports trays that do not fit and takes batches off the racks', () => {
+    expect(planBatchLocation(layout, { category: 'microgreens', stageId: 'light', qty: 6 }))
+      .toEqual({ zoneId: 'lights', slots: [{ rackId: 'b', shelf: 1, trays: 4 }], unplaced: 2 });
+    expect(planBatchLocation(layout, { category: 'microgreens', stageId: 'harvested', qty: 6 })).toBeNull();
+  });
+
+  it('places by hand from the chosen shelf, wrapping round', () => {
+    const batches = [onShelf('b1', [{ rackId: 'a', shelf: 2, trays: 4 }])];
+    expect(placeBatchAt(layout, { zoneId: 'dark', rackId: 'a', shelf: 2, qty: 3, batches }))
+      .toEqual({ zoneId: 'dark', slots: [{ rackId: 'a', shelf: 2, trays: 1 }, { rackId: 'a', shelf: 1, trays: 2 }] });
+  });
+
+  it('formats a location for display', () => {
+    expect(formatLocation(layout, { zoneId: 'dark', slots: [{ rackId: 'a', shelf: 2 }, { rackId: 'a', shelf: 1 }] }))
+      .toBe('Germination · Rack A S1–S2');
+    expect(formatLocation(layout, { zoneId: 'lights', slots: [{ rackId: 'b', shelf: 1 }], unplaced: 2 }))
+      .toBe('Lights · Rack B S1 (+2 unplaced)');
+    expect(formatLocation(layout, null)).toBeNull();
+  });
+});
@@ -0,0 +1,348 @@
+/**
+ * Harvest plan — turns one delivery date's orders into trays, dates and
+ * production tasks.
+ *
+ * Plans are generated server-side (api/_lib/harvestPlanner.js) whenever
+ * orders change, and stored per delivery date at
+ * farms/{farmId}/harvestPlans/{YYYY-MM-DD} with a version that bumps each
+ * time the plan's content changes. Sowing entries and crew tasks get
+ * deterministic IDs derived from the delivery date and crop, so replanning
+ * the same date never creates duplicates.
+ *
+ * Given the farm's grow space (data/growSpace.js), sow dates move earlier —
+ * still inside the crop's harvest window — when shelves are full on the
+ * planned day, and items that fit nowhere carry a capacity warning.
+ *
+ * Plan items keep the orders and ounces they came from (orderOz). When a
+ * date already has production docs, replanning doesn't touch them: it
+ * stores a diff (diffProductionDocs) — crops to add, quantities that
+ * changed, tasks to cancel — for a manager to approve.
+ *
+ * Pure functions only — shared with the serverless API, so keep this file
+ * free of Firebase/React imports.
+ */
+import { sumCropOunces } from './productMapping.js';
+import { hasGrowSpace, createCapacityLedger, reserveCapacity, findSowDate } from './growSpace.js';
+
+/**
+ * Order statuses a harvest plan is built from — every status from confirmed
+ * on, so an order moving along (harvesting, packed, delivered) keeps the
+ * trays already sown for it instead of dropping out of its plan.
+ */
+export const PLANNED_ORDER_STATUSES = ['confirmed', 'harvesting', 'packed', 'delivered'];
+
+/** Safety margin on top of ordered ounces. */
+export const PLAN_BUFFER = 0.15;
+
+/** Trays are sown in stacks of this many. */
+export const TRAY_STACK = 3;
+
+/** Production doc statuses a plan may still change; anything else is work in progress or done. */
+export const EDITABLE_PRODUCTION_STATUSES = ['planned', 'pending', 'cancelled'];
+
+const SOAK_CROPS = ['sunflower', 'pea'];
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/** Soak, sow and uncover dates for a crop sown on sowDate. */
+function growDates(cropId, sowDate, blackoutDays) {
+  return {
+    soakDate: SOAK_CROPS.includes(cropId) ? addDays(sowDate, -1) : null,
+    sowDate,
+    uncoverDate: addDays(sowDate, blackoutDays),
+  };
+}
+
+/** Round n UP to nearest multiple of m */
+function ceilToMultiple(n, m) {
+  return Math.ceil(n / m) * m;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Group a delivery date's orders by crop and work out trays and dates.
+ * Orders outside PLANNED_ORDER_STATUSES are ignored. Line items resolve to
+ * crops through the product mapping index; mix products split into their
+ * recipe crops, and mixOz / mixes say how much of a crop goes into mixes.
+ * Unmapped items are left out of the plan and returned in `unmapped`.
+ *
+ * With `space`, crops are fitted into free shelf space in plan order: a
+ * crop's sow date may move up to harvestWindow − 1 days earlier (never
+ * before space.today). capacity is null without space, else
+ * { shiftDays, shortBy, conflicts } — shortBy trays didn't fit anywhere.
+ *
+ * @param {Array}    orders        orders for the delivery date
+ * @param {Object}   mappingIndex  buildProductMappingIndex()
+ * @param {Function} resolveYield  createYieldResolver()
+ * @param {string}   deliveryDate  YYYY-MM-DD
+ * @param {{ layout, machines, entries, today }} [space]  grow space layout, stage
+ *   machines and current occupancy entries (batchOccupancy / projectSowing)
+ * @returns {{ plan: Array<{ cropId, cropName, category, totalOz, mixOz, mixes,
+ *                   yieldPerTray, yieldSource, yieldSourceLabel, traysNeeded,
+ *                   soakDate, sowDate, uncoverDate, harvestDate, orders, orderOz,
+ *                   capacity }>,
+ *             unmapped: Array<{ name, totalQty, orders }>,
+ *             orderIds: string[] }}
+ */
+export function buildHarvestPlan(orders, mappingIndex, resolveYield, deliveryDate, space = null) {
+  const planned = orders.filter((o) => PLANNED_ORDER_STATUSES.includes(o.status));
+  const { crops, unmapped } = sumCropOunces(mappingIndex, planned);
+
+  const plan = crops.map(({ cropId, oz, mixOz, mixes, orderIds, orderOz }) => {
+    const resolved = resolveYield({ cropId });
+    const { variety, yieldPerTray } = resolved;
+    const growDays = variety?.growDays || 10;
+    const blackoutDays = variety?.blackoutDays || 3;
+
+    const traysNeeded = ceilToMultiple(Math.ceil((oz / yieldPerTray) * (1 + PLAN_BUFFER)), TRAY_STACK);
+    const sowDate = addDays(deliveryDate, -growDays);
+
+    return {
+      cropId,
+      cropName: resolved.cropName,
+      category: resolved.category || null,
+      totalOz: round1(oz),
+      mixOz: round1(mixOz),
+      mixes,
+      yieldPerTray,
+      yieldSource: resolved.source,
+      yieldSourceLabel: resolved.sourceLabel,
+      traysNeeded,
+      ...growDates(cropId, sowDate, blackoutDays),
+      harvestDate: deliveryDate,
+      orders: [...orderIds].sort(),
+      orderOz: Object.fromEntries(Object.keys(orderOz).sort().map((id) => [id, round1(orderOz[id])])),
+      capacity: null,
+    };
+  }).sort((a, b) => a.cropId.localeCompare(b.cropId));
+
+  return {
+    plan: space?.machines && hasGrowSpace(space.layout) ? fitPlanToGrowSpace(plan, resolveYield, space) : plan,
+    unmapped: unmapped
+      .map(({ orderIds, ...u }) => ({ ...u, totalQty: round1(u.totalQty), orders: [...orderIds].sort() }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    orderIds: [...new Set(planned.map((o) => o.id))].sort(),
+  };
+}
+
+function fitPlanToGrowSpace(plan, resolveYield, { layout, machines, entries = [], today }) {
+  const ledger = createCapacityLedger(layout, entries, { today });
+
+  return plan.map((item) => {
+    const { variety } = resolveYield({ cropId: item.cropId });
+    const window = Math.max(1, variety?.harvestWindow || 1);
+    const earliest = addDays(item.sowDate, -(window - 1));
+    const fit = findSowDate(ledger, machines, {
+      category: item.category || 'microgreens',
+      variety,
+      qty: item.traysNeeded,
+      preferred: item.sowDate,
+      earliest: today && earliest < today ? today : earliest,
+      latest: item.sowDate,
+    });
+    const placed = fit.fits ? item.traysNeeded : Math.min(item.traysNeeded, fit.maxQty ?? 0);
+    reserveCapacity(ledger, { category: item.category || 'microgreens', qty: placed, segments: fit.segments });
+
+    return {
+      ...item,
+      ...growDates(item.cropId, fit.sowDate, variety?.blackoutDays || 3),
+      capacity: { shiftDays: fit.shiftDays, shortBy: item.traysNeeded - placed, conflicts: fit.conflicts },
+    };
+  });
+}
+
+/**
+ * Stable summary of a plan's content. Two plans with the same signature
+ * would write the same tasks, so the planner skips them.
+ */
+export function planSignature({ plan, unmapped }) {
+  return JSON.stringify({
+    plan: plan.map((p) => [p.cropId, p.traysNeeded, p.totalOz, p.sowDate, p.yieldPerTray, p.orderOz]),
+    unmapped: unmapped.map((u) => [u.name, u.totalQty]),
+  });
+}
+
+/** Deterministic sowingSchedule doc ID for a crop on a delivery date. */
+export function sowingEntryId(deliveryDate, cropId) {
+  return `plan_${deliveryDate}_${cropId}`;
+}
+
+/** Deterministic crewTasks doc ID for a crop's task on a delivery date. */
+export function crewTaskId(deliveryDate, cropId, type) {
+  return `plan_${deliveryDate}_${cropId}_${type}`;
+}
+
+/**
+ * Production docs for a plan: one sowingSchedule entry per crop and
+ * soak/sow/uncover/harvest crew tasks. Returns { sowing, crew }, each an
+ * array of { id, key, data } — key is the crop|date(|type) the old browser
+ * watcher deduped on, so legacy docs can be matched.
+ */
+export function buildProductionDocs(plan, deliveryDate) {
+  const sowing = [];
+  const crew = [];
+
+  for (const item of plan) {
+    sowing.push({
+      id: sowingEntryId(deliveryDate, item.cropId),
+      key: `${item.cropId}|${item.sowDate}`,
+      data: {
+        crop: item.cropId,
+        cropName: item.cropName,
+        traysNeeded: item.traysNeeded,
+        yieldPerTray: item.yieldPerTray,
+        yieldSource: item.yieldSource,
+        sowDate: item.sowDate,
+        estimatedHarvestDate: item.harvestDate,
+        linkedOrderIds: item.orders,
+        status: 'planned',
+      },
+    });
+
+    const tasks = [];
+    if (item.soakDate) {
+      tasks.push({ type: 'soak', date: item.soakDate, title: `Soak ${item.traysNeeded} trays ${item.cropName}` });
+    }
+    tasks.push(
+      { type: 'sow', date: item.sowDate, title: `Sow ${item.traysNeeded} trays ${item.cropName}` },
+      { type: 'uncover', date: item.uncoverDate, title: `Uncover ${item.traysNeeded} trays ${item.cropName}` },
+      {
+        type: 'harvest',
+        date: item.harvestDate,
+        title: `Harvest ${item.traysNeeded} trays ${item.cropName} — ${item.totalOz} oz for ${item.harvestDate}`,
+      },
+    );
+
+    for (const task of tasks) {
+      crew.push({
+        id: crewTaskId(deliveryDate, item.cropId, task.type),
+        key: `${item.cropId}|${task.date}|${task.type}`,
+        data: {
+          title: task.title,
+          date: task.date,
+          type: task.type,
+          crop: item.cropId,
+          cropName: item.cropName,
+          trayCount: item.traysNeeded,
+          linkedOrderIds: item.orders,
+          status: 'pending',
+        },
+      });
+    }
+  }
+
+  return { sowing, crew };
+}
+
+// ── Diffing against existing production docs ────────────────────────────────
+
+const PRODUCTION_COLLECTIONS = { sowing: 'sowingSchedule', crew: 'crewTasks' };
+
+/** Slot a production doc fills in a date's plan: one sowing entry per crop, one task per crop and type. */
+function slotKey(kind, data) {
+  return kind === 'sowing' ? data.crop || data.cropId : `${data.crop}|${data.type}`;
+}
+
+function trayCount(kind, data) {
+  return kind === 'sowing' ? data.traysNeeded : data.trayCount;
+}
+
+/** Fields a replan may change on an existing doc. */
+function planFields(kind, data) {
+  return kind === 'sowing'
+    ? { traysNeeded: data.traysNeeded, yieldPerTray: data.yieldPerTray, yieldSource: data.yieldSource, sowDate: data.sowDate, linkedOrderIds: data.linkedOrderIds }
+    : { title: data.title, date: data.date, trayCount: data.trayCount, linkedOrderIds: data.linkedOrderIds };
+}
+
+function sameFields(a, b) {
+  return Object.keys(a).every((k) => JSON.stringify(a[k] ?? null) === JSON.stringify(b[k] ?? null));
+}
+
+/**
+ * Compare the docs a plan wants (buildProductionDocs) with the production
+ * docs already written for its delivery date.
+ *
+ * @param {{ sowing, crew }} desired   buildProductionDocs() output
+ * @param {{ sowing, crew }} existing  arrays of { id, data } from Firestore
+ * @returns {{
+ *   crops:  Array<{ cropId, cropName, change: 'add'|'update'|'cancel', fromTrays, toTrays }>,
+ *   ops:    Array<{ op: 'create'|'update'|'cancel', collection, id, data?, updates? }>,
+ *   locked: Array<{ collection, id, title, status }>,
+ * }} — ops is empty when nothing needs to change. locked lists docs the
+ *   plan would change but whose work has already started.
+ */
+export function diffProductionDocs(desired, existing) {
+  const ops = [];
+  const locked = [];
+  const crops = new Map();
+
+  const noteCrop = (cropId, cropName, fields) => {
+    const c = crops.get(cropId) || { cropId, cropName, change: 'update', fromTrays: 0, toTrays: 0 };
+    crops.set(cropId, { ...c, ...fields });
+  };
+
+  for (const kind of ['sowing', 'crew']) {
+    const collection = PRODUCTION_COLLECTIONS[kind];
+    const editable = (d) => EDITABLE_PRODUCTION_STATUSES.includes(d.data.status);
+    const lock = (d) => locked.push({ collection, id: d.id, title: d.data.title || d.data.cropName || d.id, status: d.data.status });
+
+    // Pair existing docs with slots; extra docs in a slot are duplicates
+    const bySlot = new Map();
+    for (const d of existing[kind] || []) {
+      const slot = slotKey(kind, d.data);
+      if (!bySlot.has(slot)) { bySlot.set(slot, d); continue; }
+      if (d.data.status === 'cancelled') continue;
+      if (editable(d)) ops.push({ op: 'cancel', collection, id: d.id });
+      else lock(d);
+    }
+
+    const wanted = new Set();
+    for (const want of desired[kind]) {
+      const slot = slotKey(kind, want.data);
+      wanted.add(slot);
+      const have = bySlot.get(slot);
+      const toTrays = trayCount(kind, want.data);
+
+      if (!have) {
+        ops.push({ op: 'create', collection, id: want.id, data: want.data });
+        if (kind === 'sowing') noteCrop(want.data.crop, want.data.cropName, { change: 'add', toTrays });
+        continue;
+      }
+
+      const fields = planFields(kind, want.data);
+      const wasCancelled = have.data.status === 'cancelled';
+      if (!wasCancelled && sameFields(fields, have.data)) continue;
+      if (!editable(have)) { lock(have); continue; }
+
+      ops.push({ op: 'update', collection, id: have.id, updates: wasCancelled ? { ...fields, status: want.data.status } : fields });
+      if (kind === 'sowing') {
+        noteCrop(want.data.crop, want.data.cropName, wasCancelled
+          ? { change: 'add', toTrays }
+          : { fromTrays: trayCount(kind, have.data) || 0, toTrays });
+      } else if (!crops.has(want.data.crop)) {
+        noteCrop(want.data.crop, want.data.cropName, { fromTrays: trayCount(kind, have.data) || 0, toTrays });
+      }
+    }
+
+    for (const [slot, have] of bySlot) {
+      if (wanted.has(slot) || have.data.status === 'cancelled') continue;
+      if (!editable(have)) { lock(have); continue; }
+      ops.push({ op: 'cancel', collection, id: have.id });
+      const cropId = have.data.crop || have.data.cropId;
+      if (kind === 'sowing' || !crops.has(cropId)) {
+        noteCrop(cropId, have.data.cropName, { change: 'cancel', fromTrays: trayCount(kind, have.data) || 0, toTrays: 0 });
+      }
+    }
+  }
+
+  return {
+    crops: [...crops.values()].sort((a, b) => a.cropId.localeCompare(b.cropId)),
+    ops,
+    locked,
+  };
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { buildProductMappingIndex } from './productMapping.js';
+import {
+  buildHarvestPlan,
+  buildProductionDocs,
+  diffProductionDocs,
+  planSignature,
+  sowingEntryId,
+  crewTaskId,
+} from './harvestPlan.js';
+
+const DELIVERY = '2026-05-20';
+
+const index = buildProductMappingIndex([
+  { id: 'p-sun', name: 'Sunflower 4oz', cropMapping: { cropId: 'sunflower', ozPerUnit: 4 } },
+  { id: 'p-rad', name: 'Radish 2oz', cropMapping: { cropId: 'radish', ozPerUnit: 2 } },
+  { id: 'p-mix', name: 'Spicy Mix', cropMapping: { components: [{ cropId: 'radish', parts: 1 }, { cropId: 'sunflower', parts: 1 }], ozPerUnit: 4 } },
+]);
+
+// 8 oz per tray, 10 grow days, 3 blackout days for every crop
+const resolveYield = ({ cropId }) => ({
+  cropName: cropId, category: 'microgreens', yieldPerTray: 8, source: 'default', sourceLabel: 'Default',
+  variety: { id: cropId, growDays: 10, blackoutDays: 3, harvestWindow: 3 },
+});
+
+const order = (id, items, status = 'confirmed') => ({ id, status, items });
+
+describe('buildHarvestPlan', () => {
+  it('plans only confirmed-onward orders', () => {
+    const { plan, orderIds } = buildHarvestPlan([
+      order('o1', [{ productId: 'p-sun', quantity: 2 }]),
+      order('o2', [{ productId: 'p-sun', quantity: 5 }], 'delivered'),
+      order('o3', [{ productId: 'p-sun', quantity: 50 }], 'pending'),
+      order('o4', [{ productId: 'p-sun', quantity: 50 }], 'cancelled'),
+    ], index, resolveYield, DELIVERY);
+    expect(orderIds).toEqual(['o1', 'o2']);
+    expect(plan).toHaveLength(1);
+    expect(plan[0].totalOz).toBe(28);
+    expect(plan[0].orderOz).toEqual({ o1: 8, o2: 20 });
+  });
+
+  it('adds the buffer and rounds trays up to a full stack', () => {
+    // 28 oz / 8 = 3.5 → ×1.15 = 4.03 → 5 trays → stack of 3 → 6
+    const { plan } = buildHarvestPlan([order('o1', [{ productId: 'p-sun', quantity: 7 }])], index, resolveYield, DELIVERY);
+    expect(plan[0].traysNeeded).toBe(6);
+  });
+
+  it('works dates back from delivery and soaks only soak crops', () => {
+    const { plan } = buildHarvestPlan([
+      order('o1', [{ productId: 'p-sun', quantity: 1 }, { productId: 'p-rad', quantity: 1 }]),
+    ], index, resolveYield, DELIVERY);
+    const [radish, sunflower] = plan;
+    expect(sunflower).toMatchObject({ sowDate: '2026-05-10', soakDate: '2026-05-09', uncoverDate: '2026-05-13', harvestDate: DELIVERY });
+    expect(radish.soakDate).toBeNull();
+  });
+
+  it('splits mixes into their crops and reports unmapped items', () => {
+    const { plan, unmapped } = buildHarvestPlan([
+      order('o1', [{ productId: 'p-mix', name: 'Spicy Mix', quantity: 2 }, { name: 'Mystery Greens', quantity: 3 }]),
+    ], index, resolveYield, DELIVERY);
+    expect(plan.map((p) => [p.cropId, p.totalOz, p.mixOz, p.mixes])).toEqual([
+      ['radish', 4, 4, ['Spicy Mix']],
+      ['sunflower', 4, 4, ['Spicy Mix']],
+    ]);
+    expect(unmapped).toEqual([{ name: 'Mystery Greens', totalQty: 3, orders: ['o1'] }]);
+  });
+
+  it('gives the same signature to plans with the same content', () => {
+    const orders = [order('o1', [{ productId: 'p-sun', quantity: 2 }])];
+    const a = buildHarvestPlan(orders, index, resolveYield, DELIVERY);
+    const b = buildHarvestPlan([...orders], index, resolveYield, DELIVERY);
+    const c = buildHarvestPlan([order('o1', [{ productId: 'p-sun', quantity: 9 }])], index, resolveYield, DELIVERY);
+    expect(planSignature(a)).toBe(planSignature(b));
+    expect(planSignature(a)).not.toBe(planSignature(c));
+  });
+});
+
+describe('buildProductionDocs', () => {
+  it('uses deterministic IDs for sowing entries and crew tasks', () => {
+    const { plan } = buildHarvestPlan([order('o1', [{ productId: 'p-sun', quantity: 2 }])], index, resolveYield, DELIVERY);
+    const { sowing, crew } = buildProductionDocs(plan, DELIVERY);
+    expect(sowing.map((d) => d.id)).toEqual([sowingEntryId(DELIVERY, 'sunflower')]);
+    expect(crew.map((d) => d.data.type)).toEqual(['soak', 'sow', 'uncover', 'harvest']);
+    expect(crew[1].id).toBe(crewTaskId(DELIVERY, 'sunflower', 'sow'));
+  });
+});
+
+describe('diffProductionDocs', () => {
+  const docsFor = (qty, extra = []) => {
+    const { plan } = buildHarvestPlan([order('o1', [{ productId: 'p-sun', quantity: qty }, ...extra])], index, resolveYield, DELIVERY);
+    return buildProductionDocs(plan, DELIVERY);
+  };
+  const stored = (docs) => ({
+    sowing: docs.sowing.map(({ id, data }) => ({ id, data })),
+    crew: docs.crew.map(({ id, data }) => ({ id, data })),
+  });
+
+  it('has nothing to do when the docs already match', () => {
+    const docs = docsFor(7);
+    expect(diffProductionDocs(docs, stored(docs))).toEqual({ crops: [], ops: [], locked: [] });
+  });
+
+  it('creates docs for a new date', () => {
+    const diff = diffProductionDocs(docsFor(7), { sowing: [], crew: [] });
+    expect(diff.ops.every((o) => o.op === 'create')).toBe(true);
+    expect(diff.crops).toEqual([{ cropId: 'sunflower', cropName: 'sunflower', change: 'add', fromTrays: 0, toTrays: 6 }]);
+  });
+
+  it('updates changed quantities and cancels dropped crops', () => {
+    const before = stored(docsFor(7, [{ productId: 'p-rad', quantity: 4 }]));
+    const diff = diffProductionDocs(docsFor(14), before);
+    expect(diff.crops).toEqual([
+      { cropId: 'radish', cropName: 'radish', change: 'cancel', fromTrays: 3, toTrays: 0 },
+      { cropId: 'sunflower', cropName: 'sunflower', change: 'update', fromTrays: 6, toTrays: 9 },
+    ]);
+    expect(diff.ops.filter((o) => o.op === 'cancel').every((o) => o.id.includes('radish'))).toBe(true);
+    expect(diff.ops.find((o) => o.id === sowingEntryId(DELIVERY, 'sunflower')).updates.traysNeeded).toBe(9);
+  });
+
+  it('locks docs whose work has started instead of changing them', () => {
+    const before = stored(docsFor(7));
+    const sow = before.crew.find((d) => d.data.type === 'sow');
+    sow.data = { ...sow.data, status: 'done' };
+    const diff = diffProductionDocs(docsFor(14), before);
+    expect(diff.locked).toEqual([{ collection: 'crewTasks', id: sow.id, title: sow.data.title, status: 'done' }]);
+    expect(diff.ops.some((o) => o.id === sow.id)).toBe(false);
+  });
+
+  it('cancels duplicate docs in the same slot', () => {
+    const docs = docsFor(7);
+    const before = stored(docs);
+    before.sowing.push({ id: 'legacy-dupe', data: { ...before.sowing[0].data } });
+    expect(diffProductionDocs(docs, before).ops).toEqual([{ op: 'cancel', collection: 'sowingSchedule', id: 'legacy-dupe' }]);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Invoices and accounts receivable — billing wholesale customers on terms.
+ *
+ * Stored at farms/{farmId}/invoices/{invoiceId}:
+ *
+ *   { invoiceNumber, number, kind: 'order' | 'statement', customerKey,
+ *     customerName, customerEmail, orderIds, periodStart, periodEnd,
+ *     issueDate, termsDays, dueDate,
+ *     lines: [{ orderId, orderNumber, date, productId, name, unit, quantity,
+ *       listPrice, pricePerUnit, amount }],
+ *     listTotal, discount, total,
+ *     payments: [{ date, amount, method, reference, recordedBy }],
+ *     amountPaid, status }
+ *
+ * Invoices are drafted from delivered app orders (farms/{farmId}/orders) —
+ * one per order, or one statement per customer per finished Mon–Sun week.
+ * Shopify orders are paid at checkout and aren't invoiced. An invoiced
+ * order carries invoiceId/invoiceNumber; voiding the invoice clears them so
+ * the order can be billed again. Numbers count up from FIRST_INVOICE_NUMBER
+ * per farm (counters/invoices).
+ *
+ * Terms are termsDays on the customer's shopifyCustomers record (Net 30
+ * when unset). Lines keep the list price next to the price charged
+ * (priceLists.js lineListValue), so the invoice shows the discount given.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { addDays, weekdayOf } from './standingOrders.js';
+import { appliedPrice, lineListValue } from './priceLists.js';
+
+export const INVOICE_STATUSES = [
+  { id: 'open',    label: 'Open',           color: 'bg-sky-100 text-sky-700' },
+  { id: 'partial', label: 'Partially paid', color: 'bg-amber-100 text-amber-700' },
+  { id: 'overdue', label: 'Overdue',        color: 'bg-red-100 text-red-700' },
+  { id: 'paid',    label: 'Paid',           color: 'bg-green-100 text-green-700' },
+  { id: 'void',    label: 'Void',           color: 'bg-gray-100 text-gray-500' },
+];
+
+/** Stored statuses with money still owed. */
+export const UNPAID_INVOICE_STATUSES = ['open', 'partial'];
+
+/** Net terms a customer can be on, in days (0 = due on receipt). */
+export const PAYMENT_TERMS = [0, 7, 15, 30, 45];
+
+/** Terms when the customer record doesn't set any. */
+export const DEFAULT_TERMS_DAYS = 30;
+
+export const termsLabel = (days) => (Number(days) > 0 ? `Net ${days}` : 'Due on receipt');
+
+export const PAYMENT_METHODS = [
+  { id: 'check', label: 'Check' },
+  { id: 'ach',   label: 'ACH / bank transfer' },
+  { id: 'card',  label: 'Card' },
+  { id: 'cash',  label: 'Cash' },
+  { id: 'other', label: 'Other' },
+];
+
+/** Invoice numbers count up from here, per farm. */
+export const FIRST_INVOICE_NUMBER = 1001;
+
+export const formatInvoiceNumber = (n) => `INV-${n}`;
+
+/**
+ * Aging buckets by days past due. "Current" isn't due yet.
+ * max is the last day past due a bucket holds.
+ */
+export const AGING_BUCKETS = [
+  { id: 'current', label: 'Current',    max: 0 },
+  { id: '30',      label: '1–30 days',  max: 30 },
+  { id: '60',      label: '31–60 days', max: 60 },
+  { id: '90',      label: '61–90 days', max: 90 },
+  { id: '90+',     label: 'Over 90',    max: Infinity },
+];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const DAY_MS = 86400000;
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T12:00:00Z`) - Date.parse(`${from}T12:00:00Z`)) / DAY_MS);
+}
+
+const emailKey = (email) => String(email || '').toLowerCase().trim();
+
+/** Who an order is billed to — the customer's email, else their user ID. */
+export const orderCustomerKey = (order) => emailKey(order.customerEmail) || order.customerId || null;
+
+/** 'YYYY-MM-DD' an order was delivered on (requested date, else when it was marked delivered). */
+export function orderDeliveryDate(order) {
+  if (order.requestedDeliveryDate) return order.requestedDeliveryDate;
+  const at = order.deliveredAt;
+  const d = at?.seconds ? new Date(at.seconds * 1000) : at ? new Date(at) : null;
+  return d && !isNaN(d) ? d.toISOString().slice(0, 10) : null;
+}
+
+/** Monday of a date's week. */
+const weekStart = (date) => addDays(date, -((weekdayOf(date) + 6) % 7));
+
+/** Delivered orders not yet on an invoice. */
+export function uninvoicedOrders(orders) {
+  return orders.filter((o) =>
+    o.status === 'delivered' && !o.invoiceId && orderCustomerKey(o) && orderDeliveryDate(o) && (o.items || []).length > 0);
+}
+
+/** Invoice lines for an order's items. */
+export function invoiceLines(order) {
+  const date = orderDeliveryDate(order);
+  return (order.items || []).map((item) => {
+    const { applied } = lineListValue(item);
+    return {
+      orderId:      order.id,
+      orderNumber:  order.orderNumber || null,
+      date,
+      productId:    item.productId || null,
+      name:         item.name,
+      unit:         item.unit || null,
+      quantity:     Number(item.quantity || item.qty) || 0,
+      listPrice:    item.listPrice != null ? Number(item.listPrice) : appliedPrice(item),
+      pricePerUnit: appliedPrice(item),
+      amount:       round(applied),
+    };
+  });
+}
+
+/** { listTotal, discount, total } of invoice lines. */
+export function invoiceTotals(lines) {
+  const total = round(lines.reduce((s, l) => s + l.amount, 0));
+  const listTotal = round(lines.reduce((s, l) => s + l.listPrice * l.quantity, 0));
+  return { listTotal, discount: round(Math.max(0, listTotal - total)), total };
+}
+
+/**
+ * Draft invoices for delivered, uninvoiced orders.
+ * mode: 'order' (one per order) or 'weekly' (one statement per customer
+ * per Mon–Sun week; only weeks that ended before today).
+ * customers: shopifyCustomers records, for names and terms.
+ *
+ * Returns [{ kind, customerKey, customerName, customerEmail, orderIds,
+ * periodStart, periodEnd, issueDate, termsDays, dueDate, lines, ...totals }]
+ * — everything but the number, which is assigned when they're saved.
+ */
+export function draftInvoices(orders, customers, { mode = 'order', today }) {
+  const records = new Map(customers.filter((c) => c.email).map((c) => [emailKey(c.email), c]));
+
+  const groups = new Map();
+  for (const order of uninvoicedOrders(orders)) {
+    const customerKey = orderCustomerKey(order);
+    const date = orderDeliveryDate(order);
+    let key = order.id;
+    if (mode === 'weekly') {
+      if (addDays(weekStart(date), 6) >= today) continue;
+      key = `${customerKey}|${weekStart(date)}`;
+    }
+    if (!groups.has(key)) groups.set(key, { customerKey, orders: [] });
+    groups.get(key).orders.push(order);
+  }
+
+  return [...groups.values()].map(({ customerKey, orders: group }) => {
+    const sorted = [...group].sort((a, b) => orderDeliveryDate(a).localeCompare(orderDeliveryDate(b)));
+    const first = sorted[0];
+    const record = records.get(customerKey);
+    const termsDays = Number(record?.termsDays ?? DEFAULT_TERMS_DAYS) || 0;
+    const lines = sorted.flatMap(invoiceLines);
+    const periodStart = mode === 'weekly' ? weekStart(orderDeliveryDate(first)) : orderDeliveryDate(first);
+    return {
+      kind:          mode === 'weekly' ? 'statement' : 'order',
+      customerKey,
+      customerName:  record?.restaurant || first.customerName || first.customerEmail || 'Customer',
+      customerEmail: first.customerEmail || record?.email || null,
+      orderIds:      sorted.map((o) => o.id),
+      periodStart,
+      periodEnd:     mode === 'weekly' ? addDays(periodStart, 6) : periodStart,
+      issueDate:     today,
+      termsDays,
+      dueDate:       addDays(today, termsDays),
+      lines,
+      ...invoiceTotals(lines),
+    };
+  }).sort((a, b) => a.customerName.localeCompare(b.customerName) || a.periodStart.localeCompare(b.periodStart));
+}
+
+/** What's still owed on an invoice. */
+export const balanceDue = (invoice) =>
+  invoice.status === 'void' ? 0 : Math.max(0, round((invoice.total || 0) - (invoice.amountPaid || 0)));
+
+/** Days past its due date (0 or less when not yet due). */
+export const daysPastDue = (invoice, today) => daysBetween(invoice.dueDate, today);
+
+/** Status to show: a stored status, or 'overdue' for an unpaid one past due. */
+export function invoiceStatus(invoice, today) {
+  if (UNPAID_INVOICE_STATUSES.includes(invoice.status) && daysPastDue(invoice, today) > 0) return 'overdue';
+  return invoice.status;
+}
+
+/** Why a payment can't be recorded, or null when it can. */
+export function paymentError(invoice, amount) {
+  if (!UNPAID_INVOICE_STATUSES.includes(invoice.status)) return `${invoice.invoiceNumber} isn't open for payments`;
+  if (!(amount > 0)) return 'Enter the amount received';
+  if (round(amount) > balanceDue(invoice)) return `That's more than the $${balanceDue(invoice).toFixed(2)} owed`;
+  return null;
+}
+
+/** Why an invoice can't be voided, or null — one with payments on it can't. */
+export function voidError(invoice) {
+  if (invoice.status !== 'open') return `${invoice.invoiceNumber} is ${invoice.status} and can't be voided`;
+  if ((invoice.amountPaid || 0) > 0) return `${invoice.invoiceNumber} has payments recorded and can't be voided`;
+  return null;
+}
+
+/**
+ * Apply a payment — { date, amount, method, reference } — to an invoice.
+ * Returns { payment, amountPaid, status }; paid once nothing is owed.
+ */
+export function applyPayment(invoice, { date, amount, method, reference }) {
+  const payment = { date, amount: round(amount), method: method || 'other', reference: String(reference || '').trim() };
+  const amountPaid = round((invoice.amountPaid || 0) + payment.amount);
+  return { payment, amountPaid, status: amountPaid >= (invoice.total || 0) ? 'paid' : 'partial' };
+}
+
+/** Aging bucket id for an unpaid invoice. */
+export function agingBucket(invoice, today) {
+  const days = daysPastDue(invoice, today);
+  return AGING_BUCKETS.find((b) => days <= b.max).id;
+}
+
+/**
+ * Accounts receivable aging: one row per customer with a balance —
+ * { customerKey, customerName, buckets: { [bucketId]: amount }, total,
+ * invoices } — largest balance first, plus totals across all of them.
+ */
+export function agingReport(invoices, today) {
+  const rows = new Map();
+  const totals = Object.fromEntries(AGING_BUCKETS.map((b) => [b.id, 0]));
+  for (const inv of invoices) {
+    const owed = balanceDue(inv);
+    if (owed <= 0) continue;
+    if (!rows.has(inv.customerKey)) {
+      rows.set(inv.customerKey, {
+        customerKey:  inv.customerKey,
+        customerName: inv.customerName,
+        buckets:      Object.fromEntries(AGING_BUCKETS.map((b) => [b.id, 0])),
+        total:        0,
+        invoices:     [],
+      });
+    }
+    const row = rows.get(inv.customerKey);
+    const bucket = agingBucket(inv, today);
+    row.buckets[bucket] = round(row.buckets[bucket] + owed);
+    row.total = round(row.total + owed);
+    row.invoices.push(inv);
+    totals[bucket] = round(totals[bucket] + owed);
+  }
+  return {
+    rows:  [...rows.values()].sort((a, b) => b.total - a.total),
+    totals: { ...totals, total: round(Object.values(totals).reduce((s, n) => s + n, 0)) },
+  };
+}
+
+/**
+ * Outstanding balance per customer: Map customerKey → { balance, overdue,
+ * oldestDue } — overdue is the part past its due date.
+ */
+export function outstandingBalances(invoices, today) {
+  const out = new Map();
+  for (const inv of invoices) {
+    const owed = balanceDue(inv);
+    if (owed <= 0) continue;
+    const entry = out.get(inv.customerKey) || { balance: 0, overdue: 0, oldestDue: null };
+    entry.balance = round(entry.balance + owed);
+    if (daysPastDue(inv, today) > 0) entry.overdue = round(entry.overdue + owed);
+    if (!entry.oldestDue || inv.dueDate < entry.oldestDue) entry.oldestDue = inv.dueDate;
+    out.set(inv.customerKey, entry);
+  }
+  return out;
+}
+
+/** Plain-text invoice for an email to the customer: { subject, body }. */
+export function invoiceEmail(invoice, farmName) {
+  const owed = balanceDue(invoice);
+  return {
+    subject: `Invoice ${invoice.invoiceNumber} from ${farmName}`,
+    body: [
+      `Hello ${invoice.customerName},`,
+      '',
+      invoice.kind === 'statement'
+        ? `Here is your statement ${invoice.invoiceNumber} for deliveries ${invoice.periodStart} to ${invoice.periodEnd}.`
+        : `Here is invoice ${invoice.invoiceNumber} for your delivery on ${invoice.periodStart}.`,
+      '',
+      `Total: $${(invoice.total || 0).toFixed(2)}`,
+      invoice.amountPaid > 0 ? `Paid: $${invoice.amountPaid.toFixed(2)}` : null,
+      `Balance due: $${owed.toFixed(2)} by ${invoice.dueDate} (${termsLabel(invoice.termsDays)})`,
+      '',
+      'Thank you,',
+      farmName,
+    ].filter((l) => l !== null).join('\n'),
+  };
+}
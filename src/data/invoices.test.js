@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  uninvoicedOrders,
+  draftInvoices,
+  invoiceTotals,
+  invoiceLines,
+  balanceDue,
+  invoiceStatus,
+  paymentError,
+  voidError,
+  applyPayment,
+  agingBucket,
+  agingReport,
+  outstandingBalances,
+  DEFAULT_TERMS_DAYS,
+} from './invoices.js';
+
+const TODAY = '2026-05-20';
+
+const order = (id, date, items, extra = {}) => ({
+  id, status: 'delivered', customerEmail: 'Chef@Bistro.com', customerName: 'Chef Ana',
+  requestedDeliveryDate: date, items, ...extra,
+});
+const pea = (quantity, pricePerUnit = 5, listPrice = 6) => ({ productId: 'pea', name: 'Pea Shoots', quantity, pricePerUnit, listPrice });
+
+const orders = [
+  order('o1', '2026-05-11', [pea(2)]),
+  order('o2', '2026-05-14', [pea(4, 4.5)]),
+  order('o3', '2026-05-18', [pea(1)]),
+  order('o4', '2026-05-12', [pea(1)], { status: 'packed' }),
+  order('o5', '2026-05-12', [pea(1)], { invoiceId: 'inv-1' }),
+  order('o6', '2026-05-12', [pea(1)], { customerEmail: 'deli@town.com', customerName: 'Deli' }),
+];
+const customers = [{ email: 'chef@bistro.com', restaurant: 'Bistro', termsDays: 15 }];
+
+describe('uninvoicedOrders', () => {
+  it('keeps delivered orders that are not on an invoice', () => {
+    expect(uninvoicedOrders(orders).map((o) => o.id)).toEqual(['o1', 'o2', 'o3', 'o6']);
+  });
+});
+
+describe('draftInvoices', () => {
+  it('drafts one invoice per order with the customer terms', () => {
+    const drafts = draftInvoices(orders, customers, { mode: 'order', today: TODAY });
+    expect(drafts.map((d) => [d.customerName, d.orderIds, d.termsDays, d.dueDate])).toEqual([
+      ['Bistro', ['o1'], 15, '2026-06-04'],
+      ['Bistro', ['o2'], 15, '2026-06-04'],
+      ['Bistro', ['o3'], 15, '2026-06-04'],
+      ['Deli', ['o6'], DEFAULT_TERMS_DAYS, '2026-06-19'],
+    ]);
+  });
+
+  it('groups finished weeks into one statement per customer', () => {
+    const drafts = draftInvoices(orders, customers, { mode: 'weekly', today: TODAY });
+    const bistro = drafts.find((d) => d.customerKey === 'chef@bistro.com');
+    expect(bistro).toMatchObject({
+      kind: 'statement',
+      orderIds: ['o1', 'o2'],
+      periodStart: '2026-05-11',
+      periodEnd: '2026-05-17',
+      total: 28,
+      listTotal: 36,
+      discount: 8,
+    });
+    // this week's o3 waits for the week to end
+    expect(drafts.flatMap((d) => d.orderIds)).not.toContain('o3');
+  });
+});
+
+describe('invoice lines and totals', () => {
+  it('keeps list price next to the price charged', () => {
+    const lines = invoiceLines(order('o1', '2026-05-11', [pea(3)]));
+    expect(lines).toEqual([expect.objectContaining({ quantity: 3, listPrice: 6, pricePerUnit: 5, amount: 15, date: '2026-05-11' })]);
+    expect(invoiceTotals(lines)).toEqual({ listTotal: 18, discount: 3, total: 15 });
+  });
+});
+
+describe('payments', () => {
+  const invoice = { invoiceNumber: 'INV-1001', status: 'open', total: 100, amountPaid: 0, dueDate: '2026-05-10' };
+
+  it('refuses empty, excess and closed payments', () => {
+    expect(paymentError(invoice, 0)).toBe('Enter the amount received');
+    expect(paymentError(invoice, 100.01)).toBe("That's more than the $100.00 owed");
+    expect(paymentError({ ...invoice, status: 'void' }, 10)).toBe("INV-1001 isn't open for payments");
+    expect(paymentError(invoice, 100)).toBeNull();
+  });
+
+  it('marks the invoice partial, then paid', () => {
+    const first = applyPayment(invoice, { date: TODAY, amount: 40, method: 'check', reference: ' 1234 ' });
+    expect(first).toEqual({ payment: { date: TODAY, amount: 40, method: 'check', reference: '1234' }, amountPaid: 40, status: 'partial' });
+    const second = applyPayment({ ...invoice, amountPaid: first.amountPaid }, { date: TODAY, amount: 60 });
+    expect(second).toMatchObject({ amountPaid: 100, status: 'paid' });
+  });
+
+  it('never voids an invoice with payments or that is not open', () => {
+    expect(voidError(invoice)).toBeNull();
+    expect(voidError({ ...invoice, status: 'paid', amountPaid: 100 })).toBe("INV-1001 is paid and can't be voided");
+    expect(voidError({ ...invoice, status: 'partial', amountPaid: 40 })).toBe("INV-1001 is partial and can't be voided");
+    expect(voidError({ ...invoice, amountPaid: 10 })).toBe("INV-1001 has payments recorded and can't be voided");
+  });
+
+  it('owes nothing on a void invoice', () => {
+    expect(balanceDue({ ...invoice, amountPaid: 30 })).toBe(70);
+    expect(balanceDue({ ...invoice, status: 'void' })).toBe(0);
+  });
+});
+
+describe('aging', () => {
+  const inv = (customerKey, dueDate, total, extra = {}) => ({
+    customerKey, customerName: customerKey, dueDate, total, amountPaid: 0, status: 'open', ...extra,
+  });
+
+  it('shows unpaid invoices past due as overdue', () => {
+    expect(invoiceStatus(inv('a', '2026-05-19', 10), TODAY)).toBe('overdue');
+    expect(invoiceStatus(inv('a', TODAY, 10), TODAY)).toBe('open');
+    expect(invoiceStatus(inv('a', '2026-05-01', 10, { status: 'paid' }), TODAY)).toBe('paid');
+  });
+
+  it('buckets by days past due', () => {
+    expect(agingBucket(inv('a', TODAY, 1), TODAY)).toBe('current');
+    expect(agingBucket(inv('a', '2026-04-20', 1), TODAY)).toBe('30');
+    expect(agingBucket(inv('a', '2026-04-19', 1), TODAY)).toBe('60');
+    expect(agingBucket(inv('a', '2026-01-01', 1), TODAY)).toBe('90+');
+  });
+
+  it('totals balances per customer, largest first', () => {
+    const invoices = [
+      inv('bistro', '2026-06-01', 50),
+      inv('bistro', '2026-05-01', 80, { amountPaid: 30, status: 'partial' }),
+      inv('deli', '2026-03-01', 200),
+      inv('deli', '2026-03-01', 999, { status: 'void' }),
+      inv('cafe', '2026-03-01', 40, { amountPaid: 40, status: 'paid' }),
+    ];
+    const { rows, totals } = agingReport(invoices, TODAY);
+    expect(rows.map((r) => [r.customerKey, r.total])).toEqual([['deli', 200], ['bistro', 100]]);
+    expect(rows[1].buckets).toMatchObject({ current: 50, 30: 50 });
+    expect(totals).toMatchObject({ current: 50, 30: 50, 90: 200, total: 300 });
+
+    expect(outstandingBalances(invoices, TODAY).get('bistro')).toEqual({ balance: 100, overdue: 50, oldestDue: '2026-05-01' });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Labor tracking — crew shifts and timed actions.
+ *
+ * Stored at farms/{farmId}/laborEntries/{entryId}:
+ *
+ *   shift  { kind: 'shift', userId, userName, start, end, minutes, date }
+ *          end/minutes are null while the person is on the clock
+ *   task   { kind: 'task', action, userId, userName, start, end, minutes, date,
+ *            batchId?, orderId?, batchIds?, cropId?, trays?, oz? }
+ *          plant / move / harvest tasks are written with the batch change by
+ *          the crew outbox (entry ID = outbox entry ID); pack tasks carry the
+ *          order and the batches packed into it
+ *
+ * The farm's hourly labor rate (farms/{farmId}/settings/labor: { hourlyRate })
+ * prices tracked minutes for batch costing (data/batchCosting.js).
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { batchTrays } from './growSpace.js';
+import { getVarietyById } from './cropConfig.js';
+
+export const LABOR_ACTIONS = [
+  { id: 'plant',   label: 'Plant' },
+  { id: 'move',    label: 'Move' },
+  { id: 'harvest', label: 'Harvest' },
+  { id: 'pack',    label: 'Pack' },
+];
+
+/** How far back labor entries are loaded. */
+export const LABOR_HISTORY_DAYS = 120;
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+/** Whole minutes between two ISO times (at least 1 when both are set). */
+export function elapsedMinutes(start, end) {
+  if (!start || !end) return null;
+  const ms = new Date(end) - new Date(start);
+  return Number.isFinite(ms) ? Math.max(1, Math.round(ms / 60000)) : null;
+}
+
+/** "2h 05m" / "12m" */
+export function formatMinutes(minutes) {
+  const m = Math.max(0, Math.round(minutes || 0));
+  return m >= 60 ? `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m` : `${m}m`;
+}
+
+/**
+ * Fields of a task entry.
+ * timing: { start, end, userName } from the crew's timer.
+ */
+export function taskEntry(action, timing, userId, fields = {}) {
+  return {
+    kind:     'task',
+    action,
+    userId:   userId ?? null,
+    userName: timing.userName || null,
+    start:    timing.start,
+    end:      timing.end,
+    minutes:  elapsedMinutes(timing.start, timing.end),
+    date:     String(timing.start).slice(0, 10),
+    ...fields,
+  };
+}
+
+/** The person's shift still on the clock, or null. */
+export const openShift = (entries, userId) =>
+  entries.find((e) => e.kind === 'shift' && e.userId === userId && !e.end) || null;
+
+/**
+ * Task minutes per batch: plant / move / harvest tasks by their batch, pack
+ * tasks split evenly over the batches packed. Map batchId → [{ minutes, date }].
+ */
+export function batchTaskMinutes(entries) {
+  const out = new Map();
+  const add = (id, minutes, date) => out.set(id, [...(out.get(id) || []), { minutes, date }]);
+  for (const e of entries) {
+    if (e.kind !== 'task' || !(e.minutes > 0)) continue;
+    if (e.batchId) add(e.batchId, e.minutes, e.date);
+    else if (e.batchIds?.length) e.batchIds.forEach((id) => add(id, e.minutes / e.batchIds.length, e.date));
+  }
+  return out;
+}
+
+/**
+ * Labor per crop from timed tasks.
+ * Each action is measured on the tasks that were timed: minutes per tray =
+ * timed minutes / trays those tasks handled. Per oz divides the per-tray
+ * total by the crop's average harvested yield per tray.
+ *
+ * Returns [{ cropId, cropName, actions: { [action]: { minutes, trays, count,
+ *   perTray } }, minutes, perTray, perOz, yieldPerTray }], most minutes first.
+ */
+export function laborByCrop(entries, batches) {
+  const byId = new Map(batches.map((b) => [b.id, b]));
+  const crops = new Map();
+  const crop = (cropId) => {
+    if (!crops.has(cropId)) {
+      crops.set(cropId, {
+        cropId,
+        cropName: getVarietyById(cropId)?.name || cropId,
+        actions: Object.fromEntries(LABOR_ACTIONS.map((a) => [a.id, { minutes: 0, trays: 0, count: 0 }])),
+      });
+    }
+    return crops.get(cropId);
+  };
+
+  for (const e of entries) {
+    if (e.kind !== 'task' || !(e.minutes > 0)) continue;
+    const ids = e.batchId ? [e.batchId] : (e.batchIds || []);
+    const share = e.minutes / (ids.length || 1);
+    for (const id of ids) {
+      const batch = byId.get(id);
+      const cropId = batch?.varietyId || (ids.length === 1 ? e.cropId : null);
+      if (!cropId || !LABOR_ACTIONS.some((a) => a.id === e.action)) continue;
+      const a = crop(cropId).actions[e.action];
+      a.minutes += share;
+      a.trays += ids.length === 1 && e.trays ? e.trays : batch ? batchTrays(batch) : 0;
+      a.count += 1;
+    }
+  }
+
+  // Average harvested oz per tray, for per-oz figures
+  const yields = new Map();
+  for (const b of batches) {
+    const trays = batchTrays(b);
+    if (!b.harvestedAt || !(b.actualYield > 0) || !(trays > 0)) continue;
+    const y = yields.get(b.varietyId) || { oz: 0, trays: 0 };
+    yields.set(b.varietyId, { oz: y.oz + Number(b.actualYield), trays: y.trays + trays });
+  }
+
+  return [...crops.values()]
+    .map((c) => {
+      const actions = Object.fromEntries(Object.entries(c.actions).map(([id, a]) => [id, {
+        ...a,
+        minutes: round(a.minutes, 1),
+        perTray: a.trays > 0 ? round(a.minutes / a.trays) : null,
+      }]));
+      const perTray = round(Object.values(actions).reduce((s, a) => s + (a.perTray || 0), 0));
+      const y = yields.get(c.cropId);
+      const yieldPerTray = y ? y.oz / y.trays : null;
+      return {
+        ...c,
+        actions,
+        minutes:      round(Object.values(actions).reduce((s, a) => s + a.minutes, 0), 1),
+        perTray:      perTray || null,
+        perOz:        perTray && yieldPerTray ? round(perTray / yieldPerTray) : null,
+        yieldPerTray: yieldPerTray ? round(yieldPerTray, 1) : null,
+      };
+    })
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Shift time per person since a date, with how much of it was timed tasks.
+ * Returns [{ userId, userName, shifts, shiftMinutes, taskMinutes, onClock }].
+ */
+export function shiftSummary(entries, fromDate) {
+  const people = new Map();
+  const person = (e) => {
+    if (!people.has(e.userId)) {
+      people.set(e.userId, { userId: e.userId, userName: e.userName || 'Crew', shifts: 0, shiftMinutes: 0, taskMinutes: 0, onClock: false });
+    }
+    return people.get(e.userId);
+  };
+  for (const e of entries) {
+    if (!e.userId || String(e.date) < fromDate) continue;
+    const p = person(e);
+    if (e.userName) p.userName = e.userName;
+    if (e.kind === 'shift') {
+      p.shifts += 1;
+      p.shiftMinutes += e.minutes || 0;
+      if (!e.end) p.onClock = true;
+    } else if (e.kind === 'task') {
+      p.taskMinutes += e.minutes || 0;
+    }
+  }
+  return [...people.values()].sort((a, b) => b.shiftMinutes - a.shiftMinutes);
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  elapsedMinutes,
+  formatMinutes,
+  taskEntry,
+  openShift,
+  batchTaskMinutes,
+  laborByCrop,
+  shiftSummary,
+} from './laborTracking.js';
+
+const task = (action, minutes, fields = {}) => ({ kind: 'task', action, minutes, date: '2026-05-10', userId: 'u1', ...fields });
+
+const entries = [
+  task('plant', 20, { batchId: 'b1', trays: 2 }),
+  task('harvest', 10, { batchId: 'b1' }),
+  task('pack', 12, { batchIds: ['b1', 'b2'], orderId: 'o1', userId: 'u2' }),
+  task('move', 0, { batchId: 'b1' }),
+  { kind: 'shift', userId: 'u1', userName: 'Ana', minutes: 240, end: '2026-05-10T12:00:00Z', date: '2026-05-10' },
+  { kind: 'shift', userId: 'u2', userName: 'Ben', minutes: null, end: null, date: '2026-05-10' },
+  { kind: 'shift', userId: 'u2', userName: 'Ben', minutes: 480, end: '2026-04-01T17:00:00Z', date: '2026-04-01' },
+];
+
+const batches = [
+  { id: 'b1', varietyId: 'radish', quantity: 2, harvestedAt: '2026-05-11T09:00:00Z', actualYield: 24 },
+  { id: 'b2', varietyId: 'pea', quantity: 1, harvestedAt: '2026-05-11T09:00:00Z', actualYield: 10 },
+];
+
+describe('timing', () => {
+  it('rounds to whole minutes, at least one', () => {
+    expect(elapsedMinutes('2026-05-10T08:00:00Z', '2026-05-10T08:12:40Z')).toBe(13);
+    expect(elapsedMinutes('2026-05-10T08:00:00Z', '2026-05-10T08:00:05Z')).toBe(1);
+    expect(elapsedMinutes('2026-05-10T08:00:00Z', null)).toBeNull();
+  });
+
+  it('formats minutes for display', () => {
+    expect(formatMinutes(125)).toBe('2h 05m');
+    expect(formatMinutes(12.4)).toBe('12m');
+    expect(formatMinutes(null)).toBe('0m');
+  });
+
+  it('builds a task entry from the crew timer', () => {
+    expect(taskEntry('harvest', { start: '2026-05-10T08:00:00Z', end: '2026-05-10T08:30:00Z', userName: 'Ana' }, 'u1', { batchId: 'b1' }))
+      .toEqual({
+        kind: 'task', action: 'harvest', userId: 'u1', userName: 'Ana',
+        start: '2026-05-10T08:00:00Z', end: '2026-05-10T08:30:00Z', minutes: 30, date: '2026-05-10', batchId: 'b1',
+      });
+  });
+
+  it('finds the shift still on the clock', () => {
+    expect(openShift(entries, 'u2')).toBe(entries[5]);
+    expect(openShift(entries, 'u1')).toBeNull();
+  });
+});
+
+describe('batchTaskMinutes', () => {
+  it('splits packing over the batches packed', () => {
+    expect(batchTaskMinutes(entries)).toEqual(new Map([
+      ['b1', [{ minutes: 20, date: '2026-05-10' }, { minutes: 10, date: '2026-05-10' }, { minutes: 6, date: '2026-05-10' }]],
+      ['b2', [{ minutes: 6, date: '2026-05-10' }]],
+    ]));
+  });
+});
+
+describe('laborByCrop', () => {
+  const [radish, pea] = laborByCrop(entries, batches);
+
+  it('measures each action per tray handled', () => {
+    expect(radish.cropName).toBe('Radish');
+    expect(radish.actions.plant).toEqual({ minutes: 20, trays: 2, count: 1, perTray: 10 });
+    expect(radish.actions.harvest).toEqual({ minutes: 10, trays: 2, count: 1, perTray: 5 });
+    expect(radish.actions.pack).toEqual({ minutes: 6, trays: 2, count: 1, perTray: 3 });
+    expect(radish.actions.move).toEqual({ minutes: 0, trays: 0, count: 0, perTray: null });
+  });
+
+  it('converts per tray to per oz by harvested yield', () => {
+    expect(radish).toMatchObject({ minutes: 36, perTray: 18, perOz: 1.5, yieldPerTray: 12 });
+    expect(pea).toMatchObject({ minutes: 6, perTray: 6, perOz: 0.6, yieldPerTray: 10 });
+  });
+});
+
+describe('shiftSummary', () => {
+  it('totals shifts and timed tasks per person since a date', () => {
+    expect(shiftSummary(entries, '2026-05-01')).toEqual([
+      { userId: 'u1', userName: 'Ana', shifts: 1, shiftMinutes: 240, taskMinutes: 30, onClock: false },
+      { userId: 'u2', userName: 'Ben', shifts: 1, shiftMinutes: 0, taskMinutes: 12, onClock: true },
+    ]);
+  });
+});
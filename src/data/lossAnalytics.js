@@ -0,0 +1,266 @@
+/**
+ * Loss analytics — where trays are lost, and what the losses cost.
+ *
+ * Crew loss reports land on batch docs (CrewDailyBoard → crew outbox):
+ *
+ *   lossReports: [{ trays, reason, reportedBy, reportedAt }]   (one per report)
+ *   lossCount, lossReason                                       (running total, last reason)
+ *
+ * Older batches only have lossCount/lossReason; those count as one report
+ * in the batch's last growing stage with no reporter.
+ *
+ * Losses are broken down by crop, reason, stage (the stage the batch was in
+ * when the loss was reported), crew member (anyone who confirmed a stage
+ * move or reported a loss on the batch), sow week and rack. Cost per lost
+ * tray is its seed plus the wholesale value of the yield it would have had.
+ *
+ * Pure functions only — shared with the nightly Learning Engine job, so keep
+ * this file free of Firebase/React imports.
+ */
+import { getBatchStageId, getStageLabel, PLANNED_STAGE, HARVESTED_STAGE } from './stageMachine.js';
+import { batchTrays } from './growSpace.js';
+
+export const LOSS_REASONS = [
+  { value: 'mold',                label: 'Mold' },
+  { value: 'pest',                label: 'Pest damage' },
+  { value: 'germination-failure', label: 'Germination failure' },
+  { value: 'other',               label: 'Other' },
+];
+
+/** Loss-rate spike rule for the Learning Engine (see findLossSpikes). */
+export const LOSS_SPIKE = {
+  recentDays:      14,   // batches sown in the last two weeks…
+  baselineDays:    90,   // …against the ninety days before that
+  minRecentTrays:  6,
+  minBaselineTrays: 12,
+  minLostTrays:    2,
+  factor:          2,    // at least double the baseline rate…
+  minIncrease:     0.05, // …and five points above it
+};
+
+const reasonLabel = (value) => LOSS_REASONS.find((r) => r.value === value)?.label || value || 'Unspecified';
+
+const dateOnly = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.split('T')[0];
+  if (value.toDate) return value.toDate().toISOString().split('T')[0];
+  if (value.seconds) return new Date(value.seconds * 1000).toISOString().split('T')[0];
+  return null;
+};
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/** Monday of the week dateStr falls in. */
+export function weekOf(dateStr) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  return addDays(dateStr, -((d.getUTCDay() + 6) % 7));
+}
+
+/** The stage a batch was in at a moment, from its stageHistory. */
+function stageAt(machines, batch, at) {
+  const history = (batch.stageHistory || []).filter((h) => h.stage !== HARVESTED_STAGE);
+  if (at) {
+    const entered = history.filter((h) => h.enteredAt && h.enteredAt <= at);
+    if (entered.length) return entered[entered.length - 1].stage;
+  }
+  if (history.length) return history[history.length - 1].stage;
+  const current = getBatchStageId(machines, batch);
+  return current === HARVESTED_STAGE ? null : current;
+}
+
+/** A batch's loss reports: [{ trays, reason, by, at, stageId }]. */
+export function batchLossEvents(machines, batch) {
+  const reports = (batch.lossReports || []).filter((r) => r.trays > 0);
+  if (reports.length) {
+    return reports.map((r) => ({
+      trays:   r.trays,
+      reason:  r.reason || null,
+      by:      r.reportedBy || null,
+      at:      r.reportedAt || null,
+      stageId: stageAt(machines, batch, r.reportedAt),
+    }));
+  }
+  if (!(batch.lossCount > 0)) return [];
+  return [{ trays: batch.lossCount, reason: batch.lossReason || null, by: null, at: null, stageId: stageAt(machines, batch, null) }];
+}
+
+/**
+ * Dollar value of one lost tray of a batch's crop:
+ * { seed, revenue } — seed cost, and wholesale value of the expected yield.
+ * Crop profile prices win over cropConfig defaults (wholesalePrice is $/lb).
+ */
+export function lossValuePerTray(batch, resolveYield) {
+  const r = resolveYield({ cropId: batch.varietyId, name: batch.varietyName });
+  const seed = r.profile?.seedCostPerTray ?? r.profile?.seedCost ?? r.variety?.seedCostPerTray ?? 0;
+  const pricePerLb = r.profile?.wholesalePrice ?? r.variety?.wholesalePrice ?? 0;
+  return { seed, revenue: (r.yieldPerTray / 16) * pricePerLb };
+}
+
+/** Racks a batch sat on (last known location), with each one's share of its trays. */
+function batchRacks(batch) {
+  const location = batch.location
+    || [...(batch.stageHistory || [])].reverse().find((h) => h.location)?.location
+    || null;
+  const slots = location?.slots || [];
+  const total = slots.reduce((sum, s) => sum + (s.trays || 0), 0);
+  if (!location?.zoneId || total <= 0) return [];
+  const byRack = new Map();
+  for (const s of slots) {
+    const key = `${location.zoneId}|${s.rackId}`;
+    byRack.set(key, (byRack.get(key) || 0) + (s.trays || 0) / total);
+  }
+  return [...byRack].map(([key, share]) => ({ key, share }));
+}
+
+function rackLabel(layout, key) {
+  const [zoneId, rackId] = key.split('|');
+  const zone = (layout?.zones || []).find((z) => z.id === zoneId);
+  const rack = zone?.racks?.find((r) => r.id === rackId);
+  return `${zone?.name || zoneId} · ${rack?.name || rackId}`;
+}
+
+function group() {
+  const rows = new Map();
+  const add = (key, label, { trays = 0, lost = 0, cost = 0 }) => {
+    const row = rows.get(key) || { key, label, trays: 0, lostTrays: 0, cost: 0 };
+    row.trays += trays;
+    row.lostTrays += lost;
+    row.cost += cost;
+    rows.set(key, row);
+  };
+  const list = (totalLost, sort = (a, b) => b.lostTrays - a.lostTrays) => [...rows.values()]
+    .map((r) => ({
+      ...r,
+      lostTrays: Math.round(r.lostTrays * 10) / 10,
+      cost:      Math.round(r.cost * 100) / 100,
+      rate:      r.trays > 0 ? r.lostTrays / r.trays : null,
+      share:     totalLost > 0 ? r.lostTrays / totalLost : 0,
+    }))
+    .sort(sort);
+  return { add, list };
+}
+
+/**
+ * Loss breakdowns for batches sown between from and to (inclusive, YYYY-MM-DD).
+ *
+ * Rows are { key, label, trays, lostTrays, rate, share, cost }:
+ *   trays — trays sown in that group (for reason and stage: all trays sown)
+ *   rate  — lostTrays / trays;  share — of all trays lost
+ *
+ * @param {Array} batches
+ * @param {{ machines, resolveYield, from, to, layout?, memberName? }} opts
+ *   memberName(uid) → display name for crew rows
+ * @returns {{ totals, byCrop, byReason, byStage, byCrew, byWeek, byRack }}
+ */
+export function analyzeLosses(batches, { machines, resolveYield, from, to, layout = null, memberName = (id) => id }) {
+  const inRange = batches.filter((b) => {
+    const sow = dateOnly(b.sowDate);
+    return sow && sow >= from && sow <= to && getBatchStageId(machines, b) !== PLANNED_STAGE;
+  });
+
+  const totals = { batches: inRange.length, trays: 0, lostTrays: 0, seedCost: 0, lostRevenue: 0 };
+  const crop = group(), reason = group(), stage = group(), crew = group(), week = group(), rack = group();
+
+  for (const b of inRange) {
+    const trays = batchTrays(b);
+    const events = batchLossEvents(machines, b);
+    const lost = Math.min(trays || Infinity, events.reduce((sum, e) => sum + e.trays, 0));
+    const value = lost > 0 ? lossValuePerTray(b, resolveYield) : { seed: 0, revenue: 0 };
+    const perTray = value.seed + value.revenue;
+    const cost = lost * perTray;
+
+    totals.trays += trays;
+    totals.lostTrays += lost;
+    totals.seedCost += lost * value.seed;
+    totals.lostRevenue += lost * value.revenue;
+
+    crop.add(b.varietyId || b.varietyName || 'unknown', b.varietyName || b.varietyId || 'Unknown', { trays, lost, cost });
+    const sowWeek = weekOf(dateOnly(b.sowDate));
+    week.add(sowWeek, sowWeek, { trays, lost, cost });
+    for (const { key, share } of batchRacks(b)) {
+      rack.add(key, rackLabel(layout, key), { trays: trays * share, lost: lost * share, cost: cost * share });
+    }
+
+    const handlers = new Set([
+      ...(b.stageHistory || []).map((h) => h.confirmedBy),
+      ...events.map((e) => e.by),
+    ].filter(Boolean));
+    for (const uid of handlers) crew.add(uid, memberName(uid), { trays, lost, cost });
+
+    for (const e of events) {
+      const eCost = e.trays * perTray;
+      reason.add(e.reason || 'unspecified', reasonLabel(e.reason), { lost: e.trays, cost: eCost });
+      const stageKey = e.stageId || 'unknown';
+      stage.add(stageKey, e.stageId ? getStageLabel(machines, b.cropCategory, e.stageId) : 'Unknown', { lost: e.trays, cost: eCost });
+    }
+  }
+
+  const withSownTrays = (rows) => rows.map((r) => ({
+    ...r, trays: totals.trays, rate: totals.trays > 0 ? r.lostTrays / totals.trays : null,
+  }));
+
+  return {
+    totals: {
+      ...totals,
+      rate:        totals.trays > 0 ? totals.lostTrays / totals.trays : null,
+      seedCost:    Math.round(totals.seedCost * 100) / 100,
+      lostRevenue: Math.round(totals.lostRevenue * 100) / 100,
+    },
+    byCrop:   crop.list(totals.lostTrays),
+    byReason: withSownTrays(reason.list(totals.lostTrays)),
+    byStage:  withSownTrays(stage.list(totals.lostTrays)),
+    byCrew:   crew.list(totals.lostTrays, (a, b) => (b.rate ?? 0) - (a.rate ?? 0)),
+    byWeek:   week.list(totals.lostTrays, (a, b) => a.key.localeCompare(b.key)),
+    byRack:   rack.list(totals.lostTrays),
+  };
+}
+
+/**
+ * Crops whose loss rate in the last LOSS_SPIKE.recentDays is well above
+ * their own baseline — both windows by sow date. Crops without enough
+ * trays in either window are skipped.
+ *
+ * @returns {Array<{ cropId, cropName, recentRate, baselineRate, recentTrays, recentLost, baselineTrays }>}
+ */
+export function findLossSpikes(batches, { machines, today, rule = LOSS_SPIKE }) {
+  const recentFrom = addDays(today, -rule.recentDays);
+  const baselineFrom = addDays(recentFrom, -rule.baselineDays);
+  const crops = new Map();
+
+  for (const b of batches) {
+    const sow = dateOnly(b.sowDate);
+    if (!sow || sow < baselineFrom || sow > today) continue;
+    if (getBatchStageId(machines, b) === PLANNED_STAGE) continue;
+    const id = b.varietyId || b.varietyName;
+    if (!id) continue;
+    const c = crops.get(id) || { cropId: id, cropName: b.varietyName || id, recent: { trays: 0, lost: 0 }, baseline: { trays: 0, lost: 0 } };
+    const bucket = sow >= recentFrom ? c.recent : c.baseline;
+    const trays = batchTrays(b);
+    bucket.trays += trays;
+    bucket.lost += Math.min(trays, batchLossEvents(machines, b).reduce((sum, e) => sum + e.trays, 0));
+    crops.set(id, c);
+  }
+
+  const spikes = [];
+  for (const c of crops.values()) {
+    if (c.recent.trays < rule.minRecentTrays || c.baseline.trays < rule.minBaselineTrays) continue;
+    if (c.recent.lost < rule.minLostTrays) continue;
+    const recentRate = c.recent.lost / c.recent.trays;
+    const baselineRate = c.baseline.lost / c.baseline.trays;
+    if (recentRate < baselineRate * rule.factor || recentRate - baselineRate < rule.minIncrease) continue;
+    spikes.push({
+      cropId:        c.cropId,
+      cropName:      c.cropName,
+      recentRate:    Math.round(recentRate * 1000) / 1000,
+      baselineRate:  Math.round(baselineRate * 1000) / 1000,
+      recentTrays:   c.recent.trays,
+      recentLost:    c.recent.lost,
+      baselineTrays: c.baseline.trays,
+    });
+  }
+  return spikes.sort((a, b) => (b.recentRate - b.baselineRate) - (a.recentRate - a.baselineRate));
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_STAGE_MACHINES } from './stageMachine.js';
+import {
+  weekOf,
+  batchLossEvents,
+  lossValuePerTray,
+  analyzeLosses,
+  findLossSpikes,
+} from './lossAnalytics.js';
+
+const machines = DEFAULT_STAGE_MACHINES;
+
+// 8 oz per tray at $16/lb → $8 of yield, plus $1 of seed, per lost tray
+const resolveYield = () => ({ yieldPerTray: 8, profile: { seedCostPerTray: 1, wholesalePrice: 16 } });
+
+const batch = (id, extra = {}) => ({
+  id, cropCategory: 'microgreens', varietyId: 'radish', varietyName: 'Radish',
+  quantity: 10, stage: 'light', sowDate: '2026-05-04', ...extra,
+});
+
+const reported = batch('b1', {
+  stageHistory: [
+    { stage: 'germination', enteredAt: '2026-05-04T08:00:00Z', confirmedBy: 'ana' },
+    { stage: 'blackout',    enteredAt: '2026-05-06T08:00:00Z', confirmedBy: 'ben' },
+    { stage: 'light',       enteredAt: '2026-05-09T08:00:00Z', confirmedBy: 'ana' },
+  ],
+  location: { zoneId: 'z1', slots: [{ rackId: 'r1', trays: 5 }, { rackId: 'r2', trays: 5 }] },
+  lossReports: [
+    { trays: 2, reason: 'mold', reportedBy: 'ben', reportedAt: '2026-05-07T10:00:00Z' },
+    { trays: 1, reason: 'pest', reportedBy: 'ana', reportedAt: '2026-05-10T10:00:00Z' },
+  ],
+});
+
+describe('weekOf', () => {
+  it('returns the Monday of the week', () => {
+    expect(weekOf('2026-05-10')).toBe('2026-05-04');
+    expect(weekOf('2026-05-04')).toBe('2026-05-04');
+  });
+});
+
+describe('batchLossEvents', () => {
+  it('places each report in the stage the batch was in', () => {
+    expect(batchLossEvents(machines, reported).map((e) => [e.trays, e.reason, e.by, e.stageId])).toEqual([
+      [2, 'mold', 'ben', 'blackout'],
+      [1, 'pest', 'ana', 'light'],
+    ]);
+  });
+
+  it('treats older batches as one report in their last stage', () => {
+    expect(batchLossEvents(machines, batch('old', { lossCount: 3, lossReason: 'mold' })))
+      .toEqual([{ trays: 3, reason: 'mold', by: null, at: null, stageId: 'light' }]);
+    expect(batchLossEvents(machines, batch('fine'))).toEqual([]);
+  });
+});
+
+describe('lossValuePerTray', () => {
+  it('values seed and the yield the tray would have sold for', () => {
+    expect(lossValuePerTray(reported, resolveYield)).toEqual({ seed: 1, revenue: 8 });
+  });
+});
+
+describe('analyzeLosses', () => {
+  const result = analyzeLosses([
+    reported,
+    batch('b2', { varietyId: 'pea', varietyName: 'Pea Shoots', sowDate: '2026-05-12' }),
+    batch('early', { sowDate: '2026-04-01', lossCount: 10 }),
+    batch('planned', { stage: 'planned', lossCount: 10 }),
+  ], { machines, resolveYield, from: '2026-05-01', to: '2026-05-31', memberName: (id) => id.toUpperCase() });
+
+  it('totals sown batches in range only', () => {
+    expect(result.totals).toEqual({ batches: 2, trays: 20, lostTrays: 3, seedCost: 3, lostRevenue: 24, rate: 0.15 });
+  });
+
+  it('breaks losses down by crop, reason and stage', () => {
+    expect(result.byCrop.map((r) => [r.label, r.lostTrays, r.rate, r.cost])).toEqual([
+      ['Radish', 3, 0.3, 27],
+      ['Pea Shoots', 0, 0, 0],
+    ]);
+    expect(result.byReason.map((r) => [r.label, r.lostTrays, r.share])).toEqual([['Mold', 2, 2 / 3], ['Pest damage', 1, 1 / 3]]);
+    expect(result.byStage.map((r) => [r.key, r.lostTrays, r.trays])).toEqual([['blackout', 2, 20], ['light', 1, 20]]);
+  });
+
+  it('charges every crew member who handled the batch', () => {
+    expect(result.byCrew.map((r) => [r.label, r.lostTrays])).toEqual([['ANA', 3], ['BEN', 3]]);
+  });
+
+  it('splits losses over the racks the batch sat on', () => {
+    expect(result.byRack.map((r) => [r.key, r.lostTrays])).toEqual([['z1|r1', 1.5], ['z1|r2', 1.5]]);
+    expect(result.byWeek.map((r) => r.key)).toEqual(['2026-05-04', '2026-05-11']);
+  });
+});
+
+describe('findLossSpikes', () => {
+  const today = '2026-05-31';
+  const sown = (id, sowDate, lossCount) => batch(id, { sowDate, lossCount });
+
+  it('flags crops losing far more than their own baseline', () => {
+    const spikes = findLossSpikes([
+      sown('r1', '2026-05-25', 3),
+      sown('base1', '2026-04-01', 0),
+      sown('base2', '2026-04-10', 1),
+    ], { machines, today });
+    expect(spikes).toEqual([{
+      cropId: 'radish', cropName: 'Radish', recentRate: 0.3, baselineRate: 0.05,
+      recentTrays: 10, recentLost: 3, baselineTrays: 20,
+    }]);
+  });
+
+  it('skips crops without enough history or a real increase', () => {
+    expect(findLossSpikes([sown('r1', '2026-05-25', 3), sown('base1', '2026-04-01', 0)], { machines, today }))
+      .toEqual([]);
+    expect(findLossSpikes([
+      sown('r1', '2026-05-25', 3),
+      sown('base1', '2026-04-01', 2),
+      sown('base2', '2026-04-10', 2),
+    ], { machines, today })).toEqual([]);
+  });
+});
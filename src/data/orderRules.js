@@ -0,0 +1,137 @@
+/**
+ * Order rules — what a chef's order must satisfy before it's placed.
+ *
+ * Checked server-side by /api/orders (api/_lib/orderPlacement.js), which
+ * re-prices every line from the catalog and the customer's price lists
+ * (priceLists.js); the cart only shows the result.
+ *
+ * The date and minimum checks take delivery rules — the customer's zone
+ * laid over farm config (deliveryZones.js deliveryRules; plain farm config
+ * works too):
+ *   timezone, cutoffTime 'HH:MM', leadDays, deliveryDays ['tuesday', …],
+ *   blackoutDates ['YYYY-MM-DD'], minOrderTotal
+ * An order for a delivery day must be in by the cutoff leadDays before it.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { addDays, weekdayOf } from './standingOrders.js';
+import { resolvePrice } from './priceLists.js';
+import { DEFAULT_LEAD_DAYS } from './deliveryZones.js';
+
+export const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/** How far ahead a delivery date may be requested. */
+export const MAX_ADVANCE_DAYS = 60;
+
+/** Order numbers count up from here, per farm. */
+export const FIRST_ORDER_NUMBER = 1001;
+
+export const formatOrderNumber = (n) => `#${n}`;
+
+/** Today's date and the time ('YYYY-MM-DD', 'HH:MM') on the farm's clock. */
+export function farmClock(now, timezone = 'America/Boise') {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now).map((p) => [p.type, p.value]),
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+const leadDaysOf = (rules) => Math.max(1, Number(rules.leadDays) || DEFAULT_LEAD_DAYS);
+
+/** First date an order placed now can be delivered, ignoring delivery days. */
+export function earliestDeliveryDate(rules = {}, now = new Date()) {
+  const { date, time } = farmClock(now, rules.timezone);
+  const pastCutoff = rules.cutoffTime && time >= rules.cutoffTime;
+  return addDays(date, leadDaysOf(rules) + (pastCutoff ? 1 : 0));
+}
+
+function cutoffNote(rules) {
+  const lead = leadDaysOf(rules);
+  const before = lead === 1 ? 'the day before' : `${lead} days before`;
+  return rules.cutoffTime ? `cutoff ${rules.cutoffTime} ${before}` : `order ${before}`;
+}
+
+/** Why a delivery date can't be ordered for, or null when it can. */
+export function deliveryDateError(date, rules = {}, now = new Date()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return 'Pick a delivery date';
+  return dateRuleError(date, rules, earliestDeliveryDate(rules, now));
+}
+
+function dateRuleError(date, rules, earliest) {
+  if (date < earliest) {
+    return `Orders placed now can be delivered from ${earliest} (${cutoffNote(rules)})`;
+  }
+  if (date > addDays(earliest, MAX_ADVANCE_DAYS)) {
+    return `Delivery dates can be up to ${MAX_ADVANCE_DAYS} days out`;
+  }
+  const days = rules.deliveryDays || [];
+  if (days.length > 0 && !days.includes(DAY_NAMES[weekdayOf(date)])) {
+    const list = DAY_NAMES.filter((d) => days.includes(d)).map((d) => d[0].toUpperCase() + d.slice(1));
+    return `We deliver${rules.zoneName ? ` to ${rules.zoneName}` : ''} on ${list.join(', ')}`;
+  }
+  if ((rules.blackoutDates || []).includes(date)) {
+    return `No deliveries${rules.zoneName ? ` to ${rules.zoneName}` : ''} on ${date}`;
+  }
+  return null;
+}
+
+/** Every date an order placed now could be delivered on, soonest first — the cart's choices. */
+export function orderableDates(rules = {}, now = new Date()) {
+  const earliest = earliestDeliveryDate(rules, now);
+  const dates = [];
+  for (let i = 0; i <= MAX_ADVANCE_DAYS; i++) {
+    const date = addDays(earliest, i);
+    if (!dateRuleError(date, rules, earliest)) dates.push(date);
+  }
+  return dates;
+}
+
+/** First orderable date — the cart's default. */
+export function nextDeliveryDate(rules = {}, now = new Date()) {
+  return orderableDates(rules, now)[0] || earliestDeliveryDate(rules, now);
+}
+
+export const orderTotal = (items) =>
+  Math.round(items.reduce((s, i) => s + i.pricePerUnit * i.quantity, 0) * 100) / 100;
+
+/**
+ * Build order lines from what the chef asked for — [{ productId, quantity }]
+ * — priced from the catalog. products: Map productId → product; lists: the
+ * customer's price lists (customerPriceLists).
+ * Returns { items, errors }; any error means the order is refused.
+ */
+export function priceOrderItems(requested, products, lists = []) {
+  const items = [];
+  const errors = [];
+  const seen = new Set();
+  for (const line of requested || []) {
+    const quantity = Number(line?.quantity);
+    const product = products.get(line?.productId);
+    if (!product) { errors.push('An item in your cart is no longer sold'); continue; }
+    if (!product.available) { errors.push(`${product.name} isn't available right now`); continue; }
+    if (!Number.isInteger(quantity) || quantity < 1) { errors.push(`Check the quantity of ${product.name}`); continue; }
+    if (seen.has(line.productId)) { errors.push(`${product.name} is in your cart twice`); continue; }
+    seen.add(line.productId);
+    items.push({
+      productId:    line.productId,
+      name:         product.name,
+      category:     product.category || null,
+      unit:         product.unit || null,
+      ...resolvePrice(product, quantity, lists),
+      quantity,
+    });
+  }
+  if (items.length === 0 && errors.length === 0) errors.push('Your cart is empty');
+  return { items, errors };
+}
+
+/** Minimum order value check; null when the order meets it. */
+export function minimumError(total, rules = {}) {
+  const min = Number(rules.minOrderTotal) || 0;
+  if (total >= min) return null;
+  return `Orders${rules.zoneName ? ` to ${rules.zoneName}` : ''} must be at least $${min.toFixed(2)}`;
+}
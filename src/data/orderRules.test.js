@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  farmClock,
+  earliestDeliveryDate,
+  deliveryDateError,
+  orderableDates,
+  nextDeliveryDate,
+  priceOrderItems,
+  minimumError,
+  orderTotal,
+  MAX_ADVANCE_DAYS,
+} from './orderRules.js';
+
+// Monday 2026-05-18, 09:30 UTC
+const MORNING = new Date('2026-05-18T09:30:00Z');
+const EVENING = new Date('2026-05-18T18:30:00Z');
+const rules = { timezone: 'UTC', cutoffTime: '14:00', leadDays: 1 };
+
+describe('farmClock', () => {
+  it('reads the date and time on the farm clock', () => {
+    expect(farmClock(MORNING, 'UTC')).toEqual({ date: '2026-05-18', time: '09:30' });
+    // 03:30 in Boise — still the 18th
+    expect(farmClock(MORNING, 'America/Boise')).toEqual({ date: '2026-05-18', time: '03:30' });
+    expect(farmClock(new Date('2026-05-18T02:00:00Z'), 'America/Boise').date).toBe('2026-05-17');
+  });
+});
+
+describe('cutoffs', () => {
+  it('delivers leadDays out when ordered before the cutoff', () => {
+    expect(earliestDeliveryDate(rules, MORNING)).toBe('2026-05-19');
+  });
+
+  it('adds a day once the cutoff has passed', () => {
+    expect(earliestDeliveryDate(rules, EVENING)).toBe('2026-05-20');
+    expect(deliveryDateError('2026-05-19', rules, EVENING))
+      .toBe('Orders placed now can be delivered from 2026-05-20 (cutoff 14:00 the day before)');
+  });
+
+  it('counts longer lead times', () => {
+    expect(earliestDeliveryDate({ ...rules, leadDays: 3 }, MORNING)).toBe('2026-05-21');
+    expect(deliveryDateError('2026-05-20', { ...rules, leadDays: 3 }, MORNING)).toMatch(/cutoff 14:00 3 days before/);
+  });
+
+  it('refuses dates too far out and malformed dates', () => {
+    expect(deliveryDateError('2026-09-30', rules, MORNING)).toBe(`Delivery dates can be up to ${MAX_ADVANCE_DAYS} days out`);
+    expect(deliveryDateError('next week', rules, MORNING)).toBe('Pick a delivery date');
+  });
+});
+
+describe('delivery days and blackouts', () => {
+  const zone = { ...rules, zoneName: 'Downtown', deliveryDays: ['tuesday', 'friday'], blackoutDates: ['2026-05-22'] };
+
+  it('only accepts the zone delivery days', () => {
+    expect(deliveryDateError('2026-05-19', zone, MORNING)).toBeNull();
+    expect(deliveryDateError('2026-05-20', zone, MORNING)).toBe('We deliver to Downtown on Tuesday, Friday');
+  });
+
+  it('refuses blackout dates', () => {
+    expect(deliveryDateError('2026-05-22', zone, MORNING)).toBe('No deliveries to Downtown on 2026-05-22');
+  });
+
+  it('lists orderable dates soonest first, skipping the rest', () => {
+    const dates = orderableDates(zone, MORNING);
+    expect(dates.slice(0, 3)).toEqual(['2026-05-19', '2026-05-26', '2026-05-29']);
+    expect(nextDeliveryDate(zone, EVENING)).toBe('2026-05-26');
+  });
+});
+
+describe('minimumError', () => {
+  it('passes orders at or over the minimum', () => {
+    expect(minimumError(50, { minOrderTotal: 50 })).toBeNull();
+    expect(minimumError(10, {})).toBeNull();
+  });
+
+  it('names the zone when short', () => {
+    expect(minimumError(49.99, { minOrderTotal: 50, zoneName: 'Uptown' })).toBe('Orders to Uptown must be at least $50.00');
+  });
+});
+
+describe('priceOrderItems', () => {
+  const products = new Map([
+    ['pea', { id: 'pea', name: 'Pea Shoots', pricePerUnit: 6, available: true, unit: '4 oz' }],
+    ['kale', { id: 'kale', name: 'Kale', pricePerUnit: 5, available: false }],
+  ]);
+
+  it('prices lines from the catalog, ignoring client prices', () => {
+    const { items, errors } = priceOrderItems([{ productId: 'pea', quantity: 3, pricePerUnit: 0.01 }], products);
+    expect(errors).toEqual([]);
+    expect(items).toEqual([expect.objectContaining({ productId: 'pea', quantity: 3, pricePerUnit: 6, listPrice: 6 })]);
+    expect(orderTotal(items)).toBe(18);
+  });
+
+  it('refuses unknown, unavailable, duplicate and bad-quantity lines', () => {
+    const { errors } = priceOrderItems([
+      { productId: 'gone', quantity: 1 },
+      { productId: 'kale', quantity: 1 },
+      { productId: 'pea', quantity: 1.5 },
+      { productId: 'pea', quantity: 1 },
+      { productId: 'pea', quantity: 2 },
+    ], products);
+    expect(errors).toEqual([
+      'An item in your cart is no longer sold',
+      "Kale isn't available right now",
+      'Check the quantity of Pea Shoots',
+      'Pea Shoots is in your cart twice',
+    ]);
+  });
+
+  it('refuses an empty cart', () => {
+    expect(priceOrderItems([], products).errors).toEqual(['Your cart is empty']);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Price lists — what a customer pays for a product.
+ *
+ * A product's pricePerUnit is its retail (list) price. Price lists change
+ * that for some customers, stored at farms/{farmId}/priceLists/{id}:
+ *   { name, tier: 'wholesale' | 'premium' | … | null, customerEmail | null,
+ *     effectiveFrom: 'YYYY-MM-DD' | null, effectiveTo | null,
+ *     prices: [{ productId, price, breaks: [{ minQty, price }] }] }
+ * A list with customerEmail is that customer's override; otherwise it
+ * applies to everyone whose pricingTier (CustomerManager) matches its tier.
+ *
+ * Resolving a line: the customer's active override that prices the product,
+ * else their tier's active list, else retail. Within a list entry the
+ * largest volume break the quantity reaches replaces the base price for
+ * every unit. Used by the chef catalog and cart, /api/orders, standing
+ * orders and the Shopify draft order sync, so all of them agree.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+
+export const PRICING_TIERS = ['standard', 'wholesale', 'premium', 'custom'];
+
+/** Whether a list is in effect on a date ('YYYY-MM-DD'). */
+export const isListActive = (list, date) =>
+  (!list.effectiveFrom || list.effectiveFrom <= date) && (!list.effectiveTo || list.effectiveTo >= date);
+
+const normEmail = (email) => (email || '').toLowerCase().trim();
+
+/**
+ * The lists that apply to a customer on a date, most specific first:
+ * overrides, then tier lists; later-starting lists first within each.
+ * customer: { email, pricingTier }
+ */
+export function customerPriceLists(priceLists, customer, date) {
+  const email = normEmail(customer?.email);
+  const tier = customer?.pricingTier || null;
+  const byStart = (a, b) => String(b.effectiveFrom || '').localeCompare(String(a.effectiveFrom || ''));
+  const active = (priceLists || []).filter((l) => isListActive(l, date));
+  return [
+    ...active.filter((l) => l.customerEmail && normEmail(l.customerEmail) === email).sort(byStart),
+    ...active.filter((l) => !l.customerEmail && l.tier && l.tier === tier).sort(byStart),
+  ];
+}
+
+/** The entry for a product on the first list that prices it, with its list. */
+export function findEntry(productId, lists) {
+  for (const list of lists || []) {
+    const entry = (list.prices || []).find((p) => p.productId === productId && Number(p.price) > 0);
+    if (entry) return { list, entry };
+  }
+  return null;
+}
+
+/** An entry's price at a quantity — the largest break reached, else base. */
+export function entryPrice(entry, quantity) {
+  let price = Number(entry.price);
+  let reached = 0;
+  for (const b of entry.breaks || []) {
+    const minQty = Number(b.minQty);
+    if (quantity >= minQty && minQty > reached && Number(b.price) > 0) {
+      price = Number(b.price);
+      reached = minQty;
+    }
+  }
+  return price;
+}
+
+/**
+ * Price one line. product: { id, pricePerUnit }; lists from
+ * customerPriceLists. Returns the line's price fields:
+ *   { pricePerUnit, listPrice, priceListId, priceListName }
+ */
+export function resolvePrice(product, quantity, lists) {
+  const listPrice = Number(product.pricePerUnit) || 0;
+  const found = findEntry(product.id, lists);
+  if (!found) return { pricePerUnit: listPrice, listPrice, priceListId: null, priceListName: null };
+  return {
+    pricePerUnit:  entryPrice(found.entry, Number(quantity) || 0),
+    listPrice,
+    priceListId:   found.list.id || null,
+    priceListName: found.list.name || null,
+  };
+}
+
+/** Volume breaks a customer gets on a product, smallest first (for display). */
+export function volumeBreaks(productId, lists) {
+  const found = findEntry(productId, lists);
+  return found
+    ? [...(found.entry.breaks || [])].filter((b) => Number(b.price) > 0).sort((a, b) => a.minQty - b.minQty)
+    : [];
+}
+
+/** A line's unit price as charged — app orders use pricePerUnit, Shopify lines price. */
+export const appliedPrice = (item) => Number(item.pricePerUnit ?? item.price) || 0;
+
+/**
+ * What a line would cost at list price, and the discount against it.
+ * Lines without a listPrice (older orders, unmatched Shopify lines) count
+ * at their applied price.
+ */
+export function lineListValue(item) {
+  const qty = Number(item.quantity || item.qty) || 0;
+  const applied = appliedPrice(item) * qty;
+  const list = item.listPrice != null ? Number(item.listPrice) * qty : applied;
+  return { list, applied, discount: Math.round((list - applied) * 100) / 100 };
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isListActive,
+  customerPriceLists,
+  entryPrice,
+  resolvePrice,
+  volumeBreaks,
+  lineListValue,
+} from './priceLists.js';
+
+const DATE = '2026-05-18';
+
+const wholesale = {
+  id: 'wh', name: 'Wholesale', tier: 'wholesale',
+  prices: [{ productId: 'pea', price: 5, breaks: [{ minQty: 10, price: 4.5 }, { minQty: 25, price: 4 }] }],
+};
+const wholesaleSummer = {
+  id: 'wh-summer', name: 'Wholesale summer', tier: 'wholesale', effectiveFrom: '2026-05-01', effectiveTo: '2026-08-31',
+  prices: [{ productId: 'pea', price: 4.75 }],
+};
+const chefOverride = {
+  id: 'chef', name: 'Bistro', customerEmail: 'Chef@Bistro.com',
+  prices: [{ productId: 'sun', price: 3 }],
+};
+const expired = { id: 'old', tier: 'wholesale', effectiveTo: '2026-01-31', prices: [{ productId: 'pea', price: 1 }] };
+
+const lists = [wholesale, wholesaleSummer, chefOverride, expired];
+const chef = { email: 'chef@bistro.com ', pricingTier: 'wholesale' };
+
+describe('isListActive', () => {
+  it('respects effective dates, inclusive', () => {
+    expect(isListActive(wholesaleSummer, '2026-05-01')).toBe(true);
+    expect(isListActive(wholesaleSummer, '2026-09-01')).toBe(false);
+    expect(isListActive(wholesale, DATE)).toBe(true);
+  });
+});
+
+describe('customerPriceLists', () => {
+  it('puts the customer override first, then tier lists newest first', () => {
+    expect(customerPriceLists(lists, chef, DATE).map((l) => l.id)).toEqual(['chef', 'wh-summer', 'wh']);
+  });
+
+  it('gives standard customers no tier lists', () => {
+    expect(customerPriceLists(lists, { email: 'a@b.com', pricingTier: 'standard' }, DATE)).toEqual([]);
+  });
+
+  it('drops lists outside their dates', () => {
+    expect(customerPriceLists(lists, chef, '2026-10-01').map((l) => l.id)).toEqual(['chef', 'wh']);
+  });
+});
+
+describe('entryPrice', () => {
+  const entry = wholesale.prices[0];
+
+  it('uses the largest break reached for every unit', () => {
+    expect(entryPrice(entry, 9)).toBe(5);
+    expect(entryPrice(entry, 10)).toBe(4.5);
+    expect(entryPrice(entry, 40)).toBe(4);
+  });
+
+  it('ignores breaks without a price', () => {
+    expect(entryPrice({ price: 5, breaks: [{ minQty: 2, price: 0 }] }, 5)).toBe(5);
+  });
+});
+
+describe('resolvePrice', () => {
+  const pea = { id: 'pea', pricePerUnit: 6 };
+  const sun = { id: 'sun', pricePerUnit: 3.5 };
+
+  it('falls back to retail without a list', () => {
+    expect(resolvePrice(pea, 3, [])).toEqual({ pricePerUnit: 6, listPrice: 6, priceListId: null, priceListName: null });
+  });
+
+  it('takes the first list that prices the product', () => {
+    const applied = customerPriceLists(lists, chef, DATE);
+    expect(resolvePrice(sun, 2, applied)).toMatchObject({ pricePerUnit: 3, priceListId: 'chef' });
+    expect(resolvePrice(pea, 30, applied)).toMatchObject({ pricePerUnit: 4.75, listPrice: 6, priceListId: 'wh-summer' });
+  });
+
+  it('applies volume breaks once the newer list ends', () => {
+    const applied = customerPriceLists(lists, chef, '2026-10-01');
+    expect(resolvePrice(pea, 30, applied)).toMatchObject({ pricePerUnit: 4, priceListName: 'Wholesale' });
+  });
+});
+
+describe('volumeBreaks', () => {
+  it('lists breaks smallest first', () => {
+    expect(volumeBreaks('pea', [wholesale]).map((b) => b.minQty)).toEqual([10, 25]);
+    expect(volumeBreaks('sun', [wholesale])).toEqual([]);
+  });
+});
+
+describe('lineListValue', () => {
+  it('reports the discount against list price', () => {
+    expect(lineListValue({ pricePerUnit: 4.5, listPrice: 6, quantity: 10 })).toEqual({ list: 60, applied: 45, discount: 15 });
+  });
+
+  it('counts lines without a list price at their applied price', () => {
+    expect(lineListValue({ price: 7, qty: 2 })).toEqual({ list: 14, applied: 14, discount: 0 });
+  });
+});
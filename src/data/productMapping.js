@@ -0,0 +1,246 @@
+/**
+ * Product → crop mapping — how a sold product turns into crops to grow.
+ *
+ * Planners (harvestPlanningService, demandUtils, HarvestQueue, the Learning
+ * Engine crop keys) look products up here instead of substring-matching
+ * names. A mapping lives on the product doc itself — Shopify products
+ * (farms/{farmId}/shopifyProducts) and catalog products (farms/{farmId}/products):
+ *
+ *   cropMapping:     { cropId: 'broccoli', ozPerUnit: 4 }                 single crop
+ *                    { components: [{ cropId, parts }, …], ozPerUnit }    mix recipe
+ *   variantMappings: { [variantId]: { ozPerUnit, cropId?, components? } } per-variant overrides
+ *
+ * ozPerUnit is the product weight in one unit sold (a "4 oz" clamshell);
+ * when unset the line item's quantity is taken as ounces. A mix recipe gives
+ * each component crop a ratio by weight — parts 2 : 1 : 1 is half the first
+ * crop and a quarter each of the others. Planners explode mix line items
+ * into per-crop ounces before computing trays. Items that don't resolve are
+ * reported as unmapped so planners can warn instead of guessing.
+ *
+ * Pure functions only — shared with the serverless API, so keep this file
+ * free of Firebase/React imports.
+ */
+import { getAllVarieties, getVarietyById } from './cropConfig.js';
+
+/** "gid://shopify/Product/123" → "123"; plain IDs pass through. */
+export function cleanShopifyId(id) {
+  if (id == null || id === '') return null;
+  const parts = String(id).split('/');
+  return parts[parts.length - 1];
+}
+
+/** Display name of a product doc or order line item. */
+export function productTitle(p) {
+  return p?.title || p?.name || p?.productName || '';
+}
+
+function titleKey(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/** True when the mapping is a multi-crop mix recipe. */
+export function isMixMapping(mapping) {
+  return Array.isArray(mapping?.components) && mapping.components.length > 0;
+}
+
+/** Weight parts of a mix component. Older recipes stored percent. */
+function componentParts(c) {
+  return Number(c?.parts ?? c?.percent) || 0;
+}
+
+/**
+ * Normalize a mix recipe's weight ratios to fractions of one unit.
+ * Returns [{ cropId, share }] with shares summing to 1; empty for non-mixes.
+ */
+export function mixRecipeShares(mapping) {
+  if (!isMixMapping(mapping)) return [];
+  const total = mapping.components.reduce((s, c) => s + componentParts(c), 0);
+  if (total <= 0) return [];
+  return mapping.components.map((c) => ({ cropId: c.cropId, share: componentParts(c) / total }));
+}
+
+/**
+ * Validate a cropMapping (or variant mapping). Returns an array of error
+ * strings — empty when valid. Pass { partial: true } for variant overrides,
+ * which may carry only ozPerUnit.
+ */
+export function validateCropMapping(mapping, { partial = false } = {}) {
+  const errors = [];
+  if (!mapping || typeof mapping !== 'object') return ['Mapping is required'];
+
+  if (mapping.ozPerUnit != null && !(Number(mapping.ozPerUnit) > 0)) {
+    errors.push('Oz per unit must be a positive number');
+  }
+
+  if (isMixMapping(mapping)) {
+    const seen = new Set();
+    mapping.components.forEach((c, i) => {
+      if (!getVarietyById(c.cropId)) errors.push(`Mix component ${i + 1}: unknown crop "${c.cropId || ''}"`);
+      else if (seen.has(c.cropId)) errors.push(`Mix component ${i + 1}: ${c.cropId} is already in the recipe`);
+      seen.add(c.cropId);
+      if (!(componentParts(c) > 0)) errors.push(`Mix component ${i + 1}: parts by weight must be greater than 0`);
+    });
+  } else if (mapping.cropId) {
+    if (!getVarietyById(mapping.cropId)) errors.push(`Unknown crop "${mapping.cropId}"`);
+  } else if (!partial) {
+    errors.push('Pick a crop or add mix components');
+  }
+  return errors;
+}
+
+/** True when a product doc has a usable mapping (product-level or on every variant). */
+export function isProductMapped(product) {
+  if (product?.cropMapping && !validateCropMapping(product.cropMapping).length) return true;
+  const variants = product?.variants || [];
+  const vm = product?.variantMappings || {};
+  return variants.length > 0 && variants.every((v) => {
+    const m = vm[cleanShopifyId(v.shopifyVariantId || v.id)];
+    return m && !validateCropMapping(m).length;
+  });
+}
+
+/**
+ * Index product docs for line-item lookup. Accepts Shopify products and
+ * catalog products in one list.
+ * Returns { byVariant, byProduct, bySku, byTitle } Maps of key → mapping.
+ */
+export function buildProductMappingIndex(products = []) {
+  const index = { byVariant: new Map(), byProduct: new Map(), bySku: new Map(), byTitle: new Map() };
+
+  for (const p of products) {
+    const base = p.cropMapping || null;
+    const productIds = [p.id, cleanShopifyId(p.shopifyProductId)].filter(Boolean);
+
+    if (base) {
+      const mapping = { ...base, productTitle: productTitle(p) };
+      productIds.forEach((id) => index.byProduct.set(String(id), mapping));
+      if (productTitle(p)) index.byTitle.set(titleKey(productTitle(p)), mapping);
+    }
+
+    for (const v of p.variants || []) {
+      const variantId = cleanShopifyId(v.shopifyVariantId || v.id);
+      const override = variantId ? p.variantMappings?.[variantId] : null;
+      if (!base && !override) continue;
+      const mapping = { ...(base || {}), ...(override || {}), productTitle: productTitle(p) };
+      if (override?.cropId) delete mapping.components;
+      if (override?.components) delete mapping.cropId;
+      if (variantId) index.byVariant.set(variantId, mapping);
+      if (v.sku) index.bySku.set(String(v.sku).toLowerCase(), mapping);
+    }
+  }
+  return index;
+}
+
+export const EMPTY_MAPPING_INDEX = buildProductMappingIndex([]);
+
+/**
+ * Find the mapping for an order line item: variant ID → product ID → SKU →
+ * exact product title. No substring guessing. Returns the mapping or null.
+ */
+export function resolveItemMapping(index, item) {
+  if (!index || !item) return null;
+  const variantId = cleanShopifyId(item.shopifyVariantId || item.variantId);
+  if (variantId && index.byVariant.has(variantId)) return index.byVariant.get(variantId);
+
+  for (const id of [item.productId, cleanShopifyId(item.shopifyProductId)]) {
+    if (id && index.byProduct.has(String(id))) return index.byProduct.get(String(id));
+  }
+
+  if (item.sku && index.bySku.has(String(item.sku).toLowerCase())) {
+    return index.bySku.get(String(item.sku).toLowerCase());
+  }
+
+  const title = productTitle(item);
+  return title ? index.byTitle.get(titleKey(title)) || null : null;
+}
+
+/**
+ * Turn a line item into crop ounces.
+ * Returns { name, unit, mapped, mix, oz, crops: [{ cropId, oz }] } — crops is
+ * empty when the item is unmapped. unit is 'oz' when a weight per unit is
+ * known, otherwise the item's own unit.
+ */
+export function expandLineItem(index, item) {
+  const name = productTitle(item) || 'Unknown';
+  const qty = Number(item?.quantity ?? item?.qty ?? 0) || 0;
+  const mapping = resolveItemMapping(index, item);
+  const ozPerUnit = Number(mapping?.ozPerUnit) || Number(item?.unitOz) || 1;
+  const oz = qty * ozPerUnit;
+  const unit = mapping?.ozPerUnit || item?.unitOz ? 'oz' : (item?.unit || '');
+
+  if (!mapping || validateCropMapping(mapping).length) {
+    return { name, unit, mapped: false, mix: false, oz, crops: [] };
+  }
+  if (isMixMapping(mapping)) {
+    const crops = mixRecipeShares(mapping).map(({ cropId, share }) => ({ cropId, oz: oz * share }));
+    return { name, unit, mapped: true, mix: true, oz, crops };
+  }
+  return { name, unit, mapped: true, mix: false, oz, crops: [{ cropId: mapping.cropId, oz }] };
+}
+
+/**
+ * Total crop ounces across orders' line items, with mixes exploded into
+ * their component crops.
+ * Returns {
+ *   crops:    [{ cropId, oz, mixOz, mixes: [productName], orderIds, orderOz }],
+ *   unmapped: [{ name, totalQty, orderIds }],
+ * } — mixOz is the part of oz that came from mix products; orderOz maps
+ * each order ID to the ounces it contributes.
+ */
+export function sumCropOunces(index, orders = []) {
+  const crops = new Map();
+  const unmapped = new Map();
+
+  for (const order of orders) {
+    for (const item of order.items || []) {
+      const line = expandLineItem(index, item);
+      if (!line.mapped) {
+        if (!unmapped.has(line.name)) unmapped.set(line.name, { name: line.name, totalQty: 0, orderIds: new Set() });
+        const u = unmapped.get(line.name);
+        u.totalQty += line.oz;
+        if (order.id) u.orderIds.add(order.id);
+        continue;
+      }
+      for (const { cropId, oz } of line.crops) {
+        if (!crops.has(cropId)) crops.set(cropId, { cropId, oz: 0, mixOz: 0, mixes: new Set(), orderIds: new Set(), orderOz: {} });
+        const c = crops.get(cropId);
+        c.oz += oz;
+        if (line.mix) { c.mixOz += oz; c.mixes.add(line.name); }
+        if (order.id) {
+          c.orderIds.add(order.id);
+          c.orderOz[order.id] = (c.orderOz[order.id] || 0) + oz;
+        }
+      }
+    }
+  }
+
+  return {
+    crops: [...crops.values()].map((c) => ({ ...c, mixes: [...c.mixes], orderIds: [...c.orderIds] })),
+    unmapped: [...unmapped.values()].map((u) => ({ ...u, orderIds: [...u.orderIds] })),
+  };
+}
+
+/**
+ * Crop a line item maps to when it is a single-crop product, else null.
+ * Mixes have no single crop and keep their own demand series.
+ */
+export function getMappedCropId(index, item) {
+  const mapping = resolveItemMapping(index, item);
+  if (!mapping || isMixMapping(mapping) || validateCropMapping(mapping).length) return null;
+  return mapping.cropId;
+}
+
+/**
+ * Best-guess crop for an unmapped product, for the mapping screen to offer.
+ * This is the old name-matching heuristic — a suggestion only, never used
+ * by planners.
+ */
+export function suggestCropMapping(title) {
+  const lower = String(title || '').toLowerCase();
+  if (!lower) return null;
+  const varieties = getAllVarieties();
+  const match = varieties.find((v) => v.name.toLowerCase() === lower)
+    || varieties.find((v) => lower.includes(v.name.toLowerCase()))
+    || varieties.find((v) => lower.includes(v.id.toLowerCase()));
+  return match ? { cropId: match.id } : null;
+}
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  cleanShopifyId,
+  mixRecipeShares,
+  validateCropMapping,
+  isProductMapped,
+  buildProductMappingIndex,
+  resolveItemMapping,
+  expandLineItem,
+  sumCropOunces,
+  getMappedCropId,
+  suggestCropMapping,
+} from './productMapping.js';
+
+const products = [
+  {
+    id: 'sp-1', shopifyProductId: 'gid://shopify/Product/100', title: 'Broccoli Microgreens',
+    cropMapping: { cropId: 'broccoli', ozPerUnit: 2 },
+    variants: [{ shopifyVariantId: 'gid://shopify/ProductVariant/11', sku: 'BRO-2' }, { shopifyVariantId: '12', sku: 'BRO-8' }],
+    variantMappings: { 12: { ozPerUnit: 8 } },
+  },
+  {
+    id: 'mix', name: 'Spicy Mix',
+    cropMapping: { components: [{ cropId: 'radish', parts: 2 }, { cropId: 'arugula-micro', parts: 1 }, { cropId: 'kale', parts: 1 }], ozPerUnit: 4 },
+  },
+  { id: 'unmapped', name: 'Edible Flowers' },
+];
+const index = buildProductMappingIndex(products);
+
+describe('cleanShopifyId', () => {
+  it('strips Shopify GIDs', () => {
+    expect(cleanShopifyId('gid://shopify/Product/123')).toBe('123');
+    expect(cleanShopifyId(45)).toBe('45');
+    expect(cleanShopifyId('')).toBeNull();
+  });
+});
+
+describe('mixRecipeShares', () => {
+  it('turns parts by weight into shares of one unit', () => {
+    expect(mixRecipeShares(products[1].cropMapping)).toEqual([
+      { cropId: 'radish', share: 0.5 },
+      { cropId: 'arugula-micro', share: 0.25 },
+      { cropId: 'kale', share: 0.25 },
+    ]);
+  });
+
+  it('reads older percent recipes', () => {
+    expect(mixRecipeShares({ components: [{ cropId: 'pea', percent: 60 }, { cropId: 'radish', percent: 40 }] })
+      .map((c) => c.share)).toEqual([0.6, 0.4]);
+  });
+});
+
+describe('validateCropMapping', () => {
+  it('accepts single crops and mixes', () => {
+    expect(validateCropMapping({ cropId: 'pea', ozPerUnit: 4 })).toEqual([]);
+    expect(validateCropMapping(products[1].cropMapping)).toEqual([]);
+  });
+
+  it('reports unknown crops, repeats, bad parts and bad weights', () => {
+    expect(validateCropMapping({
+      ozPerUnit: 0,
+      components: [{ cropId: 'pea', parts: 1 }, { cropId: 'pea', parts: 1 }, { cropId: 'durian', parts: 0 }],
+    })).toEqual([
+      'Oz per unit must be a positive number',
+      'Mix component 2: pea is already in the recipe',
+      'Mix component 3: unknown crop "durian"',
+      'Mix component 3: parts by weight must be greater than 0',
+    ]);
+  });
+
+  it('lets variant overrides carry only a weight', () => {
+    expect(validateCropMapping({ ozPerUnit: 8 }, { partial: true })).toEqual([]);
+    expect(validateCropMapping({ ozPerUnit: 8 })).toEqual(['Pick a crop or add mix components']);
+  });
+});
+
+describe('isProductMapped', () => {
+  it('needs a product mapping or one on every variant', () => {
+    expect(isProductMapped(products[0])).toBe(true);
+    expect(isProductMapped(products[2])).toBe(false);
+    expect(isProductMapped({
+      variants: [{ id: '1' }, { id: '2' }],
+      variantMappings: { 1: { cropId: 'pea' } },
+    })).toBe(false);
+  });
+});
+
+describe('resolveItemMapping', () => {
+  it('looks up variant, then product, SKU and exact title', () => {
+    expect(resolveItemMapping(index, { variantId: '12' }).ozPerUnit).toBe(8);
+    expect(resolveItemMapping(index, { shopifyProductId: 'gid://shopify/Product/100' }).cropId).toBe('broccoli');
+    expect(resolveItemMapping(index, { sku: 'bro-2' }).ozPerUnit).toBe(2);
+    expect(resolveItemMapping(index, { name: 'broccoli microgreens' }).cropId).toBe('broccoli');
+  });
+
+  it('never matches part of a title', () => {
+    expect(resolveItemMapping(index, { name: 'Broccoli' })).toBeNull();
+  });
+});
+
+describe('expandLineItem', () => {
+  it('converts units to crop ounces', () => {
+    expect(expandLineItem(index, { variantId: '12', name: 'Broccoli 8oz', quantity: 3 }))
+      .toEqual({ name: 'Broccoli 8oz', unit: 'oz', mapped: true, mix: false, oz: 24, crops: [{ cropId: 'broccoli', oz: 24 }] });
+  });
+
+  it('splits mixes by their recipe', () => {
+    const line = expandLineItem(index, { productId: 'mix', quantity: 2 });
+    expect(line.mix).toBe(true);
+    expect(line.crops).toEqual([{ cropId: 'radish', oz: 4 }, { cropId: 'arugula-micro', oz: 2 }, { cropId: 'kale', oz: 2 }]);
+  });
+
+  it('reports unmapped items without crops', () => {
+    expect(expandLineItem(index, { name: 'Edible Flowers', quantity: 5, unit: 'box' }))
+      .toEqual({ name: 'Edible Flowers', unit: 'box', mapped: false, mix: false, oz: 5, crops: [] });
+  });
+});
+
+describe('sumCropOunces', () => {
+  it('totals crops across orders and tracks where they came from', () => {
+    const { crops, unmapped } = sumCropOunces(index, [
+      { id: 'o1', items: [{ productId: 'mix', name: 'Spicy Mix', quantity: 1 }, { productId: 'sp-1', quantity: 1 }] },
+      { id: 'o2', items: [{ productId: 'mix', name: 'Spicy Mix', quantity: 1 }, { name: 'Edible Flowers', quantity: 2 }] },
+    ]);
+    const radish = crops.find((c) => c.cropId === 'radish');
+    expect(radish).toMatchObject({ oz: 4, mixOz: 4, mixes: ['Spicy Mix'], orderIds: ['o1', 'o2'], orderOz: { o1: 2, o2: 2 } });
+    expect(crops.find((c) => c.cropId === 'broccoli')).toMatchObject({ oz: 2, mixOz: 0, mixes: [] });
+    expect(unmapped).toEqual([{ name: 'Edible Flowers', totalQty: 2, orderIds: ['o2'] }]);
+  });
+});
+
+describe('getMappedCropId', () => {
+  it('gives single-crop products their crop and mixes none', () => {
+    expect(getMappedCropId(index, { productId: 'sp-1' })).toBe('broccoli');
+    expect(getMappedCropId(index, { productId: 'mix' })).toBeNull();
+  });
+});
+
+describe('suggestCropMapping', () => {
+  it('offers a crop by name for the mapping screen', () => {
+    expect(suggestCropMapping('Pea Shoots')).toEqual({ cropId: 'pea' });
+    expect(suggestCropMapping('Organic Radish Microgreens')).toEqual({ cropId: 'radish' });
+    expect(suggestCropMapping('Gift card')).toBeNull();
+  });
+});
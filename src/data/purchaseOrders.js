@@ -0,0 +1,175 @@
+/**
+ * Purchase orders — restocking inventory from vendors.
+ *
+ * Stored at farms/{farmId}/purchaseOrders/{poId}:
+ *
+ *   { poNumber, vendorId, vendorName, vendorEmail, status, needBy,
+ *     lines: [{ itemId, name, unit, category, qty, unitCost, qtyReceived }],
+ *     notes, createdBy, sentAt, receivedAt, receipts: [{ date, lines, amount }] }
+ *
+ * Drafts come from draftPurchaseOrders: every item that is below par now or
+ * is projected to fall below it (data/billOfMaterials.js projectRunOut),
+ * ordered back up to par plus the projected usage, one PO per vendor.
+ * Receiving adds to stock and books the cost (costService, by the cost
+ * category of the items received).
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+
+export const PO_STATUSES = [
+  { id: 'draft',    label: 'Draft',              color: 'bg-gray-100 text-gray-600' },
+  { id: 'sent',     label: 'Sent',               color: 'bg-sky-100 text-sky-700' },
+  { id: 'partial',  label: 'Partially received', color: 'bg-amber-100 text-amber-700' },
+  { id: 'received', label: 'Received',           color: 'bg-green-100 text-green-700' },
+];
+
+/** Statuses still waiting on stock — an item on one of these isn't drafted again. */
+export const OPEN_PO_STATUSES = ['draft', 'sent', 'partial'];
+
+/** Inventory category → COST_CATEGORIES id the receipt is booked under. */
+const COST_CATEGORY_BY_ITEM = {
+  seeds:     'seeds',
+  soil:      'growing-medium',
+  packaging: 'packaging',
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const norm = (s) => String(s || '').trim().toLowerCase();
+
+/** Vendor label used across the app. */
+export const vendorLabel = (v) => v.company || v.name;
+
+/** The vendor an item's free-text supplier refers to (company or contact name), or null. */
+export function matchVendor(vendors, supplier) {
+  const key = norm(supplier);
+  if (!key) return null;
+  return vendors.find((v) => norm(v.company) === key)
+    || vendors.find((v) => norm(v.name) === key)
+    || null;
+}
+
+/**
+ * How much of an item to order: back up to par plus what the projection
+ * says will be used over its horizon. 0 when the item isn't short.
+ */
+export function reorderQty(item, projection) {
+  const current = Number(item.currentQty) || 0;
+  const par = Number(item.parLevel) || 0;
+  const short = current < par || !!projection?.belowParDate;
+  if (!short) return 0;
+  return Math.max(0, Math.ceil(par + (projection?.usage || 0) - current));
+}
+
+/**
+ * Draft POs for everything short, grouped by vendor.
+ * runOut: Map itemId → { belowParDate, usage } from projectRunOut.
+ * Items already on an open PO are skipped. Items whose supplier isn't a
+ * saved vendor get grouped under the supplier text (or "No supplier").
+ *
+ * Returns [{ vendorId, vendorName, vendorEmail, needBy, lines }].
+ */
+export function draftPurchaseOrders(inventory, runOut, vendors, openOrders = [], today) {
+  const onOrder = new Set(openOrders
+    .filter((po) => OPEN_PO_STATUSES.includes(po.status))
+    .flatMap((po) => po.lines.map((l) => l.itemId)));
+
+  const groups = new Map();
+  for (const item of inventory) {
+    if (onOrder.has(item.id)) continue;
+    const projection = runOut.get(item.id);
+    const qty = reorderQty(item, projection);
+    if (qty <= 0) continue;
+
+    const vendor = matchVendor(vendors, item.supplier);
+    const key = vendor ? `v:${vendor.id}` : `s:${norm(item.supplier)}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        vendorId:    vendor ? String(vendor.id) : null,
+        vendorName:  vendor ? vendorLabel(vendor) : (item.supplier?.trim() || 'No supplier'),
+        vendorEmail: vendor?.email || null,
+        needBy:      null,
+        lines:       [],
+      });
+    }
+    const po = groups.get(key);
+    const needBy = (Number(item.currentQty) || 0) < (Number(item.parLevel) || 0) ? today : projection?.belowParDate;
+    if (needBy && (!po.needBy || needBy < po.needBy)) po.needBy = needBy;
+    po.lines.push({
+      itemId:      item.id,
+      name:        item.name,
+      unit:        item.unit || '',
+      category:    item.category || 'other',
+      qty,
+      unitCost:    Number(item.costPerUnit) || 0,
+      qtyReceived: 0,
+    });
+  }
+  return [...groups.values()].sort((a, b) => String(a.needBy).localeCompare(String(b.needBy)));
+}
+
+/** Order value of a PO. */
+export const poTotal = (po) => round(po.lines.reduce((s, l) => s + (Number(l.qty) || 0) * (Number(l.unitCost) || 0), 0));
+
+/** Quantity of a line still to come. */
+export const lineOutstanding = (l) => Math.max(0, round((Number(l.qty) || 0) - (Number(l.qtyReceived) || 0)));
+
+/**
+ * Apply a receipt to a PO.
+ * received: itemId → qty that arrived this time.
+ * Returns { lines, status, receipt: { lines: [{ itemId, name, qty, unitCost, category }], amount }, costs }
+ * — costs is one cost entry per cost category, amounts at the PO's unit costs.
+ */
+export function receivePurchaseOrder(po, received) {
+  const receiptLines = [];
+  const lines = po.lines.map((l) => {
+    const qty = round(Number(received[l.itemId]) || 0);
+    if (qty <= 0) return l;
+    receiptLines.push({ itemId: l.itemId, name: l.name, qty, unitCost: Number(l.unitCost) || 0, category: l.category });
+    return { ...l, qtyReceived: round((Number(l.qtyReceived) || 0) + qty) };
+  });
+  const status = lines.every((l) => lineOutstanding(l) === 0) ? 'received'
+    : lines.some((l) => (Number(l.qtyReceived) || 0) > 0) ? 'partial'
+    : po.status;
+
+  const byCategory = new Map();
+  for (const l of receiptLines) {
+    const category = COST_CATEGORY_BY_ITEM[l.category] || 'supplies';
+    byCategory.set(category, [...(byCategory.get(category) || []), l]);
+  }
+  const costs = [...byCategory].map(([category, ls]) => ({
+    category,
+    amount:      round(ls.reduce((s, l) => s + l.qty * l.unitCost, 0)),
+    description: `PO ${po.poNumber} · ${po.vendorName}: ${ls.map((l) => l.name).join(', ')}`,
+  })).filter((c) => c.amount > 0);
+
+  return {
+    lines,
+    status,
+    receipt: { lines: receiptLines, amount: round(receiptLines.reduce((s, l) => s + l.qty * l.unitCost, 0)) },
+    costs,
+  };
+}
+
+/** Plain-text PO for an email to the vendor: { subject, body }. */
+export function purchaseOrderEmail(po, farmName) {
+  const lines = po.lines.map((l) => `- ${l.name}: ${l.qty} ${l.unit}${l.unitCost ? ` @ $${Number(l.unitCost).toFixed(2)}` : ''}`);
+  return {
+    subject: `Purchase order ${po.poNumber} from ${farmName}`,
+    body: [
+      `Hello ${po.vendorName},`,
+      '',
+      `Please supply the following for purchase order ${po.poNumber}${po.needBy ? `, needed by ${po.needBy}` : ''}:`,
+      '',
+      ...lines,
+      '',
+      poTotal(po) > 0 ? `Estimated total: $${poTotal(po).toFixed(2)}` : null,
+      po.notes ? `Notes: ${po.notes}` : null,
+      '',
+      'Please confirm availability and delivery date.',
+      '',
+      'Thank you,',
+      farmName,
+    ].filter((l) => l !== null).join('\n'),
+  };
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  matchVendor,
+  reorderQty,
+  draftPurchaseOrders,
+  poTotal,
+  lineOutstanding,
+  receivePurchaseOrder,
+  purchaseOrderEmail,
+} from './purchaseOrders.js';
+
+const vendors = [
+  { id: 1, company: 'True Leaf Market', name: 'Jo', email: 'orders@trueleaf.test' },
+  { id: 2, company: '', name: 'Pack Co' },
+];
+
+const inventory = [
+  { id: 'seed', name: 'Radish seed', unit: 'g', category: 'seeds', supplier: 'true leaf market', currentQty: 100, parLevel: 200, costPerUnit: 0.05 },
+  { id: 'mat', name: 'Hemp mat', category: 'soil', supplier: 'Jo', currentQty: 50, parLevel: 20, costPerUnit: 0.8 },
+  { id: 'clam', name: 'Clamshell', category: 'packaging', supplier: 'Pack Co', currentQty: 300, parLevel: 100, costPerUnit: 0.12 },
+  { id: 'tape', name: 'Tape', supplier: 'Corner store', currentQty: 0, parLevel: 2 },
+];
+
+describe('matchVendor', () => {
+  it('matches the company, then the contact name', () => {
+    expect(matchVendor(vendors, ' True Leaf Market ').id).toBe(1);
+    expect(matchVendor(vendors, 'pack co').id).toBe(2);
+    expect(matchVendor(vendors, 'Leaf')).toBeNull();
+    expect(matchVendor(vendors, '')).toBeNull();
+  });
+});
+
+describe('reorderQty', () => {
+  it('orders back up to par plus projected usage', () => {
+    expect(reorderQty(inventory[0], { usage: 50 })).toBe(150);
+    expect(reorderQty(inventory[1], { belowParDate: '2026-05-20', usage: 40.5 })).toBe(11);
+    expect(reorderQty(inventory[1], { belowParDate: null, usage: 40 })).toBe(0);
+  });
+});
+
+describe('draftPurchaseOrders', () => {
+  const runOut = new Map([
+    ['seed', { belowParDate: '2026-05-10', usage: 50 }],
+    ['mat', { belowParDate: '2026-05-20', usage: 40 }],
+  ]);
+
+  it('drafts one PO per vendor for items short now or soon', () => {
+    const drafts = draftPurchaseOrders(inventory, runOut, vendors, [], '2026-05-10');
+    expect(drafts.map((po) => [po.vendorId, po.vendorName, po.vendorEmail, po.needBy, po.lines.map((l) => [l.itemId, l.qty])])).toEqual([
+      ['1', 'True Leaf Market', 'orders@trueleaf.test', '2026-05-10', [['seed', 150], ['mat', 10]]],
+      [null, 'Corner store', null, '2026-05-10', [['tape', 2]]],
+    ]);
+    expect(drafts[1].lines[0]).toMatchObject({ unit: '', category: 'other', unitCost: 0, qtyReceived: 0 });
+  });
+
+  it('skips items already on an open PO and puts the most urgent PO first', () => {
+    const open = [
+      { status: 'sent', lines: [{ itemId: 'seed' }] },
+      { status: 'received', lines: [{ itemId: 'tape' }] },
+    ];
+    expect(draftPurchaseOrders(inventory, runOut, vendors, open, '2026-05-10').flatMap((po) => po.lines.map((l) => l.itemId)))
+      .toEqual(['tape', 'mat']);
+  });
+});
+
+describe('receiving', () => {
+  const po = {
+    poNumber: 'PO-0007', vendorName: 'True Leaf Market', status: 'sent',
+    lines: [
+      { itemId: 'seed', name: 'Radish seed', category: 'seeds', qty: 500, unitCost: 0.05, qtyReceived: 0 },
+      { itemId: 'mat', name: 'Hemp mat', category: 'soil', qty: 20, unitCost: 0.8, qtyReceived: 0 },
+      { itemId: 'tape', name: 'Tape', category: 'other', qty: 2, unitCost: 0, qtyReceived: 0 },
+    ],
+  };
+
+  it('totals the order and what is still to come', () => {
+    expect(poTotal(po)).toBe(41);
+    expect(lineOutstanding({ qty: 20, qtyReceived: 25 })).toBe(0);
+  });
+
+  it('books a partial receipt by cost category', () => {
+    const result = receivePurchaseOrder(po, { seed: '300', mat: 20, tape: 0 });
+    expect(result.status).toBe('partial');
+    expect(result.lines.map((l) => l.qtyReceived)).toEqual([300, 20, 0]);
+    expect(result.receipt.amount).toBe(31);
+    expect(result.costs).toEqual([
+      { category: 'seeds', amount: 15, description: 'PO PO-0007 · True Leaf Market: Radish seed' },
+      { category: 'growing-medium', amount: 16, description: 'PO PO-0007 · True Leaf Market: Hemp mat' },
+    ]);
+  });
+
+  it('closes the PO once every line is in, without booking free items', () => {
+    const first = receivePurchaseOrder(po, { seed: 300, mat: 20 });
+    const second = receivePurchaseOrder({ ...po, status: 'partial', lines: first.lines }, { seed: 200, tape: 2 });
+    expect(second.status).toBe('received');
+    expect(second.costs.map((c) => c.category)).toEqual(['seeds']);
+    expect(receivePurchaseOrder(po, {}).status).toBe('sent');
+  });
+});
+
+describe('purchaseOrderEmail', () => {
+  it('lists the lines, total and notes', () => {
+    const { subject, body } = purchaseOrderEmail({
+      poNumber: 'PO-0007', vendorName: 'Jo', needBy: '2026-05-20', notes: 'Leave at the back door',
+      lines: [{ name: 'Radish seed', qty: 500, unit: 'g', unitCost: 0.05 }, { name: 'Tape', qty: 2, unit: '', unitCost: 0 }],
+    }, 'Green Farm');
+    expect(subject).toBe('Purchase order PO-0007 from Green Farm');
+    expect(body).toContain('Please supply the following for purchase order PO-0007, needed by 2026-05-20:');
+    expect(body).toContain('- Radish seed: 500 g @ $0.05\n- Tape: 2 \n');
+    expect(body).toContain('Estimated total: $25.00\nNotes: Leave at the back door');
+    expect(body.endsWith('Thank you,\nGreen Farm')).toBe(true);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Grow room sensors — readings per zone, bucketed into a time series.
+ *
+ * Devices (or an MQTT bridge posting on their behalf) send readings to
+ * /api/sensor-readings with their device key. Each device belongs to one
+ * grow space zone (data/growSpace.js). Readings are stored per zone in
+ * farms/{farmId}/sensorReadings, one doc per zone per hour:
+ *
+ *   { zoneId, resolution: 'hour'|'day', start, end,
+ *     metrics:  { temperature: { count, sum, min, max }, … },
+ *     readings: [{ at, metric, value, deviceId }],   (raw — hourly buckets only)
+ *     batchIds: [id, …],                             (batches in the zone then)
+ *     rawExpiresAt, expiresAt }
+ *
+ * Retention (SENSOR_RETENTION) runs nightly: raw readings are dropped from
+ * hourly buckets after rawDays, hourly buckets are rolled up into one daily
+ * bucket per zone after hourlyDays, and daily buckets are deleted after
+ * dailyDays. Aggregates survive every step, so charts keep working.
+ *
+ * Each bucket lists the batches that sat in the zone while its readings came
+ * in (batchesInZone), so a batch's conditions are the buckets that name it.
+ *
+ * Allowed ranges per zone live at farms/{farmId}/settings/sensors:
+ *
+ *   { zones: { [zoneId]: { [metric]: { min, max } } } }
+ *
+ * and fall back to each metric's default range. A reading outside its range
+ * raises a sensor_out_of_range alert.
+ *
+ * Pure functions only — shared with the serverless API, so keep this file
+ * free of Firebase/React imports.
+ */
+
+export const SENSOR_METRICS = {
+  temperature: { label: 'Temperature', unit: '°F',        color: '#ef4444', bounds: [-40, 160],  range: { min: 65, max: 78 } },
+  humidity:    { label: 'Humidity',    unit: '%',         color: '#3b82f6', bounds: [0, 100],    range: { min: 40, max: 70 } },
+  co2:         { label: 'CO₂',         unit: 'ppm',       color: '#6b7280', bounds: [0, 20000],  range: { min: 400, max: 1500 } },
+  light:       { label: 'Light',       unit: 'µmol/m²/s', color: '#f59e0b', bounds: [0, 3000],   range: null },
+};
+
+export const SENSOR_RETENTION = {
+  rawDays:    7,    // individual readings
+  hourlyDays: 90,   // hourly buckets, then rolled up per day
+  dailyDays:  730,  // daily buckets
+  maxSkewMs:  10 * 60000, // readings stamped further in the future are rejected
+};
+
+/** Readings accepted per request. */
+export const MAX_READINGS_PER_POST = 500;
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+const isoPlus = (iso, ms) => new Date(new Date(iso).getTime() + ms).toISOString();
+
+// ── Parsing ──────────────────────────────────────────────────────────
+
+function parseReading(raw, fallbackAt, now) {
+  const metric = raw?.metric;
+  if (!SENSOR_METRICS[metric]) return { error: `Unknown metric "${metric}"` };
+  const value = Number(raw.value);
+  const [lo, hi] = SENSOR_METRICS[metric].bounds;
+  if (raw.value === null || raw.value === '' || !Number.isFinite(value) || value < lo || value > hi) {
+    return { error: `${metric}: value out of bounds (${raw.value})` };
+  }
+  const at = new Date(raw.at ?? raw.timestamp ?? fallbackAt);
+  if (Number.isNaN(at.getTime())) return { error: `${metric}: invalid timestamp` };
+  if (at.getTime() - now.getTime() > SENSOR_RETENTION.maxSkewMs) return { error: `${metric}: timestamp in the future` };
+  if (now.getTime() - at.getTime() > SENSOR_RETENTION.hourlyDays * DAY_MS) return { error: `${metric}: timestamp too old` };
+  return { reading: { metric, value, at: at.toISOString() } };
+}
+
+/**
+ * Readings from a request body. Accepts a list:
+ *   { readings: [{ metric, value, at? }, …] }
+ * or one device sample, the shape MQTT bridges tend to forward:
+ *   { at?, temperature: 71.2, humidity: 58 }
+ * Missing timestamps default to now. Bad entries are reported, not fatal.
+ *
+ * @returns {{ readings: Array<{ metric, value, at }>, errors: string[] }}
+ */
+export function parseReadings(body, now = new Date()) {
+  const fallbackAt = body?.at ?? body?.timestamp ?? now.toISOString();
+  const raw = Array.isArray(body?.readings)
+    ? body.readings
+    : Object.keys(SENSOR_METRICS)
+      .filter((metric) => body?.[metric] !== undefined)
+      .map((metric) => ({ metric, value: body[metric] }));
+
+  const readings = [];
+  const errors = [];
+  for (const entry of raw.slice(0, MAX_READINGS_PER_POST)) {
+    const { reading, error } = parseReading(entry, fallbackAt, now);
+    if (reading) readings.push(reading);
+    else errors.push(error);
+  }
+  if (raw.length > MAX_READINGS_PER_POST) errors.push(`Only the first ${MAX_READINGS_PER_POST} readings were accepted`);
+  return { readings, errors };
+}
+
+// ── Buckets ──────────────────────────────────────────────────────────
+
+/** Start of the hour / UTC day `at` falls in. */
+export function bucketStart(at, resolution) {
+  const iso = new Date(at).toISOString();
+  return resolution === 'day' ? `${iso.slice(0, 10)}T00:00:00.000Z` : `${iso.slice(0, 13)}:00:00.000Z`;
+}
+
+/** sensorReadings doc ID of a zone's bucket. */
+export function bucketId(zoneId, at, resolution = 'hour') {
+  const start = bucketStart(at, resolution);
+  return `${zoneId}__${resolution === 'day' ? start.slice(0, 10) : start.slice(0, 13)}`;
+}
+
+function emptyBucket(zoneId, start, resolution) {
+  const length = resolution === 'day' ? DAY_MS : HOUR_MS;
+  const keepFor = resolution === 'day' ? SENSOR_RETENTION.dailyDays : SENSOR_RETENTION.hourlyDays;
+  return {
+    zoneId,
+    resolution,
+    start,
+    end:       isoPlus(start, length),
+    metrics:   {},
+    batchIds:  [],
+    expiresAt: isoPlus(start, length + keepFor * DAY_MS),
+    ...(resolution === 'hour' ? { readings: [], rawExpiresAt: isoPlus(start, HOUR_MS + SENSOR_RETENTION.rawDays * DAY_MS) } : {}),
+  };
+}
+
+function addToMetric(agg, { count, sum, min, max }) {
+  if (!agg) return { count, sum, min, max };
+  return { count: agg.count + count, sum: agg.sum + sum, min: Math.min(agg.min, min), max: Math.max(agg.max, max) };
+}
+
+/**
+ * Group readings by hourly bucket: Map<bucketStart, readings[]>.
+ */
+export function groupByHour(readings) {
+  const groups = new Map();
+  for (const r of readings) {
+    const start = bucketStart(r.at, 'hour');
+    groups.set(start, [...(groups.get(start) || []), r]);
+  }
+  return groups;
+}
+
+/**
+ * An hourly bucket with readings added. Raw readings are kept only while
+ * the bucket is inside the raw retention window.
+ *
+ * @param {object|null} bucket   — stored bucket (null → new)
+ * @param {{ zoneId, start, readings, deviceId, batchIds, now }} add
+ */
+export function addReadingsToBucket(bucket, { zoneId, start, readings, deviceId = null, batchIds = [], now = new Date() }) {
+  const next = bucket ? { ...bucket, metrics: { ...bucket.metrics } } : emptyBucket(zoneId, start, 'hour');
+  for (const r of readings) {
+    next.metrics[r.metric] = addToMetric(next.metrics[r.metric], { count: 1, sum: r.value, min: r.value, max: r.value });
+  }
+  if (next.rawExpiresAt && next.rawExpiresAt > now.toISOString()) {
+    next.readings = [...(next.readings || []), ...readings.map((r) => ({ ...r, deviceId }))];
+  }
+  next.batchIds = [...new Set([...(next.batchIds || []), ...batchIds])];
+  return next;
+}
+
+/**
+ * Roll hourly buckets of one zone and UTC day into its daily bucket.
+ *
+ * @param {object|null} daily — existing daily bucket (null → new)
+ * @param {Array} hourly      — that day's hourly buckets
+ */
+export function rollUpDay(daily, hourly) {
+  const { zoneId, start } = hourly[0];
+  const next = daily ? { ...daily, metrics: { ...daily.metrics } } : emptyBucket(zoneId, bucketStart(start, 'day'), 'day');
+  const batchIds = new Set(next.batchIds || []);
+  for (const h of hourly) {
+    for (const [metric, agg] of Object.entries(h.metrics || {})) {
+      next.metrics[metric] = addToMetric(next.metrics[metric], agg);
+    }
+    (h.batchIds || []).forEach((id) => batchIds.add(id));
+  }
+  next.batchIds = [...batchIds];
+  return next;
+}
+
+/**
+ * When a batch arrived in the zone it is in now: the first of the trailing
+ * stageHistory entries placed in that zone, else when it was last moved.
+ */
+export function zoneArrival(batch) {
+  const zoneId = batch.location?.zoneId;
+  if (!zoneId) return null;
+  let arrived = null;
+  for (const h of [...(batch.stageHistory || [])].reverse()) {
+    if (!h.location) continue;
+    if (h.location.zoneId !== zoneId) break;
+    arrived = h.enteredAt || arrived;
+  }
+  return arrived || batch.locationUpdatedAt || null;
+}
+
+/**
+ * IDs of the batches that were in a zone during a bucket: placed there now
+ * and arrived before the bucket ended. Readings a device buffered from
+ * before a batch arrived don't get linked to it.
+ */
+export function batchesInZone(batches, zoneId, bucketEnd) {
+  return batches
+    .filter((b) => b.location?.zoneId === zoneId)
+    .filter((b) => { const since = zoneArrival(b); return !since || since < bucketEnd; })
+    .map((b) => b.id);
+}
+
+// ── Ranges ───────────────────────────────────────────────────────────
+
+/** Normalize a stored sensors settings doc (missing doc → defaults only). */
+export function resolveSensorSettings(settings) {
+  return { zones: settings?.zones && typeof settings.zones === 'object' ? settings.zones : {} };
+}
+
+/** Allowed range of each metric in a zone: { [metric]: { min, max } | null }. */
+export function zoneRanges(settings, zoneId) {
+  const custom = settings?.zones?.[zoneId] || {};
+  return Object.fromEntries(Object.entries(SENSOR_METRICS).map(([metric, def]) => {
+    const range = custom[metric] !== undefined ? custom[metric] : def.range;
+    return [metric, range && (Number.isFinite(range.min) || Number.isFinite(range.max)) ? range : null];
+  }));
+}
+
+/** 'low' | 'high' | null */
+export function rangeBreach(range, value) {
+  if (!range) return null;
+  if (Number.isFinite(range.min) && value < range.min) return 'low';
+  if (Number.isFinite(range.max) && value > range.max) return 'high';
+  return null;
+}
+
+/**
+ * The latest reading of each metric, when it is out of its zone's range.
+ * Earlier readings in the same post are superseded — a spike that has
+ * already recovered doesn't raise an alert.
+ *
+ * @returns {Array<{ metric, value, at, min, max, direction }>}
+ */
+export function findRangeBreaches(settings, zoneId, readings) {
+  const ranges = zoneRanges(settings, zoneId);
+  const latest = new Map();
+  for (const r of readings) {
+    if (!latest.has(r.metric) || r.at > latest.get(r.metric).at) latest.set(r.metric, r);
+  }
+  const breaches = [];
+  for (const r of latest.values()) {
+    const direction = rangeBreach(ranges[r.metric], r.value);
+    if (direction) {
+      breaches.push({ ...r, min: ranges[r.metric].min ?? null, max: ranges[r.metric].max ?? null, direction });
+    }
+  }
+  return breaches;
+}
+
+// ── Series ───────────────────────────────────────────────────────────
+
+/**
+ * Chart points from buckets, oldest first: [{ at, resolution, temperature, … }]
+ * with each metric's average over its bucket. Where an hour is also covered
+ * by a daily rollup, the hourly bucket wins.
+ */
+export function conditionSeries(buckets) {
+  const hourlyDays = new Set(buckets.filter((b) => b.resolution === 'hour').map((b) => b.start.slice(0, 10)));
+  return buckets
+    .filter((b) => b.resolution === 'hour' || !hourlyDays.has(b.start.slice(0, 10)))
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map((b) => ({
+      at: b.start,
+      resolution: b.resolution,
+      ...Object.fromEntries(Object.entries(b.metrics || {})
+        .filter(([, agg]) => agg.count > 0)
+        .map(([metric, agg]) => [metric, Math.round((agg.sum / agg.count) * 10) / 10])),
+    }));
+}
+
+/**
+ * Per-metric summary of what a batch experienced:
+ * { [metric]: { min, max, avg, readings } } for metrics with data.
+ */
+export function conditionSummary(buckets) {
+  const totals = {};
+  for (const b of buckets) {
+    for (const [metric, agg] of Object.entries(b.metrics || {})) {
+      if (agg.count > 0) totals[metric] = addToMetric(totals[metric], agg);
+    }
+  }
+  return Object.fromEntries(Object.entries(totals).map(([metric, t]) => [metric, {
+    min: t.min, max: t.max, avg: Math.round((t.sum / t.count) * 10) / 10, readings: t.count,
+  }]));
+}
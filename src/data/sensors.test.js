@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_READINGS_PER_POST,
+  parseReadings,
+  bucketId,
+  addReadingsToBucket,
+  rollUpDay,
+  batchesInZone,
+  zoneRanges,
+  rangeBreach,
+  findRangeBreaches,
+  conditionSeries,
+} from './sensors.js';
+
+const now = new Date('2026-05-10T12:00:00Z');
+
+describe('parseReadings', () => {
+  it('reads a list of readings, defaulting the time to now', () => {
+    expect(parseReadings({ readings: [
+      { metric: 'temperature', value: '71.5', at: '2026-05-10T11:55:00Z' },
+      { metric: 'humidity', value: 60 },
+    ] }, now)).toEqual({
+      readings: [
+        { metric: 'temperature', value: 71.5, at: '2026-05-10T11:55:00.000Z' },
+        { metric: 'humidity', value: 60, at: '2026-05-10T12:00:00.000Z' },
+      ],
+      errors: [],
+    });
+  });
+
+  it('reads one device sample', () => {
+    expect(parseReadings({ at: '2026-05-10T11:00:00Z', temperature: 70, co2: 900 }, now).readings).toEqual([
+      { metric: 'temperature', value: 70, at: '2026-05-10T11:00:00.000Z' },
+      { metric: 'co2', value: 900, at: '2026-05-10T11:00:00.000Z' },
+    ]);
+  });
+
+  it('reports bad entries without dropping the good ones', () => {
+    const { readings, errors } = parseReadings({ readings: [
+      { metric: 'ph', value: 6 },
+      { metric: 'humidity', value: 140 },
+      { metric: 'humidity', value: '' },
+      { metric: 'temperature', value: 70, at: 'soon' },
+      { metric: 'temperature', value: 70, at: '2026-05-10T13:00:00Z' },
+      { metric: 'temperature', value: 70, at: '2026-01-01T00:00:00Z' },
+      { metric: 'light', value: 300 },
+    ] }, now);
+    expect(readings.map((r) => r.metric)).toEqual(['light']);
+    expect(errors).toEqual([
+      'Unknown metric "ph"',
+      'humidity: value out of bounds (140)',
+      'humidity: value out of bounds ()',
+      'temperature: invalid timestamp',
+      'temperature: timestamp in the future',
+      'temperature: timestamp too old',
+    ]);
+  });
+
+  it('caps the readings taken from one post', () => {
+    const readings = Array.from({ length: MAX_READINGS_PER_POST + 1 }, () => ({ metric: 'co2', value: 800 }));
+    const result = parseReadings({ readings }, now);
+    expect(result.readings).toHaveLength(MAX_READINGS_PER_POST);
+    expect(result.errors).toEqual([`Only the first ${MAX_READINGS_PER_POST} readings were accepted`]);
+  });
+});
+
+describe('buckets', () => {
+  const readings = [
+    { metric: 'temperature', value: 70, at: '2026-05-10T11:10:00.000Z' },
+    { metric: 'temperature', value: 74, at: '2026-05-10T11:40:00.000Z' },
+  ];
+
+  it('names buckets per zone and hour or day', () => {
+    expect(bucketId('z1', '2026-05-10T11:40:00Z')).toBe('z1__2026-05-10T11');
+    expect(bucketId('z1', '2026-05-10T11:40:00Z', 'day')).toBe('z1__2026-05-10');
+  });
+
+  it('aggregates readings and keeps raw ones while they are fresh', () => {
+    const bucket = addReadingsToBucket(null, {
+      zoneId: 'z1', start: '2026-05-10T11:00:00.000Z', readings, deviceId: 'd1', batchIds: ['b1'], now,
+    });
+    expect(bucket.metrics.temperature).toEqual({ count: 2, sum: 144, min: 70, max: 74 });
+    expect(bucket.readings).toHaveLength(2);
+    expect(bucket.readings[0].deviceId).toBe('d1');
+    expect(bucket.end).toBe('2026-05-10T12:00:00.000Z');
+
+    const late = addReadingsToBucket(bucket, { readings, batchIds: ['b1', 'b2'], now: new Date('2026-05-30T00:00:00Z') });
+    expect(late.metrics.temperature.count).toBe(4);
+    expect(late.readings).toHaveLength(2);
+    expect(late.batchIds).toEqual(['b1', 'b2']);
+  });
+
+  it('rolls a day of hourly buckets into one', () => {
+    const hour = (start, batchIds, temperature) => ({ zoneId: 'z1', start, batchIds, metrics: { temperature } });
+    const daily = rollUpDay(null, [
+      hour('2026-05-10T01:00:00.000Z', ['b1'], { count: 2, sum: 140, min: 69, max: 71 }),
+      hour('2026-05-10T02:00:00.000Z', ['b1', 'b2'], { count: 1, sum: 76, min: 76, max: 76 }),
+    ]);
+    expect(daily).toMatchObject({
+      resolution: 'day', start: '2026-05-10T00:00:00.000Z', batchIds: ['b1', 'b2'],
+      metrics: { temperature: { count: 3, sum: 216, min: 69, max: 76 } },
+    });
+    expect(daily.readings).toBeUndefined();
+  });
+
+  it('links a bucket only to batches already in the zone', () => {
+    const batches = [
+      { id: 'b1', location: { zoneId: 'z1' }, locationUpdatedAt: '2026-05-09T08:00:00.000Z' },
+      { id: 'b2', location: { zoneId: 'z1' }, locationUpdatedAt: '2026-05-10T11:30:00.000Z' },
+      { id: 'b3', location: { zoneId: 'z1' },
+        stageHistory: [{ location: { zoneId: 'z1' }, enteredAt: '2026-05-10T13:00:00.000Z' }] },
+      { id: 'b4', location: { zoneId: 'z2' } },
+    ];
+    expect(batchesInZone(batches, 'z1', '2026-05-10T12:00:00.000Z')).toEqual(['b1', 'b2']);
+  });
+
+  it('prefers hourly buckets over a rollup of the same day', () => {
+    const series = conditionSeries([
+      { resolution: 'day', start: '2026-05-10T00:00:00.000Z', metrics: { temperature: { count: 3, sum: 210 } } },
+      { resolution: 'hour', start: '2026-05-10T11:00:00.000Z', metrics: { temperature: { count: 3, sum: 217 } } },
+      { resolution: 'day', start: '2026-05-09T00:00:00.000Z', metrics: { temperature: { count: 1, sum: 68 } } },
+    ]);
+    expect(series).toEqual([
+      { at: '2026-05-09T00:00:00.000Z', resolution: 'day', temperature: 68 },
+      { at: '2026-05-10T11:00:00.000Z', resolution: 'hour', temperature: 72.3 },
+    ]);
+  });
+});
+
+describe('ranges', () => {
+  const settings = { zones: { z1: { temperature: { min: 60, max: 70 }, humidity: null } } };
+
+  it('uses zone ranges over the defaults, and null turns a metric off', () => {
+    expect(zoneRanges(settings, 'z1')).toEqual({
+      temperature: { min: 60, max: 70 }, humidity: null, co2: { min: 400, max: 1500 }, light: null,
+    });
+    expect(zoneRanges(settings, 'z2').temperature).toEqual({ min: 65, max: 78 });
+  });
+
+  it('checks open-ended ranges', () => {
+    expect(rangeBreach({ min: 60 }, 59)).toBe('low');
+    expect(rangeBreach({ min: 60 }, 900)).toBeNull();
+    expect(rangeBreach({ max: 70 }, 71)).toBe('high');
+    expect(rangeBreach(null, 1000)).toBeNull();
+  });
+
+  it('alerts on the latest reading of each metric only', () => {
+    expect(findRangeBreaches(settings, 'z1', [
+      { metric: 'temperature', value: 80, at: '2026-05-10T11:00:00.000Z' },
+      { metric: 'temperature', value: 65, at: '2026-05-10T11:30:00.000Z' },
+      { metric: 'humidity', value: 95, at: '2026-05-10T11:30:00.000Z' },
+      { metric: 'co2', value: 300, at: '2026-05-10T11:00:00.000Z' },
+      { metric: 'co2', value: 350, at: '2026-05-10T11:30:00.000Z' },
+    ])).toEqual([
+      { metric: 'co2', value: 350, at: '2026-05-10T11:30:00.000Z', min: 400, max: 1500, direction: 'low' },
+    ]);
+  });
+});
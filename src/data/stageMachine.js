@@ -0,0 +1,346 @@
+/**
+ * Stage machine — the single batch lifecycle definition per crop category.
+ *
+ * Every batch view (CrewDailyBoard, BatchTracker, FarmDashboard, GrowthTracker,
+ * pipelineUtils, …) and batchService.advanceBatchStageWithLog read stages from
+ * here instead of keeping their own lists. Farms can override a category's
+ * definition; overrides live at farms/{farmId}/settings/stageMachine:
+ *
+ *   { categories: { microgreens: { sowStage, stages: [...], aliases }, ... } }
+ *
+ * A category definition:
+ *   sowStage        — stage a batch enters when it is physically planted
+ *   defaultGrowDays — fallback when a variety has no growDays
+ *   aliases         — legacy/renamed stage IDs → current stage ID
+ *   stages[]        — display order; each stage:
+ *     { id, label, description, emoji, color,
+ *       next: [stageId, …]   allowed transitions (first = default)
+ *       expectedDays         number | { variety, default } | { remainder: true } | null
+ *       recordDaysAs         batch field that stores actual days spent in the stage
+ *       dateField            batch date field that says when the stage is due (soakDate, …)
+ *       fields: [{ key, label, type }]  data captured when entering the stage
+ *       harvestable, terminal }
+ *
+ * Pure functions only — shared with the serverless API (api/migrate-batch-stages.js),
+ * so keep this file free of Firebase/React imports.
+ */
+
+export const PLANNED_STAGE = 'planned';
+export const HARVESTED_STAGE = 'harvested';
+
+/** Error code set on rejected stage moves — check with isStageTransitionError(). */
+export const STAGE_TRANSITION_ERROR = 'invalid-stage-transition';
+
+const planned = (next, description = 'Scheduled, not yet started') => ({
+  id: PLANNED_STAGE, label: 'Planned', description, emoji: '📝', color: 'gray',
+  next, expectedDays: null,
+});
+
+const harvested = (description) => ({
+  id: HARVESTED_STAGE, label: 'Harvested', description, emoji: '✅', color: 'purple',
+  next: [], expectedDays: null, terminal: true,
+});
+
+export const DEFAULT_STAGE_MACHINES = {
+  microgreens: {
+    sowStage: 'germination',
+    defaultGrowDays: 10,
+    // BatchTracker's original planned → soaking → sown → germinating → growing flow
+    aliases: { sown: 'germination', germinating: 'blackout', growing: 'light' },
+    stages: [
+      planned(['soaking', 'germination']),
+      { id: 'soaking', label: 'Soaking', description: 'Seed presoaking before sowing', emoji: '💧', color: 'blue',
+        next: ['germination'], expectedDays: 1, dateField: 'soakDate',
+        fields: [{ key: 'soakHours', label: 'Soak hours', type: 'number' }] },
+      { id: 'germination', label: 'Germination', description: 'Seeds planted, blackout dome on', emoji: '🌱', color: 'lime',
+        next: ['blackout', 'light'], expectedDays: 2, recordDaysAs: 'actualGerminationDays', dateField: 'sowDate' },
+      { id: 'blackout', label: 'Blackout', description: 'Growing under weight/dome, no light', emoji: '⬛', color: 'slate',
+        next: ['light'], expectedDays: { variety: 'blackoutDays', default: 3 }, recordDaysAs: 'actualBlackoutDays' },
+      { id: 'light', label: 'Under Lights', description: 'Dome removed, under grow lights', emoji: '☀️', color: 'yellow',
+        next: ['ready'], expectedDays: { remainder: true }, dateField: 'uncoverDate',
+        fields: [{ key: 'lightHours', label: 'Light hours / day', type: 'number' }] },
+      { id: 'ready', label: 'Ready to Harvest', description: 'Within optimal harvest window', emoji: '🌾', color: 'red',
+        next: [HARVESTED_STAGE], expectedDays: { variety: 'harvestWindow', default: 3 }, harvestable: true,
+        dateField: 'estimatedHarvestStart' },
+      harvested('Cut and packed'),
+    ],
+  },
+  leafyGreens: {
+    sowStage: 'seedling',
+    defaultGrowDays: 30,
+    aliases: { soaking: PLANNED_STAGE, sown: 'seedling', germinating: 'seedling' },
+    stages: [
+      planned(['seedling']),
+      { id: 'seedling', label: 'Seedling', description: 'Germinating in starter plugs', emoji: '🌱', color: 'emerald',
+        next: ['transplant'], expectedDays: 7, recordDaysAs: 'actualGerminationDays', dateField: 'sowDate' },
+      { id: 'transplant', label: 'Transplanted', description: 'Moved to Harvest Today wall', emoji: '🪴', color: 'teal',
+        next: ['growing'], expectedDays: 2,
+        fields: [{ key: 'transplantCount', label: 'Plants transplanted', type: 'number' }] },
+      { id: 'growing', label: 'Growing', description: 'Active growth in wall system', emoji: '🥬', color: 'green',
+        next: ['ready'], expectedDays: { remainder: true } },
+      { id: 'ready', label: 'Ready to Harvest', description: 'Within optimal harvest window', emoji: '🌾', color: 'red',
+        next: [HARVESTED_STAGE], expectedDays: { variety: 'harvestWindow', default: 5 }, harvestable: true,
+        dateField: 'estimatedHarvestStart' },
+      harvested('Cut — may regrow (cut-and-come-again)'),
+    ],
+  },
+  herbs: {
+    sowStage: 'seedling',
+    defaultGrowDays: 28,
+    aliases: { soaking: PLANNED_STAGE, sown: 'seedling', germinating: 'seedling' },
+    stages: [
+      planned(['seedling']),
+      { id: 'seedling', label: 'Seedling', description: 'Germinating in starter plugs', emoji: '🌱', color: 'emerald',
+        next: ['transplant'], expectedDays: 7, recordDaysAs: 'actualGerminationDays', dateField: 'sowDate' },
+      { id: 'transplant', label: 'Transplanted', description: 'Moved to Harvest Today wall', emoji: '🪴', color: 'teal',
+        next: ['growing'], expectedDays: 2,
+        fields: [{ key: 'transplantCount', label: 'Plants transplanted', type: 'number' }] },
+      { id: 'growing', label: 'Growing', description: 'Active growth', emoji: '🌿', color: 'green',
+        next: ['ready'], expectedDays: { remainder: true } },
+      { id: 'ready', label: 'Ready to Harvest', description: 'Mature enough for first cut', emoji: '🌾', color: 'red',
+        next: [HARVESTED_STAGE], expectedDays: { variety: 'harvestWindow', default: 7 }, harvestable: true,
+        dateField: 'estimatedHarvestStart' },
+      harvested('Cut — will regrow'),
+    ],
+  },
+  mushrooms: {
+    sowStage: 'inoculation',
+    defaultGrowDays: 24,
+    aliases: { soaking: PLANNED_STAGE, sown: 'inoculation', germinating: 'incubation', growing: 'fruiting', ready: 'fruiting' },
+    stages: [
+      planned(['inoculation']),
+      { id: 'inoculation', label: 'Inoculation', description: 'Substrate inoculated with spawn', emoji: '🧫', color: 'violet',
+        next: ['incubation'], expectedDays: 3, dateField: 'sowDate',
+        fields: [{ key: 'spawnRate', label: 'Spawn rate (%)', type: 'number' }] },
+      { id: 'incubation', label: 'Incubation', description: 'Mycelium colonizing substrate', emoji: '🍄', color: 'purple',
+        next: ['pinning'], expectedDays: 14 },
+      { id: 'pinning', label: 'Pinning', description: 'Pins forming, ready for fruiting conditions', emoji: '📍', color: 'pink',
+        next: ['fruiting'], expectedDays: 3 },
+      { id: 'fruiting', label: 'Fruiting', description: 'Active mushroom growth', emoji: '🍄', color: 'orange',
+        next: [HARVESTED_STAGE], expectedDays: { variety: 'harvestWindow', default: 3 }, harvestable: true,
+        dateField: 'estimatedHarvestStart' },
+      harvested('Flush harvested — may produce more flushes'),
+    ],
+  },
+};
+
+export const DEFAULT_CATEGORY = 'microgreens';
+
+// ── Definitions ───────────────────────────────────────────────────────
+
+/**
+ * Check a category definition. Returns a list of problems (empty = valid).
+ */
+export function validateStageMachine(def) {
+  const errors = [];
+  const stages = Array.isArray(def?.stages) ? def.stages : [];
+  if (stages.length === 0) return ['At least one stage is required'];
+
+  const ids = new Set();
+  for (const s of stages) {
+    if (!s?.id) { errors.push('Every stage needs an id'); continue; }
+    if (ids.has(s.id)) errors.push(`Duplicate stage "${s.id}"`);
+    ids.add(s.id);
+  }
+  for (const s of stages) {
+    for (const to of s.next || []) {
+      if (!ids.has(to)) errors.push(`"${s.id}" moves to unknown stage "${to}"`);
+    }
+    if (!s.terminal && !(s.next || []).length) errors.push(`"${s.id}" has no next stage`);
+  }
+  if (!ids.has(def.sowStage)) errors.push(`Sow stage "${def.sowStage}" is not defined`);
+  if (!ids.has(HARVESTED_STAGE)) errors.push(`A "${HARVESTED_STAGE}" stage is required`);
+  if (!stages.some((s) => s.harvestable)) errors.push('At least one stage must be harvestable');
+  for (const [from, to] of Object.entries(def.aliases || {})) {
+    if (!ids.has(to)) errors.push(`Alias "${from}" points to unknown stage "${to}"`);
+  }
+  return errors;
+}
+
+/**
+ * Merge a farm's stored overrides over the defaults. Invalid overrides are
+ * ignored so a bad edit can never leave batches without a lifecycle.
+ */
+export function resolveStageMachines(settings) {
+  const machines = { ...DEFAULT_STAGE_MACHINES };
+  for (const [category, def] of Object.entries(settings?.categories || {})) {
+    if (!def) continue;
+    const errors = validateStageMachine(def);
+    if (errors.length) {
+      console.warn(`[stageMachine] ignoring invalid ${category} override:`, errors);
+      continue;
+    }
+    machines[category] = def;
+  }
+  return machines;
+}
+
+export function getStageMachine(machines, category) {
+  const all = machines || DEFAULT_STAGE_MACHINES;
+  return all[category] || all[DEFAULT_CATEGORY] || DEFAULT_STAGE_MACHINES[DEFAULT_CATEGORY];
+}
+
+// ── Stage lookup ──────────────────────────────────────────────────────
+
+/**
+ * Map a stored stage value to the category's current stage ID.
+ * Follows aliases for legacy values; returns null when unrecognized.
+ */
+export function normalizeStageId(machines, category, stageId) {
+  const machine = getStageMachine(machines, category);
+  if (!stageId) return null;
+  if (machine.stages.some((s) => s.id === stageId)) return stageId;
+  return machine.aliases?.[stageId] ?? null;
+}
+
+export function getStageDef(machines, category, stageId) {
+  const machine = getStageMachine(machines, category);
+  const id = normalizeStageId(machines, category, stageId);
+  return machine.stages.find((s) => s.id === id) || null;
+}
+
+/**
+ * The batch's current stage definition. Batches with no stage yet are planned.
+ */
+export function getBatchStage(machines, batch) {
+  return getStageDef(machines, batch.cropCategory, batch.stage || PLANNED_STAGE);
+}
+
+/** Current stage ID for a batch, with legacy values normalized. */
+export function getBatchStageId(machines, batch) {
+  return getBatchStage(machines, batch)?.id ?? batch.stage ?? PLANNED_STAGE;
+}
+
+/**
+ * Human label for a stage. Without a category, the first category that
+ * defines the stage wins — fine for mixed lists like stageHistory feeds.
+ */
+export function getStageLabel(machines, category, stageId) {
+  if (category) return getStageDef(machines, category, stageId)?.label || stageId;
+  for (const cat of Object.keys(machines || DEFAULT_STAGE_MACHINES)) {
+    const def = getStageDef(machines, cat, stageId);
+    if (def) return def.label;
+  }
+  return stageId;
+}
+
+export function isHarvestableStage(machines, batch) {
+  return !!getBatchStage(machines, batch)?.harvestable;
+}
+
+export function isTerminalStage(machines, batch) {
+  return !!getBatchStage(machines, batch)?.terminal;
+}
+
+/** Stage IDs that mean "just planted", across every category. */
+export function getSowStageIds(machines) {
+  return new Set(Object.values(machines || DEFAULT_STAGE_MACHINES).map((m) => m.sowStage));
+}
+
+/**
+ * Ordered list of distinct stage IDs across categories, for grouped views.
+ * Planned and harvested are left out unless includeEnds is set.
+ */
+export function getStageOrder(machines, { includeEnds = false } = {}) {
+  const order = [];
+  for (const m of Object.values(machines || DEFAULT_STAGE_MACHINES)) {
+    for (const s of m.stages) {
+      if (!includeEnds && (s.id === PLANNED_STAGE || s.terminal)) continue;
+      if (!order.includes(s.id)) order.push(s.id);
+    }
+  }
+  // Harvestable stages sort last so "ready" lands at the end of the funnel
+  const harvestable = new Set(Object.values(machines || DEFAULT_STAGE_MACHINES)
+    .flatMap((m) => m.stages.filter((s) => s.harvestable).map((s) => s.id)));
+  return [...order.filter((id) => !harvestable.has(id)), ...order.filter((id) => harvestable.has(id))];
+}
+
+// ── Durations ─────────────────────────────────────────────────────────
+
+function rawExpectedDays(stage, variety) {
+  const spec = stage?.expectedDays;
+  if (spec == null || spec.remainder) return null;
+  if (typeof spec === 'number') return spec;
+  if (spec.variety) return variety?.[spec.variety] ?? spec.default ?? null;
+  return null;
+}
+
+/**
+ * Expected days in a stage for a variety. `{ remainder: true }` stages get
+ * whatever is left of growDays after the other timed stages between sowing
+ * and harvest. Returns null for untimed stages (planned, harvested).
+ */
+export function getExpectedDays(machines, category, stageId, variety) {
+  const machine = getStageMachine(machines, category);
+  const stage = getStageDef(machines, category, stageId);
+  if (!stage) return null;
+  if (!stage.expectedDays?.remainder) return rawExpectedDays(stage, variety);
+
+  const sowIdx = machine.stages.findIndex((s) => s.id === machine.sowStage);
+  const growing = machine.stages.slice(Math.max(0, sowIdx))
+    .filter((s) => s.id !== stage.id && !s.harvestable && !s.terminal);
+  // Skipped stages (e.g. no blackout for a variety) don't consume grow days
+  const used = growing.reduce((sum, s) => sum + (rawExpectedDays(s, variety) || 0), 0);
+  const growDays = variety?.growDays ?? machine.defaultGrowDays ?? 10;
+  return Math.max(1, growDays - used);
+}
+
+// ── Transitions ───────────────────────────────────────────────────────
+
+/** Stages a batch may move to from where it is now. */
+export function getAllowedTransitions(machines, batch) {
+  const machine = getStageMachine(machines, batch.cropCategory);
+  const current = getBatchStage(machines, batch);
+  if (!current) return [];
+  return (current.next || [])
+    .map((id) => machine.stages.find((s) => s.id === id))
+    .filter(Boolean);
+}
+
+export function canTransition(machines, batch, toStageId) {
+  return getAllowedTransitions(machines, batch).some((s) => s.id === toStageId);
+}
+
+/**
+ * Default next stage for one-tap advances. Skips optional stages the variety
+ * doesn't use (expectedDays resolves to 0, e.g. blackoutDays: 0).
+ */
+export function getNextStage(machines, batch, variety) {
+  const options = getAllowedTransitions(machines, batch);
+  const used = options.find((s) =>
+    getExpectedDays(machines, batch.cropCategory, s.id, variety) !== 0);
+  return used || options[0] || null;
+}
+
+export function stageTransitionError(from, to) {
+  const err = new Error(`Can't move a batch from "${from}" to "${to}"`);
+  err.code = STAGE_TRANSITION_ERROR;
+  return err;
+}
+
+export function isStageTransitionError(err) {
+  return err?.code === STAGE_TRANSITION_ERROR;
+}
+
+// ── Legacy migration ──────────────────────────────────────────────────
+
+/**
+ * Rewrite a batch's stage and stageHistory to current stage IDs.
+ * Returns { updates, unmapped } or null when nothing changes. A stage no
+ * alias covers is left as-is and flagged `unmapped` for manual review.
+ */
+export function migrateBatchStage(machines, batch) {
+  const map = (id) => normalizeStageId(machines, batch.cropCategory, id) || id;
+  const stage = map(batch.stage || PLANNED_STAGE);
+  const history = batch.stageHistory || [];
+  const mappedHistory = history.map((h) => ({ ...h, stage: map(h.stage) }));
+
+  const changed = stage !== batch.stage ||
+    mappedHistory.some((h, i) => h.stage !== history[i].stage);
+  if (!changed) return null;
+
+  return {
+    updates: { stage, stageHistory: mappedHistory },
+    unmapped: !getStageDef(machines, batch.cropCategory, stage),
+  };
+}
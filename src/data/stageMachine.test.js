@@ -0,0 +1,156 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_STAGE_MACHINES,
+  HARVESTED_STAGE,
+  PLANNED_STAGE,
+  validateStageMachine,
+  resolveStageMachines,
+  normalizeStageId,
+  getBatchStageId,
+  getAllowedTransitions,
+  canTransition,
+  getNextStage,
+  getExpectedDays,
+  getStageOrder,
+  migrateBatchStage,
+  stageTransitionError,
+  isStageTransitionError,
+} from './stageMachine.js';
+
+const machines = DEFAULT_STAGE_MACHINES;
+const micro = (stage, extra = {}) => ({ cropCategory: 'microgreens', stage, ...extra });
+
+describe('validateStageMachine', () => {
+  it('accepts every default definition', () => {
+    for (const def of Object.values(DEFAULT_STAGE_MACHINES)) {
+      expect(validateStageMachine(def)).toEqual([]);
+    }
+  });
+
+  it('reports unknown targets, dead ends and missing required stages', () => {
+    const errors = validateStageMachine({
+      sowStage: 'sown',
+      stages: [
+        { id: 'planned', next: ['sown'] },
+        { id: 'sown', next: ['nowhere'] },
+        { id: 'stuck' },
+      ],
+      aliases: { old: 'gone' },
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      '"sown" moves to unknown stage "nowhere"',
+      '"stuck" has no next stage',
+      `A "${HARVESTED_STAGE}" stage is required`,
+      'At least one stage must be harvestable',
+      'Alias "old" points to unknown stage "gone"',
+    ]));
+  });
+
+  it('requires at least one stage', () => {
+    expect(validateStageMachine({ stages: [] })).toEqual(['At least one stage is required']);
+  });
+});
+
+describe('resolveStageMachines', () => {
+  it('applies valid overrides and ignores invalid ones', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const custom = {
+      sowStage: 'sown',
+      stages: [
+        { id: PLANNED_STAGE, next: ['sown'] },
+        { id: 'sown', next: [HARVESTED_STAGE], harvestable: true },
+        { id: HARVESTED_STAGE, next: [], terminal: true },
+      ],
+    };
+    const resolved = resolveStageMachines({ categories: { herbs: custom, mushrooms: { stages: [] } } });
+    expect(resolved.herbs).toBe(custom);
+    expect(resolved.mushrooms).toBe(DEFAULT_STAGE_MACHINES.mushrooms);
+    expect(warn).toHaveBeenCalledOnce();
+    warn.mockRestore();
+  });
+});
+
+describe('stage lookup', () => {
+  it('follows aliases for legacy stage IDs', () => {
+    expect(normalizeStageId(machines, 'microgreens', 'germinating')).toBe('blackout');
+    expect(normalizeStageId(machines, 'mushrooms', 'ready')).toBe('fruiting');
+    expect(normalizeStageId(machines, 'microgreens', 'bogus')).toBeNull();
+  });
+
+  it('treats a batch without a stage as planned', () => {
+    expect(getBatchStageId(machines, { cropCategory: 'microgreens' })).toBe(PLANNED_STAGE);
+  });
+});
+
+describe('transitions', () => {
+  it('lists the allowed next stages in order', () => {
+    expect(getAllowedTransitions(machines, micro('germination')).map((s) => s.id)).toEqual(['blackout', 'light']);
+  });
+
+  it('allows only defined moves', () => {
+    expect(canTransition(machines, micro('light'), 'ready')).toBe(true);
+    expect(canTransition(machines, micro('light'), HARVESTED_STAGE)).toBe(false);
+    expect(canTransition(machines, micro(HARVESTED_STAGE), 'light')).toBe(false);
+  });
+
+  it('moves legacy stages along their current definition', () => {
+    expect(canTransition(machines, micro('sown'), 'blackout')).toBe(true);
+  });
+
+  it('skips stages a variety does not use', () => {
+    expect(getNextStage(machines, micro('germination'), { blackoutDays: 3 }).id).toBe('blackout');
+    expect(getNextStage(machines, micro('germination'), { blackoutDays: 0 }).id).toBe('light');
+  });
+
+  it('has no next stage once harvested', () => {
+    expect(getNextStage(machines, micro(HARVESTED_STAGE), {})).toBeNull();
+  });
+
+  it('builds coded transition errors', () => {
+    const err = stageTransitionError('light', HARVESTED_STAGE);
+    expect(isStageTransitionError(err)).toBe(true);
+    expect(err.message).toMatch(/"light" to "harvested"/);
+  });
+});
+
+describe('getExpectedDays', () => {
+  it('reads variety fields with a default', () => {
+    expect(getExpectedDays(machines, 'microgreens', 'blackout', { blackoutDays: 4 })).toBe(4);
+    expect(getExpectedDays(machines, 'microgreens', 'blackout', {})).toBe(3);
+  });
+
+  it('gives remainder stages what is left of growDays', () => {
+    // germination 2 + blackout 3 → light gets 10 - 5
+    expect(getExpectedDays(machines, 'microgreens', 'light', { growDays: 10, blackoutDays: 3 })).toBe(5);
+    expect(getExpectedDays(machines, 'microgreens', 'light', { growDays: 4, blackoutDays: 3 })).toBe(1);
+  });
+
+  it('is null for untimed stages', () => {
+    expect(getExpectedDays(machines, 'microgreens', PLANNED_STAGE, {})).toBeNull();
+  });
+});
+
+describe('getStageOrder', () => {
+  it('puts harvestable stages last and leaves out the ends', () => {
+    const order = getStageOrder(machines);
+    expect(order).not.toContain(PLANNED_STAGE);
+    expect(order).not.toContain(HARVESTED_STAGE);
+    expect(order.slice(-2)).toEqual(['ready', 'fruiting']);
+  });
+});
+
+describe('migrateBatchStage', () => {
+  it('rewrites legacy stage and history IDs', () => {
+    const result = migrateBatchStage(machines, micro('growing', {
+      stageHistory: [{ stage: 'sown' }, { stage: 'growing' }],
+    }));
+    expect(result.updates.stage).toBe('light');
+    expect(result.updates.stageHistory.map((h) => h.stage)).toEqual(['germination', 'light']);
+    expect(result.unmapped).toBe(false);
+  });
+
+  it('returns null when nothing changes and flags unknown stages', () => {
+    expect(migrateBatchStage(machines, micro('light', { stageHistory: [{ stage: 'light' }] }))).toBeNull();
+    expect(migrateBatchStage(machines, micro('mystery', { stageHistory: [{ stage: 'sown' }] })).unmapped).toBe(true);
+  });
+});
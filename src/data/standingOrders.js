@@ -0,0 +1,153 @@
+/**
+ * Standing orders — a chef's recurring weekly order.
+ *
+ * Stored at farms/{farmId}/standingOrders/{id}:
+ *   { customerId, customerName, customerEmail,
+ *     items: [{ productId, name, category, unit, quantity }],  — no prices
+ *     weekday: 0–6 (Sun–Sat), startDate, endDate | null,
+ *     skipDates: ['YYYY-MM-DD'], status: 'active' | 'paused',
+ *     specialInstructions,
+ *     heldDeliveries: { 'YYYY-MM-DD': reason } }  — server-written
+ *
+ * The harvest-plan cron (api/_lib/standingOrders.js) turns each delivery
+ * into a real order STANDING_ORDER_LEAD_DAYS ahead, confirmed straight away
+ * so the harvest planner sows for it. It's checked like any chef order
+ * (orderRules.js): lines are re-priced server-side, lines that can't be sold
+ * or aren't available are dropped, and a delivery that still fails the
+ * date, minimum or plan checks is held rather than placed. Those orders
+ * have the deterministic ID standingOrderDocId(id, date) and carry
+ * standingOrderId, so a rerun never places a delivery twice. Skipping a
+ * delivery that's already placed cancels its order (skipped: true);
+ * un-skipping it before the date puts it back, after the same checks.
+ *
+ * The learning engine counts active standing orders as committed demand
+ * (committedDemand) on the customer's crop stats.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { expandLineItem } from './productMapping.js';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** Days before delivery a standing order becomes a real order. */
+export const STANDING_ORDER_LEAD_DAYS = 14;
+
+/** Most lines a standing order can hold (firestore.rules checks each one). */
+export const STANDING_ORDER_MAX_LINES = 30;
+
+/** The only line fields a chef may save — prices are set when it's placed. */
+export const STANDING_ORDER_ITEM_FIELDS = ['productId', 'name', 'category', 'unit', 'quantity'];
+
+/** Cart or order lines trimmed to STANDING_ORDER_ITEM_FIELDS. */
+export const standingOrderItems = (items = []) => items.map((item) => Object.fromEntries(
+  STANDING_ORDER_ITEM_FIELDS.filter((k) => item[k] !== undefined).map((k) => [k, item[k]]),
+));
+
+const DAY_MS = 86400000;
+
+/** 'YYYY-MM-DD' shifted by n days. */
+export function addDays(date, n) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setTime(d.getTime() + n * DAY_MS);
+  return d.toISOString().slice(0, 10);
+}
+
+/** 0–6 weekday of a 'YYYY-MM-DD' date. */
+export const weekdayOf = (date) => new Date(`${date}T12:00:00Z`).getUTCDay();
+
+/** ID of the order a standing order places for a delivery date. */
+export const standingOrderDocId = (standingOrderId, date) => `so_${standingOrderId}_${date}`;
+
+/** Order total of a standing order's items. */
+export const standingOrderTotal = (items = []) =>
+  Math.round(items.reduce((s, i) => s + (Number(i.pricePerUnit) || 0) * (Number(i.quantity) || 0), 0) * 100) / 100;
+
+/**
+ * The standing order's delivery dates from `from` to `to` (inclusive),
+ * within its start/end dates. Skipped dates are included — see isSkipped.
+ */
+export function deliveryDates(so, from, to) {
+  const start = so.startDate && so.startDate > from ? so.startDate : from;
+  const end = so.endDate && so.endDate < to ? so.endDate : to;
+  if (!start || !end || end < start || !(so.weekday >= 0 && so.weekday <= 6)) return [];
+  let date = addDays(start, (so.weekday - weekdayOf(start) + 7) % 7);
+  const out = [];
+  while (date <= end) {
+    out.push(date);
+    date = addDays(date, 7);
+  }
+  return out;
+}
+
+export const isSkipped = (so, date) => (so.skipDates || []).includes(date);
+
+/**
+ * The next `count` deliveries from today: [{ date, skipped, order }], where
+ * order is the order already placed for it (from the chef's orders), if any.
+ * Paused standing orders still list them so the chef can see what resumes.
+ */
+export function upcomingDeliveries(so, today, orders = [], count = 4) {
+  return deliveryDates(so, today, addDays(today, count * 7)).slice(0, count).map((date) => ({
+    date,
+    skipped: isSkipped(so, date),
+    held:    so.heldDeliveries?.[date] || null,
+    order:   orders.find((o) => o.standingOrderId === so.id && o.requestedDeliveryDate === date) || null,
+  }));
+}
+
+/**
+ * Deliveries that should have an order by now: active, not skipped, from
+ * today to today + leadDays. Placing is idempotent, so these are re-checked
+ * on every run.
+ */
+export function dueDeliveries(so, today, leadDays = STANDING_ORDER_LEAD_DAYS) {
+  if (so.status !== 'active' || !so.items?.length) return [];
+  return deliveryDates(so, today, addDays(today, leadDays)).filter((date) => !isSkipped(so, date));
+}
+
+/**
+ * Order fields for one delivery. items are the standing order's lines as
+ * priced on the day it's placed (orderRules.js priceOrderItems) — the prices
+ * saved on the standing order are never used.
+ */
+export function standingOrderFields(so, soId, date, items) {
+  return {
+    customerId:            so.customerId,
+    customerName:          so.customerName || null,
+    customerEmail:         so.customerEmail || null,
+    items,
+    total:                 standingOrderTotal(items),
+    requestedDeliveryDate: date,
+    specialInstructions:   so.specialInstructions || '',
+    source:                'standing-order',
+    standingOrderId:       soId,
+    status:                'confirmed',
+  };
+}
+
+/**
+ * Committed demand from active standing orders.
+ * Returns [{ standingOrderId, customerEmail, customerId, customerName, item,
+ *   quantity, crops: [{ cropId, oz }] }] — one row per line, quantities
+ * per week (one delivery a week).
+ */
+export function committedDemand(standingOrders, mappingIndex, today) {
+  const rows = [];
+  for (const so of standingOrders) {
+    if (so.status !== 'active' || (so.endDate && so.endDate < today)) continue;
+    for (const item of so.items || []) {
+      const quantity = Number(item.quantity) || 0;
+      if (!(quantity > 0)) continue;
+      rows.push({
+        standingOrderId: so.id,
+        customerEmail:   so.customerEmail || null,
+        customerId:      so.customerId || null,
+        customerName:    so.customerName || null,
+        item,
+        quantity,
+        crops:           expandLineItem(mappingIndex, item).crops,
+      });
+    }
+  }
+  return rows;
+}
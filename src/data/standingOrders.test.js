@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { buildProductMappingIndex } from './productMapping.js';
+import {
+  standingOrderItems,
+  addDays,
+  weekdayOf,
+  standingOrderDocId,
+  deliveryDates,
+  upcomingDeliveries,
+  dueDeliveries,
+  standingOrderFields,
+  committedDemand,
+} from './standingOrders.js';
+
+// 2026-05-10 is a Sunday; the order delivers on Wednesdays
+const today = '2026-05-10';
+const so = {
+  id: 'so1', customerId: 'c1', customerName: 'Bistro', customerEmail: 'chef@bistro.test',
+  items: [{ productId: 'radish', name: 'Radish', quantity: 3 }],
+  weekday: 3, startDate: '2026-05-01', endDate: null, status: 'active',
+  skipDates: ['2026-05-20'], heldDeliveries: { '2026-05-27': 'Below the order minimum' },
+};
+
+describe('dates', () => {
+  it('shifts days across month ends and reads the weekday', () => {
+    expect(addDays('2026-05-30', 3)).toBe('2026-06-02');
+    expect(addDays('2026-05-01', -1)).toBe('2026-04-30');
+    expect(weekdayOf(today)).toBe(0);
+  });
+
+  it('names the order placed for a delivery', () => {
+    expect(standingOrderDocId('so1', '2026-05-13')).toBe('so_so1_2026-05-13');
+  });
+});
+
+describe('standingOrderItems', () => {
+  it('keeps only the fields a chef may save', () => {
+    expect(standingOrderItems([{ productId: 'p1', name: 'Pea', quantity: 2, pricePerUnit: 0.01, unit: undefined }]))
+      .toEqual([{ productId: 'p1', name: 'Pea', quantity: 2 }]);
+  });
+});
+
+describe('deliveryDates', () => {
+  it('lists the weekday within the start and end dates', () => {
+    expect(deliveryDates(so, today, '2026-06-03')).toEqual(['2026-05-13', '2026-05-20', '2026-05-27', '2026-06-03']);
+    expect(deliveryDates({ ...so, startDate: '2026-05-21', endDate: '2026-05-31' }, today, '2026-06-30')).toEqual(['2026-05-27']);
+    expect(deliveryDates({ ...so, weekday: 9 }, today, '2026-06-30')).toEqual([]);
+  });
+});
+
+describe('upcomingDeliveries', () => {
+  it('marks skipped and held dates and links placed orders', () => {
+    const placed = { id: 'so_so1_2026-05-13', standingOrderId: 'so1', requestedDeliveryDate: '2026-05-13' };
+    const other = { id: 'x', standingOrderId: 'so2', requestedDeliveryDate: '2026-05-20' };
+    expect(upcomingDeliveries({ ...so, status: 'paused' }, today, [placed, other], 3)).toEqual([
+      { date: '2026-05-13', skipped: false, held: null, order: placed },
+      { date: '2026-05-20', skipped: true, held: null, order: null },
+      { date: '2026-05-27', skipped: false, held: 'Below the order minimum', order: null },
+    ]);
+  });
+});
+
+describe('dueDeliveries', () => {
+  it('places deliveries inside the lead time, leaving skipped ones out', () => {
+    expect(dueDeliveries(so, today)).toEqual(['2026-05-13']);
+    expect(dueDeliveries(so, today, 21)).toEqual(['2026-05-13', '2026-05-27']);
+  });
+
+  it('places a skipped date again once it is un-skipped', () => {
+    expect(dueDeliveries({ ...so, skipDates: [] }, today)).toEqual(['2026-05-13', '2026-05-20']);
+  });
+
+  it('places nothing for paused or empty standing orders', () => {
+    expect(dueDeliveries({ ...so, status: 'paused' }, today)).toEqual([]);
+    expect(dueDeliveries({ ...so, items: [] }, today)).toEqual([]);
+  });
+});
+
+describe('standingOrderFields', () => {
+  it('builds a confirmed order from the lines priced today', () => {
+    const items = [{ productId: 'radish', name: 'Radish', quantity: 3, pricePerUnit: 4.5 }];
+    expect(standingOrderFields({ ...so, customerName: '' }, 'so1', '2026-05-13', items)).toEqual({
+      customerId: 'c1', customerName: null, customerEmail: 'chef@bistro.test', items, total: 13.5,
+      requestedDeliveryDate: '2026-05-13', specialInstructions: '', source: 'standing-order',
+      standingOrderId: 'so1', status: 'confirmed',
+    });
+  });
+});
+
+describe('committedDemand', () => {
+  const index = buildProductMappingIndex([{ id: 'radish', name: 'Radish', cropMapping: { cropId: 'radish', ozPerUnit: 2 } }]);
+
+  it('counts weekly lines of active, unexpired standing orders', () => {
+    const rows = committedDemand([
+      { ...so, items: [...so.items, { name: 'Nothing', quantity: 0 }] },
+      { ...so, id: 'paused', status: 'paused' },
+      { ...so, id: 'ended', endDate: '2026-05-01' },
+    ], index, today);
+    expect(rows).toEqual([{
+      standingOrderId: 'so1', customerEmail: 'chef@bistro.test', customerId: 'c1', customerName: 'Bistro',
+      item: so.items[0], quantity: 3, crops: [{ cropId: 'radish', oz: 6 }],
+    }]);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Traceability — seed lot → batches → orders → customers, and back.
+ *
+ * Three links make the chain:
+ *
+ *   seed lot   farms/{farmId}/seedLots/{lotId}, received against a vendor:
+ *              { lotNumber, vendorId, vendorName, varietyId, varietyName,
+ *                qtyReceived, qtyRemaining, unit: 'g', receivedDate,
+ *                inventoryItemId?, notes?, receivedBy }
+ *   batch      seedLotId (plus seedLot = the lot number and seedVendor, so
+ *              yield drivers and older screens keep working), set when the
+ *              crew plants it; planting takes seedDensity × trays off the lot
+ *   order      packedBatches: [{ line, name, batchIds }] — which batches
+ *              filled which line, recorded when it is packed — plus a flat
+ *              batchIds array so a recall can query orders by batch
+ *
+ * Batches planted before lots existed only have the free-text seedLot; the
+ * trace matches those by lot number so they aren't missed.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { batchTrays } from './growSpace.js';
+import { expandLineItem } from './productMapping.js';
+
+/** Grams of seed a planting takes from its lot, or null when the density wasn't recorded. */
+export function seedUsed({ seedDensity, trayCount, quantity }) {
+  const density = Number(seedDensity);
+  const trays = Number(trayCount ?? quantity);
+  if (!(density > 0) || !(trays > 0)) return null;
+  return Math.round(density * trays * 10) / 10;
+}
+
+/** 'active' | 'depleted' */
+export const lotStatus = (lot) => ((lot.qtyRemaining ?? 0) > 0 ? 'active' : 'depleted');
+
+/**
+ * Lots the crew can sow a variety from: that variety's lots with seed left,
+ * oldest received first (first in, first out).
+ */
+export function lotsForVariety(lots, varietyId) {
+  return lots
+    .filter((l) => l.varietyId === varietyId && lotStatus(l) === 'active')
+    .sort((a, b) => String(a.receivedDate).localeCompare(String(b.receivedDate)));
+}
+
+/** The fields a planted batch carries for its lot. */
+export function lotBatchFields(lot) {
+  return lot
+    ? { seedLotId: lot.id, seedLot: lot.lotNumber, seedVendor: lot.vendorName || null }
+    : { seedLotId: null };
+}
+
+/** True when the batch was sown from the lot (by ID, or by lot number for older batches). */
+export function batchFromLot(batch, lot) {
+  if (batch.seedLotId) return batch.seedLotId === lot.id;
+  return !!batch.seedLot && batch.seedLot === lot.lotNumber && (!lot.vendorName || !batch.seedVendor || batch.seedVendor === lot.vendorName);
+}
+
+// ── Packing ─────────────────────────────────────────────────────────────────
+
+const harvestedAt = (b) => b.harvestedAt || null;
+
+/**
+ * Harvested batches that can fill a line on a delivery date, per crop of the
+ * line (a mix has several): newest harvest first, nothing harvested after
+ * the delivery date.
+ * Returns [{ cropId, batches }] — empty for unmapped lines.
+ */
+export function lineBatchOptions(mappingIndex, item, batches, deliveryDate) {
+  const cutoff = deliveryDate ? `${deliveryDate}T23:59:59` : null;
+  return expandLineItem(mappingIndex, item).crops.map(({ cropId }) => ({
+    cropId,
+    batches: batches
+      .filter((b) => b.varietyId === cropId && harvestedAt(b) && (!cutoff || String(harvestedAt(b)) <= cutoff))
+      .sort((a, b) => String(harvestedAt(b)).localeCompare(String(harvestedAt(a))))
+      .slice(0, 10),
+  }));
+}
+
+/** Default pick for a line: the newest harvest of each of its crops. cropId → batchId */
+export function suggestLineBatches(options) {
+  return Object.fromEntries(options.filter((o) => o.batches.length).map((o) => [o.cropId, o.batches[0].id]));
+}
+
+/**
+ * Order update recording the batches packed into each line.
+ * picks: line index → { cropId → batchId }
+ */
+export function packedBatchUpdates(order, picks) {
+  const packedBatches = (order.items || []).map((item, line) => ({
+    line,
+    name: item.name || item.title || item.productName || 'Unknown',
+    batchIds: [...new Set(Object.values(picks[line] || {}).filter(Boolean))],
+  })).filter((l) => l.batchIds.length);
+  return {
+    packedBatches,
+    batchIds: [...new Set(packedBatches.flatMap((l) => l.batchIds))],
+    packedBatchesAt: new Date().toISOString(),
+  };
+}
+
+// ── Trace ───────────────────────────────────────────────────────────────────
+
+const customerKey = (o) => o.customerId || o.customerEmail || o.customerName || 'unknown';
+
+function linesForBatch(order, batchId) {
+  return (order.packedBatches || []).filter((l) => l.batchIds?.includes(batchId)).map((l) => l.name);
+}
+
+/**
+ * Forward trace for a recall: everything grown from a lot and who got it.
+ * Returns {
+ *   lot,
+ *   batches:   [{ batch, orders: [{ order, lines: [productName] }] }],
+ *   customers: [{ key, name, email, orderIds, deliveredCount }],
+ *   orderCount,
+ * }
+ */
+export function traceLot(lot, { batches = [], orders = [] }) {
+  const lotBatches = batches
+    .filter((b) => batchFromLot(b, lot))
+    .sort((a, b) => String(a.sowDate).localeCompare(String(b.sowDate)));
+
+  const customers = new Map();
+  const orderIds = new Set();
+  const rows = lotBatches.map((batch) => {
+    const filled = orders
+      .filter((o) => o.batchIds?.includes(batch.id))
+      .map((order) => ({ order, lines: linesForBatch(order, batch.id) }));
+    for (const { order } of filled) {
+      orderIds.add(order.id);
+      const key = customerKey(order);
+      if (!customers.has(key)) {
+        customers.set(key, { key, name: order.customerName || 'Unknown', email: order.customerEmail || null, orderIds: new Set(), delivered: new Set() });
+      }
+      const c = customers.get(key);
+      c.orderIds.add(order.id);
+      if (order.status === 'delivered') c.delivered.add(order.id);
+    }
+    return { batch, orders: filled };
+  });
+
+  return {
+    lot,
+    batches: rows,
+    customers: [...customers.values()]
+      .map(({ delivered, ...c }) => ({ ...c, orderIds: [...c.orderIds], deliveredCount: delivered.size }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    orderCount: orderIds.size,
+  };
+}
+
+/**
+ * Reverse trace: the lots behind a set of orders (one order, or every order
+ * of a customer).
+ * Returns {
+ *   orders: [{ order, lines: [{ name, batches: [{ batch, lot }] }] }],
+ *   lots:   [{ lot, lotNumber, vendorName, batchIds }],
+ * } — lot is null for a batch with only a free-text lot number, or none.
+ */
+export function traceOrders(orders, { batches = [], lots = [] }) {
+  const batchById = new Map(batches.map((b) => [b.id, b]));
+  const lotFor = (batch) => lots.find((l) => batchFromLot(batch, l)) || null;
+  const lotRows = new Map();
+
+  const rows = orders.map((order) => ({
+    order,
+    lines: (order.packedBatches || []).map((l) => ({
+      name: l.name,
+      batches: (l.batchIds || []).map((id) => {
+        const batch = batchById.get(id) || { id, varietyName: 'Unknown batch' };
+        const lot = lotFor(batch);
+        const key = lot?.id || batch.seedLot || null;
+        if (key) {
+          if (!lotRows.has(key)) {
+            lotRows.set(key, { lot, lotNumber: lot?.lotNumber || batch.seedLot, vendorName: lot?.vendorName || batch.seedVendor || null, batchIds: new Set() });
+          }
+          lotRows.get(key).batchIds.add(id);
+        }
+        return { batch, lot };
+      }),
+    })),
+  }));
+
+  return {
+    orders: rows,
+    lots: [...lotRows.values()].map((l) => ({ ...l, batchIds: [...l.batchIds] })),
+  };
+}
+
+/** Trays a lot's batches were planted with — for the report header. */
+export const totalTrays = (rows) => rows.reduce((s, r) => s + batchTrays(r.batch), 0);
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { buildProductMappingIndex } from './productMapping.js';
+import {
+  seedUsed,
+  lotsForVariety,
+  lotBatchFields,
+  batchFromLot,
+  lineBatchOptions,
+  suggestLineBatches,
+  packedBatchUpdates,
+  traceLot,
+  traceOrders,
+  totalTrays,
+} from './traceability.js';
+
+const lot = { id: 'lot1', lotNumber: 'R-100', vendorName: 'True Leaf', varietyId: 'radish', qtyRemaining: 200, receivedDate: '2026-04-01' };
+
+const batches = [
+  { id: 'b1', varietyId: 'radish', quantity: 4, sowDate: '2026-05-02', seedLotId: 'lot1', harvestedAt: '2026-05-10T09:00:00Z' },
+  // planted before lots existed: free-text lot number only
+  { id: 'b0', varietyId: 'radish', quantity: 2, sowDate: '2026-04-20', seedLot: 'R-100', seedVendor: 'True Leaf', harvestedAt: '2026-04-28T09:00:00Z' },
+  { id: 'b2', varietyId: 'radish', quantity: 3, sowDate: '2026-05-08', seedLotId: 'lot2', harvestedAt: '2026-05-16T09:00:00Z' },
+  { id: 'p1', varietyId: 'pea', quantity: 2, sowDate: '2026-05-01', seedLot: 'P-7', harvestedAt: '2026-05-11T09:00:00Z' },
+];
+
+describe('seed lots', () => {
+  it('works out seed used from density and trays', () => {
+    expect(seedUsed({ seedDensity: '28.5', trayCount: 4 })).toBe(114);
+    expect(seedUsed({ seedDensity: 30, quantity: 2 })).toBe(60);
+    expect(seedUsed({ seedDensity: '', trayCount: 4 })).toBeNull();
+  });
+
+  it('offers a variety’s lots with seed left, oldest first', () => {
+    const lots = [
+      { ...lot, id: 'new', receivedDate: '2026-05-01' },
+      lot,
+      { ...lot, id: 'empty', qtyRemaining: 0 },
+      { ...lot, id: 'pea', varietyId: 'pea' },
+    ];
+    expect(lotsForVariety(lots, 'radish').map((l) => l.id)).toEqual(['lot1', 'new']);
+  });
+
+  it('stamps batches with the lot', () => {
+    expect(lotBatchFields(lot)).toEqual({ seedLotId: 'lot1', seedLot: 'R-100', seedVendor: 'True Leaf' });
+    expect(lotBatchFields(null)).toEqual({ seedLotId: null });
+  });
+
+  it('matches older batches by lot number and vendor', () => {
+    expect(batchFromLot(batches[0], lot)).toBe(true);
+    expect(batchFromLot(batches[1], lot)).toBe(true);
+    expect(batchFromLot({ seedLot: 'R-100', seedVendor: 'Johnny’s' }, lot)).toBe(false);
+    expect(batchFromLot({ seedLotId: 'lot2', seedLot: 'R-100' }, lot)).toBe(false);
+  });
+});
+
+describe('packing', () => {
+  const index = buildProductMappingIndex([
+    { id: 'radish', name: 'Radish', cropMapping: { cropId: 'radish', ozPerUnit: 2 } },
+    { id: 'mix', name: 'Mix', cropMapping: { components: [{ cropId: 'radish', parts: 1 }, { cropId: 'pea', parts: 1 }], ozPerUnit: 4 } },
+  ]);
+
+  it('offers harvests up to the delivery date, newest first, per crop', () => {
+    const options = lineBatchOptions(index, { productId: 'mix', quantity: 1 }, batches, '2026-05-12');
+    expect(options.map((o) => [o.cropId, o.batches.map((b) => b.id)])).toEqual([
+      ['radish', ['b1', 'b0']],
+      ['pea', ['p1']],
+    ]);
+    expect(suggestLineBatches(options)).toEqual({ radish: 'b1', pea: 'p1' });
+    expect(lineBatchOptions(index, { name: 'Gift card', quantity: 1 }, batches, '2026-05-12')).toEqual([]);
+  });
+
+  it('records packed batches per line and as a flat list', () => {
+    const order = { items: [{ name: 'Radish' }, { name: 'Mix' }, { name: 'Gift card' }] };
+    const update = packedBatchUpdates(order, { 0: { radish: 'b1' }, 1: { radish: 'b1', pea: 'p1' }, 2: {} });
+    expect(update.packedBatches).toEqual([
+      { line: 0, name: 'Radish', batchIds: ['b1'] },
+      { line: 1, name: 'Mix', batchIds: ['b1', 'p1'] },
+    ]);
+    expect(update.batchIds).toEqual(['b1', 'p1']);
+  });
+});
+
+describe('trace', () => {
+  const orders = [
+    { id: 'o1', customerId: 'c1', customerName: 'Bistro', status: 'delivered', batchIds: ['b1'],
+      packedBatches: [{ line: 0, name: 'Radish', batchIds: ['b1'] }] },
+    { id: 'o2', customerId: 'c1', customerName: 'Bistro', status: 'confirmed', batchIds: ['b0', 'p1'],
+      packedBatches: [{ line: 0, name: 'Mix', batchIds: ['b0', 'p1'] }] },
+    { id: 'o3', customerEmail: 'ana@cafe.test', customerName: 'Cafe Ana', status: 'delivered', batchIds: ['b2'],
+      packedBatches: [{ line: 0, name: 'Radish', batchIds: ['b2'] }] },
+  ];
+
+  it('traces a lot forward to the customers who got it', () => {
+    const trace = traceLot(lot, { batches, orders });
+    expect(trace.batches.map((r) => [r.batch.id, r.orders.map((o) => [o.order.id, o.lines])])).toEqual([
+      ['b0', [['o2', ['Mix']]]],
+      ['b1', [['o1', ['Radish']]]],
+    ]);
+    expect(trace.customers).toEqual([{ key: 'c1', name: 'Bistro', email: null, orderIds: ['o2', 'o1'], deliveredCount: 1 }]);
+    expect(trace.orderCount).toBe(2);
+    expect(totalTrays(trace.batches)).toBe(6);
+  });
+
+  it('traces orders back to their lots', () => {
+    const { orders: rows, lots } = traceOrders([orders[1]], { batches, lots: [lot] });
+    expect(rows[0].lines[0].batches.map((b) => [b.batch.id, b.lot?.id ?? null])).toEqual([['b0', 'lot1'], ['p1', null]]);
+    expect(lots).toEqual([
+      { lot, lotNumber: 'R-100', vendorName: 'True Leaf', batchIds: ['b0'] },
+      { lot: null, lotNumber: 'P-7', vendorName: null, batchIds: ['p1'] },
+    ]);
+  });
+
+  it('keeps batches that were deleted since packing', () => {
+    const { orders: rows, lots } = traceOrders([{ id: 'o9', packedBatches: [{ name: 'Radish', batchIds: ['gone'] }] }], { batches, lots: [lot] });
+    expect(rows[0].lines[0].batches).toEqual([{ batch: { id: 'gone', varietyName: 'Unknown batch' }, lot: null }]);
+    expect(lots).toEqual([]);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Yield drivers — which planting inputs and grow conditions go with better
+ * or worse harvests.
+ *
+ * Batches record what went into them when they are planted:
+ *
+ *   seedLot, seedVendor, growMedium, seedDensity (grams of seed per tray)
+ *
+ * and, once harvested, actualYield and actualGrowDays (batchService). The
+ * nightly Learning Engine job stamps each harvested batch with the
+ * conditions it grew in (data/sensors.js conditionSummary):
+ *
+ *   conditions: { temperature: { min, max, avg, readings }, … }
+ *
+ * For one crop, every factor is scored against yield per tray and against
+ * grow-day deviation (actual minus expected days to harvest):
+ *
+ *   category factors (lot, vendor, medium, zone, crew) — correlation ratio η,
+ *     how much of the spread the groups explain, with each group's mean
+ *   numeric factors (density, temperature, humidity, CO₂, light) — Pearson r
+ *
+ * Both are 0–1 in size, so factors can be ranked together. These are
+ * correlations over a handful of batches, not causes — the UI says so.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { getVarietyById } from './cropConfig.js';
+import { getBatchStage } from './stageMachine.js';
+import { batchTrays } from './growSpace.js';
+import { SENSOR_METRICS } from './sensors.js';
+
+export const GROW_MEDIA = [
+  { value: 'hemp-mat',     label: 'Hemp mat' },
+  { value: 'coco-coir',    label: 'Coco coir' },
+  { value: 'soil',         label: 'Soil mix' },
+  { value: 'biostrate',    label: 'Biostrate' },
+  { value: 'rockwool',     label: 'Rockwool' },
+  { value: 'other',        label: 'Other' },
+];
+
+/** Harvested batches a factor needs (with a value) before it is scored. */
+export const MIN_FACTOR_SAMPLES = 4;
+
+const CATEGORY_FACTORS = [
+  { id: 'seedLot',    label: 'Seed lot',   value: (b) => b.seedLot || null },
+  { id: 'seedVendor', label: 'Seed vendor', value: (b) => b.seedVendor || null },
+  { id: 'growMedium', label: 'Grow medium', value: (b) => b.growMedium || null,
+    groupLabel: (v) => GROW_MEDIA.find((m) => m.value === v)?.label || v },
+  { id: 'zone',       label: 'Zone',       value: (b) => batchZone(b) },
+  { id: 'crew',       label: 'Planted by', value: (b) => b.stageHistory?.[0]?.confirmedBy || null },
+];
+
+const NUMERIC_FACTORS = [
+  { id: 'seedDensity', label: 'Seed density', unit: 'g/tray', value: (b) => toNumber(b.seedDensity) },
+  ...Object.entries(SENSOR_METRICS).map(([metric, def]) => ({
+    id: metric, label: `Avg ${def.label.toLowerCase()}`, unit: def.unit,
+    value: (b) => toNumber(b.conditions?.[metric]?.avg),
+  })),
+];
+
+function toNumber(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** The zone a batch spent its last racked stage in. */
+function batchZone(batch) {
+  return [...(batch.stageHistory || [])].reverse().find((h) => h.location?.zoneId)?.location.zoneId || null;
+}
+
+const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+const round = (n, dp = 2) => (n == null ? null : Math.round(n * 10 ** dp) / 10 ** dp);
+
+/** Pearson correlation of paired values; null when either side is constant. */
+function pearson(pairs) {
+  const mx = mean(pairs.map(([x]) => x));
+  const my = mean(pairs.map(([, y]) => y));
+  let sxy = 0, sxx = 0, syy = 0;
+  for (const [x, y] of pairs) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/** Correlation ratio η of outcome values grouped by category; null when it can't be told. */
+function correlationRatio(groups) {
+  const all = groups.flatMap((g) => g.values);
+  const m = mean(all);
+  const total = all.reduce((s, y) => s + (y - m) ** 2, 0);
+  if (total === 0) return null;
+  const between = groups.reduce((s, g) => s + g.values.length * (mean(g.values) - m) ** 2, 0);
+  return Math.sqrt(between / total);
+}
+
+/** 'strong' | 'moderate' | 'weak' for a 0–1 association. */
+export function strengthLabel(value) {
+  if (value == null) return null;
+  const v = Math.abs(value);
+  return v >= 0.5 ? 'strong' : v >= 0.3 ? 'moderate' : 'weak';
+}
+
+/**
+ * Yield and timing outcomes of a harvested batch, or null when it has no
+ * yield: { yieldPerTray, growDayDeviation }.
+ */
+export function batchOutcome(batch) {
+  const trays = batchTrays(batch);
+  const yieldOz = toNumber(batch.actualYield ?? batch.actualYieldOz);
+  if (!(trays > 0) || !(yieldOz > 0)) return null;
+  const expected = getVarietyById(batch.varietyId)?.growDays;
+  return {
+    yieldPerTray: yieldOz / trays,
+    growDayDeviation: batch.actualGrowDays != null && expected ? batch.actualGrowDays - expected : null,
+  };
+}
+
+function scoreCategory(factor, samples, names) {
+  const withValue = samples.filter((s) => factor.value(s.batch) != null);
+  if (withValue.length < MIN_FACTOR_SAMPLES) return null;
+
+  const byKey = new Map();
+  for (const s of withValue) {
+    const key = String(factor.value(s.batch));
+    byKey.set(key, [...(byKey.get(key) || []), s]);
+  }
+  const label = names[factor.id] || factor.groupLabel || ((v) => v);
+  const overallYield = mean(withValue.map((s) => s.yieldPerTray));
+  const groups = [...byKey].map(([key, items]) => {
+    const deviations = items.map((s) => s.growDayDeviation).filter((d) => d != null);
+    const meanYield = mean(items.map((s) => s.yieldPerTray));
+    return {
+      key,
+      label:         label(key),
+      n:             items.length,
+      meanYield:     round(meanYield, 1),
+      yieldDiff:     round(meanYield - overallYield, 1),
+      meanDeviation: deviations.length ? round(mean(deviations), 1) : null,
+      yields:        items.map((s) => s.yieldPerTray),
+      deviations,
+    };
+  }).sort((a, b) => b.meanYield - a.meanYield);
+
+  // Groups of one can't show a spread of their own — score on the rest
+  const scored = groups.filter((g) => g.n >= 2);
+  if (scored.length < 2) return null;
+  const yieldEta = correlationRatio(scored.map((g) => ({ values: g.yields })));
+  const devGroups = scored.filter((g) => g.deviations.length >= 2).map((g) => ({ values: g.deviations }));
+  const growDaysEta = devGroups.length >= 2 ? correlationRatio(devGroups) : null;
+
+  return {
+    id: factor.id,
+    label: factor.label,
+    kind: 'category',
+    n: withValue.length,
+    yield: round(yieldEta),
+    growDays: round(growDaysEta),
+    groups: groups.map((g) => ({
+      key: g.key, label: g.label, n: g.n, meanYield: g.meanYield, yieldDiff: g.yieldDiff, meanDeviation: g.meanDeviation,
+    })),
+  };
+}
+
+function scoreNumeric(factor, samples) {
+  const withValue = samples.filter((s) => factor.value(s.batch) != null);
+  if (withValue.length < MIN_FACTOR_SAMPLES) return null;
+  const yieldR = pearson(withValue.map((s) => [factor.value(s.batch), s.yieldPerTray]));
+  const devPairs = withValue.filter((s) => s.growDayDeviation != null).map((s) => [factor.value(s.batch), s.growDayDeviation]);
+  const growDaysR = devPairs.length >= MIN_FACTOR_SAMPLES ? pearson(devPairs) : null;
+  if (yieldR == null && growDaysR == null) return null;
+  const values = withValue.map((s) => factor.value(s.batch));
+  return {
+    id: factor.id,
+    label: factor.label,
+    kind: 'numeric',
+    unit: factor.unit,
+    n: withValue.length,
+    yield: round(yieldR),
+    growDays: round(growDaysR),
+    range: { min: round(Math.min(...values), 1), max: round(Math.max(...values), 1) },
+  };
+}
+
+/**
+ * Yield drivers for a set of batches (usually one crop's).
+ *
+ * Factor rows: { id, label, kind, n, yield, growDays, groups? | range?, unit? }
+ *   yield / growDays — association with yield per tray / grow-day deviation:
+ *     η (0–1) for category factors, Pearson r (−1–1, sign = direction) for
+ *     numeric ones; null when there isn't enough spread to tell
+ *
+ * @param {Array} batches
+ * @param {{ machines, memberName?, zoneName? }} opts
+ *   memberName(uid), zoneName(zoneId) → display names for crew and zone groups
+ * @returns {{ sampleSize, avgYieldPerTray, avgGrowDayDeviation, factors }}
+ *   factors sorted strongest first; ones without enough data are left out
+ */
+export function analyzeYieldDrivers(batches, { machines, memberName = (id) => id, zoneName = (id) => id }) {
+  const samples = batches
+    .filter((b) => getBatchStage(machines, b)?.terminal)
+    .map((batch) => ({ batch, ...batchOutcome(batch) }))
+    .filter((s) => s.yieldPerTray != null);
+
+  const deviations = samples.map((s) => s.growDayDeviation).filter((d) => d != null);
+  const factors = [
+    ...CATEGORY_FACTORS.map((f) => scoreCategory(f, samples, { crew: memberName, zone: zoneName })),
+    ...NUMERIC_FACTORS.map((f) => scoreNumeric(f, samples)),
+  ].filter(Boolean);
+
+  const strength = (f) => Math.max(Math.abs(f.yield ?? 0), Math.abs(f.growDays ?? 0));
+  return {
+    sampleSize:          samples.length,
+    avgYieldPerTray:     samples.length ? round(mean(samples.map((s) => s.yieldPerTray)), 1) : null,
+    avgGrowDayDeviation: deviations.length ? round(mean(deviations), 1) : null,
+    factors:             factors.sort((a, b) => strength(b) - strength(a)),
+  };
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_STAGE_MACHINES } from './stageMachine.js';
+import { strengthLabel, batchOutcome, analyzeYieldDrivers } from './yieldDrivers.js';
+
+const machines = DEFAULT_STAGE_MACHINES;
+
+// Radish: 8 grow days expected
+const harvested = (id, { trays = 2, oz, days = 8, ...extra }) => ({
+  id, cropCategory: 'microgreens', varietyId: 'radish', quantity: trays, stage: 'harvested',
+  actualYield: oz, actualGrowDays: days, ...extra,
+});
+
+// Vendor A trays yield 12 and 11 oz, vendor B 8 and 9 oz; denser seeding yields more
+const batches = [
+  harvested('b1', { oz: 24, days: 8,  seedVendor: 'A', seedDensity: 30, growMedium: 'hemp-mat' }),
+  harvested('b2', { oz: 22, days: 8,  seedVendor: 'A', seedDensity: 28, growMedium: 'hemp-mat' }),
+  harvested('b3', { oz: 16, days: 10, seedVendor: 'B', seedDensity: 20, growMedium: 'hemp-mat' }),
+  harvested('b4', { oz: 18, days: 9,  seedVendor: 'B', seedDensity: 22, growMedium: 'soil' }),
+  { ...harvested('growing', { oz: 50, seedVendor: 'B', seedDensity: 40 }), stage: 'light' },
+];
+
+describe('strengthLabel', () => {
+  it('grades the size of an association', () => {
+    expect(strengthLabel(-0.6)).toBe('strong');
+    expect(strengthLabel(0.3)).toBe('moderate');
+    expect(strengthLabel(0.1)).toBe('weak');
+    expect(strengthLabel(null)).toBeNull();
+  });
+});
+
+describe('batchOutcome', () => {
+  it('gives yield per tray and days off the expected grow time', () => {
+    expect(batchOutcome(batches[2])).toEqual({ yieldPerTray: 8, growDayDeviation: 2 });
+    expect(batchOutcome(harvested('no-days', { oz: 20, days: null }))).toEqual({ yieldPerTray: 10, growDayDeviation: null });
+  });
+
+  it('skips batches without a yield', () => {
+    expect(batchOutcome(harvested('empty', { oz: 0 }))).toBeNull();
+    expect(batchOutcome(harvested('no-trays', { oz: 10, trays: 0 }))).toBeNull();
+  });
+});
+
+describe('analyzeYieldDrivers', () => {
+  const result = analyzeYieldDrivers(batches, { machines });
+
+  it('summarizes harvested batches only', () => {
+    expect(result).toMatchObject({ sampleSize: 4, avgYieldPerTray: 10, avgGrowDayDeviation: 0.8 });
+  });
+
+  it('scores numeric factors by correlation', () => {
+    expect(result.factors[0]).toEqual({
+      id: 'seedDensity', label: 'Seed density', kind: 'numeric', unit: 'g/tray', n: 4,
+      yield: 1, growDays: -0.95, range: { min: 20, max: 30 },
+    });
+  });
+
+  it('scores category factors by how much their groups explain', () => {
+    const vendor = result.factors.find((f) => f.id === 'seedVendor');
+    expect(vendor).toMatchObject({ kind: 'category', n: 4, yield: 0.95, growDays: 0.9 });
+    expect(vendor.groups).toEqual([
+      { key: 'A', label: 'A', n: 2, meanYield: 11.5, yieldDiff: 1.5, meanDeviation: 0 },
+      { key: 'B', label: 'B', n: 2, meanYield: 8.5, yieldDiff: -1.5, meanDeviation: 1.5 },
+    ]);
+  });
+
+  it('leaves out factors without enough data or spread', () => {
+    const ids = result.factors.map((f) => f.id);
+    // growMedium has only one group of two or more batches
+    expect(ids).not.toContain('growMedium');
+    expect(ids).not.toContain('seedLot');
+    expect(analyzeYieldDrivers(batches.slice(0, 3), { machines }).factors).toEqual([]);
+  });
+
+  it('names crew and zone groups', () => {
+    const planted = (id, oz, uid, zoneId) => harvested(id, {
+      oz, stageHistory: [{ stage: 'germination', confirmedBy: uid }, { stage: 'light', location: { zoneId } }],
+    });
+    const { factors } = analyzeYieldDrivers([
+      planted('c1', 24, 'u1', 'z1'), planted('c2', 22, 'u1', 'z1'),
+      planted('c3', 16, 'u2', 'z2'), planted('c4', 18, 'u2', 'z2'),
+    ], { machines, memberName: (id) => `Crew ${id}`, zoneName: (id) => `Zone ${id}` });
+    expect(factors.find((f) => f.id === 'crew').groups.map((g) => g.label)).toEqual(['Crew u1', 'Crew u2']);
+    expect(factors.find((f) => f.id === 'zone').groups.map((g) => g.label)).toEqual(['Zone z1', 'Zone z2']);
+  });
+});
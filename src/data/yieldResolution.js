@@ -0,0 +1,135 @@
+/**
+ * Yield resolution — the one place planners get "oz per tray" from.
+ *
+ * Every planner (harvestPlanningService, HarvestQueue, SowingCalculator,
+ * sowingUtils) asks a resolver built here instead of keeping its own table.
+ * Sources are layered, first hit wins:
+ *
+ *   1. profile  — the farm's crop profile (farms/{farmId}/cropProfiles, "8-10 oz")
+ *   2. learned  — Learning Engine actualYieldEstimate (stats/yp_{cropKey})
+ *   3. default  — cropConfig.js (plus tray equivalents for port-grown herbs)
+ *   4. fallback — FALLBACK_YIELD_PER_TRAY when nothing matches
+ *
+ * Every result carries its source so recommendations can say where the
+ * number came from.
+ *
+ * Pure functions only — keep this file free of Firebase/React imports.
+ */
+import { getAllVarieties } from './cropConfig.js';
+
+export const FALLBACK_YIELD_PER_TRAY = 8;
+
+/** Harvests a learned estimate needs before it is trusted over defaults. */
+export const MIN_LEARNED_HARVESTS = 3;
+
+export const YIELD_SOURCE_LABELS = {
+  profile:  'Crop profile',
+  learned:  'Learned from harvests',
+  default:  'Default',
+  fallback: 'Fallback',
+};
+
+// Herbs are configured per port (lbs) in cropConfig; when they are sold by
+// the ounce we plan them as trays with these production-calibrated yields.
+const TRAY_EQUIVALENT_YIELD = {
+  basil:    3.5,
+  cilantro: 5,
+};
+
+/** Parse a yield like "8-10 oz" → lower bound (8). Numbers pass through. */
+export function parseYield(value) {
+  if (!value) return 0;
+  if (typeof value === 'number') return value;
+  const m = String(value).match(/([\d.]+)/);
+  return m ? parseFloat(m[1]) : 0;
+}
+
+/** Normalize a crop/product name to a Learning Engine crop key ("Pea Shoots" → "pea_shoots"). */
+export function normalizeCropKey(name) {
+  if (!name) return '';
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Exact match on normalized names — "Pea Shoots" = "pea-shoots", but
+ * "Kale" ≠ "Baby Kale". No substring matching: it tied crops to the wrong
+ * profile.
+ */
+function nameMatches(a, b) {
+  const x = normalizeCropKey(a);
+  return !!x && x === normalizeCropKey(b);
+}
+
+/** cropConfig yield in oz per tray, or null if the variety has none. */
+function defaultYieldPerTray(variety) {
+  if (!variety) return null;
+  if (TRAY_EQUIVALENT_YIELD[variety.id]) return TRAY_EQUIVALENT_YIELD[variety.id];
+  if (variety.yieldPerTray) return variety.yieldPerTray;
+  // 1 port ≈ 1 tray slot; lbs → oz
+  if (variety.yieldPerPort) return variety.yieldPerPort * 16;
+  return null;
+}
+
+/**
+ * Build a yield resolver from the farm's sources.
+ *
+ * @param {Object}   sources
+ * @param {Array}    sources.profiles — crop profile docs ({ id, name, cropId, yieldPerTray, active })
+ * @param {Map|Object} sources.learned — cropKey → yield profile ({ actualYieldEstimate, yieldCount })
+ * @returns {Function} resolveYield({ cropId, name, profileId }) →
+ *   { yieldPerTray, source, sourceLabel, cropId, cropName, category, variety, profile }
+ *
+ * Varieties and profiles are matched by ID first (cropId; profileId, then a
+ * profile's own cropId), and only then by exact normalized name.
+ */
+export function createYieldResolver({ profiles = [], learned = null } = {}) {
+  const varieties = getAllVarieties();
+  const activeProfiles = profiles.filter((p) => p.active !== false);
+  const learnedFor = (key) => {
+    if (!key || !learned) return null;
+    return learned instanceof Map ? learned.get(key) : learned[key];
+  };
+
+  return function resolveYield({ cropId, name, profileId } = {}) {
+    const key = normalizeCropKey(name);
+    const variety = (cropId && varieties.find((v) => v.id === cropId))
+      || (key && varieties.find((v) => v.id === name || normalizeCropKey(v.name) === key))
+      || null;
+
+    const profile = (profileId && activeProfiles.find((p) => p.id === profileId))
+      || (variety && activeProfiles.find((p) => p.cropId === variety.id))
+      || activeProfiles.find((p) => !p.cropId && (nameMatches(p.name, name)
+        || nameMatches(p.name, variety?.name) || nameMatches(p.name, variety?.id)))
+      || null;
+
+    const base = {
+      cropId: variety?.id || cropId || key,
+      cropName: variety?.name || profile?.name || name || cropId,
+      category: variety?.category || profile?.category || 'microgreens',
+      variety,
+      profile,
+    };
+    const result = (yieldPerTray, source) => ({
+      ...base, yieldPerTray, source, sourceLabel: YIELD_SOURCE_LABELS[source],
+    });
+
+    const profileYield = parseYield(profile?.yieldPerTray);
+    if (profileYield > 0) return result(profileYield, 'profile');
+
+    const keys = [variety?.id, normalizeCropKey(variety?.name), normalizeCropKey(profile?.name), key, cropId];
+    for (const k of keys) {
+      const yp = learnedFor(k);
+      if (yp?.actualYieldEstimate > 0 && (yp.yieldCount || 0) >= MIN_LEARNED_HARVESTS) {
+        return result(yp.actualYieldEstimate, 'learned');
+      }
+    }
+
+    const fromConfig = defaultYieldPerTray(variety);
+    if (fromConfig) return result(fromConfig, 'default');
+
+    return result(FALLBACK_YIELD_PER_TRAY, 'fallback');
+  };
+}
+
+/** Resolver with no farm data — cropConfig defaults only. */
+export const defaultYieldResolver = createYieldResolver();
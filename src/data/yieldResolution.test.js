@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseYield,
+  normalizeCropKey,
+  createYieldResolver,
+  defaultYieldResolver,
+  FALLBACK_YIELD_PER_TRAY,
+  MIN_LEARNED_HARVESTS,
+} from './yieldResolution.js';
+
+describe('parseYield', () => {
+  it('takes the lower bound of a range and passes numbers through', () => {
+    expect(parseYield('8-10 oz')).toBe(8);
+    expect(parseYield(6.5)).toBe(6.5);
+    expect(parseYield('lots')).toBe(0);
+    expect(parseYield(null)).toBe(0);
+  });
+});
+
+describe('normalizeCropKey', () => {
+  it('builds Learning Engine keys', () => {
+    expect(normalizeCropKey('Pea Shoots')).toBe('pea_shoots');
+    expect(normalizeCropKey(' Kale (Microgreen) ')).toBe('kale_microgreen');
+  });
+});
+
+describe('createYieldResolver', () => {
+  it('prefers the crop profile, then learned, then defaults', () => {
+    const learned = { radish: { actualYieldEstimate: 12, yieldCount: MIN_LEARNED_HARVESTS } };
+    const profiles = [{ id: 'p1', cropId: 'sunflower', name: 'Sunflower', yieldPerTray: '14-16 oz' }];
+    const resolve = createYieldResolver({ profiles, learned });
+
+    expect(resolve({ cropId: 'sunflower' })).toMatchObject({ yieldPerTray: 14, source: 'profile', sourceLabel: 'Crop profile' });
+    expect(resolve({ cropId: 'radish' })).toMatchObject({ yieldPerTray: 12, source: 'learned' });
+    expect(resolve({ cropId: 'broccoli' })).toMatchObject({ yieldPerTray: 6.5, source: 'default' });
+  });
+
+  it('ignores learned yields with too few harvests and inactive profiles', () => {
+    const resolve = createYieldResolver({
+      profiles: [{ id: 'p1', cropId: 'radish', yieldPerTray: 20, active: false }],
+      learned: new Map([['radish', { actualYieldEstimate: 30, yieldCount: MIN_LEARNED_HARVESTS - 1 }]]),
+    });
+    expect(resolve({ cropId: 'radish' })).toMatchObject({ yieldPerTray: 11, source: 'default' });
+  });
+
+  it('matches names exactly, never by substring', () => {
+    const resolve = createYieldResolver({ profiles: [{ id: 'p1', name: 'Kale', yieldPerTray: 9 }] });
+    expect(resolve({ name: 'kale' }).profile.id).toBe('p1');
+    expect(resolve({ name: 'Baby Kale' }).profile).toBeNull();
+    expect(resolve({ name: 'Pea Shoots' }).cropId).toBe('pea');
+  });
+
+  it('plans port-grown herbs as trays', () => {
+    expect(defaultYieldResolver({ cropId: 'basil' }).yieldPerTray).toBe(3.5);
+    // 0.55 lb per port → oz
+    expect(defaultYieldResolver({ cropId: 'spinach' }).yieldPerTray).toBeCloseTo(8.8);
+  });
+
+  it('falls back when nothing matches', () => {
+    expect(defaultYieldResolver({ name: 'Mystery Greens' })).toMatchObject({
+      yieldPerTray: FALLBACK_YIELD_PER_TRAY, source: 'fallback', cropId: 'mystery_greens', category: 'microgreens',
+    });
+  });
+});
@@ -1,8 +1,25 @@
-import { getFirestore } from 'firebase/firestore';
+import {
+  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from 'firebase/firestore';
 import { getFirebaseApp } from './app';
 
+// Persistent IndexedDB cache so subscriptions have data in the grow room
+// with no signal. Crew writes queue in the crew outbox (services/crewOutboxService.js).
 let _db;
 export function getDb() {
-  if (!_db) _db = getFirestore(getFirebaseApp());
+  if (_db) return _db;
+  const app = getFirebaseApp();
+  try {
+    _db = initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+  } catch (err) {
+    // Already initialized (hot reload) — reuse that instance
+    console.warn('[Firebase] Firestore cache setup skipped:', err.message);
+    _db = getFirestore(app);
+  }
   return _db;
 }
@@ -11,12 +11,12 @@ import { getDb } from '../firebase';
 import { subscribeVendors } from '../services/vendorService';
 import { getNamingOverrides, setEpicName, setFeatureName } from '../services/namingService';
 import { startForegroundListener } from '../services/notificationService';
-import { startOrderWatcher } from '../services/orderWatcherService';
 import { useTasks } from './useTasks';
 import { useSprints } from './useSprints';
 import { useBatches } from './useBatches';
 import { useProducts } from './useProducts';
 import { useOrders } from './useOrders';
+import { useStandingOrders } from './useStandingOrders';
 import { useCustomers } from './useCustomers';
 import { useBudget } from './useBudget';
 import { useInventory } from './useInventory';
@@ -27,11 +27,21 @@ import { useShopifyCustomers } from './useShopifyCustomers';
 import { useShopifyOrders } from './useShopifyOrders';
 import { useCropProfiles } from './useCropProfiles';
 import { useCosts } from './useCosts';
+import { usePurchaseOrders } from './usePurchaseOrders';
+import { usePriceLists } from './usePriceLists';
+import { useInvoices } from './useInvoices';
+import { useDeliveryZones } from './useDeliveryZones';
+import { useLabor } from './useLabor';
 import { useReports } from './useReports';
+import { useEntitlements } from './useEntitlements';
 import { useRefreshOnFocus } from './useRefreshOnFocus';
 import { teamMembers as hardcodedTeamMembers } from '../data/constants';
+import { customerPriceLists } from '../data/priceLists';
+import { customerZone } from '../data/deliveryZones';
 import { useToast } from '../contexts/ToastContext';
 
+const today = () => new Date().toISOString().split('T')[0];
+
 export function useAppData(farmId, user, role, isDemoMode) {
   // ── Firestore subscriptions ────────────────────────────────────────────────
   const {
@@ -46,24 +56,39 @@ export function useAppData(farmId, user, role, isDemoMode) {
     loading: sprintsLoading, error: sprintsError, addSprint,
   } = useSprints(farmId);
 
+  // Before batches — planting and harvesting take their materials off inventory
+  const {
+    inventory, loading: inventoryLoading, error: inventoryError,
+    addItem, editItem, removeItem,
+    seedLots, receiveLot, editLot,
+    bom, saveBom, materialsFor, consume,
+  } = useInventory(farmId);
+
   const {
     batches, activeBatches, readyBatches,
     loading: batchesLoading, error: batchesError,
     addBatch, editBatch, advanceStage, harvestBatch,
-    plantCrewBatch, advanceCrewStage, harvestCrewBatch,
-  } = useBatches(farmId);
+    plantCrewBatch, advanceCrewStage, harvestCrewBatch, reportCrewLoss, moveBatch,
+    crewOutbox,
+  } = useBatches(farmId, { materialsFor });
 
   const {
     products, availableProducts,
     loading: productsLoading, error: productsError,
-    addProduct, editProduct, removeProduct,
+    addProduct, editProduct, removeProduct, saveCropMapping,
   } = useProducts(farmId);
 
   const {
     orders, loading: ordersLoading, error: ordersError,
-    addOrder, advanceOrderStatus, updateOrder,
+    placeOrder, advanceOrderStatus, updateOrder,
   } = useOrders(farmId, role === 'chef' ? user?.uid : null);
 
+  const {
+    standingOrders, loading: standingOrdersLoading,
+    createStandingOrder, editStandingOrder, removeStandingOrder,
+    pauseStandingOrder, resumeStandingOrder, skipDelivery,
+  } = useStandingOrders(farmId, role === 'chef' ? user?.uid : null);
+
   const {
     customers, loading: customersLoading, error: customersError,
     addCustomer, editCustomer, removeCustomer,
@@ -76,11 +101,6 @@ export function useAppData(farmId, user, role, isDemoMode) {
     addProject, editProject, removeProject,
   } = useBudget(farmId);
 
-  const {
-    inventory, loading: inventoryLoading, error: inventoryError,
-    addItem, editItem, removeItem,
-  } = useInventory(farmId);
-
   const {
     activities, loading: activitiesLoading, error: activitiesError,
     addActivity, deleteActivity,
@@ -116,10 +136,51 @@ export function useAppData(farmId, user, role, isDemoMode) {
     addCost, editCost: editCostFn, removeCost,
   } = useCosts(farmId);
 
+  const {
+    purchaseOrders, loading: purchaseOrdersLoading,
+    createDrafts: createPurchaseOrders, editPurchaseOrder, removePurchaseOrder,
+    sendPurchaseOrder, receivePurchaseOrder,
+  } = usePurchaseOrders(farmId);
+
+  const {
+    priceLists, addPriceList, editPriceList, removePriceList,
+  } = usePriceLists(farmId);
+
+  const {
+    invoices, loading: invoicesLoading,
+    createInvoices, recordPayment: recordInvoicePayment, voidInvoice,
+  } = useInvoices(farmId);
+
+  const {
+    deliveryZones, addDeliveryZone, editDeliveryZone, removeDeliveryZone,
+  } = useDeliveryZones(farmId);
+
+  const {
+    laborEntries, myShift, clockIn, clockOut, logTask, laborRate, saveLaborRate,
+  } = useLabor(farmId, user);
+
   const {
     reports: biReports, loading: biReportsLoading, saveReport,
   } = useReports(farmId);
 
+  const {
+    entitlements, loading: entitlementsLoading, error: entitlementsError,
+  } = useEntitlements(farmId);
+
+  // The signed-in chef's customer record — it carries their tier and zone
+  const myCustomer = useMemo(() => {
+    if (role !== 'chef' || !user?.email) return null;
+    const email = user.email.toLowerCase();
+    return shopifyCustomers.find((c) => (c.email || '').toLowerCase() === email) || null;
+  }, [role, user, shopifyCustomers]);
+
+  const myPriceLists = useMemo(() => {
+    if (role !== 'chef' || !user?.email) return [];
+    return customerPriceLists(priceLists, { email: user.email.toLowerCase(), pricingTier: myCustomer?.pricingTier }, today());
+  }, [role, user, myCustomer, priceLists]);
+
+  const myDeliveryZone = useMemo(() => customerZone(deliveryZones, myCustomer), [deliveryZones, myCustomer]);
+
   const refresh = useRefreshOnFocus();
   const { addToast } = useToast();
 
@@ -197,17 +258,25 @@ export function useAppData(farmId, user, role, isDemoMode) {
     })();
   }, [farmId, isDemoMode]);
 
+  // ── Crew outbox sync summary ───────────────────────────────────────────────
+  const crewSync = crewOutbox.lastSync;
+  useEffect(() => {
+    if (!crewSync) return;
+    const sent = crewSync.applied + crewSync.duplicates;
+    const problems = crewSync.conflicts + crewSync.failed;
+    addToast({
+      icon: problems ? '⚠️' : '📶',
+      message: `Synced ${sent} crew change${sent !== 1 ? 's' : ''}`
+        + (problems ? ` — ${problems} need${problems === 1 ? 's' : ''} attention on the Crew Board` : ''),
+      duration: problems ? 8000 : 4000,
+    });
+  }, [crewSync, addToast]);
+
   // ── Push notifications foreground listener ─────────────────────────────────
   useEffect(() => {
     startForegroundListener(addToast);
   }, [addToast]);
 
-  // ── Order watcher — auto-generates harvest plans ───────────────────────────
-  useEffect(() => {
-    if (!farmId || role === 'chef') return;
-    return startOrderWatcher(farmId);
-  }, [farmId, role]);
-
   // ── Data diagnostics for DevToolbar ────────────────────────────────────────
   const dataDiag = useMemo(() => [
     { label: 'Conn', count: connStatus === 'ok' ? 1 : 0, error: connStatus.startsWith('error') ? connStatus : null, loading: connStatus === 'testing' },
@@ -236,39 +305,52 @@ export function useAppData(farmId, user, role, isDemoMode) {
   return {
     // Data
     tasks, sprints, batches, activeBatches, readyBatches,
-    products, availableProducts, orders, customers,
-    expenses, revenue, infrastructure, inventory,
+    products, availableProducts, orders, standingOrders, customers,
+    expenses, revenue, infrastructure, inventory, seedLots, bom, purchaseOrders,
+    priceLists, myPriceLists, deliveryZones, myDeliveryZone, invoices,
     activities, deliveries, todayDeliveries,
     shopifyCustomers, shopifyOrders,
     cropProfiles, activeCropProfiles,
-    costs, biReports, vendors,
+    costs, biReports, vendors, entitlements,
+    laborEntries, myShift, laborRate,
     selectedSprintId, allTeamMembers,
     teamMembers_live, teamInvites,
-    namingOverrides, connStatus, refresh, dataDiag,
+    namingOverrides, connStatus, refresh, dataDiag, crewOutbox,
     // Loading
     tasksLoading, sprintsLoading, batchesLoading, productsLoading,
     ordersLoading, customersLoading, budgetLoading, inventoryLoading,
     activitiesLoading, deliveriesLoading, teamLoading,
     shopifyCustomersLoading, shopifyOrdersLoading,
     cropProfilesLoading, costsLoading, biReportsLoading, vendorsLoading,
+    purchaseOrdersLoading, standingOrdersLoading, invoicesLoading,
+    entitlementsLoading,
     // Errors
     tasksError, sprintsError, batchesError, productsError,
     ordersError, customersError, budgetError, inventoryError,
     activitiesError, deliveriesError, teamError,
-    cropProfilesError, costsError,
+    cropProfilesError, costsError, entitlementsError,
     // Mutations
     addTask, editTask, removeTask,
     moveTaskStatus, moveTaskSprint,
     reorderColumnTasks, moveTaskToColumn, moveTaskToSprint,
     setSelectedSprintId, addSprint,
     addBatch, editBatch, advanceStage, harvestBatch,
-    plantCrewBatch, advanceCrewStage, harvestCrewBatch,
-    addProduct, editProduct, removeProduct,
-    addOrder, advanceOrderStatus, updateOrder,
+    plantCrewBatch, advanceCrewStage, harvestCrewBatch, reportCrewLoss, moveBatch,
+    addProduct, editProduct, removeProduct, saveCropMapping,
+    placeOrder, advanceOrderStatus, updateOrder,
+    createStandingOrder, editStandingOrder, removeStandingOrder,
+    pauseStandingOrder, resumeStandingOrder, skipDelivery,
     addCustomer, editCustomer, removeCustomer,
     addExpense, addRevenue,
     addProject, editProject, removeProject,
-    addItem, editItem, removeItem,
+    addItem, editItem, removeItem, receiveLot, editLot,
+    saveBom, materialsFor, consume,
+    createPurchaseOrders, editPurchaseOrder, removePurchaseOrder,
+    sendPurchaseOrder, receivePurchaseOrder,
+    addPriceList, editPriceList, removePriceList,
+    addDeliveryZone, editDeliveryZone, removeDeliveryZone,
+    createInvoices, recordInvoicePayment, voidInvoice,
+    clockIn, clockOut, logTask, saveLaborRate,
     addActivity, deleteActivity,
     addCropProfile, editCropProfile, removeCropProfile,
     addCost, editCostFn, removeCost,
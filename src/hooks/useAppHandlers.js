@@ -9,6 +9,7 @@ import { addVendor as addVendorService } from '../services/vendorService';
 import { updateShopifyOrderStatus, updateShopifyOrder } from '../services/orderService';
 import { sendPushNotification } from '../services/notificationService';
 import { notifyOrderStatusChange, notifyNewOrder } from '../services/notificationTriggers';
+import { isPlanLimitError } from '../data/entitlements';
 
 export function useAppHandlers({
   data,
@@ -27,7 +28,9 @@ export function useAppHandlers({
     moveTaskStatus, moveTaskToColumn,
     reorderColumnTasks,
     addSprint, setSelectedSprintId,
-    addOrder, advanceOrderStatus, updateOrder,
+    placeOrder, advanceOrderStatus, updateOrder,
+    createStandingOrder,
+    addProduct,
     addRevenue, addActivity,
   } = data;
 
@@ -268,30 +271,64 @@ export function useAppHandlers({
     }
   }, [setCart]);
 
+  // The server prices and validates the order; the cart only sends what and when
   const handlePlaceOrder = useCallback(async (deliveryDate, specialInstructions) => {
-    const total = cart.reduce((sum, i) => sum + i.pricePerUnit * i.quantity, 0);
-    const orderData = {
-      customerId: user?.uid,
-      customerName: user?.displayName || user?.email,
-      customerEmail: user?.email,
-      items: cart,
-      total,
-      requestedDeliveryDate: deliveryDate,
-      specialInstructions,
-      source: 'app',
-    };
-    const orderId = await addOrder(orderData);
+    let order;
+    try {
+      order = await placeOrder({
+        items: cart.map((i) => ({ productId: i.productId, quantity: i.quantity })),
+        requestedDeliveryDate: deliveryDate,
+        specialInstructions,
+      });
+    } catch (err) {
+      // Keep the cart and explain — the chef can't upgrade the farm's plan
+      addToast(isPlanLimitError(err)
+        ? { message: 'This farm has reached its monthly order limit. Please contact the farm to place your order.', icon: '🔒', duration: 6000 }
+        : { message: err.message || 'Could not place your order', icon: '⚠️', duration: 6000 });
+      return false;
+    }
+    if (!order) return false;
     setCart([]);
+    addToast({ message: `Order ${order.orderNumber} placed — $${order.total.toFixed(2)}`, icon: '✅' });
 
     // Fire admin push notification (fire-and-forget)
-    notifyNewOrder(farmId, { ...orderData, id: orderId });
-  }, [cart, addOrder, user, setCart, farmId]);
+    notifyNewOrder(farmId, order);
+    return true;
+  }, [cart, placeOrder, setCart, farmId, addToast]);
 
+  // Cart lines hold list prices — the chef's price lists apply at checkout
   const handleReorder = useCallback((order) => {
-    setCart(order.items.map((i) => ({ ...i })));
+    setCart(order.items.map((i) => ({
+      productId: i.productId,
+      name: i.name,
+      category: i.category,
+      unit: i.unit,
+      pricePerUnit: i.listPrice ?? i.pricePerUnit,
+      quantity: i.quantity,
+    })));
     navigate('/cart');
   }, [navigate, setCart]);
 
+  const handleCreateStandingOrder = useCallback(async (form) => {
+    await createStandingOrder({
+      customerId: user?.uid,
+      customerName: user?.displayName || user?.email,
+      customerEmail: user?.email,
+      ...form,
+    });
+    addToast({ message: 'Standing order set — we\'ll place it every week', icon: '🔁' });
+  }, [createStandingOrder, user, addToast]);
+
+  // ── Product handlers ───────────────────────────────────────────────────────
+  const handleAddProduct = useCallback(async (formData) => {
+    try {
+      await addProduct(formData);
+    } catch (err) {
+      if (!isPlanLimitError(err)) throw err;
+      addToast({ message: `${err.message} See Settings → Billing.`, icon: '🔒', duration: 6000 });
+    }
+  }, [addProduct, addToast]);
+
   // ── Order status handlers ──────────────────────────────────────────────────
   const handleAdvanceOrderStatus = useCallback(async (orderId, newStatus) => {
     const isShopifyOrder = shopifyOrders.some((o) => o.id === orderId);
@@ -380,6 +417,8 @@ export function useAppHandlers({
     handleCreateSprint, handleSaveSprint, handleGoToSprint,
     handleAddVendor, handleSaveVendor,
     handleAddToCart, handleUpdateCartQty, handlePlaceOrder, handleReorder,
+    handleCreateStandingOrder,
+    handleAddProduct,
     handleAdvanceOrderStatus, handleUpdateOrder,
     handleSubmitDevRequest,
   };
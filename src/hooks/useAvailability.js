@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { useDemoMode } from '../contexts/DemoModeContext';
+import { fetchAvailability } from '../services/orderService';
+
+/**
+ * Available-to-promise for one delivery date (data/availability.js).
+ *
+ * Not a subscription — it's computed server-side from everyone's orders —
+ * so it's fetched when the date changes and again when the app comes back
+ * to the foreground. availability is {} until loaded, on error, and in
+ * demo mode (nothing is limited then).
+ */
+export function useAvailability(date) {
+  const { isDemoMode } = useDemoMode();
+  const [availability, setAvailability] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const onVisible = () => { if (!document.hidden) setVersion((v) => v + 1); };
+    document.addEventListener('visibilitychange', onVisible);
+    return () => document.removeEventListener('visibilitychange', onVisible);
+  }, []);
+
+  useEffect(() => {
+    if (isDemoMode || !date) { setAvailability({}); return; }
+    let cancelled = false;
+    setLoading(true);
+    fetchAvailability(date)
+      .then((a) => { if (!cancelled) { setAvailability(a || {}); setError(null); } })
+      .catch((err) => { if (!cancelled) { setAvailability({}); setError(err.message); } })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [isDemoMode, date, version]);
+
+  return { availability, loading, error };
+}
@@ -1,27 +1,55 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   subscribeBatches,
   addBatch as addBatchService,
   updateBatch as updateBatchService,
   deleteBatch as deleteBatchService,
-  plantBatch as plantBatchService,
   advanceBatchStageWithLog as advanceBatchStageService,
-  harvestBatchWithYield as harvestBatchWithYieldService,
+  harvestBatchWithYield,
+  moveBatchLocation,
 } from '../services/batchService';
+import { overlayOutbox } from '../services/crewOutboxService';
 import { cropConfig, getEstimatedHarvest } from '../data/cropConfig';
+import {
+  canTransition,
+  getBatchStageId,
+  getNextStage,
+  getStageMachine,
+  isHarvestableStage,
+  isTerminalStage,
+  HARVESTED_STAGE,
+} from '../data/stageMachine';
+import { hasGrowSpace, planBatchLocation, batchTrays } from '../data/growSpace';
+import { useStageMachines } from './useStageMachines';
+import { useGrowSpace } from './useGrowSpace';
+import { useCrewOutbox } from './useCrewOutbox';
 
 /**
  * Batch state hook — subscribes to Firestore, provides CRUD + stage advancement.
  *
- * Requires farmId from useAuth. Exposes derived lists:
- *   activeBatches — everything that isn't harvested
- *   readyBatches  — stage === 'ready'
+ * Requires farmId from useAuth. Stage IDs, order and transitions come from
+ * the farm's stage machines (StageMachineContext). Exposes derived lists:
+ *   activeBatches — everything not in a terminal stage
+ *   readyBatches  — batches in a harvestable stage
  *
  * Crew-specific operations (one-tap, with stageHistory + actual-days logging):
- *   plantCrewBatch, advanceCrewStage, harvestCrewBatch
+ *   plantCrewBatch, advanceCrewStage, harvestCrewBatch, reportCrewLoss
+ * These go through the crew outbox (useCrewOutbox) so they work without
+ * signal; `batches` already shows queued changes, and `crewOutbox` exposes
+ * what is still waiting, conflicting or failed.
+ *
+ * With a grow space layout (GrowSpaceContext), batches get a rack location
+ * when planted and a new one when they enter a stage their zone doesn't
+ * hold; harvesting takes them off the racks. moveBatch sets one by hand.
+ *
+ * materialsFor(cropId, event, amount) (useInventory) prices what planting
+ * and harvesting use from the bill of materials; it is recorded on the
+ * batch and taken off inventory.
  */
-export function useBatches(farmId) {
-  const [batches, setBatches] = useState([]);
+export function useBatches(farmId, { materialsFor } = {}) {
+  const { machines } = useStageMachines();
+  const { layout } = useGrowSpace();
+  const [serverBatches, setBatches] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [retryKey, setRetryKey] = useState(0);
@@ -47,16 +75,40 @@ export function useBatches(farmId) {
     return () => { unsubscribe(); if (retryTimer) clearTimeout(retryTimer); };
   }, [farmId, retryKey]);
 
+  const outbox = useCrewOutbox(farmId, machines);
+  const { enqueue } = outbox;
+  const batches = useMemo(
+    () => overlayOutbox(serverBatches, outbox.entries, machines),
+    [serverBatches, outbox.entries, machines]
+  );
+
+  /**
+   * Where a batch goes on the racks when it enters stageId — see
+   * planBatchLocation. undefined without a layout (locations untouched).
+   */
+  const locate = useCallback((batch, stageId) => {
+    if (!hasGrowSpace(layout)) return undefined;
+    return planBatchLocation(layout, {
+      category: batch.cropCategory,
+      stageId,
+      qty:      batchTrays(batch),
+      current:  batch.location ?? null,
+      batchId:  batch.id ?? null,
+      batches,
+    });
+  }, [layout, batches]);
+
   /** Log a new batch. batchData is built by BatchLogger. */
   const addBatch = useCallback(async (batchData) => {
     if (!farmId) return;
+    const location = batchData.location ?? locate(batchData, batchData.stage);
     try {
-      await addBatchService(farmId, batchData);
+      await addBatchService(farmId, location ? { ...batchData, location } : batchData);
     } catch (err) {
       console.error('Add batch error:', err);
       setError(err.message);
     }
-  }, [farmId]);
+  }, [farmId, locate]);
 
   /** Edit arbitrary fields on an existing batch. */
   const editBatch = useCallback(async (batchId, updates) => {
@@ -81,63 +133,78 @@ export function useBatches(farmId) {
   }, [farmId]);
 
   /**
-   * Advance a batch to its next stage.
-   * Stops at 'ready' — harvesting is done through harvestBatch.
+   * Advance a batch along its stage machine.
+   * `to` defaults to the stage's first transition the variety uses; an
+   * explicit `to` must be an allowed transition. Stops short of harvested —
+   * harvesting is done through harvestBatch / harvestCrewBatch.
    * Takes the full batch object so callers don't need to look up stages.
    */
-  const advanceStage = useCallback(async (batch) => {
+  const advanceStage = useCallback(async (batch, { to, fieldValues, userId } = {}) => {
     if (!farmId) return;
-    const stages = cropConfig[batch.cropCategory]?.stages || [];
-    const idx = stages.findIndex((s) => s.id === batch.stage);
-    if (idx === -1) return;
-    const nextStage = stages[idx + 1];
+    const variety = cropConfig[batch.cropCategory]?.varieties.find(v => v.id === batch.varietyId);
+    const nextStageId = to ?? getNextStage(machines, batch, variety)?.id;
     // Never advance into 'harvested' via this path — use harvestBatch
-    if (!nextStage || nextStage.id === 'harvested') return;
+    if (!nextStageId || nextStageId === HARVESTED_STAGE) return;
     try {
-      await updateBatchService(farmId, batch.id, { stage: nextStage.id });
+      await advanceBatchStageService(farmId, batch, nextStageId, userId, {
+        machines, fieldValues, location: locate(batch, nextStageId),
+      });
     } catch (err) {
       console.error('Advance stage error:', err);
       setError(err.message);
     }
-  }, [farmId]);
+  }, [farmId, machines, locate]);
 
   /**
    * Mark a batch as harvested with an actual yield amount.
-   * Sets stage → 'harvested', records harvestYield and harvestedAt.
+   * Only from a stage that moves to harvested; records actualYield,
+   * harvestedAt and stageHistory like the crew flow.
    */
-  const harvestBatch = useCallback(async (batchId, harvestYield) => {
+  const harvestBatch = useCallback(async (batchId, harvestYield, userId) => {
     if (!farmId) return;
+    const batch = batches.find(b => b.id === batchId);
+    if (!batch) return;
+    if (!canTransition(machines, batch, HARVESTED_STAGE)) {
+      setError(`Can't harvest ${batch.varietyName || 'batch'} from ${getBatchStageId(machines, batch)}`);
+      return;
+    }
+    const materials = materialsFor?.(batch.varietyId, 'harvest', Number(harvestYield)) ?? [];
     try {
-      await updateBatchService(farmId, batchId, {
-        stage: 'harvested',
-        harvestYield: harvestYield ?? null,
-        harvestedAt: new Date().toISOString(),
-      });
+      await harvestBatchWithYield(farmId, batch, harvestYield, userId, materials);
     } catch (err) {
       console.error('Harvest batch error:', err);
       setError(err.message);
     }
-  }, [farmId]);
+  }, [farmId, batches, machines, materialsFor]);
 
-  // ── Crew one-tap operations (with stageHistory logging) ────────────────────
+  // ── Crew one-tap operations (queued in the crew outbox) ───────────────────
 
   /**
    * One-tap plant from a sowing recommendation.
-   * Creates a full batch doc: stage='germination', source='sowing-schedule',
+   * Queues a full batch doc in the category's sow stage, source='sowing-schedule',
    * stageHistory entry, expectedYield, estimated harvest dates.
+   * inputs: { seedLotId, seedLot, seedVendor, growMedium, seedDensity } — what
+   * was sown; a seedLotId draws the seed off that lot when the entry syncs,
+   * along with the crop's per-tray materials.
+   * labor: { start, end, userName } when the crew timed the planting —
+   * recorded as a labor task when the entry syncs (same for advance/harvest).
    */
-  const plantCrewBatch = useCallback(async (need, userId, qtyOverride) => {
+  const plantCrewBatch = useCallback(async (need, userId, qtyOverride, inputs = {}, labor = null) => {
     if (!farmId) return;
     const today = new Date().toISOString().split('T')[0];
     const harvest = getEstimatedHarvest(need.cropId, today);
 
     const qty = qtyOverride ?? need.recommendedQty;
     const variety = cropConfig[need.cropCategory]?.varieties.find(v => v.id === need.cropId);
-    const ypu = variety?.yieldPerTray ?? variety?.yieldPerPort ?? variety?.yieldPerBlock ?? 0;
+    const ypu = need.yieldPerUnit ?? variety?.yieldPerTray ?? variety?.yieldPerPort ?? variety?.yieldPerBlock ?? 0;
     const expectedYield = Math.round((qty || 0) * ypu * 10) / 10;
+    const location = locate({ cropCategory: need.cropCategory, quantity: qty }, getStageMachine(machines, need.cropCategory).sowStage);
 
-    try {
-      await plantBatchService(farmId, {
+    enqueue('plant', {
+      label:  need.cropName,
+      userId: userId ?? null,
+      labor,
+      data: {
         cropCategory:          need.cropCategory,
         varietyId:             need.cropId,
         varietyName:           need.cropName,
@@ -147,55 +214,88 @@ export function useBatches(farmId) {
         expectedYield,
         estimatedHarvestStart: harvest?.harvestStart?.toISOString().split('T')[0] ?? null,
         estimatedHarvestEnd:   harvest?.harvestEnd?.toISOString().split('T')[0] ?? null,
-      }, userId);
-    } catch (err) {
-      console.error('Plant crew batch error:', err);
-      setError(err.message);
-    }
-  }, [farmId]);
+        location:              location ?? null,
+        seedLotId:             inputs.seedLotId || null,
+        seedLot:               inputs.seedLot || null,
+        seedVendor:            inputs.seedVendor || null,
+        growMedium:            inputs.growMedium || null,
+        seedDensity:           inputs.seedDensity ?? null,
+        materials:             materialsFor?.(need.cropId, 'plant', qty) ?? [],
+      },
+    });
+  }, [farmId, machines, locate, enqueue, materialsFor]);
 
   /**
    * One-tap stage advance with stageHistory + actual-days logging.
-   * Logs actualGerminationDays when leaving germination stage,
-   * and actualBlackoutDays when leaving blackout stage.
+   * Each stage's `recordDaysAs` (e.g. actualGerminationDays) is written
+   * when the batch leaves it.
    */
-  const advanceCrewStage = useCallback(async (batch, userId) => {
+  const advanceCrewStage = useCallback(async (batch, userId, labor = null) => {
     if (!farmId) return;
-    const stages = cropConfig[batch.cropCategory]?.stages || [];
-    const idx = stages.findIndex(s => s.id === batch.stage);
-    if (idx === -1) return;
-    const nextStage = stages[idx + 1];
-    if (!nextStage || nextStage.id === 'harvested') return;
-
-    const actualDaysField =
-      batch.stage === 'germination' ? 'actualGerminationDays' :
-      batch.stage === 'blackout'    ? 'actualBlackoutDays'    :
-      null;
-
-    try {
-      await advanceBatchStageService(farmId, batch, nextStage.id, userId, actualDaysField);
-    } catch (err) {
-      console.error('Advance crew stage error:', err);
-      setError(err.message);
+    const variety = cropConfig[batch.cropCategory]?.varieties.find(v => v.id === batch.varietyId);
+    const nextStageId = getNextStage(machines, batch, variety)?.id;
+    if (!nextStageId || nextStageId === HARVESTED_STAGE) return;
+    if (!canTransition(machines, batch, nextStageId)) {
+      setError(`Can't move ${batch.varietyName || 'batch'} to ${nextStageId}`);
+      return;
     }
-  }, [farmId]);
+    enqueue('advance', {
+      batchId:   batch.id,
+      label:     batch.varietyName || batch.varietyId || 'Batch',
+      userId:    userId ?? null,
+      fromStage: getBatchStageId(machines, batch),
+      toStage:   nextStageId,
+      location:  locate(batch, nextStageId),
+      labor,
+    });
+  }, [farmId, machines, locate, enqueue]);
 
   /**
    * One-tap harvest with actual yield, actualGrowDays, and stageHistory logging.
-   * Takes the full batch object (needs stageHistory + sowDate for calculations).
+   * Only from a harvestable stage. Grow days and history are worked out from
+   * the server's copy when it syncs.
    */
-  const harvestCrewBatch = useCallback(async (batch, actualYield, userId) => {
+  const harvestCrewBatch = useCallback(async (batch, actualYield, userId, labor = null) => {
+    if (!farmId) return;
+    if (!isHarvestableStage(machines, batch)) {
+      setError(`${batch.varietyName || 'Batch'} isn't ready to harvest`);
+      return;
+    }
+    enqueue('harvest', {
+      batchId:     batch.id,
+      label:       batch.varietyName || batch.varietyId || 'Batch',
+      userId:      userId ?? null,
+      actualYield: actualYield ?? null,
+      materials:   materialsFor?.(batch.varietyId, 'harvest', Number(actualYield)) ?? [],
+      labor,
+    });
+  }, [farmId, machines, enqueue, materialsFor]);
+
+  /** Report trays lost on a batch. Reports add to lossCount and lossReports[]. */
+  const reportCrewLoss = useCallback(async (batch, trays, reason, userId) => {
+    if (!farmId || !(trays > 0)) return;
+    enqueue('loss', {
+      batchId: batch.id,
+      label:   batch.varietyName || batch.varietyId || 'Batch',
+      userId:  userId ?? null,
+      trays,
+      reason,
+    });
+  }, [farmId, enqueue]);
+
+  /** Put a batch on different shelves. location null takes it off the racks. */
+  const moveBatch = useCallback(async (batch, location, userId) => {
     if (!farmId) return;
     try {
-      await harvestBatchWithYieldService(farmId, batch, actualYield, userId);
+      await moveBatchLocation(farmId, batch.id, location, userId);
     } catch (err) {
-      console.error('Harvest crew batch error:', err);
+      console.error('Move batch error:', err);
       setError(err.message);
     }
   }, [farmId]);
 
-  const activeBatches = batches.filter((b) => b.stage !== 'harvested');
-  const readyBatches = batches.filter((b) => b.stage === 'ready');
+  const activeBatches = batches.filter((b) => !isTerminalStage(machines, b));
+  const readyBatches = batches.filter((b) => isHarvestableStage(machines, b));
 
   return {
     batches,
@@ -211,5 +311,15 @@ export function useBatches(farmId) {
     plantCrewBatch,
     advanceCrewStage,
     harvestCrewBatch,
+    reportCrewLoss,
+    moveBatch,
+    crewOutbox: {
+      entries:  outbox.entries,
+      online:   outbox.online,
+      syncing:  outbox.syncing,
+      lastSync: outbox.lastSync,
+      retry:    outbox.retry,
+      discard:  outbox.discard,
+    },
   };
 }
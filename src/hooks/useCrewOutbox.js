@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  loadOutbox,
+  saveOutbox,
+  outboxStorageKey,
+  createOutboxEntry,
+  applyOutboxEntry,
+  isRetryableError,
+} from '../services/crewOutboxService';
+
+const RETRY_INTERVAL_MS = 30000;
+
+/**
+ * Crew outbox hook — queues crew writes on the device and syncs them when
+ * there is signal (see services/crewOutboxService.js).
+ *
+ * Returns:
+ *   entries   — everything not yet on the server (pending, conflict, failed)
+ *   online    — navigator.onLine, kept current
+ *   syncing   — a flush is running
+ *   lastSync  — summary of the last flush that did anything:
+ *               { applied, duplicates, conflicts, failed, at }
+ *   enqueue(type, fields) — queue a change and try to send it
+ *   retry(id?)            — put a conflict/failed entry (or all) back to pending
+ *   discard(id)           — drop an entry without sending it
+ */
+export function useCrewOutbox(farmId, machines) {
+  const [entries, setEntries] = useState(() => loadOutbox(farmId));
+  const [online, setOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+  const [syncing, setSyncing] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
+  const flushing = useRef(false);
+
+  // Writes go through localStorage first so a reload (or another tab) sees them
+  const update = useCallback((fn) => {
+    const next = fn(loadOutbox(farmId));
+    saveOutbox(farmId, next);
+    setEntries(next);
+    return next;
+  }, [farmId]);
+
+  const flush = useCallback(async () => {
+    if (!farmId || flushing.current || !navigator.onLine) return;
+    flushing.current = true;
+    setSyncing(true);
+    const summary = { applied: 0, duplicates: 0, conflicts: 0, failed: 0 };
+
+    try {
+      for (;;) {
+        const entry = loadOutbox(farmId).find((e) => e.status === 'pending');
+        if (!entry) break;
+        let outcome;
+        try {
+          outcome = await applyOutboxEntry(farmId, entry, machines);
+        } catch (err) {
+          if (isRetryableError(err)) break; // lost signal again — leave it for later
+          summary.failed++;
+          update((list) => list.map((e) => (e.id === entry.id ? { ...e, status: 'failed', error: err.message } : e)));
+          continue;
+        }
+        if (outcome.result === 'conflict') {
+          summary.conflicts++;
+          update((list) => list.map((e) => (e.id === entry.id ? { ...e, status: 'conflict', error: outcome.reason } : e)));
+        } else {
+          summary[outcome.result === 'applied' ? 'applied' : 'duplicates']++;
+          update((list) => list.filter((e) => e.id !== entry.id));
+        }
+      }
+    } finally {
+      flushing.current = false;
+      setSyncing(false);
+    }
+
+    if (summary.applied + summary.duplicates + summary.conflicts + summary.failed > 0) {
+      setLastSync({ ...summary, at: new Date().toISOString() });
+    }
+  }, [farmId, machines, update]);
+
+  const enqueue = useCallback((type, fields) => {
+    if (!farmId) return null;
+    const entry = createOutboxEntry(farmId, type, fields);
+    update((list) => [...list, entry]);
+    flush();
+    return entry;
+  }, [farmId, update, flush]);
+
+  const retry = useCallback((id) => {
+    update((list) => list.map((e) => (
+      (id ? e.id === id : e.status !== 'pending') ? { ...e, status: 'pending', error: null } : e
+    )));
+    flush();
+  }, [update, flush]);
+
+  const discard = useCallback((id) => {
+    update((list) => list.filter((e) => e.id !== id));
+  }, [update]);
+
+  // Farm switch: load that farm's outbox and send whatever is waiting
+  useEffect(() => {
+    setEntries(loadOutbox(farmId));
+    flush();
+  }, [farmId, flush]);
+
+  // Reconnect, other tabs, and a slow retry while anything is pending
+  useEffect(() => {
+    const goOnline = () => { setOnline(true); flush(); };
+    const goOffline = () => setOnline(false);
+    const onStorage = (e) => { if (e.key === outboxStorageKey(farmId)) setEntries(loadOutbox(farmId)); };
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('storage', onStorage);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, [farmId, flush]);
+
+  const hasPending = entries.some((e) => e.status === 'pending');
+  useEffect(() => {
+    if (!hasPending) return;
+    const timer = setInterval(flush, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasPending, flush]);
+
+  return { entries, online, syncing, lastSync, enqueue, retry, discard };
+}
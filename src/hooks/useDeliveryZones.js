@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  subscribeDeliveryZones, addDeliveryZone as addDeliveryZoneService,
+  updateDeliveryZone as updateDeliveryZoneService, deleteDeliveryZone as deleteDeliveryZoneService,
+} from '../services/deliveryZoneService';
+
+/**
+ * Delivery zones hook — delivery days, cutoffs and minimums per zone
+ * (data/deliveryZones.js).
+ */
+export function useDeliveryZones(farmId) {
+  const [deliveryZones, setDeliveryZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmId) { setDeliveryZones([]); setLoading(false); return; }
+    setLoading(true);
+    return subscribeDeliveryZones(
+      farmId,
+      (data) => { setDeliveryZones(data); setLoading(false); },
+      (err) => { console.error('[useDeliveryZones] error:', err); setError(err.message); setLoading(false); },
+    );
+  }, [farmId]);
+
+  const addDeliveryZone = useCallback(async (data) => {
+    if (!farmId) return;
+    try { return await addDeliveryZoneService(farmId, data); }
+    catch (err) { console.error('[useDeliveryZones] add error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const editDeliveryZone = useCallback(async (id, updates) => {
+    if (!farmId) return;
+    try { return await updateDeliveryZoneService(farmId, id, updates); }
+    catch (err) { console.error('[useDeliveryZones] edit error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const removeDeliveryZone = useCallback(async (id) => {
+    if (!farmId) return;
+    try { return await deleteDeliveryZoneService(farmId, id); }
+    catch (err) { console.error('[useDeliveryZones] remove error:', err); setError(err.message); }
+  }, [farmId]);
+
+  return { deliveryZones, loading, error, addDeliveryZone, editDeliveryZone, removeDeliveryZone };
+}
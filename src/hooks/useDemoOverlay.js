@@ -55,11 +55,21 @@ export function useDemoOverlay(realData) {
     products:           isDemoMode ? (dm.products           || [])  : realData.products,
     availableProducts:  isDemoMode ? (dm.availableProducts  || [])  : realData.availableProducts,
     orders:             isDemoMode ? (dm.orders             || [])  : realData.orders,
+    standingOrders:     isDemoMode ? (dm.standingOrders     || [])  : realData.standingOrders,
     customers:          isDemoMode ? (dm.customers          || [])  : realData.customers,
     expenses:           isDemoMode ? (dm.expenses           || [])  : realData.expenses,
     revenue:            isDemoMode ? (dm.revenue            || [])  : realData.revenue,
     infrastructure:     isDemoMode ? (dm.infrastructure     || [])  : realData.infrastructure,
     inventory:          isDemoMode ? (dm.inventory          || [])  : realData.inventory,
+    seedLots:           isDemoMode ? (dm.seedLots           || [])  : realData.seedLots,
+    bom:                isDemoMode ? (dm.bom                || { crops: {} }) : realData.bom,
+    purchaseOrders:     isDemoMode ? (dm.purchaseOrders     || [])  : realData.purchaseOrders,
+    priceLists:         isDemoMode ? (dm.priceLists         || [])  : realData.priceLists,
+    myPriceLists:       isDemoMode ? (dm.myPriceLists       || [])  : realData.myPriceLists,
+    deliveryZones:      isDemoMode ? (dm.deliveryZones      || [])  : realData.deliveryZones,
+    myDeliveryZone:     isDemoMode ? (dm.myDeliveryZone     || null) : realData.myDeliveryZone,
+    invoices:           isDemoMode ? (dm.invoices           || [])  : realData.invoices,
+    laborEntries:       isDemoMode ? (dm.laborEntries       || [])  : realData.laborEntries,
     activities:         isDemoMode ? (dm.activities         || [])  : realData.activities,
     deliveries:         isDemoMode ? (dm.deliveries         || [])  : realData.deliveries,
     todayDeliveries:    isDemoMode ? (dm.todayDeliveries    || [])  : realData.todayDeliveries,
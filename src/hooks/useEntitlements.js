@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+import { subscribeEntitlements } from '../services/entitlementService';
+
+/**
+ * Real-time plan entitlements for a farm (see data/entitlements.js).
+ *
+ * entitlements is null until the farm root doc loads — and stays null if
+ * it can't be read, with error set.
+ */
+export function useEntitlements(farmId) {
+  const [entitlements, setEntitlements] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmId) { setEntitlements(null); setLoading(false); return; }
+    setLoading(true);
+    setError(null);
+    return subscribeEntitlements(
+      farmId,
+      (e) => { setEntitlements(e); setLoading(false); },
+      (err) => { console.error('Entitlements subscription error:', err); setError(err.message); setLoading(false); }
+    );
+  }, [farmId]);
+
+  return { entitlements, loading, error };
+}
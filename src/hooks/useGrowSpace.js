@@ -0,0 +1,18 @@
+import { createContext, useContext } from 'react';
+import { resolveGrowSpace } from '../data/growSpace';
+
+/** Filled by GrowSpaceProvider (contexts/GrowSpaceContext.jsx). */
+export const GrowSpaceContext = createContext(null);
+
+/** Layout with no racks — no capacity checks. */
+export const EMPTY_LAYOUT = resolveGrowSpace(null);
+
+/**
+ * Hook — the farm's grow space layout. Returns { layout, loading }; an
+ * empty layout (no capacity checks) outside a provider.
+ */
+export function useGrowSpace() {
+  const ctx = useContext(GrowSpaceContext);
+  if (!ctx) return { layout: EMPTY_LAYOUT, loading: false };
+  return ctx;
+}
@@ -5,20 +5,33 @@
  *   inventory    — full list
  *   alertItems   — items where currentQty < parLevel (sorted most-depleted first)
  *   addItem, editItem, removeItem
+ *   seedLots     — seed lots, newest received first (data/traceability.js)
+ *   receiveLot, editLot
+ *   bom          — bill of materials per crop (data/billOfMaterials.js)
+ *   saveBom, materialsFor(cropId, event, amount), consume(materials)
  */
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   subscribeInventory,
   addInventoryItem as svcAdd,
   updateInventoryItem as svcUpdate,
   deleteInventoryItem as svcDelete,
+  subscribeSeedLots,
+  receiveSeedLot,
+  updateSeedLot,
+  subscribeBillOfMaterials,
+  saveBillOfMaterials,
+  consumeInventory,
 } from '../services/inventoryService';
+import { resolveBom, materialsFor as bomMaterials } from '../data/billOfMaterials';
 
 export function useInventory(farmId) {
   const [inventory, setInventory] = useState([]);
   const [loading,   setLoading]   = useState(true);
   const [error,     setError]     = useState(null);
   const [retryKey,  setRetryKey]  = useState(0);
+  const [seedLots,  setSeedLots]  = useState([]);
+  const [bomDoc,    setBomDoc]    = useState(null);
 
   useEffect(() => {
     if (!farmId) { setLoading(false); return; }
@@ -37,6 +50,26 @@ export function useInventory(farmId) {
     return () => { unsub(); if (retryTimer) clearTimeout(retryTimer); };
   }, [farmId, retryKey]);
 
+  useEffect(() => {
+    if (!farmId) return;
+    return subscribeSeedLots(
+      farmId,
+      setSeedLots,
+      (err) => console.error('Seed lot sub error:', err?.code, err?.message)
+    );
+  }, [farmId]);
+
+  useEffect(() => {
+    if (!farmId) return;
+    return subscribeBillOfMaterials(
+      farmId,
+      setBomDoc,
+      (err) => console.error('BOM sub error:', err?.code, err?.message)
+    );
+  }, [farmId]);
+
+  const bom = useMemo(() => resolveBom(bomDoc), [bomDoc]);
+
   const addItem = useCallback(async (data) => {
     if (!farmId) return;
     try { await svcAdd(farmId, data); }
@@ -55,6 +88,35 @@ export function useInventory(farmId) {
     catch (e) { console.error('Remove inventory item:', e); setError(e.message); }
   }, [farmId]);
 
+  const receiveLot = useCallback(async (data, userId) => {
+    if (!farmId) return;
+    try { await receiveSeedLot(farmId, data, userId); }
+    catch (e) { console.error('Receive seed lot:', e); setError(e.message); throw e; }
+  }, [farmId]);
+
+  const editLot = useCallback(async (id, updates) => {
+    if (!farmId) return;
+    try { await updateSeedLot(farmId, id, updates); }
+    catch (e) { console.error('Edit seed lot:', e); setError(e.message); }
+  }, [farmId]);
+
+  const saveBom = useCallback(async (crops, userId) => {
+    if (!farmId) return;
+    await saveBillOfMaterials(farmId, crops, userId);
+  }, [farmId]);
+
+  /** Materials a plant / harvest / pack uses, priced from current inventory. */
+  const materialsFor = useCallback(
+    (cropId, event, amount) => bomMaterials(bom, inventory, cropId, event, amount),
+    [bom, inventory]
+  );
+
+  const consume = useCallback(async (materials) => {
+    if (!farmId) return;
+    try { await consumeInventory(farmId, materials); }
+    catch (e) { console.error('Consume inventory:', e); setError(e.message); }
+  }, [farmId]);
+
   // Items below par level, sorted most-depleted first (lowest ratio first)
   const alertItems = inventory
     .filter((i) => (i.currentQty ?? 0) < (i.parLevel ?? 0))
@@ -64,5 +126,9 @@ export function useInventory(farmId) {
       return ra - rb;
     });
 
-  return { inventory, alertItems, loading, error, addItem, editItem, removeItem };
+  return {
+    inventory, alertItems, loading, error, addItem, editItem, removeItem,
+    seedLots, receiveLot, editLot,
+    bom, saveBom, materialsFor, consume,
+  };
 }
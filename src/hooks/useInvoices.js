@@ -0,0 +1,61 @@
+/**
+ * useInvoices — real-time customer invoices (data/invoices.js).
+ *
+ * Exposes:
+ *   invoices — newest first
+ *   createInvoices(drafts, userId) → invoice numbers created
+ *   recordPayment(invoice, payment, userId), voidInvoice(invoice, userId)
+ */
+import { useState, useEffect, useCallback } from 'react';
+import {
+  subscribeInvoices,
+  createInvoices as createInvoicesService,
+  recordInvoicePayment,
+  voidInvoice as voidInvoiceService,
+} from '../services/invoiceService';
+import { paymentError, voidError } from '../data/invoices';
+
+export function useInvoices(farmId) {
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmId) { setInvoices([]); setLoading(false); return; }
+    setLoading(true);
+    return subscribeInvoices(
+      farmId,
+      (data) => { setInvoices(data); setLoading(false); },
+      (err) => { console.error('[useInvoices] error:', err); setError(err.message); setLoading(false); },
+    );
+  }, [farmId]);
+
+  const createInvoices = useCallback(async (drafts, userId) => {
+    if (!farmId || drafts.length === 0) return [];
+    try { return await createInvoicesService(farmId, drafts, userId); }
+    catch (err) { console.error('[useInvoices] create error:', err); setError(err.message); throw err; }
+  }, [farmId]);
+
+  /**
+   * payment: { date, amount, method, reference }. Throws when it doesn't fit
+   * the balance — checked here for quick feedback, and again on the stored
+   * invoice when it's recorded.
+   */
+  const recordPayment = useCallback(async (invoice, payment, userId) => {
+    if (!farmId) return;
+    const invalid = paymentError(invoice, payment.amount);
+    if (invalid) throw new Error(invalid);
+    try { await recordInvoicePayment(farmId, invoice.id, payment, userId); }
+    catch (err) { console.error('[useInvoices] payment error:', err); setError(err.message); throw err; }
+  }, [farmId]);
+
+  const voidInvoice = useCallback(async (invoice, userId) => {
+    if (!farmId) return;
+    const invalid = voidError(invoice);
+    if (invalid) { setError(invalid); return; }
+    try { await voidInvoiceService(farmId, invoice, userId); }
+    catch (err) { console.error('[useInvoices] void error:', err); setError(err.message); }
+  }, [farmId]);
+
+  return { invoices, loading, error, createInvoices, recordPayment, voidInvoice };
+}
@@ -0,0 +1,87 @@
+/**
+ * useLabor — crew shifts, timed tasks and the farm's labor rate
+ * (data/laborTracking.js).
+ *
+ * Exposes:
+ *   laborEntries — the last LABOR_HISTORY_DAYS days, newest first
+ *   myShift      — the signed-in user's open shift, or null
+ *   clockIn(), clockOut()
+ *   logTask(action, timing, fields) — a timed task outside the crew outbox (packing)
+ *   laborRate    — $ per tracked hour (0 when not set)
+ *   saveLaborRate(rate)
+ */
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  subscribeLaborEntries,
+  clockIn as svcClockIn,
+  clockOut as svcClockOut,
+  addLaborTask,
+  subscribeLaborSettings,
+  saveLaborRate as svcSaveRate,
+} from '../services/laborService';
+import { LABOR_HISTORY_DAYS, openShift, taskEntry } from '../data/laborTracking';
+
+const historyStart = () => {
+  const d = new Date();
+  d.setDate(d.getDate() - LABOR_HISTORY_DAYS);
+  return d.toISOString().split('T')[0];
+};
+
+export function useLabor(farmId, user) {
+  const [laborEntries, setLaborEntries] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [error, setError] = useState(null);
+  const userId = user?.uid ?? null;
+  const userName = user?.displayName || user?.email || null;
+
+  useEffect(() => {
+    if (!farmId) { setLaborEntries([]); return; }
+    return subscribeLaborEntries(
+      farmId,
+      historyStart(),
+      setLaborEntries,
+      (err) => { console.error('[useLabor] error:', err); setError(err.message); },
+    );
+  }, [farmId]);
+
+  useEffect(() => {
+    if (!farmId) return;
+    return subscribeLaborSettings(
+      farmId,
+      setSettings,
+      (err) => console.error('Labor settings sub error:', err?.code, err?.message)
+    );
+  }, [farmId]);
+
+  const myShift = useMemo(() => openShift(laborEntries, userId), [laborEntries, userId]);
+
+  const clockIn = useCallback(async () => {
+    if (!farmId || !userId || myShift) return;
+    try { await svcClockIn(farmId, userId, userName, new Date().toISOString()); }
+    catch (err) { console.error('[useLabor] clock in error:', err); setError(err.message); }
+  }, [farmId, userId, userName, myShift]);
+
+  const clockOut = useCallback(async () => {
+    if (!farmId || !myShift) return;
+    try { await svcClockOut(farmId, myShift, new Date().toISOString()); }
+    catch (err) { console.error('[useLabor] clock out error:', err); setError(err.message); }
+  }, [farmId, myShift]);
+
+  const logTask = useCallback(async (action, timing, fields) => {
+    if (!farmId || !timing) return;
+    try { await addLaborTask(farmId, taskEntry(action, { ...timing, userName }, userId, fields)); }
+    catch (err) { console.error('[useLabor] log task error:', err); setError(err.message); }
+  }, [farmId, userId, userName]);
+
+  const saveLaborRate = useCallback(async (rate) => {
+    if (!farmId) return;
+    await svcSaveRate(farmId, rate, userId);
+  }, [farmId, userId]);
+
+  return {
+    laborEntries, myShift, error,
+    clockIn, clockOut, logTask,
+    laborRate: Number(settings?.hourlyRate) || 0,
+    saveLaborRate,
+  };
+}
@@ -2,10 +2,11 @@ import { useState, useEffect, useCallback } from 'react';
 import {
   subscribeOrders,
   subscribeChefOrders,
-  addOrder as addOrderService,
+  placeOrder as placeOrderService,
   updateOrderStatus as updateOrderStatusService,
   updateOrder as updateOrderService,
 } from '../services/orderService';
+import { requestHarvestPlan } from '../services/harvestPlanningService';
 
 /**
  * Orders hook — real-time Firestore subscription + CRUD.
@@ -14,6 +15,11 @@ import {
  * Omit customerId (or pass null) to get all orders (admin view).
  *
  * Orders are returned sorted newest-first.
+ * placeOrder goes through /api/orders and rethrows its errors (plan limit,
+ * bad date, unavailable item…) so the caller can tell the chef why.
+ * In the admin view status changes and edits ask the server to replan the
+ * affected delivery dates. New orders aren't planned until confirmed.
+ * Replanning runs in the background and never blocks the UI.
  */
 export function useOrders(farmId, customerId = null) {
   const [orders, setOrders] = useState([]);
@@ -33,28 +39,38 @@ export function useOrders(farmId, customerId = null) {
     return unsubscribe;
   }, [farmId, customerId]);
 
-  const addOrder = useCallback(async (orderData) => {
+  const replan = useCallback((orderId, trigger) => {
+    if (customerId || !orderId) return;
+    requestHarvestPlan({ orderIds: [orderId], trigger }).catch(() => {
+      // Logged by the service; the hourly planning cron catches up.
+    });
+  }, [customerId]);
+
+  const placeOrder = useCallback(async (request) => {
     if (!farmId) return null;
-    try { return await addOrderService(farmId, orderData); }
-    catch (err) { console.error('Add order error:', err); setError(err.message); return null; }
+    return placeOrderService(request);
   }, [farmId]);
 
   const advanceOrderStatus = useCallback(async (orderId, newStatus) => {
     if (!farmId) return;
-    try { await updateOrderStatusService(farmId, orderId, newStatus); }
-    catch (err) { console.error('Advance order status error:', err); setError(err.message); }
-  }, [farmId]);
+    try {
+      await updateOrderStatusService(farmId, orderId, newStatus);
+      replan(orderId, `status:${newStatus}`);
+    } catch (err) { console.error('Advance order status error:', err); setError(err.message); }
+  }, [farmId, replan]);
 
   const updateOrder = useCallback(async (orderId, updates) => {
     if (!farmId) return;
-    try { await updateOrderService(farmId, orderId, updates); }
-    catch (err) { console.error('Update order error:', err); setError(err.message); }
-  }, [farmId]);
+    try {
+      await updateOrderService(farmId, orderId, updates);
+      replan(orderId, 'order-updated');
+    } catch (err) { console.error('Update order error:', err); setError(err.message); }
+  }, [farmId, replan]);
 
   // Newest first
   const sorted = [...orders].sort((a, b) =>
     (b.createdAt?.seconds ?? 0) - (a.createdAt?.seconds ?? 0)
   );
 
-  return { orders: sorted, loading, error, addOrder, advanceOrderStatus, updateOrder };
+  return { orders: sorted, loading, error, placeOrder, advanceOrderStatus, updateOrder };
 }
@@ -0,0 +1,44 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  subscribePriceLists, addPriceList as addPriceListService,
+  updatePriceList as updatePriceListService, deletePriceList as deletePriceListService,
+} from '../services/priceListService';
+
+/**
+ * Price lists hook — customer-specific pricing (data/priceLists.js).
+ */
+export function usePriceLists(farmId) {
+  const [priceLists, setPriceLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmId) { setPriceLists([]); setLoading(false); return; }
+    setLoading(true);
+    return subscribePriceLists(
+      farmId,
+      (data) => { setPriceLists(data); setLoading(false); },
+      (err) => { console.error('[usePriceLists] error:', err); setError(err.message); setLoading(false); },
+    );
+  }, [farmId]);
+
+  const addPriceList = useCallback(async (data) => {
+    if (!farmId) return;
+    try { return await addPriceListService(farmId, data); }
+    catch (err) { console.error('[usePriceLists] add error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const editPriceList = useCallback(async (id, updates) => {
+    if (!farmId) return;
+    try { return await updatePriceListService(farmId, id, updates); }
+    catch (err) { console.error('[usePriceLists] edit error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const removePriceList = useCallback(async (id) => {
+    if (!farmId) return;
+    try { return await deletePriceListService(farmId, id); }
+    catch (err) { console.error('[usePriceLists] remove error:', err); setError(err.message); }
+  }, [farmId]);
+
+  return { priceLists, loading, error, addPriceList, editPriceList, removePriceList };
+}
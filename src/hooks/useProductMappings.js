@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+import { EMPTY_MAPPING_INDEX } from '../data/productMapping';
+
+/** Filled by ProductMappingProvider (contexts/ProductMappingContext.jsx). */
+export const ProductMappingContext = createContext(null);
+
+/**
+ * Hook — access product → crop mappings anywhere in the app.
+ * Returns { products, unmappedProducts, mappingIndex, loading }; empty outside a provider.
+ */
+export function useProductMappings() {
+  const ctx = useContext(ProductMappingContext);
+  if (!ctx) return { products: [], unmappedProducts: [], mappingIndex: EMPTY_MAPPING_INDEX, loading: false };
+  return ctx;
+}
@@ -4,12 +4,16 @@ import {
   addProduct as addProductService,
   updateProduct as updateProductService,
   deleteProduct as deleteProductService,
+  saveProductCropMapping as saveProductCropMappingService,
 } from '../services/productService';
+import { isPlanLimitError } from '../data/entitlements';
 
 /**
  * Product catalog hook — real-time Firestore subscription + CRUD.
  *
  * availableProducts is pre-filtered to available === true (chef-facing view).
+ * addProduct rethrows plan-limit errors so the caller can prompt an upgrade.
+ * saveCropMapping rethrows so the mapping screen can show validation errors.
  */
 export function useProducts(farmId) {
   const [products, setProducts] = useState([]);
@@ -29,7 +33,10 @@ export function useProducts(farmId) {
   const addProduct = useCallback(async (data) => {
     if (!farmId) return;
     try { await addProductService(farmId, data); }
-    catch (err) { console.error('Add product error:', err); setError(err.message); }
+    catch (err) {
+      if (isPlanLimitError(err)) throw err;
+      console.error('Add product error:', err); setError(err.message);
+    }
   }, [farmId]);
 
   const editProduct = useCallback(async (productId, updates) => {
@@ -44,6 +51,11 @@ export function useProducts(farmId) {
     catch (err) { console.error('Delete product error:', err); setError(err.message); }
   }, [farmId]);
 
+  const saveCropMapping = useCallback(async (source, productId, mapping, variantMappings) => {
+    if (!farmId) return;
+    await saveProductCropMappingService(farmId, source, productId, mapping, variantMappings);
+  }, [farmId]);
+
   const availableProducts = products
     .filter((p) => p.available)
     .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
@@ -56,5 +68,6 @@ export function useProducts(farmId) {
     addProduct,
     editProduct,
     removeProduct,
+    saveCropMapping,
   };
 }
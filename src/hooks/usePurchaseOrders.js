@@ -0,0 +1,72 @@
+/**
+ * usePurchaseOrders — real-time vendor purchase orders (data/purchaseOrders.js).
+ *
+ * Exposes:
+ *   purchaseOrders — newest first
+ *   createDrafts(drafts, userId), editPurchaseOrder, removePurchaseOrder
+ *   sendPurchaseOrder(po), receivePurchaseOrder(po, received, userId)
+ *     — both resolve to { missing }: names of items no longer in inventory
+ */
+import { useState, useEffect, useCallback } from 'react';
+import {
+  subscribePurchaseOrders,
+  createPurchaseOrders,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  markPurchaseOrderSent,
+  receivePurchaseOrderStock,
+} from '../services/purchaseOrderService';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+export function usePurchaseOrders(farmId) {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmId) { setPurchaseOrders([]); setLoading(false); return; }
+    setLoading(true);
+    return subscribePurchaseOrders(
+      farmId,
+      (data) => { setPurchaseOrders(data); setLoading(false); },
+      (err) => { console.error('[usePurchaseOrders] error:', err); setError(err.message); setLoading(false); },
+    );
+  }, [farmId]);
+
+  const createDrafts = useCallback(async (drafts, userId) => {
+    if (!farmId || drafts.length === 0) return [];
+    try { return await createPurchaseOrders(farmId, drafts, userId, today()); }
+    catch (err) { console.error('[usePurchaseOrders] create error:', err); setError(err.message); throw err; }
+  }, [farmId]);
+
+  const editPurchaseOrder = useCallback(async (id, updates) => {
+    if (!farmId) return;
+    try { await updatePurchaseOrder(farmId, id, updates); }
+    catch (err) { console.error('[usePurchaseOrders] edit error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const removePurchaseOrder = useCallback(async (id) => {
+    if (!farmId) return;
+    try { await deletePurchaseOrder(farmId, id); }
+    catch (err) { console.error('[usePurchaseOrders] remove error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const sendPurchaseOrder = useCallback(async (po) => {
+    if (!farmId) return;
+    try { return await markPurchaseOrderSent(farmId, po.id, today()); }
+    catch (err) { console.error('[usePurchaseOrders] send error:', err); setError(err.message); }
+  }, [farmId]);
+
+  /** received: itemId → qty that arrived. Adds to stock and books the cost. */
+  const receivePurchaseOrder = useCallback(async (po, received, userId) => {
+    if (!farmId) return;
+    try { return await receivePurchaseOrderStock(farmId, po.id, received, today(), userId); }
+    catch (err) { console.error('[usePurchaseOrders] receive error:', err); setError(err.message); throw err; }
+  }, [farmId]);
+
+  return {
+    purchaseOrders, loading, error,
+    createDrafts, editPurchaseOrder, removePurchaseOrder, sendPurchaseOrder, receivePurchaseOrder,
+  };
+}
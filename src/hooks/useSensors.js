@@ -0,0 +1,53 @@
+/**
+ * useSensors.js — React hooks for grow room sensor data.
+ *
+ * Read-only — readings are written by /api/sensor-readings.
+ */
+
+import { useState, useEffect } from 'react';
+import { subscribeSensorSettings, subscribeBatchConditions } from '../services/sensorService';
+import { resolveSensorSettings } from '../data/sensors';
+
+const EMPTY_SETTINGS = resolveSensorSettings(null);
+
+/**
+ * The farm's per-zone sensor ranges. Returns { settings, loading }.
+ */
+export function useSensorSettings(farmId) {
+  const [settings, setSettings] = useState(EMPTY_SETTINGS);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!farmId) { setSettings(EMPTY_SETTINGS); setLoading(false); return; }
+    setLoading(true);
+    return subscribeSensorSettings(
+      farmId,
+      (resolved) => { setSettings(resolved); setLoading(false); },
+      (err) => { console.error('Sensor settings subscription error:', err); setLoading(false); }
+    );
+  }, [farmId]);
+
+  return { settings, loading };
+}
+
+/**
+ * Sensor buckets linked to one batch — the conditions it grew in.
+ * Returns { buckets, loading }. Pass a null batchId to skip loading.
+ */
+export function useBatchConditions(farmId, batchId) {
+  const [buckets, setBuckets] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!farmId || !batchId) { setBuckets([]); setLoading(false); return; }
+    setLoading(true);
+    return subscribeBatchConditions(
+      farmId,
+      batchId,
+      (docs) => { setBuckets(docs); setLoading(false); },
+      (err) => { console.error('Batch conditions subscription error:', err); setLoading(false); }
+    );
+  }, [farmId, batchId]);
+
+  return { buckets, loading };
+}
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_STAGE_MACHINES } from '../data/stageMachine';
+
+/** Filled by StageMachineProvider (contexts/StageMachineContext.jsx). */
+export const StageMachineContext = createContext(null);
+
+/**
+ * Hook — access the farm's stage machines anywhere in the app.
+ * Returns { machines, overrides, loading }; defaults outside a provider.
+ */
+export function useStageMachines() {
+  const ctx = useContext(StageMachineContext);
+  if (!ctx) return { machines: DEFAULT_STAGE_MACHINES, overrides: null, loading: false };
+  return ctx;
+}
@@ -0,0 +1,70 @@
+/**
+ * useStandingOrders — chefs' recurring weekly orders (data/standingOrders.js).
+ *
+ * Pass customerId for one chef's standing orders (chef view); omit it for
+ * the whole farm's.
+ *
+ * Exposes:
+ *   standingOrders
+ *   createStandingOrder(data), editStandingOrder(id, updates), removeStandingOrder(id)
+ *   pauseStandingOrder(so), resumeStandingOrder(so)
+ *   skipDelivery(so, date, skipped, placedOrder)
+ */
+import { useState, useEffect, useCallback } from 'react';
+import {
+  subscribeStandingOrders,
+  createStandingOrder as svcCreate,
+  updateStandingOrder,
+  deleteStandingOrder,
+  setDeliverySkipped,
+} from '../services/standingOrderService';
+
+export function useStandingOrders(farmId, customerId = null) {
+  const [standingOrders, setStandingOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmId) { setStandingOrders([]); setLoading(false); return; }
+    setLoading(true);
+    return subscribeStandingOrders(
+      farmId,
+      customerId,
+      (data) => { setStandingOrders(data); setLoading(false); },
+      (err) => { console.error('[useStandingOrders] error:', err); setError(err.message); setLoading(false); },
+    );
+  }, [farmId, customerId]);
+
+  const createStandingOrder = useCallback(async (data) => {
+    if (!farmId) return null;
+    try { return await svcCreate(farmId, data); }
+    catch (err) { console.error('[useStandingOrders] create error:', err); setError(err.message); throw err; }
+  }, [farmId]);
+
+  const editStandingOrder = useCallback(async (id, updates) => {
+    if (!farmId) return;
+    try { await updateStandingOrder(farmId, id, updates); }
+    catch (err) { console.error('[useStandingOrders] edit error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const removeStandingOrder = useCallback(async (id) => {
+    if (!farmId) return;
+    try { await deleteStandingOrder(farmId, id); }
+    catch (err) { console.error('[useStandingOrders] remove error:', err); setError(err.message); }
+  }, [farmId]);
+
+  const pauseStandingOrder = useCallback((so) => editStandingOrder(so.id, { status: 'paused' }), [editStandingOrder]);
+  const resumeStandingOrder = useCallback((so) => editStandingOrder(so.id, { status: 'active' }), [editStandingOrder]);
+
+  const skipDelivery = useCallback(async (so, date, skipped, placedOrder) => {
+    if (!farmId) return;
+    try { await setDeliverySkipped(farmId, so, date, skipped, placedOrder); }
+    catch (err) { console.error('[useStandingOrders] skip error:', err); setError(err.message); }
+  }, [farmId]);
+
+  return {
+    standingOrders, loading, error,
+    createStandingOrder, editStandingOrder, removeStandingOrder,
+    pauseStandingOrder, resumeStandingOrder, skipDelivery,
+  };
+}
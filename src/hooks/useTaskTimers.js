@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const STORAGE_PREFIX = 'mico_task_timers_';
+const TICK_MS = 15000;
+
+function load(key) {
+  try { return JSON.parse(localStorage.getItem(key) || '{}'); }
+  catch { return {}; }
+}
+
+/**
+ * Task timers — optional stopwatches the crew starts on a card (plant,
+ * move, harvest, pack) so the action's time is recorded with it.
+ * Kept in localStorage per signed-in user so a reload in the grow room
+ * doesn't lose them.
+ *
+ * Returns:
+ *   running(key)  — start time (ISO) or null
+ *   minutesOf(key)— whole minutes so far (ticks while anything runs)
+ *   start(key), cancel(key)
+ *   stop(key)     — { start, end } to record, or null when it wasn't running
+ */
+export function useTaskTimers(userId) {
+  const storageKey = STORAGE_PREFIX + (userId || 'anon');
+  const [timers, setTimers] = useState(() => load(storageKey));
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => { setTimers(load(storageKey)); }, [storageKey]);
+
+  const save = useCallback((fn) => setTimers((prev) => {
+    const next = fn(prev);
+    try { localStorage.setItem(storageKey, JSON.stringify(next)); }
+    catch (err) { console.error('[useTaskTimers] save failed:', err); }
+    return next;
+  }), [storageKey]);
+
+  const anyRunning = Object.keys(timers).length > 0;
+  useEffect(() => {
+    if (!anyRunning) return;
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [anyRunning]);
+
+  const start = useCallback((key) => {
+    setNow(Date.now());
+    save((t) => ({ ...t, [key]: new Date().toISOString() }));
+  }, [save]);
+
+  const cancel = useCallback((key) => {
+    save((t) => { const next = { ...t }; delete next[key]; return next; });
+  }, [save]);
+
+  const stop = useCallback((key) => {
+    const startedAt = timers[key];
+    if (!startedAt) return null;
+    cancel(key);
+    return { start: startedAt, end: new Date().toISOString() };
+  }, [timers, cancel]);
+
+  const running = useCallback((key) => timers[key] || null, [timers]);
+  const minutesOf = useCallback(
+    (key) => (timers[key] ? Math.max(0, Math.floor((now - new Date(timers[key])) / 60000)) : 0),
+    [timers, now]
+  );
+
+  return { running, minutesOf, start, cancel, stop };
+}
@@ -0,0 +1,27 @@
+/**
+ * useUpcomingSowings.js — planned sowings from today on (harvest planner
+ * output), for projecting what the coming weeks will use.
+ */
+
+import { useState, useEffect } from 'react';
+import { subscribeUpcomingSowings } from '../services/harvestPlanningService';
+
+/** Returns { sowings, loading }. */
+export function useUpcomingSowings(farmId) {
+  const [sowings, setSowings] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!farmId) { setSowings([]); setLoading(false); return; }
+    setLoading(true);
+    const today = new Date().toISOString().split('T')[0];
+    return subscribeUpcomingSowings(
+      farmId,
+      today,
+      (entries) => { setSowings(entries); setLoading(false); },
+      (err) => { console.error('Upcoming sowings subscription error:', err); setLoading(false); }
+    );
+  }, [farmId]);
+
+  return { sowings, loading };
+}
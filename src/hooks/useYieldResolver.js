@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+import { defaultYieldResolver } from '../data/yieldResolution';
+
+/** Filled by YieldProvider (contexts/YieldContext.jsx). */
+export const YieldContext = createContext(null);
+
+/**
+ * Hook — access the farm's yield resolver anywhere in the app.
+ * Returns { resolveYield, loading }; cropConfig defaults outside a provider.
+ */
+export function useYieldResolver() {
+  const ctx = useContext(YieldContext);
+  if (!ctx) return { resolveYield: defaultYieldResolver, loading: false };
+  return ctx;
+}
@@ -13,6 +13,7 @@ import {
   onSnapshot,
 } from 'firebase/firestore';
 import { getDb } from '../firebase';
+import { postApi } from './apiClient';
 
 const alertsCol = (farmId) => collection(getDb(), 'farms', farmId, 'alerts');
 
@@ -56,12 +57,7 @@ export async function dismissAlert(alertIdOrIds) {
     const body = Array.isArray(alertIdOrIds)
       ? { alertIds: alertIdOrIds }
       : { alertId: alertIdOrIds };
-    const res = await fetch('/api/learning-engine/dismiss-alert', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) throw new Error(`dismiss failed: ${res.status}`);
+    await postApi('/api/learning-engine/dismiss-alert', body);
     return true;
   } catch (err) {
     console.error('[alertService] dismissAlert failed:', err);
@@ -74,12 +70,7 @@ export async function dismissAlert(alertIdOrIds) {
  */
 export async function dismissAllAlerts() {
   try {
-    const res = await fetch('/api/learning-engine/dismiss-alert', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ dismissAll: true }),
-    });
-    if (!res.ok) throw new Error(`dismiss-all failed: ${res.status}`);
+    await postApi('/api/learning-engine/dismiss-alert', { dismissAll: true });
     return true;
   } catch (err) {
     console.error('[alertService] dismissAllAlerts failed:', err);
@@ -0,0 +1,35 @@
+/**
+ * apiClient.js — Helpers for calling our own /api routes.
+ *
+ * Server routes resolve the farm from the caller's Firebase ID token
+ * (see api/_lib/requestAuth.js), so every app request must send one.
+ */
+import { getFirebaseAuth } from '../firebase';
+
+/**
+ * Build request headers with the signed-in user's ID token attached.
+ * @param {object} [extra] — additional headers to merge in
+ */
+export async function authHeaders(extra = {}) {
+  const token = await getFirebaseAuth().currentUser?.getIdToken();
+  return token ? { ...extra, Authorization: `Bearer ${token}` } : { ...extra };
+}
+
+/**
+ * POST JSON to an API route with auth. Throws on non-2xx, with the
+ * route's `error` message (and `code`, when it sent one).
+ */
+export async function postApi(path, body = {}) {
+  const res = await fetch(path, {
+    method: 'POST',
+    headers: await authHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || `${path} failed: ${res.status}`);
+    if (data.code) err.code = data.code;
+    throw err;
+  }
+  return data;
+}
@@ -6,10 +6,20 @@ import {
   updateDoc,
   deleteDoc,
   serverTimestamp,
+  increment,
+  runTransaction,
   query,
   limit,
 } from 'firebase/firestore';
 import { getDb } from '../firebase';
+import {
+  getBatchStage,
+  getBatchStageId,
+  canTransition,
+  getStageMachine,
+  stageTransitionError,
+} from '../data/stageMachine';
+import { seedUsed } from '../data/traceability';
 
 const batchesCol = (farmId) =>
   collection(getDb(), 'farms', farmId, 'batches');
@@ -81,35 +91,32 @@ export async function deleteBatch(farmId, batchId) {
 
 /**
  * Create a batch from a sowing recommendation (one-tap crew plant).
- * Sets stage='germination', source='sowing-schedule', initializes stageHistory.
+ * Starts in the category's sow stage (data/stageMachine.js),
+ * source='sowing-schedule', initializes stageHistory.
  *
  * New fields supported on batch docs:
  *   trayCount, expectedYield, actualYield, actualGerminationDays,
- *   actualBlackoutDays, actualGrowDays, lossCount, lossReason,
- *   stageHistory[], source
+ *   actualBlackoutDays, actualGrowDays, lossCount, lossReason, lossReports[],
+ *   stageHistory[], stageData{}, source, location (data/growSpace.js),
+ *   seedLot, seedVendor, growMedium, seedDensity (data/yieldDrivers.js),
+ *   seedLotId (data/traceability.js), materials[] (data/billOfMaterials.js)
+ *
+ * The seed lot and the inventory items in data.materials are drawn down in
+ * the same transaction. Ones deleted since the form was filled are skipped.
  */
-export async function plantBatch(farmId, data, userId) {
+export async function plantBatch(farmId, data, userId, machines) {
   try {
+    const ref = doc(batchesCol(farmId));
     const now = new Date().toISOString();
-    const docRef = await addDoc(batchesCol(farmId), {
-      cropCategory:          data.cropCategory,
-      varietyId:             data.varietyId,
-      varietyName:           data.varietyName,
-      trayCount:             data.trayCount,
-      quantity:              data.trayCount,
-      unit:                  data.unit || 'tray',
-      sowDate:               data.sowDate,
-      stage:                 'germination',
-      source:                'sowing-schedule',
-      expectedYield:         data.expectedYield ?? null,
-      estimatedHarvestStart: data.estimatedHarvestStart ?? null,
-      estimatedHarvestEnd:   data.estimatedHarvestEnd ?? null,
-      lossCount:             0,
-      stageHistory:          [{ stage: 'germination', enteredAt: now, confirmedBy: userId ?? null }],
-      farmId,
-      createdAt: serverTimestamp(),
+    await runTransaction(getDb(), async (t) => {
+      const draws = await existingDraws(t, plantingDraws(farmId, data, now));
+      t.set(ref, {
+        ...plantedBatchFields(farmId, data, userId, machines, now),
+        createdAt: serverTimestamp(),
+      });
+      draws.forEach((d) => t.update(d.ref, d.update));
     });
-    return docRef.id;
+    return ref.id;
   } catch (err) {
     console.error('[batchService] plantBatch failed:', err);
     throw err;
@@ -118,30 +125,20 @@ export async function plantBatch(farmId, data, userId) {
 
 /**
  * Advance a batch to the specified next stage, logging actual days in the
- * current stage and appending a stageHistory entry.
+ * current stage and appending a stageHistory entry (its enteredAt is the
+ * only record of when the stage began — no per-stage fields on the batch).
  *
- * actualDaysField: optional field name to record days in current stage
- *   e.g. 'actualGerminationDays' | 'actualBlackoutDays'
+ * The move must be an allowed transition in the farm's stage machine —
+ * otherwise throws a STAGE_TRANSITION_ERROR. Days spent in the stage being
+ * left are written to its `recordDaysAs` field (e.g. actualGerminationDays),
+ * and fieldValues for the entered stage's `fields` land in
+ * stageData[nextStageId] and on the history entry. A given location
+ * (null = off the racks) replaces the batch's and is logged with the move;
+ * leave it undefined to keep the batch where it is.
  */
-export async function advanceBatchStageWithLog(farmId, batch, nextStageId, userId, actualDaysField) {
+export async function advanceBatchStageWithLog(farmId, batch, nextStageId, userId, options = {}) {
   try {
-    const now = new Date().toISOString();
-    const history = batch.stageHistory || [];
-    // Find when the current stage was entered
-    const lastEntry = [...history].reverse().find(h => h.stage === batch.stage);
-    const stageStart = lastEntry?.enteredAt
-      ? new Date(lastEntry.enteredAt)
-      : batch.sowDate ? new Date(batch.sowDate) : new Date();
-    const daysInStage = Math.round((Date.now() - stageStart.getTime()) / 86400000);
-
-    const updates = {
-      stage:        nextStageId,
-      stageHistory: [...history, { stage: nextStageId, enteredAt: now, confirmedBy: userId ?? null }],
-      updatedAt:    serverTimestamp(),
-    };
-    if (actualDaysField) updates[actualDaysField] = daysInStage;
-
-    await updateDoc(batchDoc(farmId, batch.id), updates);
+    await updateDoc(batchDoc(farmId, batch.id), stageAdvanceUpdates(batch, nextStageId, userId, options));
   } catch (err) {
     console.error('[batchService] advanceBatchStageWithLog failed:', err);
     throw err;
@@ -149,27 +146,163 @@ export async function advanceBatchStageWithLog(farmId, batch, nextStageId, userI
 }
 
 /**
- * Mark a batch as harvested with actual yield metrics (crew flow).
+ * Mark a batch as harvested with actual yield metrics.
  * Records actualYield, actualGrowDays, harvestedAt, and stageHistory entry.
+ * materials used (data/billOfMaterials.js) are added to the batch and drawn
+ * off inventory in the same transaction, skipping deleted items.
  */
-export async function harvestBatchWithYield(farmId, batch, actualYield, userId) {
+export async function harvestBatchWithYield(farmId, batch, actualYield, userId, materials = []) {
   try {
     const now = new Date().toISOString();
-    const sowDate = batch.sowDate ? new Date(batch.sowDate) : null;
-    const actualGrowDays = sowDate
-      ? Math.round((Date.now() - sowDate.getTime()) / 86400000)
-      : null;
-
-    await updateDoc(batchDoc(farmId, batch.id), {
-      stage:         'harvested',
-      actualYield:   actualYield ?? null,
-      actualGrowDays,
-      harvestedAt:   now,
-      stageHistory:  [...(batch.stageHistory || []), { stage: 'harvested', enteredAt: now, confirmedBy: userId ?? null }],
-      updatedAt:     serverTimestamp(),
+    await runTransaction(getDb(), async (t) => {
+      const draws = await existingDraws(t, materialDraws(farmId, materials));
+      t.update(batchDoc(farmId, batch.id), harvestUpdates(batch, actualYield, userId, now, materials));
+      draws.forEach((d) => t.update(d.ref, d.update));
     });
   } catch (err) {
     console.error('[batchService] harvestBatchWithYield failed:', err);
     throw err;
   }
 }
+
+/**
+ * Put a batch on different shelves (rack map drag, crew correction).
+ * location is { zoneId, slots: [{ rackId, shelf, trays }] } or null.
+ */
+export async function moveBatchLocation(farmId, batchId, location, userId) {
+  try {
+    await updateDoc(batchDoc(farmId, batchId), {
+      location:          location ?? null,
+      locationUpdatedAt: new Date().toISOString(),
+      locationUpdatedBy: userId ?? null,
+      updatedAt:         serverTimestamp(),
+    });
+  } catch (err) {
+    console.error('[batchService] moveBatchLocation failed:', err);
+    throw err;
+  }
+}
+
+// ── Write builders ──────────────────────────────────────────────────────────
+// Shared with the crew outbox (crewOutboxService.js), which replays the same
+// writes later against the server's copy of the batch. `now` is when the crew
+// did the work, not when it reached the server.
+
+/** Fields of a batch planted from a sowing recommendation (no createdAt). */
+export function plantedBatchFields(farmId, data, userId, machines, now = new Date().toISOString()) {
+  const stage = getStageMachine(machines, data.cropCategory).sowStage;
+  return {
+    cropCategory:          data.cropCategory,
+    varietyId:             data.varietyId,
+    varietyName:           data.varietyName,
+    trayCount:             data.trayCount,
+    quantity:              data.trayCount,
+    unit:                  data.unit || 'tray',
+    sowDate:               data.sowDate,
+    stage,
+    source:                'sowing-schedule',
+    expectedYield:         data.expectedYield ?? null,
+    estimatedHarvestStart: data.estimatedHarvestStart ?? null,
+    estimatedHarvestEnd:   data.estimatedHarvestEnd ?? null,
+    lossCount:             0,
+    location:              data.location ?? null,
+    seedLot:               data.seedLot || null,
+    seedVendor:            data.seedVendor || null,
+    growMedium:            data.growMedium || null,
+    seedDensity:           data.seedDensity ?? null,
+    seedLotId:             data.seedLotId || null,
+    materials:             data.materials || [],
+    stageHistory:          [{ stage, enteredAt: now, confirmedBy: userId ?? null, ...(data.location ? { location: data.location } : {}) }],
+    farmId,
+  };
+}
+
+/**
+ * Inventory updates for used materials ([{ itemId, qty }]): [{ ref, update }].
+ * Pass them through existingDraws before applying.
+ */
+export function materialDraws(farmId, materials = []) {
+  return materials.filter((m) => m.qty > 0).map((m) => ({
+    ref:    doc(getDb(), 'farms', farmId, 'inventory', m.itemId),
+    update: { currentQty: increment(-m.qty), updatedAt: serverTimestamp() },
+  }));
+}
+
+/**
+ * Everything a planting draws down: its materials, and its seed lot by
+ * seedDensity × trays. Without a recorded density the lot is only stamped —
+ * the batch still links to it.
+ */
+export function plantingDraws(farmId, data, now = new Date().toISOString()) {
+  const draws = materialDraws(farmId, data.materials);
+  if (data.seedLotId) {
+    const grams = seedUsed(data);
+    draws.push({
+      ref:    doc(getDb(), 'farms', farmId, 'seedLots', data.seedLotId),
+      update: { ...(grams ? { qtyRemaining: increment(-grams) } : {}), lastUsedAt: now },
+    });
+  }
+  return draws;
+}
+
+/**
+ * The draws whose seed lot or inventory item still exists, read inside
+ * transaction t — updating a deleted doc would fail the whole write.
+ */
+export async function existingDraws(t, draws) {
+  const snaps = await Promise.all(draws.map((d) => t.get(d.ref)));
+  return draws.filter((_, i) => snaps[i].exists());
+}
+
+/** Update for advanceBatchStageWithLog. Throws STAGE_TRANSITION_ERROR. */
+export function stageAdvanceUpdates(batch, nextStageId, userId, { machines, fieldValues, location, now = new Date().toISOString() } = {}) {
+  const current = getBatchStage(machines, batch);
+  const currentId = getBatchStageId(machines, batch);
+  if (!canTransition(machines, batch, nextStageId)) {
+    throw stageTransitionError(currentId, nextStageId);
+  }
+
+  const history = batch.stageHistory || [];
+  // Find when the current stage was entered (history may still hold a legacy ID)
+  const lastEntry = [...history].reverse().find(h => h.stage === batch.stage || h.stage === currentId);
+  const stageStart = lastEntry?.enteredAt
+    ? new Date(lastEntry.enteredAt)
+    : batch.sowDate ? new Date(batch.sowDate) : new Date(now);
+  const daysInStage = Math.round((Date.parse(now) - stageStart.getTime()) / 86400000);
+
+  const data = fieldValues && Object.keys(fieldValues).length ? fieldValues : null;
+  const updates = {
+    stage:        nextStageId,
+    stageHistory: [...history, {
+      stage: nextStageId, enteredAt: now, confirmedBy: userId ?? null, ...(data ? { data } : {}),
+      ...(location !== undefined ? { location } : {}),
+    }],
+    updatedAt:    serverTimestamp(),
+  };
+  if (current?.recordDaysAs) updates[current.recordDaysAs] = daysInStage;
+  if (data) updates[`stageData.${nextStageId}`] = data;
+  if (location !== undefined) updates.location = location;
+  return updates;
+}
+
+/**
+ * Update for harvestBatchWithYield. materials (data/billOfMaterials.js) are
+ * added to the batch's list — pair it with their materialDraws.
+ */
+export function harvestUpdates(batch, actualYield, userId, now = new Date().toISOString(), materials = []) {
+  const sowDate = batch.sowDate ? new Date(batch.sowDate) : null;
+  const actualGrowDays = sowDate
+    ? Math.round((Date.parse(now) - sowDate.getTime()) / 86400000)
+    : null;
+
+  return {
+    stage:         'harvested',
+    actualYield:   actualYield ?? null,
+    actualGrowDays,
+    harvestedAt:   now,
+    location:      null,
+    stageHistory:  [...(batch.stageHistory || []), { stage: 'harvested', enteredAt: now, confirmedBy: userId ?? null }],
+    ...(materials.length ? { materials: [...(batch.materials || []), ...materials] } : {}),
+    updatedAt:     serverTimestamp(),
+  };
+}
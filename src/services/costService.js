@@ -37,6 +37,19 @@ export async function addCost(farmId, data) {
   }
 }
 
+/**
+ * Queue a new cost entry on a write batch or transaction, so it is booked
+ * together with the change it comes from (e.g. receiving a purchase order).
+ */
+export function addCostToBatch(batch, farmId, data) {
+  const ref = doc(costsCol(farmId));
+  batch.set(ref, {
+    ...data,
+    createdAt: serverTimestamp(),
+  });
+  return ref.id;
+}
+
 /**
  * Update an existing cost.
  */
@@ -0,0 +1,210 @@
+import { collection, doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { getBatchStageId, getStageLabel, isHarvestableStage, isStageTransitionError, HARVESTED_STAGE } from '../data/stageMachine';
+import {
+  plantedBatchFields, stageAdvanceUpdates, harvestUpdates, plantingDraws, materialDraws, existingDraws,
+} from './batchService';
+import { laborEntryRef } from './laborService';
+import { taskEntry } from '../data/laborTracking';
+import { batchTrays } from '../data/growSpace';
+
+/**
+ * Crew outbox — crew writes queued on the device until they reach the server.
+ *
+ * The grow room has bad signal, so crew actions (plant, advance, harvest,
+ * loss report) are written here first and replayed in order when the
+ * device is online. Each entry is applied in a transaction against the
+ * server's copy of the batch, so a batch someone else moved in the meantime
+ * is caught instead of overwritten:
+ *
+ *   applied   — written; entry removed
+ *   duplicate — the server already shows this change (an earlier retry
+ *               landed, or a teammate did the same move); entry removed
+ *   conflict  — the batch changed in a way this entry can't apply on top of;
+ *               entry kept with a reason until retried or discarded
+ *
+ * Network errors leave the entry pending; anything else marks it failed.
+ *
+ * Entries live in localStorage per farm:
+ *   { id, type: 'plant'|'advance'|'harvest'|'loss', batchId, label,
+ *     userId, at, status: 'pending'|'conflict'|'failed', error, ... }
+ * plus per type: plant { data }, advance { fromStage, toStage, fieldValues,
+ * location }, harvest { actualYield, materials }, loss { trays, reason }.
+ * Plants and harvests also take their seed lot and bill-of-materials items
+ * off stock in the same transaction. Plant, advance and harvest entries may
+ * carry labor { start, end, userName } from the crew's task timer; it is
+ * written as a labor task (data/laborTracking.js) with the batch change,
+ * under the entry's ID.
+ */
+
+const STORAGE_PREFIX = 'mico_crew_outbox_';
+
+/** Firestore error codes that mean "no connection" — keep the entry pending. */
+const RETRYABLE_CODES = new Set(['unavailable', 'deadline-exceeded', 'aborted', 'resource-exhausted']);
+
+export function loadOutbox(farmId) {
+  if (!farmId) return [];
+  try { return JSON.parse(localStorage.getItem(STORAGE_PREFIX + farmId) || '[]'); }
+  catch { return []; }
+}
+
+export function saveOutbox(farmId, entries) {
+  if (!farmId) return;
+  try {
+    if (entries.length) localStorage.setItem(STORAGE_PREFIX + farmId, JSON.stringify(entries));
+    else localStorage.removeItem(STORAGE_PREFIX + farmId);
+  } catch (err) {
+    console.error('[crewOutboxService] saveOutbox failed:', err);
+  }
+}
+
+/** localStorage key of a farm's outbox — for `storage` events from other tabs. */
+export const outboxStorageKey = (farmId) => STORAGE_PREFIX + farmId;
+
+/** A new outbox entry. Plants get their batch ID up front so replays are idempotent. */
+export function createOutboxEntry(farmId, type, fields) {
+  const batchId = type === 'plant' ? doc(collection(getDb(), 'farms', farmId, 'batches')).id : fields.batchId;
+  return {
+    id:     `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    status: 'pending',
+    error:  null,
+    at:     new Date().toISOString(),
+    ...fields,
+    batchId,
+  };
+}
+
+/** True when err means the device couldn't reach Firestore. */
+export function isRetryableError(err) {
+  return RETRYABLE_CODES.has(err?.code) || (typeof navigator !== 'undefined' && !navigator.onLine);
+}
+
+function lastActor(batch) {
+  const last = (batch.stageHistory || []).at(-1);
+  return last?.confirmedBy || null;
+}
+
+/** Outbox entry type → labor action. */
+const LABOR_ACTION = { plant: 'plant', advance: 'move', harvest: 'harvest' };
+
+/** Write the entry's timed labor alongside the batch change. */
+function setLaborTask(t, farmId, entry, fields) {
+  if (!entry.labor?.start || !entry.labor?.end) return;
+  t.set(laborEntryRef(farmId, entry.id), {
+    ...taskEntry(LABOR_ACTION[entry.type], entry.labor, entry.userId, fields),
+    createdAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Apply one entry against the server copy of its batch.
+ * Returns { result: 'applied'|'duplicate'|'conflict', reason? }.
+ * Throws on Firestore errors — see isRetryableError.
+ */
+export async function applyOutboxEntry(farmId, entry, machines) {
+  const ref = doc(getDb(), 'farms', farmId, 'batches', entry.batchId);
+  try {
+    return await runTransaction(getDb(), async (t) => {
+      const snap = await t.get(ref);
+      const batch = snap.exists() ? { id: snap.id, ...snap.data() } : null;
+
+      if (entry.type === 'plant') {
+        if (batch) return { result: 'duplicate' };
+        // The batch's existence guards the draws too — a replay never takes stock twice
+        const draws = await existingDraws(t, plantingDraws(farmId, entry.data, entry.at));
+        t.set(ref, { ...plantedBatchFields(farmId, entry.data, entry.userId, machines, entry.at), createdAt: serverTimestamp() });
+        draws.forEach((d) => t.update(d.ref, d.update));
+        setLaborTask(t, farmId, entry, { batchId: entry.batchId, cropId: entry.data.varietyId, trays: Number(entry.data.trayCount) || null });
+        return { result: 'applied' };
+      }
+
+      if (!batch) return { result: 'conflict', reason: 'Batch no longer exists' };
+      const stageId = getBatchStageId(machines, batch);
+      const stageName = getStageLabel(machines, batch.cropCategory, stageId);
+      const by = lastActor(batch) === entry.userId ? '' : ' by someone else';
+
+      if (entry.type === 'advance') {
+        if (stageId === entry.toStage) return { result: 'duplicate' };
+        if (stageId !== entry.fromStage) {
+          return { result: 'conflict', reason: `Already moved to ${stageName}${by}` };
+        }
+        t.update(ref, stageAdvanceUpdates(batch, entry.toStage, entry.userId, {
+          machines, fieldValues: entry.fieldValues, location: entry.location, now: entry.at,
+        }));
+        setLaborTask(t, farmId, entry, { batchId: batch.id, cropId: batch.varietyId, trays: batchTrays(batch) || null });
+        return { result: 'applied' };
+      }
+
+      if (entry.type === 'harvest') {
+        if (stageId === HARVESTED_STAGE) {
+          return (batch.actualYield ?? null) === (entry.actualYield ?? null)
+            ? { result: 'duplicate' }
+            : { result: 'conflict', reason: `Already harvested${by} (${batch.actualYield ?? '?'} oz)` };
+        }
+        if (!isHarvestableStage(machines, batch)) {
+          return { result: 'conflict', reason: `Not ready to harvest (${stageName})` };
+        }
+        const draws = await existingDraws(t, materialDraws(farmId, entry.materials));
+        t.update(ref, harvestUpdates(batch, entry.actualYield, entry.userId, entry.at, entry.materials));
+        draws.forEach((d) => t.update(d.ref, d.update));
+        setLaborTask(t, farmId, entry, { batchId: batch.id, cropId: batch.varietyId, trays: batchTrays(batch) || null, oz: Number(entry.actualYield) || null });
+        return { result: 'applied' };
+      }
+
+      if (entry.type === 'loss') {
+        // Loss reports add up, so two crew members reporting on one batch both count
+        const reports = batch.lossReports || [];
+        if (reports.some((r) => r.outboxId === entry.id)) return { result: 'duplicate' };
+        t.update(ref, {
+          lossCount:   (batch.lossCount || 0) + entry.trays,
+          lossReason:  entry.reason,
+          lossReports: [...reports, { trays: entry.trays, reason: entry.reason, reportedBy: entry.userId ?? null, reportedAt: entry.at, outboxId: entry.id }],
+          updatedAt:   serverTimestamp(),
+        });
+        return { result: 'applied' };
+      }
+
+      return { result: 'conflict', reason: `Unknown change type "${entry.type}"` };
+    });
+  } catch (err) {
+    if (isStageTransitionError(err)) {
+      return { result: 'conflict', reason: err.message };
+    }
+    console.error('[crewOutboxService] applyOutboxEntry failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Batches as the crew should see them: the server list with pending outbox
+ * entries laid on top (planted batches added, stages moved, harvests and
+ * losses applied). Touched batches carry pendingSync: true.
+ */
+export function overlayOutbox(batches, entries, machines) {
+  const pending = entries.filter((e) => e.status === 'pending');
+  if (pending.length === 0) return batches;
+  const byId = new Map(batches.map((b) => [b.id, b]));
+  for (const e of pending) {
+    const batch = byId.get(e.batchId);
+    if (e.type === 'plant') {
+      if (!batch) byId.set(e.batchId, { id: e.batchId, ...plantedBatchFields(null, e.data, e.userId, machines, e.at), pendingSync: true });
+      continue;
+    }
+    if (!batch) continue;
+    if (e.type === 'advance') {
+      byId.set(e.batchId, {
+        ...batch,
+        stage: e.toStage,
+        stageHistory: [...(batch.stageHistory || []), { stage: e.toStage, enteredAt: e.at, confirmedBy: e.userId ?? null }],
+        ...(e.location !== undefined ? { location: e.location } : {}),
+        pendingSync: true,
+      });
+    } else if (e.type === 'harvest') {
+      byId.set(e.batchId, { ...batch, stage: HARVESTED_STAGE, actualYield: e.actualYield, harvestedAt: e.at, location: null, pendingSync: true });
+    } else if (e.type === 'loss') {
+      byId.set(e.batchId, { ...batch, lossCount: (batch.lossCount || 0) + e.trays, lossReason: e.reason, pendingSync: true });
+    }
+  }
+  return [...byId.values()];
+}
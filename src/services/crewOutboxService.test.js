@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { applyOutboxEntry, overlayOutbox } from './crewOutboxService';
+import { DEFAULT_STAGE_MACHINES as machines } from '../data/stageMachine';
+
+// In-memory Firestore: docs by path, and the writes each transaction made
+const fs = vi.hoisted(() => ({ docs: new Map(), writes: [], nextId: 0 }));
+
+vi.mock('../firebase', () => ({ getDb: () => ({}) }));
+vi.mock('firebase/firestore', () => {
+  const ref = (path) => ({ path, id: path.split('/').pop() });
+  return {
+    collection: (_db, ...segments) => ({ path: segments.join('/') }),
+    doc: (parent, ...segments) => (parent?.path && segments.length === 0
+      ? ref(`${parent.path}/auto${++fs.nextId}`)
+      : ref([parent?.path, ...segments].filter(Boolean).join('/'))),
+    serverTimestamp: () => 'SERVER_TIME',
+    increment: (n) => ({ increment: n }),
+    runTransaction: async (_db, fn) => {
+      const writes = [];
+      const t = {
+        get: async (r) => ({ id: r.id, ref: r, exists: () => fs.docs.has(r.path), data: () => fs.docs.get(r.path) }),
+        set: (r, data) => writes.push({ op: 'set', path: r.path, data }),
+        update: (r, data) => writes.push({ op: 'update', path: r.path, data }),
+      };
+      const result = await fn(t);
+      for (const w of writes) fs.docs.set(w.path, w.op === 'set' ? w.data : { ...fs.docs.get(w.path), ...w.data });
+      fs.writes.push(...writes);
+      return result;
+    },
+  };
+});
+
+const FARM = 'farm-a';
+const batchPath = (id) => `farms/${FARM}/batches/${id}`;
+const seed = (path, data) => fs.docs.set(path, data);
+const written = (path) => fs.writes.filter((w) => w.path === path);
+
+const lightBatch = {
+  cropCategory: 'microgreens', varietyId: 'radish', varietyName: 'Radish', quantity: 4, stage: 'light',
+  sowDate: '2026-05-10', stageHistory: [{ stage: 'light', enteredAt: '2026-05-15T08:00:00Z', confirmedBy: 'u1' }],
+};
+
+beforeEach(() => {
+  fs.docs.clear();
+  fs.writes.length = 0;
+});
+
+describe('applyOutboxEntry', () => {
+  describe('plant', () => {
+    const entry = {
+      id: 'e1', type: 'plant', batchId: 'b-new', userId: 'u1', at: '2026-05-10T09:00:00Z',
+      data: {
+        cropCategory: 'microgreens', varietyId: 'radish', varietyName: 'Radish', trayCount: 4, sowDate: '2026-05-10',
+        materials: [{ itemId: 'soil', qty: 2 }, { itemId: 'deleted', qty: 1 }],
+      },
+    };
+
+    it('creates the batch and draws only items that still exist', async () => {
+      seed(`farms/${FARM}/inventory/soil`, { currentQty: 10 });
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'applied' });
+      expect(fs.docs.get(batchPath('b-new'))).toMatchObject({ stage: 'germination', trayCount: 4, createdAt: 'SERVER_TIME' });
+      expect(written(`farms/${FARM}/inventory/soil`)[0].data.currentQty).toEqual({ increment: -2 });
+      expect(written(`farms/${FARM}/inventory/deleted`)).toEqual([]);
+    });
+
+    it('never plants twice', async () => {
+      await applyOutboxEntry(FARM, entry, machines);
+      fs.writes.length = 0;
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'duplicate' });
+      expect(fs.writes).toEqual([]);
+    });
+  });
+
+  it('conflicts when the batch is gone', async () => {
+    expect(await applyOutboxEntry(FARM, { type: 'loss', batchId: 'gone', trays: 1 }, machines))
+      .toEqual({ result: 'conflict', reason: 'Batch no longer exists' });
+  });
+
+  describe('advance', () => {
+    const entry = { id: 'e2', type: 'advance', batchId: 'b1', userId: 'u1', fromStage: 'light', toStage: 'ready', at: '2026-05-18T08:00:00Z' };
+
+    it('moves a batch still in the stage the crew saw', async () => {
+      seed(batchPath('b1'), lightBatch);
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'applied' });
+      expect(fs.docs.get(batchPath('b1')).stage).toBe('ready');
+    });
+
+    it('treats a move someone already made as a duplicate', async () => {
+      seed(batchPath('b1'), { ...lightBatch, stage: 'ready' });
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'duplicate' });
+    });
+
+    it('conflicts when the batch moved elsewhere', async () => {
+      seed(batchPath('b1'), { ...lightBatch, stage: 'blackout' });
+      expect(await applyOutboxEntry(FARM, entry, machines))
+        .toEqual({ result: 'conflict', reason: 'Already moved to Blackout' });
+    });
+
+    it('conflicts on moves the stage machine does not allow', async () => {
+      seed(batchPath('b1'), lightBatch);
+      const result = await applyOutboxEntry(FARM, { ...entry, toStage: 'germination' }, machines);
+      expect(result.result).toBe('conflict');
+      expect(fs.writes).toEqual([]);
+    });
+  });
+
+  describe('harvest', () => {
+    const entry = { id: 'e3', type: 'harvest', batchId: 'b1', userId: 'u1', actualYield: 40, at: '2026-05-19T08:00:00Z' };
+
+    it('harvests a ready batch', async () => {
+      seed(batchPath('b1'), { ...lightBatch, stage: 'ready' });
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'applied' });
+      expect(fs.docs.get(batchPath('b1'))).toMatchObject({ stage: 'harvested', actualYield: 40, actualGrowDays: 9 });
+    });
+
+    it('conflicts when the server copy is not harvestable', async () => {
+      seed(batchPath('b1'), lightBatch);
+      expect(await applyOutboxEntry(FARM, entry, machines))
+        .toEqual({ result: 'conflict', reason: 'Not ready to harvest (Under Lights)' });
+      expect(fs.writes).toEqual([]);
+    });
+
+    it('tells a repeat from someone else’s harvest', async () => {
+      seed(batchPath('b1'), {
+        ...lightBatch, stage: 'harvested', actualYield: 40,
+        stageHistory: [...lightBatch.stageHistory, { stage: 'harvested', confirmedBy: 'u2' }],
+      });
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'duplicate' });
+      expect(await applyOutboxEntry(FARM, { ...entry, actualYield: 35 }, machines))
+        .toEqual({ result: 'conflict', reason: 'Already harvested by someone else (40 oz)' });
+    });
+  });
+
+  describe('loss', () => {
+    it('adds reports up and skips a replayed one', async () => {
+      seed(batchPath('b1'), { ...lightBatch, lossCount: 1, lossReports: [{ trays: 1, outboxId: 'other' }] });
+      const entry = { id: 'e4', type: 'loss', batchId: 'b1', userId: 'u1', trays: 2, reason: 'mold', at: '2026-05-16T08:00:00Z' };
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'applied' });
+      expect(await applyOutboxEntry(FARM, entry, machines)).toEqual({ result: 'duplicate' });
+      expect(fs.docs.get(batchPath('b1'))).toMatchObject({ lossCount: 3, lossReason: 'mold' });
+    });
+  });
+
+  it('writes timed labor with the change', async () => {
+    seed(batchPath('b1'), lightBatch);
+    await applyOutboxEntry(FARM, {
+      id: 'e5', type: 'advance', batchId: 'b1', userId: 'u1', fromStage: 'light', toStage: 'ready', at: '2026-05-18T08:10:00Z',
+      labor: { start: '2026-05-18T08:00:00Z', end: '2026-05-18T08:10:00Z', userName: 'Sam' },
+    }, machines);
+    expect(fs.docs.get(`farms/${FARM}/laborEntries/e5`)).toMatchObject({ kind: 'task', action: 'move', minutes: 10, batchId: 'b1' });
+  });
+});
+
+describe('overlayOutbox', () => {
+  const batches = [{ id: 'b1', ...lightBatch }, { id: 'b2', ...lightBatch, stage: 'ready' }];
+
+  it('returns the server list untouched with nothing pending', () => {
+    expect(overlayOutbox(batches, [{ status: 'conflict', type: 'harvest', batchId: 'b2' }], machines)).toBe(batches);
+  });
+
+  it('lays pending changes over the server copies', () => {
+    const result = overlayOutbox(batches, [
+      { status: 'pending', type: 'advance', batchId: 'b1', toStage: 'ready', userId: 'u1', at: '2026-05-18T08:00:00Z' },
+      { status: 'pending', type: 'harvest', batchId: 'b2', actualYield: 30, at: '2026-05-18T09:00:00Z' },
+      { status: 'pending', type: 'loss', batchId: 'b1', trays: 1, reason: 'mold' },
+      { status: 'pending', type: 'plant', batchId: 'b3', userId: 'u1', at: '2026-05-18T10:00:00Z',
+        data: { cropCategory: 'microgreens', varietyId: 'pea', varietyName: 'Pea Shoots', trayCount: 2, sowDate: '2026-05-18' } },
+    ], machines);
+    const byId = Object.fromEntries(result.map((b) => [b.id, b]));
+    expect(byId.b1).toMatchObject({ stage: 'ready', lossCount: 1, pendingSync: true });
+    expect(byId.b2).toMatchObject({ stage: 'harvested', actualYield: 30, location: null, pendingSync: true });
+    expect(byId.b3).toMatchObject({ stage: 'germination', varietyId: 'pea', pendingSync: true });
+  });
+});
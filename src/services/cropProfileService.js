@@ -84,6 +84,7 @@ export async function seedDefaultCropProfiles(farmId) {
   const defaults = [
     {
       name: 'Sunflower',
+      cropId: 'sunflower',
       category: 'microgreens',
       daysToMaturity: 9,
       harvestWindow: 3,
@@ -96,6 +97,7 @@ export async function seedDefaultCropProfiles(farmId) {
     },
     {
       name: 'Pea Shoots',
+      cropId: 'pea',
       category: 'microgreens',
       daysToMaturity: 9,
       harvestWindow: 3,
@@ -108,6 +110,7 @@ export async function seedDefaultCropProfiles(farmId) {
     },
     {
       name: 'Radish (Daikon)',
+      cropId: 'radish',
       category: 'microgreens',
       daysToMaturity: 8,
       harvestWindow: 2,
@@ -120,6 +123,7 @@ export async function seedDefaultCropProfiles(farmId) {
     },
     {
       name: 'Broccoli',
+      cropId: 'broccoli',
       category: 'microgreens',
       daysToMaturity: 10,
       harvestWindow: 3,
@@ -132,6 +136,7 @@ export async function seedDefaultCropProfiles(farmId) {
     },
     {
       name: 'Kale',
+      cropId: 'kale',
       category: 'microgreens',
       daysToMaturity: 10,
       harvestWindow: 3,
@@ -168,6 +173,7 @@ export async function seedDefaultCropProfiles(farmId) {
     },
     {
       name: 'Arugula',
+      cropId: 'arugula-micro',
       category: 'microgreens',
       daysToMaturity: 8,
       harvestWindow: 3,
@@ -180,6 +186,7 @@ export async function seedDefaultCropProfiles(farmId) {
     },
     {
       name: 'Red Cabbage',
+      cropId: 'red-cabbage',
       category: 'microgreens',
       daysToMaturity: 10,
       harvestWindow: 3,
@@ -192,6 +199,7 @@ export async function seedDefaultCropProfiles(farmId) {
     },
     {
       name: 'Nasturtium',
+      cropId: 'nasturtium',
       category: 'microgreens',
       daysToMaturity: 12,
       harvestWindow: 3,
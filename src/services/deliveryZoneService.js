@@ -0,0 +1,62 @@
+/**
+ * deliveryZoneService.js — Firestore CRUD for delivery zones.
+ *
+ * Collection: farms/{farmId}/deliveryZones/{id}
+ * Shape and how a zone's rules apply: data/deliveryZones.js
+ */
+import {
+  collection, onSnapshot, addDoc, updateDoc, deleteDoc, doc,
+  serverTimestamp, query, limit,
+} from 'firebase/firestore';
+import { getDb } from '../firebase';
+
+const zonesCol = (farmId) => collection(getDb(), 'farms', farmId, 'deliveryZones');
+
+/**
+ * Subscribe to the farm's delivery zones, by name.
+ */
+export function subscribeDeliveryZones(farmId, onData, onError) {
+  return onSnapshot(
+    query(zonesCol(farmId), limit(100)),
+    (snap) => {
+      const zones = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      zones.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      onData(zones);
+    },
+    onError,
+  );
+}
+
+export async function addDeliveryZone(farmId, data) {
+  try {
+    const ref = await addDoc(zonesCol(farmId), {
+      ...data,
+      createdAt: serverTimestamp(),
+    });
+    return ref.id;
+  } catch (err) {
+    console.error('[deliveryZoneService] addDeliveryZone failed:', err);
+    throw err;
+  }
+}
+
+export async function updateDeliveryZone(farmId, id, updates) {
+  try {
+    await updateDoc(doc(getDb(), 'farms', farmId, 'deliveryZones', id), {
+      ...updates,
+      updatedAt: serverTimestamp(),
+    });
+  } catch (err) {
+    console.error('[deliveryZoneService] updateDeliveryZone failed:', err);
+    throw err;
+  }
+}
+
+export async function deleteDeliveryZone(farmId, id) {
+  try {
+    await deleteDoc(doc(getDb(), 'farms', farmId, 'deliveryZones', id));
+  } catch (err) {
+    console.error('[deliveryZoneService] deleteDeliveryZone failed:', err);
+    throw err;
+  }
+}
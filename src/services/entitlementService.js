@@ -0,0 +1,35 @@
+/**
+ * entitlementService.js — The farm's plan, for showing limits in the app.
+ *
+ * Reads the farm root doc (plan, subscriptionStatus, pastDueSince) and
+ * defers to the shared rules in data/entitlements. Limits are enforced
+ * server-side (api/_lib/entitlements.js) by the routes that create what
+ * they count — /api/products, /api/invites, /api/orders.
+ */
+import { doc, getDoc, onSnapshot } from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { getEntitlements } from '../data/entitlements';
+
+const farmDoc = (farmId) => doc(getDb(), 'farms', farmId);
+
+/**
+ * Subscribe to a farm's entitlements. Returns unsubscribe function.
+ */
+export function subscribeEntitlements(farmId, onData, onError) {
+  return onSnapshot(farmDoc(farmId), (snap) => {
+    onData(getEntitlements(snap.exists() ? snap.data() : null));
+  }, onError);
+}
+
+/**
+ * One-off entitlement read.
+ */
+export async function getFarmEntitlements(farmId) {
+  try {
+    const snap = await getDoc(farmDoc(farmId));
+    return getEntitlements(snap.exists() ? snap.data() : null);
+  } catch (err) {
+    console.error('[entitlementService] getFarmEntitlements failed:', err);
+    throw err;
+  }
+}
@@ -5,13 +5,12 @@ import {
   setDoc,
   updateDoc,
   serverTimestamp,
-  collection,
-  addDoc,
   query,
   where,
   collectionGroup,
 } from 'firebase/firestore';
 import { getDb } from '../firebase';
+import { postApi } from './apiClient';
 
 // ── Farm config doc path ──────────────────────────────────────────────
 const farmConfigRef = (farmId) => doc(getDb(), 'farms', farmId, 'meta', 'config');
@@ -68,6 +67,8 @@ export async function createFarm({ farmName, ownerName, ownerEmail, ownerUid, lo
       timezone: 'America/Boise',
       cutoffTime: '14:00',
       deliveryDays: ['tuesday', 'friday'],
+      leadDays: 1,
+      minOrderTotal: 0,
       units: 'imperial',
       onboardingComplete: false,
       createdAt: serverTimestamp(),
@@ -134,19 +135,15 @@ export async function completeOnboarding(farmId) {
 }
 
 /**
- * Invite a user to a farm — creates a user doc linking them.
+ * Invite a user to a farm through /api/invites, which checks the plan.
  * The invited user will be associated with this farm on next login.
+ * Throws a plan-limit error when the plan's seats (maxUsers) are full.
+ * Chef invites are customers and don't use a seat.
  */
 export async function inviteUserToFarm(farmId, { email, role = 'employee', displayName = '' }) {
   try {
-    const inviteRef = await addDoc(collection(getDb(), 'farms', farmId, 'invites'), {
-      email: email.toLowerCase().trim(),
-      role,
-      displayName,
-      status: 'pending',
-      createdAt: serverTimestamp(),
-    });
-    return inviteRef.id;
+    const { inviteId } = await postApi('/api/invites', { farmId, email, role, displayName });
+    return inviteId;
   } catch (err) {
     console.error('[farmService] inviteUserToFarm failed:', err);
     throw err;
@@ -0,0 +1,40 @@
+/**
+ * growSpaceService.js — Per-farm grow space layout.
+ *
+ * Zones, racks and shelves (data/growSpace.js) are stored at
+ * farms/{farmId}/settings/growSpace
+ *   { zones: [...], updatedAt, updatedBy }
+ */
+import { doc, onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { resolveGrowSpace, validateGrowSpace } from '../data/growSpace';
+
+const ref = (farmId) => doc(getDb(), 'farms', farmId, 'settings', 'growSpace');
+
+/**
+ * Subscribe to the farm's grow space layout. Returns unsubscribe function.
+ */
+export function subscribeGrowSpace(farmId, onData, onError) {
+  return onSnapshot(ref(farmId), (snap) => {
+    onData(resolveGrowSpace(snap.exists() ? snap.data() : null));
+  }, onError);
+}
+
+/**
+ * Replace the farm's layout. Throws if it doesn't validate against the
+ * farm's stage machines.
+ */
+export async function saveGrowSpace(farmId, layout, machines, userId) {
+  const errors = validateGrowSpace(layout, machines);
+  if (errors.length) throw new Error(errors.join('; '));
+  try {
+    await setDoc(ref(farmId), {
+      zones: layout.zones,
+      updatedAt: serverTimestamp(),
+      updatedBy: userId ?? null,
+    });
+  } catch (err) {
+    console.error('[growSpaceService] saveGrowSpace failed:', err);
+    throw err;
+  }
+}
@@ -7,6 +7,7 @@
 
 import { getDb } from '../firebase';
 import { collection, writeBatch, doc, serverTimestamp } from 'firebase/firestore';
+import { postApi } from './apiClient';
 
 /**
  * Bulk-import an array of clean row objects into a Firestore sub-collection.
@@ -73,6 +74,15 @@ export function importInventory(farmId, rows) {
   return bulkImport(farmId, 'inventory', rows);
 }
 
-export function importProducts(farmId, rows) {
-  return bulkImport(farmId, 'products', rows, { available: true, sortOrder: Date.now() });
+/**
+ * Products go through /api/products so the import can't pass the plan's
+ * maxProducts — it throws a plan-limit error and imports none.
+ */
+export async function importProducts(farmId, rows) {
+  const sortOrder = Date.now();
+  const { ids } = await postApi('/api/products', {
+    farmId,
+    products: rows.map((row) => ({ ...row, available: true, sortOrder })),
+  });
+  return { success: ids.length, failed: 0 };
 }
@@ -4,6 +4,12 @@
  * Collection: farms/{farmId}/inventory/{itemId}
  * Fields: name, category, currentQty, unit, parLevel,
  *         supplier, costPerUnit, lastOrderedDate
+ *
+ * Seed lots: farms/{farmId}/seedLots/{lotId} — seed received against a
+ * vendor, drawn down as batches are planted (data/traceability.js).
+ *
+ * Bill of materials: farms/{farmId}/settings/billOfMaterials — what each
+ * crop uses per tray / oz (data/billOfMaterials.js).
  */
 import {
   collection,
@@ -15,6 +21,9 @@ import {
   serverTimestamp,
   query,
   limit,
+  increment,
+  writeBatch,
+  setDoc,
 } from 'firebase/firestore';
 import { getDb } from '../firebase';
 
@@ -24,6 +33,12 @@ const inventoryCol = (farmId) =>
 const inventoryDoc = (farmId, itemId) =>
   doc(getDb(), 'farms', farmId, 'inventory', itemId);
 
+const bomDoc = (farmId) =>
+  doc(getDb(), 'farms', farmId, 'settings', 'billOfMaterials');
+
+const seedLotsCol = (farmId) =>
+  collection(getDb(), 'farms', farmId, 'seedLots');
+
 /** Subscribe to all inventory items for a farm. Returns unsubscribe fn. */
 export function subscribeInventory(farmId, onData, onError) {
   return onSnapshot(
@@ -77,3 +92,110 @@ export async function deleteInventoryItem(farmId, itemId) {
     throw err;
   }
 }
+
+/**
+ * Take used materials off inventory: [{ itemId, qty }] from
+ * data/billOfMaterials.js materialsFor.
+ */
+export async function consumeInventory(farmId, materials) {
+  const draws = materials.filter((m) => m.qty > 0);
+  if (draws.length === 0) return;
+  try {
+    const batch = writeBatch(getDb());
+    for (const m of draws) {
+      batch.update(inventoryDoc(farmId, m.itemId), {
+        currentQty: increment(-m.qty),
+        updatedAt:  serverTimestamp(),
+      });
+    }
+    await batch.commit();
+  } catch (err) {
+    console.error('[inventoryService] consumeInventory failed:', err);
+    throw err;
+  }
+}
+
+// ── Bill of materials ───────────────────────────────────────────────────────
+
+/** Subscribe to the bill of materials doc (raw data or null). Returns unsubscribe fn. */
+export function subscribeBillOfMaterials(farmId, onData, onError) {
+  return onSnapshot(
+    bomDoc(farmId),
+    (snap) => onData(snap.exists() ? snap.data() : null),
+    onError
+  );
+}
+
+/** Save the whole bill of materials: crops = { [cropId]: [{ itemId, qty, per }] }. */
+export async function saveBillOfMaterials(farmId, crops, userId) {
+  try {
+    await setDoc(bomDoc(farmId), {
+      crops,
+      updatedAt: serverTimestamp(),
+      updatedBy: userId ?? null,
+    });
+  } catch (err) {
+    console.error('[inventoryService] saveBillOfMaterials failed:', err);
+    throw err;
+  }
+}
+
+// ── Seed lots ───────────────────────────────────────────────────────────────
+
+/** Subscribe to a farm's seed lots, newest received first. Returns unsubscribe fn. */
+export function subscribeSeedLots(farmId, onData, onError) {
+  return onSnapshot(
+    query(seedLotsCol(farmId), limit(500)),
+    (snapshot) => {
+      const lots = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      lots.sort((a, b) => String(b.receivedDate).localeCompare(String(a.receivedDate)));
+      onData(lots);
+    },
+    onError
+  );
+}
+
+/**
+ * Receive a seed lot from a vendor.
+ * data shape: { lotNumber, vendorId, vendorName, varietyId, varietyName,
+ *               qtyReceived (g), receivedDate, inventoryItemId?, notes? }
+ * A linked seed inventory item goes up by the amount received.
+ */
+export async function receiveSeedLot(farmId, data, userId) {
+  try {
+    const batch = writeBatch(getDb());
+    const ref = doc(seedLotsCol(farmId));
+    batch.set(ref, {
+      ...data,
+      unit:         'g',
+      qtyRemaining: data.qtyReceived,
+      receivedBy:   userId ?? null,
+      farmId,
+      createdAt:    serverTimestamp(),
+    });
+    if (data.inventoryItemId) {
+      batch.update(inventoryDoc(farmId, data.inventoryItemId), {
+        currentQty: increment(data.qtyReceived),
+        updatedAt:  serverTimestamp(),
+      });
+    }
+    await batch.commit();
+    return ref.id;
+  } catch (err) {
+    console.error('[inventoryService] receiveSeedLot failed:', err);
+    throw err;
+  }
+}
+
+/** Update fields on a seed lot (corrections, write-offs). */
+export async function updateSeedLot(farmId, lotId, updates) {
+  try {
+    await updateDoc(doc(seedLotsCol(farmId), lotId), {
+      ...updates,
+      updatedAt: serverTimestamp(),
+    });
+  } catch (err) {
+    console.error('[inventoryService] updateSeedLot failed:', err);
+    throw err;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * invoiceService.js — Firestore writes for customer invoices.
+ *
+ * Collection: farms/{farmId}/invoices/{invoiceId}
+ * Shape, numbering and status flow: data/invoices.js
+ *
+ * Creating invoices numbers them from farms/{farmId}/counters/invoices and
+ * stamps their orders, in one transaction — an order that was invoiced in
+ * the meantime is left off, so nothing is billed twice. Payments and voids
+ * are transactions too, checked against the invoice as stored, so two
+ * payments recorded at once both count.
+ */
+import {
+  collection,
+  doc,
+  onSnapshot,
+  serverTimestamp,
+  query,
+  limit,
+  runTransaction,
+} from 'firebase/firestore';
+import { getDb } from '../firebase';
+import {
+  FIRST_INVOICE_NUMBER,
+  formatInvoiceNumber,
+  paymentError,
+  applyPayment,
+  voidError,
+} from '../data/invoices';
+
+const invoiceCol = (farmId) =>
+  collection(getDb(), 'farms', farmId, 'invoices');
+
+const invoiceDoc = (farmId, invoiceId) =>
+  doc(getDb(), 'farms', farmId, 'invoices', invoiceId);
+
+const orderDoc = (farmId, orderId) =>
+  doc(getDb(), 'farms', farmId, 'orders', orderId);
+
+/** Subscribe to a farm's invoices, newest first. Returns unsubscribe fn. */
+export function subscribeInvoices(farmId, onData, onError) {
+  return onSnapshot(
+    query(invoiceCol(farmId), limit(500)),
+    (snapshot) => {
+      const invoices = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      invoices.sort((a, b) => String(b.issueDate).localeCompare(String(a.issueDate))
+        || (b.number || 0) - (a.number || 0));
+      onData(invoices);
+    },
+    onError
+  );
+}
+
+/**
+ * Save drafts from data/invoices.js draftInvoices.
+ * Returns the invoice numbers created.
+ */
+export async function createInvoices(farmId, drafts, userId) {
+  try {
+    return await runTransaction(getDb(), async (t) => {
+      const counterRef = doc(getDb(), 'farms', farmId, 'counters', 'invoices');
+      const counter = await t.get(counterRef);
+      const orderIds = drafts.flatMap((d) => d.orderIds);
+      const orderSnaps = await Promise.all(orderIds.map((id) => t.get(orderDoc(farmId, id))));
+      const taken = new Set(orderSnaps.filter((s) => !s.exists() || s.data().invoiceId).map((s) => s.id));
+
+      let next = counter.exists() ? (counter.data().next || FIRST_INVOICE_NUMBER) : FIRST_INVOICE_NUMBER;
+      const numbers = [];
+      for (const draft of drafts) {
+        if (draft.orderIds.some((id) => taken.has(id))) continue;
+        const ref = doc(invoiceCol(farmId));
+        const invoiceNumber = formatInvoiceNumber(next);
+        t.set(ref, {
+          ...draft,
+          number:     next,
+          invoiceNumber,
+          payments:   [],
+          amountPaid: 0,
+          status:     'open',
+          createdBy:  userId ?? null,
+          farmId,
+          createdAt:  serverTimestamp(),
+        });
+        for (const orderId of draft.orderIds) {
+          t.update(orderDoc(farmId, orderId), { invoiceId: ref.id, invoiceNumber, updatedAt: serverTimestamp() });
+        }
+        numbers.push(invoiceNumber);
+        next += 1;
+      }
+      if (numbers.length) t.set(counterRef, { next }, { merge: true });
+      return numbers;
+    });
+  } catch (err) {
+    console.error('[invoiceService] createInvoices failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Record a payment — { date, amount, method, reference } — against an
+ * invoice. Throws when it doesn't fit the stored balance (paymentError).
+ */
+export async function recordInvoicePayment(farmId, invoiceId, payment, userId) {
+  try {
+    await runTransaction(getDb(), async (t) => {
+      const snap = await t.get(invoiceDoc(farmId, invoiceId));
+      if (!snap.exists()) throw new Error('Invoice not found');
+      const invoice = { id: snap.id, ...snap.data() };
+      const invalid = paymentError(invoice, payment.amount);
+      if (invalid) throw new Error(invalid);
+
+      const result = applyPayment(invoice, payment);
+      t.update(snap.ref, {
+        payments:   [...(invoice.payments || []), { ...result.payment, recordedBy: userId ?? null }],
+        amountPaid: result.amountPaid,
+        status:     result.status,
+        ...(result.status === 'paid' ? { paidAt: result.payment.date } : {}),
+        updatedAt:  serverTimestamp(),
+      });
+    });
+  } catch (err) {
+    console.error('[invoiceService] recordInvoicePayment failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Void an invoice and free its orders to be invoiced again. Throws when
+ * the stored invoice has payments or isn't open (voidError).
+ */
+export async function voidInvoice(farmId, invoice, userId) {
+  try {
+    await runTransaction(getDb(), async (t) => {
+      const snap = await t.get(invoiceDoc(farmId, invoice.id));
+      if (!snap.exists()) throw new Error('Invoice not found');
+      const stored = { id: snap.id, ...snap.data() };
+      const invalid = voidError(stored);
+      if (invalid) throw new Error(invalid);
+
+      t.update(snap.ref, {
+        status:    'void',
+        voidedBy:  userId ?? null,
+        voidedAt:  serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      for (const orderId of stored.orderIds || []) {
+        t.update(orderDoc(farmId, orderId), { invoiceId: null, invoiceNumber: null, updatedAt: serverTimestamp() });
+      }
+    });
+  } catch (err) {
+    console.error('[invoiceService] voidInvoice failed:', err);
+    throw err;
+  }
+}
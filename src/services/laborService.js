@@ -0,0 +1,120 @@
+/**
+ * laborService.js — Firestore access for crew labor time.
+ *
+ * Collection: farms/{farmId}/laborEntries/{entryId}
+ * Shapes: data/laborTracking.js (shifts and timed tasks)
+ *
+ * Settings: farms/{farmId}/settings/labor — { hourlyRate }, what a tracked
+ * hour costs for batch costing.
+ *
+ * Plant / move / harvest tasks are written by the crew outbox together with
+ * the batch change (laborEntryRef); everything else goes through here.
+ */
+import {
+  collection,
+  doc,
+  onSnapshot,
+  addDoc,
+  updateDoc,
+  setDoc,
+  serverTimestamp,
+  query,
+  where,
+  limit,
+} from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { elapsedMinutes } from '../data/laborTracking';
+
+const laborCol = (farmId) =>
+  collection(getDb(), 'farms', farmId, 'laborEntries');
+
+const settingsDoc = (farmId) =>
+  doc(getDb(), 'farms', farmId, 'settings', 'labor');
+
+/** A labor entry's doc ref — the outbox writes crew tasks under its own entry ID. */
+export const laborEntryRef = (farmId, entryId) =>
+  doc(getDb(), 'farms', farmId, 'laborEntries', entryId);
+
+/** Subscribe to labor entries dated fromDate or later. Returns unsubscribe fn. */
+export function subscribeLaborEntries(farmId, fromDate, onData, onError) {
+  return onSnapshot(
+    query(laborCol(farmId), where('date', '>=', fromDate), limit(2000)),
+    (snapshot) => {
+      const entries = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      entries.sort((a, b) => String(b.start).localeCompare(String(a.start)));
+      onData(entries);
+    },
+    onError
+  );
+}
+
+/** Start a shift for a crew member. */
+export async function clockIn(farmId, userId, userName, start) {
+  try {
+    const ref = await addDoc(laborCol(farmId), {
+      kind:      'shift',
+      userId,
+      userName:  userName || null,
+      start,
+      end:       null,
+      minutes:   null,
+      date:      start.slice(0, 10),
+      createdAt: serverTimestamp(),
+    });
+    return ref.id;
+  } catch (err) {
+    console.error('[laborService] clockIn failed:', err);
+    throw err;
+  }
+}
+
+/** End a shift. */
+export async function clockOut(farmId, shift, end) {
+  try {
+    await updateDoc(laborEntryRef(farmId, shift.id), {
+      end,
+      minutes:   elapsedMinutes(shift.start, end),
+      updatedAt: serverTimestamp(),
+    });
+  } catch (err) {
+    console.error('[laborService] clockOut failed:', err);
+    throw err;
+  }
+}
+
+/** Record a timed task that isn't a batch change (packing an order). */
+export async function addLaborTask(farmId, entry) {
+  try {
+    const ref = await addDoc(laborCol(farmId), {
+      ...entry,
+      createdAt: serverTimestamp(),
+    });
+    return ref.id;
+  } catch (err) {
+    console.error('[laborService] addLaborTask failed:', err);
+    throw err;
+  }
+}
+
+/** Subscribe to the labor settings doc (raw data or null). Returns unsubscribe fn. */
+export function subscribeLaborSettings(farmId, onData, onError) {
+  return onSnapshot(
+    settingsDoc(farmId),
+    (snap) => onData(snap.exists() ? snap.data() : null),
+    onError
+  );
+}
+
+/** Save the farm's hourly labor rate. */
+export async function saveLaborRate(farmId, hourlyRate, userId) {
+  try {
+    await setDoc(settingsDoc(farmId), {
+      hourlyRate,
+      updatedAt: serverTimestamp(),
+      updatedBy: userId ?? null,
+    }, { merge: true });
+  } catch (err) {
+    console.error('[laborService] saveLaborRate failed:', err);
+    throw err;
+  }
+}
@@ -9,6 +9,8 @@
  * Secondary order source: farms/{farmId}/orders/ (Shopify webhook)
  */
 
+import { getMappedCropId } from '../../data/productMapping';
+
 // ═══════════════════════════════════════════════════════════════
 // ORDER FIELDS — shopifyOrders + orders collections
 // ═══════════════════════════════════════════════════════════════
@@ -79,10 +81,15 @@ export const HARVEST_FIELDS = {
 
 /**
  * Extract a normalized crop key from a line item.
- * Uses title as the stable identifier, lowercased with spaces → underscores.
+ * Products mapped to a single crop (data/productMapping.js) key by that
+ * crop's ID, so every product of one crop shares a demand series. Otherwise
+ * uses title as the stable identifier, lowercased with spaces → underscores.
  * Falls back to productId or 'unknown'.
  */
-export function getCropKey(lineItem) {
+export function getCropKey(lineItem, mappingIndex = null) {
+  const cropId = mappingIndex ? getMappedCropId(mappingIndex, lineItem) : null;
+  if (cropId) return cropId;
+
   // Prefer title (most readable and consistent across Shopify sync)
   const title = lineItem[LINE_ITEM_FIELDS.title];
   if (title) return title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
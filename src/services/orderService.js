@@ -2,9 +2,9 @@ import {
   collection,
   doc,
   onSnapshot,
-  addDoc,
   updateDoc,
   getDoc,
+  getDocs,
   setDoc,
   query,
   where,
@@ -13,6 +13,7 @@ import {
   serverTimestamp,
 } from 'firebase/firestore';
 import { getDb } from '../firebase';
+import { postApi } from './apiClient';
 
 // Ordered lifecycle — each order advances forward through these statuses
 export const ORDER_STATUSES = ['new', 'confirmed', 'harvesting', 'packed', 'delivered', 'cancelled'];
@@ -65,21 +66,34 @@ export function subscribeChefOrders(farmId, customerId, onData, onError) {
 }
 
 /**
- * Place a new order.
- * orderData shape: { customerId, customerName, customerEmail, items[], total,
- *                   requestedDeliveryDate, specialInstructions }
+ * Place a chef's order through /api/orders, which prices and validates it
+ * (data/orderRules.js) and returns the stored order.
+ * request shape: { items: [{ productId, quantity }], requestedDeliveryDate,
+ *                  specialInstructions }
+ * Throws with the server's reason — a plan-limit error (isPlanLimitError)
+ * once the month's maxOrdersPerMonth is reached.
  */
-export async function addOrder(farmId, orderData) {
+export async function placeOrder(request) {
   try {
-    const docRef = await addDoc(col(farmId), {
-      ...orderData,
-      status: 'new',
-      farmId,
-      createdAt: serverTimestamp(),
-    });
-    return docRef.id;
+    const { order } = await postApi('/api/orders', request);
+    return order;
+  } catch (err) {
+    console.error('[orderService] placeOrder failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * What's left to order for a delivery date, by product — worked out
+ * server-side from every customer's orders (data/availability.js).
+ * Returns { [productId]: { available, oversell } }.
+ */
+export async function fetchAvailability(date) {
+  try {
+    const { availability } = await postApi('/api/availability', { date });
+    return availability;
   } catch (err) {
-    console.error('[orderService] addOrder failed:', err);
+    console.error('[orderService] fetchAvailability failed:', err);
     throw err;
   }
 }
@@ -117,6 +131,25 @@ export async function updateOrder(farmId, orderId, updates) {
   }
 }
 
+/**
+ * Orders packed from any of the given batches (packedBatches / batchIds,
+ * data/traceability.js) — lets a recall reach past the orders the app has
+ * loaded. Queried 30 batch IDs at a time, the array-contains-any limit.
+ */
+export async function fetchOrdersForBatches(farmId, batchIds) {
+  try {
+    const found = new Map();
+    for (let i = 0; i < batchIds.length; i += 30) {
+      const snap = await getDocs(query(col(farmId), where('batchIds', 'array-contains-any', batchIds.slice(i, i + 30))));
+      snap.docs.forEach((d) => found.set(d.id, { id: d.id, ...d.data() }));
+    }
+    return [...found.values()];
+  } catch (err) {
+    console.error('[orderService] fetchOrdersForBatches failed:', err);
+    throw err;
+  }
+}
+
 // ── Harvest Checklist Persistence ───────────────────────────────────────────
 
 const checklistRef = (farmId, date) =>
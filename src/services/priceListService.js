@@ -0,0 +1,62 @@
+/**
+ * priceListService.js — Firestore CRUD for customer price lists.
+ *
+ * Collection: farms/{farmId}/priceLists/{id}
+ * Shape and how a price is resolved: data/priceLists.js
+ */
+import {
+  collection, onSnapshot, addDoc, updateDoc, deleteDoc, doc,
+  serverTimestamp, query, limit,
+} from 'firebase/firestore';
+import { getDb } from '../firebase';
+
+const listsCol = (farmId) => collection(getDb(), 'farms', farmId, 'priceLists');
+
+/**
+ * Subscribe to the farm's price lists, by name.
+ */
+export function subscribePriceLists(farmId, onData, onError) {
+  return onSnapshot(
+    query(listsCol(farmId), limit(200)),
+    (snap) => {
+      const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      onData(list);
+    },
+    onError,
+  );
+}
+
+export async function addPriceList(farmId, data) {
+  try {
+    const ref = await addDoc(listsCol(farmId), {
+      ...data,
+      createdAt: serverTimestamp(),
+    });
+    return ref.id;
+  } catch (err) {
+    console.error('[priceListService] addPriceList failed:', err);
+    throw err;
+  }
+}
+
+export async function updatePriceList(farmId, id, updates) {
+  try {
+    await updateDoc(doc(getDb(), 'farms', farmId, 'priceLists', id), {
+      ...updates,
+      updatedAt: serverTimestamp(),
+    });
+  } catch (err) {
+    console.error('[priceListService] updatePriceList failed:', err);
+    throw err;
+  }
+}
+
+export async function deletePriceList(farmId, id) {
+  try {
+    await deleteDoc(doc(getDb(), 'farms', farmId, 'priceLists', id));
+  } catch (err) {
+    console.error('[priceListService] deletePriceList failed:', err);
+    throw err;
+  }
+}
@@ -2,17 +2,27 @@ import {
   collection,
   doc,
   onSnapshot,
-  addDoc,
   updateDoc,
   deleteDoc,
   serverTimestamp,
+  deleteField,
+  getDocs,
   query,
   limit,
 } from 'firebase/firestore';
 import { getDb } from '../firebase';
+import { postApi } from './apiClient';
+import { buildProductMappingIndex, validateCropMapping } from '../data/productMapping';
 
 const col = (farmId) => collection(getDb(), 'farms', farmId, 'products');
 const dref = (farmId, id) => doc(getDb(), 'farms', farmId, 'products', id);
+const shopifyCol = (farmId) => collection(getDb(), 'farms', farmId, 'shopifyProducts');
+
+/** Product sources that can carry a crop mapping → their collection name. */
+export const PRODUCT_SOURCES = {
+  shopify: 'shopifyProducts',
+  catalog: 'products',
+};
 
 /**
  * Subscribe to all products for a farm. Returns unsubscribe function.
@@ -25,18 +35,16 @@ export function subscribeProducts(farmId, onData, onError) {
 
 /**
  * Add a new product to the catalog.
- * data shape: { name, category, unit, pricePerUnit, available, description, imageUrl, sortOrder }
+ * data shape: { name, category, unit, pricePerUnit, available, allowOversell, description, imageUrl, sortOrder }
+ * pricePerUnit is the list price; customers' prices come from data/priceLists.js.
+ * allowOversell lets chefs order past what's available to promise (data/availability.js).
+ * Created by /api/products, which throws a plan-limit error when the
+ * catalog is at the plan's maxProducts.
  */
 export async function addProduct(farmId, data) {
   try {
-    const docRef = await addDoc(col(farmId), {
-      ...data,
-      farmId,
-      available: data.available ?? true,
-      sortOrder: data.sortOrder ?? Date.now(),
-      createdAt: serverTimestamp(),
-    });
-    return docRef.id;
+    const { ids } = await postApi('/api/products', { farmId, products: [data] });
+    return ids[0];
   } catch (err) {
     console.error('[productService] addProduct failed:', err);
     throw err;
@@ -69,3 +77,58 @@ export async function deleteProduct(farmId, productId) {
     throw err;
   }
 }
+
+/**
+ * Subscribe to Shopify-synced products. Returns unsubscribe function.
+ */
+export function subscribeShopifyProducts(farmId, onData, onError) {
+  return onSnapshot(query(shopifyCol(farmId), limit(500)), (snap) => {
+    onData(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  }, onError);
+}
+
+/**
+ * Set (or clear, with mapping = null) a product's crop mapping.
+ * source is a PRODUCT_SOURCES key. variantMappings replaces the existing
+ * per-variant overrides when given. Throws if a mapping is invalid.
+ */
+export async function saveProductCropMapping(farmId, source, productId, mapping, variantMappings) {
+  const collectionName = PRODUCT_SOURCES[source];
+  if (!collectionName) throw new Error(`Unknown product source "${source}"`);
+  const errors = [
+    ...(mapping ? validateCropMapping(mapping) : []),
+    ...Object.values(variantMappings || {}).flatMap((m) => validateCropMapping(m, { partial: true })),
+  ];
+  if (errors.length) throw new Error(errors.join('; '));
+  try {
+    const updates = {
+      cropMapping: mapping ?? deleteField(),
+      cropMappingUpdatedAt: serverTimestamp(),
+    };
+    if (variantMappings !== undefined) updates.variantMappings = variantMappings;
+    await updateDoc(doc(getDb(), 'farms', farmId, collectionName, productId), updates);
+  } catch (err) {
+    console.error('[productService] saveProductCropMapping failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * One-shot load of every product mapping (Shopify + catalog) as a lookup index.
+ * Used by non-React planners (harvestPlanningService).
+ */
+export async function loadProductMappingIndex(farmId) {
+  try {
+    const [shopifySnap, catalogSnap] = await Promise.all([
+      getDocs(query(shopifyCol(farmId), limit(500))),
+      getDocs(query(col(farmId), limit(500))),
+    ]);
+    return buildProductMappingIndex([
+      ...shopifySnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+      ...catalogSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    ]);
+  } catch (err) {
+    console.error('[productService] loadProductMappingIndex failed:', err);
+    throw err;
+  }
+}
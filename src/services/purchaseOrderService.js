@@ -0,0 +1,196 @@
+/**
+ * purchaseOrderService.js — Firestore CRUD for vendor purchase orders.
+ *
+ * Collection: farms/{farmId}/purchaseOrders/{poId}
+ * Shape and status flow: data/purchaseOrders.js
+ *
+ * Sending stamps lastOrderedDate on the items ordered. Receiving re-reads
+ * the PO in a transaction, then adds the quantities to inventory and books
+ * the cost entries in it, so stock and spend can't drift apart and two
+ * receipts can't count the same line twice. Items deleted from inventory
+ * since the PO was drafted are skipped, and both return their names as
+ * { missing }.
+ */
+import {
+  collection,
+  doc,
+  onSnapshot,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  query,
+  limit,
+  increment,
+  writeBatch,
+  runTransaction,
+} from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { addCostToBatch } from './costService';
+import { receivePurchaseOrder } from '../data/purchaseOrders';
+
+const poCol = (farmId) =>
+  collection(getDb(), 'farms', farmId, 'purchaseOrders');
+
+const poDoc = (farmId, poId) =>
+  doc(getDb(), 'farms', farmId, 'purchaseOrders', poId);
+
+const inventoryDoc = (farmId, itemId) =>
+  doc(getDb(), 'farms', farmId, 'inventory', itemId);
+
+async function readPurchaseOrder(t, farmId, poId) {
+  const snap = await t.get(poDoc(farmId, poId));
+  if (!snap.exists()) throw new Error('Purchase order not found');
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Read the inventory items on PO lines in a transaction.
+ * Returns { itemRefs: itemId → ref for items that still exist, missing: names }.
+ */
+async function readLineItems(t, farmId, lines) {
+  const snaps = await Promise.all(lines.map((l) => t.get(inventoryDoc(farmId, l.itemId))));
+  const itemRefs = new Map();
+  const missing = [];
+  lines.forEach((l, i) => {
+    if (snaps[i].exists()) itemRefs.set(l.itemId, snaps[i].ref);
+    else missing.push(l.name);
+  });
+  return { itemRefs, missing };
+}
+
+/** Subscribe to a farm's purchase orders, newest first. Returns unsubscribe fn. */
+export function subscribePurchaseOrders(farmId, onData, onError) {
+  return onSnapshot(
+    query(poCol(farmId), limit(200)),
+    (snapshot) => {
+      const pos = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      pos.sort((a, b) => String(b.orderDate).localeCompare(String(a.orderDate))
+        || String(b.poNumber).localeCompare(String(a.poNumber)));
+      onData(pos);
+    },
+    onError
+  );
+}
+
+/**
+ * Save draft POs from data/purchaseOrders.js draftPurchaseOrders.
+ * Each gets a PO number from the date and its document ID.
+ */
+export async function createPurchaseOrders(farmId, drafts, userId, orderDate) {
+  try {
+    const batch = writeBatch(getDb());
+    const ids = drafts.map((draft) => {
+      const ref = doc(poCol(farmId));
+      batch.set(ref, {
+        ...draft,
+        poNumber:  `PO-${orderDate.replace(/-/g, '')}-${ref.id.slice(-4).toUpperCase()}`,
+        status:    'draft',
+        orderDate,
+        notes:     '',
+        receipts:  [],
+        createdBy: userId ?? null,
+        farmId,
+        createdAt: serverTimestamp(),
+      });
+      return ref.id;
+    });
+    await batch.commit();
+    return ids;
+  } catch (err) {
+    console.error('[purchaseOrderService] createPurchaseOrders failed:', err);
+    throw err;
+  }
+}
+
+/** Update fields on a purchase order (lines and notes while it's a draft). */
+export async function updatePurchaseOrder(farmId, poId, updates) {
+  try {
+    await updateDoc(poDoc(farmId, poId), {
+      ...updates,
+      updatedAt: serverTimestamp(),
+    });
+  } catch (err) {
+    console.error('[purchaseOrderService] updatePurchaseOrder failed:', err);
+    throw err;
+  }
+}
+
+/** Delete a purchase order. */
+export async function deletePurchaseOrder(farmId, poId) {
+  try {
+    await deleteDoc(poDoc(farmId, poId));
+  } catch (err) {
+    console.error('[purchaseOrderService] deletePurchaseOrder failed:', err);
+    throw err;
+  }
+}
+
+/** Mark a PO sent to its vendor and its items as ordered today. */
+export async function markPurchaseOrderSent(farmId, poId, date) {
+  try {
+    return await runTransaction(getDb(), async (t) => {
+      const po = await readPurchaseOrder(t, farmId, poId);
+      const { itemRefs, missing } = await readLineItems(t, farmId, po.lines);
+      t.update(poDoc(farmId, poId), {
+        status:    'sent',
+        sentAt:    date,
+        updatedAt: serverTimestamp(),
+      });
+      for (const ref of itemRefs.values()) {
+        t.update(ref, {
+          lastOrderedDate: date,
+          updatedAt:       serverTimestamp(),
+        });
+      }
+      return { missing };
+    });
+  } catch (err) {
+    console.error('[purchaseOrderService] markPurchaseOrderSent failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Record stock arriving against a PO — received: itemId → qty that arrived.
+ * The receipt is worked out from the stored PO (data/purchaseOrders.js
+ * receivePurchaseOrder). Missing items still get their cost booked.
+ */
+export async function receivePurchaseOrderStock(farmId, poId, received, date, userId) {
+  try {
+    return await runTransaction(getDb(), async (t) => {
+      const po = await readPurchaseOrder(t, farmId, poId);
+      const result = receivePurchaseOrder(po, received);
+      if (result.receipt.lines.length === 0) return { missing: [] };
+      const { itemRefs, missing } = await readLineItems(t, farmId, result.receipt.lines);
+
+      t.update(poDoc(farmId, poId), {
+        lines:     result.lines,
+        status:    result.status,
+        receipts:  [...(po.receipts || []), { ...result.receipt, date, receivedBy: userId ?? null }],
+        ...(result.status === 'received' ? { receivedAt: date } : {}),
+        updatedAt: serverTimestamp(),
+      });
+      for (const l of result.receipt.lines) {
+        if (!itemRefs.has(l.itemId)) continue;
+        t.update(itemRefs.get(l.itemId), {
+          currentQty: increment(l.qty),
+          updatedAt:  serverTimestamp(),
+        });
+      }
+      for (const cost of result.costs) {
+        addCostToBatch(t, farmId, {
+          ...cost,
+          date,
+          recurring:       false,
+          frequency:       null,
+          vendorId:        po.vendorId || null,
+          purchaseOrderId: po.id,
+        });
+      }
+      return { missing };
+    });
+  } catch (err) {
+    console.error('[purchaseOrderService] receivePurchaseOrderStock failed:', err);
+    throw err;
+  }
+}
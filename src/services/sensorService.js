@@ -0,0 +1,87 @@
+/**
+ * sensorService.js — Grow room sensors: ranges, devices and readings.
+ *
+ * Allowed ranges per zone (data/sensors.js) are stored at
+ * farms/{farmId}/settings/sensors
+ *   { zones: { [zoneId]: { [metric]: { min, max } } }, updatedAt, updatedBy }
+ *
+ * Readings are written server-side only (/api/sensor-readings); devices and
+ * their keys are managed through /api/sensor-devices.
+ */
+import { collection, doc, onSnapshot, query, where, setDoc, serverTimestamp } from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { resolveSensorSettings } from '../data/sensors';
+import { postApi } from './apiClient';
+
+const settingsRef = (farmId) => doc(getDb(), 'farms', farmId, 'settings', 'sensors');
+
+/**
+ * Subscribe to the farm's sensor ranges. Returns unsubscribe function.
+ */
+export function subscribeSensorSettings(farmId, onData, onError) {
+  return onSnapshot(settingsRef(farmId), (snap) => {
+    onData(resolveSensorSettings(snap.exists() ? snap.data() : null));
+  }, onError);
+}
+
+/**
+ * Replace the farm's per-zone ranges. A metric set to null has no range
+ * in that zone; a missing one uses the default.
+ */
+export async function saveSensorRanges(farmId, zones, userId) {
+  try {
+    await setDoc(settingsRef(farmId), {
+      zones,
+      updatedAt: serverTimestamp(),
+      updatedBy: userId ?? null,
+    });
+  } catch (err) {
+    console.error('[sensorService] saveSensorRanges failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Subscribe to the sensor buckets linked to a batch (hourly and daily).
+ * Returns unsubscribe function.
+ */
+export function subscribeBatchConditions(farmId, batchId, onData, onError) {
+  const q = query(
+    collection(getDb(), 'farms', farmId, 'sensorReadings'),
+    where('batchIds', 'array-contains', batchId),
+  );
+  return onSnapshot(q, (snap) => {
+    onData(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  }, onError);
+}
+
+/** The farm's sensor devices: [{ deviceId, name, zoneId, createdAt, lastSeenAt }]. */
+export async function listSensorDevices() {
+  try {
+    const { devices } = await postApi('/api/sensor-devices', { action: 'list' });
+    return devices || [];
+  } catch (err) {
+    console.error('[sensorService] listSensorDevices failed:', err);
+    throw err;
+  }
+}
+
+/** Add a device to a zone. Resolves to { device, key } — the key is only shown once. */
+export async function createSensorDevice(name, zoneId) {
+  try {
+    const { device, key } = await postApi('/api/sensor-devices', { action: 'create', name, zoneId });
+    return { device, key };
+  } catch (err) {
+    console.error('[sensorService] createSensorDevice failed:', err);
+    throw err;
+  }
+}
+
+export async function revokeSensorDevice(deviceId) {
+  try {
+    await postApi('/api/sensor-devices', { action: 'revoke', deviceId });
+  } catch (err) {
+    console.error('[sensorService] revokeSensorDevice failed:', err);
+    throw err;
+  }
+}
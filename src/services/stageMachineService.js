@@ -0,0 +1,72 @@
+/**
+ * stageMachineService.js — Per-farm batch lifecycle overrides.
+ *
+ * data/stageMachine.js holds the default definition for every crop category;
+ * a farm's edits are stored at farms/{farmId}/settings/stageMachine
+ *   { categories: { [category]: definition }, updatedAt, updatedBy }
+ * and merged over the defaults by resolveStageMachines().
+ */
+import { doc, onSnapshot, setDoc, deleteField, serverTimestamp } from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { resolveStageMachines, validateStageMachine } from '../data/stageMachine';
+import { postApi } from './apiClient';
+
+const ref = (farmId) => doc(getDb(), 'farms', farmId, 'settings', 'stageMachine');
+
+/**
+ * Subscribe to the farm's resolved stage machines (defaults + overrides).
+ * Returns unsubscribe function.
+ */
+export function subscribeStageMachines(farmId, onData, onError) {
+  return onSnapshot(ref(farmId), (snap) => {
+    const overrides = snap.exists() ? snap.data() : null;
+    onData(resolveStageMachines(overrides), overrides);
+  }, onError);
+}
+
+/**
+ * Save a category's lifecycle definition. Throws if the definition is invalid.
+ */
+export async function saveStageMachine(farmId, category, definition, userId) {
+  const errors = validateStageMachine(definition);
+  if (errors.length) throw new Error(errors.join('; '));
+  try {
+    await setDoc(ref(farmId), {
+      categories: { [category]: definition },
+      updatedAt: serverTimestamp(),
+      updatedBy: userId ?? null,
+    }, { merge: true });
+  } catch (err) {
+    console.error('[stageMachineService] saveStageMachine failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Drop a category's override so it falls back to the default lifecycle.
+ */
+export async function resetStageMachine(farmId, category, userId) {
+  try {
+    await setDoc(ref(farmId), {
+      categories: { [category]: deleteField() },
+      updatedAt: serverTimestamp(),
+      updatedBy: userId ?? null,
+    }, { merge: true });
+  } catch (err) {
+    console.error('[stageMachineService] resetStageMachine failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Rewrite legacy stage values on every batch (admin only, runs server-side).
+ * Returns { total, migrated, skipped, unmapped, breakdown }.
+ */
+export async function migrateLegacyBatchStages({ dryRun = false } = {}) {
+  try {
+    return await postApi('/api/migrate-batch-stages', { dryRun });
+  } catch (err) {
+    console.error('[stageMachineService] migrateLegacyBatchStages failed:', err);
+    throw err;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * standingOrderService.js — Firestore CRUD for chefs' standing orders.
+ *
+ * Collection: farms/{farmId}/standingOrders/{id}
+ * Shape and scheduling: data/standingOrders.js
+ *
+ * Orders are placed from these server-side (api/_lib/standingOrders.js);
+ * the only order write here is cancelling a placed delivery the chef skips,
+ * which then has its date replanned like any other status change.
+ */
+import {
+  collection,
+  doc,
+  onSnapshot,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  query,
+  where,
+  limit,
+  arrayUnion,
+  arrayRemove,
+} from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { requestHarvestPlan } from './harvestPlanningService';
+
+const soCol = (farmId) =>
+  collection(getDb(), 'farms', farmId, 'standingOrders');
+
+const soDoc = (farmId, id) =>
+  doc(getDb(), 'farms', farmId, 'standingOrders', id);
+
+/**
+ * Subscribe to standing orders — one chef's when customerId is given,
+ * else the farm's. Returns unsubscribe fn.
+ */
+export function subscribeStandingOrders(farmId, customerId, onData, onError) {
+  const q = customerId
+    ? query(soCol(farmId), where('customerId', '==', customerId), limit(50))
+    : query(soCol(farmId), limit(500));
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      const list = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      list.sort((a, b) => (a.weekday - b.weekday) || String(a.customerName).localeCompare(String(b.customerName)));
+      onData(list);
+    },
+    onError
+  );
+}
+
+/** Create a standing order. */
+export async function createStandingOrder(farmId, data) {
+  try {
+    const ref = await addDoc(soCol(farmId), {
+      ...data,
+      status:    'active',
+      skipDates: [],
+      createdAt: serverTimestamp(),
+    });
+    return ref.id;
+  } catch (err) {
+    console.error('[standingOrderService] createStandingOrder failed:', err);
+    throw err;
+  }
+}
+
+/** Update fields on a standing order (items, weekday, dates, status). */
+export async function updateStandingOrder(farmId, id, updates) {
+  try {
+    await updateDoc(soDoc(farmId, id), { ...updates, updatedAt: serverTimestamp() });
+  } catch (err) {
+    console.error('[standingOrderService] updateStandingOrder failed:', err);
+    throw err;
+  }
+}
+
+export async function deleteStandingOrder(farmId, id) {
+  try {
+    await deleteDoc(soDoc(farmId, id));
+  } catch (err) {
+    console.error('[standingOrderService] deleteStandingOrder failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Skip (or un-skip) one delivery. A delivery already placed as an order is
+ * cancelled with skipped: true and taken out of its date's harvest plan in
+ * the background; the server confirms it again if the skip is undone
+ * before the date.
+ */
+export async function setDeliverySkipped(farmId, standingOrder, date, skipped, placedOrder = null) {
+  try {
+    await updateDoc(soDoc(farmId, standingOrder.id), {
+      skipDates: skipped ? arrayUnion(date) : arrayRemove(date),
+      updatedAt: serverTimestamp(),
+    });
+    if (skipped && placedOrder?.status === 'confirmed') {
+      await updateDoc(doc(getDb(), 'farms', farmId, 'orders', placedOrder.id), {
+        status:      'cancelled',
+        skipped:     true,
+        cancelledAt: serverTimestamp(),
+        updatedAt:   serverTimestamp(),
+      });
+      requestHarvestPlan({ orderIds: [placedOrder.id], trigger: 'standing-order-skipped' }).catch(() => {
+        // Logged by the service; the hourly planning cron catches up.
+      });
+    }
+  } catch (err) {
+    console.error('[standingOrderService] setDeliverySkipped failed:', err);
+    throw err;
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * yieldService.js — Loads the farm data yield resolution layers over.
+ *
+ * Reads crop profiles (farms/{farmId}/cropProfiles) and Learning Engine
+ * yield profiles (farms/{farmId}/stats/yp_{cropKey}) and hands them to
+ * createYieldResolver() in data/yieldResolution.js.
+ */
+import { collection, query, where, documentId, onSnapshot, getDocs, limit } from 'firebase/firestore';
+import { getDb } from '../firebase';
+import { createYieldResolver } from '../data/yieldResolution';
+
+const YP_PREFIX = 'yp_';
+
+const yieldProfilesQuery = (farmId) => query(
+  collection(getDb(), 'farms', farmId, 'stats'),
+  where(documentId(), '>=', YP_PREFIX),
+  where(documentId(), '<', 'yp`'),
+  limit(500)
+);
+
+function toLearnedMap(snap) {
+  const learned = new Map();
+  snap.forEach((d) => learned.set(d.id.slice(YP_PREFIX.length), d.data()));
+  return learned;
+}
+
+/**
+ * Subscribe to Learning Engine yield profiles. Calls onData(Map<cropKey, profile>).
+ * Returns unsubscribe function.
+ */
+export function subscribeLearnedYields(farmId, onData, onError) {
+  return onSnapshot(yieldProfilesQuery(farmId), (snap) => {
+    onData(toLearnedMap(snap));
+  }, onError);
+}
+
+/**
+ * One-shot load of every yield source, returned as a ready resolver.
+ * Used by non-React planners (harvestPlanningService).
+ */
+export async function loadYieldResolver(farmId) {
+  try {
+    const [profileSnap, learnedSnap] = await Promise.all([
+      getDocs(query(collection(getDb(), 'farms', farmId, 'cropProfiles'), limit(200))),
+      getDocs(yieldProfilesQuery(farmId)),
+    ]);
+    return createYieldResolver({
+      profiles: profileSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+      learned: toLearnedMap(learnedSnap),
+    });
+  } catch (err) {
+    console.error('[yieldService] loadYieldResolver failed:', err);
+    throw err;
+  }
+}
@@ -7,7 +7,8 @@ import { CacheableResponsePlugin } from 'workbox-cacheable-response';
 // Activate new service worker immediately — don't wait for old tabs to close
 self.skipWaiting();
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  // Drop the Firestore response cache older versions kept (see below)
+  event.waitUntil(Promise.all([self.clients.claim(), caches.delete('firestore-api')]));
 });
 
 // Clean up old precache entries from previous versions
@@ -16,14 +17,8 @@ cleanupOutdatedCaches();
 // Precache all built assets injected by vite-plugin-pwa
 precacheAndRoute(self.__WB_MANIFEST);
 
-// Firestore API — network first
-registerRoute(
-  ({ url }) => url.hostname === 'firestore.googleapis.com',
-  new NetworkFirst({
-    cacheName: 'firestore-api',
-    plugins: [new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 60 * 60 })],
-  })
-);
+// Firestore API — not cached here. The SDK keeps its own persistent cache
+// (firebase/firestore.js) and crew writes queue in the crew outbox.
 
 // Firebase Auth — network first
 registerRoute(
@@ -4,7 +4,8 @@
  * Takes the delivered-orders array already loaded by useOrders and
  * returns per-crop demand stats suitable for sowingUtils to consume.
  */
-import { getAllVarieties } from '../data/cropConfig';
+import { getVarietyById } from '../data/cropConfig';
+import { expandLineItem, EMPTY_MAPPING_INDEX } from '../data/productMapping';
 
 const DEFAULT_BUFFER = 0.20; // 20% safety buffer
 const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
@@ -17,37 +18,25 @@ function toDate(val) {
   return new Date(val);
 }
 
-/**
- * Try to match a product name to a cropConfig variety.
- * Tries exact match, then "variety name contained in product name",
- * then "variety id contained in product name".
- */
-function matchToCrop(productName) {
-  const lower = productName.toLowerCase();
-  const varieties = getAllVarieties();
-
-  let match = varieties.find((v) => v.name.toLowerCase() === lower);
-  if (match) return match;
-
-  match = varieties.find((v) => lower.includes(v.name.toLowerCase()));
-  if (match) return match;
-
-  match = varieties.find((v) => lower.includes(v.id.toLowerCase()));
-  return match || null;
-}
-
 /**
  * Analyze delivered orders to calculate demand per crop/product.
  *
- * @param {Array}  orders - all orders from useOrders (any status)
- * @param {number} weeks  - look-back window in weeks (default 4)
- * @param {number} buffer - fractional safety buffer (default 0.20)
+ * Line items are resolved to crops through the product mapping index, so
+ * demand is accumulated per crop; mix products are exploded into ounces of
+ * each recipe crop, and mixDemand is the weekly share of a crop that goes
+ * into mixes. Items with no mapping are kept as their own rows with cropId
+ * null and unmapped: true — callers should warn.
+ *
+ * @param {Array}  orders       - all orders from useOrders (any status)
+ * @param {Object} mappingIndex - from useProductMappings() / buildProductMappingIndex()
+ * @param {number} weeks        - look-back window in weeks (default 4)
+ * @param {number} buffer       - fractional safety buffer (default 0.20)
  *
  * @returns {Array} sorted by weeklyDemand desc, each item:
- *   { cropId, cropName, varietyCategory, unit,
- *     weeklyDemand, bufferedDemand, trend, peakDays }
+ *   { cropId, cropName, varietyCategory, unit, unmapped, products, mixes,
+ *     weeklyDemand, mixDemand, bufferedDemand, trend, peakDays }
  */
-export function queryDemand(orders, weeks = 4, buffer = DEFAULT_BUFFER) {
+export function queryDemand(orders, mappingIndex = EMPTY_MAPPING_INDEX, weeks = 4, buffer = DEFAULT_BUFFER) {
   const now = new Date();
   const cutoffMs = now.getTime() - weeks * 7 * 24 * 60 * 60 * 1000;
 
@@ -58,9 +47,22 @@ export function queryDemand(orders, weeks = 4, buffer = DEFAULT_BUFFER) {
     return d && d.getTime() >= cutoffMs;
   });
 
-  // Accumulate per product name:
+  // Accumulate per crop (mapped) or product name (unmapped):
   // { unit, weekBuckets: number[weeks], dayTotals: number[7] }
   const map = {};
+  const bucket = (key, fields) => {
+    if (!map[key]) {
+      map[key] = {
+        ...fields,
+        products: new Set(),
+        mixes: new Set(),
+        mixQty: 0,
+        weekBuckets: Array(weeks).fill(0),
+        dayTotals: Array(7).fill(0),
+      };
+    }
+    return map[key];
+  };
 
   relevant.forEach((order) => {
     const d = toDate(order.createdAt);
@@ -72,25 +74,27 @@ export function queryDemand(orders, weeks = 4, buffer = DEFAULT_BUFFER) {
     const dayOfWeek = d.getDay();
 
     (order.items || []).forEach((item) => {
-      const key = item.name;
-      if (!map[key]) {
-        map[key] = {
-          name: key,
-          unit: item.unit || '',
-          weekBuckets: Array(weeks).fill(0),
-          dayTotals: Array(7).fill(0),
-        };
+      const line = expandLineItem(mappingIndex, item);
+      const parts = line.mapped
+        ? line.crops.map((c) => ({ key: `crop:${c.cropId}`, cropId: c.cropId, qty: c.oz }))
+        : [{ key: `product:${line.name}`, cropId: null, qty: line.oz }];
+
+      for (const { key, cropId, qty } of parts) {
+        const entry = bucket(key, { name: line.name, cropId, unit: line.unit });
+        entry.products.add(line.name);
+        if (line.mix) { entry.mixes.add(line.name); entry.mixQty += qty; }
+        entry.weekBuckets[bucketIdx] += qty;
+        entry.dayTotals[dayOfWeek] += qty;
       }
-      map[key].weekBuckets[bucketIdx] += item.quantity || 0;
-      map[key].dayTotals[dayOfWeek] += item.quantity || 0;
     });
   });
 
   return Object.values(map).map((entry) => {
-    const { name, unit, weekBuckets, dayTotals } = entry;
+    const { name, cropId, unit, products, mixes, mixQty, weekBuckets, dayTotals } = entry;
 
     const totalQty = weekBuckets.reduce((s, w) => s + w, 0);
     const weeklyDemand = Math.round((totalQty / weeks) * 10) / 10;
+    const mixDemand = Math.round((mixQty / weeks) * 10) / 10;
     const bufferedDemand = Math.round(weeklyDemand * (1 + buffer) * 10) / 10;
 
     // Trend: recent half vs older half
@@ -114,15 +118,18 @@ export function queryDemand(orders, weeks = 4, buffer = DEFAULT_BUFFER) {
           .map((d) => d.day)
       : [];
 
-    // Match to cropConfig variety
-    const variety = matchToCrop(name);
+    const variety = cropId ? getVarietyById(cropId) : null;
 
     return {
       cropId:          variety?.id       || null,
-      cropName:        name,
+      cropName:        variety?.name     || name,
       varietyCategory: variety?.category || null,
       unit,
+      unmapped:        !cropId,
+      products:        [...products],
+      mixes:           [...mixes],
       weeklyDemand,
+      mixDemand,
       bufferedDemand,
       trend,
       peakDays,
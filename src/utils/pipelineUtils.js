@@ -3,36 +3,12 @@
  * No Firestore. Takes live batch data and returns action lists.
  */
 import { cropConfig } from '../data/cropConfig';
-
-// ── Expected days per stage, keyed by category then stage ─────────────────────
-// microgreens: germination ~2d, blackout from variety, light = remaining, ready = harvestWindow
-// other categories: rough defaults based on typical growing patterns
-const STAGE_EXPECTED_DAYS = {
-  microgreens: {
-    germination: (v) => 2,
-    blackout:    (v) => v.blackoutDays ?? 3,
-    light:       (v) => Math.max(1, (v.growDays ?? 10) - (v.blackoutDays ?? 3) - 2),
-    ready:       (v) => v.harvestWindow ?? 3,
-  },
-  leafyGreens: {
-    seedling:   (v) => 7,
-    transplant: (v) => 2,
-    growing:    (v) => Math.max(1, (v.growDays ?? 30) - 9),
-    ready:      (v) => v.harvestWindow ?? 5,
-  },
-  herbs: {
-    seedling:   (v) => 7,
-    transplant: (v) => 2,
-    growing:    (v) => Math.max(1, (v.growDays ?? 28) - 9),
-    ready:      (v) => v.harvestWindow ?? 7,
-  },
-  mushrooms: {
-    inoculation: (v) => 3,
-    incubation:  (v) => 14,
-    pinning:     (v) => 3,
-    fruiting:    (v) => v.harvestWindow ?? 3,
-  },
-};
+import {
+  DEFAULT_STAGE_MACHINES,
+  getBatchStage,
+  getExpectedDays,
+  getNextStage,
+} from '../data/stageMachine';
 
 function findVarietyConfig(batch) {
   const cat = cropConfig[batch.cropCategory];
@@ -44,9 +20,9 @@ function findVarietyConfig(batch) {
  * How many days has this batch been in its current stage?
  * Reads from stageHistory if available, falls back to sowDate.
  */
-function getDaysInCurrentStage(batch) {
+function getDaysInCurrentStage(batch, stageId = batch.stage) {
   const history = batch.stageHistory || [];
-  const lastEntry = [...history].reverse().find(h => h.stage === batch.stage);
+  const lastEntry = [...history].reverse().find(h => h.stage === batch.stage || h.stage === stageId);
   if (lastEntry?.enteredAt) {
     return Math.floor((Date.now() - new Date(lastEntry.enteredAt).getTime()) / 86400000);
   }
@@ -58,7 +34,8 @@ function getDaysInCurrentStage(batch) {
 
 /**
  * Return active batches that are ready (or overdue) to advance to the next stage.
- * Skips 'ready' and 'harvested' — those aren't intermediate stages.
+ * Skips planned, harvestable and terminal stages — those aren't intermediate
+ * growing stages. Expected days come from the farm's stage machines.
  *
  * Returns: Array<{
  *   batch, suggestedNextStage, suggestedNextStageLabel,
@@ -66,25 +43,21 @@ function getDaysInCurrentStage(batch) {
  * }>
  * Sorted: overdue first, then by most days in stage.
  */
-export function getBatchesNeedingStageAdvance(batches) {
+export function getBatchesNeedingStageAdvance(batches, machines = DEFAULT_STAGE_MACHINES) {
   const results = [];
 
   for (const batch of batches) {
-    if (batch.stage === 'harvested' || batch.stage === 'ready') continue;
-
-    const stages = cropConfig[batch.cropCategory]?.stages || [];
-    const idx = stages.findIndex(s => s.id === batch.stage);
-    if (idx === -1) continue;
-    const nextStage = stages[idx + 1];
-    if (!nextStage || nextStage.id === 'harvested') continue;
+    const stage = getBatchStage(machines, batch);
+    if (!stage || stage.harvestable || stage.terminal || stage.expectedDays == null) continue;
 
     const variety = findVarietyConfig(batch);
     if (!variety) continue;
 
-    const stageFns = STAGE_EXPECTED_DAYS[batch.cropCategory] || {};
-    const stageFn = stageFns[batch.stage];
-    const expectedDays = stageFn ? stageFn(variety) : 3;
-    const daysInCurrentStage = getDaysInCurrentStage(batch);
+    const nextStage = getNextStage(machines, batch, variety);
+    if (!nextStage || nextStage.terminal) continue;
+
+    const expectedDays = getExpectedDays(machines, batch.cropCategory, stage.id, variety) ?? 3;
+    const daysInCurrentStage = getDaysInCurrentStage(batch, stage.id);
 
     results.push({
       batch,
@@ -103,22 +76,23 @@ export function getBatchesNeedingStageAdvance(batches) {
 }
 
 /**
- * Return batches in 'ready' stage with harvest window metadata.
+ * Return batches in a harvestable stage with harvest window metadata.
  *
  * Returns: Array<{
  *   batch, harvestWindow, daysInWindow, daysRemaining, isUrgent, expectedYield
  * }>
  * Sorted: most urgent (fewest days remaining) first.
  */
-export function getBatchesInHarvestWindow(batches) {
+export function getBatchesInHarvestWindow(batches, machines = DEFAULT_STAGE_MACHINES) {
   const results = [];
 
   for (const batch of batches) {
-    if (batch.stage !== 'ready') continue;
+    const stage = getBatchStage(machines, batch);
+    if (!stage?.harvestable) continue;
 
     const variety = findVarietyConfig(batch);
-    const harvestWindow = variety?.harvestWindow ?? 3;
-    const daysInWindow  = getDaysInCurrentStage(batch);
+    const harvestWindow = getExpectedDays(machines, batch.cropCategory, stage.id, variety) ?? 3;
+    const daysInWindow  = getDaysInCurrentStage(batch, stage.id);
     const daysRemaining = Math.max(0, harvestWindow - daysInWindow);
 
     const trayCount = batch.trayCount || batch.quantity || 0;
@@ -152,8 +126,8 @@ export function getTodaysSowingNeeds(sowingRecommendations) {
  *
  * Returns: { avgGerminationDays, avgGrowDays, avgYieldPerTray, lossRate, sampleSize }
  */
-export function getActualAverages(batches, cropId) {
-  const harvested = batches.filter(b => b.varietyId === cropId && b.stage === 'harvested');
+export function getActualAverages(batches, cropId, machines = DEFAULT_STAGE_MACHINES) {
+  const harvested = batches.filter(b => b.varietyId === cropId && getBatchStage(machines, b)?.terminal);
   if (!harvested.length) {
     return { avgGerminationDays: null, avgGrowDays: null, avgYieldPerTray: null, lossRate: null, sampleSize: 0 };
   }
@@ -3,16 +3,34 @@
  *
  * Pure math — no Firestore. Takes the output of queryDemand() and the
  * live activeBatches list to tell you what (and how much) to plant today.
+ * With a grow space layout (data/growSpace.js) recommendations are also
+ * fitted into free shelf space.
  */
 import { cropConfig } from '../data/cropConfig';
+import { defaultYieldResolver, YIELD_SOURCE_LABELS } from '../data/yieldResolution';
+import {
+  hasGrowSpace,
+  batchOccupancy,
+  createCapacityLedger,
+  reserveCapacity,
+  findSowDate,
+} from '../data/growSpace';
 
-/** Return expected yield per batch unit for a variety (oz or lbs). */
-function yieldPerUnit(variety, category) {
-  if (!variety) return null;
-  if (category === 'microgreens')                   return variety.yieldPerTray  ?? null;
-  if (category === 'leafyGreens' || category === 'herbs') return variety.yieldPerPort  ?? null;
-  if (category === 'mushrooms')                     return variety.yieldPerBlock ?? null;
-  return null;
+/**
+ * Return expected yield per batch unit for a variety (oz or lbs) and its source.
+ * Trays go through the farm's yield resolver; ports and blocks are sold by
+ * the pound and still come straight from cropConfig.
+ */
+function yieldPerUnit(variety, category, resolveYield) {
+  if (!variety) return { value: null, source: null };
+  if (category === 'microgreens') {
+    const { yieldPerTray, source } = resolveYield({ cropId: variety.id });
+    return { value: yieldPerTray, source };
+  }
+  let value = null;
+  if (category === 'leafyGreens' || category === 'herbs') value = variety.yieldPerPort  ?? null;
+  if (category === 'mushrooms')                           value = variety.yieldPerBlock ?? null;
+  return { value, source: value != null ? 'default' : null };
 }
 
 /** Find a variety object + its category, searching all cropConfig categories. */
@@ -29,7 +47,7 @@ function findVariety(cropId, preferredCategory) {
 }
 
 /** Human-readable reason string for a sowing card. */
-function buildReason(demand, pipelineUnits, pipelineYield, daysOfSupply, variety, batchUnit) {
+function buildReason(demand, pipelineUnits, pipelineYield, daysOfSupply, variety, batchUnit, ypu) {
   const unit = demand.unit || 'units';
   const dayStr = isFinite(daysOfSupply) && daysOfSupply < 99
     ? `${Math.round(daysOfSupply)}d`
@@ -39,6 +57,8 @@ function buildReason(demand, pipelineUnits, pipelineYield, daysOfSupply, variety
     `Pipeline: ${pipelineUnits} ${batchUnit}s → ~${Math.round(pipelineYield)} ${unit} available`,
     `Coverage: ${dayStr}`,
   ];
+  if (demand.mixDemand > 0) parts.push(`Incl. ${demand.mixDemand} ${unit}/wk for ${(demand.mixes || []).join(', ')}`);
+  if (ypu.value != null) parts.push(`Yield: ${ypu.value} ${unit}/${batchUnit} (${YIELD_SOURCE_LABELS[ypu.source]})`);
   if (variety?.growDays) parts.push(`Grows in ${variety.growDays}d`);
   return parts.join(' · ');
 }
@@ -46,15 +66,25 @@ function buildReason(demand, pipelineUnits, pipelineYield, daysOfSupply, variety
 /**
  * Calculate sowing recommendations from demand data and active batches.
  *
+ * Demand rows are per crop with mix products already exploded into their
+ * recipe crops by queryDemand(), so a crop's trays cover its share of mixes.
+ *
  * @param {Array} demandData    - output of queryDemand()
  * @param {Array} activeBatches - non-harvested batches from useBatches
+ * @param {Function} [resolveYield] - farm yield resolver (useYieldResolver); defaults only if omitted
+ * @param {{ layout, machines }} [space] - grow space layout (useGrowSpace) and stage
+ *   machines; when the layout has zones, recommendations are fitted into free space
  *
  * @returns {Array} sorted critical→warning→healthy, each item:
  *   { cropId, cropName, cropCategory, recommendedQty, currentPipeline,
  *     pipelineYield, daysOfSupply, deficit, urgency, batchUnit, growDays,
- *     weeklyDemand, bufferedDemand, unit, reason }
+ *     weeklyDemand, mixDemand, mixes, bufferedDemand, unit, yieldPerUnit,
+ *     yieldSource, reason, capacity }
+ *   capacity is null without a layout, else
+ *     { sowDate, shiftDays, neededQty, shortBy, conflicts } — recommendedQty
+ *     is capped to what fits, shortBy says how much didn't.
  */
-export function calculateSowingNeeds(demandData, activeBatches) {
+export function calculateSowingNeeds(demandData, activeBatches, resolveYield = defaultYieldResolver, space = null) {
   const results = [];
 
   for (const demand of demandData) {
@@ -64,7 +94,8 @@ export function calculateSowingNeeds(demandData, activeBatches) {
     if (!variety) continue;
 
     const catConfig   = cropConfig[category];
-    const ypu         = yieldPerUnit(variety, category); // oz or lbs per tray/port/block
+    const yieldInfo   = yieldPerUnit(variety, category, resolveYield);
+    const ypu         = yieldInfo.value; // oz or lbs per tray/port/block
     const batchUnit   = catConfig?.unit || 'unit';
 
     // Sum active batches for this variety (in batch units: trays / ports / blocks)
@@ -103,15 +134,79 @@ export function calculateSowingNeeds(demandData, activeBatches) {
       batchUnit,
       growDays:        variety.growDays || 0,
       weeklyDemand:    demand.weeklyDemand,
+      mixDemand:       demand.mixDemand || 0,
+      mixes:           demand.mixes || [],
       bufferedDemand:  demand.bufferedDemand,
       unit:            demand.unit,
-      reason:          buildReason(demand, pipelineUnits, pipelineYield, daysOfSupply, variety, batchUnit),
+      yieldPerUnit:    ypu,
+      yieldSource:     yieldInfo.source,
+      reason:          buildReason(demand, pipelineUnits, pipelineYield, daysOfSupply, variety, batchUnit, yieldInfo),
+      capacity:        null,
     });
   }
 
   // Sort: critical → warning → healthy; ties broken by daysOfSupply asc
   const ORDER = { critical: 0, warning: 1, healthy: 2 };
-  return results.sort(
+  const sorted = results.sort(
     (a, b) => ORDER[a.urgency] - ORDER[b.urgency] || a.daysOfSupply - b.daysOfSupply
   );
+  return space?.machines && hasGrowSpace(space.layout) ? fitToGrowSpace(sorted, activeBatches, space) : sorted;
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function shortDate(dateStr) {
+  return new Date(dateStr + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/** Reason suffix for a need that didn't fit as asked. */
+function describeCapacity({ sowDate, shiftDays, shortBy, conflicts }, batchUnit) {
+  const full = conflicts[0] ? `${conflicts[0].stageLabel} full ${shortDate(conflicts[0].date)}` : null;
+  if (shortBy > 0) return `⚠️ Space: ${shortBy} ${batchUnit}s don't fit${full ? ` (${full})` : ''}`;
+  if (shiftDays > 0) return `📦 Space: sow ${shortDate(sowDate)} — no room today`;
+  return null;
+}
+
+/**
+ * Fit recommendations into free shelf space, most urgent first. Each one
+ * may shift its sow date up to the variety's harvest window later (it
+ * still lands inside the window today's sowing would have had); space a
+ * recommendation takes is reserved before the next crop is placed.
+ */
+function fitToGrowSpace(needs, activeBatches, { layout, machines }) {
+  const today = new Date().toISOString().split('T')[0];
+  const ledger = createCapacityLedger(layout, activeBatches.map((b) => batchOccupancy(machines, b, today)), { today });
+
+  return needs.map((need) => {
+    if (need.recommendedQty <= 0) return need;
+    const { variety } = findVariety(need.cropId, need.cropCategory);
+    const fit = findSowDate(ledger, machines, {
+      category: need.cropCategory,
+      variety,
+      qty: need.recommendedQty,
+      preferred: today,
+      latest: addDays(today, variety?.harvestWindow || 0),
+    });
+    const placed = fit.fits ? need.recommendedQty : Math.min(need.recommendedQty, fit.maxQty ?? 0);
+    reserveCapacity(ledger, { category: need.cropCategory, qty: placed, segments: fit.segments });
+
+    const capacity = {
+      sowDate:   fit.sowDate,
+      shiftDays: fit.shiftDays,
+      neededQty: need.recommendedQty,
+      shortBy:   need.recommendedQty - placed,
+      conflicts: fit.conflicts,
+    };
+    const note = describeCapacity(capacity, need.batchUnit);
+    return {
+      ...need,
+      recommendedQty: placed,
+      capacity,
+      reason: note ? `${need.reason} · ${note}` : need.reason,
+    };
+  });
 }
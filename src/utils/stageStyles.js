@@ -0,0 +1,32 @@
+/**
+ * stageStyles.js — Tailwind classes for stage colors.
+ *
+ * Stage definitions (data/stageMachine.js) only name a color so they can be
+ * stored in Firestore; class strings stay spelled out here so Tailwind keeps them.
+ */
+
+const PALETTE = {
+  gray:    { solid: 'bg-gray-500',    bar: 'bg-gray-400',    text: 'text-gray-600 dark:text-gray-400',       soft: 'bg-gray-100 dark:bg-gray-700' },
+  slate:   { solid: 'bg-slate-500',   bar: 'bg-slate-400',   text: 'text-slate-600 dark:text-slate-400',     soft: 'bg-slate-100 dark:bg-slate-800' },
+  blue:    { solid: 'bg-blue-500',    bar: 'bg-blue-400',    text: 'text-blue-600 dark:text-blue-400',       soft: 'bg-blue-50 dark:bg-blue-900/30' },
+  lime:    { solid: 'bg-lime-500',    bar: 'bg-lime-400',    text: 'text-lime-600 dark:text-lime-400',       soft: 'bg-lime-50 dark:bg-lime-900/30' },
+  emerald: { solid: 'bg-emerald-500', bar: 'bg-emerald-400', text: 'text-emerald-600 dark:text-emerald-400', soft: 'bg-emerald-50 dark:bg-emerald-900/30' },
+  teal:    { solid: 'bg-teal-500',    bar: 'bg-teal-400',    text: 'text-teal-600 dark:text-teal-400',       soft: 'bg-teal-50 dark:bg-teal-900/30' },
+  green:   { solid: 'bg-green-500',   bar: 'bg-green-400',   text: 'text-green-600 dark:text-green-400',     soft: 'bg-green-50 dark:bg-green-900/30' },
+  yellow:  { solid: 'bg-yellow-500',  bar: 'bg-yellow-400',  text: 'text-yellow-600 dark:text-yellow-400',   soft: 'bg-yellow-50 dark:bg-yellow-900/30' },
+  violet:  { solid: 'bg-violet-500',  bar: 'bg-violet-400',  text: 'text-violet-600 dark:text-violet-400',   soft: 'bg-violet-50 dark:bg-violet-900/30' },
+  purple:  { solid: 'bg-purple-500',  bar: 'bg-purple-400',  text: 'text-purple-600 dark:text-purple-400',   soft: 'bg-purple-50 dark:bg-purple-900/30' },
+  pink:    { solid: 'bg-pink-500',    bar: 'bg-pink-400',    text: 'text-pink-600 dark:text-pink-400',       soft: 'bg-pink-50 dark:bg-pink-900/30' },
+  orange:  { solid: 'bg-orange-500',  bar: 'bg-orange-400',  text: 'text-orange-600 dark:text-orange-400',   soft: 'bg-orange-50 dark:bg-orange-900/30' },
+  red:     { solid: 'bg-red-500',     bar: 'bg-red-400',     text: 'text-red-600 dark:text-red-400',         soft: 'bg-red-50 dark:bg-red-900/30' },
+};
+
+export const STAGE_COLORS = Object.keys(PALETTE);
+
+/**
+ * Classes for a stage definition (or null). Unknown colors fall back to gray.
+ * Returns { solid, bar, text, soft }.
+ */
+export function stageStyle(stage) {
+  return PALETTE[stage?.color] || PALETTE.gray;
+}